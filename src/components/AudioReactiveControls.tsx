@@ -13,6 +13,7 @@ import {
   type AudioReactiveSignal,
 } from '../lib/audioReactivity';
 import { handleVerticalRangeKey } from '../lib/rangeKeyboard';
+import { getUniformStep } from '../lib/shader';
 
 interface AudioReactivePanelControlsProps {
   controller: AudioReactivityController;
@@ -327,12 +328,18 @@ function AudioSignalVisualizer({
           </span>
           <span className="audio-reactive-startup-copy">
             <strong>
-              {source === 'system' ? 'Opening computer audio' : 'Preparing microphone'}
+              {source === 'timeline'
+                ? 'Connecting timeline music'
+                : source === 'system'
+                  ? 'Opening computer audio'
+                  : 'Preparing microphone'}
             </strong>
             <small>
-              {source === 'system'
-                ? 'The Windows share dialog will appear shortly'
-                : 'Waiting for microphone permission'}
+              {source === 'timeline'
+                ? 'The music plays with the transport'
+                : source === 'system'
+                  ? 'The Windows share dialog will appear shortly'
+                  : 'Waiting for microphone permission'}
             </small>
           </span>
           <span className="audio-reactive-startup-code">INIT</span>
@@ -347,10 +354,7 @@ function clamp(value: number, min: number, max: number): number {
 }
 
 function getStep(definition: ShaderUniformDefinition): number {
-  if (definition.type === 'int') {
-    return 1;
-  }
-  return Math.max(Number.EPSILON, (definition.max - definition.min) / 100);
+  return Math.max(Number.EPSILON, getUniformStep(definition));
 }
 
 function formatValue(value: number, definition: ShaderUniformDefinition): string {
@@ -679,12 +683,15 @@ export function AudioReactivePanelControls({
             disabled={isListening || isStarting}
             onChange={(event) =>
               controller.setSource(
-                event.target.value === 'microphone' ? 'microphone' : 'system',
+                event.target.value === 'microphone' || event.target.value === 'timeline'
+                  ? event.target.value
+                  : 'system',
               )
             }
           >
             <option value="microphone">Microphone input</option>
             <option value="system">Windows / browser audio</option>
+            <option value="timeline">Timeline music</option>
           </select>
         </span>
         <span className={`audio-reactive-health audio-reactive-health-${status}`}>
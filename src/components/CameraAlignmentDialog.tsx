@@ -0,0 +1,329 @@
+import { useEffect, useMemo, useRef, useState, type MouseEvent } from 'react';
+import {
+  findProjectedAreaTarget,
+  solveCameraCorners,
+  solveCameraMesh,
+  type CameraAlignmentTarget,
+  type CameraCornerSolution,
+  type CameraMeshSolution,
+} from '../lib/cameraAlignment';
+import { STAGE_MESH_DENSITY_PRESETS } from '../lib/meshWarp';
+import {
+  createGrayCodeSequence,
+  decodeGrayCodeCaptures,
+  type LuminanceFrame,
+  type StructuredLightCorrespondence,
+  type StructuredLightFrame,
+} from '../lib/structuredLight';
+import type { DistortionPoint, StageDistortion, StageMeshWarp } from '../types';
+import { StructuredLightCapturePanel } from './StructuredLightCapturePanel';
+
+export type CameraAlignmentResult =
+  | { kind: 'corners'; distortion: StageDistortion }
+  | { kind: 'mesh'; meshWarp: StageMeshWarp };
+
+interface CameraAlignmentDialogProps {
+  open: boolean;
+  surfaceName: string;
+  /** Output width / height, used to fit the automatic target. */
+  aspectRatio: number;
+  onShowFrame: (frame: StructuredLightFrame | null) => void;
+  onApply: (result: CameraAlignmentResult) => void;
+  onClose: () => void;
+}
+
+type TargetMode = 'auto' | 'manual';
+type SolveMode = 'corners' | 'mesh';
+
+const TARGET_CORNER_LABELS = ['top left', 'top right', 'bottom right', 'bottom left'];
+
+function describeError(error: unknown, fallback: string): string {
+  return error instanceof Error ? error.message : fallback;
+}
+
+function drawCorrespondencePreview(
+  canvas: HTMLCanvasElement,
+  white: LuminanceFrame,
+  map: StructuredLightCorrespondence,
+) {
+  canvas.width = white.width;
+  canvas.height = white.height;
+  const context = canvas.getContext('2d');
+  if (!context) {
+    return;
+  }
+
+  const image = context.createImageData(white.width, white.height);
+  for (let index = 0; index < white.width * white.height; index += 1) {
+    const value = white.data[index];
+    const valid = !Number.isNaN(map.projectorX[index]);
+    image.data[index * 4] = valid ? value : value * 0.5 + 90;
+    image.data[index * 4 + 1] = valid ? value : value * 0.35;
+    image.data[index * 4 + 2] = valid ? value : value * 0.35;
+    image.data[index * 4 + 3] = 255;
+  }
+  context.putImageData(image, 0, 0);
+}
+
+function CameraAlignmentDialogContent({
+  surfaceName,
+  aspectRatio,
+  onShowFrame,
+  onApply,
+  onClose,
+}: Omit<CameraAlignmentDialogProps, 'open'>) {
+  const [scanning, setScanning] = useState(false);
+  const [whiteCapture, setWhiteCapture] = useState<LuminanceFrame | null>(null);
+  const [correspondence, setCorrespondence] = useState<StructuredLightCorrespondence | null>(
+    null,
+  );
+  const [targetMode, setTargetMode] = useState<TargetMode>('auto');
+  const [manualTarget, setManualTarget] = useState<DistortionPoint[]>([]);
+  const [solveMode, setSolveMode] = useState<SolveMode>('corners');
+  const [meshPresetIndex, setMeshPresetIndex] = useState(2);
+  const previewCanvasRef = useRef<HTMLCanvasElement | null>(null);
+
+  useEffect(() => {
+    if (previewCanvasRef.current && whiteCapture && correspondence) {
+      drawCorrespondencePreview(previewCanvasRef.current, whiteCapture, correspondence);
+    }
+  }, [correspondence, whiteCapture]);
+
+  const target = useMemo<CameraAlignmentTarget | null>(() => {
+    if (!correspondence) {
+      return null;
+    }
+    if (targetMode === 'manual') {
+      return manualTarget.length === 4 ? (manualTarget as CameraAlignmentTarget) : null;
+    }
+    return findProjectedAreaTarget(correspondence, aspectRatio);
+  }, [aspectRatio, correspondence, manualTarget, targetMode]);
+
+  const meshPreset = STAGE_MESH_DENSITY_PRESETS[meshPresetIndex] ?? STAGE_MESH_DENSITY_PRESETS[0];
+  const solution = useMemo<{
+    result: CameraCornerSolution | CameraMeshSolution | null;
+    error: string;
+  }>(() => {
+    if (!correspondence || !target) {
+      return { result: null, error: '' };
+    }
+    try {
+      return {
+        result:
+          solveMode === 'mesh'
+            ? solveCameraMesh(correspondence, target, meshPreset.columns, meshPreset.rows)
+            : solveCameraCorners(correspondence, target),
+        error: '',
+      };
+    } catch (error) {
+      return {
+        result: null,
+        error: describeError(error, 'Unable to solve the alignment.'),
+      };
+    }
+  }, [correspondence, meshPreset.columns, meshPreset.rows, solveMode, target]);
+
+  const acceptCaptures = (sequence: StructuredLightFrame[], captures: LuminanceFrame[]) => {
+    const map = decodeGrayCodeCaptures(sequence, captures);
+    if (map.validCount === 0) {
+      throw new Error('No projector light was found. Check the camera sees the output.');
+    }
+    setWhiteCapture(captures[sequence.findIndex((frame) => frame.kind === 'white')] ?? null);
+    setCorrespondence(map);
+    setManualTarget([]);
+  };
+
+  const handlePreviewClick = (event: MouseEvent<SVGSVGElement>) => {
+    if (targetMode !== 'manual') {
+      return;
+    }
+    const bounds = event.currentTarget.getBoundingClientRect();
+    const point = {
+      x: (event.clientX - bounds.left) / bounds.width,
+      y: (event.clientY - bounds.top) / bounds.height,
+    };
+    setManualTarget((current) => (current.length >= 4 ? [point] : [...current, point]));
+  };
+
+  const handleApply = () => {
+    const result = solution.result;
+    if (!result) {
+      return;
+    }
+    onApply(
+      'meshWarp' in result
+        ? { kind: 'mesh', meshWarp: result.meshWarp }
+        : { kind: 'corners', distortion: result.distortion },
+    );
+  };
+
+  const coverage = correspondence
+    ? Math.round((correspondence.validCount / (correspondence.width * correspondence.height)) * 100)
+    : 0;
+  const targetPoints = targetMode === 'manual' ? manualTarget : target ?? [];
+  const getResultMessage = () => {
+    if (targetMode === 'manual' && manualTarget.length < 4) {
+      return `Click the ${TARGET_CORNER_LABELS[manualTarget.length]} corner of the target.`;
+    }
+    if (!target) {
+      return 'No lit area large enough to fit the output was found.';
+    }
+    if (solution.error) {
+      return solution.error;
+    }
+    if (solution.result?.clamped) {
+      return 'Some points were pulled in to the warp limits. Move the projector closer to the target for an exact fit.';
+    }
+    if (solution.result && 'missingPoints' in solution.result && solution.result.missingPoints > 0) {
+      return `${solution.result.missingPoints} mesh points were not lit and keep their neutral position.`;
+    }
+    return 'Red areas were not lit by the projector.';
+  };
+
+  return (
+    <div
+      className="dialog-backdrop"
+      role="presentation"
+      onClick={(event) => {
+        if (event.target === event.currentTarget && !scanning) {
+          onClose();
+        }
+      }}
+    >
+      <section
+        className="dialog-panel camera-alignment-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="camera-alignment-dialog-title"
+      >
+        <header className="dialog-header">
+          <div>
+            <span className="panel-eyebrow">Mapping · {surfaceName}</span>
+            <h2 id="camera-alignment-dialog-title" className="dialog-title">
+              Camera Alignment
+            </h2>
+          </div>
+          <button type="button" className="ghost-button" onClick={onClose} disabled={scanning}>
+            Close
+          </button>
+        </header>
+
+        <div className="dialog-body stack gap-md">
+          <p className="dialog-note">
+            The Output flashes striped patterns on this surface while a camera watches. Point the
+            camera at the wall from where the audience stands and keep it still.
+          </p>
+
+          <StructuredLightCapturePanel
+            createSequence={createGrayCodeSequence}
+            onShowFrame={onShowFrame}
+            onCaptured={acceptCaptures}
+            onScanningChange={setScanning}
+          />
+
+          {correspondence ? (
+            <section className="dialog-section stack gap-md">
+              <span className="panel-eyebrow">Result · {coverage}% of the image lit</span>
+              <div className="camera-alignment-toolbar">
+                <button
+                  type="button"
+                  className={`toggle-chip ${targetMode === 'auto' ? 'toggle-chip-active' : ''}`}
+                  aria-pressed={targetMode === 'auto'}
+                  onClick={() => setTargetMode('auto')}
+                >
+                  Fit projection
+                </button>
+                <button
+                  type="button"
+                  className={`toggle-chip ${targetMode === 'manual' ? 'toggle-chip-active' : ''}`}
+                  aria-pressed={targetMode === 'manual'}
+                  onClick={() => {
+                    setTargetMode('manual');
+                    setManualTarget([]);
+                  }}
+                >
+                  Mark corners
+                </button>
+                <label className="field">
+                  <span>Warp</span>
+                  <select
+                    className="select-field"
+                    value={solveMode}
+                    onChange={(event) => setSolveMode(event.target.value as SolveMode)}
+                  >
+                    <option value="corners">Corner pin</option>
+                    <option value="mesh">Mesh</option>
+                  </select>
+                </label>
+                {solveMode === 'mesh' ? (
+                  <label className="field">
+                    <span>Mesh</span>
+                    <select
+                      className="select-field"
+                      value={meshPresetIndex}
+                      onChange={(event) => setMeshPresetIndex(Number(event.target.value))}
+                    >
+                      {STAGE_MESH_DENSITY_PRESETS.map((preset, index) => (
+                        <option key={`${preset.columns}x${preset.rows}`} value={index}>
+                          {preset.columns} × {preset.rows}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ) : null}
+              </div>
+              <div className="camera-alignment-preview">
+                <canvas ref={previewCanvasRef} />
+                <svg
+                  viewBox="0 0 1 1"
+                  preserveAspectRatio="none"
+                  className={targetMode === 'manual' ? 'camera-alignment-preview-marking' : ''}
+                  onClick={handlePreviewClick}
+                >
+                  {targetPoints.length > 1 ? (
+                    <polygon
+                      className="camera-alignment-target"
+                      points={targetPoints.map((point) => `${point.x},${point.y}`).join(' ')}
+                    />
+                  ) : null}
+                  {targetPoints.map((point, index) => (
+                    <circle
+                      key={TARGET_CORNER_LABELS[index]}
+                      className="camera-alignment-target-corner"
+                      cx={point.x}
+                      cy={point.y}
+                      r={0.012}
+                    />
+                  ))}
+                </svg>
+              </div>
+              <span className="helper-copy">{getResultMessage()}</span>
+            </section>
+          ) : null}
+        </div>
+
+        <footer className="dialog-footer">
+          <button type="button" className="ghost-button" onClick={onClose} disabled={scanning}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="primary-button"
+            disabled={!solution.result || scanning}
+            onClick={handleApply}
+          >
+            Apply to {surfaceName}
+          </button>
+        </footer>
+      </section>
+    </div>
+  );
+}
+
+export function CameraAlignmentDialog({ open, ...props }: CameraAlignmentDialogProps) {
+  if (!open) {
+    return null;
+  }
+
+  return <CameraAlignmentDialogContent {...props} />;
+}
@@ -0,0 +1,261 @@
+import { useRef, useState, type ChangeEvent } from 'react';
+import {
+  COLOR_CALIBRATION_RANGES,
+  DEFAULT_COLOR_CALIBRATION,
+  parseCubeLut,
+} from '../lib/colorCalibration';
+import type { ColorCalibration, ColorChannelTriplet, OutputLayout } from '../types';
+
+interface ColorCalibrationDialogProps {
+  open: boolean;
+  calibration: ColorCalibration;
+  outputLayout: OutputLayout;
+  /** Null targets the shared session calibration, otherwise an edge-blend region. */
+  onChange: (regionId: string | null, calibration: ColorCalibration | undefined) => void;
+  onClose: () => void;
+}
+
+type ChannelField = 'gain' | 'offset' | 'gamma';
+
+const CHANNEL_LABELS = ['R', 'G', 'B'] as const;
+const CHANNEL_FIELDS: Array<{ field: ChannelField; label: string; step: number }> = [
+  { field: 'gain', label: 'Gain', step: 0.01 },
+  { field: 'offset', label: 'Offset', step: 0.005 },
+  { field: 'gamma', label: 'Gamma', step: 0.01 },
+];
+
+function formatValue(value: number): string {
+  return value.toFixed(2);
+}
+
+function ColorCalibrationDialogContent({
+  calibration: sessionCalibration,
+  outputLayout,
+  onChange,
+  onClose,
+}: Omit<ColorCalibrationDialogProps, 'open'>) {
+  const [targetRegionId, setTargetRegionId] = useState<string | null>(null);
+  const [lutError, setLutError] = useState('');
+  const lutInputRef = useRef<HTMLInputElement | null>(null);
+  const regions = outputLayout.enabled ? outputLayout.regions : [];
+  const targetRegion = regions.find((region) => region.id === targetRegionId) ?? null;
+  const followsSession = Boolean(targetRegion && !targetRegion.colorCalibration);
+  const calibration = targetRegion?.colorCalibration ?? sessionCalibration;
+  const editable = !followsSession;
+
+  const update = (patch: Partial<ColorCalibration>) => {
+    onChange(targetRegion?.id ?? null, { ...calibration, ...patch });
+  };
+
+  const updateChannel = (field: ChannelField, channel: number, value: number) => {
+    const next = calibration[field].slice() as ColorChannelTriplet;
+    next[channel] = value;
+    update({ [field]: next });
+  };
+
+  const handleLutFile = async (event: ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      const lut = parseCubeLut(await file.text(), file.name.replace(/\.cube$/i, ''));
+      setLutError('');
+      update({ enabled: true, lut });
+    } catch (error) {
+      setLutError(error instanceof Error ? error.message : 'Unable to read this .cube file.');
+    }
+  };
+
+  return (
+    <div
+      className="dialog-backdrop"
+      role="presentation"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <section
+        className="dialog-panel color-calibration-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="color-calibration-dialog-title"
+      >
+        <header className="dialog-header">
+          <div>
+            <span className="panel-eyebrow">Output</span>
+            <h2 id="color-calibration-dialog-title" className="dialog-title">
+              Color Calibration
+            </h2>
+          </div>
+          <button type="button" className="ghost-button" onClick={onClose}>
+            Close
+          </button>
+        </header>
+
+        <div className="dialog-body stack gap-md">
+          <p className="dialog-note">
+            Corrects the projector after every shader and transition. It only affects Output
+            windows, so calibrate with the Output open on the wall.
+          </p>
+
+          <section className="dialog-section stack gap-md">
+            <div className="color-calibration-toolbar">
+              {regions.length > 0 ? (
+                <label className="field">
+                  <span>Projector</span>
+                  <select
+                    className="select-field"
+                    value={targetRegionId ?? ''}
+                    onChange={(event) => setTargetRegionId(event.target.value || null)}
+                  >
+                    <option value="">All outputs</option>
+                    {regions.map((region) => (
+                      <option key={region.id} value={region.id}>
+                        {region.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ) : null}
+              {targetRegion ? (
+                <button
+                  type="button"
+                  className={`toggle-chip ${followsSession ? '' : 'toggle-chip-active'}`}
+                  aria-pressed={!followsSession}
+                  onClick={() =>
+                    onChange(targetRegion.id, followsSession ? sessionCalibration : undefined)
+                  }
+                >
+                  {followsSession ? 'Uses all-outputs settings' : 'Own calibration'}
+                </button>
+              ) : null}
+              <button
+                type="button"
+                className={`toggle-chip ${calibration.enabled ? 'toggle-chip-active' : ''}`}
+                aria-pressed={calibration.enabled}
+                disabled={!editable}
+                onClick={() => update({ enabled: !calibration.enabled })}
+              >
+                {calibration.enabled ? 'Calibration on' : 'Calibration off'}
+              </button>
+            </div>
+
+            <div className="dialog-grid">
+              <label className="field">
+                <span>Brightness · {formatValue(calibration.brightness)}</span>
+                <input
+                  type="range"
+                  min={COLOR_CALIBRATION_RANGES.brightness.min}
+                  max={COLOR_CALIBRATION_RANGES.brightness.max}
+                  step={0.005}
+                  value={calibration.brightness}
+                  disabled={!editable}
+                  onChange={(event) => update({ brightness: Number(event.target.value) })}
+                />
+              </label>
+              <label className="field">
+                <span>Contrast · {formatValue(calibration.contrast)}</span>
+                <input
+                  type="range"
+                  min={COLOR_CALIBRATION_RANGES.contrast.min}
+                  max={COLOR_CALIBRATION_RANGES.contrast.max}
+                  step={0.01}
+                  value={calibration.contrast}
+                  disabled={!editable}
+                  onChange={(event) => update({ contrast: Number(event.target.value) })}
+                />
+              </label>
+            </div>
+
+            {CHANNEL_FIELDS.map(({ field, label, step }) => (
+              <div key={field} className="color-calibration-channels">
+                {CHANNEL_LABELS.map((channelLabel, channel) => (
+                  <label key={channelLabel} className="field">
+                    <span>
+                      {label} {channelLabel} · {formatValue(calibration[field][channel])}
+                    </span>
+                    <input
+                      type="range"
+                      min={COLOR_CALIBRATION_RANGES[field].min}
+                      max={COLOR_CALIBRATION_RANGES[field].max}
+                      step={step}
+                      value={calibration[field][channel]}
+                      disabled={!editable}
+                      onChange={(event) =>
+                        updateChannel(field, channel, Number(event.target.value))
+                      }
+                    />
+                  </label>
+                ))}
+              </div>
+            ))}
+          </section>
+
+          <section className="dialog-section stack gap-md">
+            <span className="panel-eyebrow">3D LUT</span>
+            <div className="color-calibration-toolbar">
+              <span className="helper-copy">
+                {calibration.lut
+                  ? `${calibration.lut.name} · ${calibration.lut.size}³`
+                  : 'No LUT loaded. Import a .cube file exported from your calibration tool.'}
+              </span>
+              <button
+                type="button"
+                className="secondary-button"
+                disabled={!editable}
+                onClick={() => lutInputRef.current?.click()}
+              >
+                Import .cube
+              </button>
+              {calibration.lut ? (
+                <button
+                  type="button"
+                  className="ghost-button"
+                  disabled={!editable}
+                  onClick={() => update({ lut: null })}
+                >
+                  Remove LUT
+                </button>
+              ) : null}
+              <input
+                ref={lutInputRef}
+                type="file"
+                accept=".cube"
+                hidden
+                onChange={(event) => void handleLutFile(event)}
+              />
+            </div>
+            {lutError ? <p className="dialog-error-copy">{lutError}</p> : null}
+          </section>
+        </div>
+
+        <footer className="dialog-footer">
+          <button
+            type="button"
+            className="ghost-button"
+            disabled={!editable}
+            onClick={() => update({ ...DEFAULT_COLOR_CALIBRATION, enabled: calibration.enabled })}
+          >
+            Reset
+          </button>
+          <button type="button" className="primary-button" onClick={onClose}>
+            Done
+          </button>
+        </footer>
+      </section>
+    </div>
+  );
+}
+
+export function ColorCalibrationDialog({ open, ...props }: ColorCalibrationDialogProps) {
+  if (!open) {
+    return null;
+  }
+
+  return <ColorCalibrationDialogContent {...props} />;
+}
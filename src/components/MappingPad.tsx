@@ -8,6 +8,44 @@ import {
   MAX_MAPPING_ROTATION,
   MIN_MAPPING_ROTATION,
 } from '../lib/mappingPosition';
+import {
+  MAIN_MAPPING_SURFACE_ID,
+  MAX_MAPPING_SURFACES,
+  type MappingSurfaceOption,
+} from '../lib/mappingSurfaces';
+import {
+  canSubdivideStageMeshWarp,
+  createStageMeshWarp,
+  resampleStageMeshWarp,
+  STAGE_MESH_DENSITY_PRESETS,
+  STAGE_MESH_INTERPOLATION_LABELS,
+  subdivideStageMeshWarp,
+} from '../lib/meshWarp';
+import {
+  insertOutputMaskPoint,
+  MAX_OUTPUT_MASK_FEATHER,
+  MAX_OUTPUT_MASK_POINTS,
+  MAX_OUTPUT_MASKS,
+  MIN_OUTPUT_MASK_POINTS,
+  OUTPUT_MASK_KIND_LABELS,
+  removeOutputMaskPoint,
+} from '../lib/outputMasks';
+import {
+  isOutputTestPatternKind,
+  OUTPUT_TEST_PATTERNS,
+  type OutputTestPatternKind,
+} from '../lib/testPatterns';
+import type {
+  AssetRecord,
+  MappingSurface,
+  MappingSurfaceSource,
+  OutputMaskKind,
+  OutputMaskShape,
+  SavedShader,
+  StageDistortEditor,
+  StageMeshInterpolation,
+  StageMeshWarp,
+} from '../types';
 
 export type MappingAction =
   | 'move-up'
@@ -30,12 +68,45 @@ interface MappingPadProps {
   onToggleGrid?: () => void;
   onDistortModeChange?: (enabled: boolean) => void;
   onResetDistortion?: () => void;
+  onDistortEditorChange?: (editor: StageDistortEditor) => void;
+  onMeshWarpChange?: (meshWarp: StageMeshWarp | null) => void;
+  onMaskModeChange?: (enabled: boolean) => void;
+  onOutputMaskSelect?: (maskId: string, pointIndex: number) => void;
+  onAddOutputMask?: (kind: OutputMaskKind) => void;
+  onRemoveOutputMask?: (maskId: string) => void;
+  onOutputMaskChange?: (
+    maskId: string,
+    updater: (mask: OutputMaskShape) => OutputMaskShape,
+  ) => void;
   onCloseMove?: () => void;
   onFirstStepDismiss?: () => void;
+  /** Shows a test pattern on every Output window instead of the show. */
+  onTestPatternChange?: (pattern: OutputTestPatternKind | null) => void;
+  testPattern?: OutputTestPatternKind | null;
+  onOpenCameraAlignment?: () => void;
+  onOpenReliefScan?: () => void;
+  surfaces?: MappingSurfaceOption[];
+  activeSurfaceId?: string;
+  activeSurface?: MappingSurface | null;
+  surfaceAssets?: AssetRecord[];
+  surfaceShaders?: SavedShader[];
+  onActiveSurfaceChange?: (surfaceId: string) => void;
+  onAddSurface?: () => void;
+  onRemoveSurface?: (surfaceId: string) => void;
+  onSurfaceChange?: (
+    surfaceId: string,
+    patch: Partial<Omit<MappingSurface, 'id' | 'stageTransform'>>,
+  ) => void;
   precision?: number;
   rotationDegrees?: number;
   showGrid?: boolean;
   distortMode?: boolean;
+  distortEditor?: StageDistortEditor;
+  meshWarp?: StageMeshWarp | null;
+  maskMode?: boolean;
+  outputMasks?: OutputMaskShape[];
+  activeOutputMaskId?: string | null;
+  activeOutputMaskPointIndex?: number | null;
   showFirstStep?: boolean;
   disabled?: boolean;
   variant?: 'default' | 'overlay';
@@ -135,6 +206,15 @@ function GridIcon() {
   );
 }
 
+function MaskIcon() {
+  return (
+    <svg viewBox="0 0 18 18" aria-hidden="true">
+      <path d="M2.5 2.5h13v13h-13Z" />
+      <path d="M5.2 12.6 6.8 5l6 2.4-1.4 5.6Z" />
+    </svg>
+  );
+}
+
 function CloseMoveIcon() {
   return (
     <svg viewBox="0 0 18 18" aria-hidden="true">
@@ -154,12 +234,38 @@ export function MappingPad({
   onToggleGrid,
   onDistortModeChange,
   onResetDistortion,
+  onDistortEditorChange,
+  onMeshWarpChange,
+  onMaskModeChange,
+  onOutputMaskSelect,
+  onAddOutputMask,
+  onRemoveOutputMask,
+  onOutputMaskChange,
   onCloseMove,
   onFirstStepDismiss,
+  onTestPatternChange,
+  testPattern = null,
+  onOpenCameraAlignment,
+  onOpenReliefScan,
+  surfaces = [],
+  activeSurfaceId = MAIN_MAPPING_SURFACE_ID,
+  activeSurface = null,
+  surfaceAssets = [],
+  surfaceShaders = [],
+  onActiveSurfaceChange,
+  onAddSurface,
+  onRemoveSurface,
+  onSurfaceChange,
   precision = 12,
   rotationDegrees = 0,
   showGrid = false,
   distortMode = false,
+  distortEditor = 'corners',
+  meshWarp = null,
+  maskMode = false,
+  outputMasks = [],
+  activeOutputMaskId = null,
+  activeOutputMaskPointIndex = null,
   showFirstStep = false,
   disabled = false,
   variant = 'default',
@@ -180,6 +286,13 @@ export function MappingPad({
     useState<PositionPanelMessage>(null);
 
   const displayPrecision = clampPrecision(previewPrecision ?? precision);
+  const showSurfaceRow = Boolean(onActiveSurfaceChange) && surfaces.length > 0;
+  const showMaskPanel = maskMode && Boolean(onMaskModeChange);
+  const activeOutputMask =
+    outputMasks.find((mask) => mask.id === activeOutputMaskId) ?? null;
+  const maskPointIndex = activeOutputMask ? activeOutputMaskPointIndex ?? 0 : 0;
+  const activeSurfaceName =
+    surfaces.find((surface) => surface.id === activeSurfaceId)?.name ?? null;
   const filledDots = Math.max(
     1,
     Math.round((displayPrecision / MAX_PRECISION) * PRECISION_DOT_SCALES.length),
@@ -369,6 +482,15 @@ export function MappingPad({
   };
 
   if (distortMode) {
+    const meshEditing = distortEditor === 'mesh' && meshWarp !== null;
+    const meshDensityKey = meshWarp ? `${meshWarp.columns}x${meshWarp.rows}` : '';
+    const meshDensityOptions = meshWarp &&
+      !STAGE_MESH_DENSITY_PRESETS.some(
+        (preset) => preset.columns === meshWarp.columns && preset.rows === meshWarp.rows,
+      )
+      ? [...STAGE_MESH_DENSITY_PRESETS, { columns: meshWarp.columns, rows: meshWarp.rows }]
+      : STAGE_MESH_DENSITY_PRESETS;
+
     return (
       <div
         className={`mapping-control-shell mapping-control-shell-${variant} mapping-control-shell-distort-compact`}
@@ -386,16 +508,119 @@ export function MappingPad({
           </span>
           <span>Move</span>
         </button>
-        <button
-          type="button"
-          className="mapping-distort-reset"
-          title="Reset corner distortion"
-          aria-label="Reset corner distortion"
-          onClick={onResetDistortion}
-          disabled={disabled || !onResetDistortion}
-        >
-          Reset
-        </button>
+        {surfaces.length > 1 && activeSurfaceName ? (
+          <span className="mapping-distort-surface" title="Surface being distorted">
+            {activeSurfaceName}
+          </span>
+        ) : null}
+        {onDistortEditorChange ? (
+          <div className="mapping-distort-editor-toggle" role="group" aria-label="Warp type">
+            {(['corners', 'mesh'] as const).map((editor) => (
+              <button
+                key={editor}
+                type="button"
+                className={`mapping-distort-editor-option ${
+                  (editor === 'mesh') === meshEditing ? 'mapping-distort-editor-option-active' : ''
+                }`}
+                aria-pressed={(editor === 'mesh') === meshEditing}
+                onClick={() => onDistortEditorChange(editor)}
+                disabled={disabled}
+              >
+                {editor === 'mesh' ? 'Mesh' : 'Corners'}
+              </button>
+            ))}
+          </div>
+        ) : null}
+        {meshEditing && meshWarp && onMeshWarpChange ? (
+          <>
+            <select
+              className="mapping-distort-select"
+              value={meshDensityKey}
+              title="Mesh density (columns × rows)"
+              aria-label="Mesh density"
+              onChange={(event) => {
+                const [columns, rows] = event.target.value.split('x').map(Number);
+                onMeshWarpChange(resampleStageMeshWarp(meshWarp, columns, rows));
+              }}
+              disabled={disabled}
+            >
+              {meshDensityOptions.map((preset) => (
+                <option
+                  key={`${preset.columns}x${preset.rows}`}
+                  value={`${preset.columns}x${preset.rows}`}
+                >
+                  {preset.columns} × {preset.rows}
+                </option>
+              ))}
+            </select>
+            <select
+              className="mapping-distort-select"
+              value={meshWarp.interpolation}
+              title="Mesh interpolation"
+              aria-label="Mesh interpolation"
+              onChange={(event) =>
+                onMeshWarpChange({
+                  ...meshWarp,
+                  interpolation: event.target.value as StageMeshInterpolation,
+                })
+              }
+              disabled={disabled}
+            >
+              {(Object.keys(STAGE_MESH_INTERPOLATION_LABELS) as StageMeshInterpolation[]).map(
+                (interpolation) => (
+                  <option key={interpolation} value={interpolation}>
+                    {STAGE_MESH_INTERPOLATION_LABELS[interpolation]}
+                  </option>
+                ),
+              )}
+            </select>
+            <button
+              type="button"
+              className="mapping-distort-reset"
+              title="Add a control point between every pair"
+              aria-label="Subdivide mesh"
+              onClick={() => onMeshWarpChange(subdivideStageMeshWarp(meshWarp))}
+              disabled={disabled || !canSubdivideStageMeshWarp(meshWarp)}
+            >
+              Subdivide
+            </button>
+            <button
+              type="button"
+              className="mapping-distort-reset"
+              title="Reset every mesh point"
+              aria-label="Reset mesh warp"
+              onClick={() =>
+                onMeshWarpChange(
+                  createStageMeshWarp(meshWarp.columns, meshWarp.rows, meshWarp.interpolation),
+                )
+              }
+              disabled={disabled}
+            >
+              Reset
+            </button>
+            <button
+              type="button"
+              className="mapping-distort-reset"
+              title="Remove the mesh warp and return to corners"
+              aria-label="Remove mesh warp"
+              onClick={() => onMeshWarpChange(null)}
+              disabled={disabled}
+            >
+              Remove
+            </button>
+          </>
+        ) : (
+          <button
+            type="button"
+            className="mapping-distort-reset"
+            title="Reset corner distortion"
+            aria-label="Reset corner distortion"
+            onClick={onResetDistortion}
+            disabled={disabled || !onResetDistortion}
+          >
+            Reset
+          </button>
+        )}
         {onCloseMove ? (
           <button
             type="button"
@@ -417,6 +642,8 @@ export function MappingPad({
       className={`mapping-control-shell mapping-control-shell-${variant} ${
         rotationExpanded ? 'mapping-control-shell-rotation-open' : ''
       } ${positionPanel ? 'mapping-control-shell-position-open' : ''} ${
+        showSurfaceRow ? 'mapping-control-shell-surfaces-open' : ''
+      } ${showMaskPanel ? 'mapping-control-shell-mask-open' : ''} ${
         distortMode ? 'mapping-control-shell-distort-open' : ''
       }`}
       onKeyDown={(event) => {
@@ -501,7 +728,8 @@ export function MappingPad({
               <p className="mapping-position-panel-copy">
                 Load a Mapshroom <strong>.json</strong> position file, or paste JSON
                 copied from the download panel. It changes only movement, size,
-                precision, rotation, and distortion—your asset and shaders stay untouched.
+                precision, rotation, distortion, and mesh warp—your asset and shaders stay
+                untouched.
               </p>
               <div className="mapping-position-panel-button-grid">
                 <button
@@ -559,7 +787,8 @@ export function MappingPad({
           ) : (
             <>
               <p className="mapping-position-panel-copy">
-                This JSON stores the current movement, size, precision, rotation, and distortion.
+                This JSON stores the current movement, size, precision, rotation, distortion, and
+                mesh warp.
                 Copy it for another Mapshroom session or download it as a reusable file.
               </p>
               <label className="mapping-position-text-field">
@@ -685,6 +914,23 @@ export function MappingPad({
         >
           <GridIcon />
         </button>
+        <button
+          type="button"
+          className={`mapping-tool-button ${
+            maskMode ? 'mapping-tool-button-active' : ''
+          }`}
+          title={maskMode ? 'Close output mask editor' : 'Mask the output'}
+          aria-label={maskMode ? 'Close output mask editor' : 'Open output mask editor'}
+          aria-pressed={maskMode}
+          onClick={() => {
+            closePositionPanel();
+            setRotationExpanded(false);
+            onMaskModeChange?.(!maskMode);
+          }}
+          disabled={disabled || !onMaskModeChange}
+        >
+          <MaskIcon />
+        </button>
         {onCloseMove ? (
           <button
             type="button"
@@ -703,6 +949,367 @@ export function MappingPad({
         ) : null}
       </div>
 
+      {showSurfaceRow ? (
+        <div className="mapping-surface-row" aria-label="Mapping surfaces">
+          <label className="mapping-surface-field mapping-surface-field-select">
+            <span>Surface</span>
+            <select
+              value={activeSurfaceId}
+              onChange={(event) => {
+                closePositionPanel();
+                onActiveSurfaceChange?.(event.target.value);
+              }}
+              disabled={disabled}
+            >
+              {surfaces.map((surface) => (
+                <option key={surface.id} value={surface.id}>
+                  {surface.enabled ? surface.name : `${surface.name} (hidden)`}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            type="button"
+            className="mapping-surface-button"
+            title="Add a mapping surface"
+            aria-label="Add a mapping surface"
+            onClick={onAddSurface}
+            disabled={disabled || !onAddSurface || surfaces.length >= MAX_MAPPING_SURFACES}
+          >
+            <AddPositionIcon />
+          </button>
+          {activeSurface ? (
+            <>
+              <button
+                type="button"
+                className={`mapping-surface-button ${
+                  activeSurface.enabled ? 'mapping-surface-button-active' : ''
+                }`}
+                title={activeSurface.enabled ? 'Hide surface on output' : 'Show surface on output'}
+                aria-label={
+                  activeSurface.enabled ? 'Hide surface on output' : 'Show surface on output'
+                }
+                aria-pressed={activeSurface.enabled}
+                onClick={() =>
+                  onSurfaceChange?.(activeSurface.id, { enabled: !activeSurface.enabled })
+                }
+                disabled={disabled || !onSurfaceChange}
+              >
+                {activeSurface.enabled ? 'On' : 'Off'}
+              </button>
+              <button
+                type="button"
+                className="mapping-surface-button mapping-surface-button-remove"
+                title="Remove this surface"
+                aria-label={`Remove ${activeSurface.name}`}
+                onClick={() => onRemoveSurface?.(activeSurface.id)}
+                disabled={disabled || !onRemoveSurface}
+              >
+                <CloseMoveIcon />
+              </button>
+              <label className="mapping-surface-field mapping-surface-field-name">
+                <span>Name</span>
+                <input
+                  type="text"
+                  value={activeSurface.name}
+                  maxLength={40}
+                  onChange={(event) =>
+                    onSurfaceChange?.(activeSurface.id, { name: event.target.value })
+                  }
+                  disabled={disabled || !onSurfaceChange}
+                />
+              </label>
+              <label className="mapping-surface-field">
+                <span>Asset</span>
+                <select
+                  value={activeSurface.assetId ?? ''}
+                  onChange={(event) =>
+                    onSurfaceChange?.(activeSurface.id, {
+                      assetId: event.target.value || null,
+                    })
+                  }
+                  disabled={disabled || !onSurfaceChange}
+                >
+                  <option value="">Project asset</option>
+                  {surfaceAssets.map((asset) => (
+                    <option key={asset.id} value={asset.id}>
+                      {asset.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="mapping-surface-field">
+                <span>Content</span>
+                <select
+                  value={
+                    activeSurface.source === 'shader' && activeSurface.shaderId
+                      ? activeSurface.shaderId
+                      : ''
+                  }
+                  onChange={(event) => {
+                    const shaderId = event.target.value || null;
+                    const source: MappingSurfaceSource = shaderId ? 'shader' : 'timeline';
+                    onSurfaceChange?.(activeSurface.id, { source, shaderId });
+                  }}
+                  disabled={disabled || !onSurfaceChange}
+                >
+                  <option value="">Timeline</option>
+                  {surfaceShaders.map((shader) => (
+                    <option key={shader.id} value={shader.id}>
+                      {shader.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </>
+          ) : null}
+        </div>
+      ) : null}
+
+      {onTestPatternChange ? (
+        <div className="mapping-surface-row mapping-test-pattern-row" aria-label="Test pattern">
+          <label className="mapping-surface-field mapping-surface-field-select">
+            <span>Output test pattern</span>
+            <select
+              value={testPattern ?? ''}
+              onChange={(event) =>
+                onTestPatternChange(
+                  isOutputTestPatternKind(event.target.value) ? event.target.value : null,
+                )
+              }
+              disabled={disabled}
+            >
+              <option value="">Off · show output</option>
+              {OUTPUT_TEST_PATTERNS.map((pattern) => (
+                <option key={pattern.id} value={pattern.id}>
+                  {pattern.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {onOpenCameraAlignment ? (
+            <button
+              type="button"
+              className="mapping-surface-button"
+              title="Align this surface automatically from camera captures"
+              onClick={() => {
+                closePositionPanel();
+                onOpenCameraAlignment();
+              }}
+              disabled={disabled}
+            >
+              Camera align
+            </button>
+          ) : null}
+          {onOpenReliefScan ? (
+            <button
+              type="button"
+              className="mapping-surface-button"
+              title="Scan this surface's shape into depth assets for shaders"
+              onClick={() => {
+                closePositionPanel();
+                onOpenReliefScan();
+              }}
+              disabled={disabled}
+            >
+              Relief scan
+            </button>
+          ) : null}
+        </div>
+      ) : null}
+
+      {showMaskPanel ? (
+        <div className="mapping-mask-panel" aria-label="Output masks">
+          <label className="mapping-surface-field mapping-surface-field-select">
+            <span>Mask</span>
+            <select
+              value={activeOutputMask?.id ?? ''}
+              onChange={(event) => onOutputMaskSelect?.(event.target.value, 0)}
+              disabled={disabled || outputMasks.length === 0}
+            >
+              {outputMasks.length === 0 ? <option value="">No masks yet</option> : null}
+              {outputMasks.map((mask) => (
+                <option key={mask.id} value={mask.id}>
+                  {mask.enabled ? mask.name : `${mask.name} (off)`}
+                </option>
+              ))}
+            </select>
+          </label>
+          {(['polygon', 'bezier'] as const).map((kind) => (
+            <button
+              key={kind}
+              type="button"
+              className="mapping-surface-button"
+              title={`Add a ${OUTPUT_MASK_KIND_LABELS[kind].toLowerCase()} mask`}
+              aria-label={`Add a ${OUTPUT_MASK_KIND_LABELS[kind]} mask`}
+              onClick={() => onAddOutputMask?.(kind)}
+              disabled={disabled || !onAddOutputMask || outputMasks.length >= MAX_OUTPUT_MASKS}
+            >
+              {kind === 'polygon' ? '+ Poly' : '+ Curve'}
+            </button>
+          ))}
+          {activeOutputMask ? (
+            <>
+              <button
+                type="button"
+                className="mapping-surface-button mapping-surface-button-remove"
+                title="Remove this mask"
+                aria-label={`Remove ${activeOutputMask.name}`}
+                onClick={() => onRemoveOutputMask?.(activeOutputMask.id)}
+                disabled={disabled || !onRemoveOutputMask}
+              >
+                <CloseMoveIcon />
+              </button>
+              <div className="mapping-mask-options">
+                <select
+                  value={activeOutputMask.kind}
+                  aria-label="Mask edge type"
+                  onChange={(event) =>
+                    onOutputMaskChange?.(activeOutputMask.id, (mask) => ({
+                      ...mask,
+                      kind: event.target.value as OutputMaskKind,
+                    }))
+                  }
+                  disabled={disabled || !onOutputMaskChange}
+                >
+                  {(Object.keys(OUTPUT_MASK_KIND_LABELS) as OutputMaskKind[]).map((kind) => (
+                    <option key={kind} value={kind}>
+                      {OUTPUT_MASK_KIND_LABELS[kind]}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  className={`mapping-surface-button ${
+                    activeOutputMask.inverted ? 'mapping-surface-button-active' : ''
+                  }`}
+                  title="Hide the inside of this shape instead of revealing it"
+                  aria-pressed={activeOutputMask.inverted}
+                  onClick={() =>
+                    onOutputMaskChange?.(activeOutputMask.id, (mask) => ({
+                      ...mask,
+                      inverted: !mask.inverted,
+                    }))
+                  }
+                  disabled={disabled || !onOutputMaskChange}
+                >
+                  Invert
+                </button>
+                <button
+                  type="button"
+                  className={`mapping-surface-button ${
+                    activeOutputMask.enabled ? 'mapping-surface-button-active' : ''
+                  }`}
+                  title={activeOutputMask.enabled ? 'Turn this mask off' : 'Turn this mask on'}
+                  aria-pressed={activeOutputMask.enabled}
+                  onClick={() =>
+                    onOutputMaskChange?.(activeOutputMask.id, (mask) => ({
+                      ...mask,
+                      enabled: !mask.enabled,
+                    }))
+                  }
+                  disabled={disabled || !onOutputMaskChange}
+                >
+                  {activeOutputMask.enabled ? 'On' : 'Off'}
+                </button>
+              </div>
+              <label className="mapping-surface-field mapping-mask-feather">
+                <span>Feather {(activeOutputMask.feather * 100).toFixed(1)}%</span>
+                <input
+                  type="range"
+                  min={0}
+                  max={MAX_OUTPUT_MASK_FEATHER}
+                  step={0.001}
+                  value={activeOutputMask.feather}
+                  onChange={(event) =>
+                    onOutputMaskChange?.(activeOutputMask.id, (mask) => ({
+                      ...mask,
+                      feather: Number(event.target.value),
+                    }))
+                  }
+                  disabled={disabled || !onOutputMaskChange}
+                />
+              </label>
+              <div className="mapping-mask-points" role="group" aria-label="Mask points">
+                <button
+                  type="button"
+                  className="mapping-surface-button"
+                  aria-label="Select previous mask point"
+                  onClick={() =>
+                    onOutputMaskSelect?.(
+                      activeOutputMask.id,
+                      (maskPointIndex - 1 + activeOutputMask.points.length) %
+                        activeOutputMask.points.length,
+                    )
+                  }
+                  disabled={disabled || !onOutputMaskSelect}
+                >
+                  ‹
+                </button>
+                <span className="mapping-mask-point-label">
+                  Point {maskPointIndex + 1}/{activeOutputMask.points.length}
+                </span>
+                <button
+                  type="button"
+                  className="mapping-surface-button"
+                  aria-label="Select next mask point"
+                  onClick={() =>
+                    onOutputMaskSelect?.(
+                      activeOutputMask.id,
+                      (maskPointIndex + 1) % activeOutputMask.points.length,
+                    )
+                  }
+                  disabled={disabled || !onOutputMaskSelect}
+                >
+                  ›
+                </button>
+                <button
+                  type="button"
+                  className="mapping-surface-button"
+                  title="Add a point after the selected one"
+                  aria-label="Add mask point"
+                  onClick={() => {
+                    onOutputMaskChange?.(activeOutputMask.id, (mask) =>
+                      insertOutputMaskPoint(mask, maskPointIndex),
+                    );
+                    onOutputMaskSelect?.(activeOutputMask.id, maskPointIndex + 1);
+                  }}
+                  disabled={
+                    disabled ||
+                    !onOutputMaskChange ||
+                    activeOutputMask.points.length >= MAX_OUTPUT_MASK_POINTS
+                  }
+                >
+                  +
+                </button>
+                <button
+                  type="button"
+                  className="mapping-surface-button"
+                  title="Remove the selected point"
+                  aria-label="Remove mask point"
+                  onClick={() => {
+                    onOutputMaskChange?.(activeOutputMask.id, (mask) =>
+                      removeOutputMaskPoint(mask, maskPointIndex),
+                    );
+                    onOutputMaskSelect?.(activeOutputMask.id, Math.max(0, maskPointIndex - 1));
+                  }}
+                  disabled={
+                    disabled ||
+                    !onOutputMaskChange ||
+                    activeOutputMask.points.length <= MIN_OUTPUT_MASK_POINTS
+                  }
+                >
+                  −
+                </button>
+              </div>
+              <p className="mapping-mask-hint">
+                Arrows nudge the selected point; W/H scale the shape.
+              </p>
+            </>
+          ) : null}
+        </div>
+      ) : null}
+
       {rotationExpanded ? (
         <div className="mapping-rotation-control">
           <label className="mapping-rotation-range">
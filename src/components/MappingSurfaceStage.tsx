@@ -0,0 +1,99 @@
+import { useMemo } from 'react';
+import type { ComponentProps } from 'react';
+import { parseUniforms, syncUniformValues } from '../lib/shader';
+import {
+  getRenderableShaderCode,
+  getRenderableShaderUniformValues,
+} from '../lib/shaderState';
+import { useAssetObjectUrl } from '../lib/useAssetObjectUrl';
+import type { AssetRecord, MappingSurface } from '../types';
+import { StageRenderer } from './StageRenderer';
+import { TimelineStageRenderer } from './TimelineStageRenderer';
+
+type TimelineStageProps = ComponentProps<typeof TimelineStageRenderer>;
+
+interface MappingSurfaceStageProps
+  extends Omit<
+    TimelineStageProps,
+    'asset' | 'assetUrl' | 'assetUrlStatus' | 'stageTransform' | 'showGrid' | 'testPatternSurface'
+  > {
+  surface: MappingSurface;
+  fallbackAsset: AssetRecord | null;
+}
+
+/**
+ * Renders one extra mapping surface as its own stage layer. Surfaces either
+ * replay the project timeline with their own asset and warp, or hold a single
+ * saved shader.
+ */
+export function MappingSurfaceStage({
+  surface,
+  fallbackAsset,
+  ...timelineProps
+}: MappingSurfaceStageProps) {
+  const {
+    assets,
+    savedShaders,
+    transport,
+    audioRuntime,
+    isOutputOnly,
+    colorCalibration,
+    testPattern,
+    structuredLightFrame,
+  } = timelineProps;
+  const asset = useMemo(
+    () =>
+      (surface.assetId
+        ? assets.find((assetRecord) => assetRecord.id === surface.assetId)
+        : null) ?? fallbackAsset,
+    [assets, fallbackAsset, surface.assetId],
+  );
+  const assetResolution = useAssetObjectUrl(asset);
+  const surfaceShader =
+    surface.source === 'shader' && surface.shaderId
+      ? savedShaders.find((shader) => shader.id === surface.shaderId) ?? null
+      : null;
+  const surfaceShaderCode = getRenderableShaderCode(surfaceShader);
+  const uniformDefinitions = useMemo(
+    () => parseUniforms(surfaceShaderCode),
+    [surfaceShaderCode],
+  );
+  const uniformValues = useMemo(
+    () => syncUniformValues(getRenderableShaderUniformValues(surfaceShader), uniformDefinitions),
+    [surfaceShader, uniformDefinitions],
+  );
+
+  if (surfaceShader && surfaceShaderCode) {
+    return (
+      <StageRenderer
+        asset={asset}
+        assetUrl={assetResolution.url}
+        assetUrlStatus={assetResolution.status}
+        shaderCode={surfaceShaderCode}
+        uniformDefinitions={uniformDefinitions}
+        uniformValues={uniformValues}
+        audioRuntime={audioRuntime}
+        stageTransform={surface.stageTransform}
+        transport={transport}
+        isOutputOnly={isOutputOnly}
+        colorCalibration={colorCalibration}
+        testPattern={testPattern}
+        testPatternSurface={surface}
+        structuredLightFrame={structuredLightFrame}
+        showGrid={Boolean(surface.stageTransform.showGrid)}
+      />
+    );
+  }
+
+  return (
+    <TimelineStageRenderer
+      {...timelineProps}
+      asset={asset}
+      assetUrl={assetResolution.url}
+      assetUrlStatus={assetResolution.status}
+      stageTransform={surface.stageTransform}
+      showGrid={Boolean(surface.stageTransform.showGrid)}
+      testPatternSurface={surface}
+    />
+  );
+}
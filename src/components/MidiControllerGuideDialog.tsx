@@ -22,6 +22,10 @@ const timelineMappings = [
   ['Fader 8', 'Manual A/B mix while CC 22 is enabled'],
   ['CC 23', 'Cycle the selected mix mode'],
   ['Knobs', 'Set mix velocity'],
+  ['Solo 1-8', 'Solo the main sequence (strip 1) or a layer track (strips 2-8)'],
+  ['Mute 1-8', 'Mute the main sequence (strip 1) or a layer track (strips 2-8)'],
+  ['Marker', 'GO: fire the standby cue of the cue list'],
+  ['Nudge', 'BACK: return to the previous cue'],
 ];
 
 export function MidiControllerGuideDialog({
@@ -1,8 +1,16 @@
-import { useRef } from 'react';
+import { Fragment, useRef } from 'react';
 import type { ShaderUniformMap, ShaderUniformValue, ShaderUniformValueMap } from '../types';
 import { useUniformRandomization } from '../hooks/useUniformRandomization';
 import { handleVerticalRangeKey } from '../lib/rangeKeyboard';
+import {
+  getUniformLabel,
+  getUniformStep,
+  groupVisibleUniforms,
+  isNumericUniform,
+  isSliderUniform,
+} from '../lib/shader';
 import { ShaderColorInput } from './ShaderColorInput';
+import { ShaderXYPadInput } from './ShaderXYPadInput';
 import { ShuffleIcon } from './ShuffleIcon';
 import {
   AudioReactivePanelControls,
@@ -38,7 +46,8 @@ export function MobileUniformOverlay({
   onClose,
 }: MobileUniformOverlayProps) {
   const pointerActivationRef = useRef(false);
-  const entries = Object.entries(uniformDefinitions);
+  const uniformGroups = groupVisibleUniforms(uniformDefinitions);
+  const entries = uniformGroups.flatMap((uniformGroup) => uniformGroup.entries);
   const audioModeEnabled = Boolean(audioReactivity?.preferences.modeEnabled);
   const {
     isUniformLocked,
@@ -147,110 +156,142 @@ export function MobileUniformOverlay({
                 uniformValues={uniformValues}
               />
             ) : null}
-            {entries.map(([name, definition]) => {
-              const value = uniformValues[name];
-              if (value === undefined) return null;
+            {uniformGroups.map(({ group, entries: groupEntries }) => (
+              <Fragment key={group ?? ''}>
+                {group ? <span className="uniform-group-title">{group}</span> : null}
+                {groupEntries.map(([name, definition]) => {
+                  const value = uniformValues[name];
+                  if (value === undefined) return null;
 
-              const isNumeric = definition.type === 'float' || definition.type === 'int';
-              const isLocked = isNumeric && isUniformLocked(name);
+                  const label = getUniformLabel(name, definition);
+                  const isNumeric = isNumericUniform(definition);
+                  const isSlider = isSliderUniform(definition);
+                  const showAudioControls = Boolean(
+                    isSlider && audioReactivity && audioShaderId && audioModeEnabled,
+                  );
+                  const isLocked = isNumeric && isUniformLocked(name);
 
-              return (
-                <div
-                  className={`mobile-uniform-field ${
-                    isNumeric ? 'uniform-random-field' : ''
-                  } ${isLocked ? 'uniform-random-field-locked' : ''} ${
-                    isNumeric && audioModeEnabled ? 'audio-reactive-field' : ''
-                  }`}
-                  key={name}
-                >
-                  <span className="mobile-uniform-field-label">
-                    <span>{name}</span>
-                    <span className="uniform-field-meta">
-                      {isNumeric ? (
-                        <span className="uniform-field-actions">
-                          <button
-                            type="button"
-                            className={`uniform-random-lock-button ${
-                              isLocked ? 'uniform-random-lock-button-active' : ''
-                            }`}
-                            aria-label={
-                              isLocked
-                                ? `Include ${name} in randomization`
-                                : `Exclude ${name} from randomization`
-                            }
-                            aria-pressed={isLocked}
-                            onClick={() => toggleUniformLock(name)}
-                          >
-                            <ShuffleIcon blocked={isLocked} />
-                          </button>
-                          {audioReactivity && audioShaderId && audioModeEnabled ? (
-                            <AudioReactiveUniformToggle
-                              controller={audioReactivity}
-                              shaderId={audioShaderId}
-                              name={name}
-                              definition={definition}
-                              baseValue={Number(value)}
-                            />
+                  return (
+                    <div
+                      className={`mobile-uniform-field ${
+                        isNumeric ? 'uniform-random-field' : ''
+                      } ${isLocked ? 'uniform-random-field-locked' : ''} ${
+                        isSlider && audioModeEnabled ? 'audio-reactive-field' : ''
+                      }`}
+                      key={name}
+                    >
+                      <span className="mobile-uniform-field-label">
+                        <span>{label}</span>
+                        <span className="uniform-field-meta">
+                          {isNumeric ? (
+                            <span className="uniform-field-actions">
+                              <button
+                                type="button"
+                                className={`uniform-random-lock-button ${
+                                  isLocked ? 'uniform-random-lock-button-active' : ''
+                                }`}
+                                aria-label={
+                                  isLocked
+                                    ? `Include ${label} in randomization`
+                                    : `Exclude ${label} from randomization`
+                                }
+                                aria-pressed={isLocked}
+                                onClick={() => toggleUniformLock(name)}
+                              >
+                                <ShuffleIcon blocked={isLocked} />
+                              </button>
+                              {showAudioControls && audioReactivity && audioShaderId ? (
+                                <AudioReactiveUniformToggle
+                                  controller={audioReactivity}
+                                  shaderId={audioShaderId}
+                                  name={name}
+                                  definition={definition}
+                                  baseValue={Number(value)}
+                                />
+                              ) : null}
+                            </span>
                           ) : null}
-                        </span>
-                      ) : null}
-                      {isNumeric ? (
-                        <span className="uniform-field-values">
-                          <small>{Number(value).toFixed(definition.type === 'int' ? 0 : 2)}</small>
-                          {audioReactivity && audioShaderId && audioModeEnabled ? (
-                            <AudioReactiveUniformLiveValue
-                              controller={audioReactivity}
-                              shaderId={audioShaderId}
-                              name={name}
-                              definition={definition}
-                              baseValue={Number(value)}
-                            />
+                          {isSlider ? (
+                            <span className="uniform-field-values">
+                              <small>{Number(value).toFixed(definition.type === 'int' ? 0 : 2)}</small>
+                              {showAudioControls && audioReactivity && audioShaderId ? (
+                                <AudioReactiveUniformLiveValue
+                                  controller={audioReactivity}
+                                  shaderId={audioShaderId}
+                                  name={name}
+                                  definition={definition}
+                                  baseValue={Number(value)}
+                                />
+                              ) : null}
+                            </span>
                           ) : null}
                         </span>
+                      </span>
+                      {definition.options ? (
+                        <select
+                          className="select-field"
+                          aria-label={label}
+                          value={Math.round(Number(value))}
+                          onChange={(event) => onUniformChange(name, Number(event.target.value))}
+                        >
+                          {definition.options.map((option, index) => (
+                            <option key={option} value={index}>
+                              {option}
+                            </option>
+                          ))}
+                        </select>
                       ) : null}
-                    </span>
-                  </span>
-                  {isNumeric ? (
-                    audioReactivity && audioShaderId && audioModeEnabled ? (
-                      <AudioReactiveUniformSlider
-                        controller={audioReactivity}
-                        shaderId={audioShaderId}
-                        name={name}
-                        definition={definition}
-                        baseValue={Number(value)}
-                        onBaseValueChange={(nextValue) => onUniformChange(name, nextValue)}
-                      />
-                    ) : (
-                      <input
-                        type="range"
-                        aria-label={name}
-                        min={definition.min}
-                        max={definition.max}
-                        step={definition.type === 'int' ? 1 : (definition.max - definition.min) / 100}
-                        value={Number(value)}
-                        onChange={(event) => onUniformChange(name, Number(event.target.value))}
-                        onKeyDown={(event) =>
-                          handleVerticalRangeKey(event, (nextValue) => onUniformChange(name, nextValue))
-                        }
-                      />
-                    )
-                  ) : null}
-                  {definition.type === 'bool' ? (
-                    <button
-                      type="button"
-                      className={`toggle-chip ${value ? 'toggle-chip-active' : ''}`}
-                      aria-label={name}
-                      onClick={() => onUniformChange(name, !value)}
-                    >
-                      {value ? 'On' : 'Off'}
-                    </button>
-                  ) : null}
-                  {definition.type === 'vec3' && Array.isArray(value) ? (
-                    <ShaderColorInput value={value} onChange={(nextValue) => onUniformChange(name, nextValue)} />
-                  ) : null}
-                </div>
-              );
-            })}
+                      {isSlider ? (
+                        showAudioControls && audioReactivity && audioShaderId ? (
+                          <AudioReactiveUniformSlider
+                            controller={audioReactivity}
+                            shaderId={audioShaderId}
+                            name={name}
+                            definition={definition}
+                            baseValue={Number(value)}
+                            onBaseValueChange={(nextValue) => onUniformChange(name, nextValue)}
+                          />
+                        ) : (
+                          <input
+                            type="range"
+                            aria-label={label}
+                            min={definition.min}
+                            max={definition.max}
+                            step={getUniformStep(definition)}
+                            value={Number(value)}
+                            onChange={(event) => onUniformChange(name, Number(event.target.value))}
+                            onKeyDown={(event) =>
+                              handleVerticalRangeKey(event, (nextValue) => onUniformChange(name, nextValue))
+                            }
+                          />
+                        )
+                      ) : null}
+                      {definition.type === 'bool' ? (
+                        <button
+                          type="button"
+                          className={`toggle-chip ${value ? 'toggle-chip-active' : ''}`}
+                          aria-label={label}
+                          onClick={() => onUniformChange(name, !value)}
+                        >
+                          {value ? 'On' : 'Off'}
+                        </button>
+                      ) : null}
+                      {definition.type === 'vec2' ? (
+                        <ShaderXYPadInput
+                          label={label}
+                          definition={definition}
+                          value={value}
+                          onChange={(nextValue) => onUniformChange(name, nextValue)}
+                        />
+                      ) : null}
+                      {(definition.type === 'vec3' || definition.type === 'vec4') && Array.isArray(value) ? (
+                        <ShaderColorInput value={value} onChange={(nextValue) => onUniformChange(name, nextValue)} />
+                      ) : null}
+                    </div>
+                  );
+                })}
+              </Fragment>
+            ))}
           </div>
         )}
       </div>
@@ -0,0 +1,89 @@
+import type { CSSProperties } from 'react';
+import { createEdgeBlendGradient } from '../lib/edgeBlend';
+import type { OutputRegion } from '../types';
+
+interface OutputBlendOverlayProps {
+  region: OutputRegion;
+}
+
+function toPercent(value: number): string {
+  return `${Number((value * 100).toFixed(4))}%`;
+}
+
+/**
+ * Fades this projector's edges where it overlaps its neighbours and lifts the
+ * non-overlapping part to the doubled black level of the overlaps.
+ */
+export function OutputBlendOverlay({ region }: OutputBlendOverlayProps) {
+  const ramps: Array<{ key: string; style: CSSProperties }> = [];
+  if (region.blendLeft > 0) {
+    ramps.push({
+      key: 'left',
+      style: {
+        left: 0,
+        top: 0,
+        bottom: 0,
+        width: toPercent(region.blendLeft),
+        backgroundImage: createEdgeBlendGradient('to right', region.gamma),
+      },
+    });
+  }
+  if (region.blendRight > 0) {
+    ramps.push({
+      key: 'right',
+      style: {
+        right: 0,
+        top: 0,
+        bottom: 0,
+        width: toPercent(region.blendRight),
+        backgroundImage: createEdgeBlendGradient('to left', region.gamma),
+      },
+    });
+  }
+  if (region.blendTop > 0) {
+    ramps.push({
+      key: 'top',
+      style: {
+        top: 0,
+        left: 0,
+        right: 0,
+        height: toPercent(region.blendTop),
+        backgroundImage: createEdgeBlendGradient('to bottom', region.gamma),
+      },
+    });
+  }
+  if (region.blendBottom > 0) {
+    ramps.push({
+      key: 'bottom',
+      style: {
+        bottom: 0,
+        left: 0,
+        right: 0,
+        height: toPercent(region.blendBottom),
+        backgroundImage: createEdgeBlendGradient('to top', region.gamma),
+      },
+    });
+  }
+
+  const blackLevel = Math.round(region.blackLevel * 255);
+
+  return (
+    <div className="output-blend-overlay" aria-hidden="true" data-region-id={region.id}>
+      {ramps.map((ramp) => (
+        <span key={ramp.key} className="output-blend-ramp" style={ramp.style} />
+      ))}
+      {blackLevel > 0 ? (
+        <span
+          className="output-blend-black-level"
+          style={{
+            left: toPercent(region.blendLeft),
+            right: toPercent(region.blendRight),
+            top: toPercent(region.blendTop),
+            bottom: toPercent(region.blendBottom),
+            backgroundColor: `rgb(${blackLevel}, ${blackLevel}, ${blackLevel})`,
+          }}
+        />
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,316 @@
+import { useEffect, useState } from 'react';
+import {
+  createOutputRegions,
+  getOutputLayoutDirection,
+  getOutputLayoutOverlap,
+  MAX_EDGE_BLEND_GAMMA,
+  MAX_EDGE_BLEND_WIDTH,
+  MAX_OUTPUT_BLACK_LEVEL,
+  MAX_OUTPUT_REGIONS,
+  MIN_EDGE_BLEND_GAMMA,
+  MIN_OUTPUT_REGIONS,
+  updateOutputRegion,
+  type OutputLayoutDirection,
+} from '../lib/edgeBlend';
+import {
+  queryOutputDisplays,
+  type OutputDisplayOption,
+  type OutputDisplayQueryResult,
+} from '../lib/screenDetails';
+import type { OutputLayout, OutputRegion } from '../types';
+
+interface OutputLayoutDialogProps {
+  open: boolean;
+  layout: OutputLayout;
+  onChange: (layout: OutputLayout) => void;
+  onOpenRegion: (region: OutputRegion) => void;
+  onOpenAllRegions: () => void;
+  onClose: () => void;
+}
+
+function formatPercent(value: number): string {
+  return `${Math.round(value * 100)}%`;
+}
+
+function describeRegion(region: OutputRegion, direction: OutputLayoutDirection): string {
+  return direction === 'horizontal'
+    ? `${formatPercent(region.x)} – ${formatPercent(region.x + region.width)} of the width`
+    : `${formatPercent(region.y)} – ${formatPercent(region.y + region.height)} of the height`;
+}
+
+function OutputLayoutDialogContent({
+  layout,
+  onChange,
+  onOpenRegion,
+  onOpenAllRegions,
+  onClose,
+}: Omit<OutputLayoutDialogProps, 'open'>) {
+  const [displayQuery, setDisplayQuery] = useState<OutputDisplayQueryResult | null>(null);
+  const direction = getOutputLayoutDirection(layout);
+  const overlap = getOutputLayoutOverlap(layout);
+  const displays = displayQuery?.status === 'ready' ? displayQuery.screens : [];
+
+  useEffect(() => {
+    let cancelled = false;
+
+    void queryOutputDisplays().then((result) => {
+      if (!cancelled) {
+        setDisplayQuery(result);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const relayout = (count: number, nextOverlap: number, nextDirection: OutputLayoutDirection) => {
+    onChange({
+      ...layout,
+      regions: createOutputRegions(count, nextOverlap, nextDirection, layout.regions),
+    });
+  };
+
+  const updateRegion = (regionId: string, updater: (region: OutputRegion) => OutputRegion) => {
+    onChange(updateOutputRegion(layout, regionId, updater));
+  };
+
+  const assignDisplay = (region: OutputRegion, display: OutputDisplayOption | null) => {
+    updateRegion(region.id, (currentRegion) => ({
+      ...currentRegion,
+      screen: display
+        ? {
+            id: display.id,
+            label: display.label,
+            left: display.left,
+            top: display.top,
+            width: display.width,
+            height: display.height,
+          }
+        : null,
+    }));
+  };
+
+  return (
+    <div
+      className="dialog-backdrop"
+      role="presentation"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <section
+        className="dialog-panel output-layout-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="output-layout-dialog-title"
+      >
+        <header className="dialog-header">
+          <div>
+            <span className="panel-eyebrow">Output</span>
+            <h2 id="output-layout-dialog-title" className="dialog-title">
+              Projectors &amp; Edge Blend
+            </h2>
+          </div>
+          <button type="button" className="ghost-button" onClick={onClose}>
+            Close
+          </button>
+        </header>
+
+        <div className="dialog-body stack gap-md">
+          <p className="dialog-note">
+            Split one wide canvas across several projectors. Each projector gets its own Output
+            window showing only its region, with soft blend ramps where neighbours overlap.
+          </p>
+
+          <section className="dialog-section stack gap-md">
+            <div className="output-layout-toolbar">
+              <button
+                type="button"
+                className={`toggle-chip ${layout.enabled ? 'toggle-chip-active' : ''}`}
+                aria-pressed={layout.enabled}
+                onClick={() =>
+                  onChange(
+                    layout.enabled
+                      ? { ...layout, enabled: false }
+                      : {
+                          enabled: true,
+                          regions:
+                            layout.regions.length >= MIN_OUTPUT_REGIONS
+                              ? layout.regions
+                              : createOutputRegions(MIN_OUTPUT_REGIONS, overlap, direction),
+                        },
+                  )
+                }
+              >
+                {layout.enabled ? 'Edge blend on' : 'Edge blend off'}
+              </button>
+              <label className="field">
+                <span>Projectors</span>
+                <select
+                  className="select-field"
+                  value={layout.regions.length || MIN_OUTPUT_REGIONS}
+                  disabled={!layout.enabled}
+                  onChange={(event) =>
+                    relayout(Number(event.target.value), overlap, direction)
+                  }
+                >
+                  {Array.from(
+                    { length: MAX_OUTPUT_REGIONS - MIN_OUTPUT_REGIONS + 1 },
+                    (_, index) => MIN_OUTPUT_REGIONS + index,
+                  ).map((count) => (
+                    <option key={count} value={count}>
+                      {count}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="field">
+                <span>Arrangement</span>
+                <select
+                  className="select-field"
+                  value={direction}
+                  disabled={!layout.enabled}
+                  onChange={(event) =>
+                    relayout(
+                      layout.regions.length,
+                      overlap,
+                      event.target.value as OutputLayoutDirection,
+                    )
+                  }
+                >
+                  <option value="horizontal">Side by side</option>
+                  <option value="vertical">Stacked</option>
+                </select>
+              </label>
+            </div>
+            <label className="field">
+              <span>Overlap · {formatPercent(overlap)} of each projector</span>
+              <input
+                type="range"
+                min={0}
+                max={MAX_EDGE_BLEND_WIDTH}
+                step={0.005}
+                value={overlap}
+                disabled={!layout.enabled}
+                onChange={(event) =>
+                  relayout(layout.regions.length, Number(event.target.value), direction)
+                }
+              />
+            </label>
+          </section>
+
+          {displayQuery && displayQuery.status !== 'ready' ? (
+            <p className="dialog-note">{displayQuery.message}</p>
+          ) : null}
+
+          {layout.enabled ? (
+            <div className="output-layout-regions">
+              {layout.regions.map((region) => (
+                <section key={region.id} className="dialog-section output-layout-region">
+                  <div className="output-layout-region-header">
+                    <div>
+                      <strong>{region.name}</strong>
+                      <small>{describeRegion(region, direction)}</small>
+                    </div>
+                    <button
+                      type="button"
+                      className="secondary-button"
+                      onClick={() => onOpenRegion(region)}
+                    >
+                      Open window
+                    </button>
+                  </div>
+                  <label className="field">
+                    <span>Display</span>
+                    <select
+                      className="select-field"
+                      value={
+                        displays.find((display) => display.id === region.screen?.id)?.id ?? ''
+                      }
+                      onChange={(event) =>
+                        assignDisplay(
+                          region,
+                          displays.find((display) => display.id === event.target.value) ?? null,
+                        )
+                      }
+                    >
+                      <option value="">
+                        {region.screen && !displays.some((display) => display.id === region.screen?.id)
+                          ? `${region.screen.label || 'Saved display'} (not connected)`
+                          : 'Choose in the Output window'}
+                      </option>
+                      {displays.map((display) => (
+                        <option key={display.id} value={display.id}>
+                          {display.label} · {display.width}×{display.height}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <div className="dialog-grid">
+                    <label className="field">
+                      <span>Gamma · {region.gamma.toFixed(2)}</span>
+                      <input
+                        type="range"
+                        min={MIN_EDGE_BLEND_GAMMA}
+                        max={MAX_EDGE_BLEND_GAMMA}
+                        step={0.05}
+                        value={region.gamma}
+                        onChange={(event) =>
+                          updateRegion(region.id, (currentRegion) => ({
+                            ...currentRegion,
+                            gamma: Number(event.target.value),
+                          }))
+                        }
+                      />
+                    </label>
+                    <label className="field">
+                      <span>Black level · {formatPercent(region.blackLevel)}</span>
+                      <input
+                        type="range"
+                        min={0}
+                        max={MAX_OUTPUT_BLACK_LEVEL}
+                        step={0.002}
+                        value={region.blackLevel}
+                        onChange={(event) =>
+                          updateRegion(region.id, (currentRegion) => ({
+                            ...currentRegion,
+                            blackLevel: Number(event.target.value),
+                          }))
+                        }
+                      />
+                    </label>
+                  </div>
+                </section>
+              ))}
+            </div>
+          ) : null}
+        </div>
+
+        <footer className="dialog-footer">
+          <button type="button" className="ghost-button" onClick={onClose}>
+            Done
+          </button>
+          <button
+            type="button"
+            className="primary-button"
+            disabled={!layout.enabled}
+            onClick={onOpenAllRegions}
+          >
+            Open all windows
+          </button>
+        </footer>
+      </section>
+    </div>
+  );
+}
+
+export function OutputLayoutDialog({ open, ...props }: OutputLayoutDialogProps) {
+  if (!open) {
+    return null;
+  }
+
+  return <OutputLayoutDialogContent {...props} />;
+}
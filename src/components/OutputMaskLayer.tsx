@@ -0,0 +1,197 @@
+import {
+  useEffect,
+  useId,
+  useRef,
+  type PointerEvent as ReactPointerEvent,
+} from 'react';
+import { createOutputMaskPath } from '../lib/outputMasks';
+import type { DistortionPoint, OutputMaskShape } from '../types';
+
+interface OutputMaskLayerProps {
+  masks: OutputMaskShape[];
+  width: number;
+  height: number;
+  /** Shows outlines and lets the mask through partially so shapes can be placed. */
+  showOutlines?: boolean;
+  editable?: boolean;
+  activeMaskId?: string | null;
+  activePointIndex?: number | null;
+  onPointSelect?: (maskId: string, pointIndex: number) => void;
+  onPointChange?: (maskId: string, pointIndex: number, point: DistortionPoint) => void;
+}
+
+const MASK_EXTENT = { x: -250, y: -250, width: 1500, height: 1500 };
+
+/**
+ * Blacks out everything outside the revealed mask shapes. It sits above the
+ * transformed media, so shapes stay fixed in output space while the content
+ * behind them is moved or warped.
+ */
+export function OutputMaskLayer({
+  masks,
+  width,
+  height,
+  showOutlines = false,
+  editable = false,
+  activeMaskId = null,
+  activePointIndex = null,
+  onPointSelect,
+  onPointChange,
+}: OutputMaskLayerProps) {
+  const layerRef = useRef<HTMLDivElement | null>(null);
+  const dragCleanupRef = useRef<(() => void) | null>(null);
+  const baseId = useId().replace(/:/g, '');
+  const enabledMasks = masks.filter((mask) => mask.enabled);
+  const hasRevealMask = enabledMasks.some((mask) => !mask.inverted);
+  const aspectRatio = width > 0 && height > 0 ? width / height : 1;
+
+  useEffect(
+    () => () => {
+      dragCleanupRef.current?.();
+    },
+    [],
+  );
+
+  if (enabledMasks.length === 0 && !showOutlines) {
+    return null;
+  }
+
+  const startPointDrag = (
+    mask: OutputMaskShape,
+    pointIndex: number,
+    event: ReactPointerEvent<HTMLSpanElement>,
+  ) => {
+    onPointSelect?.(mask.id, pointIndex);
+    const layer = layerRef.current;
+    if (!layer || !onPointChange) {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    const pointerId = event.pointerId;
+    const updateFromPointer = (pointerEvent: PointerEvent) => {
+      if (pointerEvent.pointerId !== pointerId) {
+        return;
+      }
+      const bounds = layer.getBoundingClientRect();
+      onPointChange(mask.id, pointIndex, {
+        x: (pointerEvent.clientX - bounds.left) / Math.max(1, bounds.width),
+        y: (pointerEvent.clientY - bounds.top) / Math.max(1, bounds.height),
+      });
+    };
+    const finishDrag = (pointerEvent?: PointerEvent) => {
+      if (pointerEvent && pointerEvent.pointerId !== pointerId) {
+        return;
+      }
+      window.removeEventListener('pointermove', updateFromPointer);
+      window.removeEventListener('pointerup', finishDrag);
+      window.removeEventListener('pointercancel', finishDrag);
+      dragCleanupRef.current = null;
+    };
+
+    dragCleanupRef.current?.();
+    dragCleanupRef.current = () => finishDrag();
+    window.addEventListener('pointermove', updateFromPointer);
+    window.addEventListener('pointerup', finishDrag);
+    window.addEventListener('pointercancel', finishDrag);
+  };
+
+  return (
+    <div
+      ref={layerRef}
+      className={`stage-output-mask-layer ${
+        showOutlines ? 'stage-output-mask-layer-editing' : ''
+      }`}
+      data-output-masks={enabledMasks.length}
+    >
+      <svg
+        className="stage-output-mask"
+        viewBox="0 0 1000 1000"
+        preserveAspectRatio="none"
+        aria-hidden="true"
+      >
+        <defs>
+          {enabledMasks.map((mask) =>
+            mask.feather > 0 ? (
+              <filter
+                key={mask.id}
+                id={`${baseId}-feather-${mask.id}`}
+                x="-50%"
+                y="-50%"
+                width="200%"
+                height="200%"
+              >
+                <feGaussianBlur
+                  stdDeviation={`${(mask.feather * 1000) / 2} ${
+                    (mask.feather * 1000 * aspectRatio) / 2
+                  }`}
+                />
+              </filter>
+            ) : null,
+          )}
+          <mask id={`${baseId}-mask`} maskUnits="userSpaceOnUse" {...MASK_EXTENT}>
+            <rect {...MASK_EXTENT} fill={hasRevealMask ? 'white' : 'black'} />
+            {[
+              ...enabledMasks.filter((mask) => !mask.inverted),
+              ...enabledMasks.filter((mask) => mask.inverted),
+            ].map((mask) => (
+              <path
+                key={mask.id}
+                d={createOutputMaskPath(mask)}
+                fill={mask.inverted ? 'white' : 'black'}
+                filter={mask.feather > 0 ? `url(#${baseId}-feather-${mask.id})` : undefined}
+              />
+            ))}
+          </mask>
+        </defs>
+        <rect
+          className="stage-output-mask-fill"
+          {...MASK_EXTENT}
+          mask={`url(#${baseId}-mask)`}
+        />
+        {showOutlines
+          ? masks.map((mask) => (
+              <path
+                key={`outline-${mask.id}`}
+                className={`stage-output-mask-outline ${
+                  mask.id === activeMaskId ? 'stage-output-mask-outline-active' : ''
+                } ${mask.enabled ? '' : 'stage-output-mask-outline-disabled'}`}
+                d={createOutputMaskPath(mask)}
+              />
+            ))
+          : null}
+      </svg>
+
+      {editable
+        ? masks
+            .filter((mask) => mask.id === activeMaskId)
+            .flatMap((mask) =>
+              mask.points.map((point, pointIndex) => (
+                <span
+                  key={`${mask.id}-${pointIndex}`}
+                  className={`stage-output-mask-point ${
+                    pointIndex === activePointIndex ? 'stage-output-mask-point-active' : ''
+                  }`}
+                  style={{
+                    left: `${point.x * 100}%`,
+                    top: `${point.y * 100}%`,
+                  }}
+                  role="button"
+                  tabIndex={0}
+                  aria-label={`Drag ${mask.name} point ${pointIndex + 1}`}
+                  aria-pressed={pointIndex === activePointIndex}
+                  onPointerDown={(event) => startPointDrag(mask, pointIndex, event)}
+                  onKeyDown={(event) => {
+                    if (event.key === 'Enter' || event.key === ' ') {
+                      event.preventDefault();
+                      onPointSelect?.(mask.id, pointIndex);
+                    }
+                  }}
+                />
+              )),
+            )
+        : null}
+    </div>
+  );
+}
@@ -7,10 +7,12 @@ import {
 } from 'react';
 import type { SavedShader, ShaderTemplate, ShaderUniformValueMap } from '../types';
 import {
-  buildFragmentShaderSource,
-  VERTEX_SHADER_SOURCE,
+  createShaderRenderingContext,
   parseUniforms,
+  setShaderUniform,
+  supportsShaderDialect,
 } from '../lib/shader';
+import { getShaderPreviewSources } from '../lib/shaderPreview';
 import {
   getRenderableShaderCode,
   getRenderableShaderUniformValues,
@@ -119,7 +121,8 @@ interface PreviewRenderer {
   gl: WebGLRenderingContext;
   quadBuffer: WebGLBuffer;
   texture: WebGLTexture;
-  vertexShader: WebGLShader;
+  /** Compiled on first use, by source, so WebGL2 previews get their own vertex stage. */
+  vertexShaders: Map<string, WebGLShader>;
 }
 
 export type PresetSelectionAction = 'replace-current' | 'create-new';
@@ -415,7 +418,7 @@ function createPreviewRenderer(): PreviewRenderer | null {
   canvas.width = PREVIEW_WIDTH;
   canvas.height = PREVIEW_HEIGHT;
 
-  const gl = canvas.getContext('webgl', {
+  const gl = createShaderRenderingContext(canvas, {
     alpha: false,
     antialias: false,
     preserveDrawingBuffer: true,
@@ -424,28 +427,15 @@ function createPreviewRenderer(): PreviewRenderer | null {
     return null;
   }
 
-  const vertexShader = gl.createShader(gl.VERTEX_SHADER);
   const quadBuffer = gl.createBuffer();
   const texture = gl.createTexture();
-  if (!vertexShader || !quadBuffer || !texture) {
+  if (!quadBuffer || !texture) {
     if (texture) {
       gl.deleteTexture(texture);
     }
     if (quadBuffer) {
       gl.deleteBuffer(quadBuffer);
     }
-    if (vertexShader) {
-      gl.deleteShader(vertexShader);
-    }
-    return null;
-  }
-
-  gl.shaderSource(vertexShader, VERTEX_SHADER_SOURCE);
-  gl.compileShader(vertexShader);
-  if (!gl.getShaderParameter(vertexShader, gl.COMPILE_STATUS)) {
-    gl.deleteTexture(texture);
-    gl.deleteBuffer(quadBuffer);
-    gl.deleteShader(vertexShader);
     return null;
   }
 
@@ -468,10 +458,33 @@ function createPreviewRenderer(): PreviewRenderer | null {
     gl,
     quadBuffer,
     texture,
-    vertexShader,
+    vertexShaders: new Map(),
   };
 }
 
+function getPreviewVertexShader(renderer: PreviewRenderer, source: string) {
+  const cached = renderer.vertexShaders.get(source);
+  if (cached) {
+    return cached;
+  }
+
+  const { gl } = renderer;
+  const vertexShader = gl.createShader(gl.VERTEX_SHADER);
+  if (!vertexShader) {
+    return null;
+  }
+
+  gl.shaderSource(vertexShader, source);
+  gl.compileShader(vertexShader);
+  if (!gl.getShaderParameter(vertexShader, gl.COMPILE_STATUS)) {
+    gl.deleteShader(vertexShader);
+    return null;
+  }
+
+  renderer.vertexShaders.set(source, vertexShader);
+  return vertexShader;
+}
+
 function destroyPreviewRenderer(renderer: PreviewRenderer | null) {
   if (!renderer) {
     return;
@@ -479,7 +492,7 @@ function destroyPreviewRenderer(renderer: PreviewRenderer | null) {
 
   renderer.gl.deleteTexture(renderer.texture);
   renderer.gl.deleteBuffer(renderer.quadBuffer);
-  renderer.gl.deleteShader(renderer.vertexShader);
+  renderer.vertexShaders.forEach((vertexShader) => renderer.gl.deleteShader(vertexShader));
   renderer.gl.getExtension('WEBGL_lose_context')?.loseContext();
 }
 
@@ -503,7 +516,17 @@ function renderPreviewToCanvas(
     return createPreviewMessageDataUrl('Preview unavailable');
   }
 
-  const { gl, canvas: renderCanvas, quadBuffer, texture, vertexShader } = renderer;
+  const { gl, canvas: renderCanvas, quadBuffer, texture } = renderer;
+  const sources = getShaderPreviewSources(shaderCode, supportsShaderDialect(gl, 'glsl300es'));
+  if (!sources) {
+    return createPreviewMessageDataUrl('Needs WebGL2');
+  }
+
+  const vertexShader = getPreviewVertexShader(renderer, sources.vertexSource);
+  if (!vertexShader) {
+    return createPreviewMessageDataUrl('Preview unavailable');
+  }
+
   const imageAspect = image.width > 0 && image.height > 0 ? image.width / image.height : 4 / 3;
   const renderWidth =
     imageAspect >= 1 ? PREVIEW_RENDER_MAX_EDGE : Math.max(1, Math.round(PREVIEW_RENDER_MAX_EDGE * imageAspect));
@@ -519,7 +542,7 @@ function renderPreviewToCanvas(
     return createPreviewMessageDataUrl('Preview unavailable');
   }
 
-  gl.shaderSource(fragmentShader, buildFragmentShaderSource(shaderCode));
+  gl.shaderSource(fragmentShader, sources.fragmentSource);
   gl.compileShader(fragmentShader);
   if (!gl.getShaderParameter(fragmentShader, gl.COMPILE_STATUS)) {
     gl.deleteShader(fragmentShader);
@@ -574,14 +597,7 @@ function renderPreviewToCanvas(
   for (const [name, def] of Object.entries(uniforms)) {
     const loc = gl.getUniformLocation(program, name);
     if (loc === null) continue;
-    const value = uniformValues?.[name] ?? def.default;
-    if (def.type === 'float' || def.type === 'int') {
-      gl.uniform1f(loc, Number(value));
-    } else if (def.type === 'bool') {
-      gl.uniform1i(loc, value ? 1 : 0);
-    } else if (def.type === 'vec3' && Array.isArray(value)) {
-      gl.uniform3fv(loc, value);
-    }
+    setShaderUniform(gl, loc, def, uniformValues?.[name] ?? def.default);
   }
 
   gl.drawArrays(gl.TRIANGLES, 0, 6);
@@ -1,17 +1,45 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import type { ProjectLibraryEntry } from '../types';
 
+export interface ProjectSnapshotSummary {
+  id: string;
+  name: string;
+  createdAt: string;
+  /** What differs between the snapshot and the open project, e.g. "2 steps added". */
+  changes: string[];
+}
+
 interface ProjectLibraryDialogProps {
   open: boolean;
   currentProjectName: string;
   activeSessionId: string | null;
   savedProjects: ProjectLibraryEntry[];
+  snapshots: ProjectSnapshotSummary[];
   onClose: () => void;
   onSaveProject: (name: string) => void;
   onSaveAsNewProject: (name: string) => void;
   onCreateNewProject: () => void;
   onCreateEmptyProject: () => void;
   onOpenProject: (sessionId: string) => void;
+  onTakeSnapshot: (name: string) => void;
+  onRestoreSnapshot: (snapshotId: string) => void;
+  onForkSnapshot: (snapshotId: string) => void;
+  onDeleteSnapshot: (snapshotId: string) => void;
+  /** True while a `.mapshroom` archive is being written or read. */
+  archiveBusy: boolean;
+  onExportArchive: () => void;
+  onImportArchive: (file: File) => void;
+  /** False where the File System Access API is missing (Firefox, Safari). */
+  folderSupported: boolean;
+  /** Folder the open project autosaves to, if any. */
+  folderName: string | null;
+  /** Folder remembered for this project that needs permission again after a reload. */
+  pendingFolderName: string | null;
+  folderBusy: boolean;
+  onOpenFolder: () => void;
+  onSaveToFolder: () => void;
+  onReconnectFolder: () => void;
+  onDisconnectFolder: () => void;
 }
 
 function formatProjectTimestamp(value: string): string {
@@ -31,14 +59,32 @@ export function ProjectLibraryDialog({
   currentProjectName,
   activeSessionId,
   savedProjects,
+  snapshots,
   onClose,
   onSaveProject,
   onSaveAsNewProject,
   onCreateNewProject,
   onCreateEmptyProject,
   onOpenProject,
+  onTakeSnapshot,
+  onRestoreSnapshot,
+  onForkSnapshot,
+  onDeleteSnapshot,
+  archiveBusy,
+  onExportArchive,
+  onImportArchive,
+  folderSupported,
+  folderName,
+  pendingFolderName,
+  folderBusy,
+  onOpenFolder,
+  onSaveToFolder,
+  onReconnectFolder,
+  onDisconnectFolder,
 }: ProjectLibraryDialogProps) {
   const [projectNameDraft, setProjectNameDraft] = useState(currentProjectName);
+  const [snapshotNameDraft, setSnapshotNameDraft] = useState('');
+  const archiveInputRef = useRef<HTMLInputElement | null>(null);
 
   useEffect(() => {
     if (open) {
@@ -116,6 +162,181 @@ export function ProjectLibraryDialog({
                 >
                   Save As New Project
                 </button>
+                <button
+                  type="button"
+                  className="secondary-button"
+                  disabled={archiveBusy}
+                  onClick={onExportArchive}
+                >
+                  Export Archive
+                </button>
+                <button
+                  type="button"
+                  className="secondary-button"
+                  disabled={archiveBusy}
+                  onClick={() => archiveInputRef.current?.click()}
+                >
+                  Import Archive
+                </button>
+                <input
+                  ref={archiveInputRef}
+                  type="file"
+                  accept=".mapshroom,application/zip"
+                  hidden
+                  onChange={(event) => {
+                    const file = event.target.files?.[0];
+                    event.target.value = '';
+                    if (file) {
+                      onImportArchive(file);
+                    }
+                  }}
+                />
+              </div>
+              <p className="helper-copy">
+                {archiveBusy
+                  ? 'Working on the archive…'
+                  : 'An archive is one .mapshroom file with the project, every asset file and its audio and MIDI settings, for moving a show to another machine.'}
+              </p>
+            </div>
+          </section>
+
+          <section className="dialog-section">
+            <span className="panel-eyebrow">Project Folder</span>
+            <div className="stack gap-md">
+              {folderSupported ? (
+                <>
+                  <div className="project-dialog-actions">
+                    <button
+                      type="button"
+                      className="secondary-button"
+                      disabled={folderBusy}
+                      onClick={onOpenFolder}
+                    >
+                      Open Folder
+                    </button>
+                    <button
+                      type="button"
+                      className="secondary-button"
+                      disabled={folderBusy}
+                      onClick={onSaveToFolder}
+                    >
+                      {folderName ? 'Save to Another Folder' : 'Save to Folder'}
+                    </button>
+                    {pendingFolderName ? (
+                      <button
+                        type="button"
+                        className="primary-button"
+                        disabled={folderBusy}
+                        onClick={onReconnectFolder}
+                      >
+                        Reconnect "{pendingFolderName}"
+                      </button>
+                    ) : null}
+                    {folderName || pendingFolderName ? (
+                      <button
+                        type="button"
+                        className="ghost-button"
+                        disabled={folderBusy}
+                        onClick={onDisconnectFolder}
+                      >
+                        Disconnect
+                      </button>
+                    ) : null}
+                  </div>
+                  <p className="helper-copy">
+                    {folderName
+                      ? `Autosaving to "${folderName}". Edits to its shaders/*.glsl files in ` +
+                        'another editor load here as soon as they are saved.'
+                      : pendingFolderName
+                        ? `This project saves to "${pendingFolderName}". The browser needs ` +
+                          'permission again before Mapshroom can write there.'
+                        : 'Keep the project as project.json, one .glsl file per shader and ' +
+                          'its asset files in a folder on disk, for version control or editing ' +
+                          'shaders in your own editor.'}
+                  </p>
+                </>
+              ) : (
+                <p className="dialog-note">
+                  This browser cannot save projects straight to a folder. Use Export Archive to
+                  download the project and Import Archive to load it again.
+                </p>
+              )}
+            </div>
+          </section>
+
+          <section className="dialog-section">
+            <span className="panel-eyebrow">Snapshots</span>
+            <div className="stack gap-md">
+              <div className="project-snapshot-form">
+                <label className="field">
+                  <span>Snapshot name</span>
+                  <input
+                    className="text-field"
+                    type="text"
+                    value={snapshotNameDraft}
+                    onChange={(event) => setSnapshotNameDraft(event.target.value)}
+                    placeholder="Before the second act"
+                  />
+                </label>
+                <button
+                  type="button"
+                  className="secondary-button"
+                  onClick={() => {
+                    onTakeSnapshot(snapshotNameDraft);
+                    setSnapshotNameDraft('');
+                  }}
+                >
+                  Take Snapshot
+                </button>
+              </div>
+              <div className="project-library-list">
+                {snapshots.length ? (
+                  snapshots.map((snapshot) => (
+                    <article key={snapshot.id} className="project-library-card">
+                      <div className="project-library-card-copy">
+                        <div className="project-library-card-title-row">
+                          <strong>{snapshot.name}</strong>
+                        </div>
+                        <span className="project-library-card-meta">
+                          {formatProjectTimestamp(snapshot.createdAt)}
+                        </span>
+                        <span className="project-library-card-meta">
+                          {snapshot.changes.length
+                            ? `Since then: ${snapshot.changes.join(', ')}`
+                            : 'No changes since'}
+                        </span>
+                      </div>
+                      <div className="project-snapshot-actions">
+                        <button
+                          type="button"
+                          className="secondary-button"
+                          disabled={snapshot.changes.length === 0}
+                          onClick={() => onRestoreSnapshot(snapshot.id)}
+                        >
+                          Restore
+                        </button>
+                        <button
+                          type="button"
+                          className="secondary-button"
+                          onClick={() => onForkSnapshot(snapshot.id)}
+                        >
+                          Fork
+                        </button>
+                        <button
+                          type="button"
+                          className="ghost-button"
+                          onClick={() => onDeleteSnapshot(snapshot.id)}
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </article>
+                  ))
+                ) : (
+                  <div className="project-library-empty">
+                    Take a snapshot to keep this version of the project and come back to it later.
+                  </div>
+                )}
               </div>
             </div>
           </section>
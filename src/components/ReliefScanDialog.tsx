@@ -0,0 +1,299 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  computeReliefScan,
+  encodeCorrespondenceImage,
+  encodeReliefImage,
+  type ReliefScan,
+} from '../lib/reliefScan';
+import {
+  createStructuredLightScanSequence,
+  decodeGrayCodeCaptures,
+  type LuminanceFrame,
+  type StructuredLightCorrespondence,
+  type StructuredLightFrame,
+} from '../lib/structuredLight';
+import { StructuredLightCapturePanel } from './StructuredLightCapturePanel';
+
+export interface ReliefScanAssets {
+  name: string;
+  correspondence: Blob;
+  relief: Blob;
+}
+
+interface ReliefScanDialogProps {
+  open: boolean;
+  surfaceName: string;
+  /** Output width / height, which sets the shape of the saved maps. */
+  aspectRatio: number;
+  onShowFrame: (frame: StructuredLightFrame | null) => void;
+  /** Stores the maps as project assets; resolves false when saving failed. */
+  onSave: (assets: ReliefScanAssets) => Promise<boolean>;
+  onClose: () => void;
+}
+
+const SMOOTHING_OPTIONS = [
+  { value: 0, label: 'Off' },
+  { value: 1, label: 'Light' },
+  { value: 3, label: 'Strong' },
+];
+const RESOLUTION_OPTIONS = [256, 512, 1024];
+const DEFAULT_RESOLUTION = 512;
+const DEFAULT_SCAN_NAME = 'Relief scan';
+
+function describeError(error: unknown, fallback: string): string {
+  return error instanceof Error ? error.message : fallback;
+}
+
+function drawReliefPreview(canvas: HTMLCanvasElement, scan: ReliefScan) {
+  const { width, height } = scan.correspondence;
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  if (!context) {
+    return;
+  }
+
+  const image = context.createImageData(width, height);
+  scan.relief.forEach((value, index) => {
+    const seen = !Number.isNaN(value);
+    const level = seen ? Math.round(value * 255) : 0;
+    image.data[index * 4] = seen ? level : 90;
+    image.data[index * 4 + 1] = level;
+    image.data[index * 4 + 2] = level;
+    image.data[index * 4 + 3] = 255;
+  });
+  context.putImageData(image, 0, 0);
+}
+
+function createPngBlob(pixels: Uint8ClampedArray, width: number, height: number): Promise<Blob> {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  if (!context) {
+    return Promise.reject(new Error('Unable to encode the scan in this browser.'));
+  }
+
+  const image = context.createImageData(width, height);
+  image.data.set(pixels);
+  context.putImageData(image, 0, 0);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('Unable to encode the scan.'))),
+      'image/png',
+    );
+  });
+}
+
+function ReliefScanDialogContent({
+  surfaceName,
+  aspectRatio,
+  onShowFrame,
+  onSave,
+  onClose,
+}: Omit<ReliefScanDialogProps, 'open'>) {
+  const [scanning, setScanning] = useState(false);
+  const [correspondence, setCorrespondence] = useState<StructuredLightCorrespondence | null>(
+    null,
+  );
+  const [invert, setInvert] = useState(false);
+  const [smoothing, setSmoothing] = useState(1);
+  const [resolution, setResolution] = useState(DEFAULT_RESOLUTION);
+  const [name, setName] = useState(DEFAULT_SCAN_NAME);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState('');
+  const previewCanvasRef = useRef<HTMLCanvasElement | null>(null);
+
+  const result = useMemo<{ scan: ReliefScan | null; error: string }>(() => {
+    if (!correspondence) {
+      return { scan: null, error: '' };
+    }
+    try {
+      return {
+        scan: computeReliefScan(correspondence, { aspectRatio, smoothing, invert }),
+        error: '',
+      };
+    } catch (error) {
+      return { scan: null, error: describeError(error, 'Unable to build the relief map.') };
+    }
+  }, [aspectRatio, correspondence, invert, smoothing]);
+
+  useEffect(() => {
+    if (previewCanvasRef.current && result.scan) {
+      drawReliefPreview(previewCanvasRef.current, result.scan);
+    }
+  }, [result.scan]);
+
+  const acceptCaptures = (sequence: StructuredLightFrame[], captures: LuminanceFrame[]) => {
+    const map = decodeGrayCodeCaptures(sequence, captures);
+    if (map.validCount === 0) {
+      throw new Error('No projector light was found. Check the camera sees the output.');
+    }
+    setCorrespondence(map);
+    setSaveError('');
+  };
+
+  const handleSave = async () => {
+    const scan = result.scan;
+    if (!scan) {
+      return;
+    }
+
+    const width = resolution;
+    const height = Math.max(1, Math.round(resolution / aspectRatio));
+    setSaving(true);
+    setSaveError('');
+    try {
+      const [correspondenceBlob, reliefBlob] = await Promise.all([
+        createPngBlob(encodeCorrespondenceImage(scan.correspondence, width, height), width, height),
+        createPngBlob(encodeReliefImage(scan, width, height), width, height),
+      ]);
+      const saved = await onSave({
+        name: name.trim() || DEFAULT_SCAN_NAME,
+        correspondence: correspondenceBlob,
+        relief: reliefBlob,
+      });
+      if (!saved) {
+        setSaveError('The scan could not be saved in this browser.');
+      }
+    } catch (error) {
+      setSaveError(describeError(error, 'The scan could not be saved.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const coverage = result.scan ? Math.round(result.scan.coverage * 100) : 0;
+  const busy = scanning || saving;
+
+  return (
+    <div
+      className="dialog-backdrop"
+      role="presentation"
+      onClick={(event) => {
+        if (event.target === event.currentTarget && !busy) {
+          onClose();
+        }
+      }}
+    >
+      <section
+        className="dialog-panel camera-alignment-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="relief-scan-dialog-title"
+      >
+        <header className="dialog-header">
+          <div>
+            <span className="panel-eyebrow">Mapping · {surfaceName}</span>
+            <h2 id="relief-scan-dialog-title" className="dialog-title">
+              Relief Scan
+            </h2>
+          </div>
+          <button type="button" className="ghost-button" onClick={onClose} disabled={busy}>
+            Close
+          </button>
+        </header>
+
+        <div className="dialog-body stack gap-md">
+          <p className="dialog-note">
+            The Output flashes stripes and soft waves on this surface while a camera watches. Set
+            the camera a little to one side of the projector: depth shows up as a sideways shift
+            between the two. Keep both still and the room dark.
+          </p>
+
+          <StructuredLightCapturePanel
+            createSequence={createStructuredLightScanSequence}
+            onShowFrame={onShowFrame}
+            onCaptured={acceptCaptures}
+            onScanningChange={setScanning}
+          />
+
+          {correspondence ? (
+            <section className="dialog-section stack gap-md">
+              <span className="panel-eyebrow">Result · {coverage}% of the output seen</span>
+              <div className="camera-alignment-toolbar">
+                <button
+                  type="button"
+                  className={`toggle-chip ${invert ? 'toggle-chip-active' : ''}`}
+                  aria-pressed={invert}
+                  onClick={() => setInvert((current) => !current)}
+                >
+                  Invert relief
+                </button>
+                <label className="field">
+                  <span>Smoothing</span>
+                  <select
+                    className="select-field"
+                    value={smoothing}
+                    onChange={(event) => setSmoothing(Number(event.target.value))}
+                  >
+                    {SMOOTHING_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="field">
+                  <span>Map width</span>
+                  <select
+                    className="select-field"
+                    value={resolution}
+                    onChange={(event) => setResolution(Number(event.target.value))}
+                  >
+                    {RESOLUTION_OPTIONS.map((option) => (
+                      <option key={option} value={option}>
+                        {option} px
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="field">
+                  <span>Asset name</span>
+                  <input
+                    className="text-field"
+                    type="text"
+                    value={name}
+                    onChange={(event) => setName(event.target.value)}
+                  />
+                </label>
+              </div>
+              {result.scan ? (
+                <div className="camera-alignment-preview">
+                  <canvas ref={previewCanvasRef} />
+                </div>
+              ) : null}
+              <span className="helper-copy">
+                {result.error ||
+                  'White is nearest the camera, red was never seen. Saving adds a relief map and a correspondence map (camera position in red and green) to the library for shader inputs.'}
+              </span>
+              {saveError ? <p className="dialog-error-copy">{saveError}</p> : null}
+            </section>
+          ) : null}
+        </div>
+
+        <footer className="dialog-footer">
+          <button type="button" className="ghost-button" onClick={onClose} disabled={busy}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="primary-button"
+            disabled={!result.scan || busy}
+            onClick={() => void handleSave()}
+          >
+            {saving ? 'Saving…' : 'Save as assets'}
+          </button>
+        </footer>
+      </section>
+    </div>
+  );
+}
+
+export function ReliefScanDialog({ open, ...props }: ReliefScanDialogProps) {
+  if (!open) {
+    return null;
+  }
+
+  return <ReliefScanDialogContent {...props} />;
+}
@@ -0,0 +1,221 @@
+import { useMemo, useRef, useState, type ChangeEvent } from 'react';
+import {
+  parseShaderBundle,
+  planShaderBundleImport,
+  type ShaderBundle,
+  type ShaderBundleTimelineMode,
+} from '../lib/shaderBundle';
+import type { SavedShader } from '../types';
+
+export interface ShaderBundleImportOptions {
+  timelineMode: ShaderBundleTimelineMode;
+  /** Import shaders whose code already exists as separate copies instead of reusing them. */
+  includeDuplicates: boolean;
+}
+
+interface ShaderBundleImportDialogProps {
+  open: boolean;
+  savedShaders: SavedShader[];
+  onImport: (bundle: ShaderBundle, options: ShaderBundleImportOptions) => void;
+  onClose: () => void;
+}
+
+const TIMELINE_MODE_OPTIONS: Array<{ value: ShaderBundleTimelineMode; label: string }> = [
+  { value: 'merge', label: 'Add steps to timeline' },
+  { value: 'replace', label: 'Replace timeline' },
+  { value: 'none', label: 'Shaders only' },
+];
+
+function ShaderBundleImportDialogContent({
+  savedShaders,
+  onImport,
+  onClose,
+}: Omit<ShaderBundleImportDialogProps, 'open'>) {
+  const [bundle, setBundle] = useState<ShaderBundle | null>(null);
+  const [fileName, setFileName] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [timelineMode, setTimelineMode] = useState<ShaderBundleTimelineMode>('merge');
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const fileInputRef = useRef<HTMLInputElement | null>(null);
+
+  const plan = useMemo(
+    () => (bundle ? planShaderBundleImport(bundle, savedShaders) : []),
+    [bundle, savedShaders],
+  );
+  const duplicateCount = plan.filter((entry) => entry.duplicateOf).length;
+  const newShaderCount = includeDuplicates ? plan.length : plan.length - duplicateCount;
+
+  const handleFile = async (event: ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      const nextBundle = parseShaderBundle(await file.text());
+      setBundle(nextBundle);
+      setFileName(file.name);
+      setTimelineMode(nextBundle.timeline.steps.length ? 'merge' : 'none');
+      setErrorMessage('');
+    } catch (error) {
+      setBundle(null);
+      setErrorMessage(error instanceof Error ? error.message : 'Unable to read this file.');
+    }
+  };
+
+  return (
+    <div
+      className="dialog-backdrop"
+      role="presentation"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <section
+        className="dialog-panel shader-bundle-import-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shader-bundle-import-title"
+      >
+        <header className="dialog-header">
+          <div>
+            <span className="panel-eyebrow">Shader</span>
+            <h2 id="shader-bundle-import-title" className="dialog-title">
+              Import Shader Bundle
+            </h2>
+          </div>
+          <button type="button" className="ghost-button" onClick={onClose}>
+            Close
+          </button>
+        </header>
+
+        <div className="dialog-body stack gap-md">
+          <p className="dialog-note">
+            Load a shaders .json file saved from Export. Shaders keep their slider values and
+            audio-reactive bindings; ones whose code is already in this project are reused.
+          </p>
+
+          <section className="dialog-section stack gap-md">
+            <div className="project-dialog-actions">
+              <button
+                type="button"
+                className="secondary-button"
+                onClick={() => fileInputRef.current?.click()}
+              >
+                {bundle ? 'Choose Another File' : 'Choose File'}
+              </button>
+              {fileName ? <span className="helper-copy">{fileName}</span> : null}
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json,application/json"
+                hidden
+                onChange={(event) => void handleFile(event)}
+              />
+            </div>
+            {errorMessage ? <p className="dialog-error-copy">{errorMessage}</p> : null}
+          </section>
+
+          {bundle ? (
+            <>
+              <section className="dialog-section stack gap-md">
+                <span className="panel-eyebrow">
+                  {bundle.project.name || 'Bundle'} · {plan.length} shaders ·{' '}
+                  {bundle.timeline.steps.length} steps
+                </span>
+                <div className="project-library-list shader-bundle-import-list">
+                  {plan.map(({ shader, duplicateOf }) => (
+                    <article key={shader.id} className="project-library-card">
+                      <div className="project-library-card-copy">
+                        <div className="project-library-card-title-row">
+                          <strong>{shader.name}</strong>
+                          {duplicateOf ? (
+                            <span className="project-library-card-badge">Duplicate</span>
+                          ) : null}
+                          {shader.audioReactiveBindings ? (
+                            <span className="project-library-card-badge">Audio</span>
+                          ) : null}
+                        </div>
+                        <span className="project-library-card-meta">
+                          {duplicateOf
+                            ? `Same code as "${duplicateOf.name}"`
+                            : `${Object.keys(shader.sliderValues).length} slider values`}
+                          {shader.timelineStepIds.length
+                            ? ` · ${shader.timelineStepIds.length} timeline steps`
+                            : ''}
+                        </span>
+                      </div>
+                    </article>
+                  ))}
+                </div>
+              </section>
+
+              <section className="dialog-section stack gap-md">
+                <span className="panel-eyebrow">Merge</span>
+                <div className="project-dialog-actions">
+                  {TIMELINE_MODE_OPTIONS.map((option) => (
+                    <button
+                      key={option.value}
+                      type="button"
+                      className={`toggle-chip ${
+                        timelineMode === option.value ? 'toggle-chip-active' : ''
+                      }`}
+                      aria-pressed={timelineMode === option.value}
+                      disabled={option.value !== 'none' && bundle.timeline.steps.length === 0}
+                      onClick={() => setTimelineMode(option.value)}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+                {duplicateCount ? (
+                  <button
+                    type="button"
+                    className={`toggle-chip ${includeDuplicates ? 'toggle-chip-active' : ''}`}
+                    aria-pressed={includeDuplicates}
+                    onClick={() => setIncludeDuplicates((current) => !current)}
+                  >
+                    Import {duplicateCount} duplicates as copies
+                  </button>
+                ) : null}
+                <span className="helper-copy">
+                  {newShaderCount} new shaders will be added.{' '}
+                  {timelineMode === 'replace'
+                    ? 'The current timeline steps will be removed.'
+                    : timelineMode === 'merge'
+                      ? `${bundle.timeline.steps.length} steps will be added after the current ones.`
+                      : 'The timeline stays as it is.'}
+                </span>
+              </section>
+            </>
+          ) : null}
+        </div>
+
+        <footer className="dialog-footer">
+          <button type="button" className="ghost-button" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="primary-button"
+            disabled={!bundle}
+            onClick={() => bundle && onImport(bundle, { timelineMode, includeDuplicates })}
+          >
+            Import
+          </button>
+        </footer>
+      </section>
+    </div>
+  );
+}
+
+export function ShaderBundleImportDialog({ open, ...props }: ShaderBundleImportDialogProps) {
+  if (!open) {
+    return null;
+  }
+
+  return <ShaderBundleImportDialogContent {...props} />;
+}
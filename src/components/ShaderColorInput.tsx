@@ -96,6 +96,10 @@ export function ShaderColorInput({ value, onChange }: ShaderColorInputProps) {
     return null;
   }
 
+  // vec4 colors carry an alpha channel that the RGB controls leave untouched.
+  const alpha = value.length === 4 ? clamp01(Number(value[3])) : null;
+  const withAlpha = (rgb: [number, number, number]): ShaderUniformValue =>
+    alpha === null ? rgb : [...rgb, alpha];
   const normalizedValue: [number, number, number] = [
     clamp01(Number(value[0])),
     clamp01(Number(value[1])),
@@ -110,10 +114,11 @@ export function ShaderColorInput({ value, onChange }: ShaderColorInputProps) {
     Math.round(normalizedValue[2] * 255),
   ];
   const rgbLabel = value
+    .slice(0, 3)
     .map((channel) => Math.round(Math.max(0, Math.min(1, Number(channel))) * 255))
     .join(' ');
   const commitHsv = (hue: number, saturation: number, nextValue: number) => {
-    onChange(hsvToRgb(hue, clamp01(saturation), clamp01(nextValue)));
+    onChange(withAlpha(hsvToRgb(hue, clamp01(saturation), clamp01(nextValue))));
   };
   const setHue = (nextHue: number) => {
     commitHsv(nextHue, hsvValue.saturation, hsvValue.value);
@@ -133,7 +138,7 @@ export function ShaderColorInput({ value, onChange }: ShaderColorInputProps) {
     const red = parseInt(nextHex.slice(1, 3), 16);
     const green = parseInt(nextHex.slice(3, 5), 16);
     const blue = parseInt(nextHex.slice(5, 7), 16);
-    onChange([red / 255, green / 255, blue / 255]);
+    onChange(withAlpha([red / 255, green / 255, blue / 255]));
   };
 
   return (
@@ -147,7 +152,10 @@ export function ShaderColorInput({ value, onChange }: ShaderColorInputProps) {
         <span className="color-picker-swatch" style={{ backgroundColor: hexValue }} />
         <span className="color-picker-copy">
           <strong>{hexValue.toUpperCase()}</strong>
-          <small>RGB {rgbLabel}</small>
+          <small>
+            RGB {rgbLabel}
+            {alpha !== null ? ` · ${Math.round(alpha * 100)}%` : ''}
+          </small>
         </span>
       </button>
 
@@ -185,6 +193,22 @@ export function ShaderColorInput({ value, onChange }: ShaderColorInputProps) {
               />
             </label>
           </span>
+          {alpha !== null ? (
+            <label className="color-picker-hex-field color-picker-alpha-field">
+              <span>Alpha {Math.round(alpha * 100)}%</span>
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.01}
+                value={alpha}
+                onChange={(event) =>
+                  onChange([...normalizedValue, Number(event.target.value)])
+                }
+                aria-label="Color alpha"
+              />
+            </label>
+          ) : null}
           <span className="color-picker-preview-row">
             <span className="color-picker-preview" style={{ backgroundColor: hexValue }} />
             <span className="color-picker-rgb-value">RGB {rgbValues.join(' ')}</span>
@@ -0,0 +1,185 @@
+import { useMemo, useRef, useState, type ChangeEvent } from 'react';
+import {
+  convertShaderSource,
+  SHADER_SOURCE_FORMAT_LABELS,
+  type ShaderSourceConversion,
+} from '../lib/shaderImport';
+
+interface ShaderSourceImportDialogProps {
+  open: boolean;
+  onImport: (conversion: ShaderSourceConversion) => void;
+  onClose: () => void;
+}
+
+function getFileBaseName(fileName: string): string {
+  return fileName.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim();
+}
+
+function ShaderSourceImportDialogContent({
+  onImport,
+  onClose,
+}: Omit<ShaderSourceImportDialogProps, 'open'>) {
+  const [source, setSource] = useState('');
+  const [name, setName] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const fileInputRef = useRef<HTMLInputElement | null>(null);
+
+  const result = useMemo((): { conversion: ShaderSourceConversion | null; error: string } => {
+    if (!source.trim()) {
+      return { conversion: null, error: '' };
+    }
+
+    try {
+      return { conversion: convertShaderSource(source, name), error: '' };
+    } catch (error) {
+      return {
+        conversion: null,
+        error: error instanceof Error ? error.message : 'Unable to convert this shader.',
+      };
+    }
+  }, [name, source]);
+  const { conversion } = result;
+
+  const handleFile = async (event: ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      setSource(await file.text());
+      setFileName(file.name);
+      setName((current) => current || getFileBaseName(file.name));
+      setErrorMessage('');
+    } catch (error) {
+      setErrorMessage(error instanceof Error ? error.message : 'Unable to read this file.');
+    }
+  };
+
+  return (
+    <div
+      className="dialog-backdrop"
+      role="presentation"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <section
+        className="dialog-panel shader-source-import-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shader-source-import-title"
+      >
+        <header className="dialog-header">
+          <div>
+            <span className="panel-eyebrow">Shader</span>
+            <h2 id="shader-source-import-title" className="dialog-title">
+              Import Shadertoy or ISF
+            </h2>
+          </div>
+          <button type="button" className="ghost-button" onClick={onClose}>
+            Close
+          </button>
+        </header>
+
+        <div className="dialog-body stack gap-md">
+          <p className="dialog-note">
+            Paste a Shadertoy image shader with mainImage, or load an ISF .fs file. It is rewritten
+            as a processColor shader and saved to the library; ISF inputs become sliders.
+          </p>
+
+          <section className="dialog-section stack gap-md">
+            <div className="project-dialog-actions">
+              <button
+                type="button"
+                className="secondary-button"
+                onClick={() => fileInputRef.current?.click()}
+              >
+                {fileName ? 'Choose Another File' : 'Choose File'}
+              </button>
+              {fileName ? <span className="helper-copy">{fileName}</span> : null}
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".fs,.frag,.glsl,.txt,text/plain"
+                hidden
+                onChange={(event) => void handleFile(event)}
+              />
+            </div>
+            <label className="field">
+              <span>Source</span>
+              <textarea
+                className="prompt-field shader-source-import-code"
+                value={source}
+                rows={10}
+                spellCheck={false}
+                placeholder="void mainImage(out vec4 fragColor, in vec2 fragCoord) { … }"
+                onChange={(event) => {
+                  setSource(event.target.value);
+                  setFileName('');
+                }}
+              />
+            </label>
+            <label className="field">
+              <span>Name</span>
+              <input
+                className="text-field"
+                type="text"
+                value={name}
+                placeholder={conversion?.name}
+                onChange={(event) => setName(event.target.value)}
+              />
+            </label>
+            {errorMessage || result.error ? (
+              <p className="dialog-error-copy">{errorMessage || result.error}</p>
+            ) : null}
+          </section>
+
+          {conversion ? (
+            <section className="dialog-section stack gap-md">
+              <span className="panel-eyebrow">
+                {SHADER_SOURCE_FORMAT_LABELS[conversion.format]} ·{' '}
+                {conversion.warnings.length
+                  ? `${conversion.warnings.length} approximated or unsupported`
+                  : 'Fully supported'}
+              </span>
+              {conversion.warnings.length ? (
+                <ul className="shader-source-import-warnings">
+                  {conversion.warnings.map((warning) => (
+                    <li key={warning}>{warning}</li>
+                  ))}
+                </ul>
+              ) : null}
+            </section>
+          ) : null}
+        </div>
+
+        <footer className="dialog-footer">
+          <button type="button" className="ghost-button" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="primary-button"
+            disabled={!conversion}
+            onClick={() => conversion && onImport(conversion)}
+          >
+            Import
+          </button>
+        </footer>
+      </section>
+    </div>
+  );
+}
+
+export function ShaderSourceImportDialog({ open, ...props }: ShaderSourceImportDialogProps) {
+  if (!open) {
+    return null;
+  }
+
+  return <ShaderSourceImportDialogContent {...props} />;
+}
@@ -0,0 +1,106 @@
+import type {
+  AssetRecord,
+  ShaderTextureBinding,
+  ShaderTextureBindingMap,
+  ShaderTextureInputMap,
+} from '../types';
+import {
+  findAssetCompanion,
+  getTextureInputBinding,
+  SHADER_TEXTURE_COMPANION_LABELS,
+} from '../lib/shaderTextureInputs';
+
+interface ShaderTextureInputFieldsProps {
+  textureInputs: ShaderTextureInputMap;
+  textureBindings: ShaderTextureBindingMap | undefined;
+  assets: AssetRecord[];
+  /** Asset the shader runs on, whose depth map or mask companion inputs follow. */
+  baseAssetId: string | null;
+  onChange: (name: string, binding: ShaderTextureBinding | null) => void;
+}
+
+function getBindingValue(binding: ShaderTextureBinding | null): string {
+  if (!binding) {
+    return '';
+  }
+
+  return binding.source === 'companion' ? `companion:${binding.kind}` : `asset:${binding.assetId}`;
+}
+
+function parseBindingValue(value: string): ShaderTextureBinding | null {
+  if (value === 'companion:depth' || value === 'companion:mask') {
+    return { source: 'companion', kind: value === 'companion:depth' ? 'depth' : 'mask' };
+  }
+
+  return value.startsWith('asset:') ? { source: 'asset', assetId: value.slice(6) } : null;
+}
+
+/** One picker per `@asset` sampler of the active shader. */
+export function ShaderTextureInputFields({
+  textureInputs,
+  textureBindings,
+  assets,
+  baseAssetId,
+  onChange,
+}: ShaderTextureInputFieldsProps) {
+  const entries = Object.entries(textureInputs);
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const baseAsset = assets.find((asset) => asset.id === baseAssetId) ?? null;
+
+  return (
+    <div className="stack gap-md">
+      <span className="uniform-group-title">Texture Inputs</span>
+      {entries.map(([name, input]) => {
+        const label = input.label ?? name;
+        const binding = getTextureInputBinding(name, textureInputs, textureBindings);
+        const missingCompanion =
+          binding?.source === 'companion' &&
+          !findAssetCompanion(assets, baseAssetId, binding.kind);
+        const missingAsset =
+          binding?.source === 'asset' && !assets.some((asset) => asset.id === binding.assetId);
+
+        return (
+          <label className="field" key={name}>
+            <span className="field-inline-label">
+              <span title={label === name ? undefined : name}>{label}</span>
+            </span>
+            <select
+              className="select-field"
+              value={missingAsset ? '' : getBindingValue(binding)}
+              onChange={(event) => {
+                const nextBinding = parseBindingValue(event.target.value);
+                // Picking the annotated companion again clears the override.
+                const isAnnotatedDefault =
+                  nextBinding?.source === 'companion' && nextBinding.kind === input.companion;
+                onChange(name, isAnnotatedDefault ? null : nextBinding);
+              }}
+            >
+              {input.companion && !missingAsset ? null : <option value="">None (black)</option>}
+              <option value="companion:depth">{SHADER_TEXTURE_COMPANION_LABELS.depth}</option>
+              <option value="companion:mask">{SHADER_TEXTURE_COMPANION_LABELS.mask}</option>
+              <optgroup label="Library">
+                {assets.map((asset) => (
+                  <option key={asset.id} value={`asset:${asset.id}`}>
+                    {asset.name}
+                  </option>
+                ))}
+              </optgroup>
+            </select>
+            {missingCompanion ? (
+              <small className="helper-copy">
+                {baseAsset
+                  ? `“${baseAsset.name}” has no ${
+                      binding.kind === 'depth' ? 'depth map' : 'mask'
+                    } yet. Make one in Mask Studio; until then this input is black.`
+                  : 'Load an asset to sample its companion; until then this input is black.'}
+              </small>
+            ) : null}
+          </label>
+        );
+      })}
+    </div>
+  );
+}
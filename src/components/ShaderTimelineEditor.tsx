@@ -24,6 +24,7 @@ import {
 } from '../lib/shaderState';
 import { getBundledAssetUrl } from '../lib/bundledAssets';
 import { ShuffleIcon } from './ShuffleIcon';
+import { TimelineStepAutomationDialog } from './TimelineStepAutomationDialog';
 import type {
   AssetRecord,
   AssetKind,
@@ -159,6 +160,16 @@ function ImageAssetIcon() {
   );
 }
 
+function AutomationIcon() {
+  return (
+    <svg viewBox="0 0 16 16" aria-hidden="true">
+      <path d="M2.5 12.5c2.2 0 2.6-8 5.5-8s2.6 5 5.5 5" />
+      <circle cx="2.5" cy="12.5" r="1" />
+      <circle cx="13.5" cy="9.5" r="1" />
+    </svg>
+  );
+}
+
 function ErrorIcon() {
   return (
     <svg viewBox="0 0 16 16" aria-hidden="true">
@@ -243,6 +254,7 @@ export function ShaderTimelineEditor({
   const [assetPickerStepId, setAssetPickerStepId] = useState<string | null>(null);
   const [assetPickerPreviewAssetId, setAssetPickerPreviewAssetId] = useState<string | null>(null);
   const [shaderPickerStepId, setShaderPickerStepId] = useState<string | null>(null);
+  const [automationStepId, setAutomationStepId] = useState<string | null>(null);
   const [isShuffleConfirmationOpen, setIsShuffleConfirmationOpen] = useState(false);
   const shaderMap = useMemo(
     () => new Map(savedShaders.map((shader) => [shader.id, shader])),
@@ -586,6 +598,10 @@ export function ShaderTimelineEditor({
   const assetPickerShader = assetPickerStep
     ? shaderMap.get(assetPickerStep.shaderId) ?? null
     : null;
+  const automationStep =
+    automationStepId !== null
+      ? sequence.steps.find((step) => step.id === automationStepId) ?? null
+      : null;
   const assetPickerAssignedAsset =
     assetPickerShader?.inputAssetId ? assetMap.get(assetPickerShader.inputAssetId) ?? null : null;
   const assetPickerPreviewUrls = useAssetPreviewUrls(assets, assetPickerStep !== null, null, null);
@@ -999,6 +1015,7 @@ export function ShaderTimelineEditor({
           const hasAssignedAsset = Boolean(shader?.inputAssetId);
           const isDisabledStep = Boolean(step.disabled);
           const isPinnedStep = pinnedStepId === step.id;
+          const automationLaneCount = step.automationLanes?.length ?? 0;
           const disableToggleBlocked = !isDisabledStep && enabledStepCount <= 1;
 
           return (
@@ -1089,6 +1106,30 @@ export function ShaderTimelineEditor({
                       <ImageAssetIcon />
                     </button>
 
+                    <button
+                      type="button"
+                      className={`icon-button timeline-step-overlay-button ${
+                        automationLaneCount ? 'timeline-step-overlay-button-pin-active' : ''
+                      }`}
+                      aria-label={`Automate uniforms of ${shader?.name ?? 'shader'}`}
+                      aria-pressed={automationLaneCount > 0}
+                      title={
+                        automationLaneCount
+                          ? `${automationLaneCount} automation lane${
+                              automationLaneCount === 1 ? '' : 's'
+                            }`
+                          : 'Automate uniforms'
+                      }
+                      disabled={!shader}
+                      onClick={(event) => {
+                        event.stopPropagation();
+                        onEditStep(step.id);
+                        setAutomationStepId(step.id);
+                      }}
+                    >
+                      <AutomationIcon />
+                    </button>
+
                     <button
                       type="button"
                       className={`icon-button timeline-step-overlay-button timeline-step-overlay-button-disable ${
@@ -1343,6 +1384,18 @@ export function ShaderTimelineEditor({
         </div>
       ) : null}
 
+      <TimelineStepAutomationDialog
+        open={automationStep !== null}
+        step={automationStep}
+        shader={automationStep ? shaderMap.get(automationStep.shaderId) ?? null : null}
+        onChange={(automationLanes) => {
+          if (automationStep) {
+            onStepChange(automationStep.id, { automationLanes });
+          }
+        }}
+        onClose={() => setAutomationStepId(null)}
+      />
+
       {assetPickerStep && assetPickerShader ? (
         <div
           className="dialog-backdrop"
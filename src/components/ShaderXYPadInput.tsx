@@ -0,0 +1,79 @@
+import type { KeyboardEvent as ReactKeyboardEvent, PointerEvent as ReactPointerEvent } from 'react';
+import type { ShaderUniformDefinition, ShaderUniformValue } from '../types';
+import { getUniformStep, snapUniformValue } from '../lib/shader';
+
+interface ShaderXYPadInputProps {
+  label: string;
+  definition: ShaderUniformDefinition;
+  value: ShaderUniformValue;
+  onChange: (value: ShaderUniformValue) => void;
+}
+
+const KEYBOARD_DIRECTIONS: Record<string, [number, number]> = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowDown: [0, -1],
+  ArrowUp: [0, 1],
+};
+
+/** Pad for a vec2 uniform: x runs left to right and y bottom to top, like uv. */
+export function ShaderXYPadInput({ label, definition, value, onChange }: ShaderXYPadInputProps) {
+  if (!Array.isArray(value) || value.length !== 2) {
+    return null;
+  }
+
+  const span = definition.max - definition.min || 1;
+  const [x, y] = value;
+  const toPercent = (component: number) =>
+    Math.max(0, Math.min(100, ((component - definition.min) / span) * 100));
+  const commit = (nextX: number, nextY: number) => {
+    onChange([snapUniformValue(nextX, definition), snapUniformValue(nextY, definition)]);
+  };
+  const setFromPointer = (event: ReactPointerEvent<HTMLSpanElement>) => {
+    const bounds = event.currentTarget.getBoundingClientRect();
+    commit(
+      definition.min + ((event.clientX - bounds.left) / bounds.width) * span,
+      definition.min + (1 - (event.clientY - bounds.top) / bounds.height) * span,
+    );
+  };
+  const handleKeyDown = (event: ReactKeyboardEvent<HTMLSpanElement>) => {
+    const direction = KEYBOARD_DIRECTIONS[event.key];
+    if (!direction) {
+      return;
+    }
+
+    event.preventDefault();
+    const step = getUniformStep(definition) * (event.shiftKey ? 10 : 1);
+    commit(x + direction[0] * step, y + direction[1] * step);
+  };
+  const digits = definition.step && definition.step >= 1 ? 0 : 2;
+
+  return (
+    <span className="xy-pad-root">
+      <span
+        className="xy-pad"
+        role="group"
+        tabIndex={0}
+        aria-label={`${label}: x ${x.toFixed(digits)}, y ${y.toFixed(digits)}`}
+        onKeyDown={handleKeyDown}
+        onPointerDown={(event) => {
+          event.currentTarget.setPointerCapture(event.pointerId);
+          setFromPointer(event);
+        }}
+        onPointerMove={(event) => {
+          if (event.buttons === 1) {
+            setFromPointer(event);
+          }
+        }}
+      >
+        <span
+          className="xy-pad-handle"
+          style={{ left: `${toPercent(x)}%`, top: `${100 - toPercent(y)}%` }}
+        />
+      </span>
+      <small className="xy-pad-values">
+        x {x.toFixed(digits)} · y {y.toFixed(digits)}
+      </small>
+    </span>
+  );
+}
@@ -0,0 +1,526 @@
+import { useEffect, useState } from 'react';
+import {
+  createShowScheduleBlackout,
+  createShowScheduleEntry,
+  formatShowScheduleTime,
+  getShowScheduleCalendarDay,
+  getShowScheduleClockMs,
+  isShowScheduleStorageKey,
+  loadShowSchedule,
+  loadShowScheduleLog,
+  parseShowScheduleTime,
+  resolveShowScheduleBlackout,
+  resolveShowScheduleEntry,
+  saveShowSchedule,
+  saveShowScheduleLog,
+  SHOW_SCHEDULE_SIMULATION_SPEEDS,
+  SHOW_SCHEDULE_WEEKDAYS,
+  type ShowSchedule,
+  type ShowScheduleBlackout,
+  type ShowScheduleEntry,
+} from '../lib/showSchedule';
+import type { ProjectLibraryEntry } from '../types';
+
+interface ShowScheduleDialogProps {
+  open: boolean;
+  projects: ProjectLibraryEntry[];
+  activeSessionId: string | null;
+  onClose: () => void;
+}
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/** The `YYYY-MM-DDTHH:MM` value a datetime-local input expects, in local time. */
+function formatDateTimeLocal(timeMs: number): string {
+  const date = new Date(timeMs);
+  const pad = (value: number) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(
+    date.getHours(),
+  )}:${pad(date.getMinutes())}`;
+}
+
+function formatClock(timeMs: number): string {
+  return new Date(timeMs).toLocaleString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+function DayChips({
+  label,
+  days,
+  onChange,
+}: {
+  label: string;
+  days: number[];
+  onChange: (days: number[]) => void;
+}) {
+  return (
+    <div className="show-schedule-days" role="group" aria-label={label}>
+      {SHOW_SCHEDULE_WEEKDAYS.map(({ day, label: dayLabel }) => {
+        const active = days.includes(day);
+        return (
+          <button
+            key={day}
+            type="button"
+            className={`toggle-chip ${active ? 'toggle-chip-active' : ''}`}
+            aria-pressed={active}
+            onClick={() =>
+              onChange(
+                active
+                  ? days.filter((item) => item !== day)
+                  : [...days, day].sort((left, right) => left - right),
+              )
+            }
+          >
+            {dayLabel}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+function ShowScheduleDialogContent({
+  projects,
+  activeSessionId,
+  onClose,
+}: Omit<ShowScheduleDialogProps, 'open'>) {
+  const [schedule, setSchedule] = useState(loadShowSchedule);
+  const [log, setLog] = useState(loadShowScheduleLog);
+  const [nowMs, setNowMs] = useState(() => Date.now());
+  const [simulationStart, setSimulationStart] = useState(() => formatDateTimeLocal(Date.now()));
+  const [simulationSpeed, setSimulationSpeed] = useState(SHOW_SCHEDULE_SIMULATION_SPEEDS[1]);
+
+  useEffect(() => {
+    const handleStorage = (event: StorageEvent) => {
+      if (isShowScheduleStorageKey(event.key)) {
+        setSchedule(loadShowSchedule());
+        setLog(loadShowScheduleLog());
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    const intervalId = window.setInterval(() => setNowMs(Date.now()), 250);
+
+    return () => {
+      window.removeEventListener('storage', handleStorage);
+      window.clearInterval(intervalId);
+    };
+  }, []);
+
+  const updateSchedule = (patch: Partial<ShowSchedule>) => {
+    const nextSchedule = { ...schedule, ...patch };
+    setSchedule(nextSchedule);
+    saveShowSchedule(nextSchedule);
+  };
+  const updateEntry = (entryId: string, patch: Partial<ShowScheduleEntry>) => {
+    updateSchedule({
+      entries: schedule.entries.map((entry) =>
+        entry.id === entryId ? { ...entry, ...patch } : entry,
+      ),
+    });
+  };
+  const updateBlackout = (blackoutId: string, patch: Partial<ShowScheduleBlackout>) => {
+    updateSchedule({
+      blackouts: schedule.blackouts.map((blackout) =>
+        blackout.id === blackoutId ? { ...blackout, ...patch } : blackout,
+      ),
+    });
+  };
+
+  const clockMs = getShowScheduleClockMs(schedule, nowMs);
+  const runningEntry = resolveShowScheduleEntry(schedule, clockMs)?.entry ?? null;
+  const inBlackout = Boolean(resolveShowScheduleBlackout(schedule, clockMs));
+  const clockDate = new Date(clockMs);
+  const clockDay = clockDate.getDay();
+  const clockMinutes = clockDate.getHours() * 60 + clockDate.getMinutes();
+  const getProjectName = (sessionId: string) =>
+    projects.find((project) => project.sessionId === sessionId)?.name ?? 'Missing project';
+
+  return (
+    <div
+      className="dialog-backdrop"
+      role="presentation"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <section
+        className="dialog-panel show-schedule-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="show-schedule-title"
+      >
+        <header className="dialog-header">
+          <div>
+            <span className="panel-eyebrow">Installation</span>
+            <h2 id="show-schedule-title" className="dialog-title">
+              Show Schedule
+            </h2>
+          </div>
+          <div className="project-dialog-actions">
+            <button
+              type="button"
+              className={`toggle-chip ${schedule.enabled ? 'toggle-chip-active' : ''}`}
+              aria-pressed={schedule.enabled}
+              onClick={() => updateSchedule({ enabled: !schedule.enabled })}
+            >
+              {schedule.enabled ? 'Running' : 'Off'}
+            </button>
+            <button type="button" className="ghost-button" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </header>
+
+        <div className="dialog-body stack gap-md">
+          <p className="dialog-note">
+            Output windows run the schedule on their own, so leave one open on the projector.
+            Each entry switches them to a saved project at a time of day and plays its timeline
+            from the start, or holds one step. Blackouts keep the projector dark.
+          </p>
+
+          <label className="show-schedule-toggle">
+            <input
+              type="checkbox"
+              checked={schedule.startOnLoad}
+              onChange={(event) => updateSchedule({ startOnLoad: event.target.checked })}
+            />
+            <span>
+              Start on load: an Output window that opens midway picks up the entry already
+              running instead of waiting for the next one.
+            </span>
+          </label>
+
+          <section className="dialog-section stack gap-sm">
+            <span className="panel-eyebrow">Entries</span>
+            {schedule.entries.length ? null : <p className="empty-copy">No entries yet.</p>}
+            {schedule.entries.map((entry, index) => (
+              <div
+                key={entry.id}
+                className={`show-schedule-row ${
+                  entry.id === runningEntry?.id ? 'show-schedule-row-live' : ''
+                }`}
+              >
+                <div className="show-schedule-entry-fields">
+                  <input
+                    className="text-field"
+                    type="text"
+                    aria-label={`Entry ${index + 1} name`}
+                    value={entry.label}
+                    onChange={(event) => updateEntry(entry.id, { label: event.target.value })}
+                  />
+                  <input
+                    className="text-field"
+                    type="time"
+                    aria-label={`Entry ${index + 1} start time`}
+                    value={formatShowScheduleTime(entry.startMinutes)}
+                    onChange={(event) => {
+                      const startMinutes = parseShowScheduleTime(event.target.value);
+                      if (startMinutes !== null) {
+                        updateEntry(entry.id, { startMinutes });
+                      }
+                    }}
+                  />
+                  <select
+                    className="select-field"
+                    aria-label={`Entry ${index + 1} project`}
+                    value={entry.sessionId}
+                    onChange={(event) => updateEntry(entry.id, { sessionId: event.target.value })}
+                  >
+                    {projects.some((project) => project.sessionId === entry.sessionId) ? null : (
+                      <option value={entry.sessionId}>Missing project</option>
+                    )}
+                    {projects.map((project) => (
+                      <option key={project.sessionId} value={project.sessionId}>
+                        {project.name}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    className="text-field"
+                    type="number"
+                    min={1}
+                    step={1}
+                    aria-label={`Entry ${index + 1} step to hold`}
+                    placeholder="Whole timeline"
+                    value={entry.stepNumber ?? ''}
+                    onChange={(event) => {
+                      const stepNumber = Math.round(Number(event.target.value));
+                      const holdsStep = event.target.value !== '' && stepNumber >= 1;
+                      updateEntry(entry.id, { stepNumber: holdsStep ? stepNumber : null });
+                    }}
+                  />
+                  <button
+                    type="button"
+                    className="ghost-button"
+                    onClick={() =>
+                      updateSchedule({
+                        entries: schedule.entries.filter((item) => item.id !== entry.id),
+                      })
+                    }
+                  >
+                    Delete
+                  </button>
+                </div>
+                <DayChips
+                  label={`Entry ${index + 1} days`}
+                  days={entry.days}
+                  onChange={(days) => updateEntry(entry.id, { days })}
+                />
+              </div>
+            ))}
+          </section>
+
+          <section className="dialog-section stack gap-sm">
+            <span className="panel-eyebrow">Blackouts</span>
+            {schedule.blackouts.length ? null : (
+              <p className="empty-copy">No blackouts. The projector stays on all day.</p>
+            )}
+            {schedule.blackouts.map((blackout, index) => (
+              <div key={blackout.id} className="show-schedule-row">
+                <div className="show-schedule-blackout-fields">
+                  <label className="field timeline-compact-field">
+                    <span>Off at</span>
+                    <input
+                      className="text-field"
+                      type="time"
+                      value={formatShowScheduleTime(blackout.startMinutes)}
+                      onChange={(event) => {
+                        const startMinutes = parseShowScheduleTime(event.target.value);
+                        if (startMinutes !== null) {
+                          updateBlackout(blackout.id, { startMinutes });
+                        }
+                      }}
+                    />
+                  </label>
+                  <label className="field timeline-compact-field">
+                    <span>On at</span>
+                    <input
+                      className="text-field"
+                      type="time"
+                      value={formatShowScheduleTime(blackout.endMinutes)}
+                      onChange={(event) => {
+                        const endMinutes = parseShowScheduleTime(event.target.value);
+                        if (endMinutes !== null) {
+                          updateBlackout(blackout.id, { endMinutes });
+                        }
+                      }}
+                    />
+                  </label>
+                  <button
+                    type="button"
+                    className="ghost-button"
+                    onClick={() =>
+                      updateSchedule({
+                        blackouts: schedule.blackouts.filter((item) => item.id !== blackout.id),
+                      })
+                    }
+                  >
+                    Delete
+                  </button>
+                </div>
+                <DayChips
+                  label={`Blackout ${index + 1} days`}
+                  days={blackout.days}
+                  onChange={(days) => updateBlackout(blackout.id, { days })}
+                />
+              </div>
+            ))}
+          </section>
+
+          <section className="dialog-section stack gap-sm">
+            <span className="panel-eyebrow">Week</span>
+            <div className="show-schedule-calendar">
+              {SHOW_SCHEDULE_WEEKDAYS.map(({ day, label }) => {
+                const calendarDay = getShowScheduleCalendarDay(schedule, day);
+                return (
+                  <div key={day} className="show-schedule-calendar-day">
+                    <strong>{label}</strong>
+                    <div className="show-schedule-calendar-track">
+                      {calendarDay.blackouts.map((range) => (
+                        <span
+                          key={range.id}
+                          className="show-schedule-calendar-blackout"
+                          style={{
+                            top: `${(range.startMinutes / MINUTES_PER_DAY) * 100}%`,
+                            height: `${
+                              ((range.endMinutes - range.startMinutes) / MINUTES_PER_DAY) * 100
+                            }%`,
+                          }}
+                        />
+                      ))}
+                      {calendarDay.entries.map((entry) => (
+                        <span
+                          key={entry.id}
+                          className="show-schedule-calendar-entry"
+                          style={{ top: `${(entry.startMinutes / MINUTES_PER_DAY) * 100}%` }}
+                          title={`${formatShowScheduleTime(entry.startMinutes)} ${
+                            entry.label
+                          } · ${getProjectName(entry.sessionId)}`}
+                        >
+                          {formatShowScheduleTime(entry.startMinutes)} {entry.label}
+                        </span>
+                      ))}
+                      {day === clockDay ? (
+                        <span
+                          className="show-schedule-calendar-now"
+                          style={{ top: `${(clockMinutes / MINUTES_PER_DAY) * 100}%` }}
+                        />
+                      ) : null}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </section>
+
+          <section className="dialog-section stack gap-sm">
+            <span className="panel-eyebrow">Simulated clock</span>
+            <p className="helper-copy">
+              {schedule.simulation ? 'Simulated' : 'Clock'}: {formatClock(clockMs)} ·{' '}
+              {!schedule.enabled
+                ? 'Schedule off'
+                : inBlackout
+                  ? 'Blackout'
+                  : runningEntry
+                    ? `${runningEntry.label} (${getProjectName(runningEntry.sessionId)})`
+                    : 'Nothing scheduled yet'}
+            </p>
+            <div className="show-schedule-simulation">
+              <input
+                className="text-field"
+                type="datetime-local"
+                aria-label="Simulation start"
+                value={simulationStart}
+                disabled={Boolean(schedule.simulation)}
+                onChange={(event) => setSimulationStart(event.target.value)}
+              />
+              <select
+                className="select-field"
+                aria-label="Simulation speed"
+                value={simulationSpeed}
+                disabled={Boolean(schedule.simulation)}
+                onChange={(event) => setSimulationSpeed(Number(event.target.value))}
+              >
+                {SHOW_SCHEDULE_SIMULATION_SPEEDS.map((speed) => (
+                  <option key={speed} value={speed}>
+                    1 second = {speed / 60 < 60 ? `${speed / 60} min` : `${speed / 3600} h`}
+                  </option>
+                ))}
+              </select>
+              {schedule.simulation ? (
+                <button
+                  type="button"
+                  className="secondary-button"
+                  onClick={() => updateSchedule({ simulation: null })}
+                >
+                  Back to Real Time
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  className="secondary-button"
+                  disabled={!Number.isFinite(new Date(simulationStart).getTime())}
+                  onClick={() =>
+                    updateSchedule({
+                      simulation: {
+                        startedAtMs: Date.now(),
+                        clockStartMs: new Date(simulationStart).getTime(),
+                        speed: simulationSpeed,
+                      },
+                    })
+                  }
+                >
+                  Simulate
+                </button>
+              )}
+            </div>
+            <p className="helper-copy">
+              Open Output windows follow the simulated clock too, so a week of entries can be
+              checked in minutes.
+            </p>
+          </section>
+
+          <section className="dialog-section stack gap-sm">
+            <div className="show-schedule-log-header">
+              <span className="panel-eyebrow">Log</span>
+              <button
+                type="button"
+                className="ghost-button"
+                disabled={!log.length}
+                onClick={() => {
+                  setLog([]);
+                  saveShowScheduleLog([]);
+                }}
+              >
+                Clear
+              </button>
+            </div>
+            {log.length ? (
+              <ol className="show-schedule-log">
+                {[...log].reverse().map((line) => (
+                  <li key={line.id}>
+                    <span>{formatClock(line.atMs)}</span>
+                    <span>
+                      {line.kind === 'resume' ? `Resumed ${line.label}` : line.label}
+                      {line.simulated ? ' (simulated)' : ''}
+                    </span>
+                  </li>
+                ))}
+              </ol>
+            ) : (
+              <p className="empty-copy">Nothing has run yet.</p>
+            )}
+          </section>
+        </div>
+
+        <footer className="dialog-footer">
+          <button
+            type="button"
+            className="secondary-button"
+            onClick={() =>
+              updateSchedule({ blackouts: [...schedule.blackouts, createShowScheduleBlackout()] })
+            }
+          >
+            Add Blackout
+          </button>
+          <button
+            type="button"
+            className="secondary-button"
+            disabled={!projects.length}
+            onClick={() =>
+              updateSchedule({
+                entries: [
+                  ...schedule.entries,
+                  createShowScheduleEntry(
+                    activeSessionId ?? projects[0].sessionId,
+                    schedule.entries.length + 1,
+                  ),
+                ],
+              })
+            }
+          >
+            Add Entry
+          </button>
+          <button type="button" className="primary-button" onClick={onClose}>
+            Done
+          </button>
+        </footer>
+      </section>
+    </div>
+  );
+}
+
+export function ShowScheduleDialog({ open, ...props }: ShowScheduleDialogProps) {
+  if (!open) {
+    return null;
+  }
+
+  return <ShowScheduleDialogContent {...props} />;
+}
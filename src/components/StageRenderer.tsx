@@ -10,11 +10,15 @@ import { createPortal } from 'react-dom';
 import type {
   AssetKind,
   AssetRecord,
+  MappingSurface,
+  ColorCalibration,
+  DistortionPoint,
   PlaybackTransport,
   ShaderUniformMap,
   ShaderUniformValueMap,
   StageTransform,
   StageDistortion,
+  StageMeshWarp,
   TimelineAssetQuality,
 } from '../types';
 import {
@@ -27,11 +31,49 @@ import {
   STAGE_DISTORTION_CORNERS,
   type StageDistortionCorner,
 } from '../lib/distortion';
+import {
+  COLOR_CALIBRATION_FRAGMENT_SHADER_SOURCE,
+  COLOR_CALIBRATION_VERTEX_SHADER_SOURCE,
+  createColorLutTextureData,
+  isColorCalibrationIdentity,
+} from '../lib/colorCalibration';
+import {
+  createStageMeshGeometry,
+  createStageMeshGridLines,
+  getStageMeshControlPoint,
+  isStageMeshWarpIdentity,
+  MESH_WARP_FRAGMENT_SHADER_SOURCE,
+  MESH_WARP_VERTEX_SHADER_SOURCE,
+  normalizeStageMeshWarp,
+  nudgeStageMeshControlPoint,
+  resetStageMeshColumn,
+  resetStageMeshRow,
+  setStageMeshControlPoint,
+} from '../lib/meshWarp';
 import {
   buildFragmentShaderSource,
-  VERTEX_SHADER_SOURCE,
+  createShaderRenderingContext,
+  getShaderDialect,
+  getVertexShaderSource,
+  GLSL300ES_UNSUPPORTED_MESSAGE,
+  parseFeedbackSamplers,
+  parseTextureInputs,
+  setShaderUniform,
+  supportsShaderDialect,
 } from '../lib/shader';
+import {
+  beginFeedbackWrite,
+  EMPTY_FEEDBACK_HISTORY,
+  FEEDBACK_COPY_FRAGMENT_SHADER_SOURCE,
+  FEEDBACK_COPY_VERTEX_SHADER_SOURCE,
+  getFeedbackReadIndex,
+  isFeedbackHistoryAhead,
+  type FeedbackHistory,
+  type FeedbackWrite,
+} from '../lib/shaderFeedback';
 import { getRenderTimeSeconds, getTransportTimeSeconds } from '../lib/clock';
+import { getStructuredLightShaderCode, type StructuredLightFrame } from '../lib/structuredLight';
+import { getTestPatternShaderCode, type OutputTestPatternKind } from '../lib/testPatterns';
 import type { AssetObjectUrlStatus } from '../lib/useAssetObjectUrl';
 import {
   resolveAudioReactiveValue,
@@ -39,6 +81,7 @@ import {
   type AudioReactiveRuntime,
 } from '../lib/audioReactivity';
 import { shouldForceVideoTransportSeek } from '../lib/videoTransport';
+import { OutputMaskLayer } from './OutputMaskLayer';
 
 interface StageRendererProps {
   asset: AssetRecord | null;
@@ -57,6 +100,23 @@ interface StageRendererProps {
   isOutputOnly?: boolean;
   showGrid?: boolean;
   onDistortionChange?: (distortion: StageDistortion) => void;
+  onMeshWarpChange?: (meshWarp: StageMeshWarp) => void;
+  /** Projector colour correction, applied to the finished frame in output windows. */
+  colorCalibration?: ColorCalibration | null;
+  /** Replaces every layer with a projector test pattern in output windows. */
+  testPattern?: OutputTestPatternKind | null;
+  /** Surface named by the corner and edge markers pattern. */
+  testPatternSurface?: Pick<MappingSurface, 'id' | 'name'> | null;
+  /**
+   * Camera alignment frame. It is drawn straight into the unwarped stage frame,
+   * skipping corner pin, mesh, masks and calibration, so captures measure the
+   * raw frame coordinates that those warps are expressed in.
+   */
+  structuredLightFrame?: StructuredLightFrame | null;
+  activeOutputMaskId?: string | null;
+  activeOutputMaskPointIndex?: number | null;
+  onOutputMaskPointSelect?: (maskId: string, pointIndex: number) => void;
+  onOutputMaskPointChange?: (maskId: string, pointIndex: number, point: DistortionPoint) => void;
   personalPreviewActive?: boolean;
   personalPreviewGuideActive?: boolean;
   showPinnedIndicator?: boolean;
@@ -71,6 +131,10 @@ interface StageRendererProps {
   onFrameRendered?: (frame: StageFrameInfo) => void;
 }
 
+const EMPTY_UNIFORM_DEFINITIONS: ShaderUniformMap = {};
+const EMPTY_UNIFORM_VALUES: ShaderUniformValueMap = {};
+const TEST_PATTERN_CORNER_LABELS = ['top-left', 'top-right', 'bottom-right', 'bottom-left'] as const;
+
 const DISTORTION_GRID_STEPS = Array.from({ length: 9 }, (_, index) => (index + 1) / 10);
 
 const DISTORTION_CORNER_LABELS: Record<StageDistortionCorner, string> = {
@@ -126,6 +190,15 @@ export interface StageRenderLayer {
   } | null;
   compositeMode?: 'blend' | 'stackOnTop';
   requiresCompositeBase?: boolean;
+  /** Sources of the `@asset` sampler inputs, keyed by sampler name in `shaderCode`. */
+  textureInputs?: Record<string, StageRenderInputSource | null>;
+  /**
+   * History each `u_prev_frame` or `@buffer` sampler reads and writes, keyed by
+   * sampler name. Layers naming the same key share the history, which carries
+   * feedback across timeline transitions; samplers without a key get a
+   * history of their own per layer index.
+   */
+  feedbackKeys?: Record<string, string>;
 }
 
 interface ProgramLocations {
@@ -143,11 +216,27 @@ interface ProgramLocations {
   baseImage: WebGLUniformLocation | null;
   resolution: WebGLUniformLocation | null;
   custom: Record<string, WebGLUniformLocation | null>;
+  textureInputs: Record<string, WebGLUniformLocation | null>;
+  /** Feedback samplers, bound to the texture units after the texture inputs. */
+  feedbackInputs: Record<string, WebGLUniformLocation | null>;
+}
+
+interface ProgramBufferPass {
+  sampler: string;
+  program: WebGLProgram;
+  locations: ProgramLocations;
+}
+
+interface ProgramFeedback {
+  /** `u_prev_frame` samplers: the layer draws into their history, then copies it out. */
+  previousFrameSamplers: string[];
+  bufferPasses: ProgramBufferPass[];
 }
 
 interface CachedProgram {
   program: WebGLProgram;
   locations: ProgramLocations;
+  feedback: ProgramFeedback;
   lastUsedAt: number;
 }
 
@@ -156,6 +245,7 @@ interface CompiledRenderLayer extends StageRenderLayer {
   key: string;
   program: WebGLProgram;
   locations: ProgramLocations;
+  feedback: ProgramFeedback;
 }
 
 interface ParallelShaderCompileExtension {
@@ -202,6 +292,39 @@ const VIDEO_HARD_SEEK_THRESHOLD_SECONDS = 0.45;
 const VIDEO_DRIFT_PLAYBACK_RATE_GAIN = 0.35;
 const MIN_STAGE_SCALE = 0;
 const MAX_RETAINED_PROGRAMS = 96;
+// Units 0-3 hold the input, composite base, overlay and transition textures.
+const FIRST_TEXTURE_INPUT_UNIT = 4;
+
+interface MeshWarpProgram {
+  program: WebGLProgram;
+  position: number;
+  texcoord: number;
+  image: WebGLUniformLocation | null;
+}
+
+interface ColorCalibrationProgram {
+  program: WebGLProgram;
+  position: number;
+  image: WebGLUniformLocation | null;
+  lut: WebGLUniformLocation | null;
+  lutSize: WebGLUniformLocation | null;
+  useLut: WebGLUniformLocation | null;
+  brightness: WebGLUniformLocation | null;
+  contrast: WebGLUniformLocation | null;
+  gain: WebGLUniformLocation | null;
+  offset: WebGLUniformLocation | null;
+  gamma: WebGLUniformLocation | null;
+}
+
+interface ColorLutTexture {
+  texture: WebGLTexture;
+  size: number;
+}
+
+interface MeshWarpBuffer {
+  buffer: WebGLBuffer;
+  vertexCount: number;
+}
 
 interface StageRenderTarget {
   framebuffer: WebGLFramebuffer;
@@ -210,6 +333,18 @@ interface StageRenderTarget {
   height: number;
 }
 
+interface StageFeedbackBuffer {
+  targets: [StageRenderTarget, StageRenderTarget];
+  history: FeedbackHistory;
+}
+
+interface FeedbackCopyProgram {
+  program: WebGLProgram;
+  position: number;
+  image: WebGLUniformLocation | null;
+  flipY: WebGLUniformLocation | null;
+}
+
 function ensureStageRenderTarget(
   gl: WebGLRenderingContext,
   currentTarget: StageRenderTarget | null,
@@ -260,6 +395,45 @@ function ensureStageRenderTarget(
     height,
   };
 }
+
+function disposeStageRenderTarget(gl: WebGLRenderingContext, target: StageRenderTarget) {
+  gl.deleteFramebuffer(target.framebuffer);
+  gl.deleteTexture(target.texture);
+}
+
+function ensureStageFeedbackBuffer(
+  gl: WebGLRenderingContext,
+  currentBuffer: StageFeedbackBuffer | undefined,
+  width: number,
+  height: number,
+): StageFeedbackBuffer {
+  if (
+    currentBuffer &&
+    currentBuffer.targets[0].width === width &&
+    currentBuffer.targets[0].height === height
+  ) {
+    return currentBuffer;
+  }
+
+  // Fresh render targets start out transparent black, so a resize empties the history.
+  return {
+    targets: [
+      ensureStageRenderTarget(gl, currentBuffer?.targets[0] ?? null, width, height),
+      ensureStageRenderTarget(gl, currentBuffer?.targets[1] ?? null, width, height),
+    ],
+    history: EMPTY_FEEDBACK_HISTORY,
+  };
+}
+
+function clearStageFeedbackBuffer(gl: WebGLRenderingContext, buffer: StageFeedbackBuffer) {
+  gl.clearColor(0, 0, 0, 0);
+  for (const target of buffer.targets) {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+  }
+  gl.clearColor(0, 0, 0, 1);
+  buffer.history = EMPTY_FEEDBACK_HISTORY;
+}
 const DEFAULT_WHITE_IMAGE_SOURCE: StageRenderInputSource = {
   sourceKey: 'default:white-16-9',
   assetId: 'default:white-16-9',
@@ -304,17 +478,70 @@ function compileShaderUnchecked(gl: WebGLRenderingContext, type: number, source:
   return shader;
 }
 
+function getStageShaderSources(
+  gl: WebGLRenderingContext,
+  shaderCode: string,
+  entryPoint = 'processColor',
+) {
+  const dialect = getShaderDialect(shaderCode);
+  if (!supportsShaderDialect(gl, dialect)) {
+    throw new Error(GLSL300ES_UNSUPPORTED_MESSAGE);
+  }
+
+  // Buffer passes and shaders reading u_prev_frame draw into feedback buffers.
+  const writesFeedback =
+    entryPoint !== 'processColor' ||
+    parseFeedbackSamplers(shaderCode).previousFrame.length > 0;
+
+  return {
+    vertexSource: getVertexShaderSource(dialect, !writesFeedback),
+    fragmentSource: buildFragmentShaderSource(shaderCode, entryPoint),
+  };
+}
+
+function getTextureInputLocations(
+  gl: WebGLRenderingContext,
+  program: WebGLProgram,
+  shaderCode: string,
+): Record<string, WebGLUniformLocation | null> {
+  // Inputs beyond the fragment texture units of this GPU stay unbound and sample black.
+  const availableUnits =
+    Number(gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS)) - FIRST_TEXTURE_INPUT_UNIT;
+
+  return Object.fromEntries(
+    Object.keys(parseTextureInputs(shaderCode))
+      .slice(0, Math.max(0, availableUnits))
+      .map((name) => [name, gl.getUniformLocation(program, name)]),
+  );
+}
+
+function getFeedbackInputLocations(
+  gl: WebGLRenderingContext,
+  program: WebGLProgram,
+  shaderCode: string,
+): Record<string, WebGLUniformLocation | null> {
+  const { previousFrame, buffers } = parseFeedbackSamplers(shaderCode);
+  const availableUnits =
+    Number(gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS)) -
+    FIRST_TEXTURE_INPUT_UNIT -
+    Object.keys(getTextureInputLocations(gl, program, shaderCode)).length;
+
+  return Object.fromEntries(
+    [...buffers.map((buffer) => buffer.sampler), ...previousFrame]
+      .slice(0, Math.max(0, availableUnits))
+      .map((name) => [name, gl.getUniformLocation(program, name)]),
+  );
+}
+
 function createProgramBundle(
   gl: WebGLRenderingContext,
   shaderCode: string,
   uniformDefinitions: ShaderUniformMap,
+  entryPoint?: string,
 ) {
-  const vertexShader = compileShaderRaw(gl, gl.VERTEX_SHADER, VERTEX_SHADER_SOURCE);
-  const fragmentShader = compileShaderRaw(
-    gl,
-    gl.FRAGMENT_SHADER,
-    buildFragmentShaderSource(shaderCode),
-  );
+  const { vertexSource, fragmentSource } = getStageShaderSources(gl, shaderCode, entryPoint);
+  const vertexShader = compileShaderRaw(gl, gl.VERTEX_SHADER, vertexSource);
+  const fragmentShader = compileShaderRaw(gl, gl.FRAGMENT_SHADER, fragmentSource);
 
   const program = gl.createProgram();
   if (!program) {
@@ -360,6 +587,8 @@ function createProgramBundle(
       custom: Object.fromEntries(
         Object.keys(uniformDefinitions).map((name) => [name, gl.getUniformLocation(program, name)]),
       ),
+      textureInputs: getTextureInputLocations(gl, program, shaderCode),
+      feedbackInputs: getFeedbackInputLocations(gl, program, shaderCode),
     },
   };
 
@@ -369,18 +598,135 @@ function createProgramBundle(
   return bundle;
 }
 
+/** Compiles the `@buffer` passes of a linked stage program. */
+function withFeedbackPasses<T extends { program: WebGLProgram }>(
+  gl: WebGLRenderingContext,
+  bundle: T,
+  shaderCode: string,
+  uniformDefinitions: ShaderUniformMap,
+): T & { feedback: ProgramFeedback } {
+  const { previousFrame, buffers } = parseFeedbackSamplers(shaderCode);
+  const bufferPasses: ProgramBufferPass[] = [];
+
+  try {
+    for (const { sampler, entryPoint } of buffers) {
+      bufferPasses.push({
+        sampler,
+        ...createProgramBundle(gl, shaderCode, uniformDefinitions, entryPoint),
+      });
+    }
+  } catch (error) {
+    gl.deleteProgram(bundle.program);
+    bufferPasses.forEach((pass) => gl.deleteProgram(pass.program));
+    throw error;
+  }
+
+  return {
+    ...bundle,
+    feedback: { previousFrameSamplers: previousFrame, bufferPasses },
+  };
+}
+
+function deleteCachedProgram(gl: WebGLRenderingContext, cachedProgram: CachedProgram) {
+  gl.deleteProgram(cachedProgram.program);
+  cachedProgram.feedback.bufferPasses.forEach((pass) => gl.deleteProgram(pass.program));
+}
+
+function createPostProcessProgram(
+  gl: WebGLRenderingContext,
+  vertexSource: string,
+  fragmentSource: string,
+  label: string,
+): WebGLProgram {
+  const vertexShader = compileShaderRaw(gl, gl.VERTEX_SHADER, vertexSource);
+  const fragmentShader = compileShaderRaw(gl, gl.FRAGMENT_SHADER, fragmentSource);
+
+  const program = gl.createProgram();
+  if (!program) {
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
+    throw new Error(`Unable to create the ${label} program.`);
+  }
+
+  gl.attachShader(program, vertexShader);
+  gl.attachShader(program, fragmentShader);
+  gl.linkProgram(program);
+  gl.deleteShader(vertexShader);
+  gl.deleteShader(fragmentShader);
+
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    const error = gl.getProgramInfoLog(program) || `${label} link error.`;
+    gl.deleteProgram(program);
+    throw new Error(error);
+  }
+
+  return program;
+}
+
+function createMeshWarpProgram(gl: WebGLRenderingContext): MeshWarpProgram {
+  const program = createPostProcessProgram(
+    gl,
+    MESH_WARP_VERTEX_SHADER_SOURCE,
+    MESH_WARP_FRAGMENT_SHADER_SOURCE,
+    'mesh warp',
+  );
+
+  return {
+    program,
+    position: gl.getAttribLocation(program, 'a_position'),
+    texcoord: gl.getAttribLocation(program, 'a_texcoord'),
+    image: gl.getUniformLocation(program, 'u_image'),
+  };
+}
+
+function createFeedbackCopyProgram(gl: WebGLRenderingContext): FeedbackCopyProgram {
+  const program = createPostProcessProgram(
+    gl,
+    FEEDBACK_COPY_VERTEX_SHADER_SOURCE,
+    FEEDBACK_COPY_FRAGMENT_SHADER_SOURCE,
+    'feedback copy',
+  );
+
+  return {
+    program,
+    position: gl.getAttribLocation(program, 'a_position'),
+    image: gl.getUniformLocation(program, 'u_image'),
+    flipY: gl.getUniformLocation(program, 'u_flip_y'),
+  };
+}
+
+function createColorCalibrationProgram(gl: WebGLRenderingContext): ColorCalibrationProgram {
+  const program = createPostProcessProgram(
+    gl,
+    COLOR_CALIBRATION_VERTEX_SHADER_SOURCE,
+    COLOR_CALIBRATION_FRAGMENT_SHADER_SOURCE,
+    'colour calibration',
+  );
+
+  return {
+    program,
+    position: gl.getAttribLocation(program, 'a_position'),
+    image: gl.getUniformLocation(program, 'u_image'),
+    lut: gl.getUniformLocation(program, 'u_lut'),
+    lutSize: gl.getUniformLocation(program, 'u_lut_size'),
+    useLut: gl.getUniformLocation(program, 'u_use_lut'),
+    brightness: gl.getUniformLocation(program, 'u_brightness'),
+    contrast: gl.getUniformLocation(program, 'u_contrast'),
+    gain: gl.getUniformLocation(program, 'u_gain'),
+    offset: gl.getUniformLocation(program, 'u_offset'),
+    gamma: gl.getUniformLocation(program, 'u_gamma'),
+  };
+}
+
 function createPendingProgramBundle(
   gl: WebGLRenderingContext,
   shaderCode: string,
   uniformDefinitions: ShaderUniformMap,
   parallelCompileExtension: ParallelShaderCompileExtension | null,
 ): PendingProgramBundle {
-  const vertexShader = compileShaderUnchecked(gl, gl.VERTEX_SHADER, VERTEX_SHADER_SOURCE);
-  const fragmentShader = compileShaderUnchecked(
-    gl,
-    gl.FRAGMENT_SHADER,
-    buildFragmentShaderSource(shaderCode),
-  );
+  const { vertexSource, fragmentSource } = getStageShaderSources(gl, shaderCode);
+  const vertexShader = compileShaderUnchecked(gl, gl.VERTEX_SHADER, vertexSource);
+  const fragmentShader = compileShaderUnchecked(gl, gl.FRAGMENT_SHADER, fragmentSource);
   const program = gl.createProgram();
   if (!program) {
     gl.deleteShader(vertexShader);
@@ -484,6 +830,16 @@ function resolvePendingProgramBundle(
           gl.getUniformLocation(pendingBundle.program, name),
         ]),
       ),
+      textureInputs: getTextureInputLocations(
+        gl,
+        pendingBundle.program,
+        pendingBundle.shaderCode,
+      ),
+      feedbackInputs: getFeedbackInputLocations(
+        gl,
+        pendingBundle.program,
+        pendingBundle.shaderCode,
+      ),
     },
   };
 
@@ -893,6 +1249,15 @@ export function StageRenderer({
   isOutputOnly = false,
   showGrid = false,
   onDistortionChange,
+  onMeshWarpChange,
+  colorCalibration = null,
+  testPattern = null,
+  testPatternSurface = null,
+  structuredLightFrame = null,
+  activeOutputMaskId = null,
+  activeOutputMaskPointIndex = null,
+  onOutputMaskPointSelect,
+  onOutputMaskPointChange,
   personalPreviewActive = false,
   personalPreviewGuideActive = false,
   showPinnedIndicator = false,
@@ -910,7 +1275,7 @@ export function StageRenderer({
   const canvasRef = useRef<HTMLCanvasElement | null>(null);
   const mediaSurfaceRef = useRef<HTMLDivElement | null>(null);
   const distortionDragRef = useRef<{
-    corner: StageDistortionCorner;
+    key: string;
     pointerId: number;
     cleanup: () => void;
   } | null>(null);
@@ -928,6 +1293,21 @@ export function StageRenderer({
   const rafRef = useRef<number | null>(null);
   const mediaAspectRatioRef = useRef<number | null>(null);
   const compositeRenderTargetRef = useRef<StageRenderTarget | null>(null);
+  const alternateCompositeRenderTargetRef = useRef<StageRenderTarget | null>(null);
+  const meshWarpProgramRef = useRef<MeshWarpProgram | null>(null);
+  const meshWarpBufferRef = useRef<MeshWarpBuffer | null>(null);
+  const sceneRenderTargetRef = useRef<StageRenderTarget | null>(null);
+  const colorCalibrationProgramRef = useRef<ColorCalibrationProgram | null>(null);
+  const colorCalibrationRenderTargetRef = useRef<StageRenderTarget | null>(null);
+  const colorLutTextureRef = useRef<ColorLutTexture | null>(null);
+  const feedbackCopyProgramRef = useRef<FeedbackCopyProgram | null>(null);
+  const feedbackBuffersRef = useRef<Map<string, StageFeedbackBuffer>>(new Map());
+  const activeStructuredLightFrame = isOutputOnly ? structuredLightFrame : null;
+  const activeColorCalibration =
+    isOutputOnly && !activeStructuredLightFrame && !isColorCalibrationIdentity(colorCalibration)
+      ? colorCalibration
+      : null;
+  const colorCalibrationRef = useRef(activeColorCalibration);
   const transportRef = useRef(transport);
   const lastVideoTransportRef = useRef(transport);
   const preserveDrawingBufferRef = useRef(Boolean(onCanvasReady));
@@ -947,6 +1327,7 @@ export function StageRenderer({
   const onCompiledShaderCodesChangeRef = useRef(onCompiledShaderCodesChange);
   const onFrameRenderedRef = useRef(onFrameRendered);
   audioRuntimeRef.current = audioRuntime;
+  colorCalibrationRef.current = activeColorCalibration;
   useEffect(
     () => () => {
       distortionDragRef.current?.cleanup();
@@ -1001,9 +1382,25 @@ export function StageRenderer({
     onFrameRenderedRef.current = onFrameRendered;
   }, [onFrameRendered]);
 
+  const activeTestPattern = isOutputOnly && !activeStructuredLightFrame ? testPattern : null;
+  const overlayShaderCode = activeStructuredLightFrame
+    ? getStructuredLightShaderCode(activeStructuredLightFrame)
+    : activeTestPattern
+      ? getTestPatternShaderCode(activeTestPattern)
+      : null;
   const resolvedRenderLayers = useMemo<StageRenderLayer[]>(
     () =>
-      renderLayers && renderLayers.length > 0
+      overlayShaderCode
+        ? [
+            {
+              shaderCode: overlayShaderCode,
+              uniformDefinitions: EMPTY_UNIFORM_DEFINITIONS,
+              uniformValues: EMPTY_UNIFORM_VALUES,
+              opacity: 1,
+              inputSource: defaultInputSource,
+            },
+          ]
+        : renderLayers && renderLayers.length > 0
         ? renderLayers
         : [
             {
@@ -1014,7 +1411,14 @@ export function StageRenderer({
               inputSource: defaultInputSource,
             },
           ],
-    [defaultInputSource, renderLayers, shaderCode, uniformDefinitions, uniformValues],
+    [
+      defaultInputSource,
+      overlayShaderCode,
+      renderLayers,
+      shaderCode,
+      uniformDefinitions,
+      uniformValues,
+    ],
   );
   const resolvedPreloadLayers = useMemo<StageRenderLayer[]>(
     () => preloadLayers ?? [],
@@ -1046,6 +1450,7 @@ export function StageRenderer({
       registerSource(layer.transitionInputSources?.to);
       registerSource(layer.transitionOverlaySources?.from);
       registerSource(layer.transitionOverlaySources?.to);
+      Object.values(layer.textureInputs ?? {}).forEach(registerSource);
     }
     for (const source of warmupSources ?? []) {
       registerSource(source);
@@ -1110,6 +1515,7 @@ export function StageRenderer({
             key,
             program: cachedProgram.program,
             locations: cachedProgram.locations,
+            feedback: cachedProgram.feedback,
           },
         ];
       }
@@ -1168,6 +1574,7 @@ export function StageRenderer({
     const pendingProgramCache = pendingProgramCacheRef.current;
     const textureSources = textureSourcesRef.current;
     const failedProgramCodes = failedProgramCodesRef.current;
+    const feedbackBuffers = feedbackBuffersRef.current;
 
     // Recover from GPU resets: prevent the default lost-context teardown so
     // the browser restores the context, then rebuild every GL resource by
@@ -1181,7 +1588,7 @@ export function StageRenderer({
     canvas.addEventListener('webglcontextlost', handleContextLost);
     canvas.addEventListener('webglcontextrestored', handleContextRestored);
 
-    const gl = canvas.getContext('webgl', {
+    const gl = createShaderRenderingContext(canvas, {
       preserveDrawingBuffer: preserveDrawingBufferRef.current,
     });
     if (!gl || gl.isContextLost()) {
@@ -1215,6 +1622,29 @@ export function StageRenderer({
     positionBufferRef.current = buffer;
     gl.viewport(0, 0, canvas.width, canvas.height);
 
+    try {
+      meshWarpProgramRef.current = createMeshWarpProgram(gl);
+    } catch (error) {
+      // Without the warp pass the output still renders, just unwarped.
+      console.warn('Mesh warp program failed to compile.', error);
+      meshWarpProgramRef.current = null;
+    }
+
+    try {
+      colorCalibrationProgramRef.current = createColorCalibrationProgram(gl);
+    } catch (error) {
+      console.warn('Colour calibration program failed to compile.', error);
+      colorCalibrationProgramRef.current = null;
+    }
+
+    try {
+      feedbackCopyProgramRef.current = createFeedbackCopyProgram(gl);
+    } catch (error) {
+      // Shaders reading u_prev_frame then fail their frames with a render warning.
+      console.warn('Feedback copy program failed to compile.', error);
+      feedbackCopyProgramRef.current = null;
+    }
+
     return () => {
       canvas.removeEventListener('webglcontextlost', handleContextLost);
       canvas.removeEventListener('webglcontextrestored', handleContextRestored);
@@ -1224,8 +1654,8 @@ export function StageRenderer({
       // After a context loss these deletes are harmless no-ops; the important
       // part is clearing the caches so the next generation recompiles and
       // re-uploads everything from scratch.
-      programCache.forEach(({ program }) => {
-        gl.deleteProgram(program);
+      programCache.forEach((cachedProgram) => {
+        deleteCachedProgram(gl, cachedProgram);
       });
       programCache.clear();
       pendingProgramCache.forEach((pendingBundle) => {
@@ -1238,11 +1668,34 @@ export function StageRenderer({
         disposeTextureSourceState(gl, state);
       });
       textureSources.clear();
-      if (compositeRenderTargetRef.current) {
-        gl.deleteFramebuffer(compositeRenderTargetRef.current.framebuffer);
-        gl.deleteTexture(compositeRenderTargetRef.current.texture);
-        compositeRenderTargetRef.current = null;
+      [
+        compositeRenderTargetRef,
+        alternateCompositeRenderTargetRef,
+        sceneRenderTargetRef,
+        colorCalibrationRenderTargetRef,
+      ].forEach((targetRef) => {
+        if (targetRef.current) {
+          gl.deleteFramebuffer(targetRef.current.framebuffer);
+          gl.deleteTexture(targetRef.current.texture);
+          targetRef.current = null;
+        }
+      });
+      if (meshWarpProgramRef.current) {
+        gl.deleteProgram(meshWarpProgramRef.current.program);
+        meshWarpProgramRef.current = null;
       }
+      if (colorCalibrationProgramRef.current) {
+        gl.deleteProgram(colorCalibrationProgramRef.current.program);
+        colorCalibrationProgramRef.current = null;
+      }
+      if (feedbackCopyProgramRef.current) {
+        gl.deleteProgram(feedbackCopyProgramRef.current.program);
+        feedbackCopyProgramRef.current = null;
+      }
+      feedbackBuffers.forEach((feedbackBuffer) => {
+        feedbackBuffer.targets.forEach((target) => disposeStageRenderTarget(gl, target));
+      });
+      feedbackBuffers.clear();
       if (positionBufferRef.current) {
         gl.deleteBuffer(positionBufferRef.current);
       }
@@ -1377,7 +1830,7 @@ export function StageRenderer({
           break;
         }
 
-        gl.deleteProgram(cachedProgram.program);
+        deleteCachedProgram(gl, cachedProgram);
         programCacheRef.current.delete(key);
         prunedAnyProgram = true;
       }
@@ -1413,6 +1866,7 @@ export function StageRenderer({
           key: `${layer.shaderCode}:${index}`,
           program: cachedProgram.program,
           locations: cachedProgram.locations,
+          feedback: cachedProgram.feedback,
         });
       }
 
@@ -1454,7 +1908,7 @@ export function StageRenderer({
 
           pendingProgramCacheRef.current.delete(key);
           programCacheRef.current.set(key, {
-            ...resolvedProgram,
+            ...withFeedbackPasses(gl, resolvedProgram, key, pendingBundle.uniformDefinitions),
             lastUsedAt: ++programCacheClockRef.current,
           });
           programCacheChanged = true;
@@ -1491,7 +1945,12 @@ export function StageRenderer({
             programCacheRef.current.set(
               missingShaderCode,
               {
-                ...createProgramBundle(gl, missingShaderCode, uniformMap),
+                ...withFeedbackPasses(
+                  gl,
+                  createProgramBundle(gl, missingShaderCode, uniformMap),
+                  missingShaderCode,
+                  uniformMap,
+                ),
                 lastUsedAt: ++programCacheClockRef.current,
               },
             );
@@ -1559,6 +2018,7 @@ export function StageRenderer({
         compiledLayer.transitionInputSources?.to,
         compiledLayer.transitionOverlaySources?.from,
         compiledLayer.transitionOverlaySources?.to,
+        ...Object.values(compiledLayer.textureInputs ?? {}),
       ]) {
         if (source) {
           requiredSourceIds.add(source.sourceKey);
@@ -1752,8 +2212,14 @@ export function StageRenderer({
 
         gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
 
-        const blendBaseLayerIndex = compiledLayers.findIndex((layer) => layer.requiresCompositeBase);
+        // Each layer that blends over the stage below it starts a pass: the
+        // layers before it are drawn into a composite target it samples.
+        // Passes alternate between two targets so each reads the previous one.
+        const compositeBaseLayerIndices = compiledLayers.flatMap((layer, index) =>
+          layer.requiresCompositeBase ? [index] : [],
+        );
         let compositeBaseTexture: WebGLTexture | null = null;
+        const drawnFeedbackKeys = new Set<string>();
 
         const drawCompiledLayer = (
           layer: CompiledRenderLayer,
@@ -1761,6 +2227,7 @@ export function StageRenderer({
           options: {
             compositeBaseTexture: WebGLTexture | null;
             passLayerCount: number;
+            framebuffer: WebGLFramebuffer | null;
           },
         ) => {
           // When drawing stale layers (program for the requested layers still
@@ -1817,183 +2284,414 @@ export function StageRenderer({
             ? textureSources.get(transitionToOverlaySource.sourceKey) ?? overlayState
             : overlayState;
 
-          bindTextureSourceState(
-            gl,
-            primaryState,
-            gl.TEXTURE0,
-            currentTransport,
-            renderTime,
-          );
-
-          gl.useProgram(layer.program);
-          if (layer.locations.image) {
-            gl.uniform1i(layer.locations.image, 0);
-          }
-          if (layer.locations.baseImage && options.compositeBaseTexture) {
-            gl.activeTexture(gl.TEXTURE1);
-            gl.bindTexture(gl.TEXTURE_2D, options.compositeBaseTexture);
-            gl.uniform1i(layer.locations.baseImage, 1);
-          }
-          if (layer.locations.overlayImage) {
+          const bindLayerProgram = (
+            program: WebGLProgram,
+            locations: ProgramLocations,
+            feedbackTextures: Record<string, WebGLTexture | null>,
+          ) => {
+            const textureInputCount = Object.keys(locations.textureInputs).length;
             bindTextureSourceState(
               gl,
-              overlayState,
-              gl.TEXTURE2,
-              currentTransport,
-              renderTime,
-            );
-            gl.uniform1i(layer.locations.overlayImage, 2);
-          }
-          if (layer.locations.overlayAspectRatio) {
-            gl.uniform1f(layer.locations.overlayAspectRatio, overlayState?.aspectRatio ?? 1);
-          }
-          if (layer.locations.transitionFromImage) {
-            bindTextureSourceState(
-              gl,
-              transitionFromState,
+              primaryState,
               gl.TEXTURE0,
               currentTransport,
               renderTime,
             );
-            gl.uniform1i(layer.locations.transitionFromImage, 0);
-          }
-          if (layer.locations.transitionToImage) {
-            bindTextureSourceState(
-              gl,
-              transitionToState,
-              gl.TEXTURE1,
-              currentTransport,
-              renderTime,
-            );
-            gl.uniform1i(layer.locations.transitionToImage, 1);
-          }
-          if (layer.locations.transitionFromOverlayImage) {
-            bindTextureSourceState(
-              gl,
-              transitionFromOverlayState,
-              gl.TEXTURE2,
-              currentTransport,
-              renderTime,
-            );
-            gl.uniform1i(layer.locations.transitionFromOverlayImage, 2);
-          }
-          if (layer.locations.transitionFromOverlayAspectRatio) {
-            gl.uniform1f(
-              layer.locations.transitionFromOverlayAspectRatio,
-              transitionFromOverlayState?.aspectRatio ?? 1,
-            );
+
+            gl.useProgram(program);
+            if (locations.image) {
+              gl.uniform1i(locations.image, 0);
+            }
+            if (locations.baseImage && options.compositeBaseTexture) {
+              gl.activeTexture(gl.TEXTURE1);
+              gl.bindTexture(gl.TEXTURE_2D, options.compositeBaseTexture);
+              gl.uniform1i(locations.baseImage, 1);
+            }
+            if (locations.overlayImage) {
+              bindTextureSourceState(
+                gl,
+                overlayState,
+                gl.TEXTURE2,
+                currentTransport,
+                renderTime,
+              );
+              gl.uniform1i(locations.overlayImage, 2);
+            }
+            if (locations.overlayAspectRatio) {
+              gl.uniform1f(locations.overlayAspectRatio, overlayState?.aspectRatio ?? 1);
+            }
+            if (locations.transitionFromImage) {
+              bindTextureSourceState(
+                gl,
+                transitionFromState,
+                gl.TEXTURE0,
+                currentTransport,
+                renderTime,
+              );
+              gl.uniform1i(locations.transitionFromImage, 0);
+            }
+            if (locations.transitionToImage) {
+              bindTextureSourceState(
+                gl,
+                transitionToState,
+                gl.TEXTURE1,
+                currentTransport,
+                renderTime,
+              );
+              gl.uniform1i(locations.transitionToImage, 1);
+            }
+            if (locations.transitionFromOverlayImage) {
+              bindTextureSourceState(
+                gl,
+                transitionFromOverlayState,
+                gl.TEXTURE2,
+                currentTransport,
+                renderTime,
+              );
+              gl.uniform1i(locations.transitionFromOverlayImage, 2);
+            }
+            if (locations.transitionFromOverlayAspectRatio) {
+              gl.uniform1f(
+                locations.transitionFromOverlayAspectRatio,
+                transitionFromOverlayState?.aspectRatio ?? 1,
+              );
+            }
+            if (locations.transitionToOverlayImage) {
+              bindTextureSourceState(
+                gl,
+                transitionToOverlayState,
+                gl.TEXTURE3,
+                currentTransport,
+                renderTime,
+              );
+              gl.uniform1i(locations.transitionToOverlayImage, 3);
+            }
+            if (locations.transitionToOverlayAspectRatio) {
+              gl.uniform1f(
+                locations.transitionToOverlayAspectRatio,
+                transitionToOverlayState?.aspectRatio ?? 1,
+              );
+            }
+            Object.entries(locations.textureInputs).forEach(([name, location], index) => {
+              if (!location) {
+                return;
+              }
+
+              const textureUnit = FIRST_TEXTURE_INPUT_UNIT + index;
+              const source =
+                activeLayer.textureInputs?.[name] ?? layer.textureInputs?.[name] ?? null;
+              const state = source ? textureSources.get(source.sourceKey) ?? null : null;
+              if (state?.texture) {
+                bindTextureSourceState(
+                  gl,
+                  state,
+                  gl.TEXTURE0 + textureUnit,
+                  currentTransport,
+                  renderTime,
+                );
+              } else {
+                // Unbound inputs sample black rather than a texture left on the unit.
+                gl.activeTexture(gl.TEXTURE0 + textureUnit);
+                gl.bindTexture(gl.TEXTURE_2D, null);
+              }
+              gl.uniform1i(location, textureUnit);
+            });
+            Object.entries(locations.feedbackInputs).forEach(([name, location], index) => {
+              if (!location) {
+                return;
+              }
+
+              const textureUnit = FIRST_TEXTURE_INPUT_UNIT + textureInputCount + index;
+              gl.activeTexture(gl.TEXTURE0 + textureUnit);
+              gl.bindTexture(gl.TEXTURE_2D, feedbackTextures[name] ?? null);
+              gl.uniform1i(location, textureUnit);
+            });
+            if (locations.time) {
+              gl.uniform1f(locations.time, renderTime);
+            }
+            if (locations.resolution) {
+              gl.uniform2f(locations.resolution, canvas.width, canvas.height);
+            }
+
+            for (const [name, definition] of Object.entries(layer.uniformDefinitions)) {
+              const location = locations.custom[name];
+              const value = activeLayer.uniformValues[name] ?? layer.uniformValues[name];
+
+              if (!location || value === undefined) {
+                continue;
+              }
+
+              if (definition.type === 'float' || definition.type === 'int') {
+                const baseValue = Number(value);
+                const audioBinding =
+                  activeLayer.audioBindings?.[name] ?? layer.audioBindings?.[name];
+                const effectiveValue = audioRuntimeRef.current
+                  ? resolveAudioReactiveValue({
+                      baseValue,
+                      binding: audioBinding,
+                      frame: audioRuntimeRef.current.current,
+                      integer: definition.type === 'int',
+                    })
+                  : baseValue;
+                setShaderUniform(gl, location, definition, effectiveValue);
+              } else {
+                setShaderUniform(gl, location, definition, value);
+              }
+            }
+
+            gl.enableVertexAttribArray(locations.position);
+            gl.vertexAttribPointer(locations.position, 2, gl.FLOAT, false, 0, 0);
+          };
+
+          const applyLayerBlending = () => {
+            if (layer.requiresCompositeBase && options.compositeBaseTexture) {
+              gl.disable(gl.BLEND);
+            } else if (layer.compositeMode === 'stackOnTop') {
+              gl.enable(gl.BLEND);
+              gl.blendEquation(gl.FUNC_ADD);
+              gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+            } else if (options.passLayerCount > 1 || activeOpacity < 0.999) {
+              gl.enable(gl.BLEND);
+              gl.blendEquation(gl.FUNC_ADD);
+              gl.blendColor(activeOpacity, activeOpacity, activeOpacity, activeOpacity);
+              gl.blendFunc(gl.CONSTANT_COLOR, gl.ONE);
+            } else {
+              gl.disable(gl.BLEND);
+            }
+          };
+
+          const { previousFrameSamplers, bufferPasses } = layer.feedback;
+          if (previousFrameSamplers.length === 0 && bufferPasses.length === 0) {
+            bindLayerProgram(layer.program, layer.locations, {});
+            applyLayerBlending();
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
+            return;
           }
-          if (layer.locations.transitionToOverlayImage) {
-            bindTextureSourceState(
+
+          // Each buffer pass draws the next frame of its buffer, then the
+          // layer draws into its u_prev_frame history and that frame is
+          // copied onto the stage with the layer's blending.
+          const getFeedbackBuffer = (sampler: string) => {
+            const key =
+              activeLayer.feedbackKeys?.[sampler] ??
+              layer.feedbackKeys?.[sampler] ??
+              `layer:${layerIndex}:${sampler}`;
+            const feedbackBuffer = ensureStageFeedbackBuffer(
               gl,
-              transitionToOverlayState,
-              gl.TEXTURE3,
-              currentTransport,
-              renderTime,
-            );
-            gl.uniform1i(layer.locations.transitionToOverlayImage, 3);
-          }
-          if (layer.locations.transitionToOverlayAspectRatio) {
-            gl.uniform1f(
-              layer.locations.transitionToOverlayAspectRatio,
-              transitionToOverlayState?.aspectRatio ?? 1,
+              feedbackBuffersRef.current.get(key),
+              canvas.width,
+              canvas.height,
             );
-          }
-          if (layer.locations.time) {
-            gl.uniform1f(layer.locations.time, renderTime);
-          }
-          if (layer.locations.resolution) {
-            gl.uniform2f(layer.locations.resolution, canvas.width, canvas.height);
+            if (isFeedbackHistoryAhead(feedbackBuffer.history, renderTime)) {
+              clearStageFeedbackBuffer(gl, feedbackBuffer);
+            }
+            feedbackBuffersRef.current.set(key, feedbackBuffer);
+            drawnFeedbackKeys.add(key);
+            return feedbackBuffer;
+          };
+          const feedbackTextures: Record<string, WebGLTexture | null> = {};
+          for (const sampler of Object.keys(layer.locations.feedbackInputs)) {
+            const feedbackBuffer = getFeedbackBuffer(sampler);
+            feedbackTextures[sampler] =
+              feedbackBuffer.targets[getFeedbackReadIndex(feedbackBuffer.history, renderTime)]
+                .texture;
           }
 
-          for (const [name, definition] of Object.entries(layer.uniformDefinitions)) {
-            const location = layer.locations.custom[name];
-            const value = activeLayer.uniformValues[name] ?? layer.uniformValues[name];
+          gl.disable(gl.BLEND);
+          for (const pass of bufferPasses) {
+            const feedbackBuffer = getFeedbackBuffer(pass.sampler);
+            const write = beginFeedbackWrite(feedbackBuffer.history, renderTime);
+            const writeTarget = feedbackBuffer.targets[write.writeIndex];
+            feedbackBuffer.history = write.history;
+            feedbackTextures[pass.sampler] = feedbackBuffer.targets[write.readIndex].texture;
+            gl.bindFramebuffer(gl.FRAMEBUFFER, writeTarget.framebuffer);
+            bindLayerProgram(pass.program, pass.locations, feedbackTextures);
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
+            // Later passes and the layer itself read this frame of the buffer.
+            feedbackTextures[pass.sampler] = writeTarget.texture;
+          }
 
-            if (!location || value === undefined) {
-              continue;
-            }
+          if (previousFrameSamplers.length === 0) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, options.framebuffer);
+            bindLayerProgram(layer.program, layer.locations, feedbackTextures);
+            applyLayerBlending();
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
+            return;
+          }
 
-            if (definition.type === 'float' || definition.type === 'int') {
-              const baseValue = Number(value);
-              const audioBinding =
-                activeLayer.audioBindings?.[name] ?? layer.audioBindings?.[name];
-              const effectiveValue = audioRuntimeRef.current
-                ? resolveAudioReactiveValue({
-                    baseValue,
-                    binding: audioBinding,
-                    frame: audioRuntimeRef.current.current,
-                    integer: definition.type === 'int',
-                  })
-                : baseValue;
-              gl.uniform1f(location, effectiveValue);
-            } else if (definition.type === 'bool') {
-              gl.uniform1i(location, value ? 1 : 0);
-            } else if (definition.type === 'vec3' && Array.isArray(value)) {
-              gl.uniform3fv(location, value);
-            }
+          const copyProgram = feedbackCopyProgramRef.current;
+          if (!copyProgram) {
+            throw new Error('Unable to draw u_prev_frame without the feedback copy program.');
           }
 
-          gl.enableVertexAttribArray(layer.locations.position);
-          gl.vertexAttribPointer(layer.locations.position, 2, gl.FLOAT, false, 0, 0);
-
-          if (layer.requiresCompositeBase && options.compositeBaseTexture) {
-            gl.disable(gl.BLEND);
-          } else if (layer.compositeMode === 'stackOnTop') {
-            gl.enable(gl.BLEND);
-            gl.blendEquation(gl.FUNC_ADD);
-            gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-          } else if (options.passLayerCount > 1 || activeOpacity < 0.999) {
-            gl.enable(gl.BLEND);
-            gl.blendEquation(gl.FUNC_ADD);
-            gl.blendColor(activeOpacity, activeOpacity, activeOpacity, activeOpacity);
-            gl.blendFunc(gl.CONSTANT_COLOR, gl.ONE);
-          } else {
-            gl.disable(gl.BLEND);
+          const frameWrites = new Map<StageFeedbackBuffer, FeedbackWrite>();
+          for (const sampler of previousFrameSamplers) {
+            const feedbackBuffer = getFeedbackBuffer(sampler);
+            let write = frameWrites.get(feedbackBuffer);
+            if (!write) {
+              write = beginFeedbackWrite(feedbackBuffer.history, renderTime);
+              feedbackBuffer.history = write.history;
+              frameWrites.set(feedbackBuffer, write);
+            }
+            feedbackTextures[sampler] = feedbackBuffer.targets[write.readIndex].texture;
           }
 
+          const [frameTarget, ...copyTargets] = Array.from(
+            frameWrites,
+            ([feedbackBuffer, write]) => feedbackBuffer.targets[write.writeIndex],
+          );
+          gl.bindFramebuffer(gl.FRAMEBUFFER, frameTarget.framebuffer);
+          bindLayerProgram(layer.program, layer.locations, feedbackTextures);
           gl.drawArrays(gl.TRIANGLES, 0, 6);
+
+          const copyFrame = (framebuffer: WebGLFramebuffer | null, flipY: boolean) => {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+            gl.useProgram(copyProgram.program);
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, frameTarget.texture);
+            gl.uniform1i(copyProgram.image, 0);
+            gl.uniform1f(copyProgram.flipY, flipY ? 1 : 0);
+            gl.enableVertexAttribArray(copyProgram.position);
+            gl.vertexAttribPointer(copyProgram.position, 2, gl.FLOAT, false, 0, 0);
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
+          };
+          // Every history this layer feeds gets the same frame, so a transition
+          // hands its output on to the step it leads into.
+          copyTargets.forEach((target) => copyFrame(target.framebuffer, false));
+          applyLayerBlending();
+          copyFrame(options.framebuffer, true);
         };
 
-        if (blendBaseLayerIndex > 0) {
-          compositeRenderTargetRef.current = ensureStageRenderTarget(
+        let passStartIndex = 0;
+        compositeBaseLayerIndices.forEach((passEndIndex, passIndex) => {
+          const targetRef =
+            passIndex % 2 === 0 ? compositeRenderTargetRef : alternateCompositeRenderTargetRef;
+          const target = ensureStageRenderTarget(
             gl,
-            compositeRenderTargetRef.current,
+            targetRef.current,
             canvas.width,
             canvas.height,
           );
-          gl.bindFramebuffer(gl.FRAMEBUFFER, compositeRenderTargetRef.current.framebuffer);
+          targetRef.current = target;
+          gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
           gl.viewport(0, 0, canvas.width, canvas.height);
           gl.clearColor(0, 0, 0, 1);
           gl.clear(gl.COLOR_BUFFER_BIT);
 
-          for (let index = 0; index < blendBaseLayerIndex; index += 1) {
+          for (let index = passStartIndex; index < passEndIndex; index += 1) {
             drawCompiledLayer(compiledLayers[index], index, {
-              compositeBaseTexture: null,
-              passLayerCount: blendBaseLayerIndex,
+              compositeBaseTexture,
+              passLayerCount: passEndIndex - passStartIndex,
+              framebuffer: target.framebuffer,
             });
           }
 
-          compositeBaseTexture = compositeRenderTargetRef.current.texture;
+          compositeBaseTexture = target.texture;
+          passStartIndex = passEndIndex;
+        });
+        if (compositeBaseLayerIndices.length > 0) {
           gl.bindFramebuffer(gl.FRAMEBUFFER, null);
         }
 
+        // Colour calibration and mesh warps post-process the finished frame:
+        // the layers draw into a texture first, the calibration pass grades
+        // it, and the mesh pass stretches it over the tessellated mesh.
+        const colorCalibrationValues = colorCalibrationRef.current;
+        const colorCalibrationProgram = colorCalibrationValues
+          ? colorCalibrationProgramRef.current
+          : null;
+        const meshWarpProgram = meshWarpProgramRef.current;
+        const meshWarpBuffer = meshWarpProgram ? meshWarpBufferRef.current : null;
+        let sceneFramebuffer: WebGLFramebuffer | null = null;
+        if (colorCalibrationProgram || meshWarpBuffer) {
+          sceneRenderTargetRef.current = ensureStageRenderTarget(
+            gl,
+            sceneRenderTargetRef.current,
+            canvas.width,
+            canvas.height,
+          );
+          sceneFramebuffer = sceneRenderTargetRef.current.framebuffer;
+          gl.bindFramebuffer(gl.FRAMEBUFFER, sceneFramebuffer);
+        }
+
         gl.viewport(0, 0, canvas.width, canvas.height);
         gl.clearColor(0, 0, 0, 1);
         gl.clear(gl.COLOR_BUFFER_BIT);
 
-        const canvasLayerStart = blendBaseLayerIndex >= 0 ? blendBaseLayerIndex : 0;
-        const canvasLayerCount = compiledLayers.length - canvasLayerStart;
+        const canvasLayerCount = compiledLayers.length - passStartIndex;
 
-        for (let index = canvasLayerStart; index < compiledLayers.length; index += 1) {
+        for (let index = passStartIndex; index < compiledLayers.length; index += 1) {
           drawCompiledLayer(compiledLayers[index], index, {
             compositeBaseTexture,
             passLayerCount: canvasLayerCount,
+            framebuffer: sceneFramebuffer,
           });
         }
 
         gl.disable(gl.BLEND);
 
+        // Histories no layer drew this frame belong to steps that are gone.
+        for (const [key, feedbackBuffer] of feedbackBuffersRef.current) {
+          if (!drawnFeedbackKeys.has(key)) {
+            feedbackBuffer.targets.forEach((target) => disposeStageRenderTarget(gl, target));
+            feedbackBuffersRef.current.delete(key);
+          }
+        }
+
+        let postProcessTexture = sceneRenderTargetRef.current?.texture ?? null;
+        if (colorCalibrationValues && colorCalibrationProgram && postProcessTexture) {
+          if (meshWarpBuffer) {
+            colorCalibrationRenderTargetRef.current = ensureStageRenderTarget(
+              gl,
+              colorCalibrationRenderTargetRef.current,
+              canvas.width,
+              canvas.height,
+            );
+            gl.bindFramebuffer(gl.FRAMEBUFFER, colorCalibrationRenderTargetRef.current.framebuffer);
+          } else {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+          }
+          gl.viewport(0, 0, canvas.width, canvas.height);
+          gl.useProgram(colorCalibrationProgram.program);
+          gl.activeTexture(gl.TEXTURE0);
+          gl.bindTexture(gl.TEXTURE_2D, postProcessTexture);
+          gl.uniform1i(colorCalibrationProgram.image, 0);
+          const lutTexture = colorCalibrationValues.lut ? colorLutTextureRef.current : null;
+          gl.activeTexture(gl.TEXTURE1);
+          gl.bindTexture(gl.TEXTURE_2D, lutTexture?.texture ?? null);
+          gl.uniform1i(colorCalibrationProgram.lut, 1);
+          gl.uniform1f(colorCalibrationProgram.lutSize, lutTexture?.size ?? 2);
+          gl.uniform1f(colorCalibrationProgram.useLut, lutTexture ? 1 : 0);
+          gl.uniform1f(colorCalibrationProgram.brightness, colorCalibrationValues.brightness);
+          gl.uniform1f(colorCalibrationProgram.contrast, colorCalibrationValues.contrast);
+          gl.uniform3fv(colorCalibrationProgram.gain, colorCalibrationValues.gain);
+          gl.uniform3fv(colorCalibrationProgram.offset, colorCalibrationValues.offset);
+          gl.uniform3fv(colorCalibrationProgram.gamma, colorCalibrationValues.gamma);
+          gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+          gl.enableVertexAttribArray(colorCalibrationProgram.position);
+          gl.vertexAttribPointer(colorCalibrationProgram.position, 2, gl.FLOAT, false, 0, 0);
+          gl.drawArrays(gl.TRIANGLES, 0, 6);
+          gl.activeTexture(gl.TEXTURE0);
+          postProcessTexture = colorCalibrationRenderTargetRef.current?.texture ?? null;
+        }
+
+        if (meshWarpProgram && meshWarpBuffer && postProcessTexture) {
+          gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+          gl.viewport(0, 0, canvas.width, canvas.height);
+          gl.clear(gl.COLOR_BUFFER_BIT);
+          gl.useProgram(meshWarpProgram.program);
+          gl.activeTexture(gl.TEXTURE0);
+          gl.bindTexture(gl.TEXTURE_2D, postProcessTexture);
+          gl.uniform1i(meshWarpProgram.image, 0);
+          gl.bindBuffer(gl.ARRAY_BUFFER, meshWarpBuffer.buffer);
+          gl.enableVertexAttribArray(meshWarpProgram.position);
+          gl.vertexAttribPointer(meshWarpProgram.position, 2, gl.FLOAT, false, 16, 0);
+          gl.enableVertexAttribArray(meshWarpProgram.texcoord);
+          gl.vertexAttribPointer(meshWarpProgram.texcoord, 2, gl.FLOAT, false, 16, 8);
+          gl.drawArrays(gl.TRIANGLES, 0, meshWarpBuffer.vertexCount);
+          gl.disableVertexAttribArray(meshWarpProgram.texcoord);
+        }
+
         renderWarningRef.current = null;
         onFrameRenderedRef.current?.({
           layersInSync,
@@ -2033,8 +2731,11 @@ export function StageRenderer({
     !isOutputOnly &&
     Boolean(stageTransform.distortMode) &&
     Boolean(onDistortionChange);
+  const structuredLightActive = activeStructuredLightFrame !== null;
+  const showOutputDistortionGuides =
+    isOutputOnly && Boolean(stageTransform.distortMode) && !structuredLightActive;
   const canvasFrameStyle = useMemo<CSSProperties>(() => {
-    if (!isOutputOnly) {
+    if (!isOutputOnly || structuredLightActive) {
       return {};
     }
 
@@ -2044,16 +2745,107 @@ export function StageRenderer({
       canvasCssSize.height,
     );
     return transform ? { transform } : {};
-  }, [canvasCssSize.height, canvasCssSize.width, distortion, isOutputOnly]);
+  }, [canvasCssSize.height, canvasCssSize.width, distortion, isOutputOnly, structuredLightActive]);
 
-  const startDistortionCornerDrag = (
-    corner: StageDistortionCorner,
-    event: ReactPointerEvent<SVGCircleElement>,
-  ) => {
-    if (!onDistortionChange) {
+  const meshWarpSignature = JSON.stringify(stageTransform.meshWarp ?? null);
+  const meshWarp = useMemo(
+    () => normalizeStageMeshWarp(JSON.parse(meshWarpSignature)),
+    [meshWarpSignature],
+  );
+  const meshEditing =
+    distortEditing &&
+    stageTransform.distortEditor === 'mesh' &&
+    meshWarp !== null &&
+    Boolean(onMeshWarpChange);
+  const showOutputMeshGrid =
+    isOutputOnly && stageTransform.distortEditor === 'mesh' && meshWarp !== null;
+  const meshGridLines = useMemo(
+    () => (meshWarp && (meshEditing || showOutputMeshGrid) ? createStageMeshGridLines(meshWarp) : null),
+    [meshEditing, meshWarp, showOutputMeshGrid],
+  );
+  const [selectedMeshPoint, setSelectedMeshPoint] = useState<{
+    column: number;
+    row: number;
+  } | null>(null);
+  const activeMeshPoint =
+    meshEditing &&
+    meshWarp &&
+    selectedMeshPoint &&
+    selectedMeshPoint.column < meshWarp.columns &&
+    selectedMeshPoint.row < meshWarp.rows
+      ? selectedMeshPoint
+      : null;
+
+  useEffect(() => {
+    const gl = glRef.current;
+    if (
+      !gl ||
+      !isOutputOnly ||
+      structuredLightActive ||
+      !meshWarp ||
+      isStageMeshWarpIdentity(meshWarp)
+    ) {
       return;
     }
 
+    const buffer = gl.createBuffer();
+    if (!buffer) {
+      return;
+    }
+
+    const geometry = createStageMeshGeometry(meshWarp);
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, geometry.vertices, gl.STATIC_DRAW);
+    meshWarpBufferRef.current = { buffer, vertexCount: geometry.vertexCount };
+
+    return () => {
+      if (meshWarpBufferRef.current?.buffer === buffer) {
+        meshWarpBufferRef.current = null;
+      }
+      gl.deleteBuffer(buffer);
+    };
+  }, [glContextGeneration, isOutputOnly, meshWarp, structuredLightActive]);
+
+  const colorLutData = activeColorCalibration?.lut?.data ?? null;
+  const colorLutSize = activeColorCalibration?.lut?.size ?? 0;
+  useEffect(() => {
+    const gl = glRef.current;
+    if (!gl || !colorLutData) {
+      return;
+    }
+
+    const texture = gl.createTexture();
+    if (!texture) {
+      return;
+    }
+
+    const { width, height, pixels } = createColorLutTextureData({
+      size: colorLutSize,
+      data: colorLutData,
+    });
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    colorLutTextureRef.current = { texture, size: colorLutSize };
+
+    return () => {
+      if (colorLutTextureRef.current?.texture === texture) {
+        colorLutTextureRef.current = null;
+      }
+      gl.deleteTexture(texture);
+    };
+  }, [colorLutData, colorLutSize, glContextGeneration]);
+
+  const startDistortionPointDrag = (
+    key: string,
+    startDistortionPoint: DistortionPoint,
+    applyPoint: (point: DistortionPoint) => void,
+    event: ReactPointerEvent<SVGCircleElement>,
+  ) => {
     const svg = event.currentTarget.ownerSVGElement;
     if (!svg) {
       return;
@@ -2070,7 +2862,6 @@ export function StageRenderer({
     startPointer.x = event.clientX;
     startPointer.y = event.clientY;
     const startLocalPoint = startPointer.matrixTransform(screenMatrix.inverse());
-    const startDistortionPoint = getStageDistortionPoint(distortion, corner);
     const updateFromPointer = (pointerEvent: PointerEvent) => {
       if (pointerEvent.pointerId !== pointerId) {
         return;
@@ -2083,12 +2874,10 @@ export function StageRenderer({
       pointer.x = pointerEvent.clientX;
       pointer.y = pointerEvent.clientY;
       const localPoint = pointer.matrixTransform(screenMatrix.inverse());
-      onDistortionChange(
-        setStageDistortionPoint(distortion, corner, {
-          x: startDistortionPoint.x + (localPoint.x - startLocalPoint.x) / 1000,
-          y: startDistortionPoint.y + (localPoint.y - startLocalPoint.y) / 1000,
-        }),
-      );
+      applyPoint({
+        x: startDistortionPoint.x + (localPoint.x - startLocalPoint.x) / 1000,
+        y: startDistortionPoint.y + (localPoint.y - startLocalPoint.y) / 1000,
+      });
     };
     const finishDrag = (pointerEvent?: PointerEvent) => {
       if (pointerEvent && pointerEvent.pointerId !== pointerId) {
@@ -2104,7 +2893,7 @@ export function StageRenderer({
 
     distortionDragRef.current?.cleanup();
     distortionDragRef.current = {
-      corner,
+      key,
       pointerId,
       cleanup: () => finishDrag(),
     };
@@ -2114,6 +2903,62 @@ export function StageRenderer({
     event.currentTarget.setPointerCapture(pointerId);
   };
 
+  const startDistortionCornerDrag = (
+    corner: StageDistortionCorner,
+    event: ReactPointerEvent<SVGCircleElement>,
+  ) => {
+    if (!onDistortionChange) {
+      return;
+    }
+
+    startDistortionPointDrag(
+      corner,
+      getStageDistortionPoint(distortion, corner),
+      (point) => onDistortionChange(setStageDistortionPoint(distortion, corner, point)),
+      event,
+    );
+  };
+
+  const startMeshPointDrag = (
+    column: number,
+    row: number,
+    event: ReactPointerEvent<SVGCircleElement>,
+  ) => {
+    if (!onMeshWarpChange || !meshWarp) {
+      return;
+    }
+
+    setSelectedMeshPoint({ column, row });
+    startDistortionPointDrag(
+      `mesh:${column}:${row}`,
+      getStageMeshControlPoint(meshWarp, column, row),
+      (point) => onMeshWarpChange(setStageMeshControlPoint(meshWarp, column, row, point)),
+      event,
+    );
+  };
+
+  const nudgeMeshPoint = (
+    column: number,
+    row: number,
+    horizontalDirection: number,
+    verticalDirection: number,
+  ) => {
+    if (!onMeshWarpChange || !meshWarp) {
+      return;
+    }
+
+    const precisionPixels = Math.max(1, stageTransform.precision);
+    onMeshWarpChange(
+      nudgeStageMeshControlPoint(
+        meshWarp,
+        column,
+        row,
+        horizontalDirection * precisionPixels / Math.max(1, canvasCssSize.width),
+        verticalDirection * precisionPixels / Math.max(1, canvasCssSize.height),
+      ),
+    );
+  };
+
   const nudgeDistortionCorner = (
     corner: StageDistortionCorner,
     horizontalDirection: number,
@@ -2154,6 +2999,19 @@ export function StageRenderer({
     [distortEditing, shellSize.height, shellSize.width, stageTransform],
   );
 
+  const renderMeshGridLines = (keyPrefix: string) =>
+    meshGridLines ? (
+      <>
+        {[...meshGridLines.rows, ...meshGridLines.columns].map((line, index) => (
+          <polyline
+            key={`${keyPrefix}-mesh-line-${index}`}
+            className="stage-distort-grid-line stage-distort-mesh-line"
+            points={line.map((point) => `${point.x * 1000},${point.y * 1000}`).join(' ')}
+          />
+        ))}
+      </>
+    ) : null;
+
   const hasRequiredInputSource = requiredInputSources.length > 0;
   const hasLoadingInputSource = requiredInputSources.some((source) => source.status === 'loading');
   const hasMissingOnlyInputSources =
@@ -2223,13 +3081,55 @@ export function StageRenderer({
         <div className="stage-canvas-composition">
           <div className="stage-canvas-frame" style={canvasFrameStyle}>
             <canvas ref={canvasRef} className="stage-canvas" />
-            {showGrid ? (
+            {activeTestPattern === 'markers' && testPatternSurface ? (
+              <div className="stage-test-pattern-labels" aria-hidden="true">
+                <span className="stage-test-pattern-label stage-test-pattern-label-center">
+                  <strong>{testPatternSurface.name}</strong>
+                  {testPatternSurface.id}
+                </span>
+                {TEST_PATTERN_CORNER_LABELS.map((corner) => (
+                  <span
+                    key={corner}
+                    className={`stage-test-pattern-label stage-test-pattern-label-${corner}`}
+                  >
+                    {testPatternSurface.name}
+                  </span>
+                ))}
+              </div>
+            ) : null}
+            {showGrid && !structuredLightActive ? (
               <div className="stage-alignment-grid" aria-hidden="true">
                 <span className="stage-alignment-grid-center-x" />
                 <span className="stage-alignment-grid-center-y" />
               </div>
             ) : null}
-            {isOutputOnly && stageTransform.distortMode ? (
+            {showOutputDistortionGuides && showOutputMeshGrid && meshWarp ? (
+              <svg
+                className="stage-distort-output-grid"
+                data-distortion-grid="mesh"
+                viewBox="0 0 1000 1000"
+                preserveAspectRatio="none"
+                aria-hidden="true"
+              >
+                {renderMeshGridLines('output')}
+                {meshWarp.points.map((_, index) => {
+                  const point = getStageMeshControlPoint(
+                    meshWarp,
+                    index % meshWarp.columns,
+                    Math.floor(index / meshWarp.columns),
+                  );
+                  return (
+                    <circle
+                      key={`output-mesh-point-${index}`}
+                      className="stage-distort-output-corner"
+                      cx={point.x * 1000}
+                      cy={point.y * 1000}
+                      r="12"
+                    />
+                  );
+                })}
+              </svg>
+            ) : showOutputDistortionGuides ? (
               <svg
                 className="stage-distort-output-grid"
                 data-distortion-grid="output"
@@ -2289,6 +3189,163 @@ export function StageRenderer({
                     height: `${canvasCssSize.height}px`,
                   }}
                 >
+              {meshEditing && meshWarp ? (
+                <>
+              <svg
+                className="stage-distort-overlay"
+                viewBox="0 0 1000 1000"
+                preserveAspectRatio="none"
+                aria-label="Mesh warp grid"
+              >
+                {renderMeshGridLines('editor')}
+                {meshWarp.points.map((_, index) => {
+                  const column = index % meshWarp.columns;
+                  const row = Math.floor(index / meshWarp.columns);
+                  const point = getStageMeshControlPoint(meshWarp, column, row);
+                  const selected =
+                    activeMeshPoint?.column === column && activeMeshPoint.row === row;
+                  return (
+                    <circle
+                      key={`mesh-point-${index}`}
+                      className="stage-distort-handle"
+                      data-mesh-point={`${column},${row}`}
+                      cx={point.x * 1000}
+                      cy={point.y * 1000}
+                      r="20"
+                      role="button"
+                      tabIndex={0}
+                      aria-label={`Drag mesh point column ${column + 1}, row ${row + 1}`}
+                      aria-pressed={selected}
+                      onPointerDown={(event) => startMeshPointDrag(column, row, event)}
+                      onKeyDown={(event) => {
+                        if (event.key === 'Enter' || event.key === ' ') {
+                          event.preventDefault();
+                          setSelectedMeshPoint({ column, row });
+                        }
+                      }}
+                    />
+                  );
+                })}
+              </svg>
+
+              {meshWarp.points.map((_, index) => {
+                const column = index % meshWarp.columns;
+                const row = Math.floor(index / meshWarp.columns);
+                const point = getStageMeshControlPoint(meshWarp, column, row);
+                const selected =
+                  activeMeshPoint?.column === column && activeMeshPoint.row === row;
+                return (
+                  <span
+                    key={`mesh-dot-${index}`}
+                    className={`stage-distort-corner-dot stage-distort-mesh-dot ${
+                      selected ? 'stage-distort-mesh-dot-selected' : ''
+                    }`}
+                    style={{
+                      left: `${point.x * 100}%`,
+                      top: `${point.y * 100}%`,
+                    }}
+                    aria-hidden="true"
+                  />
+                );
+              })}
+
+              {activeMeshPoint ? (() => {
+                const { column, row } = activeMeshPoint;
+                const point = getStageMeshControlPoint(meshWarp, column, row);
+                const pointLabel = `column ${column + 1}, row ${row + 1} mesh point`;
+                return (
+                  <div
+                    className="stage-distort-mesh-controls"
+                    style={{
+                      left: `${point.x * 100}%`,
+                      top: `${point.y * 100}%`,
+                    }}
+                    role="group"
+                    aria-label={`${pointLabel} controls`}
+                  >
+                    <div className="stage-distort-mesh-nudge">
+                      <button
+                        type="button"
+                        className="stage-distort-nudge stage-distort-nudge-up"
+                        aria-label={`Move ${pointLabel} up`}
+                        title="Move point up"
+                        onClick={(event) => {
+                          event.stopPropagation();
+                          nudgeMeshPoint(column, row, 0, -1);
+                        }}
+                      >
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        className="stage-distort-nudge stage-distort-nudge-left"
+                        aria-label={`Move ${pointLabel} left`}
+                        title="Move point left"
+                        onClick={(event) => {
+                          event.stopPropagation();
+                          nudgeMeshPoint(column, row, -1, 0);
+                        }}
+                      >
+                        ←
+                      </button>
+                      <span className="stage-distort-nudge-center" aria-hidden="true" />
+                      <button
+                        type="button"
+                        className="stage-distort-nudge stage-distort-nudge-right"
+                        aria-label={`Move ${pointLabel} right`}
+                        title="Move point right"
+                        onClick={(event) => {
+                          event.stopPropagation();
+                          nudgeMeshPoint(column, row, 1, 0);
+                        }}
+                      >
+                        →
+                      </button>
+                      <button
+                        type="button"
+                        className="stage-distort-nudge stage-distort-nudge-down"
+                        aria-label={`Move ${pointLabel} down`}
+                        title="Move point down"
+                        onClick={(event) => {
+                          event.stopPropagation();
+                          nudgeMeshPoint(column, row, 0, 1);
+                        }}
+                      >
+                        ↓
+                      </button>
+                    </div>
+                    <div className="stage-distort-mesh-reset">
+                      <button
+                        type="button"
+                        className="stage-distort-nudge"
+                        title={`Reset row ${row + 1}`}
+                        aria-label={`Reset mesh row ${row + 1}`}
+                        onClick={(event) => {
+                          event.stopPropagation();
+                          onMeshWarpChange?.(resetStageMeshRow(meshWarp, row));
+                        }}
+                      >
+                        Row
+                      </button>
+                      <button
+                        type="button"
+                        className="stage-distort-nudge"
+                        title={`Reset column ${column + 1}`}
+                        aria-label={`Reset mesh column ${column + 1}`}
+                        onClick={(event) => {
+                          event.stopPropagation();
+                          onMeshWarpChange?.(resetStageMeshColumn(meshWarp, column));
+                        }}
+                      >
+                        Col
+                      </button>
+                    </div>
+                  </div>
+                );
+              })() : null}
+                </>
+              ) : (
+                <>
               <svg
                 className="stage-distort-overlay"
                 viewBox="0 0 1000 1000"
@@ -2419,6 +3476,8 @@ export function StageRenderer({
                   </div>
                 );
               })}
+                </>
+              )}
                 </div>
               </div>,
               shellRef.current.parentElement,
@@ -2426,6 +3485,19 @@ export function StageRenderer({
             : null}
         </div>
       </div>
+      <OutputMaskLayer
+        masks={structuredLightActive ? [] : stageTransform.outputMasks ?? []}
+        width={shellSize.width}
+        height={shellSize.height}
+        showOutlines={Boolean(stageTransform.maskMode)}
+        editable={
+          !isOutputOnly && Boolean(stageTransform.maskMode) && Boolean(onOutputMaskPointChange)
+        }
+        activeMaskId={activeOutputMaskId}
+        activePointIndex={activeOutputMaskPointIndex}
+        onPointSelect={onOutputMaskPointSelect}
+        onPointChange={onOutputMaskPointChange}
+      />
       {showPinnedIndicator && !isOutputOnly ? (
         <button
           type="button"
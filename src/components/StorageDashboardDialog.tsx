@@ -0,0 +1,209 @@
+import type { StorageUsageReport } from '../lib/storage';
+
+interface StorageDashboardDialogProps {
+  open: boolean;
+  report: StorageUsageReport | null;
+  busy: boolean;
+  activeSessionId: string | null;
+  onRefresh: () => void;
+  onRequestPersistence: () => void;
+  onCollectOrphanedAssets: () => void;
+  onDeleteProject: (sessionId: string) => void;
+  onClose: () => void;
+}
+
+function formatStorageBytes(bytes: number): string {
+  if (!Number.isFinite(bytes) || bytes <= 0) {
+    return '0 B';
+  }
+
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+
+  if (bytes < 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+function StorageDashboardDialogContent({
+  report,
+  busy,
+  activeSessionId,
+  onRefresh,
+  onRequestPersistence,
+  onCollectOrphanedAssets,
+  onDeleteProject,
+  onClose,
+}: Omit<StorageDashboardDialogProps, 'open'>) {
+  const orphanedBytes =
+    report?.orphanedAssets.reduce((total, asset) => total + asset.size, 0) ?? 0;
+  const usagePercent =
+    report && report.usageBytes !== null && report.quotaBytes
+      ? Math.min(100, (report.usageBytes / report.quotaBytes) * 100)
+      : null;
+
+  return (
+    <div
+      className="dialog-backdrop"
+      role="presentation"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <section
+        className="dialog-panel storage-dashboard-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="storage-dashboard-title"
+      >
+        <header className="dialog-header">
+          <div>
+            <span className="panel-eyebrow">File</span>
+            <h2 id="storage-dashboard-title" className="dialog-title">
+              Storage
+            </h2>
+          </div>
+          <button type="button" className="ghost-button" onClick={onClose}>
+            Close
+          </button>
+        </header>
+
+        <div className="dialog-body stack gap-md">
+          <p className="dialog-note">
+            Projects, shader history, snapshots and imported media are kept in this browser. The
+            browser may clear them when the disk runs low unless storage is made persistent.
+          </p>
+
+          <section className="dialog-section stack gap-md">
+            <span className="panel-eyebrow">This browser</span>
+            {report ? (
+              <>
+                {usagePercent !== null ? (
+                  <div className="storage-dashboard-meter" aria-hidden="true">
+                    <span style={{ width: `${usagePercent}%` }} />
+                  </div>
+                ) : null}
+                <span className="helper-copy">
+                  {report.usageBytes !== null && report.quotaBytes !== null
+                    ? `${formatStorageBytes(report.usageBytes)} used of ` +
+                      `${formatStorageBytes(report.quotaBytes)} available to Mapshroom.`
+                    : 'This browser does not report how much storage is in use.'}{' '}
+                  {report.persisted
+                    ? 'Storage is persistent.'
+                    : 'Storage may be cleared by the browser.'}
+                </span>
+              </>
+            ) : (
+              <span className="helper-copy">Measuring storage…</span>
+            )}
+            <div className="project-dialog-actions">
+              <button
+                type="button"
+                className="secondary-button"
+                disabled={busy}
+                onClick={onRefresh}
+              >
+                Refresh
+              </button>
+              {report && !report.persisted ? (
+                <button
+                  type="button"
+                  className="secondary-button"
+                  disabled={busy}
+                  onClick={onRequestPersistence}
+                >
+                  Make Persistent
+                </button>
+              ) : null}
+            </div>
+          </section>
+
+          <section className="dialog-section stack gap-md">
+            <span className="panel-eyebrow">Unused media</span>
+            <span className="helper-copy">
+              {report?.orphanedAssets.length
+                ? `${report.orphanedAssets.length} media files (${formatStorageBytes(
+                    orphanedBytes,
+                  )}) are not used by any saved project or snapshot.`
+                : 'Every stored media file belongs to a saved project or snapshot.'}
+            </span>
+            <div className="project-dialog-actions">
+              <button
+                type="button"
+                className="secondary-button"
+                disabled={busy || !report?.orphanedAssets.length}
+                onClick={onCollectOrphanedAssets}
+              >
+                Delete Unused Media
+              </button>
+            </div>
+          </section>
+
+          <section className="dialog-section">
+            <span className="panel-eyebrow">Projects</span>
+            <div className="project-library-list storage-dashboard-list">
+              {report?.projects.length ? (
+                report.projects.map((entry) => (
+                  <article key={entry.sessionId} className="project-library-card">
+                    <div className="project-library-card-copy">
+                      <div className="project-library-card-title-row">
+                        <strong>{entry.name}</strong>
+                        {entry.sessionId === activeSessionId ? (
+                          <span className="project-library-card-badge">Current</span>
+                        ) : null}
+                        {!entry.inLibrary ? (
+                          <span className="project-library-card-badge">Not listed</span>
+                        ) : null}
+                      </div>
+                      <span className="project-library-card-meta">
+                        {formatStorageBytes(
+                          entry.documentBytes +
+                            entry.historyBytes +
+                            entry.snapshotBytes +
+                            entry.assetBytes,
+                        )}{' '}
+                        · project {formatStorageBytes(entry.documentBytes)} · history{' '}
+                        {formatStorageBytes(entry.historyBytes)} · snapshots{' '}
+                        {formatStorageBytes(entry.snapshotBytes)} · media{' '}
+                        {formatStorageBytes(entry.assetBytes)}
+                      </span>
+                    </div>
+                    <button
+                      type="button"
+                      className="ghost-button"
+                      disabled={busy || entry.sessionId === activeSessionId}
+                      onClick={() => onDeleteProject(entry.sessionId)}
+                    >
+                      Delete
+                    </button>
+                  </article>
+                ))
+              ) : (
+                <div className="project-library-empty">
+                  {report ? 'No projects are saved in this browser yet.' : 'Loading…'}
+                </div>
+              )}
+            </div>
+          </section>
+        </div>
+      </section>
+    </div>
+  );
+}
+
+export function StorageDashboardDialog({ open, ...props }: StorageDashboardDialogProps) {
+  if (!open) {
+    return null;
+  }
+
+  return <StorageDashboardDialogContent {...props} />;
+}
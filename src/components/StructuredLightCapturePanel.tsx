@@ -0,0 +1,314 @@
+import { useEffect, useMemo, useRef, useState, type ChangeEvent } from 'react';
+import {
+  DEFAULT_GRAY_CODE_BITS,
+  getStructuredLightFrameLabel,
+  readLuminanceFrame,
+  type LuminanceFrame,
+  type StructuredLightFrame,
+} from '../lib/structuredLight';
+
+interface StructuredLightCapturePanelProps {
+  /** Frames to flash for a given stripe detail, in capture order. */
+  createSequence: (bits: number) => StructuredLightFrame[];
+  onShowFrame: (frame: StructuredLightFrame | null) => void;
+  /** Receives one capture per frame; a thrown error is shown in the panel. */
+  onCaptured: (sequence: StructuredLightFrame[], captures: LuminanceFrame[]) => void;
+  onScanningChange: (scanning: boolean) => void;
+}
+
+type CaptureSource = 'camera' | 'photos';
+
+const GRAY_CODE_BIT_OPTIONS = [5, 6, 7, 8];
+const DEFAULT_SETTLE_MS = 400;
+
+function wait(milliseconds: number): Promise<void> {
+  return new Promise((resolve) => window.setTimeout(resolve, milliseconds));
+}
+
+function describeError(error: unknown, fallback: string): string {
+  return error instanceof Error ? error.message : fallback;
+}
+
+/**
+ * Drives the Output through a structured-light sequence and collects one
+ * capture per frame, either from a webcam scan or from photos taken by hand.
+ */
+export function StructuredLightCapturePanel({
+  createSequence,
+  onShowFrame,
+  onCaptured,
+  onScanningChange,
+}: StructuredLightCapturePanelProps) {
+  const [bits, setBits] = useState(DEFAULT_GRAY_CODE_BITS);
+  const [source, setSource] = useState<CaptureSource>('camera');
+  const [stream, setStream] = useState<MediaStream | null>(null);
+  const [settleMs, setSettleMs] = useState(DEFAULT_SETTLE_MS);
+  const [scanIndex, setScanIndex] = useState<number | null>(null);
+  const [photoFrameIndex, setPhotoFrameIndex] = useState(0);
+  const [errorMessage, setErrorMessage] = useState('');
+  const videoRef = useRef<HTMLVideoElement | null>(null);
+  const photoInputRef = useRef<HTMLInputElement | null>(null);
+  const scanTokenRef = useRef<{ cancelled: boolean } | null>(null);
+  const sequence = useMemo(() => createSequence(bits), [bits, createSequence]);
+  const scanning = scanIndex !== null;
+
+  const onShowFrameRef = useRef(onShowFrame);
+
+  useEffect(() => {
+    onShowFrameRef.current = onShowFrame;
+  }, [onShowFrame]);
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream;
+    }
+  }, [source, stream]);
+
+  useEffect(() => () => stream?.getTracks().forEach((track) => track.stop()), [stream]);
+
+  useEffect(
+    () => () => {
+      if (scanTokenRef.current) {
+        scanTokenRef.current.cancelled = true;
+      }
+      onShowFrameRef.current(null);
+    },
+    [],
+  );
+
+  const updateScanIndex = (index: number | null) => {
+    setScanIndex(index);
+    onScanningChange(index !== null);
+  };
+
+  const acceptCaptures = (captures: LuminanceFrame[]) => {
+    onCaptured(sequence, captures);
+    setErrorMessage('');
+  };
+
+  const startCamera = async () => {
+    try {
+      setErrorMessage('');
+      setStream(await navigator.mediaDevices.getUserMedia({ video: true, audio: false }));
+    } catch (error) {
+      setErrorMessage(describeError(error, 'Camera access was denied.'));
+    }
+  };
+
+  const runCameraScan = async () => {
+    const video = videoRef.current;
+    if (!video || !video.videoWidth) {
+      setErrorMessage('Wait for the camera preview before scanning.');
+      return;
+    }
+
+    const token = { cancelled: false };
+    scanTokenRef.current = token;
+    const captures: LuminanceFrame[] = [];
+    try {
+      for (let index = 0; index < sequence.length; index += 1) {
+        updateScanIndex(index);
+        onShowFrame(sequence[index]);
+        await wait(settleMs);
+        if (token.cancelled) {
+          return;
+        }
+        captures.push(readLuminanceFrame(video, video.videoWidth, video.videoHeight));
+      }
+      acceptCaptures(captures);
+    } catch (error) {
+      setErrorMessage(describeError(error, 'The scan failed.'));
+    } finally {
+      if (scanTokenRef.current === token) {
+        scanTokenRef.current = null;
+        updateScanIndex(null);
+        onShowFrame(null);
+      }
+    }
+  };
+
+  const cancelScan = () => {
+    if (scanTokenRef.current) {
+      scanTokenRef.current.cancelled = true;
+      scanTokenRef.current = null;
+    }
+    updateScanIndex(null);
+    onShowFrame(null);
+  };
+
+  const showPhotoFrame = (index: number) => {
+    const nextIndex = Math.max(0, Math.min(sequence.length - 1, index));
+    setPhotoFrameIndex(nextIndex);
+    onShowFrame(sequence[nextIndex]);
+  };
+
+  const handlePhotoFiles = async (event: ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(event.target.files ?? []).sort((left, right) =>
+      left.name.localeCompare(right.name, undefined, { numeric: true }),
+    );
+    event.target.value = '';
+    if (files.length === 0) {
+      return;
+    }
+
+    try {
+      if (files.length !== sequence.length) {
+        throw new Error(`Select all ${sequence.length} photos, one per pattern.`);
+      }
+      const captures = await Promise.all(
+        files.map(async (file) => {
+          const bitmap = await createImageBitmap(file);
+          try {
+            return readLuminanceFrame(bitmap, bitmap.width, bitmap.height);
+          } finally {
+            bitmap.close();
+          }
+        }),
+      );
+      acceptCaptures(captures);
+    } catch (error) {
+      setErrorMessage(describeError(error, 'Unable to read these photos.'));
+    }
+  };
+
+  return (
+    <section className="dialog-section stack gap-md">
+      <div className="camera-alignment-toolbar">
+        <button
+          type="button"
+          className={`toggle-chip ${source === 'camera' ? 'toggle-chip-active' : ''}`}
+          aria-pressed={source === 'camera'}
+          disabled={scanning}
+          onClick={() => setSource('camera')}
+        >
+          Webcam
+        </button>
+        <button
+          type="button"
+          className={`toggle-chip ${source === 'photos' ? 'toggle-chip-active' : ''}`}
+          aria-pressed={source === 'photos'}
+          disabled={scanning}
+          onClick={() => setSource('photos')}
+        >
+          Photos
+        </button>
+        <label className="field">
+          <span>Stripe detail</span>
+          <select
+            className="select-field"
+            value={bits}
+            disabled={scanning}
+            onChange={(event) => {
+              setBits(Number(event.target.value));
+              setPhotoFrameIndex(0);
+            }}
+          >
+            {GRAY_CODE_BIT_OPTIONS.map((option) => (
+              <option key={option} value={option}>
+                {2 ** option} stripes · {createSequence(option).length} frames
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {source === 'camera' ? (
+        <div className="camera-alignment-capture">
+          <video ref={videoRef} className="camera-alignment-video" autoPlay muted playsInline />
+          <div className="stack gap-sm">
+            <label className="field">
+              <span>Settle time · {settleMs} ms</span>
+              <input
+                type="range"
+                min={150}
+                max={1500}
+                step={50}
+                value={settleMs}
+                disabled={scanning}
+                onChange={(event) => setSettleMs(Number(event.target.value))}
+              />
+            </label>
+            {stream ? (
+              scanning ? (
+                <button type="button" className="secondary-button" onClick={cancelScan}>
+                  Cancel scan
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  className="primary-button"
+                  onClick={() => void runCameraScan()}
+                >
+                  Scan
+                </button>
+              )
+            ) : (
+              <button
+                type="button"
+                className="secondary-button"
+                onClick={() => void startCamera()}
+              >
+                Start camera
+              </button>
+            )}
+            {scanIndex !== null ? (
+              <span className="helper-copy">
+                Frame {scanIndex + 1} / {sequence.length} ·{' '}
+                {getStructuredLightFrameLabel(sequence[scanIndex])}
+              </span>
+            ) : null}
+          </div>
+        </div>
+      ) : (
+        <div className="stack gap-sm">
+          <span className="helper-copy">
+            Step through every pattern and take one photo of each, then load all{' '}
+            {sequence.length} photos. They are matched to patterns by file name order.
+          </span>
+          <div className="camera-alignment-toolbar">
+            <button
+              type="button"
+              className="ghost-button"
+              disabled={photoFrameIndex === 0}
+              onClick={() => showPhotoFrame(photoFrameIndex - 1)}
+            >
+              Previous
+            </button>
+            <button
+              type="button"
+              className="secondary-button"
+              onClick={() => showPhotoFrame(photoFrameIndex)}
+            >
+              Show {photoFrameIndex + 1} / {sequence.length} ·{' '}
+              {getStructuredLightFrameLabel(sequence[photoFrameIndex])}
+            </button>
+            <button
+              type="button"
+              className="ghost-button"
+              disabled={photoFrameIndex >= sequence.length - 1}
+              onClick={() => showPhotoFrame(photoFrameIndex + 1)}
+            >
+              Next
+            </button>
+            <button
+              type="button"
+              className="primary-button"
+              onClick={() => photoInputRef.current?.click()}
+            >
+              Load photos
+            </button>
+            <input
+              ref={photoInputRef}
+              type="file"
+              accept="image/*"
+              multiple
+              hidden
+              onChange={(event) => void handlePhotoFiles(event)}
+            />
+          </div>
+        </div>
+      )}
+      {errorMessage ? <p className="dialog-error-copy">{errorMessage}</p> : null}
+    </section>
+  );
+}
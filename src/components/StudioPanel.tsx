@@ -1,6 +1,10 @@
 import { useMemo, useRef, useEffect, useState, type UIEvent as ReactUIEvent } from 'react';
 import type {
+  AssetRecord,
   SavedShader,
+  ShaderTextureBinding,
+  ShaderTextureBindingMap,
+  ShaderTextureInputMap,
   ShaderUniformMap,
   ShaderUniformValue,
   ShaderUniformValueMap,
@@ -49,6 +53,11 @@ interface StudioPanelProps
   uniformValues: ShaderUniformValueMap;
   onUniformInteractionStart: () => void;
   onUniformChange: (name: string, value: ShaderUniformValue) => void;
+  textureInputs?: ShaderTextureInputMap;
+  textureBindings?: ShaderTextureBindingMap;
+  textureAssets?: AssetRecord[];
+  textureBaseAssetId?: string | null;
+  onTextureBindingChange?: (name: string, binding: ShaderTextureBinding | null) => void;
   newUniformName: string;
   onNewUniformNameChange: (value: string) => void;
   onQuickAddUniform: () => void;
@@ -141,10 +150,17 @@ const GLSL_TYPES = new Set([
   'bool',
   'float',
   'int',
+  'ivec2',
+  'ivec3',
+  'ivec4',
   'mat2',
   'mat3',
   'mat4',
   'sampler2D',
+  'uint',
+  'uvec2',
+  'uvec3',
+  'uvec4',
   'vec2',
   'vec3',
   'vec4',
@@ -182,11 +198,14 @@ const GLSL_BUILTINS = new Set([
   'clamp',
   'cos',
   'cross',
+  'dFdx',
+  'dFdy',
   'distance',
   'dot',
   'exp',
   'floor',
   'fract',
+  'fwidth',
   'length',
   'log',
   'max',
@@ -201,7 +220,10 @@ const GLSL_BUILTINS = new Set([
   'sqrt',
   'step',
   'tan',
+  'texelFetch',
+  'texture',
   'texture2D',
+  'textureSize',
 ]);
 
 function escapeHtml(value: string): string {
@@ -661,6 +683,11 @@ export function StudioPanel({
   uniformValues,
   onUniformInteractionStart,
   onUniformChange,
+  textureInputs,
+  textureBindings,
+  textureAssets,
+  textureBaseAssetId,
+  onTextureBindingChange,
   newUniformName,
   onNewUniformNameChange,
   onQuickAddUniform,
@@ -702,6 +729,11 @@ export function StudioPanel({
           uniformValues={uniformValues}
           onInteractionStart={onUniformInteractionStart}
           onUniformChange={onUniformChange}
+          textureInputs={textureInputs}
+          textureBindings={textureBindings}
+          textureAssets={textureAssets}
+          textureBaseAssetId={textureBaseAssetId}
+          onTextureBindingChange={onTextureBindingChange}
           newUniformName={newUniformName}
           onNewUniformNameChange={onNewUniformNameChange}
           onQuickAddUniform={onQuickAddUniform}
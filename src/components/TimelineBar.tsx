@@ -54,7 +54,7 @@ interface TimelineBarProps {
   audioReactiveListening?: boolean;
   audioRuntime?: AudioReactiveRuntime;
   markers: string[];
-  tracks: TimelineStub['tracks'];
+  tracks: Array<{ id: string; label: string; type: string }>;
   transportControls?: ReactNode;
   onSeek: (seconds: number) => void;
   onRepeatSectionSelect: (stepId: string, seconds: number) => void;
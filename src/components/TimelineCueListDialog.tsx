@@ -0,0 +1,380 @@
+import { useEffect, useState } from 'react';
+import {
+  clampTimelineCueFade,
+  clampTimelineCueFollow,
+  createTimelineCue,
+  createTimelineCuesFromMarkers,
+} from '../lib/timelineCues';
+import type { SavedShader, TimelineCue, TimelineCueList, TimelineStub } from '../types';
+
+type TimelineSequenceStep = TimelineStub['shaderSequence']['steps'][number];
+
+interface TimelineCueListDialogProps {
+  open: boolean;
+  cueList: TimelineCueList;
+  markers: string[];
+  steps: TimelineSequenceStep[];
+  shaders: SavedShader[];
+  onCuesChange: (cues: TimelineCue[]) => void;
+  onGo: (cueId?: string) => void;
+  onBack: () => void;
+  onStandby: (offset: number) => void;
+  onRelease: () => void;
+  onClose: () => void;
+}
+
+function isTextEntryTarget(target: EventTarget | null): boolean {
+  return (
+    target instanceof HTMLInputElement ||
+    target instanceof HTMLTextAreaElement ||
+    target instanceof HTMLSelectElement ||
+    (target instanceof HTMLElement && target.isContentEditable)
+  );
+}
+
+function CueSummary({
+  eyebrow,
+  cue,
+  cueNumber,
+  stepLabel,
+}: {
+  eyebrow: string;
+  cue: TimelineCue | null;
+  cueNumber: number;
+  stepLabel: string;
+}) {
+  return (
+    <section className="dialog-section timeline-cue-summary">
+      <span className="panel-eyebrow">{eyebrow}</span>
+      {cue ? (
+        <>
+          <strong>
+            {cueNumber}. {cue.label}
+          </strong>
+          <span className="helper-copy">
+            {stepLabel} · {cue.fadeSeconds}s fade
+            {cue.autoFollowSeconds === null ? '' : ` · follows after ${cue.autoFollowSeconds}s`}
+          </span>
+          {cue.notes ? <p className="dialog-note">{cue.notes}</p> : null}
+        </>
+      ) : (
+        <span className="empty-copy">None</span>
+      )}
+    </section>
+  );
+}
+
+function TimelineCueListDialogContent({
+  cueList,
+  markers,
+  steps,
+  shaders,
+  onCuesChange,
+  onGo,
+  onBack,
+  onStandby,
+  onRelease,
+  onClose,
+}: Omit<TimelineCueListDialogProps, 'open'>) {
+  const { cues, activeCueId, standbyCueId } = cueList;
+  const [view, setView] = useState<'operator' | 'edit'>(cues.length ? 'operator' : 'edit');
+
+  useEffect(() => {
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (event.altKey || event.ctrlKey || event.metaKey || isTextEntryTarget(event.target)) {
+        return;
+      }
+
+      if (event.key === ' ') {
+        onGo();
+      } else if (event.key === 'Backspace') {
+        onBack();
+      } else if (event.key === 'ArrowDown') {
+        onStandby(1);
+      } else if (event.key === 'ArrowUp') {
+        onStandby(-1);
+      } else {
+        return;
+      }
+      event.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onBack, onGo, onStandby]);
+
+  const getStepLabel = (stepId: string | null) => {
+    if (stepId === null) {
+      return 'Blackout';
+    }
+
+    const stepIndex = steps.findIndex((step) => step.id === stepId);
+    const step = steps[stepIndex];
+    if (!step) {
+      return 'Missing step';
+    }
+
+    const shaderName =
+      shaders.find((shader) => shader.id === step.shaderId)?.name ?? 'Missing shader';
+    return `Step ${stepIndex + 1}: ${shaderName}`;
+  };
+  const updateCue = (cueId: string, patch: Partial<TimelineCue>) => {
+    onCuesChange(cues.map((cue) => (cue.id === cueId ? { ...cue, ...patch } : cue)));
+  };
+  const activeIndex = cues.findIndex((cue) => cue.id === activeCueId);
+  const standbyIndex = cues.findIndex((cue) => cue.id === standbyCueId);
+
+  return (
+    <div
+      className="dialog-backdrop"
+      role="presentation"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <section
+        className="dialog-panel timeline-cue-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="timeline-cue-title"
+      >
+        <header className="dialog-header">
+          <div>
+            <span className="panel-eyebrow">Timeline</span>
+            <h2 id="timeline-cue-title" className="dialog-title">
+              Cue List
+            </h2>
+          </div>
+          <div className="project-dialog-actions">
+            <button
+              type="button"
+              className={`toggle-chip ${view === 'operator' ? 'toggle-chip-active' : ''}`}
+              aria-pressed={view === 'operator'}
+              onClick={() => setView('operator')}
+            >
+              Operator
+            </button>
+            <button
+              type="button"
+              className={`toggle-chip ${view === 'edit' ? 'toggle-chip-active' : ''}`}
+              aria-pressed={view === 'edit'}
+              onClick={() => setView('edit')}
+            >
+              Edit
+            </button>
+            <button type="button" className="ghost-button" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </header>
+
+        {view === 'operator' ? (
+          <div className="dialog-body stack gap-md">
+            <div className="timeline-cue-summaries">
+              <CueSummary
+                eyebrow="Live"
+                cue={cues[activeIndex] ?? null}
+                cueNumber={activeIndex + 1}
+                stepLabel={getStepLabel(cues[activeIndex]?.stepId ?? null)}
+              />
+              <CueSummary
+                eyebrow="Standby"
+                cue={cues[standbyIndex] ?? null}
+                cueNumber={standbyIndex + 1}
+                stepLabel={getStepLabel(cues[standbyIndex]?.stepId ?? null)}
+              />
+            </div>
+
+            <div className="timeline-cue-transport">
+              <button
+                type="button"
+                className="secondary-button timeline-cue-back"
+                disabled={activeIndex < 1}
+                onClick={() => onBack()}
+              >
+                Back
+              </button>
+              <button
+                type="button"
+                className="primary-button timeline-cue-go"
+                disabled={standbyIndex === -1}
+                onClick={() => onGo()}
+              >
+                GO
+              </button>
+            </div>
+
+            <div className="project-dialog-actions">
+              <button type="button" className="ghost-button" onClick={() => onStandby(-1)}>
+                Standby Previous
+              </button>
+              <button type="button" className="ghost-button" onClick={() => onStandby(1)}>
+                Standby Next
+              </button>
+              <button
+                type="button"
+                className="ghost-button"
+                disabled={activeIndex === -1}
+                onClick={onRelease}
+              >
+                Release to Timeline
+              </button>
+            </div>
+
+            <p className="helper-copy">
+              Space fires GO, Backspace goes back and the arrow keys move the standby cue. On a
+              MIDI mixer the Marker button is GO and Nudge is Back. Output windows follow every
+              cue.
+            </p>
+          </div>
+        ) : (
+          <div className="dialog-body stack gap-md">
+            <p className="dialog-note">
+              Each cue holds the main sequence on one step and fades to it from the previous cue.
+              The first GO fades up from black. Auto-follow fires the next cue once the fade has
+              finished and the wait has passed.
+            </p>
+
+            {cues.length ? null : <p className="empty-copy">No cues yet.</p>}
+
+            {cues.map((cue, index) => (
+              <section
+                className={`dialog-section timeline-cue-row ${
+                  cue.id === activeCueId ? 'timeline-cue-row-live' : ''
+                }`}
+                key={cue.id}
+              >
+                <div className="timeline-cue-fields">
+                  <strong>{index + 1}</strong>
+                  <input
+                    className="text-field"
+                    type="text"
+                    aria-label={`Cue ${index + 1} name`}
+                    value={cue.label}
+                    onChange={(event) => updateCue(cue.id, { label: event.target.value })}
+                  />
+                  <select
+                    className="select-field"
+                    aria-label={`Cue ${index + 1} step`}
+                    value={cue.stepId ?? ''}
+                    onChange={(event) =>
+                      updateCue(cue.id, { stepId: event.target.value || null })
+                    }
+                  >
+                    <option value="">Blackout</option>
+                    {cue.stepId && !steps.some((step) => step.id === cue.stepId) ? (
+                      <option value={cue.stepId}>Missing step</option>
+                    ) : null}
+                    {steps.map((step) => (
+                      <option key={step.id} value={step.id}>
+                        {getStepLabel(step.id)}
+                      </option>
+                    ))}
+                  </select>
+                  <button type="button" className="ghost-button" onClick={() => onGo(cue.id)}>
+                    Fire
+                  </button>
+                  <button
+                    type="button"
+                    className="ghost-button"
+                    onClick={() => onCuesChange(cues.filter((item) => item.id !== cue.id))}
+                  >
+                    Delete
+                  </button>
+                </div>
+
+                <div className="timeline-cue-timing">
+                  <label className="field timeline-compact-field">
+                    <span>Fade (s)</span>
+                    <input
+                      className="text-field"
+                      type="number"
+                      min={0}
+                      step={0.5}
+                      value={cue.fadeSeconds}
+                      onChange={(event) => {
+                        if (event.target.value !== '') {
+                          updateCue(cue.id, {
+                            fadeSeconds: clampTimelineCueFade(Number(event.target.value)),
+                          });
+                        }
+                      }}
+                    />
+                  </label>
+                  <label className="field timeline-compact-field">
+                    <span>Auto-follow after (s)</span>
+                    <input
+                      className="text-field"
+                      type="number"
+                      min={0}
+                      step={0.5}
+                      placeholder="Wait for GO"
+                      value={cue.autoFollowSeconds ?? ''}
+                      onChange={(event) =>
+                        updateCue(cue.id, {
+                          autoFollowSeconds:
+                            event.target.value === ''
+                              ? null
+                              : clampTimelineCueFollow(Number(event.target.value)),
+                        })
+                      }
+                    />
+                  </label>
+                  <label className="field timeline-compact-field">
+                    <span>Notes</span>
+                    <input
+                      className="text-field"
+                      type="text"
+                      value={cue.notes}
+                      onChange={(event) => updateCue(cue.id, { notes: event.target.value })}
+                    />
+                  </label>
+                </div>
+              </section>
+            ))}
+          </div>
+        )}
+
+        <footer className="dialog-footer">
+          {view === 'edit' && !cues.length && markers.length ? (
+            <button
+              type="button"
+              className="secondary-button"
+              onClick={() => onCuesChange(createTimelineCuesFromMarkers(markers, steps))}
+            >
+              Cues from Markers
+            </button>
+          ) : null}
+          {view === 'edit' ? (
+            <button
+              type="button"
+              className="secondary-button"
+              onClick={() => {
+                // A new cue holds the step of the cue before it.
+                const stepId = cues.length
+                  ? cues[cues.length - 1].stepId
+                  : (steps.find((step) => !step.disabled)?.id ?? null);
+                onCuesChange([...cues, createTimelineCue(cues.length + 1, stepId)]);
+              }}
+            >
+              Add Cue
+            </button>
+          ) : null}
+          <button type="button" className="primary-button" onClick={onClose}>
+            Done
+          </button>
+        </footer>
+      </section>
+    </div>
+  );
+}
+
+export function TimelineCueListDialog({ open, ...props }: TimelineCueListDialogProps) {
+  if (!open) {
+    return null;
+  }
+
+  return <TimelineCueListDialogContent {...props} />;
+}
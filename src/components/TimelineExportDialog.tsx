@@ -4,12 +4,22 @@ import { TimelineStageRenderer } from './TimelineStageRenderer';
 import type { StageFrameInfo, StageRendererState } from './StageRenderer';
 import type { AssetObjectUrlStatus } from '../lib/useAssetObjectUrl';
 import { loadOutputViewportSnapshot } from '../lib/outputViewport';
+import { getAssetBlob } from '../lib/storage';
+import { renderTimelineAudioSlice } from '../lib/timelineAudio';
+import {
+  SHADER_BUNDLE_FORMAT,
+  SHADER_BUNDLE_VERSION,
+  type ShaderBundle,
+  type ShaderBundleEntry,
+} from '../lib/shaderBundle';
 import type {
   AssetRecord,
   PlaybackTransport,
   SavedShader,
+  ShaderAudioReactiveBindingMap,
   ShaderUniformValueMap,
   StageTransform,
+  TimelineAudioTrack,
   TimelineStub,
 } from '../types';
 
@@ -28,24 +38,12 @@ const EXPORT_CODEC_CANDIDATES = [
   'avc1.42001f',
 ] as const;
 const MICROSECONDS_PER_SECOND = 1_000_000;
+const EXPORT_AUDIO_SAMPLE_RATE = 48_000;
+const EXPORT_AUDIO_CHANNELS = 2;
+const EXPORT_AUDIO_BITRATE = 192_000;
 
 type ExportResolutionPreset = (typeof EXPORT_RESOLUTION_PRESETS)[number]['value'];
 
-interface ShaderBundleEntry {
-  id: string;
-  name: string;
-  code: string;
-  description?: string;
-  template?: SavedShader['template'];
-  group?: string;
-  inputAssetId?: string | null;
-  uniformValues: ShaderUniformValueMap;
-  sliderValues: ShaderUniformValueMap;
-  sourceShaderId?: string;
-  isActive: boolean;
-  timelineStepIds: string[];
-}
-
 interface TimelineExportDialogProps {
   open: boolean;
   sessionId: string;
@@ -59,6 +57,8 @@ interface TimelineExportDialogProps {
   activeShaderCode: string;
   activeUniformValues: ShaderUniformValueMap;
   savedShaders: SavedShader[];
+  /** Session audio-reactive bindings, written into shader bundles. */
+  audioReactiveBindingsByShaderId?: Record<string, ShaderAudioReactiveBindingMap>;
   timeline: TimelineStub;
   pinnedStepId: string | null;
   stageTransform: StageTransform;
@@ -174,6 +174,47 @@ async function resolveSupportedVideoEncoderConfig({
   throw new Error('H.264 MP4 export is not supported by this browser.');
 }
 
+/**
+ * The timeline music decoded at the export sample rate, or null when this
+ * browser cannot encode AAC and the MP4 has to go out silent.
+ */
+async function prepareTimelineExportAudio(
+  track: TimelineAudioTrack,
+): Promise<{ config: AudioEncoderConfig; channels: Float32Array[] } | null> {
+  if (typeof AudioEncoder === 'undefined' || typeof AudioEncoder.isConfigSupported !== 'function') {
+    return null;
+  }
+
+  const candidate: AudioEncoderConfig = {
+    codec: 'mp4a.40.2',
+    sampleRate: EXPORT_AUDIO_SAMPLE_RATE,
+    numberOfChannels: EXPORT_AUDIO_CHANNELS,
+    bitrate: EXPORT_AUDIO_BITRATE,
+  };
+  const support = await AudioEncoder.isConfigSupported(candidate);
+  if (!support.supported) {
+    return null;
+  }
+
+  const blob = await getAssetBlob(track.assetId);
+  if (!blob) {
+    throw new Error(`The music file "${track.name}" is missing from this browser.`);
+  }
+  const audioBuffer = await new OfflineAudioContext(
+    EXPORT_AUDIO_CHANNELS,
+    1,
+    EXPORT_AUDIO_SAMPLE_RATE,
+  ).decodeAudioData(await blob.arrayBuffer());
+
+  // Mono files play on both sides; extra channels are left out.
+  return {
+    config: support.config ?? candidate,
+    channels: Array.from({ length: EXPORT_AUDIO_CHANNELS }, (_, channel) =>
+      audioBuffer.getChannelData(Math.min(channel, audioBuffer.numberOfChannels - 1)),
+    ),
+  };
+}
+
 export function TimelineExportDialog({
   open,
   sessionId,
@@ -187,6 +228,7 @@ export function TimelineExportDialog({
   activeShaderCode,
   activeUniformValues,
   savedShaders,
+  audioReactiveBindingsByShaderId,
   timeline,
   pinnedStepId,
   stageTransform,
@@ -298,8 +340,12 @@ export function TimelineExportDialog({
         ...(shader.template ? { template: shader.template } : {}),
         ...(shader.group ? { group: shader.group } : {}),
         ...(shader.inputAssetId !== undefined ? { inputAssetId: shader.inputAssetId } : {}),
+        ...(shader.textureBindings ? { textureBindings: shader.textureBindings } : {}),
         uniformValues: shader.uniformValues ?? {},
         sliderValues: shader.uniformValues ?? {},
+        ...(audioReactiveBindingsByShaderId?.[shader.id]
+          ? { audioReactiveBindings: audioReactiveBindingsByShaderId[shader.id] }
+          : {}),
         ...(shader.sourceShaderId ? { sourceShaderId: shader.sourceShaderId } : {}),
         isActive: shader.id === activeShaderId,
         timelineStepIds: timelineStepIdsByShaderId.get(shader.id) ?? [],
@@ -310,6 +356,7 @@ export function TimelineExportDialog({
     activeShaderId,
     activeShaderName,
     activeUniformValues,
+    audioReactiveBindingsByShaderId,
     savedShaders,
     timeline.shaderSequence.steps,
   ]);
@@ -507,6 +554,9 @@ export function TimelineExportDialog({
         fps: nextFps,
         bitrate: nextBitrate,
       });
+      const audioTrack =
+        timeline.audioTrack && !timeline.audioTrack.muted ? timeline.audioTrack : null;
+      const exportAudio = audioTrack ? await prepareTimelineExportAudio(audioTrack) : null;
 
       setExportTransport({
         isPlaying: false,
@@ -549,6 +599,15 @@ export function TimelineExportDialog({
           height: nextHeight,
           frameRate: nextFps,
         },
+        ...(exportAudio
+          ? {
+              audio: {
+                codec: 'aac' as const,
+                numberOfChannels: EXPORT_AUDIO_CHANNELS,
+                sampleRate: EXPORT_AUDIO_SAMPLE_RATE,
+              },
+            }
+          : {}),
         fastStart: 'in-memory',
       });
 
@@ -646,13 +705,70 @@ export function TimelineExportDialog({
         throw encoderErrorRef.current;
       }
       encoder.close();
+
+      if (audioTrack && exportAudio) {
+        setStatusMessage('Encoding music...');
+        const audioEncoder = new AudioEncoder({
+          output: (chunk, meta) => {
+            muxer.addAudioChunk(chunk, meta);
+          },
+          error: (error) => {
+            encoderErrorRef.current = error instanceof Error ? error : new Error(String(error));
+          },
+        });
+        audioEncoder.configure(exportAudio.config);
+
+        // One second of samples per AudioData keeps memory flat on long exports.
+        const audioFrameCount = Math.round(exportDurationSeconds * EXPORT_AUDIO_SAMPLE_RATE);
+        for (
+          let startFrame = 0;
+          startFrame < audioFrameCount;
+          startFrame += EXPORT_AUDIO_SAMPLE_RATE
+        ) {
+          const frameLength = Math.min(EXPORT_AUDIO_SAMPLE_RATE, audioFrameCount - startFrame);
+          const slice = renderTimelineAudioSlice(
+            audioTrack,
+            exportAudio.channels,
+            EXPORT_AUDIO_SAMPLE_RATE,
+            startFrame / EXPORT_AUDIO_SAMPLE_RATE,
+            frameLength / EXPORT_AUDIO_SAMPLE_RATE,
+          );
+          const planarData = new Float32Array(frameLength * EXPORT_AUDIO_CHANNELS);
+          slice.forEach((channel, index) => planarData.set(channel, index * frameLength));
+          const audioData = new AudioData({
+            format: 'f32-planar',
+            sampleRate: EXPORT_AUDIO_SAMPLE_RATE,
+            numberOfFrames: frameLength,
+            numberOfChannels: EXPORT_AUDIO_CHANNELS,
+            timestamp: Math.round(
+              (startFrame / EXPORT_AUDIO_SAMPLE_RATE) * MICROSECONDS_PER_SECOND,
+            ),
+            data: planarData,
+          });
+          try {
+            audioEncoder.encode(audioData);
+          } finally {
+            audioData.close();
+          }
+        }
+
+        await audioEncoder.flush();
+        if (encoderErrorRef.current) {
+          throw encoderErrorRef.current;
+        }
+        audioEncoder.close();
+      }
       muxer.finalize();
 
       const blob = new Blob([muxTarget.buffer], { type: 'video/mp4' });
       downloadBlob(blob, `${nextFileName}.mp4`);
 
       setProgressRatio(1);
-      setStatusMessage(`Downloaded ${nextFileName}.mp4`);
+      setStatusMessage(
+        audioTrack && !exportAudio
+          ? `Downloaded ${nextFileName}.mp4 without music: this browser cannot encode AAC audio.`
+          : `Downloaded ${nextFileName}.mp4`,
+      );
       onExportCompleted?.({
         filename: `${nextFileName}.mp4`,
         bytes: blob.size,
@@ -675,9 +791,9 @@ export function TimelineExportDialog({
     const timelineShaderIds = [
       ...new Set(timeline.shaderSequence.steps.map((step) => step.shaderId)),
     ];
-    const bundle = {
-      format: 'mapshroom-shader-bundle',
-      version: 1,
+    const bundle: ShaderBundle = {
+      format: SHADER_BUNDLE_FORMAT,
+      version: SHADER_BUNDLE_VERSION,
       exportedAt: new Date().toISOString(),
       project: {
         sessionId,
@@ -695,6 +811,7 @@ export function TimelineExportDialog({
           durationSeconds: step.durationSeconds,
           transitionDurationSeconds: step.transitionDurationSeconds,
           transitionEffect: step.transitionEffect,
+          automationLanes: step.automationLanes ?? [],
         })),
       },
       shaders: exportableShaders,
@@ -742,7 +859,9 @@ export function TimelineExportDialog({
         <div className="dialog-body timeline-export-dialog-body">
           <p className="dialog-note">
             Standard export creates a high-quality H.264 MP4 of the current timeline selection
-            without audio. Mapshroom Pro adds synchronized video and music export.
+            {timeline.audioTrack && !timeline.audioTrack.muted
+              ? ` with “${timeline.audioTrack.name}” as its soundtrack.`
+              : ' without audio. Add a music file under Timeline Tracks to include one.'}
           </p>
 
           {exportCapabilityMessage ? (
@@ -1,11 +1,17 @@
 import { startTransition, useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { getTransportTimeSeconds } from '../lib/clock';
-import { parseUniforms, syncUniformValues } from '../lib/shader';
+import {
+  parseFeedbackSamplers,
+  parseTextureInputs,
+  parseUniforms,
+  syncUniformValues,
+} from '../lib/shader';
 import {
   getRenderableShaderCode,
   getRenderableShaderUniformValues,
   hasShaderCompileError,
 } from '../lib/shaderState';
+import { resolveTextureInputAssetIds } from '../lib/shaderTextureInputs';
 import {
   clampTimelineStepDuration,
   excludePinnedStepFromTimelinePlayback,
@@ -25,20 +31,33 @@ import {
   buildTimelineOverlayShaderCode,
   buildTimelinePinStackShaderOutputShaderCode,
   buildTimelinePinShaderAlphaOverlayShaderCode,
+  buildTimelineTrackShaderCode,
   buildTimelineTransitionShaderCode,
+  canComposeTimelineShaders,
 } from '../lib/timelineShader';
+import { resolveTimelineCueFrame } from '../lib/timelineCues';
+import {
+  getTimelineTrackTimeSeconds,
+  resolveAudibleTimelineTracks,
+} from '../lib/timelineTracks';
+import { applyUniformAutomation } from '../lib/uniformAutomation';
 import { getBundledAssetUrl } from '../lib/bundledAssets';
 import { getAssetBlob } from '../lib/storage';
 import type {
+  ColorCalibration,
+  DistortionPoint,
+  MappingSurface,
   PlaybackTransport,
   SavedShader,
   ShaderUniformValueMap,
   StageDistortion,
+  StageMeshWarp,
   StageTransform,
   TimelineStub,
   TimelineSequenceMode,
   AssetRecord,
   TimelineStepAssetSettings,
+  TimelineTrack,
 } from '../types';
 import {
   StageRenderer,
@@ -48,6 +67,8 @@ import {
   type StageRenderLayer,
 } from './StageRenderer';
 import type { AssetObjectUrlStatus } from '../lib/useAssetObjectUrl';
+import type { StructuredLightFrame } from '../lib/structuredLight';
+import type { OutputTestPatternKind } from '../lib/testPatterns';
 import {
   prefixAudioReactiveBindingKeys,
   type AudioReactiveBindingMap,
@@ -72,6 +93,9 @@ const timelineDecodedAssetIds = new Set<string>();
 const timelineDecodedAssetAspectRatios = new Map<string, number>();
 const EMPTY_AUDIO_BINDINGS_BY_SHADER_ID: Record<string, AudioReactiveBindingMap> = {};
 
+type TextureInputSources = NonNullable<StageRenderLayer['textureInputs']>;
+type FeedbackKeys = NonNullable<StageRenderLayer['feedbackKeys']>;
+
 function getStageRenderLayerWarmupKey(
   layer: Pick<
     StageRenderLayer,
@@ -100,6 +124,12 @@ function registerResolvedShaderLayerSources(
   if (layer.overlaySource) {
     sources.set(layer.overlaySource.sourceKey, layer.overlaySource);
   }
+
+  for (const source of Object.values(layer.textureInputs)) {
+    if (source) {
+      sources.set(source.sourceKey, source);
+    }
+  }
 }
 
 function isTimelineStepMediaResolved(
@@ -135,6 +165,8 @@ interface TimelineRenderLayer {
   shaderCode: string;
   uniformValues: ShaderUniformValueMap;
   audioBindings: AudioReactiveBindingMap;
+  textureInputs: TextureInputSources;
+  feedbackKeys: FeedbackKeys;
   usedFallback: boolean;
   inputSource?: StageRenderInputSource | null;
   overlaySource?: StageRenderInputSource | null;
@@ -154,6 +186,8 @@ interface ResolvedShaderLayer {
   shaderCode: string;
   uniformValues: ShaderUniformValueMap;
   audioBindings: AudioReactiveBindingMap;
+  textureInputs: TextureInputSources;
+  feedbackKeys: FeedbackKeys;
   usedFallback: boolean;
   inputSource: StageRenderInputSource | null;
   overlaySource: StageRenderInputSource | null;
@@ -162,6 +196,8 @@ interface ResolvedShaderLayer {
 
 interface ResolveShaderLayerOptions {
   preferStepSnapshot?: boolean;
+  /** Time into the step that its automation lanes are evaluated at. */
+  stepTimeSeconds?: number;
 }
 
 interface PinLayerTransitionState {
@@ -195,6 +231,36 @@ function prefixUniformValueKeys({
   return nextValues;
 }
 
+function prefixTextureInputKeys({
+  textureInputs,
+  namespace,
+}: {
+  textureInputs: TextureInputSources;
+  namespace: string;
+}): TextureInputSources {
+  const nextInputs: TextureInputSources = {};
+  for (const [name, source] of Object.entries(textureInputs)) {
+    nextInputs[`${namespace}_${name}`] = source;
+  }
+
+  return nextInputs;
+}
+
+function prefixFeedbackKeys({
+  feedbackKeys,
+  namespace,
+}: {
+  feedbackKeys: FeedbackKeys;
+  namespace: string;
+}): FeedbackKeys {
+  const nextKeys: FeedbackKeys = {};
+  for (const [name, key] of Object.entries(feedbackKeys)) {
+    nextKeys[`${namespace}_${name}`] = key;
+  }
+
+  return nextKeys;
+}
+
 function easeTransitionProgress(progress: number): number {
   const clamped = Math.max(0, Math.min(1, progress));
   return clamped * clamped * (3 - 2 * clamped);
@@ -248,6 +314,45 @@ function buildPinnedCompositeUniformValues(
   };
 }
 
+function buildTimelineTrackUniformValues(track: TimelineTrack): ShaderUniformValueMap {
+  return {
+    u_timeline_track_opacity: track.opacity,
+    u_timeline_track_blend_mode: getTimelineAssetBlendModeIndex(track.blendMode),
+  };
+}
+
+function applyTimelineTrackComposite(
+  layer: TimelineRenderLayer,
+  track: TimelineTrack,
+): TimelineRenderLayer {
+  return {
+    ...layer,
+    shaderCode: buildTimelineTrackShaderCode(layer.shaderCode),
+    uniformValues: { ...layer.uniformValues, ...buildTimelineTrackUniformValues(track) },
+    compositeMode: 'blend',
+    requiresCompositeBase: true,
+  };
+}
+
+function createTimelineTrackPreloadLayer(
+  layer: StageRenderLayer | null,
+  track: TimelineTrack,
+): StageRenderLayer | null {
+  if (!layer) {
+    return null;
+  }
+
+  const shaderCode = buildTimelineTrackShaderCode(layer.shaderCode);
+  return {
+    ...layer,
+    shaderCode,
+    uniformDefinitions: parseUniforms(shaderCode),
+    uniformValues: { ...layer.uniformValues, ...buildTimelineTrackUniformValues(track) },
+    compositeMode: 'blend',
+    requiresCompositeBase: true,
+  };
+}
+
 function getTimelineTransitionOccurrenceSalt(
   state: ResolvedTimelineState,
   timelineRandomSeedToken: string,
@@ -344,6 +449,15 @@ interface TimelineStageRendererProps {
   isOutputOnly?: boolean;
   showGrid?: boolean;
   onDistortionChange?: (distortion: StageDistortion) => void;
+  onMeshWarpChange?: (meshWarp: StageMeshWarp) => void;
+  colorCalibration?: ColorCalibration | null;
+  testPattern?: OutputTestPatternKind | null;
+  testPatternSurface?: Pick<MappingSurface, 'id' | 'name'> | null;
+  structuredLightFrame?: StructuredLightFrame | null;
+  activeOutputMaskId?: string | null;
+  activeOutputMaskPointIndex?: number | null;
+  onOutputMaskPointSelect?: (maskId: string, pointIndex: number) => void;
+  onOutputMaskPointChange?: (maskId: string, pointIndex: number, point: DistortionPoint) => void;
   onPinnedIndicatorClick?: () => void;
   onNavigateToTimelineStep?: (stepId: string) => void;
   onCanvasReady?: (canvas: HTMLCanvasElement | null) => void;
@@ -379,6 +493,15 @@ export function TimelineStageRenderer({
   isOutputOnly,
   showGrid = false,
   onDistortionChange,
+  onMeshWarpChange,
+  colorCalibration,
+  testPattern,
+  testPatternSurface,
+  structuredLightFrame,
+  activeOutputMaskId,
+  activeOutputMaskPointIndex,
+  onOutputMaskPointSelect,
+  onOutputMaskPointChange,
   onPinnedIndicatorClick,
   onNavigateToTimelineStep,
   onCanvasReady,
@@ -485,9 +608,31 @@ export function TimelineStageRenderer({
   );
   const sequenceEnabled = playbackTimelineSteps.length > 0;
   const shouldResolveLiveTimelineState = sequenceEnabled && !workspaceFocusedPreviewEnabled;
+  // Joined into a string so typing in the editor does not re-resolve asset URLs.
+  const textureInputAssetSignature = useMemo(() => {
+    const assetIds = new Set<string>();
+    for (const shader of availableShaders) {
+      const textureInputs = parseTextureInputs(getRenderableShaderCode(shader));
+      const resolvedAssetIds = resolveTextureInputAssetIds(
+        textureInputs,
+        shader.textureBindings,
+        assets,
+        shader.inputAssetId ?? asset?.id ?? null,
+      );
+      for (const assetId of Object.values(resolvedAssetIds)) {
+        if (assetId) {
+          assetIds.add(assetId);
+        }
+      }
+    }
+
+    return [...assetIds].join('\u0001');
+  }, [asset?.id, assets, availableShaders]);
   const referencedInputAssetIds = useMemo(() => {
     const shaderById = new Map(savedShaders.map((shader) => [shader.id, shader]));
-    const assetIds = new Set<string>();
+    const assetIds = new Set<string>(
+      textureInputAssetSignature ? textureInputAssetSignature.split('\u0001') : [],
+    );
 
     for (const shader of savedShaders) {
       if (shader.inputAssetId) {
@@ -511,7 +656,7 @@ export function TimelineStageRenderer({
     }
 
     return Array.from(assetIds);
-  }, [pinnedStepId, savedShaders, shaderSequence.steps]);
+  }, [pinnedStepId, savedShaders, shaderSequence.steps, textureInputAssetSignature]);
   const referencedInputAssetSignature = useMemo(
     () => referencedInputAssetIds.join('\u0001'),
     [referencedInputAssetIds],
@@ -846,6 +991,12 @@ export function TimelineStageRenderer({
     shaderSequence.sharedTransitionEnabled,
   ]);
 
+  const timelineCueFrame = useMemo(
+    () =>
+      timeline.cueList ? resolveTimelineCueFrame(timeline.cueList, transportTimeSeconds) : null,
+    [timeline.cueList, transportTimeSeconds],
+  );
+
   const timelineState = useMemo(() => {
     if (!shouldResolveLiveTimelineState) {
       return null;
@@ -863,6 +1014,23 @@ export function TimelineStageRenderer({
       );
     }
 
+    // A cue fading between two steps crossfades them like a manual mix.
+    if (
+      timelineCueFrame?.fromStepId &&
+      timelineCueFrame.toStepId &&
+      timelineCueFrame.fromStepId !== timelineCueFrame.toStepId &&
+      timelineCueFrame.progress < 1
+    ) {
+      const cueState = createMidiManualTimelineState(
+        timelineCueFrame.fromStepId,
+        timelineCueFrame.toStepId,
+        timelineCueFrame.progress,
+      );
+      if (cueState) {
+        return cueState;
+      }
+    }
+
     if (shaderSequence.mode === 'audioReactive' && audioRuntime) {
       return resolveAudioReactiveTimelineState({
         shaders: availableShaders,
@@ -910,10 +1078,52 @@ export function TimelineStageRenderer({
     shaderSequence.sharedTransitionDurationSeconds,
     shaderSequence.sharedTransitionEffect,
     shaderSequence.singleStepLoopEnabled,
+    timelineCueFrame,
     transport.loop,
     transportTimeSeconds,
     timelineNowEpochMs,
   ]);
+  const timelineTrackMix = useMemo(
+    () => resolveAudibleTimelineTracks(
+      { muted: shaderSequence.muted, solo: shaderSequence.solo },
+      timeline.tracks ?? [],
+    ),
+    [shaderSequence.muted, shaderSequence.solo, timeline.tracks],
+  );
+  // Layer tracks play their steps in order, each from its own offset.
+  const timelineTrackStates = useMemo(() => {
+    if (!shouldResolveLiveTimelineState) {
+      return [];
+    }
+
+    return timelineTrackMix.tracks.flatMap((track) => {
+      const timeSeconds = getTimelineTrackTimeSeconds(track, transportTimeSeconds);
+      const state =
+        timeSeconds === null
+          ? null
+          : resolveShaderTimelineState({
+              shaders: availableShaders,
+              mode: 'sequence',
+              focusedStepId: null,
+              singleStepLoopEnabled: false,
+              randomChoiceEnabled: false,
+              sharedTransitionEnabled: false,
+              sharedTransitionEffect: 'mix',
+              sharedTransitionDurationSeconds: 0.75,
+              sharedSectionDurationSeconds: 8,
+              steps: track.steps,
+              timeSeconds,
+              loop: transport.loop,
+            });
+      return state ? [{ track, state }] : [];
+    });
+  }, [
+    availableShaders,
+    shouldResolveLiveTimelineState,
+    timelineTrackMix,
+    transport.loop,
+    transportTimeSeconds,
+  ]);
   const focusExitTimelineState = useMemo(() => {
     if (
       focusExitTimelineTimeSeconds === null ||
@@ -1055,17 +1265,11 @@ export function TimelineStageRenderer({
     ],
   );
 
-  const resolveShaderOverlaySource = useCallback((
-    shader: SavedShader | null | undefined,
-    step: TimelineSequenceStep | null | undefined,
+  const resolveAssetSource = useCallback((
+    inputAssetId: string,
     scope: string,
-  ): StageRenderInputSource | null => {
-    const inputAssetId = shader?.inputAssetId ?? null;
-    if (!inputAssetId) {
-      return null;
-    }
-    const assetSettings = normalizeTimelineStepAssetSettings(step?.assetSettings);
-
+    assetSettings: TimelineStepAssetSettings,
+  ): StageRenderInputSource => {
     if (asset && inputAssetId === asset.id) {
       return {
         sourceKey: createTimelineAssetSourceKey(asset.id, scope, assetSettings),
@@ -1110,6 +1314,23 @@ export function TimelineStageRenderer({
     };
   }, [asset, assetMap, assetUrl, assetUrlStatus, resolvedInputSources]);
 
+  const resolveShaderOverlaySource = useCallback((
+    shader: SavedShader | null | undefined,
+    step: TimelineSequenceStep | null | undefined,
+    scope: string,
+  ): StageRenderInputSource | null => {
+    const inputAssetId = shader?.inputAssetId ?? null;
+    if (!inputAssetId) {
+      return null;
+    }
+
+    return resolveAssetSource(
+      inputAssetId,
+      scope,
+      normalizeTimelineStepAssetSettings(step?.assetSettings),
+    );
+  }, [resolveAssetSource]);
+
   const resolveShaderLayer = useCallback((
     shader: SavedShader | null | undefined,
     step: TimelineSequenceStep | null | undefined,
@@ -1128,13 +1349,56 @@ export function TimelineStageRenderer({
     const inputSource = useAssignedAssetAsBase ? assignedSource : null;
     const targetAudioBindings =
       audioBindingsByShaderId[targetShader?.id ?? activeShaderId] ?? {};
+    const resolveTextureInputs = (shaderCode: string): TextureInputSources => {
+      const assetIds = resolveTextureInputAssetIds(
+        parseTextureInputs(shaderCode),
+        targetShader?.textureBindings,
+        assets,
+        inputSource?.assetId ?? asset?.id ?? null,
+      );
+
+      return Object.fromEntries(
+        Object.entries(assetIds).map(([name, assetId]) => [
+          name,
+          assetId ? resolveAssetSource(assetId, `${scope}:texture`, assetSettings) : null,
+        ]),
+      );
+    };
+    // Feedback follows the step rather than the scope, so a step keeps its
+    // history through the transitions that lead into and out of it.
+    const feedbackScope = step ? `step:${step.id}` : `shader:${targetShader?.id ?? activeShaderId}`;
+    const resolveFeedbackKeys = (shaderCode: string): FeedbackKeys => {
+      const { previousFrame, buffers } = parseFeedbackSamplers(shaderCode);
+      return Object.fromEntries(
+        [...previousFrame, ...buffers.map((buffer) => buffer.sampler)].map((name) => [
+          name,
+          `${feedbackScope}:${name}`,
+        ]),
+      );
+    };
+    const automationLanes = step?.automationLanes ?? [];
+    const stepTimeSeconds = options?.stepTimeSeconds;
     const mapAssignedInput = (
       shaderCode: string,
-      uniformValues: ShaderUniformValueMap,
+      stepUniformValues: ShaderUniformValueMap,
       audioBindings: AudioReactiveBindingMap,
-    ): Pick<ResolvedShaderLayer, 'shaderCode' | 'uniformValues' | 'audioBindings'> => {
+    ): Pick<
+      ResolvedShaderLayer,
+      'shaderCode' | 'uniformValues' | 'audioBindings' | 'textureInputs' | 'feedbackKeys'
+    > => {
+      const uniformValues =
+        stepTimeSeconds === undefined || !automationLanes.length
+          ? stepUniformValues
+          : applyUniformAutomation({
+              uniformValues: stepUniformValues,
+              lanes: automationLanes,
+              definitions: parseUniforms(shaderCode),
+              timeSeconds: stepTimeSeconds,
+            });
+      const textureInputs = resolveTextureInputs(shaderCode);
+      const feedbackKeys = resolveFeedbackKeys(shaderCode);
       if (!useAssignedAssetAsBase || !assignedSource) {
-        return { shaderCode, uniformValues, audioBindings };
+        return { shaderCode, uniformValues, audioBindings, textureInputs, feedbackKeys };
       }
 
       return {
@@ -1153,6 +1417,8 @@ export function TimelineStageRenderer({
           bindings: audioBindings,
           namespace: 'timeline_input',
         }),
+        textureInputs: prefixTextureInputKeys({ textureInputs, namespace: 'timeline_input' }),
+        feedbackKeys: prefixFeedbackKeys({ feedbackKeys, namespace: 'timeline_input' }),
       };
     };
 
@@ -1178,6 +1444,8 @@ export function TimelineStageRenderer({
         uniformValues: previewActiveUniformValues,
         audioBindings:
           audioBindingsByShaderId[activeShaderId] ?? {},
+        textureInputs: resolveTextureInputs(previewActiveShaderCode),
+        feedbackKeys: resolveFeedbackKeys(previewActiveShaderCode),
         usedFallback: false,
         inputSource: null,
         overlaySource: null,
@@ -1200,10 +1468,13 @@ export function TimelineStageRenderer({
   }, [
     activeSavedShader,
     activeShaderId,
+    asset?.id,
+    assets,
     audioBindingsByShaderId,
     preferActiveShaderCompilePreview,
     previewActiveShaderCode,
     previewActiveUniformValues,
+    resolveAssetSource,
     resolveShaderOverlaySource,
   ]);
 
@@ -1216,6 +1487,8 @@ export function TimelineStageRenderer({
         shaderCode: layer.shaderCode,
         uniformValues: layer.uniformValues,
         audioBindings: layer.audioBindings,
+        textureInputs: layer.textureInputs,
+        feedbackKeys: layer.feedbackKeys,
         usedFallback: layer.usedFallback,
         inputSource: layer.inputSource,
         overlaySource: null,
@@ -1228,6 +1501,8 @@ export function TimelineStageRenderer({
         shaderCode: layer.shaderCode,
         uniformValues: layer.uniformValues,
         audioBindings: layer.audioBindings,
+        textureInputs: layer.textureInputs,
+        feedbackKeys: layer.feedbackKeys,
         usedFallback: layer.usedFallback,
         inputSource: null,
         overlaySource: null,
@@ -1251,6 +1526,14 @@ export function TimelineStageRenderer({
         bindings: layer.audioBindings,
         namespace: 'timeline_base',
       }),
+      textureInputs: prefixTextureInputKeys({
+        textureInputs: layer.textureInputs,
+        namespace: 'timeline_base',
+      }),
+      feedbackKeys: prefixFeedbackKeys({
+        feedbackKeys: layer.feedbackKeys,
+        namespace: 'timeline_base',
+      }),
       usedFallback: layer.usedFallback,
       inputSource: null,
       overlaySource: layer.overlaySource,
@@ -1277,6 +1560,14 @@ export function TimelineStageRenderer({
       bindings: baseLayer.audioBindings,
       namespace: 'timeline_pin',
     });
+    const prefixedBaseTextureInputs = prefixTextureInputKeys({
+      textureInputs: baseLayer.textureInputs,
+      namespace: 'timeline_pin',
+    });
+    const prefixedBaseFeedbackKeys = prefixFeedbackKeys({
+      feedbackKeys: baseLayer.feedbackKeys,
+      namespace: 'timeline_pin',
+    });
 
     if (usesTransparentOverlay) {
       return {
@@ -1287,6 +1578,8 @@ export function TimelineStageRenderer({
           u_timeline_overlay_opacity: resolvedLayer.assetSettings.opacity,
         },
         audioBindings: prefixedBaseAudioBindings,
+        textureInputs: prefixedBaseTextureInputs,
+        feedbackKeys: prefixedBaseFeedbackKeys,
         ...pinCompositeSettings,
       };
     }
@@ -1299,6 +1592,8 @@ export function TimelineStageRenderer({
         ...buildPinnedCompositeUniformValues(resolvedLayer.assetSettings, applyKeyBlack),
       },
       audioBindings: prefixedBaseAudioBindings,
+      textureInputs: prefixedBaseTextureInputs,
+      feedbackKeys: prefixedBaseFeedbackKeys,
       ...pinCompositeSettings,
     };
   }, [buildSingleShaderLayer]);
@@ -1316,22 +1611,27 @@ export function TimelineStageRenderer({
 
   const buildTimelineRenderLayer = useCallback((
     state: NonNullable<typeof timelineState>,
+    // Track layers reach the stage wrapped, so that is the program to wait for.
+    wrapShaderCode?: (shaderCode: string) => string,
   ): TimelineRenderLayer => {
     const timelineLayerOptions = {
       preferStepSnapshot: shouldResolveLiveTimelineState,
     } satisfies ResolveShaderLayerOptions;
-    const currentLayer = resolveTimelineStepLayer(
-      state.currentShader,
-      state.currentStep,
-      timelineLayerOptions,
-    );
+    const currentLayer = resolveTimelineStepLayer(state.currentShader, state.currentStep, {
+      ...timelineLayerOptions,
+      stepTimeSeconds: state.localTimeSeconds,
+    });
 
     if (state.nextShader && state.nextStep) {
-      const nextLayer = resolveTimelineStepLayer(
-        state.nextShader,
-        state.nextStep,
-        timelineLayerOptions,
-      );
+      // The next step has not started yet, so its lanes hold their opening values.
+      const nextLayer = resolveTimelineStepLayer(state.nextShader, state.nextStep, {
+        ...timelineLayerOptions,
+        stepTimeSeconds: 0,
+      });
+      // A WebGL 1.0 step cannot share a program with a WebGL2 one, so they hard cut.
+      if (!canComposeTimelineShaders(currentLayer.shaderCode, nextLayer.shaderCode)) {
+        return buildSingleShaderLayer(currentLayer);
+      }
       const nextMediaReady = isTimelineStepMediaResolved(state.nextShader, resolvedInputSources);
       const transitionOccurrenceSalt = getTimelineTransitionOccurrenceSalt(
         state,
@@ -1358,7 +1658,9 @@ export function TimelineStageRenderer({
       // gate because those consumers wait for compilation explicitly.
       const liveGatingActive =
         shouldResolveLiveTimelineState && transport.isPlaying && !midiManualMix?.enabled;
-      const transitionProgramReady = compiledShaderCodes.has(transitionShaderCode);
+      const transitionProgramReady = compiledShaderCodes.has(
+        wrapShaderCode ? wrapShaderCode(transitionShaderCode) : transitionShaderCode,
+      );
 
       if (liveGatingActive && !transitionProgramReady) {
         return buildSingleShaderLayer(currentLayer);
@@ -1430,6 +1732,28 @@ export function TimelineStageRenderer({
             namespace: 'timeline_to',
           }),
         },
+        textureInputs: {
+          ...prefixTextureInputKeys({
+            textureInputs: currentLayer.textureInputs,
+            namespace: 'timeline_from',
+          }),
+          ...prefixTextureInputKeys({
+            textureInputs: nextMediaReady
+              ? nextLayer.textureInputs
+              : currentLayer.textureInputs,
+            namespace: 'timeline_to',
+          }),
+        },
+        feedbackKeys: {
+          ...prefixFeedbackKeys({
+            feedbackKeys: currentLayer.feedbackKeys,
+            namespace: 'timeline_from',
+          }),
+          ...prefixFeedbackKeys({
+            feedbackKeys: nextLayer.feedbackKeys,
+            namespace: 'timeline_to',
+          }),
+        },
         usedFallback: currentLayer.usedFallback || nextLayer.usedFallback,
         transitionInputSources: {
           from: currentLayer.inputSource ?? null,
@@ -1465,6 +1789,9 @@ export function TimelineStageRenderer({
   ): TimelineRenderLayer => {
     const primaryLayer = buildTimelineRenderLayer(primaryState);
     const secondaryLayer = buildTimelineRenderLayer(secondaryState);
+    if (!canComposeTimelineShaders(primaryLayer.shaderCode, secondaryLayer.shaderCode)) {
+      return primaryLayer;
+    }
     const transitionSeed = getTimelineTransitionSeed(
       'double-primary',
       'double-secondary',
@@ -1504,6 +1831,26 @@ export function TimelineStageRenderer({
           namespace: 'timeline_to',
         }),
       },
+      textureInputs: {
+        ...prefixTextureInputKeys({
+          textureInputs: primaryLayer.textureInputs,
+          namespace: 'timeline_from',
+        }),
+        ...prefixTextureInputKeys({
+          textureInputs: secondaryLayer.textureInputs,
+          namespace: 'timeline_to',
+        }),
+      },
+      feedbackKeys: {
+        ...prefixFeedbackKeys({
+          feedbackKeys: primaryLayer.feedbackKeys,
+          namespace: 'timeline_from',
+        }),
+        ...prefixFeedbackKeys({
+          feedbackKeys: secondaryLayer.feedbackKeys,
+          namespace: 'timeline_to',
+        }),
+      },
       usedFallback: primaryLayer.usedFallback || secondaryLayer.usedFallback,
       transitionInputSources: {
         from: primaryLayer.inputSource ?? null,
@@ -1540,6 +1887,9 @@ export function TimelineStageRenderer({
       state.nextStep,
       timelineLayerOptions,
     );
+    if (!canComposeTimelineShaders(currentLayer.shaderCode, nextLayer.shaderCode)) {
+      return null;
+    }
     const transitionOccurrenceSalt = getTimelineTransitionOccurrenceSalt(
       state,
       timelineRandomSeedToken,
@@ -1586,6 +1936,26 @@ export function TimelineStageRenderer({
           namespace: 'timeline_to',
         }),
       },
+      textureInputs: {
+        ...prefixTextureInputKeys({
+          textureInputs: currentLayer.textureInputs,
+          namespace: 'timeline_from',
+        }),
+        ...prefixTextureInputKeys({
+          textureInputs: nextLayer.textureInputs,
+          namespace: 'timeline_to',
+        }),
+      },
+      feedbackKeys: {
+        ...prefixFeedbackKeys({
+          feedbackKeys: currentLayer.feedbackKeys,
+          namespace: 'timeline_from',
+        }),
+        ...prefixFeedbackKeys({
+          feedbackKeys: nextLayer.feedbackKeys,
+          namespace: 'timeline_to',
+        }),
+      },
       opacity: 1,
       transitionInputSources: {
         from: currentLayer.inputSource ?? null,
@@ -1606,6 +1976,8 @@ export function TimelineStageRenderer({
     uniformDefinitions: parseUniforms(layer.shaderCode),
     uniformValues: layer.uniformValues,
     audioBindings: layer.audioBindings,
+    textureInputs: layer.textureInputs,
+    feedbackKeys: layer.feedbackKeys,
     opacity,
     inputSource: layer.inputSource ?? null,
     overlaySource: layer.overlaySource ?? null,
@@ -1770,6 +2142,16 @@ export function TimelineStageRenderer({
   const visibleTimelineRenderLayers = visibleTimelineRenderState.baseLayers;
   const pinnedTimelineRenderLayer = visibleTimelineRenderState.pinnedLayer;
   const pinnedTimelineRenderLayerKey = visibleTimelineRenderState.pinnedLayerKey;
+  const timelineTrackRenderLayers = useMemo(
+    () =>
+      timelineTrackStates.map(({ track, state }) =>
+        applyTimelineTrackComposite(
+          buildTimelineRenderLayer(state, buildTimelineTrackShaderCode),
+          track,
+        ),
+      ),
+    [buildTimelineRenderLayer, timelineTrackStates],
+  );
   const currentSequenceMode = shaderSequence.mode ?? 'sequence';
   const effectivePinnedStepId = pinnedStepId ?? null;
 
@@ -1940,7 +2322,7 @@ export function TimelineStageRenderer({
           ),
         )
       : 1;
-    const baseStageLayers = activeModeLayerTransition
+    const mainStageLayers = activeModeLayerTransition
       ? [
           ...createBaseStageRenderLayers(
             activeModeLayerTransition.fromLayers,
@@ -1952,6 +2334,23 @@ export function TimelineStageRenderer({
           ),
         ]
       : createBaseStageRenderLayers(visibleTimelineRenderLayers, 1);
+    // A muted main sequence keeps drawing at zero opacity, so the stage goes
+    // dark rather than falling back to the editor's shader. Blackout cues fade
+    // the same way.
+    const sequenceOpacity = timelineTrackMix.sequenceAudible
+      ? timelineCueFrame?.sequenceOpacity ?? 1
+      : 0;
+    const sequenceStageLayers =
+      sequenceOpacity === 1 || !shouldResolveLiveTimelineState
+        ? mainStageLayers
+        : mainStageLayers.map((layer) => ({
+            ...layer,
+            opacity: (layer.opacity ?? 1) * sequenceOpacity,
+          }));
+    const baseStageLayers = [
+      ...sequenceStageLayers,
+      ...timelineTrackRenderLayers.map((layer) => createStageRenderLayer(layer, 1)),
+    ];
     const activePinLayerTransition = pinLayerTransitionRef.current;
     const effectivePinTransitionNowMs = activePinLayerTransition
       ? Math.max(pinTransitionNowMs, activePinLayerTransition.startedAtMs)
@@ -2040,6 +2439,10 @@ export function TimelineStageRenderer({
     modeTransitionNowMs,
     pinTransitionNowMs,
     pinnedTimelineRenderLayer,
+    shouldResolveLiveTimelineState,
+    timelineCueFrame?.sequenceOpacity,
+    timelineTrackMix.sequenceAudible,
+    timelineTrackRenderLayers,
     visibleTimelineRenderLayers,
   ]);
 
@@ -2192,6 +2595,19 @@ export function TimelineStageRenderer({
       pushStatePreloads(midiManualLookaheadTimelineState);
     }
     primaryLookaheadTimelineStates.forEach(pushStatePreloads);
+    for (const { track, state } of timelineTrackStates) {
+      preloadCandidates.push(
+        createTimelineTrackPreloadLayer(
+          buildSingleStepPreloadLayer(state.currentShader, state.currentStep),
+          track,
+        ),
+        createTimelineTrackPreloadLayer(
+          buildSingleStepPreloadLayer(state.nextShader, state.nextStep),
+          track,
+        ),
+        createTimelineTrackPreloadLayer(buildTransitionPreloadLayer(state), track),
+      );
+    }
 
     if (shaderSequence.mode === 'double' && secondaryTimelineState) {
       pushStatePreloads(secondaryTimelineState);
@@ -2262,6 +2678,7 @@ export function TimelineStageRenderer({
     shaderSequence.mode,
     stageRenderLayers,
     timelineState,
+    timelineTrackStates,
     workspaceFocusedPreviewEnabled,
   ]);
 
@@ -2337,6 +2754,15 @@ export function TimelineStageRenderer({
       isOutputOnly={isOutputOnly}
       showGrid={showGrid}
       onDistortionChange={onDistortionChange}
+      onMeshWarpChange={onMeshWarpChange}
+      colorCalibration={colorCalibration}
+      testPattern={testPattern}
+      testPatternSurface={testPatternSurface}
+      structuredLightFrame={structuredLightFrame}
+      activeOutputMaskId={activeOutputMaskId}
+      activeOutputMaskPointIndex={activeOutputMaskPointIndex}
+      onOutputMaskPointSelect={onOutputMaskPointSelect}
+      onOutputMaskPointChange={onOutputMaskPointChange}
       personalPreviewActive={workspacePersonalPreviewActive}
       personalPreviewGuideActive={
         workspacePersonalPreviewActive && focusedPreviewGuideActive
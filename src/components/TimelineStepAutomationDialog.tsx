@@ -0,0 +1,431 @@
+import { useState } from 'react';
+import {
+  getUniformLabel,
+  getUniformStep,
+  groupVisibleUniforms,
+  parseUniforms,
+} from '../lib/shader';
+import {
+  getRenderableShaderCode,
+  getRenderableShaderUniformValues,
+} from '../lib/shaderState';
+import { clampTimelineStepDuration, roundTimelineSeconds } from '../lib/timeline';
+import {
+  clampAutomationKeyframeTime,
+  evaluateUniformAutomationLane,
+  normalizeUniformAutomationLanes,
+  UNIFORM_AUTOMATION_EASING_OPTIONS,
+  UNIFORM_AUTOMATION_LOOP_MODE_OPTIONS,
+} from '../lib/uniformAutomation';
+import { ShaderColorInput } from './ShaderColorInput';
+import { ShaderXYPadInput } from './ShaderXYPadInput';
+import type {
+  SavedShader,
+  ShaderUniformDefinition,
+  ShaderUniformValue,
+  TimelineStub,
+  UniformAutomationEasing,
+  UniformAutomationKeyframe,
+  UniformAutomationLane,
+  UniformAutomationLoopMode,
+} from '../types';
+
+type TimelineSequenceStep = TimelineStub['shaderSequence']['steps'][number];
+
+interface TimelineStepAutomationDialogProps {
+  open: boolean;
+  step: TimelineSequenceStep | null;
+  shader: SavedShader | null;
+  onChange: (automationLanes: UniformAutomationLane[]) => void;
+  onClose: () => void;
+}
+
+// A new keyframe goes at the end of the step, or halfway into the last gap
+// once the lane already reaches it.
+function getNewKeyframeTime(lane: UniformAutomationLane, durationSeconds: number): number {
+  const lastTimeSeconds = lane.keyframes[lane.keyframes.length - 1]?.timeSeconds ?? 0;
+  if (lastTimeSeconds < durationSeconds) {
+    return durationSeconds;
+  }
+
+  const previousTimeSeconds = lane.keyframes[lane.keyframes.length - 2]?.timeSeconds ?? 0;
+  return roundTimelineSeconds((previousTimeSeconds + lastTimeSeconds) / 2);
+}
+
+function formatKeyframeValue(value: ShaderUniformValue): string {
+  if (Array.isArray(value)) {
+    return value.map((channel) => channel.toFixed(2)).join(', ');
+  }
+
+  return typeof value === 'boolean' ? (value ? 'On' : 'Off') : value.toFixed(2);
+}
+
+function KeyframeValueInput({
+  label,
+  definition,
+  value,
+  onChange,
+}: {
+  label: string;
+  definition: ShaderUniformDefinition | undefined;
+  value: ShaderUniformValue;
+  onChange: (value: ShaderUniformValue) => void;
+}) {
+  if (!definition) {
+    return <span className="helper-copy">{formatKeyframeValue(value)}</span>;
+  }
+
+  if (definition.type === 'bool') {
+    return (
+      <button
+        type="button"
+        className={`toggle-chip ${value ? 'toggle-chip-active' : ''}`}
+        aria-label={label}
+        onClick={() => onChange(!value)}
+      >
+        {value ? 'Enabled' : 'Disabled'}
+      </button>
+    );
+  }
+
+  if (definition.type === 'vec2') {
+    return (
+      <ShaderXYPadInput label={label} definition={definition} value={value} onChange={onChange} />
+    );
+  }
+
+  if (definition.type === 'vec3' || definition.type === 'vec4') {
+    return <ShaderColorInput value={value} onChange={onChange} />;
+  }
+
+  if (definition.options) {
+    return (
+      <select
+        className="select-field"
+        aria-label={label}
+        value={Math.round(Number(value))}
+        onChange={(event) => onChange(Number(event.target.value))}
+      >
+        {definition.options.map((option, index) => (
+          <option key={option} value={index}>
+            {option}
+          </option>
+        ))}
+      </select>
+    );
+  }
+
+  return (
+    <input
+      className="text-field"
+      type="number"
+      aria-label={label}
+      min={definition.min}
+      max={definition.max}
+      step={getUniformStep(definition)}
+      value={Number(value)}
+      onChange={(event) => {
+        const nextValue = Number(event.target.value);
+        if (event.target.value !== '' && Number.isFinite(nextValue)) {
+          onChange(Math.max(definition.min, Math.min(definition.max, nextValue)));
+        }
+      }}
+    />
+  );
+}
+
+function TimelineStepAutomationDialogContent({
+  step,
+  shader,
+  onChange,
+  onClose,
+}: Omit<TimelineStepAutomationDialogProps, 'open' | 'step' | 'shader'> & {
+  step: TimelineSequenceStep;
+  shader: SavedShader;
+}) {
+  const uniforms = parseUniforms(getRenderableShaderCode(shader));
+  const uniformValues = getRenderableShaderUniformValues(shader);
+  const lanes = step.automationLanes ?? [];
+  const durationSeconds = clampTimelineStepDuration(step.durationSeconds);
+  // Every uniform the panel shows can be automated, colors and switches included.
+  const availableUniforms = groupVisibleUniforms(uniforms)
+    .flatMap(({ entries }) => entries)
+    .filter(([name]) => !lanes.some((lane) => lane.uniformName === name));
+  const [pendingUniformName, setPendingUniformName] = useState('');
+  const selectedUniformName = availableUniforms.some(([name]) => name === pendingUniformName)
+    ? pendingUniformName
+    : availableUniforms[0]?.[0] ?? '';
+
+  const commitLanes = (nextLanes: UniformAutomationLane[]) => {
+    onChange(normalizeUniformAutomationLanes(nextLanes));
+  };
+  const updateLane = (uniformName: string, patch: Partial<UniformAutomationLane>) => {
+    commitLanes(
+      lanes.map((lane) => (lane.uniformName === uniformName ? { ...lane, ...patch } : lane)),
+    );
+  };
+  const updateKeyframe = (
+    lane: UniformAutomationLane,
+    keyframeIndex: number,
+    patch: Partial<UniformAutomationKeyframe>,
+  ) => {
+    updateLane(lane.uniformName, {
+      keyframes: lane.keyframes.map((keyframe, index) =>
+        index === keyframeIndex ? { ...keyframe, ...patch } : keyframe,
+      ),
+    });
+  };
+  const addLane = () => {
+    const definition = uniforms[selectedUniformName];
+    if (!definition) {
+      return;
+    }
+
+    // Both keyframes start at the current value, so adding a lane changes nothing yet.
+    const value = uniformValues[selectedUniformName] ?? definition.default;
+    commitLanes([
+      ...lanes,
+      {
+        uniformName: selectedUniformName,
+        loopMode: 'once',
+        keyframes: [
+          { timeSeconds: 0, value, easing: 'linear' },
+          { timeSeconds: durationSeconds, value, easing: 'linear' },
+        ],
+      },
+    ]);
+  };
+  const addKeyframe = (lane: UniformAutomationLane) => {
+    const timeSeconds = getNewKeyframeTime(lane, durationSeconds);
+    const value =
+      evaluateUniformAutomationLane({ ...lane, loopMode: 'once' }, timeSeconds) ??
+      uniformValues[lane.uniformName];
+    if (value === undefined) {
+      return;
+    }
+
+    updateLane(lane.uniformName, {
+      keyframes: [...lane.keyframes, { timeSeconds, value, easing: 'linear' }],
+    });
+  };
+
+  return (
+    <div
+      className="dialog-backdrop"
+      role="presentation"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <section
+        className="dialog-panel timeline-automation-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="timeline-automation-title"
+      >
+        <header className="dialog-header">
+          <div>
+            <span className="panel-eyebrow">Step Automation</span>
+            <h2 id="timeline-automation-title" className="dialog-title">
+              {shader.name}
+            </h2>
+          </div>
+          <button type="button" className="ghost-button" onClick={onClose}>
+            Close
+          </button>
+        </header>
+
+        <div className="dialog-body stack gap-md">
+          <p className="dialog-note">
+            Keyframes are placed in seconds from the start of this {durationSeconds}s step. Each
+            keyframe eases into the next; after the last one a lane holds, loops back to the
+            start of the step, or plays backwards.
+          </p>
+
+          {lanes.map((lane) => {
+            const definition = uniforms[lane.uniformName];
+            const label = definition
+              ? getUniformLabel(lane.uniformName, definition)
+              : lane.uniformName;
+
+            return (
+              <section
+                className="dialog-section stack gap-md timeline-automation-lane"
+                key={lane.uniformName}
+              >
+                <div className="timeline-automation-lane-header">
+                  <strong title={label === lane.uniformName ? undefined : lane.uniformName}>
+                    {label}
+                  </strong>
+                  <label className="field timeline-compact-field">
+                    <span>After last keyframe</span>
+                    <select
+                      className="select-field"
+                      value={lane.loopMode}
+                      onChange={(event) =>
+                        updateLane(lane.uniformName, {
+                          loopMode: event.target.value as UniformAutomationLoopMode,
+                        })
+                      }
+                    >
+                      {UNIFORM_AUTOMATION_LOOP_MODE_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <button
+                    type="button"
+                    className="ghost-button"
+                    onClick={() =>
+                      commitLanes(lanes.filter((item) => item.uniformName !== lane.uniformName))
+                    }
+                  >
+                    Remove
+                  </button>
+                </div>
+                {definition ? null : (
+                  <p className="helper-copy">
+                    This shader no longer has a {lane.uniformName} uniform, so the lane does
+                    nothing until it comes back.
+                  </p>
+                )}
+
+                <div className="timeline-automation-keyframes">
+                  {lane.keyframes.map((keyframe, index) => (
+                    <div className="timeline-automation-keyframe" key={index}>
+                      <label className="field timeline-compact-field">
+                        <span>Time</span>
+                        <input
+                          className="text-field"
+                          type="number"
+                          min={0}
+                          max={durationSeconds}
+                          step={0.05}
+                          value={keyframe.timeSeconds}
+                          onChange={(event) => {
+                            if (event.target.value !== '') {
+                              updateKeyframe(lane, index, {
+                                timeSeconds: clampAutomationKeyframeTime(
+                                  Number(event.target.value),
+                                ),
+                              });
+                            }
+                          }}
+                        />
+                      </label>
+                      <div className="field timeline-compact-field">
+                        <span>Value</span>
+                        <KeyframeValueInput
+                          label={`${label} at ${keyframe.timeSeconds}s`}
+                          definition={definition}
+                          value={keyframe.value}
+                          onChange={(value) => updateKeyframe(lane, index, { value })}
+                        />
+                      </div>
+                      {index < lane.keyframes.length - 1 ? (
+                        <label className="field timeline-compact-field">
+                          <span>Curve</span>
+                          <select
+                            className="select-field"
+                            value={keyframe.easing}
+                            onChange={(event) =>
+                              updateKeyframe(lane, index, {
+                                easing: event.target.value as UniformAutomationEasing,
+                              })
+                            }
+                          >
+                            {UNIFORM_AUTOMATION_EASING_OPTIONS.map((option) => (
+                              <option key={option.value} value={option.value}>
+                                {option.label}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                      ) : (
+                        <span />
+                      )}
+                      <button
+                        type="button"
+                        className="ghost-button"
+                        aria-label={`Delete keyframe at ${keyframe.timeSeconds}s`}
+                        disabled={lane.keyframes.length <= 1}
+                        onClick={() =>
+                          updateLane(lane.uniformName, {
+                            keyframes: lane.keyframes.filter((_, item) => item !== index),
+                          })
+                        }
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <div className="project-dialog-actions">
+                  <button
+                    type="button"
+                    className="secondary-button"
+                    disabled={!definition}
+                    onClick={() => addKeyframe(lane)}
+                  >
+                    Add Keyframe
+                  </button>
+                </div>
+              </section>
+            );
+          })}
+
+          <section className="dialog-section stack gap-md">
+            {availableUniforms.length ? (
+              <div className="project-dialog-actions">
+                <select
+                  className="select-field"
+                  aria-label="Uniform to automate"
+                  value={selectedUniformName}
+                  onChange={(event) => setPendingUniformName(event.target.value)}
+                >
+                  {availableUniforms.map(([name, definition]) => (
+                    <option key={name} value={name}>
+                      {getUniformLabel(name, definition)}
+                    </option>
+                  ))}
+                </select>
+                <button type="button" className="secondary-button" onClick={addLane}>
+                  Add Lane
+                </button>
+              </div>
+            ) : (
+              <p className="empty-copy">
+                {lanes.length
+                  ? 'Every uniform of this shader already has a lane.'
+                  : 'This shader has no uniforms to automate.'}
+              </p>
+            )}
+          </section>
+        </div>
+
+        <footer className="dialog-footer">
+          <button type="button" className="primary-button" onClick={onClose}>
+            Done
+          </button>
+        </footer>
+      </section>
+    </div>
+  );
+}
+
+export function TimelineStepAutomationDialog({
+  open,
+  step,
+  shader,
+  ...props
+}: TimelineStepAutomationDialogProps) {
+  if (!open || !step || !shader) {
+    return null;
+  }
+
+  return <TimelineStepAutomationDialogContent step={step} shader={shader} {...props} />;
+}
@@ -0,0 +1,512 @@
+import { useRef, type ChangeEvent } from 'react';
+import {
+  clampTimelineStepDuration,
+  clampTransitionDuration,
+  createTimelineShaderStep,
+  getShaderTimelineDuration,
+} from '../lib/timeline';
+import { TIMELINE_ASSET_BLEND_MODE_OPTIONS } from '../lib/timelineAssetSettings';
+import { clampTimelineAudioVolume } from '../lib/timelineAudio';
+import { clampTimelineTrackOffset, createTimelineTrack } from '../lib/timelineTracks';
+import type {
+  SavedShader,
+  TimelineAssetBlendMode,
+  TimelineAudioTrack,
+  TimelineStub,
+  TimelineTrack,
+} from '../types';
+
+type TimelineSequenceStep = TimelineStub['shaderSequence']['steps'][number];
+
+interface TimelineTracksDialogProps {
+  open: boolean;
+  tracks: TimelineTrack[];
+  sequenceMuted: boolean;
+  sequenceSolo: boolean;
+  shaders: SavedShader[];
+  onTracksChange: (tracks: TimelineTrack[]) => void;
+  onSequenceMixChange: (patch: { muted?: boolean; solo?: boolean }) => void;
+  audioTrack: TimelineAudioTrack | null;
+  timelineDurationSeconds: number;
+  onAudioImport: (file: File) => Promise<void>;
+  onAudioChange: (patch: Partial<TimelineAudioTrack>) => void;
+  onAudioRemove: () => void;
+  onClose: () => void;
+}
+
+const WAVEFORM_WIDTH = 1000;
+const WAVEFORM_HEIGHT = 64;
+
+/** The music's peaks placed at its start time on the timeline, with the loop point marked. */
+function TimelineAudioWaveform({
+  track,
+  timelineDurationSeconds,
+}: {
+  track: TimelineAudioTrack;
+  timelineDurationSeconds: number;
+}) {
+  const spanSeconds = Math.max(
+    timelineDurationSeconds,
+    track.offsetSeconds + track.durationSeconds,
+  );
+  const toX = (seconds: number) => (seconds / spanSeconds) * WAVEFORM_WIDTH;
+  const middle = WAVEFORM_HEIGHT / 2;
+  const path = track.peaks
+    .map((peak, index) => {
+      const x = toX(track.offsetSeconds + (index / track.peaks.length) * track.durationSeconds);
+      const height = Math.max(0.5, peak * middle);
+      return `M${x.toFixed(1)} ${(middle - height).toFixed(1)}V${(middle + height).toFixed(1)}`;
+    })
+    .join('');
+
+  return (
+    <svg
+      className={`timeline-audio-waveform ${track.muted ? 'timeline-audio-waveform-muted' : ''}`}
+      viewBox={`0 0 ${WAVEFORM_WIDTH} ${WAVEFORM_HEIGHT}`}
+      preserveAspectRatio="none"
+      role="img"
+      aria-label={`Waveform of ${track.name}`}
+    >
+      <path className="timeline-audio-waveform-peaks" d={path} />
+      {timelineDurationSeconds > 0 && timelineDurationSeconds < spanSeconds ? (
+        <line
+          className="timeline-audio-waveform-loop"
+          x1={toX(timelineDurationSeconds)}
+          x2={toX(timelineDurationSeconds)}
+          y1={0}
+          y2={WAVEFORM_HEIGHT}
+        />
+      ) : null}
+    </svg>
+  );
+}
+
+function TimelineAudioSection({
+  track,
+  timelineDurationSeconds,
+  onImport,
+  onChange,
+  onRemove,
+}: {
+  track: TimelineAudioTrack | null;
+  timelineDurationSeconds: number;
+  onImport: (file: File) => Promise<void>;
+  onChange: (patch: Partial<TimelineAudioTrack>) => void;
+  onRemove: () => void;
+}) {
+  const fileInputRef = useRef<HTMLInputElement | null>(null);
+  const handleFile = (event: ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (file) {
+      void onImport(file);
+    }
+  };
+
+  return (
+    <section className="dialog-section stack gap-md">
+      <div className="timeline-track-header">
+        <strong>{track ? track.name : 'Music'}</strong>
+        {track ? (
+          <>
+            <button
+              type="button"
+              className={`toggle-chip ${track.muted ? 'toggle-chip-active' : ''}`}
+              aria-pressed={track.muted}
+              aria-label="Mute music"
+              onClick={() => onChange({ muted: !track.muted })}
+            >
+              M
+            </button>
+            <button
+              type="button"
+              className="secondary-button"
+              onClick={() => fileInputRef.current?.click()}
+            >
+              Replace
+            </button>
+            <button type="button" className="ghost-button" onClick={onRemove}>
+              Remove
+            </button>
+          </>
+        ) : (
+          <button
+            type="button"
+            className="secondary-button"
+            onClick={() => fileInputRef.current?.click()}
+          >
+            Add Music File
+          </button>
+        )}
+        <input ref={fileInputRef} type="file" accept="audio/*" hidden onChange={handleFile} />
+      </div>
+
+      {track ? (
+        <>
+          <TimelineAudioWaveform
+            track={track}
+            timelineDurationSeconds={timelineDurationSeconds}
+          />
+          <div className="timeline-track-mix">
+            <label className="field timeline-compact-field">
+              <span>Volume {Math.round(track.volume * 100)}%</span>
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.01}
+                value={track.volume}
+                onChange={(event) =>
+                  onChange({ volume: clampTimelineAudioVolume(Number(event.target.value)) })
+                }
+              />
+            </label>
+            <label className="field timeline-compact-field">
+              <span>Starts at (s)</span>
+              <input
+                className="text-field"
+                type="number"
+                min={0}
+                step={0.25}
+                value={track.offsetSeconds}
+                onChange={(event) => {
+                  if (event.target.value !== '') {
+                    onChange({
+                      offsetSeconds: clampTimelineTrackOffset(Number(event.target.value)),
+                    });
+                  }
+                }}
+              />
+            </label>
+            <span className="helper-copy">
+              {`${Math.round(track.durationSeconds * 10) / 10}s long`}
+            </span>
+          </div>
+        </>
+      ) : (
+        <span className="helper-copy">
+          Plays with the transport and is mixed into MP4 exports.
+        </span>
+      )}
+    </section>
+  );
+}
+
+function MixerToggles({
+  label,
+  muted,
+  solo,
+  onChange,
+}: {
+  label: string;
+  muted: boolean;
+  solo: boolean;
+  onChange: (patch: { muted?: boolean; solo?: boolean }) => void;
+}) {
+  return (
+    <>
+      <button
+        type="button"
+        className={`toggle-chip ${muted ? 'toggle-chip-active' : ''}`}
+        aria-pressed={muted}
+        aria-label={`Mute ${label}`}
+        onClick={() => onChange({ muted: !muted })}
+      >
+        M
+      </button>
+      <button
+        type="button"
+        className={`toggle-chip ${solo ? 'toggle-chip-active' : ''}`}
+        aria-pressed={solo}
+        aria-label={`Solo ${label}`}
+        onClick={() => onChange({ solo: !solo })}
+      >
+        S
+      </button>
+    </>
+  );
+}
+
+function TimelineTracksDialogContent({
+  tracks,
+  sequenceMuted,
+  sequenceSolo,
+  shaders,
+  onTracksChange,
+  onSequenceMixChange,
+  audioTrack,
+  timelineDurationSeconds,
+  onAudioImport,
+  onAudioChange,
+  onAudioRemove,
+  onClose,
+}: Omit<TimelineTracksDialogProps, 'open'>) {
+  const updateTrack = (trackId: string, patch: Partial<TimelineTrack>) => {
+    onTracksChange(
+      tracks.map((track) => (track.id === trackId ? { ...track, ...patch } : track)),
+    );
+  };
+  const updateStep = (
+    track: TimelineTrack,
+    stepId: string,
+    patch: Partial<TimelineSequenceStep>,
+  ) => {
+    updateTrack(track.id, {
+      steps: track.steps.map((step) => (step.id === stepId ? { ...step, ...patch } : step)),
+    });
+  };
+
+  return (
+    <div
+      className="dialog-backdrop"
+      role="presentation"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <section
+        className="dialog-panel timeline-tracks-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="timeline-tracks-title"
+      >
+        <header className="dialog-header">
+          <div>
+            <span className="panel-eyebrow">Timeline</span>
+            <h2 id="timeline-tracks-title" className="dialog-title">
+              Tracks
+            </h2>
+          </div>
+          <button type="button" className="ghost-button" onClick={onClose}>
+            Close
+          </button>
+        </header>
+
+        <div className="dialog-body stack gap-md">
+          <p className="dialog-note">
+            Each track plays its own steps in a loop from its start time and is blended over the
+            main sequence and the tracks listed before it. While any track is soloed only soloed
+            tracks play. MIDI strip 1 mutes and solos the main sequence, strip 2 the first track,
+            and so on. The music file follows the transport and restarts with the loop; choose
+            Timeline music as the Audio Reactive input to drive shaders from it.
+          </p>
+
+          <TimelineAudioSection
+            track={audioTrack}
+            timelineDurationSeconds={timelineDurationSeconds}
+            onImport={onAudioImport}
+            onChange={onAudioChange}
+            onRemove={onAudioRemove}
+          />
+
+          <section className="dialog-section timeline-track-header">
+            <strong>Main sequence</strong>
+            <MixerToggles
+              label="main sequence"
+              muted={sequenceMuted}
+              solo={sequenceSolo}
+              onChange={onSequenceMixChange}
+            />
+          </section>
+
+          {tracks.map((track) => (
+            <section className="dialog-section stack gap-md" key={track.id}>
+              <div className="timeline-track-header">
+                <input
+                  className="text-field"
+                  type="text"
+                  aria-label="Track name"
+                  value={track.label}
+                  onChange={(event) => updateTrack(track.id, { label: event.target.value })}
+                />
+                <MixerToggles
+                  label={track.label}
+                  muted={track.muted}
+                  solo={track.solo}
+                  onChange={(patch) => updateTrack(track.id, patch)}
+                />
+                <button
+                  type="button"
+                  className="ghost-button"
+                  onClick={() => onTracksChange(tracks.filter((item) => item.id !== track.id))}
+                >
+                  Remove
+                </button>
+              </div>
+
+              <div className="timeline-track-mix">
+                <label className="field timeline-compact-field">
+                  <span>Blend</span>
+                  <select
+                    className="select-field"
+                    value={track.blendMode}
+                    onChange={(event) =>
+                      updateTrack(track.id, {
+                        blendMode: event.target.value as TimelineAssetBlendMode,
+                      })
+                    }
+                  >
+                    {TIMELINE_ASSET_BLEND_MODE_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="field timeline-compact-field">
+                  <span>Opacity {Math.round(track.opacity * 100)}%</span>
+                  <input
+                    type="range"
+                    min={0}
+                    max={1}
+                    step={0.01}
+                    value={track.opacity}
+                    onChange={(event) =>
+                      updateTrack(track.id, { opacity: Number(event.target.value) })
+                    }
+                  />
+                </label>
+                <label className="field timeline-compact-field">
+                  <span>Starts at (s)</span>
+                  <input
+                    className="text-field"
+                    type="number"
+                    min={0}
+                    step={0.25}
+                    value={track.offsetSeconds}
+                    onChange={(event) => {
+                      if (event.target.value !== '') {
+                        updateTrack(track.id, {
+                          offsetSeconds: clampTimelineTrackOffset(Number(event.target.value)),
+                        });
+                      }
+                    }}
+                  />
+                </label>
+              </div>
+
+              <div className="timeline-track-steps">
+                {track.steps.map((step, index) => (
+                  <div className="timeline-track-step" key={step.id}>
+                    <label className="field timeline-compact-field">
+                      <span>Step {index + 1}</span>
+                      <select
+                        className="select-field"
+                        value={step.shaderId}
+                        onChange={(event) =>
+                          updateStep(track, step.id, { shaderId: event.target.value })
+                        }
+                      >
+                        {shaders.some((shader) => shader.id === step.shaderId) ? null : (
+                          <option value={step.shaderId}>Missing shader</option>
+                        )}
+                        {shaders.map((shader) => (
+                          <option key={shader.id} value={shader.id}>
+                            {shader.name}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="field timeline-compact-field">
+                      <span>Length (s)</span>
+                      <input
+                        className="text-field"
+                        type="number"
+                        min={0.5}
+                        step={0.25}
+                        value={step.durationSeconds}
+                        onChange={(event) => {
+                          if (event.target.value === '') {
+                            return;
+                          }
+
+                          const durationSeconds = clampTimelineStepDuration(
+                            Number(event.target.value),
+                          );
+                          updateStep(track, step.id, {
+                            durationSeconds,
+                            transitionDurationSeconds: clampTransitionDuration(
+                              durationSeconds,
+                              step.transitionDurationSeconds,
+                            ),
+                          });
+                        }}
+                      />
+                    </label>
+                    <button
+                      type="button"
+                      className={`toggle-chip ${step.disabled ? '' : 'toggle-chip-active'}`}
+                      aria-pressed={!step.disabled}
+                      onClick={() => updateStep(track, step.id, { disabled: !step.disabled })}
+                    >
+                      {step.disabled ? 'Off' : 'On'}
+                    </button>
+                    <button
+                      type="button"
+                      className="ghost-button"
+                      onClick={() =>
+                        updateTrack(track.id, {
+                          steps: track.steps.filter((item) => item.id !== step.id),
+                        })
+                      }
+                    >
+                      Delete
+                    </button>
+                  </div>
+                ))}
+              </div>
+
+              <div className="project-dialog-actions">
+                <button
+                  type="button"
+                  className="secondary-button"
+                  disabled={!shaders.length}
+                  onClick={() => {
+                    // A new step repeats the track's last shader, or starts with the first one.
+                    const shaderId =
+                      track.steps[track.steps.length - 1]?.shaderId ?? shaders[0]?.id;
+                    if (shaderId) {
+                      updateTrack(track.id, {
+                        steps: [...track.steps, createTimelineShaderStep(shaderId)],
+                      });
+                    }
+                  }}
+                >
+                  Add Step
+                </button>
+                <span className="helper-copy">
+                  {track.steps.length
+                    ? `${getShaderTimelineDuration(track.steps)}s per loop`
+                    : 'Add a step to play this track.'}
+                </span>
+              </div>
+            </section>
+          ))}
+        </div>
+
+        <footer className="dialog-footer">
+          <button
+            type="button"
+            className="secondary-button"
+            onClick={() => onTracksChange([...tracks, createTimelineTrack(tracks.length + 1)])}
+          >
+            Add Track
+          </button>
+          <button type="button" className="primary-button" onClick={onClose}>
+            Done
+          </button>
+        </footer>
+      </section>
+    </div>
+  );
+}
+
+export function TimelineTracksDialog({ open, ...props }: TimelineTracksDialogProps) {
+  if (!open) {
+    return null;
+  }
+
+  return <TimelineTracksDialogContent {...props} />;
+}
@@ -1,9 +1,26 @@
 import { useRef } from 'react';
-import type { ShaderUniformMap, ShaderUniformValue, ShaderUniformValueMap } from '../types';
+import type {
+  AssetRecord,
+  ShaderTextureBinding,
+  ShaderTextureBindingMap,
+  ShaderTextureInputMap,
+  ShaderUniformMap,
+  ShaderUniformValue,
+  ShaderUniformValueMap,
+} from '../types';
 import { handleVerticalRangeKey } from '../lib/rangeKeyboard';
+import {
+  getUniformLabel,
+  getUniformStep,
+  groupVisibleUniforms,
+  isNumericUniform,
+  isSliderUniform,
+} from '../lib/shader';
 import { useUniformRandomization } from '../hooks/useUniformRandomization';
 import { PanelSection } from './PanelSection';
 import { ShaderColorInput } from './ShaderColorInput';
+import { ShaderTextureInputFields } from './ShaderTextureInputFields';
+import { ShaderXYPadInput } from './ShaderXYPadInput';
 import { ShuffleIcon } from './ShuffleIcon';
 import {
   AudioReactivePanelControls,
@@ -24,6 +41,11 @@ interface UniformPanelProps {
   uniformValues: ShaderUniformValueMap;
   onInteractionStart: () => void;
   onUniformChange: (name: string, value: ShaderUniformValue) => void;
+  textureInputs?: ShaderTextureInputMap;
+  textureBindings?: ShaderTextureBindingMap;
+  textureAssets?: AssetRecord[];
+  textureBaseAssetId?: string | null;
+  onTextureBindingChange?: (name: string, binding: ShaderTextureBinding | null) => void;
   newUniformName: string;
   onNewUniformNameChange: (value: string) => void;
   onQuickAddUniform: () => void;
@@ -39,6 +61,11 @@ export function UniformPanel({
   uniformValues,
   onInteractionStart,
   onUniformChange,
+  textureInputs,
+  textureBindings,
+  textureAssets = [],
+  textureBaseAssetId = null,
+  onTextureBindingChange,
   newUniformName,
   onNewUniformNameChange,
   onQuickAddUniform,
@@ -105,128 +132,167 @@ export function UniformPanel({
             uniformValues={uniformValues}
           />
         ) : null}
-        {Object.keys(uniformDefinitions).length > 0 ? (
-          Object.entries(uniformDefinitions).map(([name, definition]) => {
-            const value = uniformValues[name];
-            if (value === undefined) {
-              return null;
-            }
+        {groupVisibleUniforms(uniformDefinitions).map(({ group, entries }) => (
+          <div className="stack gap-md" key={group ?? ''}>
+            {group ? <span className="uniform-group-title">{group}</span> : null}
+            {entries.map(([name, definition]) => {
+              const value = uniformValues[name];
+              if (value === undefined) {
+                return null;
+              }
 
-            const isNumeric = definition.type === 'float' || definition.type === 'int';
-            const isLocked = isNumeric && isUniformLocked(name);
+              const label = getUniformLabel(name, definition);
+              const isNumeric = isNumericUniform(definition);
+              const isSlider = isSliderUniform(definition);
+              const showAudioControls = Boolean(
+                isSlider && audioReactivity && audioShaderId && audioModeEnabled,
+              );
+              const isLocked = isNumeric && isUniformLocked(name);
 
-            return (
-              <div
-                className={`field ${isNumeric ? 'uniform-random-field' : ''} ${
-                  isLocked ? 'uniform-random-field-locked' : ''
-                } ${isNumeric && audioModeEnabled ? 'audio-reactive-field' : ''}`}
-                key={name}
-              >
-                <span className="field-inline-label">
-                  <span>{name}</span>
-                  <span className="uniform-field-meta">
-                    {isNumeric ? (
-                      <span className="uniform-field-actions">
-                        <button
-                          type="button"
-                          className={`uniform-random-lock-button ${
-                            isLocked ? 'uniform-random-lock-button-active' : ''
-                          }`}
-                          aria-label={
-                            isLocked
-                              ? `Include ${name} in randomization`
-                              : `Exclude ${name} from randomization`
-                          }
-                          aria-pressed={isLocked}
-                          title={
-                            isLocked
-                              ? 'Include this slider in randomization'
-                              : 'Exclude this slider from randomization'
-                          }
-                          onClick={() => toggleUniformLock(name)}
-                        >
-                          <ShuffleIcon blocked={isLocked} />
-                        </button>
-                        {audioReactivity && audioShaderId && audioModeEnabled ? (
-                          <AudioReactiveUniformToggle
-                            controller={audioReactivity}
-                            shaderId={audioShaderId}
-                            name={name}
-                            definition={definition}
-                            baseValue={Number(value)}
-                          />
-                        ) : null}
-                      </span>
-                    ) : null}
-                    {isNumeric ? (
-                      <span className="uniform-field-values">
-                        <small>{Number(value).toFixed(definition.type === 'int' ? 0 : 2)}</small>
-                        {audioReactivity && audioShaderId && audioModeEnabled ? (
-                          <AudioReactiveUniformLiveValue
-                            controller={audioReactivity}
-                            shaderId={audioShaderId}
-                            name={name}
-                            definition={definition}
-                            baseValue={Number(value)}
-                          />
-                        ) : null}
-                      </span>
-                    ) : null}
-                    {isNumeric && audioReactivity && audioShaderId && audioModeEnabled ? (
-                      <AudioReactiveUniformSignalPicker
+              return (
+                <div
+                  className={`field ${isNumeric ? 'uniform-random-field' : ''} ${
+                    isLocked ? 'uniform-random-field-locked' : ''
+                  } ${isSlider && audioModeEnabled ? 'audio-reactive-field' : ''}`}
+                  key={name}
+                >
+                  <span className="field-inline-label">
+                    <span title={label === name ? undefined : name}>{label}</span>
+                    <span className="uniform-field-meta">
+                      {isNumeric ? (
+                        <span className="uniform-field-actions">
+                          <button
+                            type="button"
+                            className={`uniform-random-lock-button ${
+                              isLocked ? 'uniform-random-lock-button-active' : ''
+                            }`}
+                            aria-label={
+                              isLocked
+                                ? `Include ${label} in randomization`
+                                : `Exclude ${label} from randomization`
+                            }
+                            aria-pressed={isLocked}
+                            title={
+                              isLocked
+                                ? 'Include this slider in randomization'
+                                : 'Exclude this slider from randomization'
+                            }
+                            onClick={() => toggleUniformLock(name)}
+                          >
+                            <ShuffleIcon blocked={isLocked} />
+                          </button>
+                          {showAudioControls && audioReactivity && audioShaderId ? (
+                            <AudioReactiveUniformToggle
+                              controller={audioReactivity}
+                              shaderId={audioShaderId}
+                              name={name}
+                              definition={definition}
+                              baseValue={Number(value)}
+                            />
+                          ) : null}
+                        </span>
+                      ) : null}
+                      {isSlider ? (
+                        <span className="uniform-field-values">
+                          <small>{Number(value).toFixed(definition.type === 'int' ? 0 : 2)}</small>
+                          {showAudioControls && audioReactivity && audioShaderId ? (
+                            <AudioReactiveUniformLiveValue
+                              controller={audioReactivity}
+                              shaderId={audioShaderId}
+                              name={name}
+                              definition={definition}
+                              baseValue={Number(value)}
+                            />
+                          ) : null}
+                        </span>
+                      ) : null}
+                      {showAudioControls && audioReactivity && audioShaderId ? (
+                        <AudioReactiveUniformSignalPicker
+                          controller={audioReactivity}
+                          shaderId={audioShaderId}
+                          name={name}
+                          definition={definition}
+                          baseValue={Number(value)}
+                        />
+                      ) : null}
+                    </span>
+                  </span>
+                  {definition.options ? (
+                    <select
+                      className="select-field"
+                      aria-label={label}
+                      value={Math.round(Number(value))}
+                      onChange={(event) => onUniformChange(name, Number(event.target.value))}
+                    >
+                      {definition.options.map((option, index) => (
+                        <option key={option} value={index}>
+                          {option}
+                        </option>
+                      ))}
+                    </select>
+                  ) : null}
+                  {isSlider ? (
+                    showAudioControls && audioReactivity && audioShaderId ? (
+                      <AudioReactiveUniformSlider
                         controller={audioReactivity}
                         shaderId={audioShaderId}
                         name={name}
                         definition={definition}
                         baseValue={Number(value)}
+                        onBaseValueChange={(nextValue) => onUniformChange(name, nextValue)}
+                        showSignalPicker={false}
                       />
-                    ) : null}
-                  </span>
-                </span>
-                {isNumeric ? (
-                  audioReactivity && audioShaderId && audioModeEnabled ? (
-                    <AudioReactiveUniformSlider
-                      controller={audioReactivity}
-                      shaderId={audioShaderId}
-                      name={name}
+                    ) : (
+                      <span className="uniform-range-shell">
+                        <input
+                          type="range"
+                          aria-label={label}
+                          min={definition.min}
+                          max={definition.max}
+                          step={getUniformStep(definition)}
+                          value={Number(value)}
+                          onChange={(event) => onUniformChange(name, Number(event.target.value))}
+                          onKeyDown={(event) =>
+                            handleVerticalRangeKey(event, (nextValue) => onUniformChange(name, nextValue))
+                          }
+                        />
+                      </span>
+                    )
+                  ) : null}
+                  {definition.type === 'bool' ? (
+                    <button
+                      type="button"
+                      className={`toggle-chip ${value ? 'toggle-chip-active' : ''}`}
+                      aria-label={label}
+                      onClick={() => onUniformChange(name, !value)}
+                    >
+                      {value ? 'Enabled' : 'Disabled'}
+                    </button>
+                  ) : null}
+                  {definition.type === 'vec2' ? (
+                    <ShaderXYPadInput
+                      label={label}
                       definition={definition}
-                      baseValue={Number(value)}
-                      onBaseValueChange={(nextValue) => onUniformChange(name, nextValue)}
-                      showSignalPicker={false}
+                      value={value}
+                      onChange={(nextValue) => onUniformChange(name, nextValue)}
                     />
-                  ) : (
-                    <span className="uniform-range-shell">
-                      <input
-                        type="range"
-                        aria-label={name}
-                        min={definition.min}
-                        max={definition.max}
-                        step={definition.type === 'int' ? 1 : (definition.max - definition.min) / 100}
-                        value={Number(value)}
-                        onChange={(event) => onUniformChange(name, Number(event.target.value))}
-                        onKeyDown={(event) =>
-                          handleVerticalRangeKey(event, (nextValue) => onUniformChange(name, nextValue))
-                        }
-                      />
-                    </span>
-                  )
-                ) : null}
-                {definition.type === 'bool' ? (
-                  <button
-                    type="button"
-                    className={`toggle-chip ${value ? 'toggle-chip-active' : ''}`}
-                    aria-label={name}
-                    onClick={() => onUniformChange(name, !value)}
-                  >
-                    {value ? 'Enabled' : 'Disabled'}
-                  </button>
-                ) : null}
-                {definition.type === 'vec3' && Array.isArray(value) ? (
-                  <ShaderColorInput value={value} onChange={(nextValue) => onUniformChange(name, nextValue)} />
-                ) : null}
-              </div>
-            );
-          })
+                  ) : null}
+                  {(definition.type === 'vec3' || definition.type === 'vec4') && Array.isArray(value) ? (
+                    <ShaderColorInput value={value} onChange={(nextValue) => onUniformChange(name, nextValue)} />
+                  ) : null}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+        {textureInputs && onTextureBindingChange ? (
+          <ShaderTextureInputFields
+            textureInputs={textureInputs}
+            textureBindings={textureBindings}
+            assets={textureAssets}
+            baseAssetId={textureBaseAssetId}
+            onChange={onTextureBindingChange}
+          />
         ) : null}
         <div className="inline-form">
           <input
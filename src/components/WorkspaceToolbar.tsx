@@ -2,6 +2,7 @@ import { useEffect, useRef, useState } from 'react';
 import { Link } from 'react-router-dom';
 import type { WorkspaceMode } from '../types';
 import type { AudioCaptureSource } from '../lib/audioReactivity';
+import type { ProjectHistorySnapshot } from '../lib/projectHistory';
 import { InstallAppButton } from './InstallAppCallout';
 import {
   advanceAssetsFirstStepToImport,
@@ -13,7 +14,9 @@ import {
   readAssetsFirstStepElapsedMs,
 } from '../lib/assetsFirstStep';
 
-type ToolbarMenuKey = 'file' | 'shader' | 'audio';
+type ToolbarMenuKey = 'file' | 'edit' | 'shader' | 'audio';
+
+const HISTORY_MENU_LIMIT = 40;
 
 interface WorkspaceToolbarProps {
   isPlaying: boolean;
@@ -28,11 +31,18 @@ interface WorkspaceToolbarProps {
   onOpenProjects: () => void;
   onOpenShare: () => void;
   onOpenExport: () => void;
+  onOpenTimelineTracks: () => void;
+  onOpenTimelineCues: () => void;
+  onOpenShowSchedule: () => void;
   onOpenAssets: () => void;
   onOpenSettings: () => void;
   onOpenProBeta: () => void;
   onNewShader: () => void;
   onOpenPresetBrowser: () => void;
+  onImportShaderBundle: () => void;
+  onImportShaderSource: () => void;
+  onExportIsfShader: () => void;
+  onOpenStorage: () => void;
   onPlayToggle: () => void;
   onOpenOutput: () => void;
   onToggleMoveMode: () => void;
@@ -46,6 +56,13 @@ interface WorkspaceToolbarProps {
   midiPanelVisible: boolean;
   onToggleMidi: () => void;
   onOpenSliceStudio: () => void;
+  onOpenProjectors: () => void;
+  onOpenColorCalibration: () => void;
+  history: ProjectHistorySnapshot;
+  onUndo: () => void;
+  onRedo: () => void;
+  /** Steps back or forward until `entryId` is the latest change, or undoes everything for null. */
+  onHistoryTravel: (entryId: number | null) => void;
   assetsFirstStepEligible: boolean;
   onboardingActive: boolean;
   onAssetsFirstStepAdvance: () => void;
@@ -109,11 +126,18 @@ export function WorkspaceToolbar({
   onOpenProjects,
   onOpenShare,
   onOpenExport,
+  onOpenTimelineTracks,
+  onOpenTimelineCues,
+  onOpenShowSchedule,
   onOpenAssets,
   onOpenSettings,
   onOpenProBeta,
   onNewShader,
   onOpenPresetBrowser,
+  onImportShaderBundle,
+  onImportShaderSource,
+  onExportIsfShader,
+  onOpenStorage,
   onPlayToggle,
   onOpenOutput,
   onToggleMoveMode,
@@ -127,6 +151,12 @@ export function WorkspaceToolbar({
   midiPanelVisible,
   onToggleMidi,
   onOpenSliceStudio,
+  onOpenProjectors,
+  onOpenColorCalibration,
+  history,
+  onUndo,
+  onRedo,
+  onHistoryTravel,
   assetsFirstStepEligible,
   onboardingActive,
   onAssetsFirstStepAdvance,
@@ -325,6 +355,10 @@ export function WorkspaceToolbar({
     }, 7_000);
   };
 
+  const lastChange = history.past.at(-1) ?? null;
+  const nextChange = history.future[0] ?? null;
+  const hiddenPastCount = Math.max(0, history.past.length - HISTORY_MENU_LIMIT);
+
   return (
     <header className="workspace-toolbar">
       <strong className="toolbar-brand">Mapshroom</strong>
@@ -394,6 +428,50 @@ export function WorkspaceToolbar({
                 >
                   Export
                 </button>
+                <button
+                  type="button"
+                  role="menuitem"
+                  className="toolbar-menu-item"
+                  onClick={() => {
+                    onOpenTimelineTracks();
+                    closeMenu();
+                  }}
+                >
+                  Timeline Tracks
+                </button>
+                <button
+                  type="button"
+                  role="menuitem"
+                  className="toolbar-menu-item"
+                  onClick={() => {
+                    onOpenTimelineCues();
+                    closeMenu();
+                  }}
+                >
+                  Cue List
+                </button>
+                <button
+                  type="button"
+                  role="menuitem"
+                  className="toolbar-menu-item"
+                  onClick={() => {
+                    onOpenShowSchedule();
+                    closeMenu();
+                  }}
+                >
+                  Show Schedule
+                </button>
+                <button
+                  type="button"
+                  role="menuitem"
+                  className="toolbar-menu-item"
+                  onClick={() => {
+                    onOpenStorage();
+                    closeMenu();
+                  }}
+                >
+                  Storage
+                </button>
                 <div className="toolbar-menu-divider" role="separator" />
                 <span className="toolbar-menu-section-label">View</span>
                 <button
@@ -480,6 +558,28 @@ export function WorkspaceToolbar({
                 >
                   Slicer OBJ
                 </button>
+                <button
+                  type="button"
+                  role="menuitem"
+                  className="toolbar-menu-item"
+                  onClick={() => {
+                    onOpenProjectors();
+                    closeMenu();
+                  }}
+                >
+                  Projectors &amp; blend
+                </button>
+                <button
+                  type="button"
+                  role="menuitem"
+                  className="toolbar-menu-item"
+                  onClick={() => {
+                    onOpenColorCalibration();
+                    closeMenu();
+                  }}
+                >
+                  Color calibration
+                </button>
                 <button
                   type="button"
                   role="menuitem"
@@ -529,6 +629,93 @@ export function WorkspaceToolbar({
             ) : null}
           </div>
 
+          <div className="toolbar-menu-shell toolbar-menu-shell-align-right">
+            <button
+              type="button"
+              className={`secondary-button toolbar-menu-button ${
+                openMenu === 'edit' ? 'toolbar-menu-button-active' : ''
+              }`}
+              aria-haspopup="menu"
+              aria-expanded={openMenu === 'edit'}
+              onClick={() => toggleMenu('edit')}
+            >
+              Edit
+            </button>
+
+            {openMenu === 'edit' ? (
+              <div className="toolbar-menu-panel" role="menu" aria-label="Edit options">
+                <button
+                  type="button"
+                  role="menuitem"
+                  className="toolbar-menu-item"
+                  title="Ctrl+Z / ⌘Z"
+                  disabled={!lastChange}
+                  onClick={onUndo}
+                >
+                  Undo
+                  <small>{lastChange?.label ?? 'Nothing to undo'}</small>
+                </button>
+                <button
+                  type="button"
+                  role="menuitem"
+                  className="toolbar-menu-item"
+                  title="Ctrl+Shift+Z / ⇧⌘Z"
+                  disabled={!nextChange}
+                  onClick={onRedo}
+                >
+                  Redo
+                  <small>{nextChange?.label ?? 'Nothing to redo'}</small>
+                </button>
+                <div className="toolbar-menu-divider" role="separator" />
+                <span className="toolbar-menu-section-label">History</span>
+                <div className="toolbar-history-list">
+                  {hiddenPastCount === 0 ? (
+                    <button
+                      type="button"
+                      role="menuitem"
+                      className={`toolbar-menu-item ${
+                        lastChange ? '' : 'toolbar-history-item-current'
+                      }`}
+                      aria-current={lastChange ? undefined : 'step'}
+                      onClick={() => onHistoryTravel(null)}
+                    >
+                      Opened
+                    </button>
+                  ) : (
+                    <span className="toolbar-menu-section-label">
+                      {hiddenPastCount} earlier changes
+                    </span>
+                  )}
+                  {history.past.slice(hiddenPastCount).map((entry) => (
+                    <button
+                      key={entry.id}
+                      type="button"
+                      role="menuitem"
+                      className={`toolbar-menu-item ${
+                        entry === lastChange ? 'toolbar-history-item-current' : ''
+                      }`}
+                      aria-current={entry === lastChange ? 'step' : undefined}
+                      onClick={() => onHistoryTravel(entry.id)}
+                    >
+                      {entry.label}
+                    </button>
+                  ))}
+                  {history.future.map((entry) => (
+                    <button
+                      key={entry.id}
+                      type="button"
+                      role="menuitem"
+                      className="toolbar-menu-item toolbar-history-item-undone"
+                      onClick={() => onHistoryTravel(entry.id)}
+                    >
+                      {entry.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ) : null}
+          </div>
+
           <button
             type="button"
             data-onboarding-area="mapping"
@@ -588,6 +775,39 @@ export function WorkspaceToolbar({
                 >
                   Presets
                 </button>
+                <button
+                  type="button"
+                  role="menuitem"
+                  className="toolbar-menu-item"
+                  onClick={() => {
+                    onImportShaderBundle();
+                    closeMenu();
+                  }}
+                >
+                  Import Shader Bundle
+                </button>
+                <button
+                  type="button"
+                  role="menuitem"
+                  className="toolbar-menu-item"
+                  onClick={() => {
+                    onImportShaderSource();
+                    closeMenu();
+                  }}
+                >
+                  Import Shadertoy / ISF
+                </button>
+                <button
+                  type="button"
+                  role="menuitem"
+                  className="toolbar-menu-item"
+                  onClick={() => {
+                    onExportIsfShader();
+                    closeMenu();
+                  }}
+                >
+                  Export Shader as ISF
+                </button>
               </div>
             ) : null}
           </div>
@@ -661,6 +881,26 @@ export function WorkspaceToolbar({
                     <small>Windows, YouTube and desktop audio</small>
                   </span>
                 </button>
+                <button
+                  type="button"
+                  role="menuitemradio"
+                  aria-checked={audioReactiveSource === 'timeline'}
+                  className={`toolbar-menu-item toolbar-audio-source-option ${
+                    audioReactiveSource === 'timeline'
+                      ? 'toolbar-audio-source-option-selected'
+                      : ''
+                  }`}
+                  onClick={() => {
+                    onStartAudioReactive('timeline');
+                    closeMenu();
+                  }}
+                >
+                  <span className="toolbar-audio-source-indicator" aria-hidden="true" />
+                  <span className="toolbar-audio-source-copy">
+                    <strong>Timeline music</strong>
+                    <small>The music file on the timeline</small>
+                  </span>
+                </button>
                 {audioReactiveEnabled ? (
                   <>
                     <div className="toolbar-menu-divider" role="separator" />
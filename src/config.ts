@@ -24,18 +24,24 @@ import {
   fullCanvasShaderUniformValues,
 } from './shaders/templates/fullCanvasShader';
 
-export const APP_VERSION = 3;
+export const APP_VERSION = 4;
 export const PROJECT_STORAGE_PREFIX = 'mapshroom-v3:project:';
+export const PROJECT_SYNC_STORAGE_PREFIX = 'mapshroom-v3:project-sync:';
 export const PROJECT_LIBRARY_STORAGE_KEY = 'mapshroom-v3:projects';
+export const TEST_PATTERN_STORAGE_PREFIX = 'mapshroom-v3:test-pattern:';
 export const UI_STORAGE_KEY = 'mapshroom-v3:ui';
 export const ACTIVE_SESSION_KEY = 'mapshroom-v3:active-session';
 export const OPENAI_API_KEY_STORAGE_KEY = 'mapshroom-v3:openai-api-key';
 export const ANTHROPIC_API_KEY_STORAGE_KEY = 'mapshroom-v3:anthropic-api-key';
 export const GOOGLE_API_KEY_STORAGE_KEY = 'mapshroom-v3:google-api-key';
 export const ASSET_DB_NAME = 'mapshroom-v3';
-export const ASSET_DB_VERSION = 1;
+export const ASSET_DB_VERSION = 4;
 export const ASSET_STORE_NAME = 'asset-blobs';
+export const PROJECT_SNAPSHOT_STORE_NAME = 'project-snapshots';
+export const PROJECT_RECORD_STORE_NAME = 'project-records';
+export const PROJECT_FOLDER_STORE_NAME = 'project-folders';
 export const BROADCAST_PREFIX = 'mapshroom-v3:channel:';
+export const OPEN_WORKSPACE_LOCK_NAME = 'mapshroom-v3:open-workspace';
 export const DEFAULT_GOOGLE_API_VERSION = 'v1beta';
 export const DEFAULT_GOOGLE_SHADER_MODEL = 'gemini-3.5-flash';
 export const DEFAULT_GOOGLE_MODEL_OPTIONS = [
@@ -190,10 +196,9 @@ export function createDefaultProject(
         enabled: false,
         durationSeconds: getShaderTimelineDuration(steps),
         markers: ['intro', 'verse', 'drop'],
-        tracks: [
-          { id: 'timeline-track-assets', label: 'Assets', type: 'media' },
-          { id: 'timeline-track-effects', label: 'Effects', type: 'automation' },
-        ],
+        tracks: [],
+        cueList: { cues: [], activeCueId: null, standbyCueId: null, fade: null },
+        audioTrack: null,
         shaderSequence: {
           enabled: true,
           mode: 'randomMix',
@@ -287,6 +292,8 @@ export function createEmptyProject(
         durationSeconds: timelineStep.durationSeconds,
         markers: [],
         tracks: [],
+        cueList: { cues: [], activeCueId: null, standbyCueId: null, fade: null },
+        audioTrack: null,
         shaderSequence: {
           ...project.timeline.stub.shaderSequence,
           mode: 'sequence',
@@ -0,0 +1,22 @@
+/** File System Access API parts that lib.dom does not declare yet (Chromium). */
+
+interface FileSystemHandlePermissionDescriptor {
+  mode?: 'read' | 'readwrite';
+}
+
+interface FileSystemHandle {
+  queryPermission?: (descriptor?: FileSystemHandlePermissionDescriptor) => Promise<PermissionState>;
+  requestPermission?: (
+    descriptor?: FileSystemHandlePermissionDescriptor,
+  ) => Promise<PermissionState>;
+}
+
+interface DirectoryPickerOptions {
+  /** Lets the browser remember the last folder picked for this purpose. */
+  id?: string;
+  mode?: 'read' | 'readwrite';
+}
+
+interface Window {
+  showDirectoryPicker?: (options?: DirectoryPickerOptions) => Promise<FileSystemDirectoryHandle>;
+}
@@ -22,6 +22,7 @@ import {
   type AudioSectionDetectorState,
 } from '../lib/audioSectionDetection';
 import type { ShaderUniformMap, ShaderUniformValueMap } from '../types';
+import type { TimelineAudioPlayer } from './useTimelineAudio';
 
 export type AudioReactiveStatus = 'idle' | 'starting' | 'listening' | 'error';
 
@@ -62,13 +63,16 @@ export interface AudioReactivityController {
 export interface AudioReactivityOptions {
   sectionDetectionEnabled?: boolean;
   minimumSectionSeconds?: number;
+  /** Music on the timeline, analysed when the source is `timeline`. */
+  timelineAudio?: TimelineAudioPlayer | null;
 }
 
 interface AudioEngine {
   token: symbol;
-  stream: MediaStream;
+  /** Captured input, or null when listening to the timeline music. */
+  stream: MediaStream | null;
   context: AudioContext;
-  sourceNode: MediaStreamAudioSourceNode;
+  sourceNode: AudioNode;
   analyser: AnalyserNode;
   silentGain: GainNode;
   frequencyData: Uint8Array<ArrayBuffer>;
@@ -272,11 +276,16 @@ export function useAudioReactivity(
       if (engine.animationFrameId !== null) {
         cancelAnimationFrame(engine.animationFrameId);
       }
-      engine.sourceNode.disconnect();
       engine.analyser.disconnect();
       engine.silentGain.disconnect();
-      stopMediaStream(engine.stream);
-      void engine.context.close();
+      if (engine.stream) {
+        engine.sourceNode.disconnect();
+        stopMediaStream(engine.stream);
+        void engine.context.close();
+      } else {
+        // The timeline player owns its source and context and keeps playing.
+        engine.sourceNode.disconnect(engine.analyser);
+      }
     }
 
     const stoppedFrame = {
@@ -329,51 +338,61 @@ export function useAudioReactivity(
 
   const start = useCallback(
     async (requestedSource?: AudioCaptureSource) => {
-      if (!sessionId || !navigator.mediaDevices) {
+      const source = requestedSource ?? preferencesRef.current.source;
+      if (!sessionId || (source !== 'timeline' && !navigator.mediaDevices)) {
         setStatus('error');
         setErrorMessage('Audio capture is not available in this browser.');
         return;
       }
 
       stop();
-      const source = requestedSource ?? preferencesRef.current.source;
       setPreferences((current) => ({ ...current, source }));
       setStatus('starting');
       setErrorMessage(null);
 
       let stream: MediaStream | null = null;
       try {
+        const timelineAudio = optionsRef.current.timelineAudio ?? null;
+        if (source === 'timeline' && !timelineAudio) {
+          throw new Error('Add a music file to the timeline first.');
+        }
+
         stream =
-          source === 'microphone'
-            ? await navigator.mediaDevices.getUserMedia({
-                video: false,
-                audio: {
-                  autoGainControl: false,
-                  echoCancellation: false,
-                  noiseSuppression: false,
-                  channelCount: 1,
-                },
-              })
-            : await navigator.mediaDevices.getDisplayMedia({
-                video: true,
-                audio: true,
-              });
-
-        const audioTrack = stream.getAudioTracks()[0];
-        if (!audioTrack) {
+          source === 'timeline'
+            ? null
+            : source === 'microphone'
+              ? await navigator.mediaDevices.getUserMedia({
+                  video: false,
+                  audio: {
+                    autoGainControl: false,
+                    echoCancellation: false,
+                    noiseSuppression: false,
+                    channelCount: 1,
+                  },
+                })
+              : await navigator.mediaDevices.getDisplayMedia({
+                  video: true,
+                  audio: true,
+                });
+
+        const audioTrack = stream?.getAudioTracks()[0] ?? null;
+        if (stream && !audioTrack) {
           stopMediaStream(stream);
           throw new Error(
             'No audio was received. Choose a browser tab and enable “Share tab audio”.',
           );
         }
 
-        for (const videoTrack of stream.getVideoTracks()) {
+        for (const videoTrack of stream?.getVideoTracks() ?? []) {
           videoTrack.enabled = false;
         }
 
-        const context = new AudioContext({ latencyHint: 'interactive' });
+        const context =
+          timelineAudio?.context ?? new AudioContext({ latencyHint: 'interactive' });
         await context.resume();
-        const sourceNode = context.createMediaStreamSource(stream);
+        const sourceNode = stream
+          ? context.createMediaStreamSource(stream)
+          : (timelineAudio as TimelineAudioPlayer).source;
         const analyser = context.createAnalyser();
         analyser.fftSize = 2048;
         analyser.smoothingTimeConstant = 0.18;
@@ -414,7 +433,7 @@ export function useAudioReactivity(
         };
         engineRef.current = engine;
 
-        audioTrack.addEventListener(
+        audioTrack?.addEventListener(
           'ended',
           () => {
             if (engineRef.current?.token === token) {
@@ -425,9 +444,11 @@ export function useAudioReactivity(
         );
 
         setCaptureLabel(
-          source === 'system'
-            ? audioTrack.label || 'Browser tab / computer audio'
-            : audioTrack.label || 'Microphone',
+          source === 'timeline'
+            ? 'Timeline music'
+            : source === 'system'
+              ? audioTrack?.label || 'Browser tab / computer audio'
+              : audioTrack?.label || 'Microphone',
         );
         setStatus('listening');
 
@@ -436,6 +457,11 @@ export function useAudioReactivity(
           if (!currentEngine || currentEngine.token !== token) {
             return;
           }
+          if (timelineAudio && optionsRef.current.timelineAudio !== timelineAudio) {
+            // The music was replaced or removed from the timeline.
+            stop();
+            return;
+          }
 
           const elapsedMs = Math.max(1, now - currentEngine.lastAnalysisAt);
           currentEngine.lastAnalysisAt = now;
@@ -6,6 +6,7 @@ import {
   resolveUniformForFader,
   scaleMidiValueToUniform,
 } from '../lib/midi/shaderUniformMapping';
+import { getUniformLabel } from '../lib/shader';
 import {
   isSmcMixerShiftButton,
   isPressedMidiButton,
@@ -15,6 +16,7 @@ import {
   resolveSmcMixerKnobIndex,
   resolveSmcMixerPitchBendFaderIndex,
   resolveSmcMixerShaderFaderIndex,
+  resolveSmcMixerStripButton,
   resolveSmcMixerTimelineFaderIndex,
   resolveSmcMixerTransport,
 } from '../lib/midi/smcMixerMapping';
@@ -23,6 +25,7 @@ import type {
   MidiControllerMode,
   MidiEventLine,
   MidiFaderBinding,
+  MidiTimelineStripAction,
   MidiTimelineTransportAction,
 } from '../lib/midi/types';
 import type { ShaderUniformMap, ShaderUniformValue } from '../types';
@@ -53,6 +56,7 @@ interface UseMidiControllerOptions {
   onTimelineTransport?: (action: MidiTimelineTransportAction) => void;
   onTimelineFaderChange?: (faderIndex: number, normalizedValue: number) => void;
   onTimelineMixVelocityChange?: (normalizedValue: number) => void;
+  onTimelineStripAction?: (stripIndex: number, action: MidiTimelineStripAction) => void;
 }
 
 export function useMidiController({
@@ -64,6 +68,7 @@ export function useMidiController({
   onTimelineTransport,
   onTimelineFaderChange,
   onTimelineMixVelocityChange,
+  onTimelineStripAction,
 }: UseMidiControllerOptions) {
   const [status, setStatus] = useState<MidiConnectionStatus>('idle');
   const [devices, setDevices] = useState<string[]>([]);
@@ -77,6 +82,7 @@ export function useMidiController({
   const onTimelineTransportRef = useRef(onTimelineTransport);
   const onTimelineFaderChangeRef = useRef(onTimelineFaderChange);
   const onTimelineMixVelocityChangeRef = useRef(onTimelineMixVelocityChange);
+  const onTimelineStripActionRef = useRef(onTimelineStripAction);
   const modeRef = useRef(mode);
   const enabledRef = useRef(enabled);
   const shiftPressedRef = useRef(false);
@@ -90,6 +96,7 @@ export function useMidiController({
     onTimelineTransportRef.current = onTimelineTransport;
     onTimelineFaderChangeRef.current = onTimelineFaderChange;
     onTimelineMixVelocityChangeRef.current = onTimelineMixVelocityChange;
+    onTimelineStripActionRef.current = onTimelineStripAction;
     modeRef.current = mode;
     enabledRef.current = enabled;
   });
@@ -114,6 +121,7 @@ export function useMidiController({
       uniform.min,
       uniform.max,
       uniform.type,
+      uniform.step,
     );
     onUniformChangeRef.current(uniform.name, nextValue);
   }, []);
@@ -131,10 +139,15 @@ export function useMidiController({
     }
 
     const sliderUniforms = getShaderSliderUniforms(uniformDefinitions);
-    return Array.from({ length: 8 }, (_, faderIndex) => ({
-      faderIndex: faderIndex + 1,
-      targetName: sliderUniforms[faderIndex] ?? null,
-    }));
+    return Array.from({ length: 8 }, (_, faderIndex) => {
+      const uniformName = sliderUniforms[faderIndex];
+      return {
+        faderIndex: faderIndex + 1,
+        targetName: uniformName
+          ? getUniformLabel(uniformName, uniformDefinitions[uniformName])
+          : null,
+      };
+    });
   }, [mode, uniformDefinitions]);
 
   const pushEvent = useCallback((data: Uint8Array, deviceName: string) => {
@@ -244,6 +257,12 @@ export function useMidiController({
             return;
           }
 
+          const stripButton = resolveSmcMixerStripButton(parsed);
+          if (stripButton) {
+            onTimelineStripActionRef.current?.(stripButton.stripIndex, stripButton.action);
+            return;
+          }
+
           const transportAction = resolveSmcMixerTransport(parsed);
           if (transportAction) {
             onTimelineTransportRef.current?.(transportAction);
@@ -305,6 +324,12 @@ export function useMidiController({
             return;
           }
 
+          const stripButton = resolveSmcMixerStripButton(parsed);
+          if (stripButton) {
+            onTimelineStripActionRef.current?.(stripButton.stripIndex, stripButton.action);
+            return;
+          }
+
           const transportAction = resolveSmcMixerTransport(parsed);
           if (transportAction) {
             onTimelineTransportRef.current?.(transportAction);
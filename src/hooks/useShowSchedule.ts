@@ -0,0 +1,143 @@
+import { useEffect, useRef, useState } from 'react';
+import {
+  appendShowScheduleLog,
+  getShowScheduleClockMs,
+  getShowScheduleRealMs,
+  isShowScheduleStorageKey,
+  loadShowSchedule,
+  loadShowScheduleLog,
+  resolveShowScheduleBlackout,
+  resolveShowScheduleEntry,
+  saveShowScheduleLog,
+  type ShowScheduleEntry,
+  type ShowScheduleLogLine,
+} from '../lib/showSchedule';
+
+export interface ShowScheduleOutputState {
+  /** The scheduled entry on air, or null while the schedule leaves the Output alone. */
+  entry: ShowScheduleEntry | null;
+  /** When the entry started, on the `performance.now()` clock the transport uses. */
+  anchorTimestampMs: number;
+  blackout: boolean;
+}
+
+function writeShowScheduleLog(lines: ShowScheduleLogLine[]) {
+  const log = loadShowScheduleLog();
+  const nextLog = appendShowScheduleLog(log, lines);
+  if (nextLog !== log) {
+    saveShowScheduleLog(nextLog);
+  }
+}
+
+/**
+ * Runs the show schedule in an Output window: follows the wall clock (or the
+ * simulated one), reports the entry and blackout to show and logs what ran.
+ */
+export function useShowScheduleOutput(): ShowScheduleOutputState {
+  const [schedule, setSchedule] = useState(loadShowSchedule);
+  const [openedAtMs] = useState(() => Date.now());
+  const [nowMs, setNowMs] = useState(() => Date.now());
+  const lastBlackoutRef = useRef<{ startMs: number; endMs: number } | null>(null);
+
+  useEffect(() => {
+    const handleStorage = (event: StorageEvent) => {
+      if (isShowScheduleStorageKey(event.key)) {
+        setSchedule(loadShowSchedule());
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  const enabled =
+    schedule.enabled && (schedule.entries.length > 0 || schedule.blackouts.length > 0);
+  // A fast simulated clock skips through minutes between ticks.
+  const tickMs = schedule.simulation ? 100 : 1000;
+  useEffect(() => {
+    if (!enabled) {
+      return;
+    }
+
+    const intervalId = window.setInterval(() => setNowMs(Date.now()), tickMs);
+    return () => window.clearInterval(intervalId);
+  }, [enabled, tickMs]);
+
+  const clockMs = getShowScheduleClockMs(schedule, nowMs);
+  const trigger = enabled ? resolveShowScheduleEntry(schedule, clockMs) : null;
+  const blackout = enabled ? resolveShowScheduleBlackout(schedule, clockMs) : null;
+  // Without start-on-load the window waits for the next entry rather than joining one midway.
+  const waitFromClockMs = getShowScheduleClockMs(
+    schedule,
+    Math.max(openedAtMs, schedule.simulation?.startedAtMs ?? 0),
+  );
+  const activeTrigger =
+    trigger && (schedule.startOnLoad || trigger.atMs >= waitFromClockMs) ? trigger : null;
+  const simulated = Boolean(schedule.simulation);
+  const triggerEntry = activeTrigger?.entry ?? null;
+  const triggerAtMs = activeTrigger?.atMs ?? 0;
+  const blackoutStartMs = blackout?.startMs ?? null;
+  const blackoutEndMs = blackout?.endMs ?? null;
+
+  useEffect(() => {
+    if (triggerEntry) {
+      writeShowScheduleLog([
+        {
+          id: `entry:${triggerEntry.id}:${triggerAtMs}`,
+          atMs: triggerAtMs,
+          kind: 'entry',
+          label: triggerEntry.label,
+          simulated,
+        },
+      ]);
+    }
+  }, [simulated, triggerAtMs, triggerEntry]);
+
+  useEffect(() => {
+    const lastBlackout = lastBlackoutRef.current;
+    if (blackoutStartMs !== null && blackoutEndMs !== null) {
+      lastBlackoutRef.current = { startMs: blackoutStartMs, endMs: blackoutEndMs };
+      writeShowScheduleLog([
+        {
+          id: `blackout-start:${blackoutStartMs}`,
+          atMs: blackoutStartMs,
+          kind: 'blackout-start',
+          label: 'Blackout started',
+          simulated,
+        },
+      ]);
+      return;
+    }
+
+    if (!lastBlackout) {
+      return;
+    }
+
+    lastBlackoutRef.current = null;
+    writeShowScheduleLog([
+      {
+        id: `blackout-end:${lastBlackout.endMs}`,
+        atMs: lastBlackout.endMs,
+        kind: 'blackout-end',
+        label: 'Blackout ended',
+        simulated,
+      },
+      ...(triggerEntry
+        ? [
+            {
+              id: `resume:${triggerEntry.id}:${lastBlackout.endMs}`,
+              atMs: lastBlackout.endMs,
+              kind: 'resume' as const,
+              label: triggerEntry.label,
+              simulated,
+            },
+          ]
+        : []),
+    ]);
+  }, [blackoutEndMs, blackoutStartMs, simulated, triggerEntry]);
+
+  return {
+    entry: triggerEntry,
+    anchorTimestampMs: getShowScheduleRealMs(schedule, triggerAtMs) - performance.timeOrigin,
+    blackout: Boolean(blackout),
+  };
+}
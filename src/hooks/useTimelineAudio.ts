@@ -0,0 +1,146 @@
+import { useEffect, useRef, useState } from 'react';
+import { getAssetBlob } from '../lib/storage';
+import {
+  resolveTimelineAudioPlayback,
+  shouldResyncTimelineAudio,
+} from '../lib/timelineAudio';
+import type { PlaybackTransport, TimelineAudioTrack } from '../types';
+
+/** The timeline music as audio reactivity sees it. */
+export interface TimelineAudioPlayer {
+  context: AudioContext;
+  /** The file before the monitor volume, so muting it never starves the analysis. */
+  source: AudioNode;
+}
+
+interface LoadedTimelineAudio {
+  assetId: string;
+  player: TimelineAudioPlayer;
+}
+
+interface TimelineAudioMedia {
+  element: HTMLAudioElement;
+  gain: GainNode;
+}
+
+const TIMELINE_AUDIO_SYNC_INTERVAL_MS = 50;
+
+/**
+ * Plays the timeline's music file in step with the transport: it follows
+ * play, pause, seeks, loops and the playback rate, and is nudged back
+ * whenever it drifts.
+ */
+export function useTimelineAudioPlayback({
+  track,
+  transport,
+  timelineDurationSeconds,
+}: {
+  track: TimelineAudioTrack | null;
+  transport: PlaybackTransport | null;
+  timelineDurationSeconds: number;
+}): TimelineAudioPlayer | null {
+  const [loaded, setLoaded] = useState<LoadedTimelineAudio | null>(null);
+  const mediaRef = useRef<TimelineAudioMedia | null>(null);
+  const trackRef = useRef(track);
+  const transportRef = useRef(transport);
+  const durationRef = useRef(timelineDurationSeconds);
+  const assetId = track?.assetId ?? null;
+
+  useEffect(() => {
+    trackRef.current = track;
+    transportRef.current = transport;
+    durationRef.current = timelineDurationSeconds;
+  }, [timelineDurationSeconds, track, transport]);
+
+  useEffect(() => {
+    if (!assetId) {
+      return;
+    }
+
+    let disposed = false;
+    let cleanup: (() => void) | null = null;
+    void getAssetBlob(assetId).then((blob) => {
+      if (disposed || !blob) {
+        return;
+      }
+
+      const url = URL.createObjectURL(blob);
+      const element = new Audio(url);
+      element.preload = 'auto';
+      const context = new AudioContext({ latencyHint: 'interactive' });
+      const source = context.createMediaElementSource(element);
+      const gain = context.createGain();
+      source.connect(gain);
+      gain.connect(context.destination);
+      const media = { element, gain };
+      mediaRef.current = media;
+      cleanup = () => {
+        if (mediaRef.current === media) {
+          mediaRef.current = null;
+        }
+        element.pause();
+        element.removeAttribute('src');
+        source.disconnect();
+        gain.disconnect();
+        void context.close();
+        URL.revokeObjectURL(url);
+      };
+      setLoaded({ assetId, player: { context, source } });
+    });
+
+    return () => {
+      disposed = true;
+      cleanup?.();
+    };
+  }, [assetId]);
+
+  useEffect(() => {
+    const media = mediaRef.current;
+    if (!loaded || !media) {
+      return;
+    }
+
+    const { element, gain } = media;
+    const { player } = loaded;
+    const sync = () => {
+      const currentTrack = trackRef.current;
+      const currentTransport = transportRef.current;
+      if (!currentTrack || currentTrack.assetId !== loaded.assetId || !currentTransport) {
+        element.pause();
+        return;
+      }
+
+      gain.gain.value = currentTrack.muted ? 0 : currentTrack.volume;
+      const playback = resolveTimelineAudioPlayback(
+        currentTrack,
+        currentTransport,
+        durationRef.current,
+      );
+      if (
+        playback.timeSeconds !== null &&
+        shouldResyncTimelineAudio(element.currentTime, playback.timeSeconds)
+      ) {
+        element.currentTime = playback.timeSeconds;
+      }
+      if (!playback.playing) {
+        element.pause();
+        return;
+      }
+
+      element.playbackRate = Math.max(0.0625, Math.min(16, playback.playbackRate));
+      if (element.paused) {
+        void player.context.resume();
+        void element.play().catch(() => undefined);
+      }
+    };
+
+    sync();
+    const intervalId = window.setInterval(sync, TIMELINE_AUDIO_SYNC_INTERVAL_MS);
+    return () => {
+      window.clearInterval(intervalId);
+      element.pause();
+    };
+  }, [loaded]);
+
+  return loaded && loaded.assetId === assetId ? loaded.player : null;
+}
@@ -1,4 +1,5 @@
 import { useCallback, useEffect, useMemo, useState } from 'react';
+import { isNumericUniform, snapUniformValue } from '../lib/shader';
 import type {
   ShaderUniformDefinition,
   ShaderUniformMap,
@@ -69,6 +70,10 @@ function getRandomValue(definition: ShaderUniformDefinition): number {
     return definition.min;
   }
 
+  if (definition.step) {
+    return snapUniformValue(definition.min + Math.random() * range, definition);
+  }
+
   const stepIndex = Math.floor(Math.random() * 101);
   return Number((definition.min + (range * stepIndex) / 100).toPrecision(12));
 }
@@ -94,9 +99,7 @@ export function useUniformRandomization({
 
   const numericUniforms = useMemo(
     () =>
-      Object.entries(uniformDefinitions).filter(
-        ([, definition]) => definition.type === 'float' || definition.type === 'int',
-      ),
+      Object.entries(uniformDefinitions).filter(([, definition]) => isNumericUniform(definition)),
     [uniformDefinitions],
   );
 
@@ -9,7 +9,7 @@ import type { AudioSectionSnapshot } from './audioSectionDetection';
 
 export type AudioReactiveSignal = ShaderAudioReactiveSignal;
 
-export type AudioCaptureSource = 'microphone' | 'system';
+export type AudioCaptureSource = 'microphone' | 'system' | 'timeline';
 export type AudioBpmMode = 'auto' | 'manual';
 export type AudioMappingMode = 'cohesive' | 'random';
 
@@ -179,7 +179,10 @@ export function loadAudioReactivePreferences(
     const parsed = JSON.parse(serialized) as Partial<AudioReactivePreferences>;
     return {
       modeEnabled: parsed.modeEnabled === true,
-      source: parsed.source === 'microphone' ? 'microphone' : 'system',
+      source:
+        parsed.source === 'microphone' || parsed.source === 'timeline'
+          ? parsed.source
+          : 'system',
       bpmMode: parsed.bpmMode === 'manual' ? 'manual' : 'auto',
       mappingMode: parsed.mappingMode === 'random' ? 'random' : 'cohesive',
       manualBpm: clamp(
@@ -243,8 +246,12 @@ export function resolveAudioReactiveValue({
 function getNumericUniformEntries(
   uniformDefinitions: ShaderUniformMap,
 ): Array<[string, ShaderUniformMap[string]]> {
+  // Enumerations and @hidden uniforms are not sliders, so audio never drives them.
   return Object.entries(uniformDefinitions).filter(
-    ([, definition]) => definition.type === 'float' || definition.type === 'int',
+    ([, definition]) =>
+      (definition.type === 'float' || definition.type === 'int') &&
+      !definition.hidden &&
+      !definition.options,
   );
 }
 
@@ -603,7 +610,7 @@ export function analyzeAudioReactiveUniforms({
 }): AudioReactiveUniformAnalysis[] {
   const entries = getNumericUniformEntries(uniformDefinitions);
   const executableShaderCode = shaderCode.replace(
-    /\buniform\s+(?:float|int|vec3|bool)\s+[A-Za-z_][A-Za-z0-9_]*\s*;\s*(?:\/\/[^\r\n]*)?/g,
+    /\buniform\s+(?:float|int|vec2|vec3|vec4|bool)\s+[A-Za-z_][A-Za-z0-9_]*\s*;\s*(?:\/\/[^\r\n]*)?/g,
     ' ',
   );
   const candidates = entries.map(([name, definition], index) =>
@@ -86,6 +86,7 @@ export const DEFAULT_BUNDLED_ASSETS: AssetRecord[] = [
     lastModified: 1784995200000,
     createdAt: '2026-07-25T16:00:00.000Z',
     sourceType: 'bundled',
+    derivedFrom: { assetId: BUNDLED_STATUE_ASSET_ID, kind: 'depth' },
   },
   {
     id: BUNDLED_STATUE_GREEN_EYES_ASSET_ID,
@@ -196,6 +197,7 @@ export const DEFAULT_BUNDLED_ASSETS: AssetRecord[] = [
     lastModified: 1785100200000,
     createdAt: '2026-07-26T21:10:00.000Z',
     sourceType: 'bundled',
+    derivedFrom: { assetId: BUNDLED_COLOR_MASK_STAGE_ASSET_ID, kind: 'depth' },
   },
 ];
 
@@ -205,8 +207,13 @@ export function getBundledAssetUrl(assetId: string): string | null {
 
 export function mergeBundledAssets(assets: AssetRecord[]): AssetRecord[] {
   const existingIds = new Set(assets.map((asset) => asset.id));
+  const bundledAssets = new Map(DEFAULT_BUNDLED_ASSETS.map((asset) => [asset.id, asset]));
   return [
     ...DEFAULT_BUNDLED_ASSETS.filter((asset) => !existingIds.has(asset.id)),
-    ...assets,
+    // Bundled records stored before depth maps were linked to their source pick the link up here.
+    ...assets.map((asset) => {
+      const derivedFrom = bundledAssets.get(asset.id)?.derivedFrom;
+      return derivedFrom && !asset.derivedFrom ? { ...asset, derivedFrom } : asset;
+    }),
   ];
 }
@@ -141,7 +141,7 @@ function createStageReworksProjectDocument(): ProjectDocument {
   const activeShaderVersion = shaderVersions[0]!;
 
   return {
-    version: 3,
+    version: 4,
     sessionId: BUNDLED_STAGE_REWORKS_PROJECT_SESSION_ID,
     name: 'Stage Reworks · Selected Pair',
     library: {
@@ -210,10 +210,9 @@ function createStageReworksProjectDocument(): ProjectDocument {
         enabled: true,
         durationSeconds: getShaderTimelineDuration(steps),
         markers: ['scanner', 'relight'],
-        tracks: [
-          { id: 'timeline-track-assets', label: 'Stage surface', type: 'media' },
-          { id: 'timeline-track-effects', label: 'Stage reworks', type: 'automation' },
-        ],
+        tracks: [],
+        cueList: { cues: [], activeCueId: null, standbyCueId: null, fade: null },
+        audioTrack: null,
         shaderSequence: {
           enabled: true,
           mode: 'sequence',
@@ -281,7 +280,7 @@ function createProjectionAtelierProjectDocument(): ProjectDocument {
     shaderVersions.find((version) => version.name === activeShader.name) ?? shaderVersions[0]!;
 
   return {
-    version: 3,
+    version: 4,
     sessionId: BUNDLED_PROJECTION_ATELIER_PROJECT_SESSION_ID,
     name: 'Projection Atelier · Statue Depth Morphs',
     library: {
@@ -356,10 +355,9 @@ function createProjectionAtelierProjectDocument(): ProjectDocument {
         enabled: true,
         durationSeconds: getShaderTimelineDuration(steps),
         markers: ['mercury', 'kintsugi'],
-        tracks: [
-          { id: 'timeline-track-assets', label: 'Statue depth map', type: 'media' },
-          { id: 'timeline-track-effects', label: 'Depth morphs', type: 'automation' },
-        ],
+        tracks: [],
+        cueList: { cues: [], activeCueId: null, standbyCueId: null, fade: null },
+        audioTrack: null,
         shaderSequence: {
           enabled: true,
           mode: 'sequence',
@@ -412,7 +410,7 @@ function createStatueProjectDocument(): ProjectDocument {
   };
 
   return {
-    version: 3,
+    version: 4,
     sessionId: BUNDLED_STATUE_PROJECT_SESSION_ID,
     name: 'Statue Project',
     library: {
@@ -473,10 +471,9 @@ function createStatueProjectDocument(): ProjectDocument {
         enabled: false,
         durationSeconds: getShaderTimelineDuration(shaderSequence.steps),
         markers: ['intro', 'verse', 'drop'],
-        tracks: [
-          { id: 'timeline-track-assets', label: 'Assets', type: 'media' },
-          { id: 'timeline-track-effects', label: 'Effects', type: 'automation' },
-        ],
+        tracks: [],
+        cueList: { cues: [], activeCueId: null, standbyCueId: null, fade: null },
+        audioTrack: null,
         shaderSequence,
       },
     },
@@ -0,0 +1,340 @@
+import type {
+  DistortionPoint,
+  StageDistortion,
+  StageMeshInterpolation,
+  StageMeshWarp,
+} from '../types';
+import {
+  DEFAULT_STAGE_DISTORTION,
+  getStageDistortionPoint,
+  normalizeStageDistortion,
+  STAGE_DISTORTION_CORNERS,
+} from './distortion.ts';
+import {
+  createStageMeshWarp,
+  getStageMeshControlPoint,
+  setStageMeshControlPoint,
+} from './meshWarp.ts';
+import {
+  isCorrespondencePixelValid,
+  sampleCorrespondence,
+  type StructuredLightCorrespondence,
+} from './structuredLight.ts';
+
+/**
+ * Where the finished output should land, as seen by the camera: four points
+ * in normalized camera coordinates, ordered top-left, top-right, bottom-right,
+ * bottom-left.
+ */
+export type CameraAlignmentTarget = [
+  DistortionPoint,
+  DistortionPoint,
+  DistortionPoint,
+  DistortionPoint,
+];
+
+/** Row-major 3×3 projective transform. */
+export type Homography = [number, number, number, number, number, number, number, number, number];
+
+export interface CameraCornerSolution {
+  distortion: StageDistortion;
+  /** True when a corner had to be pulled in to the editor's limits. */
+  clamped: boolean;
+}
+
+export interface CameraMeshSolution {
+  meshWarp: StageMeshWarp;
+  clamped: boolean;
+  /** Control points that fell on pixels the camera never saw lit. */
+  missingPoints: number;
+}
+
+const UNIT_SQUARE: CameraAlignmentTarget = [
+  { x: 0, y: 0 },
+  { x: 1, y: 0 },
+  { x: 1, y: 1 },
+  { x: 0, y: 1 },
+];
+const TARGET_EDGE_SAMPLES = 48;
+const TARGET_SEARCH_STEPS = 24;
+// Tolerates specks of noise along the edge of an otherwise lit rectangle.
+const TARGET_MAX_INVALID_SHARE = 0.04;
+const CLAMP_EPSILON = 0.0005;
+
+function solveLinearSystem(matrix: number[][], values: number[]): number[] | null {
+  const size = values.length;
+  const rows = matrix.map((row, index) => [...row, values[index]]);
+
+  for (let column = 0; column < size; column += 1) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row += 1) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-12) {
+      return null;
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+    for (let row = 0; row < size; row += 1) {
+      if (row === column) {
+        continue;
+      }
+      const factor = rows[row][column] / rows[column][column];
+      for (let entry = column; entry <= size; entry += 1) {
+        rows[row][entry] -= factor * rows[column][entry];
+      }
+    }
+  }
+
+  return rows.map((row, index) => row[size] / row[index]);
+}
+
+/** Projective transform taking each `from` point onto the matching `to` point. */
+export function computeHomography(
+  from: readonly DistortionPoint[],
+  to: readonly DistortionPoint[],
+): Homography | null {
+  if (from.length !== 4 || to.length !== 4) {
+    return null;
+  }
+
+  const matrix: number[][] = [];
+  const values: number[] = [];
+  from.forEach((source, index) => {
+    const target = to[index];
+    matrix.push([source.x, source.y, 1, 0, 0, 0, -source.x * target.x, -source.y * target.x]);
+    values.push(target.x);
+    matrix.push([0, 0, 0, source.x, source.y, 1, -source.x * target.y, -source.y * target.y]);
+    values.push(target.y);
+  });
+
+  const solution = solveLinearSystem(matrix, values);
+  return solution ? ([...solution, 1] as Homography) : null;
+}
+
+/**
+ * Least-squares projective transform over any number of point pairs, for fits
+ * through noisy measurements rather than four exact corners.
+ */
+export function fitHomography(
+  from: readonly DistortionPoint[],
+  to: readonly DistortionPoint[],
+): Homography | null {
+  if (from.length < 4 || from.length !== to.length) {
+    return null;
+  }
+
+  const normal = Array.from({ length: 8 }, () => new Array<number>(8).fill(0));
+  const values = new Array<number>(8).fill(0);
+  const accumulate = (row: number[], value: number) => {
+    for (let i = 0; i < 8; i += 1) {
+      values[i] += row[i] * value;
+      for (let j = 0; j < 8; j += 1) {
+        normal[i][j] += row[i] * row[j];
+      }
+    }
+  };
+  from.forEach((source, index) => {
+    const target = to[index];
+    const { x, y } = source;
+    accumulate([x, y, 1, 0, 0, 0, -x * target.x, -y * target.x], target.x);
+    accumulate([0, 0, 0, x, y, 1, -x * target.y, -y * target.y], target.y);
+  });
+
+  const solution = solveLinearSystem(normal, values);
+  return solution ? ([...solution, 1] as Homography) : null;
+}
+
+export function applyHomography(homography: Homography, point: DistortionPoint): DistortionPoint {
+  const [a, b, c, d, e, f, g, h, i] = homography;
+  const w = g * point.x + h * point.y + i;
+  return {
+    x: (a * point.x + b * point.y + c) / w,
+    y: (d * point.x + e * point.y + f) / w,
+  };
+}
+
+function countInvalidEdgeSamples(
+  map: StructuredLightCorrespondence,
+  left: number,
+  top: number,
+  right: number,
+  bottom: number,
+): number {
+  let invalid = 0;
+  for (let sample = 0; sample <= TARGET_EDGE_SAMPLES; sample += 1) {
+    const amount = sample / TARGET_EDGE_SAMPLES;
+    const x = left + (right - left) * amount;
+    const y = top + (bottom - top) * amount;
+    [
+      [x, top],
+      [x, bottom],
+      [left, y],
+      [right, y],
+    ].forEach(([sampleX, sampleY]) => {
+      if (!isCorrespondencePixelValid(map, sampleX, sampleY)) {
+        invalid += 1;
+      }
+    });
+  }
+  return invalid;
+}
+
+/**
+ * Largest upright rectangle of `aspectRatio` (width / height, in camera
+ * pixels) that fits inside the lit area around its centre. Aligning to it
+ * makes the output look square-on from the camera's point of view.
+ */
+export function findProjectedAreaTarget(
+  map: StructuredLightCorrespondence,
+  aspectRatio: number,
+): CameraAlignmentTarget | null {
+  let sumX = 0;
+  let sumY = 0;
+  let count = 0;
+  for (let y = 0; y < map.height; y += 1) {
+    for (let x = 0; x < map.width; x += 1) {
+      if (isCorrespondencePixelValid(map, x, y)) {
+        sumX += x + 0.5;
+        sumY += y + 0.5;
+        count += 1;
+      }
+    }
+  }
+  if (count === 0 || !Number.isFinite(aspectRatio) || aspectRatio <= 0) {
+    return null;
+  }
+
+  const centerX = sumX / count;
+  const centerY = sumY / count;
+  const fits = (halfHeight: number) => {
+    const halfWidth = halfHeight * aspectRatio;
+    const invalid = countInvalidEdgeSamples(
+      map,
+      centerX - halfWidth,
+      centerY - halfHeight,
+      centerX + halfWidth,
+      centerY + halfHeight,
+    );
+    return invalid <= (TARGET_EDGE_SAMPLES + 1) * 4 * TARGET_MAX_INVALID_SHARE;
+  };
+
+  let low = 0;
+  let high = Math.max(map.width / aspectRatio, map.height);
+  for (let step = 0; step < TARGET_SEARCH_STEPS; step += 1) {
+    const middle = (low + high) / 2;
+    if (fits(middle)) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  if (low < 1) {
+    return null;
+  }
+
+  const halfWidth = low * aspectRatio;
+  const left = (centerX - halfWidth) / map.width;
+  const right = (centerX + halfWidth) / map.width;
+  const top = (centerY - low) / map.height;
+  const bottom = (centerY + low) / map.height;
+  return [
+    { x: left, y: top },
+    { x: right, y: top },
+    { x: right, y: bottom },
+    { x: left, y: bottom },
+  ];
+}
+
+/** Stage-frame position that lights up the target at (u, v) of the finished output. */
+function locateTargetPoint(
+  map: StructuredLightCorrespondence,
+  targetHomography: Homography,
+  u: number,
+  v: number,
+): DistortionPoint | null {
+  return sampleCorrespondence(map, applyHomography(targetHomography, { x: u, y: v }));
+}
+
+function getTargetHomography(target: CameraAlignmentTarget): Homography {
+  const homography = computeHomography(UNIT_SQUARE, target);
+  if (!homography) {
+    throw new Error('The target corners must form a quadrilateral.');
+  }
+  return homography;
+}
+
+/** Four-corner pin that lands the output's corners on the target corners. */
+export function solveCameraCorners(
+  map: StructuredLightCorrespondence,
+  target: CameraAlignmentTarget,
+): CameraCornerSolution {
+  const targetHomography = getTargetHomography(target);
+  const offsets = STAGE_DISTORTION_CORNERS.reduce<StageDistortion>(
+    (result, corner, index) => {
+      const unitPoint = UNIT_SQUARE[index];
+      const point = locateTargetPoint(map, targetHomography, unitPoint.x, unitPoint.y);
+      if (!point) {
+        throw new Error('The camera did not see the projector at every target corner.');
+      }
+      const origin = getStageDistortionPoint(DEFAULT_STAGE_DISTORTION, corner);
+      result[corner] = { x: point.x - origin.x, y: point.y - origin.y };
+      return result;
+    },
+    { ...DEFAULT_STAGE_DISTORTION },
+  );
+  const distortion = normalizeStageDistortion(offsets);
+
+  return {
+    distortion,
+    clamped: STAGE_DISTORTION_CORNERS.some(
+      (corner) =>
+        Math.abs(distortion[corner].x - offsets[corner].x) > CLAMP_EPSILON ||
+        Math.abs(distortion[corner].y - offsets[corner].y) > CLAMP_EPSILON,
+    ),
+  };
+}
+
+/**
+ * Mesh warp whose control points land on an even grid over the target, which
+ * also follows curved or uneven surfaces. Points the camera could not see
+ * keep their neutral position.
+ */
+export function solveCameraMesh(
+  map: StructuredLightCorrespondence,
+  target: CameraAlignmentTarget,
+  columns: number,
+  rows: number,
+  interpolation: StageMeshInterpolation = 'bezier',
+): CameraMeshSolution {
+  const targetHomography = getTargetHomography(target);
+  let meshWarp = createStageMeshWarp(columns, rows, interpolation);
+  let clamped = false;
+  let missingPoints = 0;
+
+  for (let row = 0; row < meshWarp.rows; row += 1) {
+    for (let column = 0; column < meshWarp.columns; column += 1) {
+      const u = column / (meshWarp.columns - 1);
+      const v = row / (meshWarp.rows - 1);
+      const point = locateTargetPoint(map, targetHomography, u, v);
+      if (!point) {
+        missingPoints += 1;
+        continue;
+      }
+
+      meshWarp = setStageMeshControlPoint(meshWarp, column, row, point);
+      const stored = getStageMeshControlPoint(meshWarp, column, row);
+      if (Math.abs(stored.x - point.x) > CLAMP_EPSILON || Math.abs(stored.y - point.y) > CLAMP_EPSILON) {
+        clamped = true;
+      }
+    }
+  }
+
+  if (missingPoints === meshWarp.columns * meshWarp.rows) {
+    throw new Error('The camera did not see the projector anywhere inside the target.');
+  }
+
+  return { meshWarp, clamped, missingPoints };
+}
@@ -0,0 +1,341 @@
+import type { ColorCalibration, ColorChannelTriplet, ColorLut } from '../types';
+
+/** Imported LUTs are resampled to at most this many points per axis. */
+export const MAX_COLOR_LUT_SIZE = 33;
+const MIN_COLOR_LUT_SIZE = 2;
+const MAX_CUBE_FILE_LUT_SIZE = 256;
+
+export const COLOR_CALIBRATION_RANGES = {
+  brightness: { min: -0.5, max: 0.5 },
+  contrast: { min: 0, max: 2 },
+  gain: { min: 0, max: 2 },
+  offset: { min: -0.5, max: 0.5 },
+  gamma: { min: 0.2, max: 4 },
+} as const;
+
+export const DEFAULT_COLOR_CALIBRATION: ColorCalibration = {
+  enabled: false,
+  brightness: 0,
+  contrast: 1,
+  gain: [1, 1, 1],
+  offset: [0, 0, 0],
+  gamma: [1, 1, 1],
+  lut: null,
+};
+
+export const COLOR_CALIBRATION_VERTEX_SHADER_SOURCE = `
+attribute vec2 a_position;
+varying vec2 v_texcoord;
+
+void main() {
+    v_texcoord = a_position * 0.5 + 0.5;
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
+
+// The LUT texture lays the blue slices side by side: x = red + blue * size, y = green.
+export const COLOR_CALIBRATION_FRAGMENT_SHADER_SOURCE = `
+precision highp float;
+varying vec2 v_texcoord;
+uniform sampler2D u_image;
+uniform sampler2D u_lut;
+uniform float u_lut_size;
+uniform float u_use_lut;
+uniform float u_brightness;
+uniform float u_contrast;
+uniform vec3 u_gain;
+uniform vec3 u_offset;
+uniform vec3 u_gamma;
+
+vec3 sampleLut(vec3 color) {
+    float size = u_lut_size;
+    float blue = color.b * (size - 1.0);
+    float sliceA = floor(blue);
+    float sliceB = min(sliceA + 1.0, size - 1.0);
+    float x = (color.r * (size - 1.0) + 0.5) / (size * size);
+    float y = (color.g * (size - 1.0) + 0.5) / size;
+    vec3 lowerSlice = texture2D(u_lut, vec2(x + sliceA / size, y)).rgb;
+    vec3 upperSlice = texture2D(u_lut, vec2(x + sliceB / size, y)).rgb;
+    return mix(lowerSlice, upperSlice, blue - sliceA);
+}
+
+void main() {
+    vec4 source = texture2D(u_image, v_texcoord);
+    vec3 color = (source.rgb - 0.5) * u_contrast + 0.5 + u_brightness;
+    color = color * u_gain + u_offset;
+    color = pow(clamp(color, 0.0, 1.0), 1.0 / u_gamma);
+    if (u_use_lut > 0.5) {
+        color = sampleLut(color);
+    }
+    gl_FragColor = vec4(color, source.a);
+}`;
+
+/** Decoded LUT with `size³` float RGB triplets, red varying fastest. */
+export interface ColorLutTable {
+  size: number;
+  values: Float32Array;
+}
+
+function clamp(value: number, minimum: number, maximum: number): number {
+  return Math.max(minimum, Math.min(maximum, value));
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readNumber(value: unknown, fallback: number, range: { min: number; max: number }): number {
+  return typeof value === 'number' && Number.isFinite(value)
+    ? clamp(value, range.min, range.max)
+    : fallback;
+}
+
+function readTriplet(
+  value: unknown,
+  fallback: ColorChannelTriplet,
+  range: { min: number; max: number },
+): ColorChannelTriplet {
+  const channels = Array.isArray(value) ? value : [];
+  return [
+    readNumber(channels[0], fallback[0], range),
+    readNumber(channels[1], fallback[1], range),
+    readNumber(channels[2], fallback[2], range),
+  ];
+}
+
+function bytesToBase64(bytes: Uint8Array): string {
+  let binary = '';
+
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    const chunk = bytes.subarray(index, index + 0x8000);
+    binary += String.fromCharCode(...chunk);
+  }
+
+  return btoa(binary);
+}
+
+function base64ToBytes(value: string): Uint8Array {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+
+  for (let index = 0; index < binary.length; index += 1) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+
+  return bytes;
+}
+
+function normalizeColorLut(value: unknown): ColorLut | null {
+  if (!isRecord(value) || typeof value.data !== 'string') {
+    return null;
+  }
+
+  const size = typeof value.size === 'number' ? Math.round(value.size) : 0;
+  if (size < MIN_COLOR_LUT_SIZE || size > MAX_COLOR_LUT_SIZE) {
+    return null;
+  }
+
+  try {
+    if (base64ToBytes(value.data).length !== size ** 3 * 3) {
+      return null;
+    }
+  } catch {
+    return null;
+  }
+
+  return {
+    name: typeof value.name === 'string' && value.name.trim() ? value.name.trim() : 'LUT',
+    size,
+    data: value.data,
+  };
+}
+
+export function normalizeColorCalibration(value: unknown): ColorCalibration {
+  if (!isRecord(value)) {
+    return DEFAULT_COLOR_CALIBRATION;
+  }
+
+  const defaults = DEFAULT_COLOR_CALIBRATION;
+  const ranges = COLOR_CALIBRATION_RANGES;
+  return {
+    enabled: Boolean(value.enabled),
+    brightness: readNumber(value.brightness, defaults.brightness, ranges.brightness),
+    contrast: readNumber(value.contrast, defaults.contrast, ranges.contrast),
+    gain: readTriplet(value.gain, defaults.gain, ranges.gain),
+    offset: readTriplet(value.offset, defaults.offset, ranges.offset),
+    gamma: readTriplet(value.gamma, defaults.gamma, ranges.gamma),
+    lut: normalizeColorLut(value.lut),
+  };
+}
+
+/** True when the calibration would leave every pixel unchanged, so the pass can be skipped. */
+export function isColorCalibrationIdentity(calibration: ColorCalibration | null | undefined): boolean {
+  if (!calibration?.enabled) {
+    return true;
+  }
+
+  const defaults = DEFAULT_COLOR_CALIBRATION;
+  return (
+    calibration.lut === null &&
+    calibration.brightness === defaults.brightness &&
+    calibration.contrast === defaults.contrast &&
+    calibration.gain.every((value, index) => value === defaults.gain[index]) &&
+    calibration.offset.every((value, index) => value === defaults.offset[index]) &&
+    calibration.gamma.every((value, index) => value === defaults.gamma[index])
+  );
+}
+
+/** CPU version of the shader's parametric stage, for previews and tests. */
+export function applyColorCalibration(
+  color: ColorChannelTriplet,
+  calibration: ColorCalibration,
+): ColorChannelTriplet {
+  if (!calibration.enabled) {
+    return color;
+  }
+
+  return color.map((channel, index) => {
+    const contrasted = (channel - 0.5) * calibration.contrast + 0.5 + calibration.brightness;
+    const graded = contrasted * calibration.gain[index] + calibration.offset[index];
+    return clamp(graded, 0, 1) ** (1 / calibration.gamma[index]);
+  }) as ColorChannelTriplet;
+}
+
+/** Trilinear lookup into a decoded LUT. */
+export function sampleColorLut(table: ColorLutTable, color: ColorChannelTriplet): ColorChannelTriplet {
+  const { size, values } = table;
+  const last = size - 1;
+  const coordinates = color.map((channel) => clamp(channel, 0, 1) * last);
+  const lower = coordinates.map((coordinate) => Math.min(Math.floor(coordinate), last - 1));
+  const fraction = coordinates.map((coordinate, index) => coordinate - lower[index]);
+  const result: ColorChannelTriplet = [0, 0, 0];
+
+  for (let corner = 0; corner < 8; corner += 1) {
+    const r = lower[0] + (corner & 1);
+    const g = lower[1] + ((corner >> 1) & 1);
+    const b = lower[2] + ((corner >> 2) & 1);
+    const weight =
+      ((corner & 1) ? fraction[0] : 1 - fraction[0]) *
+      (((corner >> 1) & 1) ? fraction[1] : 1 - fraction[1]) *
+      (((corner >> 2) & 1) ? fraction[2] : 1 - fraction[2]);
+    const offset = (r + g * size + b * size * size) * 3;
+    result[0] += values[offset] * weight;
+    result[1] += values[offset + 1] * weight;
+    result[2] += values[offset + 2] * weight;
+  }
+
+  return result;
+}
+
+export function decodeColorLut(lut: ColorLut): ColorLutTable {
+  const bytes = base64ToBytes(lut.data);
+  const values = new Float32Array(bytes.length);
+  bytes.forEach((byte, index) => {
+    values[index] = byte / 255;
+  });
+  return { size: lut.size, values };
+}
+
+/**
+ * Parses an Adobe/Resolve `.cube` 3D LUT. Large tables and custom input
+ * domains are resampled onto a `MAX_COLOR_LUT_SIZE` grid over 0–1 so the LUT
+ * stays small enough to travel with the project.
+ */
+export function parseCubeLut(text: string, fallbackName = 'LUT'): ColorLut {
+  let title = '';
+  let size = 0;
+  let domainMin: ColorChannelTriplet = [0, 0, 0];
+  let domainMax: ColorChannelTriplet = [1, 1, 1];
+  const values: number[] = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) {
+      continue;
+    }
+
+    const [keyword, ...rest] = line.split(/\s+/);
+    if (keyword === 'TITLE') {
+      title = line.slice('TITLE'.length).trim().replace(/^"|"$/g, '');
+    } else if (keyword === 'LUT_3D_SIZE') {
+      size = Number(rest[0]);
+    } else if (keyword === 'LUT_1D_SIZE') {
+      throw new Error('1D .cube LUTs are not supported. Export a 3D LUT instead.');
+    } else if (keyword === 'DOMAIN_MIN') {
+      domainMin = rest.slice(0, 3).map(Number) as ColorChannelTriplet;
+    } else if (keyword === 'DOMAIN_MAX') {
+      domainMax = rest.slice(0, 3).map(Number) as ColorChannelTriplet;
+    } else if (keyword === 'LUT_3D_INPUT_RANGE') {
+      const [minimum, maximum] = rest.map(Number);
+      domainMin = [minimum, minimum, minimum];
+      domainMax = [maximum, maximum, maximum];
+    } else if (/^[-+.\d]/.test(keyword)) {
+      const triplet = [keyword, ...rest].slice(0, 3).map(Number);
+      if (triplet.length !== 3 || triplet.some((value) => !Number.isFinite(value))) {
+        throw new Error(`Invalid .cube data line: ${line}`);
+      }
+      values.push(...triplet);
+    }
+  }
+
+  if (!Number.isInteger(size) || size < MIN_COLOR_LUT_SIZE || size > MAX_CUBE_FILE_LUT_SIZE) {
+    throw new Error('The .cube file has no valid LUT_3D_SIZE.');
+  }
+  if (values.length !== size ** 3 * 3) {
+    throw new Error(`Expected ${size ** 3} LUT entries but found ${values.length / 3}.`);
+  }
+  if ([0, 1, 2].some((index) => !(domainMax[index] > domainMin[index]))) {
+    throw new Error('The .cube file has an invalid input domain.');
+  }
+
+  const sourceTable: ColorLutTable = { size, values: Float32Array.from(values) };
+  const targetSize = Math.min(size, MAX_COLOR_LUT_SIZE);
+  const bytes = new Uint8Array(targetSize ** 3 * 3);
+  for (let b = 0; b < targetSize; b += 1) {
+    for (let g = 0; g < targetSize; g += 1) {
+      for (let r = 0; r < targetSize; r += 1) {
+        const input = [r, g, b].map(
+          (step, index) =>
+            (step / (targetSize - 1) - domainMin[index]) / (domainMax[index] - domainMin[index]),
+        ) as ColorChannelTriplet;
+        const output = sampleColorLut(sourceTable, input);
+        const offset = (r + g * targetSize + b * targetSize * targetSize) * 3;
+        output.forEach((channel, index) => {
+          bytes[offset + index] = Math.round(clamp(channel, 0, 1) * 255);
+        });
+      }
+    }
+  }
+
+  return {
+    name: title || fallbackName,
+    size: targetSize,
+    data: bytesToBase64(bytes),
+  };
+}
+
+/** RGBA pixels for the slice-atlas LUT texture sampled by the calibration shader. */
+export function createColorLutTextureData(lut: Pick<ColorLut, 'size' | 'data'>): {
+  width: number;
+  height: number;
+  pixels: Uint8Array;
+} {
+  const bytes = base64ToBytes(lut.data);
+  const { size } = lut;
+  const width = size * size;
+  const pixels = new Uint8Array(width * size * 4);
+
+  for (let b = 0; b < size; b += 1) {
+    for (let g = 0; g < size; g += 1) {
+      for (let r = 0; r < size; r += 1) {
+        const source = (r + g * size + b * size * size) * 3;
+        const target = (g * width + b * size + r) * 4;
+        pixels[target] = bytes[source];
+        pixels[target + 1] = bytes[source + 1];
+        pixels[target + 2] = bytes[source + 2];
+        pixels[target + 3] = 255;
+      }
+    }
+  }
+
+  return { width, height: size, pixels };
+}
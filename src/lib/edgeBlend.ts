@@ -0,0 +1,229 @@
+import type { OutputLayout, OutputRegion, OutputRegionScreen } from '../types';
+import { normalizeColorCalibration } from './colorCalibration.ts';
+
+export const MIN_OUTPUT_REGIONS = 2;
+export const MAX_OUTPUT_REGIONS = 4;
+export const MAX_EDGE_BLEND_WIDTH = 0.5;
+export const DEFAULT_EDGE_BLEND_WIDTH = 0.15;
+export const MIN_EDGE_BLEND_GAMMA = 1;
+export const MAX_EDGE_BLEND_GAMMA = 3;
+export const DEFAULT_EDGE_BLEND_GAMMA = 2.2;
+export const MAX_OUTPUT_BLACK_LEVEL = 0.2;
+const EDGE_BLEND_GRADIENT_STEPS = 16;
+
+export type OutputLayoutDirection = 'horizontal' | 'vertical';
+
+export const DEFAULT_OUTPUT_LAYOUT: OutputLayout = {
+  enabled: false,
+  regions: [],
+};
+
+function clamp(value: number, minimum: number, maximum: number): number {
+  return Math.max(minimum, Math.min(maximum, value));
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readNumber(value: unknown, fallback: number, minimum: number, maximum: number): number {
+  return typeof value === 'number' && Number.isFinite(value)
+    ? clamp(value, minimum, maximum)
+    : fallback;
+}
+
+function normalizeRegionScreen(value: unknown): OutputRegionScreen | null {
+  if (!isRecord(value) || typeof value.id !== 'string' || !value.id) {
+    return null;
+  }
+
+  const readInteger = (candidate: unknown, fallback: number) =>
+    typeof candidate === 'number' && Number.isFinite(candidate) ? Math.round(candidate) : fallback;
+  return {
+    id: value.id,
+    label: typeof value.label === 'string' ? value.label : '',
+    left: readInteger(value.left, 0),
+    top: readInteger(value.top, 0),
+    width: Math.max(1, readInteger(value.width, 1)),
+    height: Math.max(1, readInteger(value.height, 1)),
+  };
+}
+
+function normalizeOutputRegion(value: unknown, index: number): OutputRegion | null {
+  if (!isRecord(value) || typeof value.id !== 'string' || !value.id.trim()) {
+    return null;
+  }
+
+  const x = readNumber(value.x, 0, 0, 1);
+  const y = readNumber(value.y, 0, 0, 1);
+  const name = typeof value.name === 'string' ? value.name.trim() : '';
+  return {
+    id: value.id,
+    name: name || `Projector ${index + 1}`,
+    x,
+    y,
+    width: readNumber(value.width, 1 - x, 0.05, 1 - x),
+    height: readNumber(value.height, 1 - y, 0.05, 1 - y),
+    blendLeft: readNumber(value.blendLeft, 0, 0, MAX_EDGE_BLEND_WIDTH),
+    blendRight: readNumber(value.blendRight, 0, 0, MAX_EDGE_BLEND_WIDTH),
+    blendTop: readNumber(value.blendTop, 0, 0, MAX_EDGE_BLEND_WIDTH),
+    blendBottom: readNumber(value.blendBottom, 0, 0, MAX_EDGE_BLEND_WIDTH),
+    gamma: readNumber(
+      value.gamma,
+      DEFAULT_EDGE_BLEND_GAMMA,
+      MIN_EDGE_BLEND_GAMMA,
+      MAX_EDGE_BLEND_GAMMA,
+    ),
+    blackLevel: readNumber(value.blackLevel, 0, 0, MAX_OUTPUT_BLACK_LEVEL),
+    screen: normalizeRegionScreen(value.screen),
+    ...(value.colorCalibration
+      ? { colorCalibration: normalizeColorCalibration(value.colorCalibration) }
+      : {}),
+  };
+}
+
+export function normalizeOutputLayout(value: unknown): OutputLayout {
+  if (!isRecord(value)) {
+    return DEFAULT_OUTPUT_LAYOUT;
+  }
+
+  const seenIds = new Set<string>();
+  const regions = (Array.isArray(value.regions) ? value.regions : [])
+    .map(normalizeOutputRegion)
+    .filter((region): region is OutputRegion => {
+      if (!region || seenIds.has(region.id)) {
+        return false;
+      }
+      seenIds.add(region.id);
+      return true;
+    })
+    .slice(0, MAX_OUTPUT_REGIONS);
+
+  return {
+    enabled: Boolean(value.enabled) && regions.length >= MIN_OUTPUT_REGIONS,
+    regions,
+  };
+}
+
+/**
+ * Splits the canvas into equally sized projector regions that overlap their
+ * neighbours by `overlap` of a region's width (or height). Per-projector
+ * settings from `previousRegions` are kept by position.
+ */
+export function createOutputRegions(
+  count: number,
+  overlap: number,
+  direction: OutputLayoutDirection = 'horizontal',
+  previousRegions: OutputRegion[] = [],
+): OutputRegion[] {
+  const regionCount = clamp(Math.round(count), MIN_OUTPUT_REGIONS, MAX_OUTPUT_REGIONS);
+  const blend = clamp(overlap, 0, MAX_EDGE_BLEND_WIDTH);
+  const span = 1 / (regionCount - (regionCount - 1) * blend);
+  const horizontal = direction === 'horizontal';
+
+  return Array.from({ length: regionCount }, (_, index) => {
+    const previous = previousRegions[index];
+    const start = Math.min(1 - span, index * span * (1 - blend));
+    const leadingBlend = index > 0 ? blend : 0;
+    const trailingBlend = index < regionCount - 1 ? blend : 0;
+    return {
+      id: previous?.id ?? `region-${crypto.randomUUID()}`,
+      name: previous?.name ?? `Projector ${index + 1}`,
+      x: horizontal ? start : 0,
+      y: horizontal ? 0 : start,
+      width: horizontal ? span : 1,
+      height: horizontal ? 1 : span,
+      blendLeft: horizontal ? leadingBlend : 0,
+      blendRight: horizontal ? trailingBlend : 0,
+      blendTop: horizontal ? 0 : leadingBlend,
+      blendBottom: horizontal ? 0 : trailingBlend,
+      gamma: previous?.gamma ?? DEFAULT_EDGE_BLEND_GAMMA,
+      blackLevel: previous?.blackLevel ?? 0,
+      screen: previous?.screen ?? null,
+      ...(previous?.colorCalibration ? { colorCalibration: previous.colorCalibration } : {}),
+    };
+  });
+}
+
+export function getOutputLayoutDirection(layout: OutputLayout): OutputLayoutDirection {
+  return layout.regions.some((region) => region.height < 1) ? 'vertical' : 'horizontal';
+}
+
+export function getOutputLayoutOverlap(layout: OutputLayout): number {
+  const first = layout.regions[0];
+  if (!first) {
+    return DEFAULT_EDGE_BLEND_WIDTH;
+  }
+
+  return getOutputLayoutDirection(layout) === 'vertical' ? first.blendBottom : first.blendRight;
+}
+
+export function updateOutputRegion(
+  layout: OutputLayout,
+  regionId: string,
+  updater: (region: OutputRegion) => OutputRegion,
+): OutputLayout {
+  return {
+    ...layout,
+    regions: layout.regions.map((region) => (region.id === regionId ? updater(region) : region)),
+  };
+}
+
+/** Returns the region an Output window should render, or null to show the whole canvas. */
+export function getActiveOutputRegion(
+  layout: OutputLayout | undefined,
+  regionId: string | null,
+): OutputRegion | null {
+  if (!layout?.enabled || !regionId) {
+    return null;
+  }
+
+  return layout.regions.find((region) => region.id === regionId) ?? null;
+}
+
+/**
+ * Light contribution of one projector across an overlap, from 0 at its outer
+ * edge to 1 where the overlap ends. Opposite ramps always sum to 1, so the
+ * overlap is as bright as the rest of the wall once light is linear.
+ */
+export function getEdgeBlendWeight(position: number): number {
+  const t = clamp(position, 0, 1);
+  return t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t);
+}
+
+/** Pixel multiplier that produces `getEdgeBlendWeight` of light on a projector with `gamma`. */
+export function getEdgeBlendFactor(position: number, gamma: number): number {
+  return getEdgeBlendWeight(position) ** (1 / clamp(gamma, MIN_EDGE_BLEND_GAMMA, MAX_EDGE_BLEND_GAMMA));
+}
+
+/**
+ * CSS gradient that darkens a ramp element from black at `direction`'s start
+ * to transparent at its end.
+ */
+export function createEdgeBlendGradient(
+  direction: 'to right' | 'to left' | 'to bottom' | 'to top',
+  gamma: number,
+): string {
+  const stops = Array.from({ length: EDGE_BLEND_GRADIENT_STEPS + 1 }, (_, index) => {
+    const position = index / EDGE_BLEND_GRADIENT_STEPS;
+    const alpha = 1 - getEdgeBlendFactor(position, gamma);
+    return `rgba(0, 0, 0, ${Number(alpha.toFixed(4))}) ${Number((position * 100).toFixed(2))}%`;
+  });
+  return `linear-gradient(${direction}, ${stops.join(', ')})`;
+}
+
+/** Places the full canvas so that only `region` falls inside the window. */
+export function getOutputRegionCanvasRect(region: OutputRegion): {
+  left: string;
+  top: string;
+  width: string;
+  height: string;
+} {
+  const toPercent = (value: number) => `${Number((value * 100).toFixed(4))}%`;
+  return {
+    left: toPercent(-region.x / region.width),
+    top: toPercent(-region.y / region.height),
+    width: toPercent(1 / region.width),
+    height: toPercent(1 / region.height),
+  };
+}
@@ -0,0 +1,14 @@
+/**
+ * A download file name made from user text: characters that are reserved on
+ * some file systems and control characters become dashes, and runs of dashes
+ * or whitespace collapse into one. Returns `fallback` when nothing is left.
+ */
+export function sanitizeFileName(name: string, fallback: string): string {
+  const baseName = name
+    .trim()
+    .replace(/[<>:"/\\|?*\p{Cc}]/gu, '-')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+  return baseName || fallback;
+}
@@ -1,11 +1,12 @@
-import type { StageDistortion, StageTransform } from '../types';
+import type { StageDistortion, StageMeshWarp, StageTransform } from '../types';
 import {
   DEFAULT_STAGE_DISTORTION,
   normalizeStageDistortion,
-} from './distortion';
+} from './distortion.ts';
+import { normalizeStageMeshWarp } from './meshWarp.ts';
 
 export const MAPPING_POSITION_FORMAT = 'mapshroom-position';
-export const MAPPING_POSITION_VERSION = 2;
+export const MAPPING_POSITION_VERSION = 3;
 export const MIN_MAPPING_PRECISION = 1;
 export const MAX_MAPPING_PRECISION = 40;
 export const MIN_MAPPING_ROTATION = -20;
@@ -19,6 +20,7 @@ export interface MappingPositionValues {
   precision: number;
   rotationDegrees: number;
   distortion: StageDistortion;
+  meshWarp: StageMeshWarp | null;
 }
 
 export interface MappingPositionFile {
@@ -34,7 +36,7 @@ function isRecord(value: unknown): value is Record<string, unknown> {
 
 function readFiniteNumber(
   source: Record<string, unknown>,
-  key: Exclude<keyof MappingPositionValues, 'distortion'>,
+  key: Exclude<keyof MappingPositionValues, 'distortion' | 'meshWarp'>,
 ): number {
   const value = source[key];
   if (typeof value !== 'number' || !Number.isFinite(value)) {
@@ -55,8 +57,9 @@ function normalizeRotation(value: number): number {
 
 export function normalizeMappingPosition(
   value: Partial<MappingPositionValues> | null | undefined,
-  fallback: Omit<MappingPositionValues, 'distortion'> & {
+  fallback: Omit<MappingPositionValues, 'distortion' | 'meshWarp'> & {
     distortion?: StageDistortion;
+    meshWarp?: StageMeshWarp | null;
   },
 ): MappingPositionValues {
   const finiteOrFallback = (
@@ -81,6 +84,9 @@ export function normalizeMappingPosition(
       value?.distortion,
       fallback.distortion ?? DEFAULT_STAGE_DISTORTION,
     ),
+    meshWarp: normalizeStageMeshWarp(
+      value?.meshWarp !== undefined ? value.meshWarp : fallback.meshWarp,
+    ),
   };
 }
 
@@ -99,6 +105,7 @@ export function createMappingPositionFile(
       precision: stageTransform.precision,
       rotationDegrees: stageTransform.rotationDegrees,
       distortion: normalizeStageDistortion(stageTransform.distortion),
+      meshWarp: normalizeStageMeshWarp(stageTransform.meshWarp),
     },
   };
 }
@@ -119,6 +126,7 @@ export function parseMappingPositionFile(source: string): MappingPositionValues
   if (
     isPortableFile &&
     parsed.version !== 1 &&
+    parsed.version !== 2 &&
     parsed.version !== MAPPING_POSITION_VERSION
   ) {
     throw new Error('This position file version is not supported.');
@@ -142,6 +150,7 @@ export function parseMappingPositionFile(source: string): MappingPositionValues
           ? position.rotationDegrees
           : 0,
       distortion: normalizeStageDistortion(position.distortion),
+      meshWarp: normalizeStageMeshWarp(position.meshWarp),
     },
     {
       offsetX: 0,
@@ -151,6 +160,7 @@ export function parseMappingPositionFile(source: string): MappingPositionValues
       precision: 12,
       rotationDegrees: 0,
       distortion: DEFAULT_STAGE_DISTORTION,
+      meshWarp: null,
     },
   );
 }
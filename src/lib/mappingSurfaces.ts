@@ -0,0 +1,276 @@
+import type {
+  MappingSurface,
+  MappingSurfaceSource,
+  ProjectDocument,
+  StageTransform,
+} from '../types';
+import { normalizeStageDistortion } from './distortion.ts';
+import { normalizeMappingPosition } from './mappingPosition.ts';
+import { normalizeOutputMasks } from './outputMasks.ts';
+
+export const MAIN_MAPPING_SURFACE_ID = 'main';
+export const MAIN_MAPPING_SURFACE_NAME = 'Main';
+export const MAX_MAPPING_SURFACES = 8;
+
+type ProjectMapping = ProjectDocument['mapping'];
+
+export interface MappingSurfaceOption {
+  id: string;
+  name: string;
+  enabled: boolean;
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeSurfaceSource(value: unknown): MappingSurfaceSource {
+  return value === 'shader' ? 'shader' : 'timeline';
+}
+
+function normalizeOptionalId(value: unknown): string | null {
+  return typeof value === 'string' && value.trim() ? value : null;
+}
+
+export function normalizeStageTransform(
+  value: Partial<StageTransform> | null | undefined,
+  fallback: StageTransform,
+): StageTransform {
+  const position = normalizeMappingPosition(value, fallback);
+
+  return {
+    ...fallback,
+    ...value,
+    ...position,
+    moveMode: Boolean(value?.moveMode),
+    rotationLocked: Boolean(value?.rotationLocked),
+    showGrid: Boolean(value?.showGrid),
+    distortMode: Boolean(value?.distortMode),
+    distortEditor: value?.distortEditor === 'mesh' && position.meshWarp ? 'mesh' : 'corners',
+    distortion: normalizeStageDistortion(value?.distortion, position.distortion),
+    maskMode: Boolean(value?.maskMode),
+    outputMasks: normalizeOutputMasks(value?.outputMasks),
+  };
+}
+
+export function normalizeMappingSurfaces(
+  value: unknown,
+  fallbackTransform: StageTransform,
+): MappingSurface[] {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+
+  const seenIds = new Set<string>([MAIN_MAPPING_SURFACE_ID]);
+  return value
+    .filter(isRecord)
+    .flatMap((surface, index) => {
+      const id = normalizeOptionalId(surface.id);
+      if (!id || seenIds.has(id)) {
+        return [];
+      }
+      seenIds.add(id);
+
+      const name = typeof surface.name === 'string' ? surface.name.trim() : '';
+      const source = normalizeSurfaceSource(surface.source);
+      return [
+        {
+          id,
+          name: name || `Surface ${index + 2}`,
+          enabled: surface.enabled !== false,
+          stageTransform: normalizeStageTransform(
+            isRecord(surface.stageTransform)
+              ? surface.stageTransform as Partial<StageTransform>
+              : null,
+            { ...fallbackTransform, moveMode: false, showGrid: false },
+          ),
+          assetId: normalizeOptionalId(surface.assetId),
+          source,
+          shaderId: source === 'shader' ? normalizeOptionalId(surface.shaderId) : null,
+        },
+      ];
+    })
+    .slice(0, MAX_MAPPING_SURFACES - 1);
+}
+
+export function getActiveMappingSurfaceId(mapping: ProjectMapping): string {
+  const activeSurfaceId = mapping.activeSurfaceId;
+  return activeSurfaceId &&
+    (mapping.surfaces ?? []).some((surface) => surface.id === activeSurfaceId)
+    ? activeSurfaceId
+    : MAIN_MAPPING_SURFACE_ID;
+}
+
+export function getMappingSurface(
+  mapping: ProjectMapping,
+  surfaceId: string,
+): MappingSurface | null {
+  return (mapping.surfaces ?? []).find((surface) => surface.id === surfaceId) ?? null;
+}
+
+export function getMappingSurfaceTransform(
+  mapping: ProjectMapping,
+  surfaceId: string = getActiveMappingSurfaceId(mapping),
+): StageTransform {
+  return getMappingSurface(mapping, surfaceId)?.stageTransform ?? mapping.stageTransform;
+}
+
+export function listMappingSurfaceOptions(mapping: ProjectMapping): MappingSurfaceOption[] {
+  return [
+    { id: MAIN_MAPPING_SURFACE_ID, name: MAIN_MAPPING_SURFACE_NAME, enabled: true },
+    ...(mapping.surfaces ?? []).map((surface) => ({
+      id: surface.id,
+      name: surface.name,
+      enabled: surface.enabled,
+    })),
+  ];
+}
+
+/**
+ * Applies a geometry update to the surface MappingPad is editing. The main
+ * surface writes through to `stageTransform` so projects without extra
+ * surfaces keep their original shape.
+ */
+export function updateMappingSurfaceTransform(
+  mapping: ProjectMapping,
+  updater: (transform: StageTransform) => StageTransform,
+  surfaceId: string = getActiveMappingSurfaceId(mapping),
+): ProjectMapping {
+  const surface = getMappingSurface(mapping, surfaceId);
+  if (!surface) {
+    return {
+      ...mapping,
+      stageTransform: updater(mapping.stageTransform),
+    };
+  }
+
+  return {
+    ...mapping,
+    surfaces: (mapping.surfaces ?? []).map((candidate) =>
+      candidate.id === surfaceId
+        ? { ...candidate, stageTransform: updater(candidate.stageTransform) }
+        : candidate,
+    ),
+  };
+}
+
+export function updateMappingSurface(
+  mapping: ProjectMapping,
+  surfaceId: string,
+  patch: Partial<Omit<MappingSurface, 'id' | 'stageTransform'>>,
+): ProjectMapping {
+  return {
+    ...mapping,
+    surfaces: (mapping.surfaces ?? []).map((surface) => {
+      if (surface.id !== surfaceId) {
+        return surface;
+      }
+
+      const source = patch.source ?? surface.source;
+      return {
+        ...surface,
+        ...patch,
+        name: patch.name !== undefined ? patch.name.trim() || surface.name : surface.name,
+        source,
+        shaderId: source === 'shader' ? patch.shaderId ?? surface.shaderId : null,
+      };
+    }),
+  };
+}
+
+/** Switches the edited surface and closes any open warp or mask editor on the others. */
+export function selectMappingSurface(
+  mapping: ProjectMapping,
+  surfaceId: string,
+): ProjectMapping {
+  const nextActiveSurfaceId = getMappingSurface(mapping, surfaceId)
+    ? surfaceId
+    : MAIN_MAPPING_SURFACE_ID;
+  const currentTransform = getMappingSurfaceTransform(mapping);
+  const distortMode = Boolean(currentTransform.distortMode);
+  const maskMode = Boolean(currentTransform.maskMode);
+
+  const clearedMapping: ProjectMapping = {
+    ...mapping,
+    stageTransform: { ...mapping.stageTransform, distortMode: false, maskMode: false },
+    surfaces: (mapping.surfaces ?? []).map((surface) => ({
+      ...surface,
+      stageTransform: { ...surface.stageTransform, distortMode: false, maskMode: false },
+    })),
+    activeSurfaceId: nextActiveSurfaceId,
+  };
+
+  return updateMappingSurfaceTransform(
+    clearedMapping,
+    (transform) => ({ ...transform, distortMode, maskMode }),
+    nextActiveSurfaceId,
+  );
+}
+
+export function addMappingSurface(
+  mapping: ProjectMapping,
+  defaultTransform: StageTransform,
+): ProjectMapping {
+  const surfaces = mapping.surfaces ?? [];
+  if (surfaces.length >= MAX_MAPPING_SURFACES - 1) {
+    return mapping;
+  }
+
+  const usedNames = new Set(surfaces.map((surface) => surface.name));
+  let surfaceNumber = surfaces.length + 2;
+  while (usedNames.has(`Surface ${surfaceNumber}`)) {
+    surfaceNumber += 1;
+  }
+
+  const surface: MappingSurface = {
+    id: `surface-${crypto.randomUUID()}`,
+    name: `Surface ${surfaceNumber}`,
+    enabled: true,
+    stageTransform: {
+      ...defaultTransform,
+      precision: mapping.stageTransform.precision,
+      moveMode: false,
+      showGrid: false,
+      distortMode: false,
+      maskMode: false,
+      outputMasks: [],
+    },
+    assetId: null,
+    source: 'timeline',
+    shaderId: null,
+  };
+
+  return selectMappingSurface(
+    {
+      ...mapping,
+      surfaces: [...surfaces, surface],
+    },
+    surface.id,
+  );
+}
+
+export function removeMappingSurface(
+  mapping: ProjectMapping,
+  surfaceId: string,
+): ProjectMapping {
+  const surfaces = (mapping.surfaces ?? []).filter((surface) => surface.id !== surfaceId);
+  return {
+    ...mapping,
+    surfaces,
+    activeSurfaceId:
+      mapping.activeSurfaceId === surfaceId ? MAIN_MAPPING_SURFACE_ID : mapping.activeSurfaceId,
+  };
+}
+
+/** Clears surface references to assets or shaders the project no longer has. */
+export function pruneMappingSurfaceReferences(
+  surfaces: MappingSurface[],
+  assetIds: ReadonlySet<string>,
+  shaderIds: ReadonlySet<string>,
+): MappingSurface[] {
+  return surfaces.map((surface) => ({
+    ...surface,
+    assetId: surface.assetId && assetIds.has(surface.assetId) ? surface.assetId : null,
+    shaderId: surface.shaderId && shaderIds.has(surface.shaderId) ? surface.shaderId : null,
+  }));
+}
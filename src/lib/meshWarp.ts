@@ -0,0 +1,410 @@
+import type {
+  DistortionPoint,
+  StageMeshInterpolation,
+  StageMeshWarp,
+} from '../types';
+
+export const MIN_STAGE_MESH_SIZE = 2;
+export const MAX_STAGE_MESH_SIZE = 17;
+export const MAX_STAGE_MESH_OFFSET = 0.5;
+export const DEFAULT_STAGE_MESH_SIZE = 3;
+/** Rendered segments per control cell; the total is capped per axis. */
+export const STAGE_MESH_CELL_SUBDIVISIONS = 12;
+const MAX_STAGE_MESH_SEGMENTS = 128;
+
+export const STAGE_MESH_DENSITY_PRESETS: readonly { columns: number; rows: number }[] = [
+  { columns: 3, rows: 3 },
+  { columns: 4, rows: 4 },
+  { columns: 5, rows: 5 },
+  { columns: 6, rows: 6 },
+  { columns: 8, rows: 8 },
+  { columns: 5, rows: 3 },
+  { columns: 3, rows: 5 },
+];
+
+export const STAGE_MESH_INTERPOLATION_LABELS: Record<StageMeshInterpolation, string> = {
+  bilinear: 'Bilinear',
+  bezier: 'Bézier',
+};
+
+/** Draws the scene texture through the warped mesh; texcoords address the unwarped frame. */
+export const MESH_WARP_VERTEX_SHADER_SOURCE = `
+attribute vec2 a_position;
+attribute vec2 a_texcoord;
+varying vec2 v_texcoord;
+
+void main() {
+    v_texcoord = a_texcoord;
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
+
+export const MESH_WARP_FRAGMENT_SHADER_SOURCE = `
+precision highp float;
+varying vec2 v_texcoord;
+uniform sampler2D u_image;
+
+void main() {
+    gl_FragColor = texture2D(u_image, v_texcoord);
+}`;
+
+export interface StageMeshGeometry {
+  /** Interleaved clip-space position and texcoord per vertex, drawn as triangles. */
+  vertices: Float32Array;
+  vertexCount: number;
+}
+
+export interface StageMeshGridLines {
+  rows: DistortionPoint[][];
+  columns: DistortionPoint[][];
+}
+
+function clamp(value: number, minimum: number, maximum: number): number {
+  return Math.max(minimum, Math.min(maximum, value));
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeMeshSize(value: unknown, fallback: number): number {
+  return typeof value === 'number' && Number.isFinite(value)
+    ? clamp(Math.round(value), MIN_STAGE_MESH_SIZE, MAX_STAGE_MESH_SIZE)
+    : fallback;
+}
+
+function normalizeMeshOffset(value: unknown): number {
+  return typeof value === 'number' && Number.isFinite(value)
+    ? clamp(value, -MAX_STAGE_MESH_OFFSET, MAX_STAGE_MESH_OFFSET)
+    : 0;
+}
+
+function getGridOrigin(mesh: StageMeshWarp, column: number, row: number): DistortionPoint {
+  return {
+    x: column / (mesh.columns - 1),
+    y: row / (mesh.rows - 1),
+  };
+}
+
+function getPointIndex(mesh: StageMeshWarp, column: number, row: number): number {
+  return row * mesh.columns + column;
+}
+
+export function createStageMeshWarp(
+  columns: number = DEFAULT_STAGE_MESH_SIZE,
+  rows: number = DEFAULT_STAGE_MESH_SIZE,
+  interpolation: StageMeshInterpolation = 'bezier',
+): StageMeshWarp {
+  const normalizedColumns = normalizeMeshSize(columns, DEFAULT_STAGE_MESH_SIZE);
+  const normalizedRows = normalizeMeshSize(rows, DEFAULT_STAGE_MESH_SIZE);
+  return {
+    columns: normalizedColumns,
+    rows: normalizedRows,
+    interpolation,
+    points: Array.from({ length: normalizedColumns * normalizedRows }, () => ({ x: 0, y: 0 })),
+  };
+}
+
+export function normalizeStageMeshWarp(value: unknown): StageMeshWarp | null {
+  if (!isRecord(value)) {
+    return null;
+  }
+
+  const columns = normalizeMeshSize(value.columns, DEFAULT_STAGE_MESH_SIZE);
+  const rows = normalizeMeshSize(value.rows, DEFAULT_STAGE_MESH_SIZE);
+  const sourcePoints = Array.isArray(value.points) ? value.points : [];
+  return {
+    columns,
+    rows,
+    interpolation: value.interpolation === 'bilinear' ? 'bilinear' : 'bezier',
+    points: Array.from({ length: columns * rows }, (_, index) => {
+      const point = sourcePoints[index];
+      return isRecord(point)
+        ? { x: normalizeMeshOffset(point.x), y: normalizeMeshOffset(point.y) }
+        : { x: 0, y: 0 };
+    }),
+  };
+}
+
+export function isStageMeshWarpIdentity(mesh: StageMeshWarp | null | undefined): boolean {
+  return (
+    !mesh ||
+    mesh.points.every(
+      (point) => Math.abs(point.x) < 0.000001 && Math.abs(point.y) < 0.000001,
+    )
+  );
+}
+
+export function getStageMeshControlPoint(
+  mesh: StageMeshWarp,
+  column: number,
+  row: number,
+): DistortionPoint {
+  const origin = getGridOrigin(mesh, column, row);
+  const offset = mesh.points[getPointIndex(mesh, column, row)] ?? { x: 0, y: 0 };
+  return {
+    x: origin.x + offset.x,
+    y: origin.y + offset.y,
+  };
+}
+
+export function setStageMeshControlPoint(
+  mesh: StageMeshWarp,
+  column: number,
+  row: number,
+  point: DistortionPoint,
+): StageMeshWarp {
+  const index = getPointIndex(mesh, column, row);
+  if (index < 0 || index >= mesh.points.length) {
+    return mesh;
+  }
+
+  const origin = getGridOrigin(mesh, column, row);
+  const points = mesh.points.slice();
+  points[index] = {
+    x: normalizeMeshOffset(point.x - origin.x),
+    y: normalizeMeshOffset(point.y - origin.y),
+  };
+  return { ...mesh, points };
+}
+
+export function nudgeStageMeshControlPoint(
+  mesh: StageMeshWarp,
+  column: number,
+  row: number,
+  deltaX: number,
+  deltaY: number,
+): StageMeshWarp {
+  const point = getStageMeshControlPoint(mesh, column, row);
+  return setStageMeshControlPoint(mesh, column, row, {
+    x: point.x + deltaX,
+    y: point.y + deltaY,
+  });
+}
+
+export function resetStageMeshRow(mesh: StageMeshWarp, row: number): StageMeshWarp {
+  return {
+    ...mesh,
+    points: mesh.points.map((point, index) =>
+      Math.floor(index / mesh.columns) === row ? { x: 0, y: 0 } : point,
+    ),
+  };
+}
+
+export function resetStageMeshColumn(mesh: StageMeshWarp, column: number): StageMeshWarp {
+  return {
+    ...mesh,
+    points: mesh.points.map((point, index) =>
+      index % mesh.columns === column ? { x: 0, y: 0 } : point,
+    ),
+  };
+}
+
+/** Reads a control point, extending the grid linearly past its edges for spline tangents. */
+function readExtendedPoint(
+  mesh: StageMeshWarp,
+  column: number,
+  row: number,
+): DistortionPoint {
+  if (column < 0 || column >= mesh.columns) {
+    const edge = column < 0 ? 0 : mesh.columns - 1;
+    const inner = column < 0 ? 1 : mesh.columns - 2;
+    const edgePoint = readExtendedPoint(mesh, edge, row);
+    const innerPoint = readExtendedPoint(mesh, inner, row);
+    return {
+      x: 2 * edgePoint.x - innerPoint.x,
+      y: 2 * edgePoint.y - innerPoint.y,
+    };
+  }
+
+  if (row < 0 || row >= mesh.rows) {
+    const edge = row < 0 ? 0 : mesh.rows - 1;
+    const inner = row < 0 ? 1 : mesh.rows - 2;
+    const edgePoint = readExtendedPoint(mesh, column, edge);
+    const innerPoint = readExtendedPoint(mesh, column, inner);
+    return {
+      x: 2 * edgePoint.x - innerPoint.x,
+      y: 2 * edgePoint.y - innerPoint.y,
+    };
+  }
+
+  return getStageMeshControlPoint(mesh, column, row);
+}
+
+function lerpPoint(from: DistortionPoint, to: DistortionPoint, amount: number): DistortionPoint {
+  return {
+    x: from.x + (to.x - from.x) * amount,
+    y: from.y + (to.y - from.y) * amount,
+  };
+}
+
+/**
+ * Evaluates a Catmull-Rom segment between `p1` and `p2` as its equivalent
+ * cubic Bézier, so the curve passes through every control point.
+ */
+function evaluateSplineSegment(
+  p0: DistortionPoint,
+  p1: DistortionPoint,
+  p2: DistortionPoint,
+  p3: DistortionPoint,
+  amount: number,
+): DistortionPoint {
+  const b1 = { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 };
+  const b2 = { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 };
+  const inverse = 1 - amount;
+  const w0 = inverse * inverse * inverse;
+  const w1 = 3 * inverse * inverse * amount;
+  const w2 = 3 * inverse * amount * amount;
+  const w3 = amount * amount * amount;
+  return {
+    x: w0 * p1.x + w1 * b1.x + w2 * b2.x + w3 * p2.x,
+    y: w0 * p1.y + w1 * b1.y + w2 * b2.y + w3 * p2.y,
+  };
+}
+
+function locateCell(value: number, size: number): { index: number; amount: number } {
+  const scaled = clamp(value, 0, 1) * (size - 1);
+  const index = Math.min(size - 2, Math.floor(scaled));
+  return { index, amount: scaled - index };
+}
+
+/** Maps a point of the unwarped frame (0..1 on both axes) to its warped output position. */
+export function evaluateStageMeshWarp(
+  mesh: StageMeshWarp,
+  u: number,
+  v: number,
+): DistortionPoint {
+  const column = locateCell(u, mesh.columns);
+  const row = locateCell(v, mesh.rows);
+
+  if (mesh.interpolation === 'bilinear') {
+    const top = lerpPoint(
+      readExtendedPoint(mesh, column.index, row.index),
+      readExtendedPoint(mesh, column.index + 1, row.index),
+      column.amount,
+    );
+    const bottom = lerpPoint(
+      readExtendedPoint(mesh, column.index, row.index + 1),
+      readExtendedPoint(mesh, column.index + 1, row.index + 1),
+      column.amount,
+    );
+    return lerpPoint(top, bottom, row.amount);
+  }
+
+  const rowPoints = [-1, 0, 1, 2].map((rowOffset) => {
+    const rowIndex = row.index + rowOffset;
+    return evaluateSplineSegment(
+      readExtendedPoint(mesh, column.index - 1, rowIndex),
+      readExtendedPoint(mesh, column.index, rowIndex),
+      readExtendedPoint(mesh, column.index + 1, rowIndex),
+      readExtendedPoint(mesh, column.index + 2, rowIndex),
+      column.amount,
+    );
+  });
+  return evaluateSplineSegment(rowPoints[0], rowPoints[1], rowPoints[2], rowPoints[3], row.amount);
+}
+
+/** Changes the control-point density while keeping the current warp shape. */
+export function resampleStageMeshWarp(
+  mesh: StageMeshWarp,
+  columns: number,
+  rows: number,
+): StageMeshWarp {
+  const next = createStageMeshWarp(columns, rows, mesh.interpolation);
+  return {
+    ...next,
+    points: next.points.map((_, index) => {
+      const column = index % next.columns;
+      const row = Math.floor(index / next.columns);
+      const origin = getGridOrigin(next, column, row);
+      const point = evaluateStageMeshWarp(mesh, origin.x, origin.y);
+      return {
+        x: normalizeMeshOffset(point.x - origin.x),
+        y: normalizeMeshOffset(point.y - origin.y),
+      };
+    }),
+  };
+}
+
+/** Inserts a control row and column between every existing pair. */
+export function subdivideStageMeshWarp(mesh: StageMeshWarp): StageMeshWarp {
+  const columns = mesh.columns * 2 - 1;
+  const rows = mesh.rows * 2 - 1;
+  if (columns > MAX_STAGE_MESH_SIZE || rows > MAX_STAGE_MESH_SIZE) {
+    return mesh;
+  }
+
+  return resampleStageMeshWarp(mesh, columns, rows);
+}
+
+export function canSubdivideStageMeshWarp(mesh: StageMeshWarp): boolean {
+  return (
+    mesh.columns * 2 - 1 <= MAX_STAGE_MESH_SIZE &&
+    mesh.rows * 2 - 1 <= MAX_STAGE_MESH_SIZE
+  );
+}
+
+function getSegmentCount(size: number): number {
+  return Math.min(MAX_STAGE_MESH_SEGMENTS, (size - 1) * STAGE_MESH_CELL_SUBDIVISIONS);
+}
+
+/**
+ * Tessellates the warp into triangles for the WebGL pass. Positions are in
+ * clip space; texcoords sample a render target, whose rows run bottom-up.
+ */
+export function createStageMeshGeometry(mesh: StageMeshWarp): StageMeshGeometry {
+  const segmentsX = getSegmentCount(mesh.columns);
+  const segmentsY = getSegmentCount(mesh.rows);
+  const grid: DistortionPoint[] = [];
+  for (let row = 0; row <= segmentsY; row += 1) {
+    for (let column = 0; column <= segmentsX; column += 1) {
+      grid.push(evaluateStageMeshWarp(mesh, column / segmentsX, row / segmentsY));
+    }
+  }
+
+  const vertexCount = segmentsX * segmentsY * 6;
+  const vertices = new Float32Array(vertexCount * 4);
+  let offset = 0;
+  const pushVertex = (column: number, row: number) => {
+    const point = grid[row * (segmentsX + 1) + column];
+    vertices[offset] = point.x * 2 - 1;
+    vertices[offset + 1] = 1 - point.y * 2;
+    vertices[offset + 2] = column / segmentsX;
+    vertices[offset + 3] = 1 - row / segmentsY;
+    offset += 4;
+  };
+
+  for (let row = 0; row < segmentsY; row += 1) {
+    for (let column = 0; column < segmentsX; column += 1) {
+      pushVertex(column, row);
+      pushVertex(column + 1, row);
+      pushVertex(column, row + 1);
+      pushVertex(column, row + 1);
+      pushVertex(column + 1, row);
+      pushVertex(column + 1, row + 1);
+    }
+  }
+
+  return { vertices, vertexCount };
+}
+
+/** Samples the warped control lines for the editor and output overlays. */
+export function createStageMeshGridLines(
+  mesh: StageMeshWarp,
+  samplesPerCell = 8,
+): StageMeshGridLines {
+  const sampleLine = (count: number, pointAt: (amount: number) => DistortionPoint) =>
+    Array.from({ length: count + 1 }, (_, index) => pointAt(index / count));
+
+  return {
+    rows: Array.from({ length: mesh.rows }, (_, row) =>
+      sampleLine((mesh.columns - 1) * samplesPerCell, (amount) =>
+        evaluateStageMeshWarp(mesh, amount, row / (mesh.rows - 1)),
+      ),
+    ),
+    columns: Array.from({ length: mesh.columns }, (_, column) =>
+      sampleLine((mesh.rows - 1) * samplesPerCell, (amount) =>
+        evaluateStageMeshWarp(mesh, column / (mesh.columns - 1), amount),
+      ),
+    ),
+  };
+}
@@ -67,6 +67,16 @@ export function loadMidiOutputMixState(sessionId: string): MidiOutputLiveState |
   return parseMidiOutputMixState(localStorage.getItem(getMidiOutputStorageKey(sessionId)));
 }
 
+export function saveMidiOutputMixState(sessionId: string, state: MidiOutputLiveState): void {
+  localStorage.setItem(
+    getMidiOutputStorageKey(sessionId),
+    JSON.stringify({
+      ...state,
+      transport: state.transport ? snapshotTransport(state.transport) : null,
+    }),
+  );
+}
+
 export function createMidiOutputSync(
   sessionId: string,
   onStateUpdate: (state: MidiOutputLiveState) => void,
@@ -1,10 +1,11 @@
 import type { ShaderUniformMap } from '../../types';
+import { isNumericUniform } from '../shader';
 
 const MAX_FADERS = 8;
 
 export function getShaderSliderUniforms(definitions: ShaderUniformMap): string[] {
   return Object.entries(definitions)
-    .filter(([, definition]) => definition.type === 'float' || definition.type === 'int')
+    .filter(([, definition]) => isNumericUniform(definition))
     .map(([name]) => name)
     .slice(0, MAX_FADERS);
 }
@@ -14,10 +15,16 @@ export function scaleMidiValueToUniform(
   min: number,
   max: number,
   type: 'float' | 'int',
+  step?: number,
 ): number {
   const normalized = Math.max(0, Math.min(127, midiValue)) / 127;
   const scaled = min + normalized * (max - min);
 
+  if (step) {
+    const snapped = min + Math.round((scaled - min) / step) * step;
+    return Number(Math.min(max, snapped).toPrecision(12));
+  }
+
   if (type === 'int') {
     return Math.round(scaled);
   }
@@ -28,7 +35,13 @@ export function scaleMidiValueToUniform(
 export function resolveUniformForFader(
   faderIndex: number,
   definitions: ShaderUniformMap,
-): { name: string; min: number; max: number; type: 'float' | 'int' } | null {
+): {
+  name: string;
+  min: number;
+  max: number;
+  type: 'float' | 'int';
+  step?: number;
+} | null {
   const sliderUniforms = getShaderSliderUniforms(definitions);
   const uniformName = sliderUniforms[faderIndex];
 
@@ -46,5 +59,6 @@ export function resolveUniformForFader(
     min: definition.min,
     max: definition.max,
     type: definition.type,
+    step: definition.step,
   };
 }
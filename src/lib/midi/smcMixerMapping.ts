@@ -1,4 +1,5 @@
 import type {
+  MidiTimelineStripAction,
   MidiTimelineTransportAction,
   ParsedControlChange,
   ParsedNoteMessage,
@@ -12,6 +13,9 @@ export const SMC_MIXER_FADER_VOLUME_CC = 7;
 const SMC_MIXER_SHIFT_CODES = new Set([70]);
 const SMC_MIXER_SHIFT_LEFT_CODES = new Set([52]);
 const SMC_MIXER_SHIFT_RIGHT_CODES = new Set([53]);
+/** First note of each row of Mackie strip buttons; the row runs across the eight strips. */
+const SMC_MIXER_SOLO_NOTE_START = 8;
+const SMC_MIXER_MUTE_NOTE_START = 16;
 
 /**
  * SMC-Mixer fader mapping only — ignores button CC traffic.
@@ -111,6 +115,11 @@ export function resolveSmcMixerTransport(
         return 'select-left';
       case 51:
         return 'select-right';
+      // Mackie MARKER and NUDGE buttons run the cue list.
+      case 84:
+        return 'cue-go';
+      case 85:
+        return 'cue-back';
       default:
         return null;
     }
@@ -161,6 +170,31 @@ export function resolveSmcMixerTransport(
   }
 }
 
+/** Mackie / DAW mode SOLO (notes 8-15) and MUTE (notes 16-23) buttons above each fader. */
+export function resolveSmcMixerStripButton(
+  message: ParsedControlChange | ParsedNoteMessage,
+): { stripIndex: number; action: MidiTimelineStripAction } | null {
+  if (message.kind !== 'note-on' && message.kind !== 'note-off') {
+    return null;
+  }
+
+  if (
+    message.note >= SMC_MIXER_SOLO_NOTE_START &&
+    message.note < SMC_MIXER_SOLO_NOTE_START + FADER_COUNT
+  ) {
+    return { stripIndex: message.note - SMC_MIXER_SOLO_NOTE_START, action: 'solo' };
+  }
+
+  if (
+    message.note >= SMC_MIXER_MUTE_NOTE_START &&
+    message.note < SMC_MIXER_MUTE_NOTE_START + FADER_COUNT
+  ) {
+    return { stripIndex: message.note - SMC_MIXER_MUTE_NOTE_START, action: 'mute' };
+  }
+
+  return null;
+}
+
 export function isSmcMixerShiftButton(message: ParsedControlChange | ParsedNoteMessage): boolean {
   const code = message.kind === 'cc' ? message.controller : message.note;
   return SMC_MIXER_SHIFT_CODES.has(code);
@@ -60,6 +60,8 @@ export type MidiTimelineTransportAction =
   | 'manual-mix-on'
   | 'manual-mix-off'
   | 'select-left'
-  | 'select-right';
+  | 'select-right'
+  | 'cue-go'
+  | 'cue-back';
 
 export type MidiTimelineStripAction = 'select' | 'duplicate' | 'solo' | 'mute';
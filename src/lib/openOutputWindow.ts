@@ -1,8 +1,14 @@
+import type { OutputRegionScreen } from '../types';
+
 export const OUTPUT_WINDOW_NAME = 'mapshroom-output';
 
 export interface OpenOutputWindowOptions {
   sessionId: string;
   existingWindow?: Window | null;
+  /** Edge-blend region rendered by this window; each region gets its own window. */
+  regionId?: string | null;
+  /** Display the window should open on, when one has been assigned. */
+  screen?: OutputRegionScreen | null;
 }
 
 export interface OpenOutputWindowResult {
@@ -11,11 +17,26 @@ export interface OpenOutputWindowResult {
   message: string;
 }
 
-function buildOutputUrl(sessionId: string): string {
-  return `${window.location.origin}${window.location.pathname}#/output/${sessionId}?chooseScreen=1`;
+function buildOutputUrl(sessionId: string, regionId: string | null): string {
+  const regionQuery = regionId ? `&region=${encodeURIComponent(regionId)}` : '';
+  return `${window.location.origin}${window.location.pathname}#/output/${sessionId}?chooseScreen=1${regionQuery}`;
+}
+
+export function getOutputWindowName(regionId?: string | null): string {
+  return regionId ? `${OUTPUT_WINDOW_NAME}-${regionId}` : OUTPUT_WINDOW_NAME;
 }
 
-function buildWindowFeatures(): string {
+function buildWindowFeatures(screen: OutputRegionScreen | null): string {
+  if (screen) {
+    return [
+      'popup',
+      `left=${screen.left}`,
+      `top=${screen.top}`,
+      `width=${screen.width}`,
+      `height=${screen.height}`,
+    ].join(',');
+  }
+
   const availableWidth = window.screen.availWidth || window.outerWidth || 1440;
   const availableHeight = window.screen.availHeight || window.outerHeight || 900;
   const width = Math.min(1440, Math.max(720, Math.round(availableWidth * 0.8)));
@@ -38,8 +59,10 @@ function buildWindowFeatures(): string {
 export function openOutputWindow({
   sessionId,
   existingWindow = null,
+  regionId = null,
+  screen = null,
 }: OpenOutputWindowOptions): OpenOutputWindowResult {
-  const nextUrl = buildOutputUrl(sessionId);
+  const nextUrl = buildOutputUrl(sessionId, regionId);
 
   if (existingWindow && !existingWindow.closed) {
     try {
@@ -54,7 +77,7 @@ export function openOutputWindow({
     };
   }
 
-  const popup = window.open(nextUrl, OUTPUT_WINDOW_NAME, buildWindowFeatures());
+  const popup = window.open(nextUrl, getOutputWindowName(regionId), buildWindowFeatures(screen));
   if (!popup) {
     return {
       popup: null,
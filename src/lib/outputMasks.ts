@@ -0,0 +1,243 @@
+import type {
+  DistortionPoint,
+  OutputMaskKind,
+  OutputMaskShape,
+} from '../types';
+
+export const MAX_OUTPUT_MASKS = 12;
+export const MIN_OUTPUT_MASK_POINTS = 3;
+export const MAX_OUTPUT_MASK_POINTS = 64;
+export const MAX_OUTPUT_MASK_FEATHER = 0.2;
+/** Pad nudges assume a 1080p output, so one precision step is about one projector pixel. */
+export const OUTPUT_MASK_NUDGE_REFERENCE = { width: 1920, height: 1080 };
+const OUTPUT_MASK_OVERSCAN = 0.25;
+
+export const OUTPUT_MASK_KIND_LABELS: Record<OutputMaskKind, string> = {
+  polygon: 'Polygon',
+  bezier: 'Bézier',
+};
+
+function clamp(value: number, minimum: number, maximum: number): number {
+  return Math.max(minimum, Math.min(maximum, value));
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeCoordinate(value: unknown): number | null {
+  return typeof value === 'number' && Number.isFinite(value)
+    ? clamp(value, -OUTPUT_MASK_OVERSCAN, 1 + OUTPUT_MASK_OVERSCAN)
+    : null;
+}
+
+function normalizeMaskPoint(value: unknown): DistortionPoint | null {
+  if (!isRecord(value)) {
+    return null;
+  }
+
+  const x = normalizeCoordinate(value.x);
+  const y = normalizeCoordinate(value.y);
+  return x === null || y === null ? null : { x, y };
+}
+
+export function normalizeOutputMaskFeather(value: unknown): number {
+  return typeof value === 'number' && Number.isFinite(value)
+    ? clamp(value, 0, MAX_OUTPUT_MASK_FEATHER)
+    : 0;
+}
+
+export function normalizeOutputMasks(value: unknown): OutputMaskShape[] {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+
+  const seenIds = new Set<string>();
+  return value
+    .filter(isRecord)
+    .flatMap((mask, index) => {
+      const id = typeof mask.id === 'string' && mask.id.trim() ? mask.id : null;
+      const points = (Array.isArray(mask.points) ? mask.points : [])
+        .map(normalizeMaskPoint)
+        .filter((point): point is DistortionPoint => point !== null)
+        .slice(0, MAX_OUTPUT_MASK_POINTS);
+      if (!id || seenIds.has(id) || points.length < MIN_OUTPUT_MASK_POINTS) {
+        return [];
+      }
+      seenIds.add(id);
+
+      const name = typeof mask.name === 'string' ? mask.name.trim() : '';
+      return [
+        {
+          id,
+          name: name || `Mask ${index + 1}`,
+          kind: mask.kind === 'bezier' ? 'bezier' : 'polygon',
+          enabled: mask.enabled !== false,
+          inverted: Boolean(mask.inverted),
+          feather: normalizeOutputMaskFeather(mask.feather),
+          points,
+        } satisfies OutputMaskShape,
+      ];
+    })
+    .slice(0, MAX_OUTPUT_MASKS);
+}
+
+export function createOutputMask(
+  kind: OutputMaskKind,
+  existingMasks: OutputMaskShape[],
+): OutputMaskShape {
+  const usedNames = new Set(existingMasks.map((mask) => mask.name));
+  let maskNumber = existingMasks.length + 1;
+  while (usedNames.has(`Mask ${maskNumber}`)) {
+    maskNumber += 1;
+  }
+
+  return {
+    id: `mask-${crypto.randomUUID()}`,
+    name: `Mask ${maskNumber}`,
+    kind,
+    enabled: true,
+    inverted: false,
+    feather: 0.01,
+    points: [
+      { x: 0.25, y: 0.25 },
+      { x: 0.75, y: 0.25 },
+      { x: 0.75, y: 0.75 },
+      { x: 0.25, y: 0.75 },
+    ],
+  };
+}
+
+export function updateOutputMask(
+  masks: OutputMaskShape[],
+  maskId: string,
+  updater: (mask: OutputMaskShape) => OutputMaskShape,
+): OutputMaskShape[] {
+  return masks.map((mask) => (mask.id === maskId ? updater(mask) : mask));
+}
+
+export function setOutputMaskPoint(
+  mask: OutputMaskShape,
+  pointIndex: number,
+  point: DistortionPoint,
+): OutputMaskShape {
+  const x = normalizeCoordinate(point.x);
+  const y = normalizeCoordinate(point.y);
+  if (!mask.points[pointIndex] || x === null || y === null) {
+    return mask;
+  }
+
+  return {
+    ...mask,
+    points: mask.points.map((candidate, index) => (index === pointIndex ? { x, y } : candidate)),
+  };
+}
+
+export function nudgeOutputMaskPoint(
+  mask: OutputMaskShape,
+  pointIndex: number,
+  deltaX: number,
+  deltaY: number,
+): OutputMaskShape {
+  const point = mask.points[pointIndex];
+  return point
+    ? setOutputMaskPoint(mask, pointIndex, { x: point.x + deltaX, y: point.y + deltaY })
+    : mask;
+}
+
+/** Inserts a point halfway along the edge that follows `afterIndex`. */
+export function insertOutputMaskPoint(
+  mask: OutputMaskShape,
+  afterIndex: number,
+): OutputMaskShape {
+  if (mask.points.length >= MAX_OUTPUT_MASK_POINTS || !mask.points[afterIndex]) {
+    return mask;
+  }
+
+  const from = mask.points[afterIndex];
+  const to = mask.points[(afterIndex + 1) % mask.points.length];
+  const points = mask.points.slice();
+  points.splice(afterIndex + 1, 0, {
+    x: (from.x + to.x) / 2,
+    y: (from.y + to.y) / 2,
+  });
+  return { ...mask, points };
+}
+
+export function removeOutputMaskPoint(
+  mask: OutputMaskShape,
+  pointIndex: number,
+): OutputMaskShape {
+  if (mask.points.length <= MIN_OUTPUT_MASK_POINTS || !mask.points[pointIndex]) {
+    return mask;
+  }
+
+  return {
+    ...mask,
+    points: mask.points.filter((_, index) => index !== pointIndex),
+  };
+}
+
+/** Scales a shape around the centre of its bounding box. */
+export function scaleOutputMask(
+  mask: OutputMaskShape,
+  scaleX: number,
+  scaleY: number,
+): OutputMaskShape {
+  const xs = mask.points.map((point) => point.x);
+  const ys = mask.points.map((point) => point.y);
+  const centerX = (Math.min(...xs) + Math.max(...xs)) / 2;
+  const centerY = (Math.min(...ys) + Math.max(...ys)) / 2;
+  return {
+    ...mask,
+    points: mask.points.map((point) => ({
+      x: normalizeCoordinate(centerX + (point.x - centerX) * scaleX) ?? point.x,
+      y: normalizeCoordinate(centerY + (point.y - centerY) * scaleY) ?? point.y,
+    })),
+  };
+}
+
+function formatPathPoint(point: DistortionPoint, width: number, height: number): string {
+  return `${Number((point.x * width).toFixed(3))} ${Number((point.y * height).toFixed(3))}`;
+}
+
+/**
+ * Builds a closed SVG path for a mask. Bézier masks run a smooth closed
+ * Catmull-Rom curve through every point, written as cubic segments.
+ */
+export function createOutputMaskPath(
+  mask: OutputMaskShape,
+  width = 1000,
+  height = 1000,
+): string {
+  const { points } = mask;
+  if (points.length < MIN_OUTPUT_MASK_POINTS) {
+    return '';
+  }
+
+  if (mask.kind === 'polygon') {
+    return `M ${points.map((point) => formatPathPoint(point, width, height)).join(' L ')} Z`;
+  }
+
+  const count = points.length;
+  const segments = points.map((point, index) => {
+    const previous = points[(index - 1 + count) % count];
+    const next = points[(index + 1) % count];
+    const afterNext = points[(index + 2) % count];
+    const controlA = {
+      x: point.x + (next.x - previous.x) / 6,
+      y: point.y + (next.y - previous.y) / 6,
+    };
+    const controlB = {
+      x: next.x - (afterNext.x - point.x) / 6,
+      y: next.y - (afterNext.y - point.y) / 6,
+    };
+    return `C ${formatPathPoint(controlA, width, height)} ${formatPathPoint(
+      controlB,
+      width,
+      height,
+    )} ${formatPathPoint(next, width, height)}`;
+  });
+
+  return `M ${formatPathPoint(points[0], width, height)} ${segments.join(' ')} Z`;
+}
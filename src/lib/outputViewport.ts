@@ -16,14 +16,21 @@ function isUsableDimension(value: unknown): value is number {
   return typeof value === 'number' && Number.isFinite(value) && value > 0;
 }
 
-export function saveOutputViewportSnapshot(sessionId: string): void {
+/**
+ * Records the size of the full output canvas. Edge-blended windows only show
+ * `region` of it, so their size is scaled back up to the whole canvas.
+ */
+export function saveOutputViewportSnapshot(
+  sessionId: string,
+  region: { width: number; height: number } | null = null,
+): void {
   if (!sessionId) {
     return;
   }
 
   const snapshot: OutputViewportSnapshot = {
-    width: Math.max(1, window.innerWidth),
-    height: Math.max(1, window.innerHeight),
+    width: Math.max(1, Math.round(window.innerWidth / (region?.width ?? 1))),
+    height: Math.max(1, Math.round(window.innerHeight / (region?.height ?? 1))),
     devicePixelRatio: Math.max(1, window.devicePixelRatio || 1),
     updatedAt: Date.now(),
   };
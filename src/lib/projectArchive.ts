@@ -0,0 +1,318 @@
+import { createZipArchive, readZipArchive, type ZipEntry, type ZipEntrySource } from './zip.ts';
+import { migrateProjectDocument, type MigrationReport } from './projectMigrations.ts';
+import { listProjectAssetFiles, type ProjectAssetFile } from './projectRecords.ts';
+import { sanitizeFileName } from './fileNames.ts';
+import type { AudioReactivePreferences } from './audioReactivity';
+import type { MidiOutputLiveState } from './midi/outputSync';
+import type {
+  ProjectDocument,
+  ShaderTextureBinding,
+  ShaderTextureBindingMap,
+  ShaderUniformValueMap,
+} from '../types';
+
+export const PROJECT_ARCHIVE_EXTENSION = '.mapshroom';
+const PROJECT_ARCHIVE_FORMAT = 'mapshroom-project-archive';
+const PROJECT_ARCHIVE_VERSION = 1;
+const MANIFEST_PATH = 'manifest.json';
+const PROJECT_PATH = 'project.json';
+const AUDIO_REACTIVE_PATH = 'session/audio-reactive.json';
+const MIDI_OUTPUT_PATH = 'session/midi-output.json';
+const SHADER_SLIDERS_PATH = 'session/shader-sliders.json';
+const ASSET_DIRECTORY = 'assets/';
+
+/** Per-device state that belongs to a project but lives outside its document. */
+export interface ProjectArchiveSessionState {
+  audioReactive: AudioReactivePreferences | null;
+  midiOutput: MidiOutputLiveState | null;
+  shaderSliders: Record<string, ShaderUniformValueMap>;
+}
+
+export interface ProjectArchiveContents extends ProjectArchiveSessionState {
+  project: ProjectDocument;
+  /** Blobs by asset id. Bundled assets ship with the app and are never included. */
+  assetBlobs: Map<string, Blob>;
+}
+
+export interface ImportedProjectArchive extends ProjectArchiveContents {
+  /** Assets and timeline music dropped because their file was not in the archive. */
+  missingAssetNames: string[];
+  /** Set when the archive was exported by an older version and had to be upgraded. */
+  migration: MigrationReport | null;
+}
+
+interface ProjectArchiveManifest {
+  format: typeof PROJECT_ARCHIVE_FORMAT;
+  version: number;
+  exportedAt: string;
+  project: {
+    sessionId: string;
+    name: string;
+    version: number;
+  };
+  assets: Array<{
+    id: string;
+    name: string;
+    mimeType: string;
+    size: number;
+    path: string;
+  }>;
+  /** Assets whose blob was already gone from this browser when exporting. */
+  missingAssetIds: string[];
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function getAssetPath(asset: ProjectAssetFile): string {
+  const extension = /\.([a-z0-9]{1,8})$/i.exec(asset.name)?.[1]?.toLowerCase();
+  return `${ASSET_DIRECTORY}${asset.id}${extension ? `.${extension}` : ''}`;
+}
+
+export function createProjectArchiveFileName(projectName: string): string {
+  return `${sanitizeFileName(projectName, 'mapshroom-project')}${PROJECT_ARCHIVE_EXTENSION}`;
+}
+
+/**
+ * Packs a project, its asset files and its per-device state into one zip so a
+ * show can move between machines without a network. The transport is stored
+ * paused so an opened archive never starts playing by itself.
+ */
+export async function createProjectArchive(
+  contents: ProjectArchiveContents,
+  exportedAt = new Date(),
+): Promise<Blob> {
+  const { project } = contents;
+  const storedAssets = listProjectAssetFiles(project);
+  const includedAssets = storedAssets.filter((asset) => contents.assetBlobs.has(asset.id));
+  const manifest: ProjectArchiveManifest = {
+    format: PROJECT_ARCHIVE_FORMAT,
+    version: PROJECT_ARCHIVE_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    project: { sessionId: project.sessionId, name: project.name, version: project.version },
+    assets: includedAssets.map((asset) => ({
+      id: asset.id,
+      name: asset.name,
+      mimeType: asset.mimeType,
+      size: contents.assetBlobs.get(asset.id)?.size ?? 0,
+      path: getAssetPath(asset),
+    })),
+    missingAssetIds: storedAssets
+      .filter((asset) => !contents.assetBlobs.has(asset.id))
+      .map((asset) => asset.id),
+  };
+  const archivedProject: ProjectDocument = {
+    ...project,
+    playback: {
+      ...project.playback,
+      transport: {
+        ...project.playback.transport,
+        isPlaying: false,
+        anchorTimestampMs: null,
+      },
+    },
+  };
+
+  const entries: ZipEntrySource[] = [
+    { name: MANIFEST_PATH, data: JSON.stringify(manifest, null, 2) },
+    { name: PROJECT_PATH, data: JSON.stringify(archivedProject) },
+    { name: SHADER_SLIDERS_PATH, data: JSON.stringify(contents.shaderSliders) },
+  ];
+  if (contents.audioReactive) {
+    entries.push({ name: AUDIO_REACTIVE_PATH, data: JSON.stringify(contents.audioReactive) });
+  }
+  if (contents.midiOutput) {
+    entries.push({
+      name: MIDI_OUTPUT_PATH,
+      data: JSON.stringify({ ...contents.midiOutput, transport: null }),
+    });
+  }
+  manifest.assets.forEach((entry) => {
+    entries.push({ name: entry.path, data: contents.assetBlobs.get(entry.id)! });
+  });
+
+  return createZipArchive(entries, exportedAt);
+}
+
+async function readJsonEntry(
+  entries: Map<string, ZipEntry>,
+  path: string,
+): Promise<unknown> {
+  const entry = entries.get(path);
+  if (!entry) {
+    return null;
+  }
+  try {
+    return JSON.parse(await (await entry.read()).text()) as unknown;
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new Error(`${path} in the archive is not valid JSON.`);
+    }
+    throw error;
+  }
+}
+
+function parseManifest(value: unknown): ProjectArchiveManifest {
+  if (!isRecord(value) || value.format !== PROJECT_ARCHIVE_FORMAT) {
+    throw new Error('This file is not a Mapshroom project archive.');
+  }
+  if (typeof value.version !== 'number' || value.version > PROJECT_ARCHIVE_VERSION) {
+    throw new Error('This archive was made by a newer version of Mapshroom.');
+  }
+  return value as unknown as ProjectArchiveManifest;
+}
+
+/**
+ * Unpacks an archive made by `createProjectArchive`, upgrading its project to
+ * `projectVersion`. IDs are left as exported.
+ */
+export async function readProjectArchive(
+  archive: Blob,
+  projectVersion: number,
+): Promise<ImportedProjectArchive> {
+  const entries = new Map((await readZipArchive(archive)).map((entry) => [entry.name, entry]));
+  const manifest = parseManifest(await readJsonEntry(entries, MANIFEST_PATH));
+  const project = await readJsonEntry(entries, PROJECT_PATH);
+  if (
+    !isRecord(project) ||
+    !isRecord(project.library) ||
+    !Array.isArray(project.library.assets) ||
+    !isRecord(project.studio) ||
+    !isRecord(project.mapping)
+  ) {
+    throw new Error('The archive does not contain a readable project.');
+  }
+
+  const assetBlobs = new Map<string, Blob>();
+  for (const asset of manifest.assets) {
+    const entry = entries.get(asset.path);
+    if (entry) {
+      const data = await entry.read();
+      assetBlobs.set(asset.id, new Blob([data], { type: asset.mimeType }));
+    }
+  }
+
+  const { value: document, report } = migrateProjectDocument(project, projectVersion);
+  const missingAssetNames = listProjectAssetFiles(document)
+    .filter((asset) => !assetBlobs.has(asset.id))
+    .map((asset) => asset.name);
+  const shaderSliders = await readJsonEntry(entries, SHADER_SLIDERS_PATH);
+  const audioReactive = await readJsonEntry(entries, AUDIO_REACTIVE_PATH);
+  const midiOutput = await readJsonEntry(entries, MIDI_OUTPUT_PATH);
+
+  return {
+    project: document,
+    assetBlobs,
+    missingAssetNames,
+    migration: report.fromVersion !== projectVersion ? report : null,
+    shaderSliders: isRecord(shaderSliders)
+      ? (shaderSliders as Record<string, ShaderUniformValueMap>)
+      : {},
+    audioReactive: isRecord(audioReactive)
+      ? (audioReactive as unknown as AudioReactivePreferences)
+      : null,
+    midiOutput: isRecord(midiOutput) ? (midiOutput as unknown as MidiOutputLiveState) : null,
+  };
+}
+
+/**
+ * Gives an imported project `sessionId` and fresh asset IDs, so importing the
+ * same archive twice, or next to the project it came from, never makes two
+ * projects share one stored blob. Assets without a file are dropped.
+ */
+export function remapProjectArchive(
+  archive: ProjectArchiveContents,
+  sessionId: string,
+  createId: () => string = () => crypto.randomUUID(),
+): ProjectArchiveContents {
+  const { project } = archive;
+  const assetIds = new Map<string, string>();
+  const assetBlobs = new Map<string, Blob>();
+  const assets = project.library.assets.flatMap((asset) => {
+    if (asset.sourceType === 'bundled') {
+      return [asset];
+    }
+    const blob = archive.assetBlobs.get(asset.id);
+    if (!blob) {
+      return [];
+    }
+    const id = createId();
+    assetIds.set(asset.id, id);
+    assetBlobs.set(id, blob);
+    return [{ ...asset, id }];
+  });
+  const { audioTrack } = project.timeline.stub;
+  const audioBlob = audioTrack ? archive.assetBlobs.get(audioTrack.assetId) : undefined;
+  const audioAssetId = audioBlob ? createId() : null;
+  if (audioBlob && audioAssetId) {
+    assetBlobs.set(audioAssetId, audioBlob);
+  }
+  const keptIds = new Set(assets.map((asset) => asset.id));
+  const remapId = (id: string | null | undefined): string | null => {
+    if (!id) {
+      return null;
+    }
+    const mappedId = assetIds.get(id) ?? id;
+    return keptIds.has(mappedId) ? mappedId : null;
+  };
+  const remapTextureBindings = (bindings: ShaderTextureBindingMap): ShaderTextureBindingMap =>
+    Object.fromEntries(
+      Object.entries(bindings).flatMap(([name, binding]): [string, ShaderTextureBinding][] => {
+        if (binding.source === 'companion') {
+          return [[name, binding]];
+        }
+        const assetId = remapId(binding.assetId);
+        return assetId ? [[name, { ...binding, assetId }]] : [];
+      }),
+    );
+
+  return {
+    ...archive,
+    assetBlobs,
+    project: {
+      ...project,
+      sessionId,
+      library: {
+        ...project.library,
+        assets: assets.map((asset) => {
+          if (!asset.derivedFrom) {
+            return asset;
+          }
+          const sourceId = remapId(asset.derivedFrom.assetId);
+          const { derivedFrom, ...rest } = asset;
+          return sourceId ? { ...asset, derivedFrom: { ...derivedFrom, assetId: sourceId } } : rest;
+        }),
+        activeAssetId: remapId(project.library.activeAssetId),
+      },
+      studio: {
+        ...project.studio,
+        savedShaders: project.studio.savedShaders.map((shader) => ({
+          ...shader,
+          ...(shader.inputAssetId ? { inputAssetId: remapId(shader.inputAssetId) } : {}),
+          ...(shader.textureBindings
+            ? { textureBindings: remapTextureBindings(shader.textureBindings) }
+            : {}),
+        })),
+      },
+      mapping: {
+        ...project.mapping,
+        surfaces: project.mapping.surfaces?.map((surface) => ({
+          ...surface,
+          assetId: remapId(surface.assetId),
+        })),
+      },
+      playback: {
+        ...project.playback,
+        activeAssetId: remapId(project.playback.activeAssetId),
+      },
+      timeline: {
+        ...project.timeline,
+        stub: {
+          ...project.timeline.stub,
+          audioTrack: audioTrack && audioAssetId ? { ...audioTrack, assetId: audioAssetId } : null,
+        },
+      },
+    },
+  };
+}
@@ -0,0 +1,484 @@
+import { migrateProjectDocument, type MigrationReport } from './projectMigrations.ts';
+import { listProjectAssetFiles } from './projectRecords.ts';
+import type { ProjectDocument, SavedShader } from '../types';
+
+export const PROJECT_FOLDER_FORMAT = 'mapshroom-project-folder';
+export const PROJECT_FOLDER_VERSION = 1;
+const PROJECT_FILE_NAME = 'project.json';
+const SHADER_DIRECTORY_NAME = 'shaders';
+const ASSET_DIRECTORY_NAME = 'assets';
+const SHADER_FILE_EXTENSION = '.glsl';
+
+export interface ProjectFolderLayout {
+  /** File names in `shaders/`, by shader id. */
+  shaderFiles: Record<string, string>;
+  /** File names in `assets/`, by asset id. */
+  assetFiles: Record<string, string>;
+}
+
+interface ProjectFolderManifest extends ProjectFolderLayout {
+  format: typeof PROJECT_FOLDER_FORMAT;
+  version: number;
+  /** The project with every shader's code moved out into its `.glsl` file. */
+  project: ProjectDocument;
+}
+
+export interface ProjectFolderFiles {
+  layout: ProjectFolderLayout;
+  /** Contents of `project.json`. */
+  manifestJson: string;
+  /** Shader source by file name in `shaders/`. */
+  shaderSources: Map<string, string>;
+}
+
+/**
+ * A folder a project autosaves into. It remembers what is on disk so saves
+ * only touch files that changed and edits made in another editor stand out.
+ */
+export interface ProjectFolderConnection {
+  handle: FileSystemDirectoryHandle;
+  sessionId: string;
+  layout: ProjectFolderLayout;
+  manifestJson: string;
+  shaderSources: Map<string, string>;
+  shaderModifiedAt: Map<string, number>;
+  writtenAssetIds: Set<string>;
+  /** Reads and writes run one at a time so a save never looks like an outside edit. */
+  queue: Promise<unknown>;
+}
+
+export interface OpenedProjectFolder {
+  project: ProjectDocument;
+  /** Asset files found in the folder, by asset id. */
+  assetBlobs: Map<string, Blob>;
+  connection: ProjectFolderConnection;
+  migration: MigrationReport | null;
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readFileNameMap(value: unknown): Record<string, string> {
+  return isRecord(value)
+    ? Object.fromEntries(
+        Object.entries(value).filter(
+          (entry): entry is [string, string] =>
+            typeof entry[1] === 'string' && !/[/\\]/.test(entry[1]),
+        ),
+      )
+    : {};
+}
+
+function toFileStem(name: string, fallback: string): string {
+  const stem = name
+    .normalize('NFKD')
+    .replace(/[^\w.-]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^[-.]+|[-.]+$/g, '')
+    .toLowerCase()
+    .slice(0, 60);
+  return stem || fallback;
+}
+
+function allocateFileName(stem: string, extension: string, usedNames: Set<string>): string {
+  let candidate = `${stem}${extension}`;
+  for (let suffix = 2; usedNames.has(candidate.toLowerCase()); suffix += 1) {
+    candidate = `${stem}-${suffix}${extension}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Gives every item a file name, keeping the names in `previous` so renaming a
+ * shader in Mapshroom does not move the file out from under an open editor.
+ */
+function assignFileNames<T extends { id: string }>(
+  items: readonly T[],
+  previous: Record<string, string>,
+  getStemAndExtension: (item: T) => [string, string],
+): Record<string, string> {
+  const usedNames = new Set<string>();
+  const fileNames: Record<string, string> = {};
+  items.forEach((item) => {
+    const previousName = previous[item.id];
+    if (previousName && !usedNames.has(previousName.toLowerCase())) {
+      fileNames[item.id] = previousName;
+      usedNames.add(previousName.toLowerCase());
+    }
+  });
+  items.forEach((item) => {
+    if (!fileNames[item.id]) {
+      const [stem, extension] = getStemAndExtension(item);
+      fileNames[item.id] = allocateFileName(stem, extension, usedNames);
+    }
+  });
+  return fileNames;
+}
+
+/** The code a shader's file holds: the editor draft for the active shader. */
+function getShaderFileSource(project: ProjectDocument, shader: SavedShader): string {
+  return shader.id === project.studio.activeShaderId
+    ? project.studio.activeShaderCode
+    : shader.code;
+}
+
+/** Lays `project` out as folder files, reusing the file names from `previous`. */
+export function createProjectFolderFiles(
+  project: ProjectDocument,
+  previous: ProjectFolderLayout | null,
+): ProjectFolderFiles {
+  const { savedShaders } = project.studio;
+  const shaderFiles = assignFileNames(savedShaders, previous?.shaderFiles ?? {}, (shader) => [
+    toFileStem(shader.name, 'shader'),
+    SHADER_FILE_EXTENSION,
+  ]);
+  const assetFiles = assignFileNames(
+    listProjectAssetFiles(project),
+    previous?.assetFiles ?? {},
+    (asset) => {
+      const match = /^(.*?)(\.[a-z0-9]{1,8})?$/i.exec(asset.name);
+      return [toFileStem(match?.[1] ?? '', 'asset'), match?.[2]?.toLowerCase() ?? ''];
+    },
+  );
+  const manifest: ProjectFolderManifest = {
+    format: PROJECT_FOLDER_FORMAT,
+    version: PROJECT_FOLDER_VERSION,
+    shaderFiles,
+    assetFiles,
+    project: {
+      ...project,
+      studio: {
+        ...project.studio,
+        activeShaderCode: '',
+        savedShaders: savedShaders.map((shader) => ({ ...shader, code: '' })),
+      },
+      playback: {
+        ...project.playback,
+        transport: {
+          ...project.playback.transport,
+          isPlaying: false,
+          anchorTimestampMs: null,
+        },
+      },
+    },
+  };
+
+  return {
+    layout: { shaderFiles, assetFiles },
+    manifestJson: `${JSON.stringify(manifest, null, 2)}\n`,
+    shaderSources: new Map(
+      savedShaders.map((shader) => [shaderFiles[shader.id], getShaderFileSource(project, shader)]),
+    ),
+  };
+}
+
+export function parseProjectFolderManifest(json: string): ProjectFolderManifest {
+  let value: unknown;
+  try {
+    value = JSON.parse(json);
+  } catch {
+    throw new Error(`${PROJECT_FILE_NAME} in this folder is not valid JSON.`);
+  }
+  if (!isRecord(value) || value.format !== PROJECT_FOLDER_FORMAT || !isRecord(value.project)) {
+    throw new Error('This folder does not contain a Mapshroom project.');
+  }
+  if (typeof value.version !== 'number' || value.version > PROJECT_FOLDER_VERSION) {
+    throw new Error('This project folder was saved by a newer version of Mapshroom.');
+  }
+
+  return {
+    format: PROJECT_FOLDER_FORMAT,
+    version: value.version,
+    shaderFiles: readFileNameMap(value.shaderFiles),
+    assetFiles: readFileNameMap(value.assetFiles),
+    project: value.project as unknown as ProjectDocument,
+  };
+}
+
+/** Puts the code from the shader files back into the project from `project.json`. */
+export function restoreProjectFromFolder(
+  project: ProjectDocument,
+  layout: ProjectFolderLayout,
+  shaderSources: ReadonlyMap<string, string>,
+): ProjectDocument {
+  const savedShaders = project.studio.savedShaders.map((shader) => {
+    const fileName = layout.shaderFiles[shader.id];
+    const code = fileName ? shaderSources.get(fileName) : undefined;
+    if (code === undefined) {
+      throw new Error(
+        `${SHADER_DIRECTORY_NAME}/${fileName ?? `${shader.name}${SHADER_FILE_EXTENSION}`} ` +
+          'is missing from the project folder.',
+      );
+    }
+    return { ...shader, code };
+  });
+
+  return {
+    ...project,
+    studio: {
+      ...project.studio,
+      activeShaderCode:
+        savedShaders.find((shader) => shader.id === project.studio.activeShaderId)?.code ??
+        project.studio.activeShaderCode,
+      savedShaders,
+    },
+  };
+}
+
+/** Shader files whose code differs from `project`, as code by shader id. */
+export function findChangedShaderSources(
+  project: ProjectDocument,
+  layout: ProjectFolderLayout,
+  shaderSources: ReadonlyMap<string, string>,
+): Map<string, string> {
+  const changes = new Map<string, string>();
+  project.studio.savedShaders.forEach((shader) => {
+    const fileName = layout.shaderFiles[shader.id];
+    const code = fileName ? shaderSources.get(fileName) : undefined;
+    if (code !== undefined && code !== getShaderFileSource(project, shader)) {
+      changes.set(shader.id, code);
+    }
+  });
+  return changes;
+}
+
+export function isProjectFolderSupported(): boolean {
+  return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+}
+
+/** Asks for a folder; null when the picker was dismissed. */
+export async function pickProjectFolder(): Promise<FileSystemDirectoryHandle | null> {
+  try {
+    const handle = await window.showDirectoryPicker?.({
+      id: 'mapshroom-project',
+      mode: 'readwrite',
+    });
+    return handle ?? null;
+  } catch (error) {
+    if (error instanceof DOMException && error.name === 'AbortError') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Whether Mapshroom may write to `handle`. Browsers forget the grant between
+ * visits, and asking again (`request`) only works from a click.
+ */
+export async function ensureProjectFolderPermission(
+  handle: FileSystemDirectoryHandle,
+  request: boolean,
+): Promise<boolean> {
+  const descriptor: FileSystemHandlePermissionDescriptor = { mode: 'readwrite' };
+  if ((await handle.queryPermission?.(descriptor)) === 'granted') {
+    return true;
+  }
+  return request && (await handle.requestPermission?.(descriptor)) === 'granted';
+}
+
+function isNotFoundError(error: unknown): boolean {
+  return error instanceof DOMException && error.name === 'NotFoundError';
+}
+
+async function getDirectory(
+  parent: FileSystemDirectoryHandle,
+  name: string,
+  create: boolean,
+): Promise<FileSystemDirectoryHandle | null> {
+  try {
+    return await parent.getDirectoryHandle(name, { create });
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function readFile(
+  directory: FileSystemDirectoryHandle | null,
+  name: string,
+): Promise<File | null> {
+  if (!directory) {
+    return null;
+  }
+  try {
+    return await (await directory.getFileHandle(name)).getFile();
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function writeFile(
+  directory: FileSystemDirectoryHandle,
+  name: string,
+  data: Blob | string,
+): Promise<File> {
+  const fileHandle = await directory.getFileHandle(name, { create: true });
+  const writable = await fileHandle.createWritable();
+  await writable.write(data);
+  await writable.close();
+  return fileHandle.getFile();
+}
+
+function enqueue<T>(connection: ProjectFolderConnection, task: () => Promise<T>): Promise<T> {
+  const result = connection.queue.then(task);
+  connection.queue = result.catch(() => undefined);
+  return result;
+}
+
+/** A connection to a folder that has no Mapshroom files yet. */
+export function createProjectFolderConnection(
+  handle: FileSystemDirectoryHandle,
+  sessionId: string,
+): ProjectFolderConnection {
+  return {
+    handle,
+    sessionId,
+    layout: { shaderFiles: {}, assetFiles: {} },
+    manifestJson: '',
+    shaderSources: new Map(),
+    shaderModifiedAt: new Map(),
+    writtenAssetIds: new Set(),
+    queue: Promise.resolve(),
+  };
+}
+
+/** Whether the folder already holds a project, and which one. */
+export async function readProjectFolderSessionId(
+  handle: FileSystemDirectoryHandle,
+): Promise<string | null> {
+  const file = await readFile(handle, PROJECT_FILE_NAME);
+  return file ? parseProjectFolderManifest(await file.text()).project.sessionId : null;
+}
+
+/**
+ * Reads the project saved in a folder, upgrading it to `projectVersion`.
+ * Resolves null when the folder has no `project.json` yet.
+ */
+export async function readProjectFolder(
+  handle: FileSystemDirectoryHandle,
+  projectVersion: number,
+): Promise<OpenedProjectFolder | null> {
+  const manifestFile = await readFile(handle, PROJECT_FILE_NAME);
+  if (!manifestFile) {
+    return null;
+  }
+
+  const manifestJson = await manifestFile.text();
+  const manifest = parseProjectFolderManifest(manifestJson);
+  const { value: migratedProject, report } = migrateProjectDocument(
+    manifest.project,
+    projectVersion,
+  );
+  const connection = createProjectFolderConnection(handle, migratedProject.sessionId);
+  connection.layout = { shaderFiles: manifest.shaderFiles, assetFiles: manifest.assetFiles };
+  connection.manifestJson = manifestJson;
+
+  const shaderDirectory = await getDirectory(handle, SHADER_DIRECTORY_NAME, false);
+  for (const fileName of Object.values(manifest.shaderFiles)) {
+    const file = await readFile(shaderDirectory, fileName);
+    if (file) {
+      connection.shaderSources.set(fileName, await file.text());
+      connection.shaderModifiedAt.set(fileName, file.lastModified);
+    }
+  }
+
+  const assetDirectory = await getDirectory(handle, ASSET_DIRECTORY_NAME, false);
+  const assetBlobs = new Map<string, Blob>();
+  for (const asset of listProjectAssetFiles(migratedProject)) {
+    const fileName = manifest.assetFiles[asset.id];
+    const file = fileName ? await readFile(assetDirectory, fileName) : null;
+    if (file) {
+      assetBlobs.set(asset.id, new Blob([file], { type: asset.mimeType }));
+      connection.writtenAssetIds.add(asset.id);
+    }
+  }
+
+  return {
+    project: restoreProjectFromFolder(migratedProject, connection.layout, connection.shaderSources),
+    assetBlobs,
+    connection,
+    migration: report.fromVersion !== projectVersion ? report : null,
+  };
+}
+
+/**
+ * Saves `project` into the connected folder, writing only the files that
+ * changed. `project.json` is written last so it never names a shader file
+ * that is not there yet. Nothing in the folder is ever deleted: files of
+ * removed shaders and assets stay where they are.
+ */
+export function writeProjectFolder(
+  connection: ProjectFolderConnection,
+  project: ProjectDocument,
+  loadAssetBlob: (assetId: string) => Promise<Blob | null>,
+): Promise<void> {
+  return enqueue(connection, async () => {
+    const files = createProjectFolderFiles(project, connection.layout);
+    const shaderDirectory = await connection.handle.getDirectoryHandle(SHADER_DIRECTORY_NAME, {
+      create: true,
+    });
+    for (const [fileName, source] of files.shaderSources) {
+      if (connection.shaderSources.get(fileName) !== source) {
+        const file = await writeFile(shaderDirectory, fileName, source);
+        connection.shaderSources.set(fileName, source);
+        connection.shaderModifiedAt.set(fileName, file.lastModified);
+      }
+    }
+
+    const pendingAssets = Object.entries(files.layout.assetFiles).filter(
+      ([assetId]) => !connection.writtenAssetIds.has(assetId),
+    );
+    if (pendingAssets.length) {
+      const assetDirectory = await connection.handle.getDirectoryHandle(ASSET_DIRECTORY_NAME, {
+        create: true,
+      });
+      for (const [assetId, fileName] of pendingAssets) {
+        const blob = await loadAssetBlob(assetId);
+        if (blob) {
+          await writeFile(assetDirectory, fileName, blob);
+          connection.writtenAssetIds.add(assetId);
+        }
+      }
+    }
+
+    connection.layout = files.layout;
+    if (files.manifestJson !== connection.manifestJson) {
+      await writeFile(connection.handle, PROJECT_FILE_NAME, files.manifestJson);
+      connection.manifestJson = files.manifestJson;
+    }
+  });
+}
+
+/**
+ * Shader files edited outside Mapshroom since they were last read or
+ * written, as the new code by shader id.
+ */
+export function readExternalShaderEdits(
+  connection: ProjectFolderConnection,
+): Promise<Map<string, string>> {
+  return enqueue(connection, async () => {
+    const edits = new Map<string, string>();
+    const shaderDirectory = await getDirectory(connection.handle, SHADER_DIRECTORY_NAME, false);
+    for (const [shaderId, fileName] of Object.entries(connection.layout.shaderFiles)) {
+      const file = await readFile(shaderDirectory, fileName);
+      if (!file || file.lastModified === connection.shaderModifiedAt.get(fileName)) {
+        continue;
+      }
+      const source = await file.text();
+      connection.shaderModifiedAt.set(fileName, file.lastModified);
+      if (source !== connection.shaderSources.get(fileName)) {
+        connection.shaderSources.set(fileName, source);
+        edits.set(shaderId, source);
+      }
+    }
+    return edits;
+  });
+}
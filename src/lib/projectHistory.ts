@@ -0,0 +1,295 @@
+import type { ProjectDocument } from '../types';
+
+export interface ProjectHistoryEntry {
+  id: number;
+  label: string;
+  /** When the change (or the last edit coalesced into it) happened, in ms. */
+  at: number;
+}
+
+export interface ProjectHistorySnapshot {
+  /** Undoable changes, oldest first. */
+  past: ProjectHistoryEntry[];
+  /** Redoable changes, next redo first. */
+  future: ProjectHistoryEntry[];
+}
+
+export interface ProjectHistoryOptions {
+  limit?: number;
+  /** Edits to the same fields closer together than this merge into one step. */
+  coalesceMs?: number;
+}
+
+interface PastStep {
+  entry: ProjectHistoryEntry;
+  key: string;
+  before: ProjectDocument;
+}
+
+interface FutureStep {
+  entry: ProjectHistoryEntry;
+  after: ProjectDocument;
+}
+
+const DEFAULT_HISTORY_LIMIT = 100;
+const DEFAULT_COALESCE_MS = 800;
+const MAX_CHANGE_PATH_DEPTH = 4;
+
+/**
+ * Fields that follow the session rather than the edit: playing, seeking, API
+ * keys and which step the editor is looking at are never undone, and keep
+ * their current value when a snapshot is restored.
+ */
+const UNTRACKED_PATHS = [
+  'version',
+  'sessionId',
+  'ai',
+  'playback.transport',
+  'timeline.stub.shaderSequence.focusedStepId',
+  'timeline.stub.shaderSequence.editorView',
+  'timeline.stub.shaderSequence.stagePreviewMode',
+];
+
+// First match wins, so more specific prefixes come first.
+const CHANGE_LABELS: Array<[string, string]> = [
+  ['name', 'Rename project'],
+  ['studio.uniformValues', 'Adjust shader controls'],
+  ['studio.activeShaderCode', 'Edit shader code'],
+  ['studio.shaderVersions', 'Edit shader code'],
+  ['studio.savedShaders', 'Change saved shaders'],
+  ['studio.activeShaderId', 'Switch shader'],
+  ['studio.shaderChatHistory', 'AI shader change'],
+  ['studio', 'Edit shader'],
+  ['mapping.outputLayout', 'Change projector layout'],
+  ['mapping.colorCalibration', 'Change colour calibration'],
+  ['mapping.surfaces', 'Adjust mapping surfaces'],
+  ['mapping.activeSurfaceId', 'Switch mapping surface'],
+  ['mapping', 'Adjust mapping'],
+  ['timeline.stub.shaderSequence.steps', 'Edit timeline steps'],
+  ['timeline', 'Edit timeline'],
+  ['library.assets', 'Change assets'],
+  ['library', 'Select asset'],
+  ['playback', 'Select asset'],
+  ['export', 'Change export settings'],
+];
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesPath(path: string, prefix: string): boolean {
+  return path === prefix || path.startsWith(`${prefix}.`);
+}
+
+function collectChangedPaths(
+  previous: unknown,
+  next: unknown,
+  path: string,
+  depth: number,
+  paths: string[],
+) {
+  if (previous === next || UNTRACKED_PATHS.includes(path)) {
+    return;
+  }
+  if (
+    depth >= MAX_CHANGE_PATH_DEPTH ||
+    !isPlainObject(previous) ||
+    !isPlainObject(next)
+  ) {
+    paths.push(path);
+    return;
+  }
+
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  keys.forEach((key) => {
+    collectChangedPaths(previous[key], next[key], path ? `${path}.${key}` : key, depth + 1, paths);
+  });
+}
+
+/**
+ * Sorted list of the tracked fields that differ, joined into one key, or null
+ * when only untracked fields changed. Objects are compared by reference, which
+ * matches how every project update copies the branches it touches.
+ */
+export function getProjectChangeKey(
+  previous: ProjectDocument,
+  next: ProjectDocument,
+): string | null {
+  const paths: string[] = [];
+  collectChangedPaths(previous, next, '', 0, paths);
+  return paths.length > 0 ? paths.sort().join('|') : null;
+}
+
+export function getProjectChangeLabel(key: string): string {
+  const paths = key.split('|');
+  const match = CHANGE_LABELS.find(([prefix]) => paths.some((path) => matchesPath(path, prefix)));
+  return match?.[1] ?? 'Edit project';
+}
+
+function getPathValue(source: unknown, keys: string[]): unknown {
+  return keys.reduce<unknown>(
+    (value, key) => (isPlainObject(value) ? value[key] : undefined),
+    source,
+  );
+}
+
+function setPathValue(target: Record<string, unknown>, keys: string[], value: unknown) {
+  const [key, ...rest] = keys;
+  if (rest.length === 0) {
+    if (value === undefined) {
+      delete target[key];
+    } else {
+      target[key] = value;
+    }
+    return;
+  }
+  const child = target[key];
+  if (!isPlainObject(child)) {
+    return;
+  }
+  const copy = { ...child };
+  target[key] = copy;
+  setPathValue(copy, rest, value);
+}
+
+/** `snapshot` with every untracked field carried over from `current`. */
+export function restoreProjectSnapshot(
+  snapshot: ProjectDocument,
+  current: ProjectDocument,
+): ProjectDocument {
+  const restored: Record<string, unknown> = { ...snapshot };
+  UNTRACKED_PATHS.forEach((path) => {
+    const keys = path.split('.');
+    setPathValue(restored, keys, getPathValue(current, keys));
+  });
+  return restored as unknown as ProjectDocument;
+}
+
+/**
+ * Undo/redo stack of whole-document snapshots. Projects are immutable and
+ * share untouched branches, so a snapshot costs little more than the edit.
+ * The history lives beside the project, never inside it, so recording or
+ * coalescing a step changes nothing that gets saved or sent to Output windows;
+ * only an actual undo or redo does.
+ */
+export function createProjectHistory(options: ProjectHistoryOptions = {}) {
+  const limit = options.limit ?? DEFAULT_HISTORY_LIMIT;
+  const coalesceMs = options.coalesceMs ?? DEFAULT_COALESCE_MS;
+  let past: PastStep[] = [];
+  let future: FutureStep[] = [];
+  let nextId = 1;
+  let snapshot: ProjectHistorySnapshot = { past: [], future: [] };
+  const listeners = new Set<() => void>();
+
+  const notify = () => {
+    snapshot = {
+      past: past.map((step) => step.entry),
+      future: future.map((step) => step.entry),
+    };
+    listeners.forEach((listener) => listener());
+  };
+
+  const undoStep = (current: ProjectDocument): ProjectDocument | null => {
+    const step = past.at(-1);
+    if (!step) {
+      return null;
+    }
+    past = past.slice(0, -1);
+    future = [{ entry: step.entry, after: current }, ...future];
+    return restoreProjectSnapshot(step.before, current);
+  };
+
+  const redoStep = (current: ProjectDocument): ProjectDocument | null => {
+    const [step, ...rest] = future;
+    if (!step) {
+      return null;
+    }
+    future = rest;
+    // A redone step never merges with the next edit.
+    past = [...past, { entry: step.entry, key: '', before: current }];
+    return restoreProjectSnapshot(step.after, current);
+  };
+
+  return {
+    /** Records an edit from `previous` to `next`; returns whether a step was added or extended. */
+    record(previous: ProjectDocument, next: ProjectDocument, now = Date.now()): boolean {
+      const key = getProjectChangeKey(previous, next);
+      if (!key) {
+        return false;
+      }
+
+      const last = past.at(-1);
+      if (last && future.length === 0 && last.key === key && now - last.entry.at <= coalesceMs) {
+        past = [...past.slice(0, -1), { ...last, entry: { ...last.entry, at: now } }];
+      } else {
+        const entry = { id: nextId, label: getProjectChangeLabel(key), at: now };
+        nextId += 1;
+        past = [...past, { entry, key, before: previous }].slice(-limit);
+        future = [];
+      }
+      notify();
+      return true;
+    },
+    undo(current: ProjectDocument): ProjectDocument | null {
+      const restored = undoStep(current);
+      if (restored) {
+        notify();
+      }
+      return restored;
+    },
+    redo(current: ProjectDocument): ProjectDocument | null {
+      const restored = redoStep(current);
+      if (restored) {
+        notify();
+      }
+      return restored;
+    },
+    /**
+     * Undoes or redoes until `entryId` is the latest applied step, or until
+     * nothing is applied when it is null.
+     */
+    travelTo(entryId: number | null, current: ProjectDocument): ProjectDocument | null {
+      let project = current;
+      let moved = false;
+      const isApplied = () =>
+        entryId === null ? past.length === 0 : past.at(-1)?.entry.id === entryId;
+      const inFuture = entryId !== null && future.some((step) => step.entry.id === entryId);
+
+      while (!isApplied()) {
+        const restored = inFuture ? redoStep(project) : undoStep(project);
+        if (!restored) {
+          break;
+        }
+        project = restored;
+        moved = true;
+      }
+      if (moved) {
+        notify();
+      }
+      return moved ? project : null;
+    },
+    /** Every document an undo or redo can bring back, so their media stays stored. */
+    listProjects(): ProjectDocument[] {
+      return [...past.map((step) => step.before), ...future.map((step) => step.after)];
+    },
+    clear() {
+      if (past.length === 0 && future.length === 0) {
+        return;
+      }
+      past = [];
+      future = [];
+      notify();
+    },
+    subscribe(listener: () => void) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+    getSnapshot(): ProjectHistorySnapshot {
+      return snapshot;
+    },
+  };
+}
+
+export type ProjectHistory = ReturnType<typeof createProjectHistory>;
@@ -0,0 +1,185 @@
+import type { ProjectDocument } from '../types';
+
+/** One upgrade step; `migrate` turns a `version - 1` payload into a `version` payload. */
+export interface Migration<T> {
+  version: number;
+  /** Shown to the user after the upgrade, e.g. "Moved transitions into steps". */
+  description: string;
+  migrate: (value: T) => T;
+}
+
+export interface MigrationReport {
+  fromVersion: number;
+  toVersion: number;
+  /** Descriptions of the steps that ran, oldest first. */
+  changes: string[];
+}
+
+export interface MigrationResult<T> {
+  value: T;
+  report: MigrationReport;
+}
+
+type ProjectPayload = Record<string, unknown>;
+
+/** The compact payload behind share links; only its version matters here. */
+export interface SharedProjectPayload {
+  v: number;
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * v3 saved one stage and carried label-only timeline tracks that nothing
+ * played. v4 adds extra mapping surfaces, output masks, layered tracks, the
+ * cue list and the music track; fills them in as empty.
+ */
+function migrateProjectToV4(project: ProjectPayload): ProjectPayload {
+  const mapping = isRecord(project.mapping) ? project.mapping : {};
+  const stageTransform = isRecord(mapping.stageTransform) ? mapping.stageTransform : {};
+  const timeline = isRecord(project.timeline) ? project.timeline : {};
+  const stub = isRecord(timeline.stub) ? timeline.stub : {};
+
+  return {
+    ...project,
+    mapping: {
+      ...mapping,
+      stageTransform: { maskMode: false, outputMasks: [], ...stageTransform },
+      surfaces: Array.isArray(mapping.surfaces) ? mapping.surfaces : [],
+    },
+    timeline: {
+      ...timeline,
+      stub: {
+        ...stub,
+        tracks: Array.isArray(stub.tracks)
+          ? stub.tracks.filter((track) => isRecord(track) && Array.isArray(track.steps))
+          : [],
+        cueList: isRecord(stub.cueList)
+          ? stub.cueList
+          : { cues: [], activeCueId: null, standbyCueId: null, fade: null },
+        audioTrack: isRecord(stub.audioTrack) ? stub.audioTrack : null,
+      },
+    },
+  };
+}
+
+/**
+ * Upgrades for stored `ProjectDocument`s, ordered by the version they produce.
+ * Bump `APP_VERSION` and add a step here whenever the document shape changes
+ * in a way normalization cannot absorb.
+ */
+export const PROJECT_MIGRATIONS: Migration<ProjectPayload>[] = [
+  {
+    version: 4,
+    description: 'Added mapping surfaces, output masks, timeline layers, cues and music',
+    migrate: migrateProjectToV4,
+  },
+];
+
+/**
+ * Upgrades for the compact share payload, ordered by the `v` they produce.
+ * Links live on in chats and QR codes long after a release, so every format
+ * change needs a step here; v3 is the first shared format.
+ */
+export const SHARED_PROJECT_PAYLOAD_MIGRATIONS: Migration<SharedProjectPayload>[] = [
+  {
+    // Links carry no surfaces, masks, layers, cues or music, so the opened
+    // project keeps the empty defaults for all of them.
+    version: 4,
+    description: 'Opened with the v4 mapping and timeline defaults',
+    migrate: (payload) => payload,
+  },
+];
+
+/**
+ * Runs every step between `fromVersion` and `targetVersion` in order. Throws
+ * when the payload is newer than this build or a step is missing, so callers
+ * can keep the original instead of loading a half-upgraded copy.
+ */
+export function applyMigrations<T>(
+  value: T,
+  fromVersion: number,
+  targetVersion: number,
+  migrations: readonly Migration<T>[],
+  label = 'project',
+): MigrationResult<T> {
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    throw new Error(`This ${label} has no readable version.`);
+  }
+  if (fromVersion > targetVersion) {
+    throw new Error(
+      `This ${label} was saved by a newer version of Mapshroom (v${fromVersion}).`,
+    );
+  }
+
+  let migrated = value;
+  const changes: string[] = [];
+  for (let version = fromVersion + 1; version <= targetVersion; version += 1) {
+    const migration = migrations.find((candidate) => candidate.version === version);
+    if (!migration) {
+      throw new Error(`There is no upgrade for this ${label} from v${version - 1} to v${version}.`);
+    }
+    migrated = migration.migrate(migrated);
+    changes.push(migration.description);
+  }
+
+  return { value: migrated, report: { fromVersion, toVersion: targetVersion, changes } };
+}
+
+/** Upgrades a parsed project document of any known version to `targetVersion`. */
+export function migrateProjectDocument(
+  value: unknown,
+  targetVersion: number,
+  migrations: readonly Migration<ProjectPayload>[] = PROJECT_MIGRATIONS,
+): MigrationResult<ProjectDocument> {
+  if (!isRecord(value) || !isRecord(value.studio) || !isRecord(value.playback)) {
+    throw new Error('This project is not a readable Mapshroom project.');
+  }
+
+  const stepwise = migrations.map((migration) => ({
+    ...migration,
+    migrate: (payload: ProjectPayload) => ({
+      ...migration.migrate(payload),
+      version: migration.version,
+    }),
+  }));
+  const result = applyMigrations(
+    value,
+    typeof value.version === 'number' ? value.version : 0,
+    targetVersion,
+    stepwise,
+  );
+  return {
+    value: result.value as unknown as ProjectDocument,
+    report: result.report,
+  };
+}
+
+/** Upgrades a decoded share link payload to `targetVersion`. */
+export function migrateSharedProjectPayload<T extends SharedProjectPayload>(
+  payload: T,
+  targetVersion: number,
+  migrations: readonly Migration<SharedProjectPayload>[] = SHARED_PROJECT_PAYLOAD_MIGRATIONS,
+): MigrationResult<T> {
+  const result = applyMigrations<SharedProjectPayload>(
+    payload,
+    payload.v,
+    targetVersion,
+    migrations.map((migration) => ({
+      ...migration,
+      migrate: (value: SharedProjectPayload) => ({
+        ...migration.migrate(value),
+        v: migration.version,
+      }),
+    })),
+    'shared project link',
+  );
+  return { value: result.value as T, report: result.report };
+}
+
+export function describeMigrationReport(report: MigrationReport): string {
+  const summary = `Upgraded from v${report.fromVersion} to v${report.toVersion}`;
+  return report.changes.length ? `${summary}: ${report.changes.join('; ')}.` : `${summary}.`;
+}
@@ -0,0 +1,137 @@
+import type { AssetRecord, ProjectDocument } from '../types';
+
+/**
+ * A project is stored as several IndexedDB records so an edit only rewrites
+ * the parts it touched: the document itself, the studio chat, the studio
+ * version list, and one record per shader holding that shader's versions.
+ * Those histories grow without bound and rarely change, so keeping them out
+ * of the document record keeps autosaves small.
+ */
+export const PROJECT_DOCUMENT_PART = 'document';
+const CHAT_HISTORY_PART = 'chat';
+const STUDIO_VERSIONS_PART = 'versions';
+const SHADER_VERSIONS_PART_PREFIX = 'shader-versions:';
+
+/** Stored JSON by part name; see `splitProjectRecords`. */
+export type ProjectRecordParts = Map<string, string>;
+
+export interface ProjectRecordWrite {
+  put: Map<string, string>;
+  remove: string[];
+}
+
+/** A stored blob a project plays, as archives and project folders save it. */
+export type ProjectAssetFile = Pick<AssetRecord, 'id' | 'name' | 'mimeType'>;
+
+export interface StoredAssetBlobSummary {
+  id: string;
+  size: number;
+}
+
+/** Splits a project into the JSON records it is stored as. */
+export function splitProjectRecords(project: ProjectDocument): ProjectRecordParts {
+  const parts: ProjectRecordParts = new Map();
+  project.studio.savedShaders.forEach((shader) => {
+    if (shader.versions?.length) {
+      parts.set(`${SHADER_VERSIONS_PART_PREFIX}${shader.id}`, JSON.stringify(shader.versions));
+    }
+  });
+  parts.set(CHAT_HISTORY_PART, JSON.stringify(project.studio.shaderChatHistory));
+  parts.set(STUDIO_VERSIONS_PART, JSON.stringify(project.studio.shaderVersions));
+  parts.set(
+    PROJECT_DOCUMENT_PART,
+    JSON.stringify({
+      ...project,
+      studio: {
+        ...project.studio,
+        shaderChatHistory: [],
+        shaderVersions: [],
+        savedShaders: project.studio.savedShaders.map(
+          ({ versions: _versions, ...shader }) => shader,
+        ),
+      },
+    }),
+  );
+  return parts;
+}
+
+/** Reassembles a project from `splitProjectRecords` output; null without a document. */
+export function joinProjectRecords(parts: ReadonlyMap<string, string>): ProjectDocument | null {
+  const documentJson = parts.get(PROJECT_DOCUMENT_PART);
+  if (!documentJson) {
+    return null;
+  }
+
+  const project = JSON.parse(documentJson) as ProjectDocument;
+  const readList = <T>(part: string): T[] => {
+    const json = parts.get(part);
+    const value: unknown = json ? JSON.parse(json) : null;
+    return Array.isArray(value) ? (value as T[]) : [];
+  };
+
+  return {
+    ...project,
+    studio: {
+      ...project.studio,
+      shaderChatHistory: readList(CHAT_HISTORY_PART),
+      shaderVersions: readList(STUDIO_VERSIONS_PART),
+      savedShaders: project.studio.savedShaders.map((shader) => {
+        const versions = readList<NonNullable<typeof shader.versions>[number]>(
+          `${SHADER_VERSIONS_PART_PREFIX}${shader.id}`,
+        );
+        return versions.length ? { ...shader, versions } : shader;
+      }),
+    },
+  };
+}
+
+/**
+ * The records to put and delete to go from `previous` (what is stored) to
+ * `next`. Unchanged parts are skipped, which is what makes saves incremental.
+ */
+export function planProjectRecordWrite(
+  previous: ReadonlyMap<string, string>,
+  next: ReadonlyMap<string, string>,
+): ProjectRecordWrite {
+  const put = new Map<string, string>();
+  next.forEach((json, part) => {
+    if (previous.get(part) !== json) {
+      put.set(part, json);
+    }
+  });
+  return {
+    put,
+    remove: [...previous.keys()].filter((part) => !next.has(part)),
+  };
+}
+
+/** The stored blobs a project uses: uploaded library assets and the timeline music. */
+export function listProjectAssetFiles(project: ProjectDocument): ProjectAssetFile[] {
+  const audioTrack = project.timeline?.stub?.audioTrack;
+  return [
+    ...project.library.assets.filter((asset) => asset.sourceType !== 'bundled'),
+    ...(audioTrack
+      ? [{ id: audioTrack.assetId, name: audioTrack.name, mimeType: audioTrack.mimeType }]
+      : []),
+  ];
+}
+
+/** IDs of the stored blobs that a project still points at. */
+export function collectProjectAssetIds(project: ProjectDocument): Set<string> {
+  return new Set(listProjectAssetFiles(project).map((asset) => asset.id));
+}
+
+/**
+ * Stored blobs that no saved project or snapshot uses anymore, e.g. after a
+ * project was deleted from another tab or an import was interrupted.
+ */
+export function findOrphanedAssetBlobs(
+  blobs: readonly StoredAssetBlobSummary[],
+  projects: readonly ProjectDocument[],
+): StoredAssetBlobSummary[] {
+  const usedIds = new Set<string>();
+  projects.forEach((project) => {
+    collectProjectAssetIds(project).forEach((id) => usedIds.add(id));
+  });
+  return blobs.filter((blob) => !usedIds.has(blob.id));
+}
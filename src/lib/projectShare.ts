@@ -1,5 +1,6 @@
 import { APP_VERSION, createDefaultProject } from '../config';
 import { persistActiveSessionId, saveProjectDocument } from './storage';
+import { migrateSharedProjectPayload, type MigrationReport } from './projectMigrations';
 import { parseShaderName, parseUniforms, syncUniformValues } from './shader';
 import { normalizeTimelineStepAssetSettings } from './timelineAssetSettings';
 import { normalizeTimelineTransitionEffect } from './timeline';
@@ -108,6 +109,8 @@ export interface ProjectShareLinkResult {
 
 export interface ImportedSharedProjectResult {
   project: ProjectDocument;
+  /** Set when the link was made by an older version and had to be upgraded. */
+  migration: MigrationReport | null;
 }
 
 function bytesToHex(bytes: Uint8Array): string {
@@ -238,7 +241,7 @@ function compactShaderCode(code: string): string {
         return [line.replace(/^\/\/\s*NAME:\s*/i, '// NAME: ')];
       }
 
-      if (/^uniform\s+(float|int|vec3|bool)\s+/.test(line)) {
+      if (/^uniform\s+(float|int|vec2|vec3|vec4|bool)\s+/.test(line)) {
         const commentIndex = line.indexOf('//');
         const declaration = (commentIndex >= 0 ? line.slice(0, commentIndex) : line)
           .replace(/\s+/g, ' ')
@@ -570,12 +573,14 @@ export async function importProjectFromSharedUrl(): Promise<ImportedSharedProjec
     throw new Error('Shared project link is invalid.');
   }
 
-  const importedProject = restoreProjectFromCompactPayload(payload);
-  saveProjectDocument(importedProject);
+  const migrated = migrateSharedProjectPayload(payload, APP_VERSION);
+  const importedProject = restoreProjectFromCompactPayload(migrated.value);
+  await saveProjectDocument(importedProject);
   persistActiveSessionId(importedProject.sessionId);
   stripShareParamsFromUrl();
 
   return {
     project: importedProject,
+    migration: migrated.report.fromVersion !== APP_VERSION ? migrated.report : null,
   };
 }
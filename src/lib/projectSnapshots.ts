@@ -0,0 +1,117 @@
+import type { ProjectDocument, SavedShader } from '../types';
+
+/** What changed between two versions of the same project. */
+export interface ProjectDiffSummary {
+  renamed: boolean;
+  shadersAdded: number;
+  shadersRemoved: number;
+  shadersChanged: number;
+  stepsAdded: number;
+  stepsRemoved: number;
+  stepsChanged: number;
+  assetsAdded: number;
+  assetsRemoved: number;
+  mappingChanged: boolean;
+  outputChanged: boolean;
+}
+
+interface CollectionDiff {
+  added: number;
+  removed: number;
+  changed: number;
+}
+
+function diffCollections<T extends { id: string }>(
+  before: readonly T[],
+  after: readonly T[],
+  isChanged: (previous: T, next: T) => boolean,
+): CollectionDiff {
+  const beforeById = new Map(before.map((item) => [item.id, item]));
+  const afterIds = new Set(after.map((item) => item.id));
+  let added = 0;
+  let changed = 0;
+  after.forEach((item) => {
+    const previous = beforeById.get(item.id);
+    if (!previous) {
+      added += 1;
+    } else if (previous !== item && isChanged(previous, item)) {
+      changed += 1;
+    }
+  });
+  const removed = before.filter((item) => !afterIds.has(item.id)).length;
+  return { added, removed, changed };
+}
+
+function serialize(value: unknown): string {
+  return JSON.stringify(value ?? null);
+}
+
+function isShaderChanged(previous: SavedShader, next: SavedShader): boolean {
+  return (
+    previous.name !== next.name ||
+    previous.code !== next.code ||
+    (previous.inputAssetId ?? null) !== (next.inputAssetId ?? null) ||
+    serialize(previous.uniformValues) !== serialize(next.uniformValues) ||
+    serialize(previous.textureBindings) !== serialize(next.textureBindings)
+  );
+}
+
+/**
+ * Changes from `before` to `after`, at the level a show operator thinks in:
+ * shaders, timeline steps, assets and mapping rather than individual fields.
+ * Temporary shaders, playback position and AI settings are left out.
+ */
+export function diffProjects(before: ProjectDocument, after: ProjectDocument): ProjectDiffSummary {
+  const persistentShaders = (project: ProjectDocument) =>
+    project.studio.savedShaders.filter((shader) => !shader.isTemporary);
+  const shaders = diffCollections(
+    persistentShaders(before),
+    persistentShaders(after),
+    isShaderChanged,
+  );
+  const steps = diffCollections(
+    before.timeline.stub.shaderSequence.steps,
+    after.timeline.stub.shaderSequence.steps,
+    (previous, next) => serialize(previous) !== serialize(next),
+  );
+  const assets = diffCollections(before.library.assets, after.library.assets, () => false);
+
+  return {
+    renamed: before.name !== after.name,
+    shadersAdded: shaders.added,
+    shadersRemoved: shaders.removed,
+    shadersChanged: shaders.changed,
+    stepsAdded: steps.added,
+    stepsRemoved: steps.removed,
+    stepsChanged: steps.changed,
+    assetsAdded: assets.added,
+    assetsRemoved: assets.removed,
+    mappingChanged:
+      serialize(before.mapping.stageTransform) !== serialize(after.mapping.stageTransform) ||
+      serialize(before.mapping.surfaces) !== serialize(after.mapping.surfaces),
+    outputChanged:
+      serialize(before.mapping.outputLayout) !== serialize(after.mapping.outputLayout) ||
+      serialize(before.mapping.colorCalibration) !== serialize(after.mapping.colorCalibration),
+  };
+}
+
+function countLabel(count: number, noun: string, verb: string): string | null {
+  return count > 0 ? `${count} ${noun}${count === 1 ? '' : 's'} ${verb}` : null;
+}
+
+/** Short phrases for the non-empty parts of a diff, e.g. "2 shaders changed". */
+export function describeProjectDiff(summary: ProjectDiffSummary): string[] {
+  return [
+    summary.renamed ? 'renamed' : null,
+    countLabel(summary.shadersAdded, 'shader', 'added'),
+    countLabel(summary.shadersRemoved, 'shader', 'removed'),
+    countLabel(summary.shadersChanged, 'shader', 'changed'),
+    countLabel(summary.stepsAdded, 'step', 'added'),
+    countLabel(summary.stepsRemoved, 'step', 'removed'),
+    countLabel(summary.stepsChanged, 'step', 'changed'),
+    countLabel(summary.assetsAdded, 'asset', 'added'),
+    countLabel(summary.assetsRemoved, 'asset', 'removed'),
+    summary.mappingChanged ? 'mapping moved' : null,
+    summary.outputChanged ? 'projector setup changed' : null,
+  ].filter((phrase): phrase is string => phrase !== null);
+}
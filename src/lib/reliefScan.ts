@@ -0,0 +1,370 @@
+import type { DistortionPoint } from '../types';
+import { applyHomography, fitHomography } from './cameraAlignment.ts';
+import type { StructuredLightCorrespondence } from './structuredLight.ts';
+
+/**
+ * Camera position, normalized 0–1, that saw each cell of a grid laid over the
+ * stage frame. Cells the camera never saw hold NaN.
+ */
+export interface ProjectorSpaceMap {
+  width: number;
+  height: number;
+  cameraX: Float32Array;
+  cameraY: Float32Array;
+}
+
+export interface ReliefScanOptions {
+  /** Stage-frame width divided by height. */
+  aspectRatio: number;
+  /** Grid columns; rows follow from the aspect ratio. */
+  columns?: number;
+  /** Box-blur radius, in grid cells, applied before normalizing. */
+  smoothing?: number;
+  /** Swaps near and far when the automatic orientation guessed wrong. */
+  invert?: boolean;
+}
+
+export interface ReliefScan {
+  correspondence: ProjectorSpaceMap;
+  /** Height above the best-fit plane, 0 (far) to 1 (near); NaN where unseen. */
+  relief: Float32Array;
+  /** Share of grid cells the camera saw. */
+  coverage: number;
+}
+
+export const DEFAULT_RELIEF_SCAN_COLUMNS = 160;
+const MAX_RELIEF_SCAN_COLUMNS = 512;
+const HOLE_FILL_PASSES = 3;
+// More than a straight edge has, so holes close without the silhouette growing.
+const HOLE_FILL_MIN_NEIGHBOURS = 5;
+const PLANE_FIT_MAX_SAMPLES = 4000;
+// Samples further from the first plane fit than this many median residuals
+// belong to the object rather than the wall behind it.
+const PLANE_INLIER_RESIDUALS = 2;
+const NORMALIZE_LOW_PERCENTILE = 0.02;
+const NORMALIZE_HIGH_PERCENTILE = 0.98;
+const MIN_RELIEF_CELLS = 16;
+
+function clamp(value: number, minimum: number, maximum: number): number {
+  return Math.max(minimum, Math.min(maximum, value));
+}
+
+/** Fills NaN cells surrounded by enough seen neighbours, a pass at a time. */
+function fillSmallHoles(map: ProjectorSpaceMap) {
+  const { width, height, cameraX, cameraY } = map;
+  for (let pass = 0; pass < HOLE_FILL_PASSES; pass += 1) {
+    const nextX = cameraX.slice();
+    const nextY = cameraY.slice();
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        const index = y * width + x;
+        if (!Number.isNaN(cameraX[index])) {
+          continue;
+        }
+        let sumX = 0;
+        let sumY = 0;
+        let count = 0;
+        for (let offsetY = -1; offsetY <= 1; offsetY += 1) {
+          for (let offsetX = -1; offsetX <= 1; offsetX += 1) {
+            const neighbourX = x + offsetX;
+            const neighbourY = y + offsetY;
+            if (neighbourX < 0 || neighbourY < 0 || neighbourX >= width || neighbourY >= height) {
+              continue;
+            }
+            const neighbour = neighbourY * width + neighbourX;
+            if (!Number.isNaN(cameraX[neighbour])) {
+              sumX += cameraX[neighbour];
+              sumY += cameraY[neighbour];
+              count += 1;
+            }
+          }
+        }
+        if (count >= HOLE_FILL_MIN_NEIGHBOURS) {
+          nextX[index] = sumX / count;
+          nextY[index] = sumY / count;
+        }
+      }
+    }
+    cameraX.set(nextX);
+    cameraY.set(nextY);
+  }
+}
+
+/**
+ * Turns a camera-pixel correspondence map around into the stage frame's point
+ * of view, averaging every camera pixel that landed in the same grid cell.
+ */
+export function createProjectorSpaceMap(
+  map: StructuredLightCorrespondence,
+  columns: number,
+  rows: number,
+): ProjectorSpaceMap {
+  const width = clamp(Math.round(columns), 1, MAX_RELIEF_SCAN_COLUMNS);
+  const height = clamp(Math.round(rows), 1, MAX_RELIEF_SCAN_COLUMNS);
+  const sumX = new Float64Array(width * height);
+  const sumY = new Float64Array(width * height);
+  const counts = new Uint32Array(width * height);
+
+  for (let y = 0; y < map.height; y += 1) {
+    for (let x = 0; x < map.width; x += 1) {
+      const source = y * map.width + x;
+      const projectorX = map.projectorX[source];
+      if (Number.isNaN(projectorX)) {
+        continue;
+      }
+      const column = clamp(Math.floor(projectorX * width), 0, width - 1);
+      const row = clamp(Math.floor(map.projectorY[source] * height), 0, height - 1);
+      const target = row * width + column;
+      sumX[target] += (x + 0.5) / map.width;
+      sumY[target] += (y + 0.5) / map.height;
+      counts[target] += 1;
+    }
+  }
+
+  const cameraX = new Float32Array(width * height).fill(Number.NaN);
+  const cameraY = new Float32Array(width * height).fill(Number.NaN);
+  counts.forEach((count, index) => {
+    if (count > 0) {
+      cameraX[index] = sumX[index] / count;
+      cameraY[index] = sumY[index] / count;
+    }
+  });
+
+  const projectorMap = { width, height, cameraX, cameraY };
+  fillSmallHoles(projectorMap);
+  return projectorMap;
+}
+
+function getCellCenter(map: ProjectorSpaceMap, index: number): DistortionPoint {
+  return {
+    x: ((index % map.width) + 0.5) / map.width,
+    y: (Math.floor(index / map.width) + 0.5) / map.height,
+  };
+}
+
+function fitPlane(map: ProjectorSpaceMap, cells: number[]) {
+  const from = cells.map((index) => getCellCenter(map, index));
+  const to = cells.map((index) => ({ x: map.cameraX[index], y: map.cameraY[index] }));
+  const homography = fitHomography(from, to);
+  if (!homography) {
+    throw new Error('The scan is too flat or too sparse to fit a reference plane.');
+  }
+  return homography;
+}
+
+function getPercentile(sorted: ArrayLike<number>, share: number): number {
+  return sorted[clamp(Math.round((sorted.length - 1) * share), 0, sorted.length - 1)];
+}
+
+/** Box blur that only mixes seen cells, so edges do not bleed into the background. */
+function blurSeenCells(
+  values: Float32Array,
+  width: number,
+  height: number,
+  radius: number,
+): Float32Array {
+  if (radius < 1) {
+    return values;
+  }
+
+  const result = values.slice();
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const index = y * width + x;
+      if (Number.isNaN(values[index])) {
+        continue;
+      }
+      let sum = 0;
+      let count = 0;
+      const bottom = Math.min(height - 1, y + radius);
+      const right = Math.min(width - 1, x + radius);
+      for (let sampleY = Math.max(0, y - radius); sampleY <= bottom; sampleY += 1) {
+        for (let sampleX = Math.max(0, x - radius); sampleX <= right; sampleX += 1) {
+          const value = values[sampleY * width + sampleX];
+          if (!Number.isNaN(value)) {
+            sum += value;
+            count += 1;
+          }
+        }
+      }
+      result[index] = sum / count;
+    }
+  }
+  return result;
+}
+
+/**
+ * Estimates surface relief from one camera and one projector. A flat wall maps
+ * stage-frame positions onto the camera through a single homography; anything
+ * standing off that plane shows up displaced along the camera–projector
+ * baseline, and the size of that displacement tracks its height. Without a
+ * calibrated rig the result is relative, so it is stretched to fill 0–1.
+ */
+export function computeReliefScan(
+  map: StructuredLightCorrespondence,
+  options: ReliefScanOptions,
+): ReliefScan {
+  const aspectRatio =
+    Number.isFinite(options.aspectRatio) && options.aspectRatio > 0 ? options.aspectRatio : 16 / 9;
+  const columns = options.columns ?? DEFAULT_RELIEF_SCAN_COLUMNS;
+  const correspondence = createProjectorSpaceMap(map, columns, columns / aspectRatio);
+  const { width, height, cameraX, cameraY } = correspondence;
+
+  const seen: number[] = [];
+  cameraX.forEach((value, index) => {
+    if (!Number.isNaN(value)) {
+      seen.push(index);
+    }
+  });
+  if (seen.length < MIN_RELIEF_CELLS) {
+    throw new Error('The camera saw too little of the projection to build a relief map.');
+  }
+
+  const stride = Math.max(1, Math.floor(seen.length / PLANE_FIT_MAX_SAMPLES));
+  const samples = seen.filter((_, position) => position % stride === 0);
+  const getResidual = (homography: ReturnType<typeof fitPlane>, index: number) => {
+    const expected = applyHomography(homography, getCellCenter(correspondence, index));
+    return { x: cameraX[index] - expected.x, y: cameraY[index] - expected.y };
+  };
+
+  // Refit on the cells near the first plane so the object does not tilt the wall.
+  let plane = fitPlane(correspondence, samples);
+  const distances = samples.map((index) => {
+    const residual = getResidual(plane, index);
+    return Math.hypot(residual.x, residual.y);
+  });
+  const medianDistance = [...distances].sort((a, b) => a - b)[Math.floor(distances.length / 2)];
+  const inliers = samples.filter(
+    (_, position) => distances[position] <= medianDistance * PLANE_INLIER_RESIDUALS,
+  );
+  if (inliers.length >= MIN_RELIEF_CELLS) {
+    plane = fitPlane(correspondence, inliers);
+  }
+
+  // The baseline direction is where the residuals spread the most.
+  const residuals = seen.map((index) => getResidual(plane, index));
+  let xx = 0;
+  let xy = 0;
+  let yy = 0;
+  residuals.forEach(({ x, y }) => {
+    xx += x * x;
+    xy += x * y;
+    yy += y * y;
+  });
+  const angle = Math.atan2(2 * xy, xx - yy) / 2;
+  const direction = { x: Math.cos(angle), y: Math.sin(angle) };
+
+  let raw: Float32Array = new Float32Array(width * height).fill(Number.NaN);
+  seen.forEach((index, position) => {
+    raw[index] = residuals[position].x * direction.x + residuals[position].y * direction.y;
+  });
+  raw = blurSeenCells(raw, width, height, Math.max(0, Math.round(options.smoothing ?? 1)));
+
+  const sorted = Float32Array.from(seen.map((index) => raw[index])).sort();
+  const low = getPercentile(sorted, NORMALIZE_LOW_PERCENTILE);
+  const high = getPercentile(sorted, NORMALIZE_HIGH_PERCENTILE);
+  const median = getPercentile(sorted, 0.5);
+  // Objects stick out of a mostly flat wall, so the long tail points towards the camera.
+  const outward = high - median >= median - low;
+  const nearIsHigh = outward !== Boolean(options.invert);
+  const span = Math.max(high - low, 1e-6);
+
+  const relief = new Float32Array(width * height).fill(Number.NaN);
+  seen.forEach((index) => {
+    const amount = clamp((raw[index] - low) / span, 0, 1);
+    relief[index] = nearIsHigh ? amount : 1 - amount;
+  });
+
+  return { correspondence, relief, coverage: seen.length / (width * height) };
+}
+
+/** Samples a NaN-holed grid bilinearly, ignoring unseen corners. */
+function sampleGrid(
+  values: Float32Array,
+  width: number,
+  height: number,
+  u: number,
+  v: number,
+): number {
+  const x = clamp(u * width - 0.5, 0, width - 1);
+  const y = clamp(v * height - 0.5, 0, height - 1);
+  const left = Math.floor(x);
+  const top = Math.floor(y);
+  const right = Math.min(width - 1, left + 1);
+  const bottom = Math.min(height - 1, top + 1);
+  const amountX = x - left;
+  const amountY = y - top;
+
+  let sum = 0;
+  let weight = 0;
+  (
+    [
+      [left, top, (1 - amountX) * (1 - amountY)],
+      [right, top, amountX * (1 - amountY)],
+      [left, bottom, (1 - amountX) * amountY],
+      [right, bottom, amountX * amountY],
+    ] as const
+  ).forEach(([sampleX, sampleY, sampleWeight]) => {
+    const value = values[sampleY * width + sampleX];
+    if (!Number.isNaN(value) && sampleWeight > 0) {
+      sum += value * sampleWeight;
+      weight += sampleWeight;
+    }
+  });
+  return weight > 0 ? sum / weight : Number.NaN;
+}
+
+/**
+ * RGBA pixels for the correspondence asset: red and green hold the camera
+ * position that saw each output pixel, blue is full wherever the camera saw it.
+ */
+export function encodeCorrespondenceImage(
+  map: ProjectorSpaceMap,
+  width: number,
+  height: number,
+): Uint8ClampedArray {
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const u = (x + 0.5) / width;
+      const v = (y + 0.5) / height;
+      const cameraX = sampleGrid(map.cameraX, map.width, map.height, u, v);
+      const cameraY = sampleGrid(map.cameraY, map.width, map.height, u, v);
+      const offset = (y * width + x) * 4;
+      const seen = !Number.isNaN(cameraX);
+      pixels[offset] = seen ? Math.round(cameraX * 255) : 0;
+      pixels[offset + 1] = seen ? Math.round(cameraY * 255) : 0;
+      pixels[offset + 2] = seen ? 255 : 0;
+      pixels[offset + 3] = 255;
+    }
+  }
+  return pixels;
+}
+
+/** Grayscale RGBA pixels for the relief asset, white nearest; unseen areas are black. */
+export function encodeReliefImage(
+  scan: ReliefScan,
+  width: number,
+  height: number,
+): Uint8ClampedArray {
+  const { width: gridWidth, height: gridHeight } = scan.correspondence;
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const value = sampleGrid(
+        scan.relief,
+        gridWidth,
+        gridHeight,
+        (x + 0.5) / width,
+        (y + 0.5) / height,
+      );
+      const level = Number.isNaN(value) ? 0 : Math.round(value * 255);
+      const offset = (y * width + x) * 4;
+      pixels[offset] = level;
+      pixels[offset + 1] = level;
+      pixels[offset + 2] = level;
+      pixels[offset + 3] = 255;
+    }
+  }
+  return pixels;
+}
@@ -1,43 +1,86 @@
-import { BROADCAST_PREFIX, PROJECT_STORAGE_PREFIX } from '../config';
+import {
+  BROADCAST_PREFIX,
+  PROJECT_SYNC_STORAGE_PREFIX,
+  TEST_PATTERN_STORAGE_PREFIX,
+} from '../config';
 import { restoreTransport, snapshotTransport } from './clock';
+import { loadProjectDocument, saveProjectDocument } from './storage';
+import {
+  createTestPatternMessage,
+  isTestPatternMessage,
+  normalizeOutputTestPatternState,
+  type OutputTestPatternState,
+  type TestPatternMessage,
+} from './testPatterns';
 import type { ProjectDocument } from '../types';
 
-function getProjectStorageKey(sessionId: string): string {
-  return `${PROJECT_STORAGE_PREFIX}${sessionId}`;
+function getProjectSyncStorageKey(sessionId: string): string {
+  return `${PROJECT_SYNC_STORAGE_PREFIX}${sessionId}`;
 }
 
+function getTestPatternStorageKey(sessionId: string): string {
+  return `${TEST_PATTERN_STORAGE_PREFIX}${sessionId}`;
+}
+
+export function loadTestPatternState(sessionId: string): OutputTestPatternState {
+  try {
+    const rawValue = window.localStorage.getItem(getTestPatternStorageKey(sessionId));
+    return normalizeOutputTestPatternState(rawValue ? JSON.parse(rawValue) : null);
+  } catch {
+    return normalizeOutputTestPatternState(null);
+  }
+}
+
+/**
+ * Test patterns travel beside the project rather than inside it, so toggling
+ * one never touches the saved document, the timeline, or the transport.
+ */
 export function createSessionSync(
   sessionId: string,
   onProjectUpdate: (project: ProjectDocument) => void,
+  onTestPatternUpdate?: (testPattern: OutputTestPatternState) => void,
 ) {
   const channelName = `${BROADCAST_PREFIX}${sessionId}`;
   const broadcastChannel =
     typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(channelName) : null;
   const shouldUseStorageFallback = broadcastChannel === null;
+  // Storage events can arrive faster than IndexedDB reads finish; only the
+  // newest read is applied.
+  let latestProjectRead = 0;
 
   const handleStorage = (event: StorageEvent) => {
-    if (event.key !== getProjectStorageKey(sessionId) || !event.newValue) {
+    if (event.key === getTestPatternStorageKey(sessionId)) {
+      try {
+        onTestPatternUpdate?.(
+          normalizeOutputTestPatternState(event.newValue ? JSON.parse(event.newValue) : null),
+        );
+      } catch (error) {
+        console.warn('Unable to parse synced test pattern payload.', error);
+      }
       return;
     }
 
-    try {
-      const nextProject = JSON.parse(event.newValue) as ProjectDocument;
-      onProjectUpdate({
-        ...nextProject,
-        playback: {
-          ...nextProject.playback,
-          transport: restoreTransport(nextProject.playback.transport),
-        },
-      });
-    } catch (error) {
-      console.warn('Unable to parse synced project payload.', error);
+    if (event.key !== getProjectSyncStorageKey(sessionId) || !event.newValue) {
+      return;
     }
+
+    latestProjectRead += 1;
+    const projectRead = latestProjectRead;
+    void loadProjectDocument(sessionId).then((nextProject) => {
+      if (nextProject && projectRead === latestProjectRead) {
+        onProjectUpdate(nextProject);
+      }
+    });
   };
 
-  const handleMessage = (event: MessageEvent<ProjectDocument>) => {
+  const handleMessage = (event: MessageEvent<ProjectDocument | TestPatternMessage>) => {
     if (!event.data) {
       return;
     }
+    if (isTestPatternMessage(event.data)) {
+      onTestPatternUpdate?.(normalizeOutputTestPatternState(event.data.testPattern));
+      return;
+    }
     onProjectUpdate({
       ...event.data,
       playback: {
@@ -54,6 +97,24 @@ export function createSessionSync(
 
   return {
     publish(project: ProjectDocument) {
+      if (shouldUseStorageFallback) {
+        // IndexedDB fires no storage events, so once the project is saved a
+        // small change token tells Output windows to read it back from there.
+        void saveProjectDocument(project).then((saved) => {
+          if (!saved) {
+            return;
+          }
+          try {
+            window.localStorage.setItem(
+              getProjectSyncStorageKey(sessionId),
+              crypto.randomUUID(),
+            );
+          } catch (error) {
+            console.warn('Unable to sync the project to Output windows.', error);
+          }
+        });
+        return;
+      }
       broadcastChannel?.postMessage({
         ...project,
         playback: {
@@ -62,6 +123,18 @@ export function createSessionSync(
         },
       });
     },
+    publishTestPattern(testPattern: OutputTestPatternState) {
+      // Also stored so Output windows opened later start on the same pattern.
+      try {
+        window.localStorage.setItem(
+          getTestPatternStorageKey(sessionId),
+          JSON.stringify(testPattern),
+        );
+      } catch (error) {
+        console.warn('Unable to store the test pattern for Output windows.', error);
+      }
+      broadcastChannel?.postMessage(createTestPatternMessage(testPattern));
+    },
     destroy() {
       if (shouldUseStorageFallback) {
         window.removeEventListener('storage', handleStorage);
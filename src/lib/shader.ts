@@ -1,4 +1,21 @@
-import type { ShaderUniformDefinition, ShaderUniformMap, ShaderUniformValue } from '../types';
+import type {
+  AssetCompanionKind,
+  ShaderTextureInputMap,
+  ShaderUniformDefinition,
+  ShaderUniformMap,
+  ShaderUniformType,
+  ShaderUniformValue,
+} from '../types';
+
+/**
+ * GLSL flavour a shader is written in. Shaders are WebGL 1.0 (GLSL ES 1.00)
+ * unless they carry a `#version 300 es` line, which opts them into WebGL2.
+ */
+export type ShaderDialect = 'glsl100' | 'glsl300es';
+
+export const GLSL300ES_UNSUPPORTED_MESSAGE =
+  'This shader uses GLSL ES 3.00 (#version 300 es), which needs WebGL2. ' +
+  'This browser only supports WebGL 1.0.';
 
 export const VERTEX_SHADER_SOURCE = `
 attribute vec2 a_position;
@@ -10,13 +27,20 @@ void main() {
     gl_Position = vec4(a_position, 0.0, 1.0);
 }`;
 
-export const FRAGMENT_SHADER_HEADER = `
-precision highp float;
-varying vec2 v_uv;
-uniform sampler2D u_image;
-uniform float u_time;
-uniform vec2 u_resolution;
+// The #version directive has to be the very first line, so these sources must
+// not start with a newline.
+export const VERTEX_SHADER_SOURCE_GLSL300ES = `#version 300 es
+in vec2 a_position;
+out vec2 v_uv;
 
+void main() {
+    v_uv = a_position * 0.5 + 0.5;
+    v_uv.y = 1.0 - v_uv.y;
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
+
+/** The noise helpers every shader can call, also written into exported ISF files. */
+export const SHADER_NOISE_FUNCTIONS = `
 float node_rand(vec2 n) {
     return fract(sin(dot(n, vec2(12.9898, 4.1414))) * 43758.5453);
 }
@@ -34,11 +58,106 @@ float node_noise(vec2 p) {
 }
 `;
 
+const FRAGMENT_SHADER_BUILTINS = `
+uniform sampler2D u_image;
+uniform float u_time;
+uniform vec2 u_resolution;
+${SHADER_NOISE_FUNCTIONS}`;
+
+export const FRAGMENT_SHADER_HEADER = `
+precision highp float;
+varying vec2 v_uv;
+${FRAGMENT_SHADER_BUILTINS}`;
+
+// Timeline steps compose several shaders into one program, so WebGL 1.0
+// shaders and the timeline helpers still have to compile here: texture2D() is
+// mapped onto texture().
+export const FRAGMENT_SHADER_HEADER_GLSL300ES = `#version 300 es
+precision highp float;
+precision highp int;
+in vec2 v_uv;
+out vec4 mapshroom_fragColor;
+#define texture2D texture
+${FRAGMENT_SHADER_BUILTINS}`;
+
 export const FRAGMENT_SHADER_FOOTER = `
 void main() {
     gl_FragColor = processColor(u_image, v_uv, u_time, u_resolution);
 }`;
 
+export const FRAGMENT_SHADER_FOOTER_GLSL300ES = `
+void main() {
+    mapshroom_fragColor = processColor(u_image, v_uv, u_time, u_resolution);
+}`;
+
+const GLSL300ES_VERSION_PATTERN = /^[ \t]*#version[ \t]+300[ \t]+es\b/m;
+const VERSION_DIRECTIVE_PATTERN = /^[ \t]*#version\b.*$/gm;
+
+/**
+ * A `#version 300 es` line anywhere in the code selects GLSL ES 3.00. It may
+ * sit below the `// NAME:` header because the app moves it to the top.
+ */
+export function getShaderDialect(code: string): ShaderDialect {
+  return GLSL300ES_VERSION_PATTERN.test(code) ? 'glsl300es' : 'glsl100';
+}
+
+/**
+ * Vertex source for `dialect`. Passes that write a feedback buffer keep uv.y
+ * unflipped, so the buffer is stored upright and `texture2D(buffer, uv)` reads
+ * back the pixel the pass wrote at `uv`.
+ */
+export function getVertexShaderSource(dialect: ShaderDialect, flipY = true): string {
+  const source = dialect === 'glsl300es' ? VERTEX_SHADER_SOURCE_GLSL300ES : VERTEX_SHADER_SOURCE;
+  return flipY ? source : source.replace('\n    v_uv.y = 1.0 - v_uv.y;', '');
+}
+
+export function supportsShaderDialect(gl: WebGLRenderingContext, dialect: ShaderDialect): boolean {
+  return (
+    dialect === 'glsl100' ||
+    (typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext)
+  );
+}
+
+/**
+ * Prefers a WebGL2 context, which runs both dialects, and falls back to
+ * WebGL 1.0 where WebGL2 is unavailable.
+ */
+export function createShaderRenderingContext(
+  canvas: HTMLCanvasElement,
+  attributes: WebGLContextAttributes,
+): WebGLRenderingContext | null {
+  return canvas.getContext('webgl2', attributes) ?? canvas.getContext('webgl', attributes);
+}
+
+/**
+ * Uploads one custom uniform with the setter its GLSL type needs. `int`
+ * uniforms, including `@options` menus, must go through `uniform1i`: WebGL
+ * rejects `uniform1f` on them and the shader keeps reading 0.
+ */
+export function setShaderUniform(
+  gl: Pick<
+    WebGLRenderingContext,
+    'uniform1f' | 'uniform1i' | 'uniform2fv' | 'uniform3fv' | 'uniform4fv'
+  >,
+  location: WebGLUniformLocation,
+  definition: ShaderUniformDefinition,
+  value: ShaderUniformValue,
+) {
+  if (definition.type === 'vec2' && Array.isArray(value)) {
+    gl.uniform2fv(location, value);
+  } else if (definition.type === 'vec3' && Array.isArray(value)) {
+    gl.uniform3fv(location, value);
+  } else if (definition.type === 'vec4' && Array.isArray(value)) {
+    gl.uniform4fv(location, value);
+  } else if (definition.type === 'bool') {
+    gl.uniform1i(location, value ? 1 : 0);
+  } else if (definition.type === 'int') {
+    gl.uniform1i(location, Math.round(Number(value)));
+  } else if (definition.type === 'float') {
+    gl.uniform1f(location, Number(value));
+  }
+}
+
 export function rgbToHex(value: ShaderUniformValue): string {
   if (!Array.isArray(value)) {
     return '#ffffff';
@@ -62,6 +181,100 @@ export function parseShaderName(code: string): string {
   return match?.[1]?.trim() || 'Untitled Shader';
 }
 
+const DEFAULT_UNIFORM_VALUES: Record<ShaderUniformType, ShaderUniformValue> = {
+  float: 0.5,
+  int: 0.5,
+  vec2: [0.5, 0.5],
+  vec3: [1, 1, 1],
+  vec4: [1, 1, 1, 1],
+  bool: false,
+};
+
+const UNIFORM_VECTOR_SIZES: Partial<Record<ShaderUniformType, number>> = {
+  vec2: 2,
+  vec3: 3,
+  vec4: 4,
+};
+
+/** Free text after `@name`, up to the next annotation: `@label Glow Amount @group Color`. */
+function readAnnotationText(meta: string, name: string): string | undefined {
+  const match = meta.match(new RegExp(`@${name}\\s+(.+?)(?=\\s+@\\w|$)`));
+  return match?.[1]?.trim() || undefined;
+}
+
+/** Float and int uniforms that are not `@hidden`: the ones MIDI faders and randomization drive. */
+export function isNumericUniform(definition: ShaderUniformDefinition): boolean {
+  return (definition.type === 'float' || definition.type === 'int') && !definition.hidden;
+}
+
+/** Numeric uniforms drawn as a slider, which audio bindings can modulate. */
+export function isSliderUniform(definition: ShaderUniformDefinition): boolean {
+  return isNumericUniform(definition) && !definition.options;
+}
+
+export function getUniformStep(definition: ShaderUniformDefinition): number {
+  if (definition.step) {
+    return definition.step;
+  }
+
+  return definition.type === 'int' ? 1 : (definition.max - definition.min) / 100;
+}
+
+/** Clamps `value` into the uniform range and onto its `@step` grid. */
+export function snapUniformValue(value: number, definition: ShaderUniformDefinition): number {
+  const clamped = Math.max(definition.min, Math.min(definition.max, value));
+  const step = definition.step ?? (definition.type === 'int' ? 1 : 0);
+  if (!(step > 0)) {
+    return clamped;
+  }
+
+  const snapped = definition.min + Math.round((clamped - definition.min) / step) * step;
+  return Number(Math.min(definition.max, snapped).toPrecision(12));
+}
+
+export function getUniformLabel(name: string, definition: ShaderUniformDefinition): string {
+  return definition.label ?? name;
+}
+
+/** Whether a stored value still has the shape its (possibly edited) uniform expects. */
+export function isUniformValueCompatible(
+  value: ShaderUniformValue,
+  definition: ShaderUniformDefinition,
+): boolean {
+  const vectorSize = UNIFORM_VECTOR_SIZES[definition.type];
+  if (vectorSize) {
+    return (
+      Array.isArray(value) &&
+      value.length === vectorSize &&
+      value.every((channel) => Number.isFinite(channel))
+    );
+  }
+
+  return definition.type === 'bool' ? typeof value === 'boolean' : Number.isFinite(value);
+}
+
+/**
+ * Puts uniforms without a `@group` first, then one run per group in the order
+ * the groups first appear, leaving `@hidden` uniforms out.
+ */
+export function groupVisibleUniforms(
+  definitions: ShaderUniformMap,
+): Array<{ group: string | null; entries: Array<[string, ShaderUniformDefinition]> }> {
+  const groups = new Map<string | null, Array<[string, ShaderUniformDefinition]>>([[null, []]]);
+  Object.entries(definitions).forEach(([name, definition]) => {
+    if (definition.hidden) {
+      return;
+    }
+
+    const group = definition.group ?? null;
+    groups.set(group, [...(groups.get(group) ?? []), [name, definition]]);
+  });
+
+  return [...groups.entries()]
+    .filter(([, entries]) => entries.length > 0)
+    .map(([group, entries]) => ({ group, entries }));
+}
+
 // Timeline playback parses the same (potentially very large) generated shader
 // strings on every animation frame, so results are memoized by source code.
 const parseUniformsCache = new Map<string, ShaderUniformMap>();
@@ -76,50 +289,83 @@ export function parseUniforms(code: string): ShaderUniformMap {
   }
 
   const uniformRegex =
-    /uniform\s+(float|int|vec3|bool)\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*;\s*(?:\/\/\s*(.*))?/g;
+    /uniform\s+(float|int|vec2|vec3|vec4|bool)\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*;\s*(?:\/\/\s*(.*))?/g;
   const uniforms: ShaderUniformMap = {};
   let match: RegExpExecArray | null = null;
 
   while ((match = uniformRegex.exec(code)) !== null) {
     const [, type, name, meta = ''] = match;
+    const definition: ShaderUniformDefinition = {
+      type: type as ShaderUniformType,
+      min: 0,
+      max: 1,
+      default: DEFAULT_UNIFORM_VALUES[type as ShaderUniformType],
+    };
 
-    let min = 0;
-    let max = 1;
-    let defaultValue: ShaderUniformValue = type === 'bool' ? false : type === 'vec3' ? [1, 1, 1] : 0.5;
-
-    if (type === 'float' || type === 'int') {
+    if (type === 'float' || type === 'int' || type === 'vec2') {
       const minMatch = meta.match(/@min\s+([\d.-]+)/);
       const maxMatch = meta.match(/@max\s+([\d.-]+)/);
+      const stepMatch = meta.match(/@step\s+([\d.]+)/);
       if (minMatch) {
-        min = Number.parseFloat(minMatch[1]);
+        definition.min = Number.parseFloat(minMatch[1]);
       }
       if (maxMatch) {
-        max = Number.parseFloat(maxMatch[1]);
+        definition.max = Number.parseFloat(maxMatch[1]);
+      }
+      if (stepMatch && Number.parseFloat(stepMatch[1]) > 0) {
+        definition.step = Number.parseFloat(stepMatch[1]);
       }
     }
 
+    const options = type === 'int' ? readAnnotationText(meta, 'options')?.split('|') : undefined;
+    const trimmedOptions = options?.map((option) => option.trim()).filter(Boolean);
+    if (trimmedOptions?.length) {
+      definition.options = trimmedOptions;
+      definition.min = 0;
+      definition.max = trimmedOptions.length - 1;
+      definition.step = 1;
+      definition.default = 0;
+    }
+
     const defaultMatch = meta.match(/@default\s+([\w.,-]+)/);
     if (defaultMatch) {
       if (type === 'bool') {
-        defaultValue = defaultMatch[1] === 'true';
+        definition.default = defaultMatch[1] === 'true';
       } else if (type === 'vec3') {
         const channels = defaultMatch[1].split(',').map((item) => Number.parseFloat(item));
-        defaultValue = [
+        definition.default = [
           channels[0] ?? 1,
           channels[1] ?? 1,
           channels[2] ?? 1,
         ];
+      } else if (type === 'vec2' || type === 'vec4') {
+        const fallback = DEFAULT_UNIFORM_VALUES[type] as number[];
+        const channels = defaultMatch[1].split(',').map((item) => Number.parseFloat(item));
+        definition.default = fallback.map((channel, index) =>
+          Number.isFinite(channels[index]) ? channels[index] : channel,
+        ) as ShaderUniformValue;
+      } else if (definition.options && !/^[\d.-]+$/.test(defaultMatch[1])) {
+        // Options may contain spaces, so the default choice is read up to the next annotation.
+        const defaultOption = readAnnotationText(meta, 'default') ?? '';
+        definition.default = Math.max(0, definition.options.indexOf(defaultOption));
       } else {
-        defaultValue = Number.parseFloat(defaultMatch[1]);
+        definition.default = Number.parseFloat(defaultMatch[1]);
       }
     }
 
-    uniforms[name] = {
-      type: type as ShaderUniformDefinition['type'],
-      min,
-      max,
-      default: defaultValue,
-    };
+    const label = readAnnotationText(meta, 'label');
+    const group = readAnnotationText(meta, 'group');
+    if (label) {
+      definition.label = label;
+    }
+    if (group) {
+      definition.group = group;
+    }
+    if (/@hidden\b/.test(meta)) {
+      definition.hidden = true;
+    }
+
+    uniforms[name] = definition;
   }
 
   if (parseUniformsCache.size >= PARSE_UNIFORMS_CACHE_LIMIT) {
@@ -133,6 +379,70 @@ export function parseUniforms(code: string): ShaderUniformMap {
   return uniforms;
 }
 
+const TEXTURE_INPUT_COMPANIONS: AssetCompanionKind[] = ['depth', 'mask'];
+
+/**
+ * Reads the extra `uniform sampler2D` inputs a shader asks the stage to bind,
+ * such as `uniform sampler2D depthMap; // @asset depth`. Samplers without an
+ * `@asset` annotation are left to the shader.
+ */
+export function parseTextureInputs(code: string): ShaderTextureInputMap {
+  const samplerRegex =
+    /uniform\s+sampler2D\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*;\s*\/\/\s*(.*@asset\b.*)/g;
+  const inputs: ShaderTextureInputMap = {};
+  let match: RegExpExecArray | null = null;
+
+  while ((match = samplerRegex.exec(code)) !== null) {
+    const [, name, meta] = match;
+    const companion = meta.match(/@asset\s+(\w+)/)?.[1] as AssetCompanionKind | undefined;
+    const label = readAnnotationText(meta, 'label');
+    inputs[name] = {
+      companion: companion && TEXTURE_INPUT_COMPANIONS.includes(companion) ? companion : null,
+      ...(label ? { label } : {}),
+    };
+  }
+
+  return inputs;
+}
+
+/** Sampler that reads the frame the shader drew before the current one. */
+export const PREVIOUS_FRAME_SAMPLER = 'u_prev_frame';
+
+export interface ShaderBufferPass {
+  /** Sampler that reads the buffer. */
+  sampler: string;
+  /** Function with the `processColor` signature that draws the buffer. */
+  entryPoint: string;
+}
+
+export interface ShaderFeedbackSamplers {
+  /** `u_prev_frame` samplers, namespaced when timeline steps are composed. */
+  previousFrame: string[];
+  /** `@buffer` passes, drawn in declaration order before the shader itself. */
+  buffers: ShaderBufferPass[];
+}
+
+/**
+ * Reads the feedback samplers a shader opts into: `uniform sampler2D
+ * u_prev_frame;` for its own previous output, and buffer passes such as
+ * `uniform sampler2D trail; // @buffer drawTrail`, where `drawTrail` renders
+ * the buffer and every pass can sample every buffer.
+ */
+export function parseFeedbackSamplers(code: string): ShaderFeedbackSamplers {
+  const previousFrame = Array.from(
+    code.matchAll(/uniform\s+sampler2D\s+((?:[a-zA-Z0-9_]+_)?u_prev_frame)\s*;/g),
+    (match) => match[1],
+  );
+  const buffers = Array.from(
+    code.matchAll(
+      /uniform\s+sampler2D\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*;\s*\/\/.*@buffer\s+([a-zA-Z_]\w*)/g,
+    ),
+    ([, sampler, entryPoint]) => ({ sampler, entryPoint }),
+  );
+
+  return { previousFrame, buffers };
+}
+
 export function syncUniformValues(
   currentValues: Record<string, ShaderUniformValue>,
   definitions: ShaderUniformMap,
@@ -141,7 +451,10 @@ export function syncUniformValues(
   const nextValues: Record<string, ShaderUniformValue> = {};
 
   for (const [name, definition] of Object.entries(definitions)) {
-    if (currentValues[name] === undefined) {
+    if (
+      currentValues[name] === undefined ||
+      !isUniformValueCompatible(currentValues[name], definition)
+    ) {
       nextValues[name] = definition.default;
       changed = true;
       continue;
@@ -166,7 +479,7 @@ function scoreShaderCandidate(candidate: string): number {
   if (/vec4\s+processColor\s*\(/.test(candidate)) {
     score += 500;
   }
-  if (/uniform\s+(float|int|vec3|bool)\s+/.test(candidate)) {
+  if (/uniform\s+(float|int|vec2|vec3|vec4|bool)\s+/.test(candidate)) {
     score += 250;
   }
 
@@ -176,7 +489,7 @@ function scoreShaderCandidate(candidate: string): number {
 function trimToShaderStart(text: string): string {
   const patterns = [
     /\/\/\s*NAME:/i,
-    /uniform\s+(float|int|vec3|bool)\s+/,
+    /uniform\s+(float|int|vec2|vec3|vec4|bool)\s+/,
     /vec4\s+processColor\s*\(/,
   ];
 
@@ -268,6 +581,14 @@ export function validateGeneratedShader(code: string): string {
     problems.push('must not write directly to gl_FragColor inside the generated shader body');
   }
 
+  if (/^[ \t]*(?:layout\s*\([^)]*\)\s*)?out\s+\w+\s+\w+\s*;/m.test(trimmed)) {
+    problems.push('must not declare its own fragment output because the app injects it');
+  }
+
+  if (/^[ \t]*#version\b/m.test(trimmed) && getShaderDialect(trimmed) !== 'glsl300es') {
+    problems.push('uses an unsupported #version line (only #version 300 es is allowed)');
+  }
+
   if (/```|`/.test(trimmed)) {
     problems.push('contains markdown fence characters instead of pure GLSL');
   }
@@ -279,6 +600,14 @@ export function validateGeneratedShader(code: string): string {
   return trimmed;
 }
 
-export function buildFragmentShaderSource(code: string): string {
-  return `${FRAGMENT_SHADER_HEADER}\n${code}\n${FRAGMENT_SHADER_FOOTER}`;
+/** `entryPoint` picks the function main() draws, such as a `@buffer` pass. */
+export function buildFragmentShaderSource(code: string, entryPoint = 'processColor'): string {
+  if (getShaderDialect(code) === 'glsl300es') {
+    const body = code.replace(VERSION_DIRECTIVE_PATTERN, '');
+    const footer = FRAGMENT_SHADER_FOOTER_GLSL300ES.replace('processColor', entryPoint);
+    return `${FRAGMENT_SHADER_HEADER_GLSL300ES}\n${body}\n${footer}`;
+  }
+
+  const footer = FRAGMENT_SHADER_FOOTER.replace('processColor', entryPoint);
+  return `${FRAGMENT_SHADER_HEADER}\n${code}\n${footer}`;
 }
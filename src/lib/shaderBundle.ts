@@ -0,0 +1,261 @@
+import {
+  clampTimelineStepDuration,
+  clampTransitionDuration,
+  createTimelineShaderStep,
+  normalizeTimelineTransitionEffect,
+} from './timeline.ts';
+import { normalizeUniformAutomationLanes } from './uniformAutomation.ts';
+import type {
+  SavedShader,
+  ShaderAudioReactiveBindingMap,
+  ShaderTemplate,
+  ShaderTextureBindingMap,
+  ShaderUniformValueMap,
+  TimelineStub,
+  TimelineTransitionEffect,
+  UniformAutomationLane,
+} from '../types';
+
+export const SHADER_BUNDLE_FORMAT = 'mapshroom-shader-bundle';
+export const SHADER_BUNDLE_VERSION = 1;
+const SHADER_TEMPLATES: ShaderTemplate[] = ['stage', 'drawing', 'sculpture'];
+
+type TimelineStep = TimelineStub['shaderSequence']['steps'][number];
+
+export interface ShaderBundleEntry {
+  id: string;
+  name: string;
+  code: string;
+  description?: string;
+  template?: SavedShader['template'];
+  group?: string;
+  inputAssetId?: string | null;
+  uniformValues: ShaderUniformValueMap;
+  sliderValues: ShaderUniformValueMap;
+  /** Audio-reactive bindings from the exporting session, when it had any. */
+  audioReactiveBindings?: ShaderAudioReactiveBindingMap;
+  /** `@asset` input bindings; asset IDs only resolve in the exporting project. */
+  textureBindings?: ShaderTextureBindingMap;
+  sourceShaderId?: string;
+  isActive: boolean;
+  timelineStepIds: string[];
+}
+
+export interface ShaderBundleTimelineStep {
+  id: string;
+  shaderId: string;
+  disabled: boolean;
+  durationSeconds: number;
+  transitionDurationSeconds: number;
+  transitionEffect: TimelineTransitionEffect;
+  /** Missing from bundles written before steps had automation. */
+  automationLanes?: UniformAutomationLane[];
+}
+
+export interface ShaderBundle {
+  format: typeof SHADER_BUNDLE_FORMAT;
+  version: number;
+  exportedAt: string;
+  project: {
+    sessionId: string;
+    name: string;
+  };
+  activeShaderId: string;
+  activeShaderSliderValues: ShaderUniformValueMap;
+  shaderCount: number;
+  timeline: {
+    shaderIds: string[];
+    steps: ShaderBundleTimelineStep[];
+  };
+  shaders: ShaderBundleEntry[];
+}
+
+export interface ShaderBundleImportEntry {
+  shader: ShaderBundleEntry;
+  /** Shader already in the project with identical code, if any. */
+  duplicateOf: SavedShader | null;
+}
+
+export type ShaderBundleTimelineMode = 'merge' | 'replace' | 'none';
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readUniformValues(value: unknown): ShaderUniformValueMap {
+  return isRecord(value) ? (value as ShaderUniformValueMap) : {};
+}
+
+/** Shader source without line-ending and trailing-whitespace differences. */
+function normalizeShaderCode(code: string): string {
+  return code
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((line) => line.trimEnd())
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Hash of shader source that ignores line endings and trailing whitespace, so
+ * the same shader saved on another machine or editor still matches.
+ */
+export function getShaderCodeHash(code: string): string {
+  const normalized = normalizeShaderCode(code);
+  let hash = 2166136261;
+  for (let index = 0; index < normalized.length; index += 1) {
+    hash ^= normalized.charCodeAt(index);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/** Validates a `mapshroom-shader-bundle` file, dropping shaders and steps it cannot use. */
+export function parseShaderBundle(source: string): ShaderBundle {
+  let value: unknown;
+  try {
+    value = JSON.parse(source);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (!isRecord(value) || value.format !== SHADER_BUNDLE_FORMAT || !Array.isArray(value.shaders)) {
+    throw new Error('The file is not a Mapshroom shader bundle.');
+  }
+  if (typeof value.version !== 'number' || value.version > SHADER_BUNDLE_VERSION) {
+    throw new Error('This shader bundle was made by a newer version of Mapshroom.');
+  }
+
+  const shaders = value.shaders
+    .filter(
+      (shader): shader is Record<string, unknown> =>
+        isRecord(shader) &&
+        typeof shader.id === 'string' &&
+        typeof shader.code === 'string' &&
+        shader.code.trim().length > 0,
+    )
+    .map(
+      (shader): ShaderBundleEntry => ({
+        id: shader.id as string,
+        name:
+          typeof shader.name === 'string' && shader.name.trim() ? shader.name : 'Imported Shader',
+        code: shader.code as string,
+        description: typeof shader.description === 'string' ? shader.description : undefined,
+        template: SHADER_TEMPLATES.includes(shader.template as ShaderTemplate)
+          ? (shader.template as ShaderTemplate)
+          : undefined,
+        group: typeof shader.group === 'string' ? shader.group : undefined,
+        inputAssetId: typeof shader.inputAssetId === 'string' ? shader.inputAssetId : null,
+        uniformValues: readUniformValues(shader.uniformValues),
+        sliderValues: readUniformValues(shader.sliderValues ?? shader.uniformValues),
+        audioReactiveBindings: isRecord(shader.audioReactiveBindings)
+          ? (shader.audioReactiveBindings as ShaderAudioReactiveBindingMap)
+          : undefined,
+        textureBindings: isRecord(shader.textureBindings)
+          ? (shader.textureBindings as ShaderTextureBindingMap)
+          : undefined,
+        isActive: shader.isActive === true,
+        timelineStepIds: Array.isArray(shader.timelineStepIds)
+          ? shader.timelineStepIds.filter((id): id is string => typeof id === 'string')
+          : [],
+      }),
+    );
+  if (shaders.length === 0) {
+    throw new Error('The shader bundle does not contain any shaders.');
+  }
+
+  const shaderIds = new Set(shaders.map((shader) => shader.id));
+  const timeline = isRecord(value.timeline) ? value.timeline : {};
+  const steps = (Array.isArray(timeline.steps) ? timeline.steps : [])
+    .filter(
+      (step): step is Record<string, unknown> =>
+        isRecord(step) && typeof step.shaderId === 'string' && shaderIds.has(step.shaderId),
+    )
+    .map(
+      (step): ShaderBundleTimelineStep => ({
+        id: typeof step.id === 'string' ? step.id : '',
+        shaderId: step.shaderId as string,
+        disabled: step.disabled === true,
+        durationSeconds: clampTimelineStepDuration(Number(step.durationSeconds) || 8),
+        transitionDurationSeconds: Math.max(0, Number(step.transitionDurationSeconds) || 0),
+        transitionEffect: normalizeTimelineTransitionEffect(step.transitionEffect),
+        automationLanes: normalizeUniformAutomationLanes(step.automationLanes),
+      }),
+    );
+  const project = isRecord(value.project) ? value.project : {};
+
+  return {
+    format: SHADER_BUNDLE_FORMAT,
+    version: value.version,
+    exportedAt: typeof value.exportedAt === 'string' ? value.exportedAt : '',
+    project: {
+      sessionId: typeof project.sessionId === 'string' ? project.sessionId : '',
+      name: typeof project.name === 'string' ? project.name : '',
+    },
+    activeShaderId: typeof value.activeShaderId === 'string' ? value.activeShaderId : '',
+    activeShaderSliderValues: readUniformValues(value.activeShaderSliderValues),
+    shaderCount: shaders.length,
+    timeline: {
+      shaderIds: [...new Set(steps.map((step) => step.shaderId))],
+      steps,
+    },
+    shaders,
+  };
+}
+
+/**
+ * Pairs every bundle shader with the project shader it duplicates. The code
+ * hash only narrows the candidates; a 32-bit hash can collide, so the
+ * normalized code has to match too.
+ */
+export function planShaderBundleImport(
+  bundle: ShaderBundle,
+  savedShaders: SavedShader[],
+): ShaderBundleImportEntry[] {
+  const shadersByHash = new Map<string, SavedShader[]>();
+  savedShaders
+    .filter((shader) => !shader.isTemporary)
+    .forEach((shader) => {
+      const hash = getShaderCodeHash(shader.code);
+      shadersByHash.set(hash, [...(shadersByHash.get(hash) ?? []), shader]);
+    });
+
+  return bundle.shaders.map((shader) => {
+    const code = normalizeShaderCode(shader.code);
+    return {
+      shader,
+      duplicateOf:
+        shadersByHash
+          .get(getShaderCodeHash(shader.code))
+          ?.find((candidate) => normalizeShaderCode(candidate.code) === code) ?? null,
+    };
+  });
+}
+
+/**
+ * Timeline steps for the bundle, pointed at the project shader each bundle
+ * shader was imported as. Steps for shaders that were not imported are left out.
+ */
+export function createShaderBundleTimelineSteps(
+  bundle: ShaderBundle,
+  shaderIdMap: ReadonlyMap<string, string>,
+): TimelineStep[] {
+  return bundle.timeline.steps.flatMap((step) => {
+    const shaderId = shaderIdMap.get(step.shaderId);
+    if (!shaderId) {
+      return [];
+    }
+    return [
+      {
+        ...createTimelineShaderStep(shaderId),
+        disabled: step.disabled,
+        durationSeconds: step.durationSeconds,
+        transitionDurationSeconds: clampTransitionDuration(
+          step.durationSeconds,
+          step.transitionDurationSeconds,
+        ),
+        transitionEffect: step.transitionEffect,
+        automationLanes: step.automationLanes ?? [],
+      },
+    ];
+  });
+}
@@ -0,0 +1,87 @@
+/**
+ * Ping-pong state of one feedback buffer. Slot `currentIndex` holds the newest
+ * frame and the other slot holds the frame before it.
+ */
+export interface FeedbackHistory {
+  currentIndex: 0 | 1;
+  /** Render time of the newest frame, or null while the buffer is empty. */
+  writtenAtSeconds: number | null;
+}
+
+export interface FeedbackWrite {
+  history: FeedbackHistory;
+  /** Slot the frame is drawn into. */
+  writeIndex: 0 | 1;
+  /** Slot holding the frame before it, which the pass samples. */
+  readIndex: 0 | 1;
+}
+
+export const EMPTY_FEEDBACK_HISTORY: FeedbackHistory = {
+  currentIndex: 0,
+  writtenAtSeconds: null,
+};
+
+// Copies a feedback frame out. Feedback buffers are stored upright, so the
+// copy flips uv.y back when it draws onto the stage.
+export const FEEDBACK_COPY_VERTEX_SHADER_SOURCE = `
+attribute vec2 a_position;
+uniform float u_flip_y;
+varying vec2 v_uv;
+
+void main() {
+    v_uv = a_position * 0.5 + 0.5;
+    v_uv.y = mix(v_uv.y, 1.0 - v_uv.y, u_flip_y);
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
+
+export const FEEDBACK_COPY_FRAGMENT_SHADER_SOURCE = `
+precision highp float;
+uniform sampler2D u_image;
+varying vec2 v_uv;
+
+void main() {
+    gl_FragColor = texture2D(u_image, v_uv);
+}`;
+
+function getOtherSlot(index: 0 | 1): 0 | 1 {
+  return index === 0 ? 1 : 0;
+}
+
+/**
+ * True when the history holds frames from after `timeSeconds`. The stage then
+ * starts the buffer over, so seeking back, looping and every export of a
+ * timeline replay the feedback from an empty buffer.
+ */
+export function isFeedbackHistoryAhead(history: FeedbackHistory, timeSeconds: number): boolean {
+  return history.writtenAtSeconds !== null && timeSeconds < history.writtenAtSeconds;
+}
+
+/**
+ * Slots for drawing the frame at `timeSeconds`. Feedback advances once per
+ * render time: drawing the same time again, as a paused stage or an export
+ * waiting on its frame does, redraws the newest frame from the same previous
+ * one instead of feeding it back into itself.
+ */
+export function beginFeedbackWrite(history: FeedbackHistory, timeSeconds: number): FeedbackWrite {
+  if (history.writtenAtSeconds === timeSeconds) {
+    return {
+      history,
+      writeIndex: history.currentIndex,
+      readIndex: getOtherSlot(history.currentIndex),
+    };
+  }
+
+  const writeIndex = getOtherSlot(history.currentIndex);
+  return {
+    history: { currentIndex: writeIndex, writtenAtSeconds: timeSeconds },
+    writeIndex,
+    readIndex: history.currentIndex,
+  };
+}
+
+/** Slot with the newest frame drawn before `timeSeconds`. */
+export function getFeedbackReadIndex(history: FeedbackHistory, timeSeconds: number): 0 | 1 {
+  return history.writtenAtSeconds === timeSeconds
+    ? getOtherSlot(history.currentIndex)
+    : history.currentIndex;
+}
@@ -0,0 +1,779 @@
+import type { ShaderUniformDefinition } from '../types';
+import {
+  getShaderDialect,
+  parseFeedbackSamplers,
+  parseShaderName,
+  parseTextureInputs,
+  parseUniforms,
+  PREVIOUS_FRAME_SAMPLER,
+  SHADER_NOISE_FUNCTIONS,
+} from './shader.ts';
+import { sanitizeFileName } from './fileNames.ts';
+
+export type ShaderSourceFormat = 'shadertoy' | 'isf';
+
+export interface ShaderSourceConversion {
+  format: ShaderSourceFormat;
+  name: string;
+  description: string;
+  /** Shader with a `// NAME:` header and a `processColor` function. */
+  code: string;
+  /** Features of the source that were approximated or left out. */
+  warnings: string[];
+}
+
+export interface IsfExport {
+  code: string;
+  warnings: string[];
+}
+
+export const SHADER_SOURCE_FORMAT_LABELS: Record<ShaderSourceFormat, string> = {
+  shadertoy: 'Shadertoy',
+  isf: 'ISF',
+};
+
+interface IsfPass {
+  target: string | null;
+  persistent: boolean;
+}
+
+interface FunctionRange {
+  start: number;
+  end: number;
+}
+
+type IsfInput = Record<string, unknown>;
+
+const ISF_HEADER_PATTERN = /^\s*\/\*\s*(\{[\s\S]*?\})\s*\*\//;
+const SHADERTOY_MAIN_PATTERN =
+  /void\s+mainImage\s*\(\s*out\s+vec4\s+(\w+)\s*,\s*(?:in\s+)?vec2\s+(\w+)\s*\)/;
+const ISF_MAIN_PATTERN = /void\s+main\s*\(\s*(?:void\s*)?\)/;
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const VERSION_LINE_PATTERN = /^[ \t]*#version\b.*\n?/gm;
+// Helper names a conversion adds. Each pass through the converter nests the
+// copies already in a shader one `source_` deeper, so none of them collide.
+const RESERVED_IDENTIFIER_PATTERN = /\b((?:source_)*(?:isf|shadertoy|mapshroom)[A-Z]\w*)/g;
+// Long inputs list each value, so int ranges wider than this are cut short.
+const ISF_LONG_VALUE_LIMIT = 128;
+// Exported feedback shaders keep their frame in a `u_prev_frame` target. On the
+// way back in it is an ordinary buffer pass, so it must not read as the
+// stage's own u_prev_frame sampler.
+const ISF_PREVIOUS_FRAME_TARGET = 'isfPrevFrame';
+
+// Shadertoy uniforms the stage has no source for, with the value that stands in.
+const SHADERTOY_APPROXIMATIONS: Array<[RegExp, string, string]> = [
+  [/\biTimeDelta\b/g, '(1.0 / 60.0)', 'iTimeDelta is fixed at 1/60 s.'],
+  [/\biFrameRate\b/g, '60.0', 'iFrameRate is fixed at 60.'],
+  [/\biFrame\b/g, 'int(u_time * 60.0)', 'iFrame counts 60 frames per second of stage time.'],
+  [/\biDate\b/g, 'vec4(0.0, 0.0, 0.0, u_time)', 'iDate only carries the stage time in .w.'],
+  [/\biChannelTime\s*\[\s*\d\s*\]/g, 'u_time', 'iChannelTime reads the stage time.'],
+  [
+    /\biChannelResolution\s*\[\s*\d\s*\]/g,
+    'vec3(u_resolution, 1.0)',
+    'iChannelResolution reads the stage resolution.',
+  ],
+  [/\biSampleRate\b/g, '44100.0', 'iSampleRate is fixed at 44100.'],
+];
+
+const ISF_APPROXIMATIONS: Array<[RegExp, string, string]> = [
+  [/\bTIMEDELTA\b/g, '(1.0 / 60.0)', 'TIMEDELTA is fixed at 1/60 s.'],
+  [/\bFRAMEINDEX\b/g, 'int(u_time * 60.0)', 'FRAMEINDEX counts 60 frames per second.'],
+  [/\bDATE\b/g, 'vec4(0.0, 0.0, 0.0, u_time)', 'DATE only carries the stage time in .w.'],
+  [/\bIMG_SIZE\s*\(\s*\w+\s*\)/g, 'u_resolution', 'IMG_SIZE reads the stage resolution.'],
+];
+
+// Shadertoy and ISF count y up from the bottom of the frame while the stage
+// uv counts down from the top, so both flip coordinates on the way in.
+const SHADERTOY_TEXTURE_FUNCTION = `
+vec4 shadertoyTexture(sampler2D channel, vec2 coord) {
+    return texture(channel, vec2(coord.x, 1.0 - coord.y));
+}`;
+
+const ISF_PIXEL_FUNCTIONS = `
+vec4 isfNormPixel(sampler2D image, vec2 coord) {
+    return texture2D(image, vec2(coord.x, 1.0 - coord.y));
+}
+
+vec4 isfPixel(sampler2D image, vec2 coord) {
+    return isfNormPixel(image, coord / u_resolution);
+}`;
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function toNumber(value: unknown, fallback: number): number {
+  return typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+}
+
+function toNumbers(value: unknown): number[] {
+  return Array.isArray(value)
+    ? value.filter((item): item is number => typeof item === 'number' && Number.isFinite(item))
+    : [];
+}
+
+// Annotation text runs up to the next `@`, so labels and options must not contain one.
+function toAnnotationText(value: unknown): string {
+  return typeof value === 'string' ? value.replace(/[@|\r\n]+/g, ' ').trim() : '';
+}
+
+function formatLabel(value: unknown): string {
+  const label = toAnnotationText(value);
+  return label ? ` @label ${label}` : '';
+}
+
+function formatShaderName(name: string, fallback: string): string {
+  return name.replace(/[\r\n]+/g, ' ').trim() || fallback;
+}
+
+/** The first function matching `signature`, from its return type to its closing brace. */
+function findFunctionRange(code: string, signature: RegExp): FunctionRange | null {
+  const match = signature.exec(code);
+  if (!match) {
+    return null;
+  }
+
+  let depth = 0;
+  const open = code.indexOf('{', match.index + match[0].length);
+  for (let index = Math.max(open, 0); open >= 0 && index < code.length; index += 1) {
+    if (code[index] === '{') {
+      depth += 1;
+    } else if (code[index] === '}' && --depth === 0) {
+      return { start: match.index, end: index + 1 };
+    }
+  }
+
+  return null;
+}
+
+function replaceOutsideRange(
+  code: string,
+  range: FunctionRange,
+  pattern: RegExp,
+  replacement: string,
+): { code: string; replaced: boolean } {
+  const before = code.slice(0, range.start);
+  const after = code.slice(range.end);
+  const nextBefore = before.replace(pattern, replacement);
+  const nextAfter = after.replace(pattern, replacement);
+
+  return {
+    code: nextBefore + code.slice(range.start, range.end) + nextAfter,
+    replaced: nextBefore !== before || nextAfter !== after,
+  };
+}
+
+/**
+ * Clears the way for the helpers a conversion adds: shaders that already went
+ * through an import or an export have their own copies, which are renamed,
+ * and the noise helpers an export writes out are dropped again.
+ */
+function prepareSourceBody(code: string, entryPointName: string): string {
+  return code
+    .replace(SHADER_NOISE_FUNCTIONS.trim(), '')
+    .replace(VERSION_LINE_PATTERN, '')
+    .replace(RESERVED_IDENTIFIER_PATTERN, 'source_$1')
+    .replace(/\bprocessColor\b/g, entryPointName);
+}
+
+function applyApproximations(
+  code: string,
+  approximations: Array<[RegExp, string, string]>,
+  warnings: string[],
+): string {
+  return approximations.reduce((currentCode, [pattern, replacement, warning]) => {
+    const nextCode = currentCode.replace(pattern, replacement);
+    if (nextCode !== currentCode) {
+      warnings.push(warning);
+    }
+    return nextCode;
+  }, code);
+}
+
+/** Shadertoy for a `mainImage` entry point, ISF for a leading JSON comment. */
+export function detectShaderSourceFormat(source: string): ShaderSourceFormat | null {
+  if (ISF_HEADER_PATTERN.test(source)) {
+    return 'isf';
+  }
+
+  return /\bvoid\s+mainImage\s*\(/.test(source) ? 'shadertoy' : null;
+}
+
+/**
+ * Wraps a Shadertoy `mainImage` in `processColor`. iChannel0 is the image the
+ * shader runs on and iChannel1-3 become `@asset` texture inputs.
+ */
+export function convertShadertoyShader(source: string, name: string): ShaderSourceConversion {
+  const warnings: string[] = [];
+  let body = prepareSourceBody(source, 'shadertoyProcessColor');
+  if (!SHADERTOY_MAIN_PATTERN.test(body)) {
+    throw new Error('No mainImage(out vec4 fragColor, in vec2 fragCoord) function was found.');
+  }
+
+  // The stage passes u_time and u_resolution as processColor's time and resolution.
+  body = body
+    .replace(/\biTime\b/g, 'u_time')
+    .replace(/\biResolution\b/g, 'vec3(u_resolution, 1.0)');
+  body = applyApproximations(body, SHADERTOY_APPROXIMATIONS, warnings);
+
+  const usesMouse = /\biMouse\b/.test(body);
+  if (usesMouse) {
+    body = body.replace(/\biMouse\b/g, 'vec4(shadertoyMouse * u_resolution, 0.0, 0.0)');
+    warnings.push('iMouse follows the Mouse pad; clicks are not tracked.');
+  }
+
+  const unflippedReads = new Set(
+    Array.from(
+      body.matchAll(/\b(textureLod|textureGrad|textureProj|texelFetch)\s*\(\s*iChannel[0-3]\b/g),
+      (match) => match[1],
+    ),
+  );
+  if (unflippedReads.size) {
+    warnings.push(`${[...unflippedReads].join(', ')} reads of iChannels come out upside down.`);
+  }
+  const bodyWithChannelReads = body.replace(
+    /\btexture(?:2D)?\s*\(\s*(iChannel[0-3])\b/g,
+    'shadertoyTexture($1',
+  );
+  const readsTextures = bodyWithChannelReads !== body;
+  body = bodyWithChannelReads;
+
+  if (/\b(?:samplerCube|textureCube)\b/.test(body)) {
+    warnings.push('Cubemap channels are not supported.');
+  }
+  if (/\bmainSound\s*\(/.test(body)) {
+    warnings.push('mainSound is not supported; only the image pass was imported.');
+  }
+
+  // iChannel0 becomes a mainImage parameter, because timeline transitions run
+  // shaders on images other than u_image.
+  body = body.replace(
+    SHADERTOY_MAIN_PATTERN,
+    (_match, colorName: string, coordName: string) =>
+      `void mainImage(out vec4 ${colorName}, in vec2 ${coordName}, sampler2D iChannel0)`,
+  );
+  const mainRange = findFunctionRange(body, /void\s+mainImage\s*\(/);
+  if (mainRange) {
+    const outside = replaceOutsideRange(body, mainRange, /\biChannel0\b/g, 'u_image');
+    body = outside.code;
+    if (outside.replaced) {
+      warnings.push('iChannel0 outside mainImage reads the stage image during transitions too.');
+    }
+  }
+
+  const channels = [1, 2, 3].filter((index) => new RegExp(`\\biChannel${index}\\b`).test(body));
+  if (channels.length) {
+    warnings.push(
+      `Bind ${channels.map((index) => `iChannel${index}`).join(', ')} to library assets ` +
+        'under Texture Inputs. Buffer tabs are not imported.',
+    );
+  }
+
+  const shaderName = formatShaderName(name, 'Shadertoy Import');
+  const declarations = [
+    ...channels.map(
+      (index) => `uniform sampler2D iChannel${index}; // @asset @label Channel ${index}`,
+    ),
+    ...(usesMouse ? ['uniform vec2 shadertoyMouse; // @default 0.5,0.5 @label Mouse'] : []),
+  ];
+  const code = [
+    `// NAME: ${shaderName}`,
+    '#version 300 es',
+    ...declarations,
+    ...(readsTextures ? [SHADERTOY_TEXTURE_FUNCTION] : []),
+    '',
+    body.trim(),
+    '',
+    `vec4 processColor(sampler2D tex, vec2 uv, float time, vec2 resolution) {
+    vec4 color = vec4(0.0, 0.0, 0.0, 1.0);
+    mainImage(color, vec2(uv.x, 1.0 - uv.y) * resolution, tex);
+    return vec4(color.rgb, 1.0);
+}`,
+  ].join('\n');
+
+  return {
+    format: 'shadertoy',
+    name: shaderName,
+    description: 'Imported from Shadertoy.',
+    code,
+    warnings,
+  };
+}
+
+function convertIsfInput(input: IsfInput, warnings: string[]): string | null {
+  const name = typeof input.NAME === 'string' ? input.NAME : '';
+  const type = typeof input.TYPE === 'string' ? input.TYPE : '';
+  if (!IDENTIFIER_PATTERN.test(name)) {
+    warnings.push('Skipped an input without a valid NAME.');
+    return null;
+  }
+
+  const label = formatLabel(input.LABEL);
+  switch (type) {
+    case 'float': {
+      const min = toNumber(input.MIN, 0);
+      const max = toNumber(input.MAX, 1);
+      return (
+        `uniform float ${name}; // @min ${min} @max ${max} ` +
+        `@default ${toNumber(input.DEFAULT, min)}${label}`
+      );
+    }
+    case 'long': {
+      const values = toNumbers(input.VALUES);
+      const labels = Array.isArray(input.LABELS) ? input.LABELS.map(toAnnotationText) : [];
+      const defaultValue = toNumber(input.DEFAULT, values[0] ?? 0);
+      if (
+        values.length > 0 &&
+        labels.length === values.length &&
+        values.every((value, index) => value === index)
+      ) {
+        return (
+          `uniform int ${name}; // @options ${labels.join('|')} ` +
+          `@default ${Math.max(0, values.indexOf(defaultValue))}${label}`
+        );
+      }
+      if (labels.length) {
+        warnings.push(`"${name}" lists values other than 0, 1, 2…, so it became a plain range.`);
+      }
+      const min = values.length ? Math.min(...values) : toNumber(input.MIN, 0);
+      const max = values.length ? Math.max(...values) : toNumber(input.MAX, 1);
+      return (
+        `uniform int ${name}; // @min ${min} @max ${max} @step 1 ` +
+        `@default ${defaultValue}${label}`
+      );
+    }
+    case 'event':
+      warnings.push(`Event "${name}" became a switch.`);
+      return `uniform bool ${name}; // @default false${label}`;
+    case 'bool':
+      return `uniform bool ${name}; // @default ${Boolean(input.DEFAULT)}${label}`;
+    case 'color': {
+      const channels = toNumbers(input.DEFAULT);
+      return `uniform vec4 ${name};${
+        channels.length ? ` // @default ${channels.join(',')}${label}` : label ? ` //${label}` : ''
+      }`;
+    }
+    case 'point2D': {
+      const channels = toNumbers(input.DEFAULT);
+      const mins = toNumbers(input.MIN);
+      const maxes = toNumbers(input.MAX);
+      const min = mins.length ? Math.min(...mins) : Math.min(0, ...channels);
+      const max = maxes.length ? Math.max(...maxes) : Math.max(1, ...channels);
+      return (
+        `uniform vec2 ${name}; // @min ${min} @max ${max}` +
+        `${channels.length ? ` @default ${channels.join(',')}` : ''}${label}`
+      );
+    }
+    case 'image':
+      return name === 'inputImage' ? null : `uniform sampler2D ${name}; // @asset${label}`;
+    case 'audio':
+    case 'audioFFT':
+      warnings.push(`Audio input "${name}" is not supported; it became a texture input.`);
+      return `uniform sampler2D ${name}; // @asset${label}`;
+    default:
+      warnings.push(`Input "${name}" has the unsupported type "${type}".`);
+      return null;
+  }
+}
+
+function readIsfPasses(header: Record<string, unknown>, warnings: string[]): IsfPass[] {
+  const passes = Array.isArray(header.PASSES) ? header.PASSES.filter(isRecord) : [];
+  if (passes.some((pass) => pass.WIDTH !== undefined || pass.HEIGHT !== undefined)) {
+    warnings.push('Pass WIDTH and HEIGHT are ignored; every buffer matches the stage.');
+  }
+  if (passes.some((pass) => pass.FLOAT)) {
+    warnings.push('FLOAT buffers are stored with 8 bits per channel.');
+  }
+
+  const readPasses = passes.map((pass) => ({
+    target:
+      typeof pass.TARGET === 'string' && IDENTIFIER_PATTERN.test(pass.TARGET)
+        ? pass.TARGET.replace(/^u_prev_frame$/, ISF_PREVIOUS_FRAME_TARGET)
+        : null,
+    persistent: Boolean(pass.PERSISTENT),
+  }));
+  return readPasses.length ? readPasses : [{ target: null, persistent: false }];
+}
+
+/**
+ * Rewrites an ISF fragment shader around `processColor`. INPUTS become
+ * annotated uniforms, `inputImage` is the image the shader runs on, and passes
+ * with a TARGET become `@buffer` passes.
+ */
+export function convertIsfShader(source: string, name: string): ShaderSourceConversion {
+  const headerMatch = source.match(ISF_HEADER_PATTERN);
+  if (!headerMatch) {
+    throw new Error('No ISF JSON header was found at the top of the file.');
+  }
+
+  let header: unknown;
+  try {
+    header = JSON.parse(headerMatch[1]);
+  } catch {
+    throw new Error('The ISF JSON header is not valid JSON.');
+  }
+  if (!isRecord(header)) {
+    throw new Error('The ISF JSON header is not an object.');
+  }
+
+  const warnings: string[] = [];
+  const shaderSource = source.slice(headerMatch[0].length);
+  let body = prepareSourceBody(shaderSource, 'isfProcessColor').replace(
+    /\bu_prev_frame\b/g,
+    ISF_PREVIOUS_FRAME_TARGET,
+  );
+  if (/^[ \t]*#version\b/m.test(shaderSource)) {
+    warnings.push('The #version line was removed; ISF shaders import as WebGL 1.0 GLSL.');
+  }
+  if (/^[ \t]*varying\b/m.test(body)) {
+    warnings.push('Custom ISF vertex shaders are not imported; varyings are left undefined.');
+  }
+
+  const inputs = Array.isArray(header.INPUTS) ? header.INPUTS.filter(isRecord) : [];
+  const declarations = inputs
+    .map((input) => convertIsfInput(input, warnings))
+    .filter((declaration): declaration is string => declaration !== null);
+  const imported = isRecord(header.IMPORTED) ? Object.keys(header.IMPORTED) : [];
+  imported.filter((key) => IDENTIFIER_PATTERN.test(key)).forEach((key) => {
+    declarations.push(`uniform sampler2D ${key}; // @asset @label ${key}`);
+  });
+  if (imported.length) {
+    warnings.push('IMPORTED images became texture inputs; bind them to library assets.');
+  }
+
+  const passes = readIsfPasses(header, warnings);
+  const finalPassIndex = passes.length - 1;
+  passes.forEach((pass, index) => {
+    if (pass.target) {
+      declarations.push(`uniform sampler2D ${pass.target}; // @buffer isfPass${index}`);
+    } else if (index < finalPassIndex) {
+      warnings.push(`Pass ${index + 1} has no TARGET, so nothing reads it and it was dropped.`);
+    }
+    if (pass.target && !pass.persistent) {
+      warnings.push(`Buffer "${pass.target}" keeps its previous frame like a PERSISTENT one.`);
+    }
+  });
+
+  body = body
+    .replace(
+      /\bIMG_THIS_(?:NORM_)?PIXEL\s*\(\s*(\w+)\s*\)/g,
+      'isfNormPixel($1, isf_FragNormCoord)',
+    )
+    .replace(/\bIMG_NORM_PIXEL\s*\(/g, 'isfNormPixel(')
+    .replace(/\bIMG_PIXEL\s*\(/g, 'isfPixel(')
+    .replace(/\bTIME\b/g, 'u_time')
+    .replace(/\bRENDERSIZE\b/g, 'u_resolution');
+  body = applyApproximations(body, ISF_APPROXIMATIONS, warnings);
+  const mainRange = findFunctionRange(body, ISF_MAIN_PATTERN);
+  if (!mainRange) {
+    throw new Error('No void main() function was found below the ISF header.');
+  }
+
+  // main() becomes isfMain, which takes the coordinate, the image and the pass
+  // it draws as parameters. Helper functions around it read the stage.
+  const main = body
+    .slice(mainRange.start, mainRange.end)
+    .replace(
+      ISF_MAIN_PATTERN,
+      'void isfMain(out vec4 isfFragColor, vec2 isfNormCoord, sampler2D isfImage, int isfPass)',
+    )
+    .replace(/\bgl_FragColor\b/g, 'isfFragColor')
+    .replace(/\bgl_FragCoord\b/g, 'vec4(isfNormCoord * u_resolution, 0.0, 1.0)')
+    .replace(/\bisf_FragNormCoord\b/g, 'isfNormCoord')
+    .replace(/\binputImage\b/g, 'isfImage')
+    .replace(/\bPASSINDEX\b/g, 'isfPass');
+  const mapOutsideMain = (code: string) =>
+    code
+      .replace(/\bisf_FragNormCoord\b/g, '(gl_FragCoord.xy / u_resolution)')
+      .replace(/\binputImage\b/g, 'u_image');
+  body =
+    mapOutsideMain(body.slice(0, mainRange.start)) +
+    main +
+    mapOutsideMain(body.slice(mainRange.end));
+
+  const credit = toAnnotationText(header.CREDIT);
+  const shaderName = formatShaderName(name, 'ISF Import');
+  const passFunctions = passes.flatMap((pass, index) =>
+    pass.target
+      ? [
+          `
+vec4 isfPass${index}(sampler2D tex, vec2 uv, float time, vec2 resolution) {
+    return isfRun(tex, uv, ${index});
+}`,
+        ]
+      : [],
+  );
+  const code = [
+    `// NAME: ${shaderName}`,
+    ...declarations,
+    ISF_PIXEL_FUNCTIONS,
+    '',
+    body.trim(),
+    `
+vec4 isfRun(sampler2D tex, vec2 uv, int passIndex) {
+    vec4 color = vec4(0.0);
+    isfMain(color, vec2(uv.x, 1.0 - uv.y), tex, passIndex);
+    return color;
+}`,
+    ...passFunctions,
+    `
+vec4 processColor(sampler2D tex, vec2 uv, float time, vec2 resolution) {
+    return isfRun(tex, uv, ${finalPassIndex});
+}`,
+  ].join('\n');
+
+  const description = typeof header.DESCRIPTION === 'string' ? header.DESCRIPTION.trim() : '';
+  return {
+    format: 'isf',
+    name: shaderName,
+    description: `${description || 'Imported from ISF.'}${credit ? ` By ${credit}.` : ''}`,
+    code,
+    warnings,
+  };
+}
+
+/** Converts a pasted Shadertoy or ISF shader, or throws when the format is not recognised. */
+export function convertShaderSource(source: string, name: string): ShaderSourceConversion {
+  const format = detectShaderSourceFormat(source);
+  if (format === 'isf') {
+    return convertIsfShader(source, name);
+  }
+  if (format === 'shadertoy') {
+    return convertShadertoyShader(source, name);
+  }
+
+  throw new Error('This is neither a Shadertoy shader with mainImage nor an ISF shader.');
+}
+
+function getLongValues(definition: ShaderUniformDefinition): number[] {
+  const step = Math.max(1, Math.round(definition.step ?? 1));
+  const values: number[] = [];
+  for (
+    let value = Math.round(definition.min);
+    value <= definition.max && values.length < ISF_LONG_VALUE_LIMIT;
+    value += step
+  ) {
+    values.push(value);
+  }
+
+  return values;
+}
+
+function createIsfInput(
+  name: string,
+  definition: ShaderUniformDefinition,
+  warnings: string[],
+): IsfInput {
+  const label = definition.label ? { LABEL: definition.label } : {};
+  switch (definition.type) {
+    case 'float':
+      return {
+        NAME: name,
+        TYPE: 'float',
+        DEFAULT: definition.default,
+        MIN: definition.min,
+        MAX: definition.max,
+        ...label,
+      };
+    case 'int': {
+      const values = definition.options
+        ? definition.options.map((_option, index) => index)
+        : getLongValues(definition);
+      if (values.length >= ISF_LONG_VALUE_LIMIT) {
+        warnings.push(`"${name}" lists its first ${ISF_LONG_VALUE_LIMIT} values only.`);
+      }
+      return {
+        NAME: name,
+        TYPE: 'long',
+        VALUES: values,
+        LABELS: definition.options ?? values.map(String),
+        DEFAULT: definition.default,
+        ...label,
+      };
+    }
+    case 'bool':
+      return { NAME: name, TYPE: 'bool', DEFAULT: definition.default, ...label };
+    case 'vec2':
+      return {
+        NAME: name,
+        TYPE: 'point2D',
+        DEFAULT: definition.default,
+        MIN: [definition.min, definition.min],
+        MAX: [definition.max, definition.max],
+        ...label,
+      };
+    case 'vec3':
+      return {
+        NAME: `${name}Color`,
+        TYPE: 'color',
+        DEFAULT: [...(definition.default as number[]), 1],
+        ...label,
+      };
+    case 'vec4':
+      return { NAME: name, TYPE: 'color', DEFAULT: definition.default, ...label };
+  }
+}
+
+/** Top-level arguments of the call whose `(` ends right before `start`. */
+function readCallArguments(
+  code: string,
+  start: number,
+): { values: string[]; end: number } | null {
+  const values: string[] = [];
+  let depth = 0;
+  let argumentStart = start;
+  for (let index = start; index < code.length; index += 1) {
+    const character = code[index];
+    if (character === '(') {
+      depth += 1;
+    } else if (character === ')' && depth > 0) {
+      depth -= 1;
+    } else if (character === ')' || (character === ',' && depth === 0)) {
+      values.push(code.slice(argumentStart, index).trim());
+      argumentStart = index + 1;
+      if (character === ')') {
+        return { values, end: index + 1 };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * ISF hosts expand IMG_NORM_PIXEL by the INPUTS or pass name, so every read
+ * has to name its image. Sampler parameters stand for the stage image the
+ * entry points are called with.
+ */
+function rewriteIsfTextureReads(code: string, samplerParameters: ReadonlySet<string>): string {
+  const pattern = /\btexture(?:2D)?\s*\(/g;
+  let rewritten = '';
+  let cursor = 0;
+  let match: RegExpExecArray | null = null;
+  while ((match = pattern.exec(code)) !== null) {
+    const call = readCallArguments(code, pattern.lastIndex);
+    if (!call) {
+      break;
+    }
+    const [image = '', coordinate = ''] = call.values;
+    const imageName = samplerParameters.has(image) ? 'inputImage' : image;
+    const point = rewriteIsfTextureReads(coordinate, samplerParameters);
+    const flippedPoint = IDENTIFIER_PATTERN.test(point) ? point : `(${point})`;
+    rewritten +=
+      `${code.slice(cursor, match.index)}IMG_NORM_PIXEL(${imageName}, ` +
+      `vec2(${flippedPoint}.x, 1.0 - ${flippedPoint}.y))`;
+    cursor = call.end;
+    pattern.lastIndex = call.end;
+  }
+  return rewritten + code.slice(cursor);
+}
+
+export function createIsfFileName(shaderName: string): string {
+  return `${sanitizeFileName(shaderName, 'mapshroom-shader')}.fs`;
+}
+
+/**
+ * Writes a shader as an ISF fragment shader for other VJ tools. Uniforms
+ * become INPUTS, texture inputs image INPUTS, and `@buffer` passes and
+ * `u_prev_frame` become persistent PASSES. Texture reads go through
+ * IMG_NORM_PIXEL, so the host can flip its images as it needs to.
+ */
+export function exportIsfShader(code: string): IsfExport {
+  const warnings: string[] = [];
+  const uniforms = parseUniforms(code);
+  const textureInputs = parseTextureInputs(code);
+  const { previousFrame, buffers } = parseFeedbackSamplers(code);
+  const usesPreviousFrame = previousFrame.includes(PREVIOUS_FRAME_SAMPLER);
+
+  const inputs: IsfInput[] = [
+    { NAME: 'inputImage', TYPE: 'image' },
+    ...Object.entries(uniforms).map(([name, definition]) =>
+      createIsfInput(name, definition, warnings),
+    ),
+    ...Object.entries(textureInputs).map(([name, input]) => {
+      if (input.companion) {
+        warnings.push(`"${name}" is a plain image; ISF hosts have no ${input.companion} maps.`);
+      }
+      return { NAME: name, TYPE: 'image', ...(input.label ? { LABEL: input.label } : {}) };
+    }),
+  ];
+  const passes = [
+    ...buffers.map(({ sampler }) => ({ TARGET: sampler, PERSISTENT: true })),
+    ...(usesPreviousFrame ? [{ TARGET: PREVIOUS_FRAME_SAMPLER, PERSISTENT: true }] : []),
+  ];
+  const header = {
+    DESCRIPTION: `${parseShaderName(code)}, exported from Mapshroom`,
+    ISFVSN: '2',
+    CATEGORIES: ['Mapshroom'],
+    INPUTS: inputs,
+    ...(passes.length ? { PASSES: [...passes, {}] } : {}),
+  };
+
+  if (getShaderDialect(code) === 'glsl300es') {
+    warnings.push('ISF hosts compile WebGL 1.0 GLSL; GLSL ES 3.00 syntax may need porting.');
+  }
+
+  const entryPoints = new Set(['processColor', ...buffers.map(({ entryPoint }) => entryPoint)]);
+  const samplerParameters = new Set<string>();
+  for (const [, functionName, parameters] of code.matchAll(
+    /\b\w+\s+(\w+)\s*\(([^)]*)\)\s*\{/g,
+  )) {
+    const samplers = [...parameters.matchAll(/\bsampler2D\s+(\w+)/g)].map(([, name]) => name);
+    samplers.forEach((name) => samplerParameters.add(name));
+    if (samplers.length && !entryPoints.has(functionName)) {
+      warnings.push(`"${functionName}" takes an image; in ISF it reads inputImage.`);
+    }
+  }
+
+  const passColors = [
+    ...buffers.map(({ entryPoint }) => `${entryPoint}(u_image, uv, u_time, u_resolution)`),
+    ...(usesPreviousFrame ? ['processColor(u_image, uv, u_time, u_resolution)'] : []),
+  ];
+  const finalColor = usesPreviousFrame
+    ? `IMG_THIS_NORM_PIXEL(${PREVIOUS_FRAME_SAMPLER})`
+    : 'processColor(u_image, uv, u_time, u_resolution)';
+  const mainBody = passColors.length
+    ? [
+        ...passColors.map(
+          (color, index) =>
+            `    ${index ? '} else ' : ''}if (PASSINDEX == ${index}) {\n` +
+            `        gl_FragColor = ${color};`,
+        ),
+        `    } else {\n        gl_FragColor = ${finalColor};\n    }`,
+      ].join('\n')
+    : `    gl_FragColor = ${finalColor};`;
+  const main = `void main() {
+    // Mapshroom uv counts down from the top of the frame.
+    vec2 uv = vec2(isf_FragNormCoord.x, 1.0 - isf_FragNormCoord.y);
+${mainBody}
+}`;
+
+  // ISF declares INPUTS and pass targets itself.
+  const declaredNames = [
+    ...Object.keys(uniforms),
+    ...Object.keys(textureInputs),
+    ...buffers.map(({ sampler }) => sampler),
+    ...(usesPreviousFrame ? [PREVIOUS_FRAME_SAMPLER] : []),
+  ];
+  const body = declaredNames
+    .reduce(
+      (nextCode, name) =>
+        nextCode.replace(
+          new RegExp(`^[ \\t]*uniform\\s+\\w+\\s+${name}\\s*;.*$`, 'm'),
+          uniforms[name]?.type === 'vec3' ? `#define ${name} (${name}Color.rgb)` : '',
+        ),
+      `${code.replace(/^\s*\/\/\s*NAME:.*$/im, '').trim()}\n\n${main}`,
+    )
+    .replace(VERSION_LINE_PATTERN, '')
+    .replace(RESERVED_IDENTIFIER_PATTERN, 'source_$1')
+    .replace(/\bu_image\b/g, 'inputImage')
+    .replace(/\bu_time\b/g, 'TIME')
+    .replace(/\bu_resolution\b/g, 'RENDERSIZE');
+
+  return {
+    code: `/*${JSON.stringify(header, null, 2)}*/
+${SHADER_NOISE_FUNCTIONS}
+${rewriteIsfTextureReads(body, samplerParameters).trim()}
+`,
+    warnings,
+  };
+}
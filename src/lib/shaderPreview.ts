@@ -1,4 +1,14 @@
-import { buildFragmentShaderSource, parseUniforms, VERTEX_SHADER_SOURCE } from './shader';
+import {
+  buildFragmentShaderSource,
+  createShaderRenderingContext,
+  getShaderDialect,
+  getVertexShaderSource,
+  parseUniforms,
+  setShaderUniform,
+  supportsShaderDialect,
+  VERTEX_SHADER_SOURCE,
+  VERTEX_SHADER_SOURCE_GLSL300ES,
+} from './shader.ts';
 import type { AssetKind, ShaderUniformValueMap } from '../types';
 
 const PREVIEW_WIDTH = 160;
@@ -13,6 +23,8 @@ export interface ShaderPreviewRenderer {
   quadBuffer: WebGLBuffer;
   texture: WebGLTexture;
   vertexShader: WebGLShader;
+  /** Only compiled when the preview context is WebGL2. */
+  vertexShaderGlsl300es: WebGLShader | null;
 }
 
 function createPreviewSourceFromDrawable(
@@ -133,12 +145,31 @@ export function createPreviewMessageDataUrl(message: string) {
   return canvas.toDataURL('image/webp', PREVIEW_IMAGE_QUALITY);
 }
 
+/**
+ * The program sources for a single-pass thumbnail of `shaderCode`, or null
+ * when the context is WebGL 1.0 and the shader is written for WebGL2.
+ */
+export function getShaderPreviewSources(
+  shaderCode: string,
+  supportsGlsl300es: boolean,
+): { vertexSource: string; fragmentSource: string } | null {
+  const dialect = getShaderDialect(shaderCode);
+  if (dialect === 'glsl300es' && !supportsGlsl300es) {
+    return null;
+  }
+
+  return {
+    vertexSource: getVertexShaderSource(dialect),
+    fragmentSource: buildFragmentShaderSource(shaderCode),
+  };
+}
+
 function createShaderPreviewRenderer(): ShaderPreviewRenderer | null {
   const canvas = document.createElement('canvas');
   canvas.width = PREVIEW_WIDTH;
   canvas.height = PREVIEW_HEIGHT;
 
-  const gl = canvas.getContext('webgl', {
+  const gl = createShaderRenderingContext(canvas, {
     alpha: false,
     antialias: false,
     preserveDrawingBuffer: true,
@@ -172,6 +203,19 @@ function createShaderPreviewRenderer(): ShaderPreviewRenderer | null {
     return null;
   }
 
+  let vertexShaderGlsl300es: WebGLShader | null = null;
+  if (supportsShaderDialect(gl, 'glsl300es')) {
+    vertexShaderGlsl300es = gl.createShader(gl.VERTEX_SHADER);
+    if (vertexShaderGlsl300es) {
+      gl.shaderSource(vertexShaderGlsl300es, VERTEX_SHADER_SOURCE_GLSL300ES);
+      gl.compileShader(vertexShaderGlsl300es);
+      if (!gl.getShaderParameter(vertexShaderGlsl300es, gl.COMPILE_STATUS)) {
+        gl.deleteShader(vertexShaderGlsl300es);
+        vertexShaderGlsl300es = null;
+      }
+    }
+  }
+
   gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
   gl.bufferData(
     gl.ARRAY_BUFFER,
@@ -192,6 +236,7 @@ function createShaderPreviewRenderer(): ShaderPreviewRenderer | null {
     quadBuffer,
     texture,
     vertexShader,
+    vertexShaderGlsl300es,
   };
 }
 
@@ -203,6 +248,9 @@ export function destroyShaderPreviewRenderer(renderer: ShaderPreviewRenderer | n
   renderer.gl.deleteTexture(renderer.texture);
   renderer.gl.deleteBuffer(renderer.quadBuffer);
   renderer.gl.deleteShader(renderer.vertexShader);
+  if (renderer.vertexShaderGlsl300es) {
+    renderer.gl.deleteShader(renderer.vertexShaderGlsl300es);
+  }
   renderer.gl.getExtension('WEBGL_lose_context')?.loseContext();
 }
 
@@ -226,7 +274,15 @@ export function renderShaderPreviewToDataUrl(
     return createPreviewMessageDataUrl('Preview unavailable');
   }
 
-  const { gl, canvas: renderCanvas, quadBuffer, texture, vertexShader } = renderer;
+  const { gl, canvas: renderCanvas, quadBuffer, texture } = renderer;
+  const vertexShader =
+    getShaderDialect(shaderCode) === 'glsl300es'
+      ? renderer.vertexShaderGlsl300es
+      : renderer.vertexShader;
+  if (!vertexShader) {
+    return createPreviewMessageDataUrl('Needs WebGL2');
+  }
+
   const fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
   if (!fragmentShader) {
     return createPreviewMessageDataUrl('Preview unavailable');
@@ -296,15 +352,7 @@ export function renderShaderPreviewToDataUrl(
       continue;
     }
 
-    const value = uniformValues?.[name] ?? definition.default;
-
-    if (definition.type === 'float' || definition.type === 'int') {
-      gl.uniform1f(location, Number(value));
-    } else if (definition.type === 'bool') {
-      gl.uniform1i(location, value ? 1 : 0);
-    } else if (definition.type === 'vec3' && Array.isArray(value)) {
-      gl.uniform3fv(location, value);
-    }
+    setShaderUniform(gl, location, definition, uniformValues?.[name] ?? definition.default);
   }
 
   gl.drawArrays(gl.TRIANGLES, 0, 6);
@@ -1,9 +1,13 @@
 import type { SavedShader, ShaderUniformValueMap } from '../types';
 import {
   buildFragmentShaderSource,
+  createShaderRenderingContext,
+  getShaderDialect,
+  getVertexShaderSource,
+  GLSL300ES_UNSUPPORTED_MESSAGE,
   parseUniforms,
+  supportsShaderDialect,
   syncUniformValues,
-  VERTEX_SHADER_SOURCE,
 } from './shader';
 
 const EMPTY_UNIFORM_VALUES: ShaderUniformValueMap = {};
@@ -65,7 +69,7 @@ export function validateShaderCodeCompilation(code: string): string | null {
 
   try {
     const canvas = document.createElement('canvas');
-    gl = canvas.getContext('webgl', {
+    gl = createShaderRenderingContext(canvas, {
       alpha: false,
       antialias: false,
       preserveDrawingBuffer: false,
@@ -80,7 +84,11 @@ export function validateShaderCodeCompilation(code: string): string | null {
   }
 
   try {
-    const vertexShader = compileShaderRaw(gl, gl.VERTEX_SHADER, VERTEX_SHADER_SOURCE);
+    const dialect = getShaderDialect(code);
+    if (!supportsShaderDialect(gl, dialect)) {
+      throw new Error(GLSL300ES_UNSUPPORTED_MESSAGE);
+    }
+    const vertexShader = compileShaderRaw(gl, gl.VERTEX_SHADER, getVertexShaderSource(dialect));
     const fragmentShader = compileShaderRaw(
       gl,
       gl.FRAGMENT_SHADER,
@@ -0,0 +1,75 @@
+import type {
+  AssetCompanionKind,
+  AssetRecord,
+  ShaderTextureBinding,
+  ShaderTextureBindingMap,
+  ShaderTextureInputMap,
+} from '../types';
+
+export const SHADER_TEXTURE_COMPANION_LABELS: Record<AssetCompanionKind, string> = {
+  depth: 'Depth map of the shader asset',
+  mask: 'Mask of the shader asset',
+};
+
+/** The stored binding of an input, or the companion its `@asset` annotation asks for. */
+export function getTextureInputBinding(
+  name: string,
+  inputs: ShaderTextureInputMap,
+  bindings: ShaderTextureBindingMap | undefined,
+): ShaderTextureBinding | null {
+  const binding = bindings?.[name];
+  if (binding) {
+    return binding;
+  }
+
+  const companion = inputs[name]?.companion ?? null;
+  return companion ? { source: 'companion', kind: companion } : null;
+}
+
+/**
+ * Newest depth map or mask made from `assetId`. A derived asset shares the
+ * companions of its source, so a depth map on stage still finds the mask.
+ */
+export function findAssetCompanion(
+  assets: readonly AssetRecord[],
+  assetId: string | null,
+  kind: AssetCompanionKind,
+): AssetRecord | null {
+  if (!assetId) {
+    return null;
+  }
+
+  const sourceId = assets.find((asset) => asset.id === assetId)?.derivedFrom?.assetId ?? assetId;
+  return (
+    assets.findLast(
+      (asset) => asset.derivedFrom?.assetId === sourceId && asset.derivedFrom.kind === kind,
+    ) ?? null
+  );
+}
+
+/**
+ * Asset each texture input samples when the shader runs on `baseAssetId`.
+ * Inputs resolve to null when unbound or when the asset is gone, and the
+ * stage then leaves the sampler black.
+ */
+export function resolveTextureInputAssetIds(
+  inputs: ShaderTextureInputMap,
+  bindings: ShaderTextureBindingMap | undefined,
+  assets: readonly AssetRecord[],
+  baseAssetId: string | null,
+): Record<string, string | null> {
+  return Object.fromEntries(
+    Object.keys(inputs).map((name) => {
+      const binding = getTextureInputBinding(name, inputs, bindings);
+      if (!binding) {
+        return [name, null];
+      }
+
+      if (binding.source === 'companion') {
+        return [name, findAssetCompanion(assets, baseAssetId, binding.kind)?.id ?? null];
+      }
+
+      return [name, assets.some((asset) => asset.id === binding.assetId) ? binding.assetId : null];
+    }),
+  );
+}
@@ -0,0 +1,433 @@
+import type { ProjectDocument } from '../types';
+
+/** Switches the Output windows to a project at a time of day. */
+export interface ShowScheduleEntry {
+  id: string;
+  label: string;
+  /** Days of the week it runs on, 0 for Sunday. */
+  days: number[];
+  /** Minutes after local midnight. */
+  startMinutes: number;
+  sessionId: string;
+  /** 1-based main-sequence step to hold, or null to play the timeline from the start. */
+  stepNumber: number | null;
+}
+
+/**
+ * Hours the Output windows stay black. A window that ends before it starts
+ * runs past midnight into the next day.
+ */
+export interface ShowScheduleBlackout {
+  id: string;
+  /** Days of the week the window starts on, 0 for Sunday. */
+  days: number[];
+  startMinutes: number;
+  endMinutes: number;
+}
+
+/** A fast clock for trying a schedule out; it starts at `clockStartMs` when switched on. */
+export interface ShowScheduleSimulation {
+  startedAtMs: number;
+  clockStartMs: number;
+  speed: number;
+}
+
+export interface ShowSchedule {
+  enabled: boolean;
+  /** Output windows catch up with the entry already running when they open. */
+  startOnLoad: boolean;
+  entries: ShowScheduleEntry[];
+  blackouts: ShowScheduleBlackout[];
+  simulation: ShowScheduleSimulation | null;
+}
+
+export type ShowScheduleLogKind = 'entry' | 'resume' | 'blackout-start' | 'blackout-end';
+
+export interface ShowScheduleLogLine {
+  /** Same in every Output window, so windows running side by side log once. */
+  id: string;
+  atMs: number;
+  kind: ShowScheduleLogKind;
+  label: string;
+  simulated: boolean;
+}
+
+const SHOW_SCHEDULE_STORAGE_KEY = 'mapshroom-v3:show-schedule';
+const SHOW_SCHEDULE_LOG_STORAGE_KEY = 'mapshroom-v3:show-schedule-log';
+const SHOW_SCHEDULE_LOG_LIMIT = 200;
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_MINUTE = 60 * 1000;
+/** Entries repeat weekly, so the running one started at most a week ago. */
+const LOOKBACK_DAYS = 7;
+
+export const SHOW_SCHEDULE_WEEKDAYS = [
+  { day: 1, label: 'Mon' },
+  { day: 2, label: 'Tue' },
+  { day: 3, label: 'Wed' },
+  { day: 4, label: 'Thu' },
+  { day: 5, label: 'Fri' },
+  { day: 6, label: 'Sat' },
+  { day: 0, label: 'Sun' },
+];
+
+export const SHOW_SCHEDULE_SIMULATION_SPEEDS = [60, 600, 3600];
+
+export const DEFAULT_SHOW_SCHEDULE: ShowSchedule = {
+  enabled: false,
+  startOnLoad: true,
+  entries: [],
+  blackouts: [],
+  simulation: null,
+};
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function normalizeMinutes(value: unknown): number {
+  const minutes = Math.round(Number(value));
+  return Number.isFinite(minutes) ? Math.max(0, Math.min(MINUTES_PER_DAY - 1, minutes)) : 0;
+}
+
+function normalizeDays(value: unknown): number[] {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+
+  return [...new Set(value)]
+    .filter((day): day is number => Number.isInteger(day) && day >= 0 && day <= 6)
+    .sort((left, right) => left - right);
+}
+
+export function formatShowScheduleTime(minutes: number): string {
+  const safeMinutes = normalizeMinutes(minutes);
+  return `${String(Math.floor(safeMinutes / 60)).padStart(2, '0')}:${String(
+    safeMinutes % 60,
+  ).padStart(2, '0')}`;
+}
+
+/** Reads the `HH:MM` value of a time input. */
+export function parseShowScheduleTime(value: string): number | null {
+  const match = /^(\d{1,2}):(\d{2})/.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+export function createShowScheduleEntry(
+  sessionId: string,
+  entryNumber: number,
+): ShowScheduleEntry {
+  return {
+    id: crypto.randomUUID(),
+    label: `Entry ${entryNumber}`,
+    days: [0, 1, 2, 3, 4, 5, 6],
+    startMinutes: 10 * 60,
+    sessionId,
+    stepNumber: null,
+  };
+}
+
+export function createShowScheduleBlackout(): ShowScheduleBlackout {
+  return {
+    id: crypto.randomUUID(),
+    days: [0, 1, 2, 3, 4, 5, 6],
+    startMinutes: 23 * 60,
+    endMinutes: 8 * 60,
+  };
+}
+
+export function normalizeShowSchedule(value: unknown): ShowSchedule {
+  if (!isRecord(value)) {
+    return DEFAULT_SHOW_SCHEDULE;
+  }
+
+  const entries = (Array.isArray(value.entries) ? value.entries : []).flatMap(
+    (entry, index): ShowScheduleEntry[] => {
+      if (
+        !isRecord(entry) ||
+        typeof entry.id !== 'string' ||
+        typeof entry.sessionId !== 'string' ||
+        !entry.sessionId
+      ) {
+        return [];
+      }
+
+      const stepNumber = Math.round(Number(entry.stepNumber));
+      return [
+        {
+          id: entry.id,
+          label:
+            typeof entry.label === 'string' && entry.label.trim()
+              ? entry.label
+              : `Entry ${index + 1}`,
+          days: normalizeDays(entry.days),
+          startMinutes: normalizeMinutes(entry.startMinutes),
+          sessionId: entry.sessionId,
+          stepNumber: entry.stepNumber !== null && stepNumber >= 1 ? stepNumber : null,
+        },
+      ];
+    },
+  );
+  const blackouts = (Array.isArray(value.blackouts) ? value.blackouts : []).flatMap(
+    (blackout): ShowScheduleBlackout[] =>
+      isRecord(blackout) && typeof blackout.id === 'string'
+        ? [
+            {
+              id: blackout.id,
+              days: normalizeDays(blackout.days),
+              startMinutes: normalizeMinutes(blackout.startMinutes),
+              endMinutes: normalizeMinutes(blackout.endMinutes),
+            },
+          ]
+        : [],
+  );
+  const simulation = isRecord(value.simulation) ? value.simulation : null;
+  const speed = Number(simulation?.speed);
+
+  return {
+    enabled: value.enabled === true,
+    startOnLoad: value.startOnLoad !== false,
+    entries,
+    blackouts,
+    simulation:
+      simulation &&
+      Number.isFinite(simulation.startedAtMs) &&
+      Number.isFinite(simulation.clockStartMs) &&
+      Number.isFinite(speed) &&
+      speed > 0
+        ? {
+            startedAtMs: Number(simulation.startedAtMs),
+            clockStartMs: Number(simulation.clockStartMs),
+            speed,
+          }
+        : null,
+  };
+}
+
+/** Time on the schedule's clock, which runs fast while a simulation is on. */
+export function getShowScheduleClockMs(schedule: ShowSchedule, realNowMs: number): number {
+  const { simulation } = schedule;
+  return simulation
+    ? simulation.clockStartMs + (realNowMs - simulation.startedAtMs) * simulation.speed
+    : realNowMs;
+}
+
+/** Real time at which the schedule's clock reads `clockMs`. */
+export function getShowScheduleRealMs(schedule: ShowSchedule, clockMs: number): number {
+  const { simulation } = schedule;
+  return simulation
+    ? simulation.startedAtMs + (clockMs - simulation.clockStartMs) / simulation.speed
+    : clockMs;
+}
+
+/** Local midnights from the day of `fromMs` to the day of `toMs`. */
+function listLocalMidnights(fromMs: number, toMs: number): Date[] {
+  const days: Date[] = [];
+  const cursor = new Date(fromMs);
+  cursor.setHours(0, 0, 0, 0);
+  while (cursor.getTime() <= toMs) {
+    days.push(new Date(cursor));
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return days;
+}
+
+function getLocalTimeMs(midnight: Date, minutes: number): number {
+  const time = new Date(midnight);
+  time.setHours(0, minutes, 0, 0);
+  return time.getTime();
+}
+
+/** Entries starting after `fromMs` and up to `toMs`, oldest first. */
+export function listShowScheduleTriggers(
+  schedule: ShowSchedule,
+  fromMs: number,
+  toMs: number,
+): Array<{ entry: ShowScheduleEntry; atMs: number }> {
+  const safeFromMs = Math.max(fromMs, toMs - (LOOKBACK_DAYS + 1) * MINUTES_PER_DAY * MS_PER_MINUTE);
+  return listLocalMidnights(safeFromMs, toMs)
+    .flatMap((midnight) =>
+      schedule.entries
+        .filter((entry) => entry.days.includes(midnight.getDay()))
+        .map((entry) => ({ entry, atMs: getLocalTimeMs(midnight, entry.startMinutes) })),
+    )
+    .filter(({ atMs }) => atMs > safeFromMs && atMs <= toMs)
+    .sort((left, right) => left.atMs - right.atMs);
+}
+
+/** The entry that should be on the Output windows at `clockMs`, and when it started. */
+export function resolveShowScheduleEntry(
+  schedule: ShowSchedule,
+  clockMs: number,
+): { entry: ShowScheduleEntry; atMs: number } | null {
+  const triggers = listShowScheduleTriggers(
+    schedule,
+    clockMs - LOOKBACK_DAYS * MINUTES_PER_DAY * MS_PER_MINUTE,
+    clockMs,
+  );
+  return triggers[triggers.length - 1] ?? null;
+}
+
+function getBlackoutDurationMinutes(blackout: ShowScheduleBlackout): number {
+  return (blackout.endMinutes - blackout.startMinutes + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+}
+
+/** The blackout window running at `clockMs`, if any. */
+export function resolveShowScheduleBlackout(
+  schedule: ShowSchedule,
+  clockMs: number,
+): { startMs: number; endMs: number } | null {
+  // A window that started yesterday can still be running.
+  const midnights = listLocalMidnights(clockMs - MINUTES_PER_DAY * MS_PER_MINUTE, clockMs);
+  for (const blackout of schedule.blackouts) {
+    for (const midnight of midnights) {
+      if (!blackout.days.includes(midnight.getDay())) {
+        continue;
+      }
+
+      const startMs = getLocalTimeMs(midnight, blackout.startMinutes);
+      const endMs = startMs + getBlackoutDurationMinutes(blackout) * MS_PER_MINUTE;
+      if (clockMs >= startMs && clockMs < endMs) {
+        return { startMs, endMs };
+      }
+    }
+  }
+
+  return null;
+}
+
+/** What the week view draws in one day's column, in minutes after midnight. */
+export function getShowScheduleCalendarDay(
+  schedule: ShowSchedule,
+  day: number,
+): {
+  blackouts: Array<{ id: string; startMinutes: number; endMinutes: number }>;
+  entries: ShowScheduleEntry[];
+} {
+  const previousDay = (day + 6) % 7;
+  const blackouts = schedule.blackouts.flatMap((blackout) => {
+    const ranges: Array<{ id: string; startMinutes: number; endMinutes: number }> = [];
+    const runsPastMidnight = blackout.endMinutes < blackout.startMinutes;
+    if (blackout.days.includes(day) && blackout.startMinutes !== blackout.endMinutes) {
+      ranges.push({
+        id: `${blackout.id}:start`,
+        startMinutes: blackout.startMinutes,
+        endMinutes: runsPastMidnight ? MINUTES_PER_DAY : blackout.endMinutes,
+      });
+    }
+    if (runsPastMidnight && blackout.days.includes(previousDay) && blackout.endMinutes > 0) {
+      ranges.push({ id: `${blackout.id}:end`, startMinutes: 0, endMinutes: blackout.endMinutes });
+    }
+    return ranges;
+  });
+
+  return {
+    blackouts,
+    entries: schedule.entries
+      .filter((entry) => entry.days.includes(day))
+      .sort((left, right) => left.startMinutes - right.startMinutes),
+  };
+}
+
+/** Adds lines to the log, skipping ones another Output window already wrote. */
+export function appendShowScheduleLog(
+  log: ShowScheduleLogLine[],
+  lines: ShowScheduleLogLine[],
+): ShowScheduleLogLine[] {
+  const loggedIds = new Set(log.map((line) => line.id));
+  const newLines = lines.filter((line) => !loggedIds.has(line.id));
+  return newLines.length ? [...log, ...newLines].slice(-SHOW_SCHEDULE_LOG_LIMIT) : log;
+}
+
+/**
+ * Plays a scheduled entry on a project: the timeline from the start, or one
+ * step held in a loop. `anchorTimestampMs` is the entry's start on the
+ * `performance.now()` clock, so every Output window plays in step.
+ */
+export function applyShowScheduleEntry(
+  project: ProjectDocument,
+  entry: ShowScheduleEntry,
+  anchorTimestampMs: number,
+): ProjectDocument {
+  const sequence = project.timeline.stub.shaderSequence;
+  const heldStep = entry.stepNumber === null ? null : sequence.steps[entry.stepNumber - 1];
+
+  return {
+    ...project,
+    playback: {
+      ...project.playback,
+      transport: {
+        ...project.playback.transport,
+        isPlaying: true,
+        currentTimeSeconds: 0,
+        renderTimeOffsetSeconds: 0,
+        anchorTimestampMs,
+      },
+    },
+    timeline: {
+      stub: {
+        ...project.timeline.stub,
+        shaderSequence: {
+          ...sequence,
+          stagePreviewMode: 'timeline',
+          focusedStepId: heldStep?.id ?? sequence.focusedStepId,
+          singleStepLoopEnabled: Boolean(heldStep),
+        },
+      },
+    },
+  };
+}
+
+export function loadShowSchedule(): ShowSchedule {
+  try {
+    const raw = localStorage.getItem(SHOW_SCHEDULE_STORAGE_KEY);
+    return normalizeShowSchedule(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    console.warn('Unable to load the show schedule.', error);
+    return DEFAULT_SHOW_SCHEDULE;
+  }
+}
+
+export function saveShowSchedule(schedule: ShowSchedule): void {
+  try {
+    localStorage.setItem(SHOW_SCHEDULE_STORAGE_KEY, JSON.stringify(schedule));
+  } catch (error) {
+    console.warn('Unable to save the show schedule.', error);
+  }
+}
+
+/** Whether a storage event changed the schedule or its log. */
+export function isShowScheduleStorageKey(key: string | null): boolean {
+  return key === SHOW_SCHEDULE_STORAGE_KEY || key === SHOW_SCHEDULE_LOG_STORAGE_KEY;
+}
+
+export function loadShowScheduleLog(): ShowScheduleLogLine[] {
+  try {
+    const parsed: unknown = JSON.parse(localStorage.getItem(SHOW_SCHEDULE_LOG_STORAGE_KEY) ?? '[]');
+    return Array.isArray(parsed)
+      ? parsed.filter(
+          (line): line is ShowScheduleLogLine =>
+            isRecord(line) &&
+            typeof line.id === 'string' &&
+            typeof line.atMs === 'number' &&
+            typeof line.label === 'string',
+        )
+      : [];
+  } catch (error) {
+    console.warn('Unable to load the show schedule log.', error);
+    return [];
+  }
+}
+
+export function saveShowScheduleLog(log: ShowScheduleLogLine[]): void {
+  try {
+    localStorage.setItem(SHOW_SCHEDULE_LOG_STORAGE_KEY, JSON.stringify(log));
+  } catch (error) {
+    console.warn('Unable to save the show schedule log.', error);
+  }
+}
@@ -5,7 +5,11 @@ import {
   ASSET_DB_VERSION,
   ASSET_STORE_NAME,
   DEFAULT_SHADERS,
+  OPEN_WORKSPACE_LOCK_NAME,
+  PROJECT_FOLDER_STORE_NAME,
   PROJECT_LIBRARY_STORAGE_KEY,
+  PROJECT_RECORD_STORE_NAME,
+  PROJECT_SNAPSHOT_STORE_NAME,
   PROJECT_STORAGE_PREFIX,
   UI_STORAGE_KEY,
 } from '../config';
@@ -15,9 +19,21 @@ import {
   isBundledProjectSessionId,
 } from './bundledProjects';
 import { restoreTransport, snapshotTransport } from './clock';
+import { migrateProjectDocument, type MigrationReport } from './projectMigrations';
+import {
+  PROJECT_DOCUMENT_PART,
+  collectProjectAssetIds,
+  findOrphanedAssetBlobs,
+  joinProjectRecords,
+  planProjectRecordWrite,
+  splitProjectRecords,
+  type ProjectRecordParts,
+  type StoredAssetBlobSummary,
+} from './projectRecords';
 import type {
   ProjectDocument,
   ProjectLibraryEntry,
+  ProjectSnapshotRecord,
   SavedShader,
   ShaderUniformValueMap,
   UiPreferences,
@@ -26,6 +42,44 @@ import type {
 let cachedDbPromise: Promise<IDBDatabase | null> | null = null;
 const SHADER_SLIDER_CACHE_PREFIX = 'mapshroom-v3:shader-sliders:';
 const APP_STORAGE_PREFIX = 'mapshroom-v3:';
+const SNAPSHOT_SESSION_INDEX = 'sessionId';
+const PROJECT_RECORD_SESSION_INDEX = 'sessionId';
+const PROJECT_BACKUP_PART_PREFIX = 'backup:v';
+
+interface StoredProjectRecord {
+  id: string;
+  sessionId: string;
+  part: string;
+  json: string;
+}
+
+export interface ProjectStorageUsage {
+  sessionId: string;
+  name: string;
+  /** False for documents left behind by a project that is no longer listed. */
+  inLibrary: boolean;
+  documentBytes: number;
+  /** Shader versions, chat history and pre-upgrade backups. */
+  historyBytes: number;
+  snapshotBytes: number;
+  assetBytes: number;
+}
+
+export interface StorageUsageReport {
+  /** From `navigator.storage.estimate()`; null when the browser does not say. */
+  usageBytes: number | null;
+  quotaBytes: number | null;
+  persisted: boolean;
+  projects: ProjectStorageUsage[];
+  orphanedAssets: StoredAssetBlobSummary[];
+}
+
+/**
+ * What is in IndexedDB for each session, as last read or written. Saves are
+ * diffed against it so only changed records are rewritten.
+ */
+const storedProjectParts = new Map<string, ProjectRecordParts>();
+const projectWriteQueues = new Map<string, Promise<boolean>>();
 
 function getProjectStorageKey(sessionId: string): string {
   return `${PROJECT_STORAGE_PREFIX}${sessionId}`;
@@ -49,31 +103,120 @@ export function persistActiveSessionId(sessionId: string): void {
   localStorage.setItem(ACTIVE_SESSION_KEY, sessionId);
 }
 
-export function loadProjectDocument(sessionId: string): ProjectDocument | null {
+function getProjectRecordId(sessionId: string, part: string): string {
+  return `${sessionId}:${part}`;
+}
+
+function getByteLength(json: string): number {
+  return new Blob([json]).size;
+}
+
+async function readProjectRecords(sessionId: string): Promise<StoredProjectRecord[] | null> {
+  const database = await openDatabase();
+  if (!database) {
+    return null;
+  }
+
+  return new Promise((resolve) => {
+    const request = database
+      .transaction(PROJECT_RECORD_STORE_NAME, 'readonly')
+      .objectStore(PROJECT_RECORD_STORE_NAME)
+      .index(PROJECT_RECORD_SESSION_INDEX)
+      .getAll(sessionId);
+
+    request.onsuccess = () => resolve(request.result as StoredProjectRecord[]);
+    request.onerror = () => {
+      console.warn('Unable to read project records from IndexedDB.', request.error);
+      resolve(null);
+    };
+  });
+}
+
+function getProjectParts(records: readonly StoredProjectRecord[]): ProjectRecordParts {
+  return new Map(
+    records
+      .filter((record) => !record.part.startsWith(PROJECT_BACKUP_PART_PREFIX))
+      .map((record) => [record.part, record.json]),
+  );
+}
+
+/**
+ * Keeps the stored payload of a project from another version, once per
+ * version, so neither a failed nor a lossy upgrade can destroy it.
+ */
+async function backUpProjectPayload(
+  sessionId: string,
+  version: unknown,
+  json: string,
+): Promise<void> {
+  const part = `${PROJECT_BACKUP_PART_PREFIX}${String(version ?? 'unknown')}`;
+  const id = getProjectRecordId(sessionId, part);
+  const saved = await withStore(
+    'readwrite',
+    (store) => {
+      const request = store.getKey(id);
+      request.onsuccess = () => {
+        if (request.result === undefined) {
+          store.put({ id, sessionId, part, json } satisfies StoredProjectRecord);
+        }
+      };
+    },
+    PROJECT_RECORD_STORE_NAME,
+  );
+  if (!saved) {
+    console.warn('Unable to back up the project before upgrading it.');
+  }
+}
+
+/**
+ * Loads a project from IndexedDB. Projects still in localStorage from before
+ * the move are read from there and moved over on the way.
+ */
+export async function loadProjectDocument(
+  sessionId: string,
+  onMigrated?: (report: MigrationReport) => void,
+): Promise<ProjectDocument | null> {
   const bundledProject = createBundledProjectDocument(sessionId);
   if (bundledProject) {
     return bundledProject;
   }
 
-  const raw = localStorage.getItem(getProjectStorageKey(sessionId));
-  if (!raw) {
+  await projectWriteQueues.get(sessionId);
+  const records = await readProjectRecords(sessionId);
+  const parts = getProjectParts(records ?? []);
+  const legacyRaw = parts.has(PROJECT_DOCUMENT_PART)
+    ? null
+    : localStorage.getItem(getProjectStorageKey(sessionId));
+  if (!parts.has(PROJECT_DOCUMENT_PART) && !legacyRaw) {
     return null;
   }
 
   try {
-    const parsed = JSON.parse(raw) as ProjectDocument;
+    let parsed = legacyRaw
+      ? (JSON.parse(legacyRaw) as ProjectDocument)
+      : (joinProjectRecords(parts) as ProjectDocument);
+    if (records) {
+      storedProjectParts.set(sessionId, parts);
+    }
     if (parsed.version !== APP_VERSION) {
-      return null;
+      await backUpProjectPayload(sessionId, parsed.version, legacyRaw ?? JSON.stringify(parsed));
+      const migrated = migrateProjectDocument(parsed, APP_VERSION);
+      parsed = migrated.value;
+      onMigrated?.(migrated.report);
     }
-    return {
+    const project: ProjectDocument = {
       ...parsed,
       playback: {
         ...parsed.playback,
         transport: restoreTransport(parsed.playback.transport),
       },
     };
+    if (legacyRaw && records && (await saveProjectDocument(project))) {
+      localStorage.removeItem(getProjectStorageKey(sessionId));
+    }
+    return project;
   } catch (error) {
-    console.warn('Unable to parse persisted project document.', error);
+    console.warn('Unable to load persisted project document.', error);
     return null;
   }
 }
@@ -171,12 +314,14 @@ function createEmergencyProjectSnapshot(project: ProjectDocument): ProjectDocume
   };
 }
 
-export function saveProjectDocument(project: ProjectDocument): void {
+/** The pre-IndexedDB save, still used when this browser has no IndexedDB. */
+function saveProjectDocumentToLocalStorage(project: ProjectDocument): boolean {
   const storageKey = getProjectStorageKey(project.sessionId);
   const snapshot = createProjectSnapshot(project);
 
   try {
     localStorage.setItem(storageKey, JSON.stringify(snapshot));
+    return true;
   } catch (error) {
     const fallbackSnapshot = createEmergencyProjectSnapshot(project);
 
@@ -185,12 +330,74 @@ export function saveProjectDocument(project: ProjectDocument): void {
       console.warn(
         'Project snapshot exceeded localStorage quota. Saved a compact fallback snapshot instead.',
       );
+      return true;
     } catch (fallbackError) {
       console.warn('Unable to persist project document.', fallbackError ?? error);
+      return false;
     }
   }
 }
 
+async function writeProjectDocument(project: ProjectDocument): Promise<boolean> {
+  const database = await openDatabase();
+  if (!database) {
+    return saveProjectDocumentToLocalStorage(project);
+  }
+
+  const { sessionId } = project;
+  const nextParts = splitProjectRecords(createProjectSnapshot(project));
+  const previousParts =
+    storedProjectParts.get(sessionId) ??
+    getProjectParts((await readProjectRecords(sessionId)) ?? []);
+  const { put, remove } = planProjectRecordWrite(previousParts, nextParts);
+  if (put.size === 0 && remove.length === 0) {
+    return true;
+  }
+
+  const saved = await withStore(
+    'readwrite',
+    (store) => {
+      put.forEach((json, part) => {
+        store.put({
+          id: getProjectRecordId(sessionId, part),
+          sessionId,
+          part,
+          json,
+        } satisfies StoredProjectRecord);
+      });
+      remove.forEach((part) => store.delete(getProjectRecordId(sessionId, part)));
+    },
+    PROJECT_RECORD_STORE_NAME,
+  );
+  if (saved) {
+    storedProjectParts.set(sessionId, nextParts);
+  } else {
+    // The transaction was rolled back; re-read what is stored before the next save.
+    storedProjectParts.delete(sessionId);
+  }
+  return saved;
+}
+
+/**
+ * Saves `project`, rewriting only the records that changed since the last
+ * save. Saves of one project run in call order. Resolves false when nothing
+ * could be stored, most often because the storage quota is used up; unlike
+ * the old localStorage save, history is never dropped to make room.
+ */
+export function saveProjectDocument(project: ProjectDocument): Promise<boolean> {
+  const { sessionId } = project;
+  const write = (projectWriteQueues.get(sessionId) ?? Promise.resolve(true)).then(() =>
+    writeProjectDocument(project),
+  );
+  projectWriteQueues.set(sessionId, write);
+  void write.then(() => {
+    if (projectWriteQueues.get(sessionId) === write) {
+      projectWriteQueues.delete(sessionId);
+    }
+  });
+  return write;
+}
+
 export function loadProjectLibrary(): ProjectLibraryEntry[] {
   const raw = localStorage.getItem(PROJECT_LIBRARY_STORAGE_KEY);
   if (!raw) {
@@ -258,6 +465,9 @@ export function removeProjectFromLibrary(sessionId: string): ProjectLibraryEntry
 export function deletePersistedProject(sessionId: string): ProjectLibraryEntry[] {
   localStorage.removeItem(getProjectStorageKey(sessionId));
   localStorage.removeItem(getShaderSliderCacheKey(sessionId));
+  void deleteProjectRecords(sessionId);
+  void deleteProjectSnapshots(sessionId);
+  void deleteProjectFolderHandle(sessionId);
   return removeProjectFromLibrary(sessionId);
 }
 
@@ -327,6 +537,7 @@ export async function clearPersistedSiteData(): Promise<void> {
 
   openDatabaseHandle?.close();
   cachedDbPromise = null;
+  storedProjectParts.clear();
 
   if ('indexedDB' in window) {
     await new Promise<void>((resolve) => {
@@ -371,9 +582,30 @@ function openDatabase(): Promise<IDBDatabase | null> {
       if (!database.objectStoreNames.contains(ASSET_STORE_NAME)) {
         database.createObjectStore(ASSET_STORE_NAME, { keyPath: 'id' });
       }
+      if (!database.objectStoreNames.contains(PROJECT_SNAPSHOT_STORE_NAME)) {
+        database
+          .createObjectStore(PROJECT_SNAPSHOT_STORE_NAME, { keyPath: 'id' })
+          .createIndex(SNAPSHOT_SESSION_INDEX, 'sessionId');
+      }
+      if (!database.objectStoreNames.contains(PROJECT_RECORD_STORE_NAME)) {
+        database
+          .createObjectStore(PROJECT_RECORD_STORE_NAME, { keyPath: 'id' })
+          .createIndex(PROJECT_RECORD_SESSION_INDEX, 'sessionId');
+      }
+      if (!database.objectStoreNames.contains(PROJECT_FOLDER_STORE_NAME)) {
+        database.createObjectStore(PROJECT_FOLDER_STORE_NAME, { keyPath: 'sessionId' });
+      }
     };
 
-    request.onsuccess = () => resolve(request.result);
+    request.onsuccess = () => {
+      const database = request.result;
+      // Let a newer tab upgrade the schema instead of blocking it.
+      database.onversionchange = () => {
+        database.close();
+        cachedDbPromise = null;
+      };
+      resolve(database);
+    };
     request.onerror = () => {
       console.warn('Unable to open IndexedDB, blob persistence is disabled.', request.error);
       resolve(null);
@@ -386,6 +618,7 @@ function openDatabase(): Promise<IDBDatabase | null> {
 async function withStore(
   mode: IDBTransactionMode,
   callback: (store: IDBObjectStore) => void,
+  storeName = ASSET_STORE_NAME,
 ): Promise<boolean> {
   const database = await openDatabase();
   if (!database) {
@@ -393,8 +626,8 @@ async function withStore(
   }
 
   return new Promise((resolve) => {
-    const transaction = database.transaction(ASSET_STORE_NAME, mode);
-    const store = transaction.objectStore(ASSET_STORE_NAME);
+    const transaction = database.transaction(storeName, mode);
+    const store = transaction.objectStore(storeName);
     callback(store);
 
     transaction.oncomplete = () => resolve(true);
@@ -402,6 +635,11 @@ async function withStore(
       console.warn('IndexedDB transaction failed.', transaction.error);
       resolve(false);
     };
+    // Running out of quota aborts the transaction without a request error.
+    transaction.onabort = () => {
+      console.warn('IndexedDB transaction was aborted.', transaction.error);
+      resolve(false);
+    };
   });
 }
 
@@ -438,3 +676,328 @@ export async function getAssetBlob(id: string): Promise<Blob | null> {
     };
   });
 }
+
+/**
+ * Stores a named copy of `project`. Snapshots live in IndexedDB rather than
+ * localStorage, so they are kept whole instead of being compacted on quota.
+ */
+export async function saveProjectSnapshot(
+  project: ProjectDocument,
+  name: string,
+): Promise<ProjectSnapshotRecord | null> {
+  const record: ProjectSnapshotRecord = {
+    id: crypto.randomUUID(),
+    sessionId: project.sessionId,
+    name: name.trim() || 'Untitled snapshot',
+    createdAt: new Date().toISOString(),
+    project: createProjectSnapshot(project),
+  };
+  const saved = await withStore(
+    'readwrite',
+    (store) => {
+      store.put(record);
+    },
+    PROJECT_SNAPSHOT_STORE_NAME,
+  );
+  return saved ? restoreProjectSnapshotRecord(record) : null;
+}
+
+function restoreProjectSnapshotRecord(record: ProjectSnapshotRecord): ProjectSnapshotRecord {
+  return {
+    ...record,
+    project: {
+      ...record.project,
+      playback: {
+        ...record.project.playback,
+        transport: restoreTransport(record.project.playback.transport),
+      },
+    },
+  };
+}
+
+/** Snapshots of one project, newest first. */
+export async function loadProjectSnapshots(sessionId: string): Promise<ProjectSnapshotRecord[]> {
+  const database = await openDatabase();
+  if (!database) {
+    return [];
+  }
+
+  return new Promise((resolve) => {
+    const transaction = database.transaction(PROJECT_SNAPSHOT_STORE_NAME, 'readonly');
+    const request = transaction
+      .objectStore(PROJECT_SNAPSHOT_STORE_NAME)
+      .index(SNAPSHOT_SESSION_INDEX)
+      .getAll(sessionId);
+
+    request.onsuccess = () => {
+      const records = (request.result as ProjectSnapshotRecord[])
+        .filter((record) => record?.project && typeof record.createdAt === 'string')
+        .map(restoreProjectSnapshotRecord)
+        .sort((left, right) => right.createdAt.localeCompare(left.createdAt));
+      resolve(records);
+    };
+    request.onerror = () => {
+      console.warn('Unable to read project snapshots from IndexedDB.', request.error);
+      resolve([]);
+    };
+  });
+}
+
+export async function deleteProjectSnapshot(id: string): Promise<boolean> {
+  return withStore(
+    'readwrite',
+    (store) => {
+      store.delete(id);
+    },
+    PROJECT_SNAPSHOT_STORE_NAME,
+  );
+}
+
+async function deleteProjectSnapshots(sessionId: string): Promise<boolean> {
+  const snapshots = await loadProjectSnapshots(sessionId);
+  if (snapshots.length === 0) {
+    return true;
+  }
+  return withStore(
+    'readwrite',
+    (store) => {
+      snapshots.forEach((snapshot) => store.delete(snapshot.id));
+    },
+    PROJECT_SNAPSHOT_STORE_NAME,
+  );
+}
+
+async function deleteProjectRecords(sessionId: string): Promise<boolean> {
+  await projectWriteQueues.get(sessionId);
+  storedProjectParts.delete(sessionId);
+  return withStore(
+    'readwrite',
+    (store) => {
+      const request = store.index(PROJECT_RECORD_SESSION_INDEX).getAllKeys(sessionId);
+      request.onsuccess = () => {
+        request.result.forEach((key) => store.delete(key));
+      };
+    },
+    PROJECT_RECORD_STORE_NAME,
+  );
+}
+
+async function readAllRecords<T>(storeName: string): Promise<T[]> {
+  const database = await openDatabase();
+  if (!database) {
+    return [];
+  }
+
+  return new Promise((resolve) => {
+    const request = database.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result as T[]);
+    request.onerror = () => {
+      console.warn('Unable to read from IndexedDB.', request.error);
+      resolve([]);
+    };
+  });
+}
+
+/** Moves every project still saved in localStorage into IndexedDB. */
+async function moveLegacyProjectDocuments(): Promise<void> {
+  const sessionIds = Array.from({ length: localStorage.length }, (_, index) =>
+    localStorage.key(index),
+  )
+    .filter((key): key is string => Boolean(key?.startsWith(PROJECT_STORAGE_PREFIX)))
+    .map((key) => key.slice(PROJECT_STORAGE_PREFIX.length));
+  for (const sessionId of sessionIds) {
+    await loadProjectDocument(sessionId);
+  }
+}
+
+/**
+ * Sizes of everything this device keeps per project, the browser's overall
+ * usage estimate, and asset blobs no saved project or snapshot refers to.
+ * `retainedProjects` are unsaved documents whose media must not count as
+ * orphaned either, such as this tab's undo history.
+ */
+export async function loadStorageUsageReport(
+  retainedProjects: readonly ProjectDocument[] = [],
+): Promise<StorageUsageReport> {
+  await moveLegacyProjectDocuments();
+  const [records, snapshots, assetRecords] = await Promise.all([
+    readAllRecords<StoredProjectRecord>(PROJECT_RECORD_STORE_NAME),
+    readAllRecords<ProjectSnapshotRecord>(PROJECT_SNAPSHOT_STORE_NAME),
+    readAllRecords<{ id: string; blob: Blob }>(ASSET_STORE_NAME),
+  ]);
+  const assetBlobs = assetRecords
+    .filter((record) => record.blob instanceof Blob)
+    .map((record): StoredAssetBlobSummary => ({ id: record.id, size: record.blob.size }));
+  const assetSizes = new Map(assetBlobs.map((blob) => [blob.id, blob.size]));
+
+  const recordsBySession = new Map<string, StoredProjectRecord[]>();
+  records.forEach((record) => {
+    recordsBySession.set(record.sessionId, [
+      ...(recordsBySession.get(record.sessionId) ?? []),
+      record,
+    ]);
+  });
+  const libraryNames = new Map(
+    loadProjectLibrary().map((entry) => [entry.sessionId, entry.name]),
+  );
+
+  const documents: ProjectDocument[] = [];
+  const projects = [...recordsBySession].map(([sessionId, sessionRecords]) => {
+    const documentJson = getProjectParts(sessionRecords).get(PROJECT_DOCUMENT_PART);
+    let document: ProjectDocument | null = null;
+    try {
+      document = documentJson ? (JSON.parse(documentJson) as ProjectDocument) : null;
+    } catch (error) {
+      console.warn('Unable to parse a stored project document.', error);
+    }
+    if (document) {
+      documents.push(document);
+    }
+
+    const sessionSnapshots = snapshots.filter((snapshot) => snapshot.sessionId === sessionId);
+    const assetIds = new Set(document ? collectProjectAssetIds(document) : []);
+    sessionSnapshots.forEach((snapshot) => {
+      collectProjectAssetIds(snapshot.project).forEach((id) => assetIds.add(id));
+    });
+
+    return {
+      sessionId,
+      name: libraryNames.get(sessionId) ?? document?.name ?? 'Untitled Project',
+      inLibrary: libraryNames.has(sessionId),
+      documentBytes: documentJson ? getByteLength(documentJson) : 0,
+      historyBytes: sessionRecords
+        .filter((record) => record.part !== PROJECT_DOCUMENT_PART)
+        .reduce((total, record) => total + getByteLength(record.json), 0),
+      snapshotBytes: sessionSnapshots.reduce(
+        (total, snapshot) => total + getByteLength(JSON.stringify(snapshot.project)),
+        0,
+      ),
+      assetBytes: [...assetIds].reduce((total, id) => total + (assetSizes.get(id) ?? 0), 0),
+    } satisfies ProjectStorageUsage;
+  });
+
+  const estimate = await navigator.storage?.estimate?.().catch(() => null);
+  const persisted = (await navigator.storage?.persisted?.().catch(() => false)) ?? false;
+
+  return {
+    usageBytes: estimate?.usage ?? null,
+    quotaBytes: estimate?.quota ?? null,
+    persisted,
+    projects: projects.sort(
+      (left, right) =>
+        right.documentBytes + right.historyBytes + right.snapshotBytes + right.assetBytes -
+        (left.documentBytes + left.historyBytes + left.snapshotBytes + left.assetBytes),
+    ),
+    orphanedAssets: findOrphanedAssetBlobs(assetBlobs, [
+      ...documents,
+      ...snapshots.map((snapshot) => snapshot.project),
+      ...retainedProjects,
+    ]),
+  };
+}
+
+/**
+ * Holds a shared lock while a workspace tab is open, so storage cleanup can
+ * tell when another tab may still point at media it has not saved yet.
+ * Returns the release function.
+ */
+export function holdOpenWorkspaceLock(): () => void {
+  if (!navigator.locks) {
+    return () => {};
+  }
+
+  let release = () => {};
+  const released = new Promise<void>((resolve) => {
+    release = resolve;
+  });
+  navigator.locks
+    .request(OPEN_WORKSPACE_LOCK_NAME, { mode: 'shared' }, () => released)
+    .catch((error: unknown) => {
+      console.warn('Unable to register this workspace tab.', error);
+    });
+  return release;
+}
+
+/** How many workspace tabs are open, or null when the browser cannot tell. */
+export async function countOpenWorkspaces(): Promise<number | null> {
+  try {
+    const state = await navigator.locks?.query();
+    return state
+      ? (state.held ?? []).filter((lock) => lock.name === OPEN_WORKSPACE_LOCK_NAME).length
+      : null;
+  } catch (error) {
+    console.warn('Unable to count open workspace tabs.', error);
+    return null;
+  }
+}
+
+/** Asks the browser not to evict this site's storage when the disk runs low. */
+export async function requestPersistentStorage(): Promise<boolean> {
+  try {
+    return (await navigator.storage?.persist?.()) ?? false;
+  } catch (error) {
+    console.warn('Unable to request persistent storage.', error);
+    return false;
+  }
+}
+
+export async function deleteAssetBlobs(ids: readonly string[]): Promise<boolean> {
+  return withStore('readwrite', (store) => {
+    ids.forEach((id) => store.delete(id));
+  });
+}
+
+/**
+ * Remembers the folder a project autosaves into. Directory handles survive a
+ * reload in IndexedDB, though the browser asks for write access again.
+ */
+export async function saveProjectFolderHandle(
+  sessionId: string,
+  handle: FileSystemDirectoryHandle,
+): Promise<boolean> {
+  return withStore(
+    'readwrite',
+    (store) => {
+      store.put({ sessionId, handle });
+    },
+    PROJECT_FOLDER_STORE_NAME,
+  );
+}
+
+export async function loadProjectFolderHandle(
+  sessionId: string,
+): Promise<FileSystemDirectoryHandle | null> {
+  const database = await openDatabase();
+  if (!database) {
+    return null;
+  }
+
+  return new Promise((resolve) => {
+    const request = database
+      .transaction(PROJECT_FOLDER_STORE_NAME, 'readonly')
+      .objectStore(PROJECT_FOLDER_STORE_NAME)
+      .get(sessionId);
+
+    request.onsuccess = () => {
+      const handle: unknown = request.result?.handle;
+      const isDirectoryHandle =
+        typeof FileSystemDirectoryHandle !== 'undefined' &&
+        handle instanceof FileSystemDirectoryHandle;
+      resolve(isDirectoryHandle ? handle : null);
+    };
+    request.onerror = () => {
+      console.warn('Unable to read the project folder from IndexedDB.', request.error);
+      resolve(null);
+    };
+  });
+}
+
+export async function deleteProjectFolderHandle(sessionId: string): Promise<boolean> {
+  return withStore(
+    'readwrite',
+    (store) => {
+      store.delete(sessionId);
+    },
+    PROJECT_FOLDER_STORE_NAME,
+  );
+}
@@ -0,0 +1,458 @@
+export type StructuredLightAxis = 'x' | 'y';
+
+/**
+ * One frame of a structured-light sequence. Gray-code frames split the output
+ * into `2^bits` stripes along `axis` and light the stripes whose Gray code has
+ * `bit` set; `inverted` frames light the others so captures can be compared
+ * pixel by pixel instead of against a global threshold. Phase frames draw a
+ * sine wave with `periods` cycles along `axis`, moved by a quarter cycle per
+ * `shift`, which locates a pixel inside a stripe.
+ */
+export type StructuredLightFrame =
+  | { kind: 'white' }
+  | { kind: 'black' }
+  | {
+      kind: 'gray';
+      axis: StructuredLightAxis;
+      bits: number;
+      bit: number;
+      inverted: boolean;
+    }
+  | {
+      kind: 'phase';
+      axis: StructuredLightAxis;
+      periods: number;
+      shift: number;
+    };
+
+/** A captured camera frame reduced to luminance, 0–255, row-major from the top-left. */
+export interface LuminanceFrame {
+  width: number;
+  height: number;
+  data: ArrayLike<number>;
+}
+
+/**
+ * Output position seen by every camera pixel, in normalized stage-frame
+ * coordinates. Pixels that never saw the projector hold NaN.
+ */
+export interface StructuredLightCorrespondence {
+  width: number;
+  height: number;
+  bits: number;
+  projectorX: Float32Array;
+  projectorY: Float32Array;
+  validCount: number;
+}
+
+export interface StructuredLightDecodeOptions {
+  /** Minimum white-minus-black difference for a pixel to count as lit. */
+  minContrast?: number;
+  /** Share of the white-black range below which a coarse bit is ambiguous. */
+  minBitContrast?: number;
+  /** Share of the white-black range a phase wave needs to refine a pixel. */
+  minPhaseContrast?: number;
+}
+
+export const MIN_GRAY_CODE_BITS = 4;
+export const MAX_GRAY_CODE_BITS = 10;
+export const DEFAULT_GRAY_CODE_BITS = 7;
+const DEFAULT_MIN_CONTRAST = 24;
+const DEFAULT_MIN_BIT_CONTRAST = 0.1;
+const DEFAULT_MIN_PHASE_CONTRAST = 0.08;
+export const PHASE_SHIFT_STEPS = 4;
+// One phase cycle spans this many of the finest Gray-code stripes, so a
+// stripe read off by one at its edge still unwraps to the right cycle.
+const PHASE_PERIOD_STRIPES = 4;
+// The finest stripes blur at their edges on any real camera, so only the
+// coarser bits are allowed to reject a pixel.
+const LENIENT_LOW_BITS = 2;
+
+function clamp(value: number, minimum: number, maximum: number): number {
+  return Math.max(minimum, Math.min(maximum, value));
+}
+
+export function normalizeGrayCodeBits(value: unknown): number {
+  return typeof value === 'number' && Number.isFinite(value)
+    ? clamp(Math.round(value), MIN_GRAY_CODE_BITS, MAX_GRAY_CODE_BITS)
+    : DEFAULT_GRAY_CODE_BITS;
+}
+
+export function toGrayCode(value: number): number {
+  return value ^ (value >> 1);
+}
+
+export function fromGrayCode(gray: number): number {
+  let value = gray;
+  for (let shift = gray >> 1; shift > 0; shift >>= 1) {
+    value ^= shift;
+  }
+  return value;
+}
+
+/** White and black reference frames followed by every bit, coarsest first, x then y. */
+export function createGrayCodeSequence(bits = DEFAULT_GRAY_CODE_BITS): StructuredLightFrame[] {
+  const bitCount = normalizeGrayCodeBits(bits);
+  const frames: StructuredLightFrame[] = [{ kind: 'white' }, { kind: 'black' }];
+  (['x', 'y'] as const).forEach((axis) => {
+    for (let bit = bitCount - 1; bit >= 0; bit -= 1) {
+      frames.push({ kind: 'gray', axis, bits: bitCount, bit, inverted: false });
+      frames.push({ kind: 'gray', axis, bits: bitCount, bit, inverted: true });
+    }
+  });
+  return frames;
+}
+
+/**
+ * Gray-code sequence followed by four phase-shifted sine waves per axis, which
+ * refine each pixel to well below one stripe for relief scans.
+ */
+export function createStructuredLightScanSequence(
+  bits = DEFAULT_GRAY_CODE_BITS,
+): StructuredLightFrame[] {
+  const bitCount = normalizeGrayCodeBits(bits);
+  const frames = createGrayCodeSequence(bitCount);
+  const periods = 2 ** bitCount / PHASE_PERIOD_STRIPES;
+  (['x', 'y'] as const).forEach((axis) => {
+    for (let shift = 0; shift < PHASE_SHIFT_STEPS; shift += 1) {
+      frames.push({ kind: 'phase', axis, periods, shift });
+    }
+  });
+  return frames;
+}
+
+export function normalizeStructuredLightFrame(value: unknown): StructuredLightFrame | null {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+
+  const candidate = value as Record<string, unknown>;
+  if (candidate.kind === 'white' || candidate.kind === 'black') {
+    return { kind: candidate.kind };
+  }
+  if (candidate.axis !== 'x' && candidate.axis !== 'y') {
+    return null;
+  }
+  if (candidate.kind === 'phase') {
+    const periods = typeof candidate.periods === 'number' ? candidate.periods : Number.NaN;
+    const shift = typeof candidate.shift === 'number' ? Math.round(candidate.shift) : -1;
+    if (!(periods > 0 && periods <= 2 ** MAX_GRAY_CODE_BITS) || shift < 0) {
+      return null;
+    }
+    return { kind: 'phase', axis: candidate.axis, periods, shift: shift % PHASE_SHIFT_STEPS };
+  }
+  if (candidate.kind !== 'gray') {
+    return null;
+  }
+
+  const bits = normalizeGrayCodeBits(candidate.bits);
+  const bit = typeof candidate.bit === 'number' ? Math.round(candidate.bit) : -1;
+  if (bit < 0 || bit >= bits) {
+    return null;
+  }
+
+  return { kind: 'gray', axis: candidate.axis, bits, bit, inverted: Boolean(candidate.inverted) };
+}
+
+export function getStructuredLightFrameLabel(frame: StructuredLightFrame): string {
+  if (frame.kind === 'phase') {
+    return `${frame.axis.toUpperCase()} phase ${frame.shift + 1}/${PHASE_SHIFT_STEPS}`;
+  }
+  if (frame.kind !== 'gray') {
+    return frame.kind === 'white' ? 'White' : 'Black';
+  }
+
+  return `${frame.axis.toUpperCase()} bit ${frame.bits - frame.bit}/${frame.bits}${
+    frame.inverted ? ' inverted' : ''
+  }`;
+}
+
+/** Brightness, 0–1, that `frame` draws at the normalized stage-frame position (u, v). */
+export function getStructuredLightIntensity(
+  frame: StructuredLightFrame,
+  u: number,
+  v: number,
+): number {
+  if (frame.kind === 'phase') {
+    const coordinate = frame.axis === 'x' ? u : v;
+    const angle = 2 * Math.PI * coordinate * frame.periods - (frame.shift * Math.PI) / 2;
+    return 0.5 + 0.5 * Math.cos(angle);
+  }
+  if (frame.kind !== 'gray') {
+    return frame.kind === 'white' ? 1 : 0;
+  }
+
+  const stripeCount = 2 ** frame.bits;
+  const coordinate = frame.axis === 'x' ? u : v;
+  const stripe = clamp(Math.floor(coordinate * stripeCount), 0, stripeCount - 1);
+  const lit = ((toGrayCode(stripe) >> frame.bit) & 1) === 1;
+  return lit !== frame.inverted ? 1 : 0;
+}
+
+/** Whether `frame` lights the normalized stage-frame position (u, v). */
+export function getStructuredLightValue(frame: StructuredLightFrame, u: number, v: number): boolean {
+  return getStructuredLightIntensity(frame, u, v) >= 0.5;
+}
+
+/** Renderer-ready shader code that draws `frame` over the whole stage frame. */
+export function getStructuredLightShaderCode(frame: StructuredLightFrame): string {
+  if (frame.kind === 'phase') {
+    return `// NAME: Structured light ${frame.axis} phase ${frame.shift + 1}
+vec4 processColor(sampler2D image, vec2 uv, float time, vec2 resolution) {
+    float angle = 6.2831853 * uv.${frame.axis} * ${frame.periods.toFixed(2)} - ${(
+      (frame.shift * Math.PI) /
+      2
+    ).toFixed(6)};
+    return vec4(vec3(0.5 + 0.5 * cos(angle)), 1.0);
+}`;
+  }
+  if (frame.kind !== 'gray') {
+    const value = frame.kind === 'white' ? '1.0' : '0.0';
+    return `// NAME: Structured light ${frame.kind}
+vec4 processColor(sampler2D image, vec2 uv, float time, vec2 resolution) {
+    return vec4(vec3(${value}), 1.0);
+}`;
+  }
+
+  const stripeCount = (2 ** frame.bits).toFixed(1);
+  const bitScale = (2 ** frame.bit).toFixed(1);
+  return `// NAME: Structured light ${frame.axis} ${frame.bit}/${frame.bits}
+vec4 processColor(sampler2D image, vec2 uv, float time, vec2 resolution) {
+    float stripe = floor(clamp(uv.${frame.axis}, 0.0, 0.99999) * ${stripeCount});
+    float binaryBit = mod(floor(stripe / ${bitScale}), 2.0);
+    float higherBit = mod(floor(stripe / (${bitScale} * 2.0)), 2.0);
+    float value = abs(binaryBit - higherBit);
+    return vec4(vec3(${frame.inverted ? '1.0 - value' : 'value'}), 1.0);
+}`;
+}
+
+function findCapture(
+  sequence: StructuredLightFrame[],
+  captures: LuminanceFrame[],
+  matches: (frame: StructuredLightFrame) => boolean,
+): LuminanceFrame | null {
+  const index = sequence.findIndex(matches);
+  return index >= 0 ? captures[index] ?? null : null;
+}
+
+interface PhasePlanes {
+  captures: LuminanceFrame[];
+  periods: number;
+}
+
+function findPhasePlanes(
+  sequence: StructuredLightFrame[],
+  captures: LuminanceFrame[],
+  axis: StructuredLightAxis,
+): PhasePlanes | null {
+  const first = sequence.find((frame) => frame.kind === 'phase' && frame.axis === axis);
+  if (!first || first.kind !== 'phase') {
+    return null;
+  }
+
+  const shifts = Array.from({ length: PHASE_SHIFT_STEPS }, (_, shift) =>
+    findCapture(
+      sequence,
+      captures,
+      (frame) => frame.kind === 'phase' && frame.axis === axis && frame.shift === shift,
+    ),
+  );
+  if (shifts.some((capture) => !capture)) {
+    throw new Error(`Missing ${axis.toUpperCase()} phase frames of the sequence.`);
+  }
+  return { captures: shifts as LuminanceFrame[], periods: first.periods };
+}
+
+/**
+ * Moves a stripe-centre coordinate to the exact spot the phase wave puts the
+ * pixel at, or keeps it when the wave was too faint to read.
+ */
+function refineWithPhase(
+  coarse: number,
+  phase: PhasePlanes,
+  index: number,
+  minimumAmplitude: number,
+): number {
+  const [first, second, third, fourth] = phase.captures.map((capture) => capture.data[index]);
+  const sine = second - fourth;
+  const cosine = first - third;
+  if (Math.hypot(sine, cosine) < minimumAmplitude) {
+    return coarse;
+  }
+
+  const fraction = (Math.atan2(sine, cosine) / (2 * Math.PI) + 1) % 1;
+  const cycle = Math.round(coarse * phase.periods - fraction);
+  return clamp((cycle + fraction) / phase.periods, 0, 1);
+}
+
+/**
+ * Decodes captures of a Gray-code sequence into a per-camera-pixel
+ * correspondence map. `captures[i]` must be the photo of `sequence[i]`. Phase
+ * frames in the sequence refine the result past stripe precision.
+ */
+export function decodeGrayCodeCaptures(
+  sequence: StructuredLightFrame[],
+  captures: LuminanceFrame[],
+  options: StructuredLightDecodeOptions = {},
+): StructuredLightCorrespondence {
+  if (captures.length !== sequence.length) {
+    throw new Error(`Expected ${sequence.length} captures, got ${captures.length}.`);
+  }
+
+  const white = findCapture(sequence, captures, (frame) => frame.kind === 'white');
+  const black = findCapture(sequence, captures, (frame) => frame.kind === 'black');
+  if (!white || !black) {
+    throw new Error('The sequence needs a white and a black reference frame.');
+  }
+
+  const { width, height } = white;
+  if (captures.some((capture) => capture.width !== width || capture.height !== height)) {
+    throw new Error('Every capture must have the same size.');
+  }
+
+  const bits = sequence.reduce(
+    (result, frame) => (frame.kind === 'gray' ? Math.max(result, frame.bits) : result),
+    0,
+  );
+  if (bits === 0) {
+    throw new Error('The sequence has no Gray-code frames.');
+  }
+
+  const planes = (['x', 'y'] as const).map((axis) =>
+    Array.from({ length: bits }, (_, bit) => {
+      const matchesBit = (inverted: boolean) => (frame: StructuredLightFrame) =>
+        frame.kind === 'gray' && frame.axis === axis && frame.bit === bit && frame.inverted === inverted;
+      const normal = findCapture(sequence, captures, matchesBit(false));
+      if (!normal) {
+        throw new Error(`Missing ${axis.toUpperCase()} bit ${bits - bit} of the sequence.`);
+      }
+      return { normal, inverted: findCapture(sequence, captures, matchesBit(true)) };
+    }),
+  );
+
+  const phases = (['x', 'y'] as const).map((axis) => findPhasePlanes(sequence, captures, axis));
+
+  const minContrast = options.minContrast ?? DEFAULT_MIN_CONTRAST;
+  const minBitContrast = options.minBitContrast ?? DEFAULT_MIN_BIT_CONTRAST;
+  const minPhaseContrast = options.minPhaseContrast ?? DEFAULT_MIN_PHASE_CONTRAST;
+  const stripeCount = 2 ** bits;
+  const projectorX = new Float32Array(width * height).fill(Number.NaN);
+  const projectorY = new Float32Array(width * height).fill(Number.NaN);
+  let validCount = 0;
+
+  for (let index = 0; index < width * height; index += 1) {
+    const range = white.data[index] - black.data[index];
+    if (range < minContrast) {
+      continue;
+    }
+
+    const midpoint = (white.data[index] + black.data[index]) / 2;
+    const coordinates: number[] = [];
+    for (const [axisIndex, axisPlanes] of planes.entries()) {
+      let gray = 0;
+      for (let bit = bits - 1; bit >= 0; bit -= 1) {
+        const { normal, inverted } = axisPlanes[bit];
+        const difference = normal.data[index] - (inverted ? inverted.data[index] : midpoint);
+        if (Math.abs(difference) < range * minBitContrast && bit >= LENIENT_LOW_BITS) {
+          break;
+        }
+        if (difference > 0) {
+          gray |= 1 << bit;
+        }
+        if (bit === 0) {
+          const coarse = (fromGrayCode(gray) + 0.5) / stripeCount;
+          const phase = phases[axisIndex];
+          coordinates.push(
+            phase ? refineWithPhase(coarse, phase, index, range * minPhaseContrast) : coarse,
+          );
+        }
+      }
+    }
+
+    if (coordinates.length === 2) {
+      projectorX[index] = coordinates[0];
+      projectorY[index] = coordinates[1];
+      validCount += 1;
+    }
+  }
+
+  return { width, height, bits, projectorX, projectorY, validCount };
+}
+
+export function isCorrespondencePixelValid(
+  map: StructuredLightCorrespondence,
+  x: number,
+  y: number,
+): boolean {
+  if (x < 0 || y < 0 || x >= map.width || y >= map.height) {
+    return false;
+  }
+  return !Number.isNaN(map.projectorX[Math.floor(y) * map.width + Math.floor(x)]);
+}
+
+/**
+ * Output position seen at a camera point (normalized 0–1), averaged over the
+ * nearest valid pixels so single noisy pixels and stripe edges do not jump.
+ */
+export function sampleCorrespondence(
+  map: StructuredLightCorrespondence,
+  point: { x: number; y: number },
+  radius = 2,
+): { x: number; y: number } | null {
+  const centerX = clamp(Math.floor(point.x * map.width), 0, map.width - 1);
+  const centerY = clamp(Math.floor(point.y * map.height), 0, map.height - 1);
+
+  for (let searchRadius = radius; searchRadius <= radius * 4; searchRadius *= 2) {
+    let sumX = 0;
+    let sumY = 0;
+    let count = 0;
+    for (let y = centerY - searchRadius; y <= centerY + searchRadius; y += 1) {
+      for (let x = centerX - searchRadius; x <= centerX + searchRadius; x += 1) {
+        if (!isCorrespondencePixelValid(map, x, y)) {
+          continue;
+        }
+        const index = y * map.width + x;
+        sumX += map.projectorX[index];
+        sumY += map.projectorY[index];
+        count += 1;
+      }
+    }
+    if (count > 0) {
+      return { x: sumX / count, y: sumY / count };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Downscales an image, video frame, or canvas into a luminance frame no wider
+ * than `maxWidth`, which keeps decoding fast and evens out sensor noise.
+ */
+export function readLuminanceFrame(
+  source: CanvasImageSource,
+  sourceWidth: number,
+  sourceHeight: number,
+  maxWidth = 320,
+): LuminanceFrame {
+  const scale = Math.min(1, maxWidth / Math.max(1, sourceWidth));
+  const width = Math.max(1, Math.round(sourceWidth * scale));
+  const height = Math.max(1, Math.round(sourceHeight * scale));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  if (!context) {
+    throw new Error('Unable to read the captured frame in this browser.');
+  }
+
+  context.drawImage(source, 0, 0, width, height);
+  const pixels = context.getImageData(0, 0, width, height).data;
+  const data = new Uint8ClampedArray(width * height);
+  for (let index = 0; index < data.length; index += 1) {
+    const offset = index * 4;
+    data[index] =
+      pixels[offset] * 0.2126 + pixels[offset + 1] * 0.7152 + pixels[offset + 2] * 0.0722;
+  }
+  return { width, height, data };
+}
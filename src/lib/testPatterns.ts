@@ -0,0 +1,187 @@
+import {
+  normalizeStructuredLightFrame,
+  type StructuredLightFrame,
+} from './structuredLight.ts';
+
+export type OutputTestPatternKind =
+  | 'crosshair'
+  | 'checkerboard'
+  | 'circles'
+  | 'focus'
+  | 'colorBars'
+  | 'grayRamp'
+  | 'markers';
+
+/** Live projector test pattern, sent to Output windows outside the project document. */
+export interface OutputTestPatternState {
+  pattern: OutputTestPatternKind | null;
+  /** Camera alignment frame shown on one surface while every other surface stays black. */
+  structuredLight?: { surfaceId: string; frame: StructuredLightFrame } | null;
+}
+
+export const OUTPUT_TEST_PATTERNS: Array<{ id: OutputTestPatternKind; label: string }> = [
+  { id: 'crosshair', label: 'Crosshair' },
+  { id: 'checkerboard', label: 'Checkerboard' },
+  { id: 'circles', label: 'Circles' },
+  { id: 'focus', label: 'Focus chart' },
+  { id: 'colorBars', label: 'Color bars' },
+  { id: 'grayRamp', label: 'Gray ramp' },
+  { id: 'markers', label: 'Corner & edge markers' },
+];
+
+export const DEFAULT_OUTPUT_TEST_PATTERN_STATE: OutputTestPatternState = {
+  pattern: null,
+};
+
+export function isOutputTestPatternKind(value: unknown): value is OutputTestPatternKind {
+  return OUTPUT_TEST_PATTERNS.some((pattern) => pattern.id === value);
+}
+
+export function normalizeOutputTestPatternState(value: unknown): OutputTestPatternState {
+  if (!value || typeof value !== 'object') {
+    return DEFAULT_OUTPUT_TEST_PATTERN_STATE;
+  }
+
+  const candidate = value as Partial<OutputTestPatternState>;
+  const structuredLightFrame = normalizeStructuredLightFrame(candidate.structuredLight?.frame);
+  return {
+    pattern: isOutputTestPatternKind(candidate.pattern) ? candidate.pattern : null,
+    structuredLight:
+      structuredLightFrame && typeof candidate.structuredLight?.surfaceId === 'string'
+        ? { surfaceId: candidate.structuredLight.surfaceId, frame: structuredLightFrame }
+        : null,
+  };
+}
+
+const TEST_PATTERN_MESSAGE_TYPE = 'mapshroom:test-pattern';
+
+/** Test patterns share the project's broadcast channel, tagged so they are not read as projects. */
+export interface TestPatternMessage {
+  type: typeof TEST_PATTERN_MESSAGE_TYPE;
+  testPattern: OutputTestPatternState;
+}
+
+export function createTestPatternMessage(testPattern: OutputTestPatternState): TestPatternMessage {
+  return { type: TEST_PATTERN_MESSAGE_TYPE, testPattern };
+}
+
+export function isTestPatternMessage(value: unknown): value is TestPatternMessage {
+  return (
+    Boolean(value) &&
+    typeof value === 'object' &&
+    (value as Partial<TestPatternMessage>).type === TEST_PATTERN_MESSAGE_TYPE
+  );
+}
+
+// Shared helpers: distances are measured in output pixels so line widths stay
+// crisp at any projector resolution.
+const PATTERN_HELPERS = `
+float tp_line(float distancePx, float widthPx) {
+    return 1.0 - smoothstep(widthPx * 0.5, widthPx * 0.5 + 1.0, abs(distancePx));
+}
+
+float tp_border(vec2 px, vec2 resolution, float widthPx) {
+    vec2 edge = min(px, resolution - px);
+    return 1.0 - step(widthPx, min(edge.x, edge.y));
+}
+`;
+
+const PATTERN_BODIES: Record<OutputTestPatternKind, string> = {
+  crosshair: `
+    vec2 px = uv * resolution;
+    vec2 center = resolution * 0.5;
+    float value = max(tp_line(px.x - center.x, 3.0), tp_line(px.y - center.y, 3.0));
+    float thirds = max(
+        max(tp_line(px.x - resolution.x / 3.0, 1.0), tp_line(px.x - resolution.x * 2.0 / 3.0, 1.0)),
+        max(tp_line(px.y - resolution.y / 3.0, 1.0), tp_line(px.y - resolution.y * 2.0 / 3.0, 1.0))
+    );
+    float ring = tp_line(length(px - center) - min(resolution.x, resolution.y) * 0.08, 2.0);
+    value = max(max(value, ring), tp_border(px, resolution, 3.0));
+    return vec4(vec3(max(value, thirds * 0.45)), 1.0);`,
+  checkerboard: `
+    vec2 px = uv * resolution;
+    float cell = resolution.y / 9.0;
+    vec2 grid = floor((px - resolution * 0.5) / cell);
+    float value = mod(grid.x + grid.y, 2.0);
+    return vec4(vec3(value), 1.0);`,
+  circles: `
+    vec2 px = uv * resolution;
+    float unit = min(resolution.x, resolution.y);
+    float radius = length(px - resolution * 0.5);
+    float rings = tp_line(mod(radius + unit * 0.0625, unit * 0.125) - unit * 0.0625, 2.0);
+    float corners = 0.0;
+    for (int index = 0; index < 4; index++) {
+        vec2 corner = vec2(mod(float(index), 2.0), floor(float(index) / 2.0));
+        vec2 cornerCenter = mix(vec2(unit * 0.14), resolution - unit * 0.14, corner);
+        corners = max(corners, tp_line(length(px - cornerCenter) - unit * 0.12, 2.0));
+    }
+    float value = max(max(rings, corners), tp_border(px, resolution, 2.0));
+    return vec4(vec3(value), 1.0);`,
+  focus: `
+    vec2 px = uv * resolution;
+    vec2 offset = px - resolution * 0.5;
+    float unit = min(resolution.x, resolution.y);
+    float angle = atan(offset.y, offset.x);
+    float star = step(0.0, sin(angle * 36.0)) * step(length(offset), unit * 0.32);
+    vec2 local = mod(px, unit * 0.25);
+    float cornerZone = step(resolution.x * 0.78, abs(px.x - resolution.x * 0.5) * 2.0)
+        * step(resolution.y * 0.6, abs(px.y - resolution.y * 0.5) * 2.0);
+    float fineLines = step(1.0, mod(floor(px.x), 2.0)) * step(local.y, unit * 0.12)
+        + step(1.0, mod(floor(px.y), 2.0)) * step(unit * 0.13, local.y);
+    float value = max(star, cornerZone * min(fineLines, 1.0));
+    value = max(value, tp_line(length(offset) - unit * 0.32, 2.0));
+    return vec4(vec3(max(value, tp_border(px, resolution, 2.0))), 1.0);`,
+  colorBars: `
+    float bar = floor(uv.x * 7.0);
+    vec3 color = vec3(0.75);
+    if (bar == 1.0) color = vec3(0.75, 0.75, 0.0);
+    if (bar == 2.0) color = vec3(0.0, 0.75, 0.75);
+    if (bar == 3.0) color = vec3(0.0, 0.75, 0.0);
+    if (bar == 4.0) color = vec3(0.75, 0.0, 0.75);
+    if (bar == 5.0) color = vec3(0.75, 0.0, 0.0);
+    if (bar == 6.0) color = vec3(0.0, 0.0, 0.75);
+    if (uv.y > 0.67) {
+        float step6 = floor(uv.x * 6.0);
+        color = vec3(0.0);
+        if (step6 == 1.0) color = vec3(1.0);
+        if (step6 == 3.0) color = vec3(0.035);
+        if (step6 == 4.0) color = vec3(0.075);
+        if (step6 == 5.0) color = vec3(step(0.5, fract(uv.x * 6.0)) * 0.02);
+    }
+    return vec4(color, 1.0);`,
+  grayRamp: `
+    float value = uv.x;
+    if (uv.y > 0.5) {
+        value = floor(uv.x * 11.0) / 10.0;
+    }
+    if (uv.y > 0.75) {
+        value = pow(floor(uv.x * 11.0) / 10.0, 2.2);
+    }
+    return vec4(vec3(value), 1.0);`,
+  markers: `
+    vec2 px = uv * resolution;
+    vec2 center = resolution * 0.5;
+    float unit = min(resolution.x, resolution.y);
+    float arm = unit * 0.12;
+    vec2 edge = min(px, resolution - px);
+    float bracket = (1.0 - step(6.0, edge.x)) * step(edge.y, arm)
+        + (1.0 - step(6.0, edge.y)) * step(edge.x, arm);
+    float ticks = (1.0 - step(arm * 0.6, edge.x)) * tp_line(px.y - center.y, 4.0)
+        + (1.0 - step(arm * 0.6, edge.y)) * tp_line(px.x - center.x, 4.0);
+    float centerMark = (tp_line(px.x - center.x, 2.0) + tp_line(px.y - center.y, 2.0))
+        * step(length(px - center), arm * 0.5);
+    float outline = tp_border(px, resolution, 1.0);
+    vec3 color = vec3(0.02, 0.02, 0.03);
+    color = mix(color, vec3(0.35), outline);
+    color = mix(color, vec3(0.98, 0.75, 0.14), min(bracket, 1.0));
+    color = mix(color, vec3(0.2, 0.9, 0.85), min(ticks + centerMark, 1.0));
+    return vec4(color, 1.0);`,
+};
+
+/** Renderer-ready shader code for a test pattern, in the same form as project shaders. */
+export function getTestPatternShaderCode(pattern: OutputTestPatternKind): string {
+  return `// NAME: Test pattern ${pattern}
+${PATTERN_HELPERS}
+vec4 processColor(sampler2D image, vec2 uv, float time, vec2 resolution) {${PATTERN_BODIES[pattern]}
+}`;
+}
@@ -0,0 +1,148 @@
+import type { PlaybackTransport, TimelineAudioTrack } from '../types';
+import { getTransportTimeSeconds } from './clock.ts';
+import { clampTimelineTrackOffset } from './timelineTracks.ts';
+
+/** Enough waveform detail for a full-width timeline without bloating the project. */
+export const TIMELINE_AUDIO_PEAK_COUNT = 600;
+/** Drift the player may build up before it is moved back onto the transport. */
+const TIMELINE_AUDIO_DRIFT_SECONDS = 0.12;
+
+export interface TimelineAudioPlayback {
+  /** Seconds into the file, or null while the transport is outside it. */
+  timeSeconds: number | null;
+  playing: boolean;
+  playbackRate: number;
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+export function clampTimelineAudioVolume(value: number): number {
+  return Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : 1;
+}
+
+/** Loudest sample in each of `peakCount` even slices of the file, across all channels. */
+export function createTimelineAudioPeaks(
+  channels: ArrayLike<number>[],
+  peakCount = TIMELINE_AUDIO_PEAK_COUNT,
+): number[] {
+  const sampleCount = Math.min(...channels.map((channel) => channel.length));
+  if (!channels.length || !sampleCount) {
+    return [];
+  }
+
+  const bucketCount = Math.min(peakCount, sampleCount);
+  const peaks: number[] = [];
+  for (let bucket = 0; bucket < bucketCount; bucket += 1) {
+    const start = Math.floor((bucket * sampleCount) / bucketCount);
+    const end = Math.floor(((bucket + 1) * sampleCount) / bucketCount);
+    let peak = 0;
+    for (const channel of channels) {
+      for (let index = start; index < end; index += 1) {
+        peak = Math.max(peak, Math.abs(channel[index]));
+      }
+    }
+    peaks.push(peak);
+  }
+
+  // Quiet masters still fill the waveform; two decimals keep the project small.
+  const loudest = Math.max(...peaks);
+  return peaks.map((peak) => (loudest > 0 ? Math.round((peak / loudest) * 100) / 100 : 0));
+}
+
+export function normalizeTimelineAudioTrack(value: unknown): TimelineAudioTrack | null {
+  if (
+    !isRecord(value) ||
+    typeof value.assetId !== 'string' ||
+    !value.assetId ||
+    typeof value.durationSeconds !== 'number' ||
+    !(value.durationSeconds > 0)
+  ) {
+    return null;
+  }
+
+  return {
+    assetId: value.assetId,
+    name: typeof value.name === 'string' && value.name ? value.name : 'Music',
+    mimeType: typeof value.mimeType === 'string' ? value.mimeType : '',
+    durationSeconds: value.durationSeconds,
+    offsetSeconds: clampTimelineTrackOffset(Number(value.offsetSeconds)),
+    volume: clampTimelineAudioVolume(Number(value.volume)),
+    muted: value.muted === true,
+    peaks: Array.isArray(value.peaks)
+      ? value.peaks.map((peak) => Math.max(0, Math.min(1, Number(peak) || 0)))
+      : [],
+  };
+}
+
+/**
+ * Where the file is at a transport time. With loop on the music restarts
+ * whenever the timeline does, so it stays under the same visuals every pass.
+ */
+export function getTimelineAudioTimeSeconds(
+  track: TimelineAudioTrack,
+  transportTimeSeconds: number,
+  loopDurationSeconds: number | null,
+): number | null {
+  const timelineTimeSeconds =
+    loopDurationSeconds && loopDurationSeconds > 0
+      ? transportTimeSeconds % loopDurationSeconds
+      : transportTimeSeconds;
+  const timeSeconds = timelineTimeSeconds - track.offsetSeconds;
+  return timeSeconds >= 0 && timeSeconds < track.durationSeconds ? timeSeconds : null;
+}
+
+export function resolveTimelineAudioPlayback(
+  track: TimelineAudioTrack,
+  transport: PlaybackTransport,
+  timelineDurationSeconds: number,
+  nowMs = performance.now(),
+): TimelineAudioPlayback {
+  const timeSeconds = getTimelineAudioTimeSeconds(
+    track,
+    getTransportTimeSeconds(transport, nowMs),
+    transport.loop ? timelineDurationSeconds : null,
+  );
+
+  return {
+    timeSeconds,
+    playing: transport.isPlaying && timeSeconds !== null,
+    playbackRate: transport.playbackRate,
+  };
+}
+
+/** Whether a playing file has drifted far enough from the transport to seek it. */
+export function shouldResyncTimelineAudio(
+  currentTimeSeconds: number,
+  targetTimeSeconds: number,
+): boolean {
+  return Math.abs(currentTimeSeconds - targetTimeSeconds) > TIMELINE_AUDIO_DRIFT_SECONDS;
+}
+
+/**
+ * The slice of the file under transport times `startSeconds` to
+ * `startSeconds + durationSeconds`, at the track's volume, as planar samples
+ * for the MP4 audio track. Silence fills the time before and after the file.
+ */
+export function renderTimelineAudioSlice(
+  track: TimelineAudioTrack,
+  channels: Float32Array[],
+  sampleRate: number,
+  startSeconds: number,
+  durationSeconds: number,
+): Float32Array[] {
+  const frameCount = Math.max(0, Math.round(durationSeconds * sampleRate));
+  const firstSourceFrame = Math.round((startSeconds - track.offsetSeconds) * sampleRate);
+  const gain = track.muted ? 0 : track.volume;
+
+  return channels.map((channel) => {
+    const slice = new Float32Array(frameCount);
+    const from = Math.max(0, -firstSourceFrame);
+    const to = Math.min(frameCount, channel.length - firstSourceFrame);
+    for (let frame = from; frame < to; frame += 1) {
+      slice[frame] = channel[firstSourceFrame + frame] * gain;
+    }
+    return slice;
+  });
+}
@@ -0,0 +1,269 @@
+import type { TimelineCue, TimelineCueList, TimelineStub } from '../types';
+import { clampTimelineStepDuration, roundTimelineSeconds } from './timeline.ts';
+
+type TimelineSequenceStep = TimelineStub['shaderSequence']['steps'][number];
+
+/** What the stage shows for the cue list at a moment of the transport. */
+export interface TimelineCueFrame {
+  fromStepId: string | null;
+  toStepId: string | null;
+  /** 0 to 1 through the fade into the active cue. */
+  progress: number;
+  /** Opacity of the main sequence, which fades from or to black around a blackout cue. */
+  sequenceOpacity: number;
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function clampSeconds(value: number, maxSeconds: number): number {
+  return roundTimelineSeconds(
+    Math.max(0, Math.min(maxSeconds, Number.isFinite(value) ? value : 0)),
+  );
+}
+
+export function clampTimelineCueFade(value: number): number {
+  return clampSeconds(value, 60);
+}
+
+export function clampTimelineCueFollow(value: number): number {
+  return clampSeconds(value, 600);
+}
+
+export function createTimelineCue(cueNumber: number, stepId: string | null): TimelineCue {
+  return {
+    id: crypto.randomUUID(),
+    label: `Cue ${cueNumber}`,
+    stepId,
+    fadeSeconds: 2,
+    autoFollowSeconds: null,
+    notes: '',
+  };
+}
+
+/**
+ * One cue per timeline marker, each holding the step that plays where the
+ * marker sits on the evenly spaced marker ruler.
+ */
+export function createTimelineCuesFromMarkers(
+  markers: string[],
+  steps: TimelineSequenceStep[],
+): TimelineCue[] {
+  const enabledSteps = steps.filter((step) => !step.disabled);
+  const totalSeconds = enabledSteps.reduce(
+    (total, step) => total + clampTimelineStepDuration(step.durationSeconds),
+    0,
+  );
+
+  return markers.map((label, index) => {
+    const ratio = markers.length === 1 ? 0.5 : index / (markers.length - 1);
+    const markerSeconds = ratio * totalSeconds;
+    let cursor = 0;
+    const step =
+      enabledSteps.find((candidate) => {
+        cursor += clampTimelineStepDuration(candidate.durationSeconds);
+        return markerSeconds < cursor;
+      }) ?? enabledSteps[enabledSteps.length - 1];
+
+    return { ...createTimelineCue(index + 1, step?.id ?? null), label };
+  });
+}
+
+/** Keeps the standby cue, or stands by the cue after the active one when it is gone. */
+function resolveStandbyCueId(
+  cues: TimelineCue[],
+  activeCueId: string | null,
+  standbyCueId: string | null,
+): string | null {
+  if (standbyCueId && cues.some((cue) => cue.id === standbyCueId)) {
+    return standbyCueId;
+  }
+
+  const activeIndex = cues.findIndex((cue) => cue.id === activeCueId);
+  return cues[activeIndex + 1]?.id ?? null;
+}
+
+/**
+ * Validates a stored cue list. A saved project reopens with no cue live, as
+ * the step hold a cue sets up is not kept across loads.
+ */
+export function normalizeTimelineCueList(cueList: unknown): TimelineCueList {
+  const storedCues = isRecord(cueList) && Array.isArray(cueList.cues) ? cueList.cues : [];
+  const seenCueIds = new Set<string>();
+  const cues = storedCues.flatMap((cue, index): TimelineCue[] => {
+    if (!isRecord(cue) || typeof cue.id !== 'string' || !cue.id || seenCueIds.has(cue.id)) {
+      return [];
+    }
+
+    seenCueIds.add(cue.id);
+    return [
+      {
+        id: cue.id,
+        label:
+          typeof cue.label === 'string' && cue.label.trim() ? cue.label : `Cue ${index + 1}`,
+        stepId: typeof cue.stepId === 'string' && cue.stepId ? cue.stepId : null,
+        fadeSeconds: clampTimelineCueFade(Number(cue.fadeSeconds)),
+        autoFollowSeconds:
+          typeof cue.autoFollowSeconds === 'number'
+            ? clampTimelineCueFollow(cue.autoFollowSeconds)
+            : null,
+        notes: typeof cue.notes === 'string' ? cue.notes : '',
+      },
+    ];
+  });
+  const standbyCueId =
+    isRecord(cueList) && typeof cueList.standbyCueId === 'string' ? cueList.standbyCueId : null;
+
+  return {
+    cues,
+    activeCueId: null,
+    standbyCueId: resolveStandbyCueId(cues, null, standbyCueId),
+    fade: null,
+  };
+}
+
+/** Replaces the cues, dropping the active and standby cue when they were removed. */
+export function setTimelineCues(timeline: TimelineStub, cues: TimelineCue[]): TimelineStub {
+  const { activeCueId, standbyCueId, fade } = timeline.cueList;
+  const activeCueKept = cues.some((cue) => cue.id === activeCueId);
+  const nextActiveCueId = activeCueKept ? activeCueId : null;
+
+  return {
+    ...timeline,
+    cueList: {
+      cues,
+      activeCueId: nextActiveCueId,
+      standbyCueId: resolveStandbyCueId(cues, nextActiveCueId, standbyCueId),
+      fade: activeCueKept ? fade : null,
+    },
+  };
+}
+
+/**
+ * Fires a cue, by default the standby one. The main sequence holds on the
+ * cue's step and fades in from whatever the last cue showed; the first GO
+ * fades up from black. A cue whose step is gone or off is a blackout.
+ */
+export function goTimelineCue(
+  timeline: TimelineStub,
+  transportTimeSeconds: number,
+  cueId = timeline.cueList.standbyCueId,
+): TimelineStub {
+  const { cues, fade } = timeline.cueList;
+  const cueIndex = cues.findIndex((cue) => cue.id === cueId);
+  const cue = cues[cueIndex];
+  if (!cue) {
+    return timeline;
+  }
+
+  const sequence = timeline.shaderSequence;
+  const toStepId = sequence.steps.some((step) => step.id === cue.stepId && !step.disabled)
+    ? cue.stepId
+    : null;
+  const fromStepId = timeline.cueList.activeCueId ? (fade?.toStepId ?? null) : null;
+
+  return {
+    ...timeline,
+    cueList: {
+      cues,
+      activeCueId: cue.id,
+      standbyCueId: cues[cueIndex + 1]?.id ?? null,
+      fade: {
+        fromStepId,
+        toStepId,
+        startSeconds: transportTimeSeconds,
+        durationSeconds: cue.fadeSeconds,
+      },
+    },
+    shaderSequence: {
+      ...sequence,
+      stagePreviewMode: 'timeline',
+      // A blackout keeps holding the step it fades out of.
+      focusedStepId: toStepId ?? fromStepId ?? sequence.focusedStepId,
+      singleStepLoopEnabled: true,
+    },
+  };
+}
+
+/** Fires the cue before the active one, which then stands by again. */
+export function backTimelineCue(
+  timeline: TimelineStub,
+  transportTimeSeconds: number,
+): TimelineStub {
+  const { cues, activeCueId } = timeline.cueList;
+  const activeIndex = cues.findIndex((cue) => cue.id === activeCueId);
+  const previousCue = activeIndex > 0 ? cues[activeIndex - 1] : null;
+  return previousCue ? goTimelineCue(timeline, transportTimeSeconds, previousCue.id) : timeline;
+}
+
+/** Moves the standby cue up or down the list without firing it. */
+export function standbyTimelineCue(timeline: TimelineStub, offset: number): TimelineStub {
+  const { cues, standbyCueId } = timeline.cueList;
+  if (!cues.length) {
+    return timeline;
+  }
+
+  const standbyIndex = cues.findIndex((cue) => cue.id === standbyCueId);
+  const currentIndex = standbyIndex === -1 ? (offset > 0 ? -1 : cues.length) : standbyIndex;
+  const nextIndex = Math.max(0, Math.min(cues.length - 1, currentIndex + offset));
+
+  return {
+    ...timeline,
+    cueList: { ...timeline.cueList, standbyCueId: cues[nextIndex].id },
+  };
+}
+
+/** Hands the stage back to the timeline and stands by the first cue. */
+export function releaseTimelineCues(timeline: TimelineStub): TimelineStub {
+  return {
+    ...timeline,
+    cueList: {
+      ...timeline.cueList,
+      activeCueId: null,
+      standbyCueId: timeline.cueList.cues[0]?.id ?? null,
+      fade: null,
+    },
+    shaderSequence: {
+      ...timeline.shaderSequence,
+      stagePreviewMode: 'timeline',
+      singleStepLoopEnabled: false,
+    },
+  };
+}
+
+export function resolveTimelineCueFrame(
+  cueList: TimelineCueList,
+  transportTimeSeconds: number,
+): TimelineCueFrame | null {
+  const { activeCueId, fade } = cueList;
+  if (!activeCueId || !fade) {
+    return null;
+  }
+
+  const progress =
+    fade.durationSeconds > 0
+      ? Math.max(0, Math.min(1, (transportTimeSeconds - fade.startSeconds) / fade.durationSeconds))
+      : 1;
+  const fromOpacity = fade.fromStepId ? 1 : 0;
+  const toOpacity = fade.toStepId ? 1 : 0;
+
+  return {
+    fromStepId: fade.fromStepId,
+    toStepId: fade.toStepId,
+    progress,
+    sequenceOpacity: fromOpacity + (toOpacity - fromOpacity) * progress,
+  };
+}
+
+/** Transport time at which the active cue hands over to the standby cue by itself. */
+export function getTimelineCueAutoFollowSeconds(cueList: TimelineCueList): number | null {
+  const activeCue = cueList.cues.find((cue) => cue.id === cueList.activeCueId);
+  if (!activeCue || activeCue.autoFollowSeconds === null || !cueList.standbyCueId) {
+    return null;
+  }
+
+  return cueList.fade
+    ? cueList.fade.startSeconds + cueList.fade.durationSeconds + activeCue.autoFollowSeconds
+    : null;
+}
@@ -1,4 +1,4 @@
-import { parseUniforms } from './shader';
+import { getShaderDialect, parseUniforms } from './shader.ts';
 import type { TimelineTransitionEffect } from '../types';
 
 // Shader code generation (namespacing + assembly) runs regex passes over the
@@ -33,6 +33,26 @@ const overlayShaderCodeMemo = createShaderCodeMemo(128);
 const inputShaderCodeMemo = createShaderCodeMemo(128);
 const pinShaderCodeMemo = createShaderCodeMemo(64);
 const doubleShaderCodeMemo = createShaderCodeMemo(64);
+const trackShaderCodeMemo = createShaderCodeMemo(64);
+
+export const TIMELINE_MIXED_DIALECT_MESSAGE =
+  'Steps written for WebGL 1.0 and WebGL2 (#version 300 es) cannot be blended together. ' +
+  'Convert one of them so both use the same GLSL version.';
+
+/**
+ * Composed programs inline every step into one source, so they can only mix
+ * steps of the same GLSL dialect: GLSL ES 3.00 reserves `texture`, `in`,
+ * `out`, `sample` and friends, which older steps may use as identifiers.
+ */
+export function canComposeTimelineShaders(...codes: string[]): boolean {
+  return new Set(codes.map(getShaderDialect)).size <= 1;
+}
+
+function assertComposableTimelineShaders(...codes: string[]) {
+  if (!canComposeTimelineShaders(...codes)) {
+    throw new Error(TIMELINE_MIXED_DIALECT_MESSAGE);
+  }
+}
 
 function stripShaderNameHeader(code: string): string {
   return code.replace(/^\s*\/\/\s*NAME:.*$/im, '').trim();
@@ -609,6 +629,60 @@ export function buildTimelinePinShaderBlendCompositeShaderCode(shaderCode: strin
   return buildTimelinePinShaderAlphaOverlayShaderCode(shaderCode);
 }
 
+/**
+ * Blends a layer track over the composite of the layers below it. Only the
+ * wrapped `processColor` is renamed: the layer keeps its uniform names so the
+ * stage still binds its media, transition and overlay images.
+ */
+export function buildTimelineTrackShaderCode(shaderCode: string): string {
+  return trackShaderCodeMemo(shaderCode, () => {
+    const trackCode = replaceIdentifier(
+      stripShaderNameHeader(shaderCode),
+      'processColor',
+      'timeline_track_processColor',
+    );
+
+    return `// NAME: Timeline Track
+uniform sampler2D u_timeline_base_image;
+uniform float u_timeline_track_opacity; // @min 0.0 @max 1.0 @default 1.0
+uniform float u_timeline_track_blend_mode; // @min 0.0 @max 4.0 @default 1.0
+
+${trackCode}
+
+vec3 blendTimelineTrack(vec3 baseColor, vec3 trackColor, float blendMode, float amount) {
+    if (blendMode < 0.5) {
+        return mix(baseColor, trackColor, amount);
+    }
+    if (blendMode < 1.5) {
+        return mix(baseColor, 1.0 - (1.0 - baseColor) * (1.0 - trackColor), amount);
+    }
+    if (blendMode < 2.5) {
+        return mix(baseColor, min(baseColor + trackColor, vec3(1.0)), amount);
+    }
+    if (blendMode < 3.5) {
+        return mix(baseColor, baseColor * trackColor, amount);
+    }
+
+    // Masked reveal: the track only shows where it is bright.
+    float brightness = dot(trackColor, vec3(0.299, 0.587, 0.114));
+    return mix(baseColor, trackColor, amount * smoothstep(0.08, 0.35, brightness));
+}
+
+vec4 processColor(sampler2D tex, vec2 uv, float time, vec2 resolution) {
+    vec4 baseColor = texture2D(u_timeline_base_image, vec2(uv.x, 1.0 - uv.y));
+    vec4 trackColor = timeline_track_processColor(tex, uv, time, resolution);
+    float amount = clamp(trackColor.a * u_timeline_track_opacity, 0.0, 1.0);
+    vec3 compositedRgb = blendTimelineTrack(
+        baseColor.rgb,
+        trackColor.rgb,
+        u_timeline_track_blend_mode,
+        amount
+    );
+    return vec4(clamp(compositedRgb, 0.0, 1.0), max(baseColor.a, amount));
+}`;
+  });
+}
+
 export function buildTimelineOverlayShaderCode({
   shaderCode,
 }: {
@@ -713,6 +787,7 @@ export function buildTimelineTransitionShaderCode({
   toCode: string;
   effect: TimelineTransitionEffect;
 }): string {
+  assertComposableTimelineShaders(fromCode, toCode);
   return transitionShaderCodeMemo(`${effect}\u0001${fromCode}\u0001${toCode}`, () => {
     const leftCode = namespaceShaderCode(fromCode, 'timeline_from');
     const rightCode = namespaceShaderCode(toCode, 'timeline_to');
@@ -811,6 +886,7 @@ export function buildTimelineDoubleShaderCode({
   primaryCode: string;
   secondaryCode: string;
 }): string {
+  assertComposableTimelineShaders(primaryCode, secondaryCode);
   return doubleShaderCodeMemo(`${primaryCode}\u0001${secondaryCode}`, () => {
     const leftCode = namespaceShaderCode(primaryCode, 'timeline_primary');
     const rightCode = namespaceShaderCode(secondaryCode, 'timeline_secondary');
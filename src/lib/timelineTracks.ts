@@ -0,0 +1,167 @@
+import type { MidiTimelineStripAction } from './midi/types';
+import type { TimelineAssetBlendMode, TimelineStub, TimelineTrack } from '../types';
+import {
+  clampTimelineStepDuration,
+  clampTransitionDuration,
+  normalizeTimelineTransitionEffect,
+  roundTimelineSeconds,
+} from './timeline.ts';
+import {
+  normalizeTimelineStepAssetSettings,
+  TIMELINE_ASSET_BLEND_MODE_OPTIONS,
+} from './timelineAssetSettings.ts';
+import { normalizeUniformAutomationLanes } from './uniformAutomation.ts';
+
+type TimelineSequenceStep = TimelineStub['shaderSequence']['steps'][number];
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/** Tracks can start up to ten minutes into the transport. */
+export function clampTimelineTrackOffset(value: number): number {
+  return roundTimelineSeconds(Math.max(0, Math.min(600, Number.isFinite(value) ? value : 0)));
+}
+
+export function createTimelineTrack(trackNumber: number): TimelineTrack {
+  return {
+    id: crypto.randomUUID(),
+    label: `Track ${trackNumber}`,
+    blendMode: 'screen',
+    opacity: 1,
+    muted: false,
+    solo: false,
+    offsetSeconds: 0,
+    steps: [],
+  };
+}
+
+/** Clamps the timing fields of a stored step and fills in settings added since it was saved. */
+export function normalizeTimelineSequenceStep(step: TimelineSequenceStep): TimelineSequenceStep {
+  const durationSeconds = clampTimelineStepDuration(step.durationSeconds);
+  return {
+    ...step,
+    disabled: Boolean(step.disabled),
+    durationSeconds,
+    transitionDurationSeconds: clampTransitionDuration(
+      durationSeconds,
+      step.transitionDurationSeconds,
+    ),
+    transitionEffect: normalizeTimelineTransitionEffect(step.transitionEffect),
+    assetSettings: normalizeTimelineStepAssetSettings(step.assetSettings),
+    automationLanes: normalizeUniformAutomationLanes(step.automationLanes),
+  };
+}
+
+/**
+ * Validates stored tracks. Entries without a step list are the label-only
+ * placeholders older projects carried and are dropped.
+ */
+export function normalizeTimelineTracks(tracks: unknown): TimelineTrack[] {
+  if (!Array.isArray(tracks)) {
+    return [];
+  }
+
+  const seenTrackIds = new Set<string>();
+  return tracks.flatMap((track, index): TimelineTrack[] => {
+    if (
+      !isRecord(track) ||
+      typeof track.id !== 'string' ||
+      !track.id ||
+      seenTrackIds.has(track.id) ||
+      !Array.isArray(track.steps)
+    ) {
+      return [];
+    }
+
+    seenTrackIds.add(track.id);
+    const steps = track.steps.filter(
+      (step): step is TimelineSequenceStep =>
+        isRecord(step) && typeof step.id === 'string' && typeof step.shaderId === 'string',
+    );
+    const opacity = Number(track.opacity);
+    return [
+      {
+        id: track.id,
+        label:
+          typeof track.label === 'string' && track.label.trim()
+            ? track.label
+            : `Track ${index + 1}`,
+        blendMode: TIMELINE_ASSET_BLEND_MODE_OPTIONS.some(
+          (option) => option.value === track.blendMode,
+        )
+          ? (track.blendMode as TimelineAssetBlendMode)
+          : 'screen',
+        opacity: Number.isFinite(opacity) ? Math.max(0, Math.min(1, opacity)) : 1,
+        muted: track.muted === true,
+        solo: track.solo === true,
+        offsetSeconds: clampTimelineTrackOffset(Number(track.offsetSeconds)),
+        steps: steps.map(normalizeTimelineSequenceStep),
+      },
+    ];
+  });
+}
+
+/**
+ * Which layers play. While anything is soloed only soloed layers play, and a
+ * muted layer stays silent even when soloed.
+ */
+export function resolveAudibleTimelineTracks(
+  sequence: Pick<TimelineStub['shaderSequence'], 'muted' | 'solo'>,
+  tracks: TimelineTrack[],
+): { sequenceAudible: boolean; tracks: TimelineTrack[] } {
+  const soloActive = Boolean(sequence.solo) || tracks.some((track) => track.solo);
+  const isAudible = (mix: { muted?: boolean; solo?: boolean }) =>
+    !mix.muted && (!soloActive || Boolean(mix.solo));
+
+  return {
+    sequenceAudible: isAudible(sequence),
+    tracks: tracks.filter(isAudible),
+  };
+}
+
+/** Time into the track, or null before the track's offset is reached. */
+export function getTimelineTrackTimeSeconds(
+  track: TimelineTrack,
+  transportTimeSeconds: number,
+): number | null {
+  const timeSeconds = transportTimeSeconds - track.offsetSeconds;
+  return timeSeconds < 0 ? null : timeSeconds;
+}
+
+/**
+ * Applies a mixer strip button. Strip 0 is the main sequence and strip N is
+ * the Nth layer track; strips without a layer are ignored.
+ */
+export function applyTimelineStripAction(
+  timeline: TimelineStub,
+  stripIndex: number,
+  action: MidiTimelineStripAction,
+): TimelineStub {
+  if (action !== 'mute' && action !== 'solo') {
+    return timeline;
+  }
+
+  const field = action === 'mute' ? 'muted' : 'solo';
+  if (stripIndex === 0) {
+    return {
+      ...timeline,
+      shaderSequence: {
+        ...timeline.shaderSequence,
+        [field]: !timeline.shaderSequence[field],
+      },
+    };
+  }
+
+  const track = timeline.tracks[stripIndex - 1];
+  if (!track) {
+    return timeline;
+  }
+
+  return {
+    ...timeline,
+    tracks: timeline.tracks.map((candidate) =>
+      candidate.id === track.id ? { ...candidate, [field]: !candidate[field] } : candidate,
+    ),
+  };
+}
@@ -0,0 +1,235 @@
+import type {
+  ShaderUniformMap,
+  ShaderUniformValue,
+  ShaderUniformValueMap,
+  UniformAutomationEasing,
+  UniformAutomationKeyframe,
+  UniformAutomationLane,
+  UniformAutomationLoopMode,
+} from '../types';
+import { isUniformValueCompatible, snapUniformValue } from './shader.ts';
+import { roundTimelineSeconds } from './timeline.ts';
+
+export const UNIFORM_AUTOMATION_EASING_OPTIONS: Array<{
+  value: UniformAutomationEasing;
+  label: string;
+}> = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'easeIn', label: 'Ease In' },
+  { value: 'easeOut', label: 'Ease Out' },
+  { value: 'easeInOut', label: 'Ease In/Out' },
+  { value: 'hold', label: 'Hold' },
+];
+
+export const UNIFORM_AUTOMATION_LOOP_MODE_OPTIONS: Array<{
+  value: UniformAutomationLoopMode;
+  label: string;
+}> = [
+  { value: 'once', label: 'Once' },
+  { value: 'loop', label: 'Loop' },
+  { value: 'pingPong', label: 'Ping-Pong' },
+];
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isAutomationValue(value: unknown): value is ShaderUniformValue {
+  if (typeof value === 'boolean') {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return (
+      value.length >= 2 &&
+      value.length <= 4 &&
+      value.every((channel) => typeof channel === 'number' && Number.isFinite(channel))
+    );
+  }
+
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/** Keyframes sit inside the longest possible step. */
+export function clampAutomationKeyframeTime(value: number): number {
+  return roundTimelineSeconds(Math.max(0, Math.min(600, Number.isFinite(value) ? value : 0)));
+}
+
+/**
+ * Drops lanes without keyframes or with a repeated uniform, and sorts each
+ * lane's keyframes by time. Stored projects and bundle files go through here.
+ */
+export function normalizeUniformAutomationLanes(lanes: unknown): UniformAutomationLane[] {
+  if (!Array.isArray(lanes)) {
+    return [];
+  }
+
+  const seenUniformNames = new Set<string>();
+  return lanes.flatMap((lane): UniformAutomationLane[] => {
+    if (
+      !isRecord(lane) ||
+      typeof lane.uniformName !== 'string' ||
+      !lane.uniformName ||
+      seenUniformNames.has(lane.uniformName)
+    ) {
+      return [];
+    }
+
+    const keyframes = (Array.isArray(lane.keyframes) ? lane.keyframes : [])
+      .flatMap((keyframe): UniformAutomationKeyframe[] => {
+        if (!isRecord(keyframe) || !isAutomationValue(keyframe.value)) {
+          return [];
+        }
+
+        return [
+          {
+            timeSeconds: clampAutomationKeyframeTime(Number(keyframe.timeSeconds)),
+            value: keyframe.value,
+            easing: UNIFORM_AUTOMATION_EASING_OPTIONS.some(
+              (option) => option.value === keyframe.easing,
+            )
+              ? (keyframe.easing as UniformAutomationEasing)
+              : 'linear',
+          },
+        ];
+      })
+      .sort((left, right) => left.timeSeconds - right.timeSeconds);
+    if (!keyframes.length) {
+      return [];
+    }
+
+    seenUniformNames.add(lane.uniformName);
+    return [
+      {
+        uniformName: lane.uniformName,
+        loopMode: UNIFORM_AUTOMATION_LOOP_MODE_OPTIONS.some(
+          (option) => option.value === lane.loopMode,
+        )
+          ? (lane.loopMode as UniformAutomationLoopMode)
+          : 'once',
+        keyframes,
+      },
+    ];
+  });
+}
+
+export function easeAutomationProgress(
+  progress: number,
+  easing: UniformAutomationEasing,
+): number {
+  const clamped = Math.max(0, Math.min(1, progress));
+  switch (easing) {
+    case 'hold':
+      return 0;
+    case 'easeIn':
+      return clamped * clamped;
+    case 'easeOut':
+      return clamped * (2 - clamped);
+    case 'easeInOut':
+      return clamped * clamped * (3 - 2 * clamped);
+    default:
+      return clamped;
+  }
+}
+
+/**
+ * Position inside the lane for a time in the step. Looping lanes repeat from
+ * the start of the step to their last keyframe; ping-pong lanes play that
+ * span forward and then backward.
+ */
+export function getAutomationLaneTime(lane: UniformAutomationLane, timeSeconds: number): number {
+  const clampedTimeSeconds = Math.max(0, timeSeconds);
+  const spanSeconds = lane.keyframes[lane.keyframes.length - 1]?.timeSeconds ?? 0;
+  if (lane.loopMode === 'once' || spanSeconds <= 0) {
+    return clampedTimeSeconds;
+  }
+  if (lane.loopMode === 'loop') {
+    return clampedTimeSeconds % spanSeconds;
+  }
+
+  const phaseSeconds = clampedTimeSeconds % (spanSeconds * 2);
+  return phaseSeconds <= spanSeconds ? phaseSeconds : spanSeconds * 2 - phaseSeconds;
+}
+
+// Switches, and values whose shape does not match, jump at the next keyframe.
+function interpolateAutomationValues(
+  from: ShaderUniformValue,
+  to: ShaderUniformValue,
+  amount: number,
+): ShaderUniformValue {
+  if (typeof from === 'number' && typeof to === 'number') {
+    return from + (to - from) * amount;
+  }
+  if (Array.isArray(from) && Array.isArray(to) && from.length === to.length) {
+    const channels = from.map((channel, index) => channel + (to[index] - channel) * amount);
+    return channels as ShaderUniformValue;
+  }
+
+  return amount >= 1 ? to : from;
+}
+
+/** Value of the lane at `timeSeconds` into its step, or null for an empty lane. */
+export function evaluateUniformAutomationLane(
+  lane: UniformAutomationLane,
+  timeSeconds: number,
+): ShaderUniformValue | null {
+  const { keyframes } = lane;
+  if (!keyframes.length) {
+    return null;
+  }
+
+  const laneTimeSeconds = getAutomationLaneTime(lane, timeSeconds);
+  const nextIndex = keyframes.findIndex((keyframe) => keyframe.timeSeconds > laneTimeSeconds);
+  if (nextIndex === 0) {
+    return keyframes[0].value;
+  }
+  if (nextIndex === -1) {
+    return keyframes[keyframes.length - 1].value;
+  }
+
+  const from = keyframes[nextIndex - 1];
+  const to = keyframes[nextIndex];
+  const progress = (laneTimeSeconds - from.timeSeconds) / (to.timeSeconds - from.timeSeconds);
+  return interpolateAutomationValues(
+    from.value,
+    to.value,
+    easeAutomationProgress(progress, from.easing),
+  );
+}
+
+/**
+ * Uniform values of a step at `timeSeconds` into it. Lanes for uniforms the
+ * shader no longer declares, or whose keyframes no longer fit the uniform
+ * type, leave the stored value alone. Returns `uniformValues` itself when no
+ * lane applies.
+ */
+export function applyUniformAutomation({
+  uniformValues,
+  lanes,
+  definitions,
+  timeSeconds,
+}: {
+  uniformValues: ShaderUniformValueMap;
+  lanes: UniformAutomationLane[];
+  definitions: ShaderUniformMap;
+  timeSeconds: number;
+}): ShaderUniformValueMap {
+  let nextValues = uniformValues;
+
+  for (const lane of lanes) {
+    const definition = definitions[lane.uniformName];
+    const value = definition ? evaluateUniformAutomationLane(lane, timeSeconds) : null;
+    if (!definition || value === null || !isUniformValueCompatible(value, definition)) {
+      continue;
+    }
+
+    if (nextValues === uniformValues) {
+      nextValues = { ...uniformValues };
+    }
+    nextValues[lane.uniformName] =
+      definition.type === 'int' && typeof value === 'number'
+        ? snapUniformValue(value, definition)
+        : value;
+  }
+
+  return nextValues;
+}
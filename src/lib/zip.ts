@@ -0,0 +1,241 @@
+/**
+ * Minimal zip reader and writer for project archives. Entries are written
+ * uncompressed: archives are mostly images and video that do not shrink, and
+ * storing lets large blobs be copied into the archive without re-encoding.
+ * Reading also accepts deflated entries so a re-zipped archive still opens.
+ */
+
+export interface ZipEntrySource {
+  name: string;
+  data: Blob | string;
+}
+
+export interface ZipEntry {
+  name: string;
+  size: number;
+  /** Reads the entry, failing when its checksum does not match. */
+  read: () => Promise<Blob>;
+}
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const LOCAL_FILE_HEADER_SIZE = 30;
+const CENTRAL_DIRECTORY_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+const MAX_ZIP32_VALUE = 0xffffffff;
+const MAX_ZIP32_ENTRIES = 0xffff;
+const UTF8_NAME_FLAG = 0x0800;
+const ZIP_VERSION = 20;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+let crcTable: Uint32Array | null = null;
+
+function getCrcTable(): Uint32Array {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let index = 0; index < 256; index += 1) {
+      let value = index;
+      for (let bit = 0; bit < 8; bit += 1) {
+        value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+      }
+      crcTable[index] = value >>> 0;
+    }
+  }
+  return crcTable;
+}
+
+async function computeCrc32(blob: Blob): Promise<number> {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  const reader = blob.stream().getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    for (let index = 0; index < value.length; index += 1) {
+      crc = table[(crc ^ value[index]) & 0xff] ^ (crc >>> 8);
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function getDosDateTime(date: Date): { time: number; date: number } {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/** Packs `entries` into a zip file, in order. */
+export async function createZipArchive(
+  entries: ZipEntrySource[],
+  modifiedAt = new Date(),
+): Promise<Blob> {
+  if (entries.length > MAX_ZIP32_ENTRIES) {
+    throw new Error('Too many files for one archive.');
+  }
+
+  const encoder = new TextEncoder();
+  const stamp = getDosDateTime(modifiedAt);
+  const parts: BlobPart[] = [];
+  const centralDirectory: Uint8Array<ArrayBuffer>[] = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data = typeof entry.data === 'string' ? new Blob([entry.data]) : entry.data;
+    const crc = await computeCrc32(data);
+    if (data.size > MAX_ZIP32_VALUE || offset > MAX_ZIP32_VALUE) {
+      throw new Error(`"${entry.name}" makes the archive larger than 4 GB.`);
+    }
+
+    const header = new Uint8Array(LOCAL_FILE_HEADER_SIZE + name.length);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, LOCAL_FILE_HEADER_SIGNATURE, true);
+    headerView.setUint16(4, ZIP_VERSION, true);
+    headerView.setUint16(6, UTF8_NAME_FLAG, true);
+    headerView.setUint16(8, METHOD_STORE, true);
+    headerView.setUint16(10, stamp.time, true);
+    headerView.setUint16(12, stamp.date, true);
+    headerView.setUint32(14, crc, true);
+    headerView.setUint32(18, data.size, true);
+    headerView.setUint32(22, data.size, true);
+    headerView.setUint16(26, name.length, true);
+    header.set(name, LOCAL_FILE_HEADER_SIZE);
+
+    const record = new Uint8Array(CENTRAL_DIRECTORY_HEADER_SIZE + name.length);
+    const recordView = new DataView(record.buffer);
+    recordView.setUint32(0, CENTRAL_DIRECTORY_SIGNATURE, true);
+    recordView.setUint16(4, ZIP_VERSION, true);
+    recordView.setUint16(6, ZIP_VERSION, true);
+    recordView.setUint16(8, UTF8_NAME_FLAG, true);
+    recordView.setUint16(10, METHOD_STORE, true);
+    recordView.setUint16(12, stamp.time, true);
+    recordView.setUint16(14, stamp.date, true);
+    recordView.setUint32(16, crc, true);
+    recordView.setUint32(20, data.size, true);
+    recordView.setUint32(24, data.size, true);
+    recordView.setUint16(28, name.length, true);
+    recordView.setUint32(42, offset, true);
+    record.set(name, CENTRAL_DIRECTORY_HEADER_SIZE);
+
+    parts.push(header, data);
+    centralDirectory.push(record);
+    offset += header.length + data.size;
+  }
+
+  const directorySize = centralDirectory.reduce((total, record) => total + record.length, 0);
+  if (offset + directorySize > MAX_ZIP32_VALUE) {
+    throw new Error('The archive would be larger than 4 GB.');
+  }
+  const end = new Uint8Array(END_OF_CENTRAL_DIRECTORY_SIZE);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  endView.setUint16(8, entries.length, true);
+  endView.setUint16(10, entries.length, true);
+  endView.setUint32(12, directorySize, true);
+  endView.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+async function readBytes(blob: Blob, start: number, end: number): Promise<DataView> {
+  return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+async function inflateRaw(blob: Blob): Promise<Blob> {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot open compressed archives.');
+  }
+  const stream = blob.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).blob();
+}
+
+async function findEndOfCentralDirectory(archive: Blob): Promise<DataView> {
+  const tailStart = Math.max(0, archive.size - END_OF_CENTRAL_DIRECTORY_SIZE - MAX_COMMENT_LENGTH);
+  const tail = await readBytes(archive, tailStart, archive.size);
+  for (let index = tail.byteLength - END_OF_CENTRAL_DIRECTORY_SIZE; index >= 0; index -= 1) {
+    if (tail.getUint32(index, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      return new DataView(tail.buffer, index, END_OF_CENTRAL_DIRECTORY_SIZE);
+    }
+  }
+  throw new Error('This file is not a zip archive.');
+}
+
+/** Lists the files in a zip archive; contents are read lazily per entry. */
+export async function readZipArchive(archive: Blob): Promise<ZipEntry[]> {
+  const end = await findEndOfCentralDirectory(archive);
+  const entryCount = end.getUint16(10, true);
+  const directorySize = end.getUint32(12, true);
+  const directoryOffset = end.getUint32(16, true);
+  if (directoryOffset + directorySize > archive.size) {
+    throw new Error('The archive is truncated.');
+  }
+
+  const directory = await readBytes(archive, directoryOffset, directoryOffset + directorySize);
+  const decoder = new TextDecoder();
+  const entries: ZipEntry[] = [];
+  let cursor = 0;
+
+  for (let index = 0; index < entryCount; index += 1) {
+    if (
+      cursor + CENTRAL_DIRECTORY_HEADER_SIZE > directory.byteLength ||
+      directory.getUint32(cursor, true) !== CENTRAL_DIRECTORY_SIGNATURE
+    ) {
+      throw new Error('The archive directory is damaged.');
+    }
+
+    const method = directory.getUint16(cursor + 10, true);
+    const crc = directory.getUint32(cursor + 16, true);
+    const compressedSize = directory.getUint32(cursor + 20, true);
+    const size = directory.getUint32(cursor + 24, true);
+    const nameLength = directory.getUint16(cursor + 28, true);
+    const extraLength = directory.getUint16(cursor + 30, true);
+    const commentLength = directory.getUint16(cursor + 32, true);
+    const localOffset = directory.getUint32(cursor + 42, true);
+    const name = decoder.decode(
+      new Uint8Array(
+        directory.buffer,
+        directory.byteOffset + cursor + CENTRAL_DIRECTORY_HEADER_SIZE,
+        nameLength,
+      ),
+    );
+    cursor += CENTRAL_DIRECTORY_HEADER_SIZE + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue;
+    }
+    if (method !== METHOD_STORE && method !== METHOD_DEFLATE) {
+      throw new Error(`"${name}" uses an unsupported compression method.`);
+    }
+
+    entries.push({
+      name,
+      size,
+      read: async () => {
+        const header = await readBytes(archive, localOffset, localOffset + LOCAL_FILE_HEADER_SIZE);
+        if (header.getUint32(0, true) !== LOCAL_FILE_HEADER_SIGNATURE) {
+          throw new Error(`"${name}" is damaged in the archive.`);
+        }
+        const dataStart =
+          localOffset +
+          LOCAL_FILE_HEADER_SIZE +
+          header.getUint16(26, true) +
+          header.getUint16(28, true);
+        const stored = archive.slice(dataStart, dataStart + compressedSize);
+        const data = method === METHOD_DEFLATE ? await inflateRaw(stored) : stored;
+        if (data.size !== size || (await computeCrc32(data)) !== crc) {
+          throw new Error(`"${name}" is damaged in the archive.`);
+        }
+        return data;
+      },
+    });
+  }
+
+  return entries;
+}
@@ -1,5 +1,7 @@
 import { useEffect, useMemo, useState } from 'react';
-import { useParams, useSearchParams } from 'react-router-dom';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { MappingSurfaceStage } from '../components/MappingSurfaceStage';
+import { OutputBlendOverlay } from '../components/OutputBlendOverlay';
 import { TimelineStageRenderer } from '../components/TimelineStageRenderer';
 import { DEFAULT_STAGE_TRANSFORM } from '../config';
 import {
@@ -7,16 +9,21 @@ import {
   loadMidiOutputMixState,
   type MidiOutputLiveState,
 } from '../lib/midi/outputSync';
+import { getActiveOutputRegion, getOutputRegionCanvasRect } from '../lib/edgeBlend';
 import { saveOutputViewportSnapshot } from '../lib/outputViewport';
+import { applyShowScheduleEntry } from '../lib/showSchedule';
 import {
   queryOutputDisplays,
   type OutputDisplayOption,
   type OutputDisplayQueryResult,
 } from '../lib/screenDetails';
-import { createSessionSync } from '../lib/sessionSync';
+import { MAIN_MAPPING_SURFACE_ID, MAIN_MAPPING_SURFACE_NAME } from '../lib/mappingSurfaces';
+import { createSessionSync, loadTestPatternState } from '../lib/sessionSync';
 import { loadProjectDocument } from '../lib/storage';
 import { useAssetObjectUrl } from '../lib/useAssetObjectUrl';
+import type { StructuredLightFrame } from '../lib/structuredLight';
 import { useAudioReactivityOutput } from '../hooks/useAudioReactivity';
+import { useShowScheduleOutput } from '../hooks/useShowSchedule';
 import type { ProjectDocument } from '../types';
 
 const FALLBACK_TIMELINE_STUB = {
@@ -24,6 +31,8 @@ const FALLBACK_TIMELINE_STUB = {
   durationSeconds: 180,
   markers: [],
   tracks: [],
+  cueList: { cues: [], activeCueId: null, standbyCueId: null, fade: null },
+  audioTrack: null,
   shaderSequence: {
     enabled: false,
     mode: 'sequence',
@@ -46,11 +55,18 @@ export function OutputRoute() {
   const { sessionId = '' } = useParams();
   const [searchParams] = useSearchParams();
   const chooseScreenOnOpen = searchParams.get('chooseScreen') === '1';
-  const storedProject = useMemo(
-    () => (sessionId ? loadProjectDocument(sessionId) : null),
-    [sessionId],
-  );
+  const regionId = searchParams.get('region');
+  const [storedProject, setStoredProject] = useState<ProjectDocument | null>(null);
   const [liveProject, setLiveProject] = useState<ProjectDocument | null>(null);
+  const [testPatternState, setTestPatternState] = useState(() =>
+    loadTestPatternState(sessionId),
+  );
+  const [testPatternSessionId, setTestPatternSessionId] = useState(sessionId);
+  // A schedule hand-off reuses this window, so the stored pattern is reread per session.
+  if (testPatternSessionId !== sessionId) {
+    setTestPatternSessionId(sessionId);
+    setTestPatternState(loadTestPatternState(sessionId));
+  }
   const [showFullscreenGate, setShowFullscreenGate] = useState(false);
   const [showScreenPicker, setShowScreenPicker] = useState(chooseScreenOnOpen);
   const [displayQuery, setDisplayQuery] = useState<OutputDisplayQueryResult | null>(null);
@@ -60,22 +76,27 @@ export function OutputRoute() {
     sessionId ? loadMidiOutputMixState(sessionId) : null,
   );
   const audioReactivity = useAudioReactivityOutput(sessionId || null);
+  const navigate = useNavigate();
+  const showSchedule = useShowScheduleOutput();
+  const scheduledSessionId = showSchedule.entry?.sessionId ?? null;
 
   useEffect(() => {
-    if (!sessionId) {
-      return;
+    if (scheduledSessionId && scheduledSessionId !== sessionId) {
+      navigate(
+        { pathname: `/output/${scheduledSessionId}`, search: searchParams.toString() },
+        { replace: true },
+      );
     }
+  }, [navigate, scheduledSessionId, searchParams, sessionId]);
 
-    saveOutputViewportSnapshot(sessionId);
-    const handleResize = () => saveOutputViewportSnapshot(sessionId);
-    window.addEventListener('resize', handleResize);
-    window.addEventListener('orientationchange', handleResize);
-    document.addEventListener('fullscreenchange', handleResize);
-
+  useEffect(() => {
+    if (!sessionId) return;
+    let cancelled = false;
+    void loadProjectDocument(sessionId).then((loadedProject) => {
+      if (!cancelled) setStoredProject(loadedProject);
+    });
     return () => {
-      window.removeEventListener('resize', handleResize);
-      window.removeEventListener('orientationchange', handleResize);
-      document.removeEventListener('fullscreenchange', handleResize);
+      cancelled = true;
     };
   }, [sessionId]);
 
@@ -126,9 +147,13 @@ export function OutputRoute() {
       return;
     }
 
-    const sync = createSessionSync(sessionId, (incomingProject) => {
-      setLiveProject(incomingProject);
-    });
+    const sync = createSessionSync(
+      sessionId,
+      (incomingProject) => {
+        setLiveProject(incomingProject);
+      },
+      setTestPatternState,
+    );
 
     return () => sync.destroy();
   }, [sessionId]);
@@ -172,8 +197,46 @@ export function OutputRoute() {
     };
   }, [sessionId]);
 
-  const project = liveProject?.sessionId === sessionId ? liveProject : storedProject;
-  const outputTransport = midiOutputMix?.transport ?? project?.playback.transport ?? null;
+  const sessionProject =
+    liveProject?.sessionId === sessionId
+      ? liveProject
+      : storedProject?.sessionId === sessionId
+        ? storedProject
+        : null;
+  const { entry: scheduledEntry, anchorTimestampMs: scheduledAnchorMs } = showSchedule;
+  const project = useMemo(
+    () =>
+      sessionProject && scheduledEntry?.sessionId === sessionProject.sessionId
+        ? applyShowScheduleEntry(sessionProject, scheduledEntry, scheduledAnchorMs)
+        : sessionProject,
+    [scheduledAnchorMs, scheduledEntry, sessionProject],
+  );
+  // A running schedule entry owns the transport so the workspace cannot stop it.
+  const outputTransport =
+    (scheduledEntry ? null : midiOutputMix?.transport) ?? project?.playback.transport ?? null;
+
+  const outputRegion = getActiveOutputRegion(project?.mapping?.outputLayout, regionId);
+  const outputRegionWidth = outputRegion?.width ?? 1;
+  const outputRegionHeight = outputRegion?.height ?? 1;
+
+  useEffect(() => {
+    if (!sessionId) {
+      return;
+    }
+
+    const regionSize = { width: outputRegionWidth, height: outputRegionHeight };
+    saveOutputViewportSnapshot(sessionId, regionSize);
+    const handleResize = () => saveOutputViewportSnapshot(sessionId, regionSize);
+    window.addEventListener('resize', handleResize);
+    window.addEventListener('orientationchange', handleResize);
+    document.addEventListener('fullscreenchange', handleResize);
+
+    return () => {
+      window.removeEventListener('resize', handleResize);
+      window.removeEventListener('orientationchange', handleResize);
+      document.removeEventListener('fullscreenchange', handleResize);
+    };
+  }, [outputRegionHeight, outputRegionWidth, sessionId]);
 
   const activeAsset = useMemo(() => {
     if (!project) {
@@ -187,6 +250,10 @@ export function OutputRoute() {
   const activeAssetResolution = useAssetObjectUrl(activeAsset);
   const activeAssetUrl = activeAssetResolution.url;
 
+  const mappingSurfaces = (project?.mapping?.surfaces ?? []).filter(
+    (surface) => surface.enabled,
+  );
+
   if (!project) {
     return (
       <div className="output-waiting-screen">
@@ -199,43 +266,106 @@ export function OutputRoute() {
     );
   }
 
-  return (
-    <div className="output-route">
+  const timelineStageProps = {
+    assets: project.library.assets,
+    activeShaderId: project.studio.activeShaderId,
+    activeShaderName: project.studio.activeShaderName,
+    activeShaderCode: project.studio.activeShaderCode,
+    activeUniformValues: project.studio.uniformValues,
+    audioBindingsByShaderId: audioReactivity.preferences.modeEnabled
+      ? audioReactivity.preferences.bindingsByShaderId
+      : undefined,
+    audioRuntime: audioReactivity.runtime,
+    savedShaders: project.studio.savedShaders,
+    timeline: project.timeline?.stub ?? FALLBACK_TIMELINE_STUB,
+    pinnedStepId: project.timeline?.stub?.shaderSequence?.pinnedStepId ?? null,
+    transport: outputTransport ?? project.playback.transport,
+    midiManualMix: {
+      enabled: Boolean(midiOutputMix?.enabled),
+      currentStepId: midiOutputMix?.currentStepId ?? null,
+      nextStepId: midiOutputMix?.nextStepId ?? null,
+      followingStepId: midiOutputMix?.followingStepId ?? null,
+      progress: midiOutputMix?.progress ?? 0,
+    },
+    colorCalibration:
+      outputRegion?.colorCalibration ?? project.mapping?.colorCalibration ?? null,
+    testPattern: testPatternState.pattern,
+    isOutputOnly: true,
+  };
+
+  const structuredLight = testPatternState.structuredLight ?? null;
+  const getStructuredLightFrame = (surfaceId: string): StructuredLightFrame | null => {
+    if (!structuredLight) {
+      return null;
+    }
+    return structuredLight.surfaceId === surfaceId ? structuredLight.frame : { kind: 'black' };
+  };
+
+  const stageLayers = (
+    <>
       <TimelineStageRenderer
+        {...timelineStageProps}
         asset={activeAsset}
-        assets={project.library.assets}
         assetUrl={activeAssetUrl}
         assetUrlStatus={activeAssetResolution.status}
-        activeShaderId={project.studio.activeShaderId}
-        activeShaderName={project.studio.activeShaderName}
-        activeShaderCode={project.studio.activeShaderCode}
-        activeUniformValues={project.studio.uniformValues}
-        audioBindingsByShaderId={
-          audioReactivity.preferences.modeEnabled
-            ? audioReactivity.preferences.bindingsByShaderId
-            : undefined
-        }
-        audioRuntime={audioReactivity.runtime}
-        savedShaders={project.studio.savedShaders}
-        timeline={project.timeline?.stub ?? FALLBACK_TIMELINE_STUB}
-        pinnedStepId={project.timeline?.stub?.shaderSequence?.pinnedStepId ?? null}
         stageTransform={project.mapping?.stageTransform ?? DEFAULT_STAGE_TRANSFORM}
-        transport={outputTransport ?? project.playback.transport}
-        midiManualMix={{
-          enabled: Boolean(midiOutputMix?.enabled),
-          currentStepId: midiOutputMix?.currentStepId ?? null,
-          nextStepId: midiOutputMix?.nextStepId ?? null,
-          followingStepId: midiOutputMix?.followingStepId ?? null,
-          progress: midiOutputMix?.progress ?? 0,
-        }}
-        isOutputOnly
         showGrid={Boolean(project.mapping?.stageTransform?.showGrid)}
+        testPatternSurface={{ id: MAIN_MAPPING_SURFACE_ID, name: MAIN_MAPPING_SURFACE_NAME }}
+        structuredLightFrame={getStructuredLightFrame(MAIN_MAPPING_SURFACE_ID)}
       />
+      {mappingSurfaces.map((surface) => (
+        <div key={surface.id} className="output-surface-layer" data-surface-id={surface.id}>
+          <MappingSurfaceStage
+            {...timelineStageProps}
+            surface={surface}
+            fallbackAsset={activeAsset}
+            structuredLightFrame={getStructuredLightFrame(surface.id)}
+          />
+        </div>
+      ))}
+    </>
+  );
+  const assignedScreen = outputRegion?.screen ?? null;
+  const isAssignedDisplay = (display: OutputDisplayOption) =>
+    Boolean(
+      assignedScreen &&
+        (display.id === assignedScreen.id ||
+          (display.left === assignedScreen.left &&
+            display.top === assignedScreen.top &&
+            display.width === assignedScreen.width &&
+            display.height === assignedScreen.height)),
+    );
+  const pickerScreens =
+    displayQuery?.status === 'ready'
+      ? [
+          ...displayQuery.screens.filter(isAssignedDisplay),
+          ...displayQuery.screens.filter((display) => !isAssignedDisplay(display)),
+        ]
+      : [];
+
+  return (
+    <div className={`output-route ${outputRegion ? 'output-route-region' : ''}`}>
+      {outputRegion ? (
+        <div
+          className="output-region-canvas"
+          data-region-id={outputRegion.id}
+          style={getOutputRegionCanvasRect(outputRegion)}
+        >
+          {showSchedule.blackout ? null : stageLayers}
+        </div>
+      ) : showSchedule.blackout ? null : (
+        stageLayers
+      )}
+      {outputRegion ? <OutputBlendOverlay region={outputRegion} /> : null}
       {showScreenPicker ? (
         <section className="output-screen-picker" aria-labelledby="output-screen-picker-title">
           <div className="output-screen-picker-card">
             <span className="panel-eyebrow">Mapshroom output</span>
-            <h1 id="output-screen-picker-title">Send Output to your projector</h1>
+            <h1 id="output-screen-picker-title">
+              {outputRegion
+                ? `Send ${outputRegion.name} to its projector`
+                : 'Send Output to your projector'}
+            </h1>
             <p>
               Keep the Mapshroom workspace on your PC. This separate Output window is the only
               window affected by Move.
@@ -262,7 +392,7 @@ export function OutputRoute() {
             ) : null}
             {displayQuery?.status === 'ready' ? (
               <div className="output-screen-choice" role="list">
-                {displayQuery.screens.map((display) => (
+                {pickerScreens.map((display) => (
                   <button
                     key={display.id}
                     type="button"
@@ -272,6 +402,7 @@ export function OutputRoute() {
                   >
                     <strong>
                       {display.label}{display.isCurrent ? ' (this screen)' : ''}
+                      {isAssignedDisplay(display) ? ' · Assigned' : ''}
                     </strong>
                     <span>
                       {display.width} × {display.height} · Move Output here and open fullscreen
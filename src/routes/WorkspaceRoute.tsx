@@ -8,23 +8,43 @@ import {
   useMemo,
   useRef,
   useState,
+  useSyncExternalStore,
 } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { AiPanel } from '../components/AiPanel';
 import { ApiSettingsDialog } from '../components/ApiSettingsDialog';
 import { AssetLibraryDialog } from '../components/AssetLibraryDialog';
 import { AssetSegmentationDialog } from '../components/AssetSegmentationDialog';
+import {
+  CameraAlignmentDialog,
+  type CameraAlignmentResult,
+} from '../components/CameraAlignmentDialog';
+import { ReliefScanDialog, type ReliefScanAssets } from '../components/ReliefScanDialog';
+import { ColorCalibrationDialog } from '../components/ColorCalibrationDialog';
 import { type MobilePanelKey, MobileChrome } from '../components/MobileChrome';
 import { MappingPad, type MappingAction } from '../components/MappingPad';
 import { MobilePrecisionOverlay } from '../components/MobilePrecisionOverlay';
 import { MobileUniformOverlay } from '../components/MobileUniformOverlay';
+import { OutputLayoutDialog } from '../components/OutputLayoutDialog';
 import { PlaybackControls } from '../components/PlaybackControls';
 import {
   PresetBrowserDialog,
   type PresetSelectionAction,
 } from '../components/PresetBrowserDialog';
 import { ProBetaDialog, type ProBetaSource } from '../components/ProBetaDialog';
-import { ProjectLibraryDialog } from '../components/ProjectLibraryDialog';
+import {
+  ShaderBundleImportDialog,
+  type ShaderBundleImportOptions,
+} from '../components/ShaderBundleImportDialog';
+import { ShaderSourceImportDialog } from '../components/ShaderSourceImportDialog';
+import { ShowScheduleDialog } from '../components/ShowScheduleDialog';
+import { TimelineCueListDialog } from '../components/TimelineCueListDialog';
+import { TimelineTracksDialog } from '../components/TimelineTracksDialog';
+import { StorageDashboardDialog } from '../components/StorageDashboardDialog';
+import {
+  ProjectLibraryDialog,
+  type ProjectSnapshotSummary,
+} from '../components/ProjectLibraryDialog';
 import { ShareProjectDialog } from '../components/ShareProjectDialog';
 import { ShaderTimelineEditor } from '../components/ShaderTimelineEditor';
 import {
@@ -65,6 +85,7 @@ import {
 } from '../lib/bootFlow';
 import {
   ANTHROPIC_API_KEY_STORAGE_KEY,
+  APP_VERSION,
   DEFAULT_ANTHROPIC_SHADER_MODEL,
   DEFAULT_STAGE_TRANSFORM,
   DEFAULT_GOOGLE_SHADER_MODEL,
@@ -93,6 +114,7 @@ import { isBundledProjectSessionId } from '../lib/bundledProjects';
 import {
   extractGlslCode,
   parseShaderName,
+  parseTextureInputs,
   parseUniforms,
   syncUniformValues,
   validateGeneratedShader,
@@ -142,19 +164,93 @@ import {
 } from '../lib/timeline';
 import { resolveAudioReactiveTimelineState } from '../lib/audioTimeline';
 import { normalizeTimelineStepAssetSettings } from '../lib/timelineAssetSettings';
+import {
+  backTimelineCue,
+  getTimelineCueAutoFollowSeconds,
+  goTimelineCue,
+  normalizeTimelineCueList,
+  releaseTimelineCues,
+  setTimelineCues,
+  standbyTimelineCue,
+} from '../lib/timelineCues';
+import {
+  createTimelineAudioPeaks,
+  normalizeTimelineAudioTrack,
+} from '../lib/timelineAudio';
+import {
+  applyTimelineStripAction,
+  normalizeTimelineSequenceStep,
+  normalizeTimelineTracks,
+} from '../lib/timelineTracks';
+import { normalizeUniformAutomationLanes } from '../lib/uniformAutomation';
 import {
   buildExternalChatShaderPrompt,
   buildShaderMutationPrompt,
 } from '../shaders/requestContract';
 import { createSessionSync } from '../lib/sessionSync';
+import { createProjectHistory, restoreProjectSnapshot } from '../lib/projectHistory';
+import { listProjectAssetFiles } from '../lib/projectRecords';
+import { describeProjectDiff, diffProjects } from '../lib/projectSnapshots';
+import {
+  createShaderBundleTimelineSteps,
+  planShaderBundleImport,
+  type ShaderBundle,
+} from '../lib/shaderBundle';
+import {
+  createIsfFileName,
+  exportIsfShader,
+  SHADER_SOURCE_FORMAT_LABELS,
+  type ShaderSourceConversion,
+} from '../lib/shaderImport';
+import { loadOutputViewportSnapshot } from '../lib/outputViewport';
+import type { StructuredLightFrame } from '../lib/structuredLight';
+import type { OutputTestPatternKind, OutputTestPatternState } from '../lib/testPatterns';
 import { useMidiController } from '../hooks/useMidiController';
 import { useAudioReactivity } from '../hooks/useAudioReactivity';
+import { useTimelineAudioPlayback } from '../hooks/useTimelineAudio';
 import type {
   MidiControllerMode,
+  MidiTimelineStripAction,
   MidiTimelineTransportAction,
 } from '../lib/midi/types';
-import { createMidiOutputSync } from '../lib/midi/outputSync';
+import {
+  createMidiOutputSync,
+  loadMidiOutputMixState,
+  saveMidiOutputMixState,
+} from '../lib/midi/outputSync';
+import {
+  loadAudioReactivePreferences,
+  saveAudioReactivePreferences,
+} from '../lib/audioReactivity';
+import {
+  createProjectArchive,
+  createProjectArchiveFileName,
+  readProjectArchive,
+  remapProjectArchive,
+} from '../lib/projectArchive';
+import { describeMigrationReport, type MigrationReport } from '../lib/projectMigrations';
+import {
+  createProjectFolderConnection,
+  ensureProjectFolderPermission,
+  findChangedShaderSources,
+  isProjectFolderSupported,
+  pickProjectFolder,
+  readExternalShaderEdits,
+  readProjectFolder,
+  readProjectFolderSessionId,
+  writeProjectFolder,
+  type ProjectFolderConnection,
+} from '../lib/projectFolder';
 import { openOutputWindow } from '../lib/openOutputWindow';
+import {
+  DEFAULT_OUTPUT_LAYOUT,
+  normalizeOutputLayout,
+  updateOutputRegion,
+} from '../lib/edgeBlend';
+import {
+  DEFAULT_COLOR_CALIBRATION,
+  normalizeColorCalibration,
+} from '../lib/colorCalibration';
 import {
   openExternalAiWindow,
   type ExternalAiWindowResult,
@@ -166,9 +262,17 @@ import {
 } from '../lib/projectShare';
 import {
   clearPersistedSiteData,
+  deleteAssetBlobs,
+  deletePersistedProject,
+  deleteProjectFolderHandle,
+  loadProjectFolderHandle,
+  saveProjectFolderHandle,
   loadProjectLibrary,
   deleteAssetBlob,
+  deleteProjectSnapshot,
+  getAssetBlob,
   loadProjectDocument,
+  loadProjectSnapshots,
   getOrCreateSessionId,
   loadShaderSliderCache,
   loadUiPreferences,
@@ -176,9 +280,15 @@ import {
   putAssetBlob,
   removeProjectFromLibrary,
   saveProjectToLibrary,
+  loadStorageUsageReport,
+  countOpenWorkspaces,
+  holdOpenWorkspaceLock,
+  requestPersistentStorage,
   saveProjectDocument,
+  saveProjectSnapshot,
   saveShaderSliderCache,
   saveUiPreferences,
+  type StorageUsageReport,
 } from '../lib/storage';
 import { useAssetObjectUrl } from '../lib/useAssetObjectUrl';
 import {
@@ -199,13 +309,37 @@ import {
   createMappingPositionFile,
   MAX_MAPPING_ROTATION,
   MIN_MAPPING_ROTATION,
-  normalizeMappingPosition,
   parseMappingPositionFile,
 } from '../lib/mappingPosition';
+import {
+  addMappingSurface,
+  getActiveMappingSurfaceId,
+  getMappingSurface,
+  getMappingSurfaceTransform,
+  listMappingSurfaceOptions,
+  MAIN_MAPPING_SURFACE_NAME,
+  normalizeMappingSurfaces,
+  normalizeStageTransform,
+  pruneMappingSurfaceReferences,
+  removeMappingSurface,
+  selectMappingSurface,
+  updateMappingSurface,
+  updateMappingSurfaceTransform,
+} from '../lib/mappingSurfaces';
 import {
   DEFAULT_STAGE_DISTORTION,
   normalizeStageDistortion,
 } from '../lib/distortion';
+import { createStageMeshWarp, normalizeStageMeshWarp } from '../lib/meshWarp';
+import {
+  createOutputMask,
+  MAX_OUTPUT_MASKS,
+  nudgeOutputMaskPoint,
+  OUTPUT_MASK_NUDGE_REFERENCE,
+  scaleOutputMask,
+  setOutputMaskPoint,
+  updateOutputMask,
+} from '../lib/outputMasks';
 import { blankShaderTemplate } from '../shaders/templates/blankShader';
 import {
   ONBOARDING_MISSION_COPY,
@@ -215,16 +349,29 @@ import type {
   AiSettings,
   AssetKind,
   AssetRecord,
+  ColorCalibration,
   MobileUiMode,
   ProjectDocument,
   ProjectLibraryEntry,
+  ProjectSnapshotRecord,
   SavedShader,
+  ShaderTextureBinding,
   ShaderVersion,
   ShaderUniformValue,
   ShaderUniformValueMap,
+  DistortionPoint,
+  OutputLayout,
+  OutputMaskKind,
+  OutputMaskShape,
+  OutputRegion,
+  StageDistortEditor,
   StageDistortion,
+  StageMeshWarp,
   StageTransform,
   TimelineStagePreviewMode,
+  TimelineAudioTrack,
+  TimelineCue,
+  TimelineTrack,
   TimelineTransitionEffect,
   UiPreferences,
   WorkspaceMode,
@@ -1433,6 +1580,56 @@ function applyMappingTransform(transform: StageTransform, action: MappingAction)
   return next;
 }
 
+/**
+ * In mask mode the pad nudges the selected mask point, and W/H scale the
+ * whole shape instead of the stage.
+ */
+function applyOutputMaskAction(
+  transform: StageTransform,
+  action: MappingAction,
+  selection: { maskId: string; pointIndex: number } | null,
+): StageTransform {
+  const masks = transform.outputMasks ?? [];
+  const mask = masks.find((candidate) => candidate.id === selection?.maskId) ?? masks[0];
+  if (!mask) {
+    return transform;
+  }
+
+  const pointIndex =
+    selection?.maskId === mask.id ? Math.min(selection.pointIndex, mask.points.length - 1) : 0;
+  const stepX = transform.precision / OUTPUT_MASK_NUDGE_REFERENCE.width;
+  const stepY = transform.precision / OUTPUT_MASK_NUDGE_REFERENCE.height;
+  const scaleX = 1 + transform.precision / OUTPUT_MASK_NUDGE_REFERENCE.width * 4;
+  const scaleY = 1 + transform.precision / OUTPUT_MASK_NUDGE_REFERENCE.height * 4;
+  const nextMask = (() => {
+    switch (action) {
+      case 'move-up':
+        return nudgeOutputMaskPoint(mask, pointIndex, 0, -stepY);
+      case 'move-down':
+        return nudgeOutputMaskPoint(mask, pointIndex, 0, stepY);
+      case 'move-left':
+        return nudgeOutputMaskPoint(mask, pointIndex, -stepX, 0);
+      case 'move-right':
+        return nudgeOutputMaskPoint(mask, pointIndex, stepX, 0);
+      case 'width-plus':
+        return scaleOutputMask(mask, scaleX, 1);
+      case 'width-minus':
+        return scaleOutputMask(mask, 1 / scaleX, 1);
+      case 'height-plus':
+        return scaleOutputMask(mask, 1, scaleY);
+      case 'height-minus':
+        return scaleOutputMask(mask, 1, 1 / scaleY);
+      default:
+        return mask;
+    }
+  })();
+
+  return {
+    ...transform,
+    outputMasks: updateOutputMask(masks, mask.id, () => nextMask),
+  };
+}
+
 function withNewTimelineRandomSeed(project: ProjectDocument): ProjectDocument {
   return {
     ...project,
@@ -1594,20 +1791,7 @@ function normalizeProjectDocument(project: ProjectDocument): ProjectDocument {
     project.timeline?.stub?.shaderSequence?.steps?.length
       ? project.timeline.stub.shaderSequence.steps
       : defaultProject.timeline.stub.shaderSequence.steps
-  ).map((step) => {
-    const durationSeconds = clampTimelineStepDuration(step.durationSeconds);
-    return {
-      ...step,
-      disabled: Boolean(step.disabled),
-      durationSeconds,
-      transitionDurationSeconds: clampTransitionDuration(
-        durationSeconds,
-        step.transitionDurationSeconds,
-      ),
-      transitionEffect: normalizeTimelineTransitionEffect(step.transitionEffect),
-      assetSettings: normalizeTimelineStepAssetSettings(step.assetSettings),
-    };
-  });
+  ).map(normalizeTimelineSequenceStep);
   const requestedPinnedStepId =
     project.timeline?.stub?.shaderSequence?.pinnedStepId ??
     defaultProject.timeline.stub.shaderSequence.pinnedStepId;
@@ -1632,9 +1816,8 @@ function normalizeProjectDocument(project: ProjectDocument): ProjectDocument {
     Number.isFinite(requestedRenderTimeOffsetSeconds)
       ? requestedRenderTimeOffsetSeconds
       : 0;
-  const requestedStageTransform = project.mapping?.stageTransform;
-  const normalizedMappingPosition = normalizeMappingPosition(
-    requestedStageTransform,
+  const normalizedStageTransform = normalizeStageTransform(
+    project.mapping?.stageTransform,
     defaultProject.mapping.stageTransform,
   );
 
@@ -1664,26 +1847,24 @@ function normalizeProjectDocument(project: ProjectDocument): ProjectDocument {
       activeAssetId: normalizedActiveAssetId,
     },
     mapping: {
-      stageTransform: {
-        ...defaultProject.mapping.stageTransform,
-        ...requestedStageTransform,
-        ...normalizedMappingPosition,
-        moveMode: Boolean(requestedStageTransform?.moveMode),
-        rotationLocked: Boolean(requestedStageTransform?.rotationLocked),
-        showGrid: Boolean(requestedStageTransform?.showGrid),
-        distortMode: Boolean(requestedStageTransform?.distortMode),
-        distortion: normalizeStageDistortion(
-          requestedStageTransform?.distortion,
-          normalizedMappingPosition.distortion,
-        ),
-      },
+      stageTransform: normalizedStageTransform,
+      surfaces: pruneMappingSurfaceReferences(
+        normalizeMappingSurfaces(project.mapping?.surfaces, DEFAULT_STAGE_TRANSFORM),
+        new Set(mergedLibraryAssets.map((asset) => asset.id)),
+        new Set(mergedSavedShaders.map((shader) => shader.id)),
+      ),
+      activeSurfaceId: project.mapping?.activeSurfaceId,
+      outputLayout: normalizeOutputLayout(project.mapping?.outputLayout),
+      colorCalibration: normalizeColorCalibration(project.mapping?.colorCalibration),
     },
     timeline: {
       stub: {
         ...defaultProject.timeline.stub,
         ...project.timeline?.stub,
         markers: project.timeline?.stub?.markers ?? defaultProject.timeline.stub.markers,
-        tracks: project.timeline?.stub?.tracks ?? defaultProject.timeline.stub.tracks,
+        tracks: normalizeTimelineTracks(project.timeline?.stub?.tracks),
+        cueList: normalizeTimelineCueList(project.timeline?.stub?.cueList),
+        audioTrack: normalizeTimelineAudioTrack(project.timeline?.stub?.audioTrack),
         shaderSequence: {
           ...defaultProject.timeline.stub.shaderSequence,
           ...project.timeline?.stub?.shaderSequence,
@@ -1767,6 +1948,23 @@ function getProjectTimelinePlaybackSteps(project: ProjectDocument) {
   }).filter(isTimelineStepEnabled);
 }
 
+/** The timeline length the transport loops over, as the timeline bar shows it. */
+function getProjectTimelineDurationSeconds(
+  project: ProjectDocument,
+  activeAssetDurationSeconds: number | null,
+): number {
+  const timelineStub = project.timeline.stub;
+  if (timelineStub.shaderSequence.steps.length > 0) {
+    return getShaderTimelineDuration(getProjectTimelinePlaybackSteps(project));
+  }
+
+  const activeId = project.playback.activeAssetId || project.library.activeAssetId;
+  const activeAsset = project.library.assets.find((asset) => asset.id === activeId);
+  return activeAsset?.kind === 'video' && activeAssetDurationSeconds
+    ? activeAssetDurationSeconds
+    : timelineStub.durationSeconds;
+}
+
 function getProjectTimelineRandomSeedSalt(project: ProjectDocument): string {
   const sequence = project.timeline.stub.shaderSequence;
   const randomSeedToken = sequence.randomSeedToken || project.sessionId;
@@ -1984,6 +2182,19 @@ function activateTimelineOnAppEntry(project: ProjectDocument): ProjectDocument {
   };
 }
 
+const NON_TEXT_INPUT_TYPES = new Set(['button', 'checkbox', 'color', 'radio', 'range', 'submit']);
+
+/** Whether undo shortcuts on `target` belong to the browser's own text editing. */
+function isTextEditingTarget(target: EventTarget | null): boolean {
+  if (target instanceof HTMLInputElement) {
+    return !NON_TEXT_INPUT_TYPES.has(target.type);
+  }
+  return (
+    target instanceof HTMLTextAreaElement ||
+    (target instanceof HTMLElement && target.isContentEditable)
+  );
+}
+
 function sanitizeAiMessage(message: string): string {
   return message
     .replaceAll('Google Gemini', 'AI')
@@ -2000,6 +2211,7 @@ const DESKTOP_PANE_MIN_WIDTH = 180;
 const DESKTOP_PANE_MAX_WIDTH = 520;
 const DESKTOP_TIMELINE_MIN_HEIGHT = 220;
 const DESKTOP_TIMELINE_MAX_HEIGHT = 520;
+const PROJECT_FOLDER_POLL_INTERVAL_MS = 1500;
 
 function createShaderVersion(
   prompt: string,
@@ -2163,6 +2375,38 @@ interface ApplyExternalShaderCodeOptions {
   activateTarget?: boolean;
 }
 
+/**
+ * Applies shader code edited in the project folder by another editor. The
+ * active shader's file mirrors the editor, so its edit lands there as a draft.
+ */
+function applyProjectFolderShaderEdits(
+  currentProject: ProjectDocument,
+  edits: ReadonlyMap<string, string>,
+): ProjectDocument {
+  const { activeShaderId } = currentProject.studio;
+  const withSavedShaderEdits: ProjectDocument = {
+    ...currentProject,
+    studio: {
+      ...currentProject.studio,
+      savedShaders: currentProject.studio.savedShaders.map((shader) => {
+        const code = edits.get(shader.id);
+        return code === undefined || shader.id === activeShaderId
+          ? shader
+          : {
+              ...shader,
+              name: parseShaderName(code),
+              code,
+              uniformValues: getSyncedShaderUniformValues(code, shader.uniformValues),
+            };
+      }),
+    },
+  };
+  const activeCode = edits.get(activeShaderId);
+  return activeCode === undefined
+    ? withSavedShaderEdits
+    : applyActiveShaderPatch(withSavedShaderEdits, { activeShaderCode: activeCode });
+}
+
 function applyExternalShaderCodeToProject(
   currentProject: ProjectDocument,
   {
@@ -2320,6 +2564,7 @@ function createSavedShaderRecord(
       | 'group'
       | 'audioReactiveBindings'
       | 'inputAssetId'
+      | 'textureBindings'
       | 'isTemporary'
       | 'isDirty'
       | 'lastValidCode'
@@ -2356,6 +2601,7 @@ function createSavedShaderRecord(
     group: options.group ?? 'Saved',
     audioReactiveBindings: options.audioReactiveBindings,
     inputAssetId: options.inputAssetId ?? null,
+    textureBindings: options.textureBindings,
     uniformValues: syncedUniformValues,
     lastValidCode,
     lastValidUniformValues: getSyncedShaderUniformValues(
@@ -2420,6 +2666,7 @@ function pruneTemporaryTimelineShaders(
     project.studio.activeShaderId,
     ...keepShaderIds,
     ...project.timeline.stub.shaderSequence.steps.map((step) => step.shaderId),
+    ...project.timeline.stub.tracks.flatMap((track) => track.steps.map((step) => step.shaderId)),
   ]);
   const nextSavedShaders = project.studio.savedShaders.filter(
     (shader) => !shader.isTemporary || referencedShaderIds.has(shader.id),
@@ -2468,6 +2715,7 @@ function assignTimelineStepAssetToProject(
           template: sourceShader.template ?? 'stage',
           group: 'Timeline',
           inputAssetId: sourceShader.inputAssetId ?? null,
+          textureBindings: sourceShader.textureBindings,
           isTemporary: true,
           isDirty: sourceShader.isDirty,
           sourceShaderId: sourceShader.sourceShaderId ?? sourceShader.id,
@@ -2603,11 +2851,30 @@ export function WorkspaceRoute() {
   const stageViewportRef = useRef<HTMLElement | null>(null);
   const stageCanvasRef = useRef<HTMLCanvasElement | null>(null);
   const outputWindowRef = useRef<Window | null>(null);
+  const outputRegionWindowsRef = useRef(new Map<string, Window>());
   const [outputWindowOpen, setOutputWindowOpen] = useState(false);
   const sessionSyncRef = useRef<ReturnType<typeof createSessionSync> | null>(null);
   const midiOutputSyncRef = useRef<ReturnType<typeof createMidiOutputSync> | null>(null);
   const [project, setProject] = useState<ProjectDocument | null>(null);
+  const [projectHistory] = useState(() => createProjectHistory());
+  const projectHistorySnapshot = useSyncExternalStore(
+    projectHistory.subscribe,
+    projectHistory.getSnapshot,
+  );
+  // The last project the history saw, and whether the change since came
+  // from an edit rather than a load, a sync from another window, or an undo.
+  const historyBaseProjectRef = useRef<ProjectDocument | null>(null);
+  const pendingHistoryEditRef = useRef(false);
+  const [activeAssetDurationSeconds, setActiveAssetDurationSeconds] = useState<number | null>(null);
+  const timelineAudio = useTimelineAudioPlayback({
+    track: project?.timeline.stub.audioTrack ?? null,
+    transport: project?.playback.transport ?? null,
+    timelineDurationSeconds: project
+      ? getProjectTimelineDurationSeconds(project, activeAssetDurationSeconds)
+      : 0,
+  });
   const audioReactivity = useAudioReactivity(project?.sessionId ?? null, {
+    timelineAudio,
     sectionDetectionEnabled:
       project?.timeline.stub.shaderSequence.mode === 'audioReactive',
     minimumSectionSeconds:
@@ -2663,7 +2930,30 @@ export function WorkspaceRoute() {
   const [isShareDialogOpen, setIsShareDialogOpen] = useState(false);
   const [isExportDialogOpen, setIsExportDialogOpen] = useState(false);
   const [isSliceStudioDialogOpen, setIsSliceStudioDialogOpen] = useState(false);
+  const [isOutputLayoutDialogOpen, setIsOutputLayoutDialogOpen] = useState(false);
+  const [isColorCalibrationDialogOpen, setIsColorCalibrationDialogOpen] = useState(false);
+  const [outputTestPattern, setOutputTestPattern] = useState<OutputTestPatternKind | null>(null);
+  const [isCameraAlignmentDialogOpen, setIsCameraAlignmentDialogOpen] = useState(false);
+  const [isReliefScanDialogOpen, setIsReliefScanDialogOpen] = useState(false);
+  const [structuredLightFrame, setStructuredLightFrame] =
+    useState<OutputTestPatternState['structuredLight']>(null);
   const [isPresetBrowserOpen, setIsPresetBrowserOpen] = useState(false);
+  const [isShaderBundleImportOpen, setIsShaderBundleImportOpen] = useState(false);
+  const [isShaderSourceImportOpen, setIsShaderSourceImportOpen] = useState(false);
+  const [isTimelineTracksOpen, setIsTimelineTracksOpen] = useState(false);
+  const [isTimelineCueListOpen, setIsTimelineCueListOpen] = useState(false);
+  const [isShowScheduleOpen, setIsShowScheduleOpen] = useState(false);
+  const [isStorageDashboardOpen, setIsStorageDashboardOpen] = useState(false);
+  const [storageReport, setStorageReport] = useState<StorageUsageReport | null>(null);
+  const [isStorageBusy, setIsStorageBusy] = useState(false);
+  const [projectFolderState, setProjectFolderState] = useState<{
+    sessionId: string;
+    name: string;
+    /** Set while the browser still has to be asked for write access again. */
+    pendingHandle: FileSystemDirectoryHandle | null;
+  } | null>(null);
+  const [isProjectFolderBusy, setIsProjectFolderBusy] = useState(false);
+  const projectFolderRef = useRef<ProjectFolderConnection | null>(null);
   const [previewShaderId, setPreviewShaderId] = useState<string | null>(null);
   const [studioPreviewOverride, setStudioPreviewOverride] = useState(false);
   const [isMobileTimelineOpen, setIsMobileTimelineOpen] = useState(false);
@@ -2684,8 +2974,9 @@ export function WorkspaceRoute() {
     stepId: string;
     token: number;
   } | null>(null);
-  const [activeAssetDurationSeconds, setActiveAssetDurationSeconds] = useState<number | null>(null);
   const [savedProjects, setSavedProjects] = useState<ProjectLibraryEntry[]>(() => loadProjectLibrary());
+  const [projectSnapshots, setProjectSnapshots] = useState<ProjectSnapshotRecord[]>([]);
+  const [isProjectArchiveBusy, setIsProjectArchiveBusy] = useState(false);
   const [shareLinkState, setShareLinkState] = useState<ProjectShareLinkResult | null>(null);
   const [isGeneratingShareLink, setIsGeneratingShareLink] = useState(false);
   const [shareLinkError, setShareLinkError] = useState('');
@@ -2704,6 +2995,10 @@ export function WorkspaceRoute() {
   );
   const [showOnboardingGuide, setShowOnboardingGuide] = useState(false);
   const [showMappingFirstStep, setShowMappingFirstStep] = useState(false);
+  const [outputMaskSelection, setOutputMaskSelection] = useState<{
+    maskId: string;
+    pointIndex: number;
+  } | null>(null);
   const [assetsFirstStepEligible, setAssetsFirstStepEligible] = useState(false);
   const [repeatFocusFirstStepVisible, setRepeatFocusFirstStepVisible] = useState(false);
   const appOpenTrackedRef = useRef(false);
@@ -2772,10 +3067,63 @@ export function WorkspaceRoute() {
       if (!currentProject) {
         return currentProject;
       }
-      return updater(currentProject);
+      const nextProject = updater(currentProject);
+      if (nextProject !== currentProject) {
+        pendingHistoryEditRef.current = true;
+      }
+      return nextProject;
     });
   }, []);
 
+  useEffect(() => {
+    const previousProject = historyBaseProjectRef.current;
+    const isEdit = pendingHistoryEditRef.current;
+    historyBaseProjectRef.current = project;
+    pendingHistoryEditRef.current = false;
+
+    if (!project || !previousProject || previousProject.sessionId !== project.sessionId) {
+      projectHistory.clear();
+      return;
+    }
+    if (isEdit) {
+      projectHistory.record(previousProject, project);
+    }
+  }, [project, projectHistory]);
+
+  const applyProjectHistoryStep = useCallback(
+    (step: (currentProject: ProjectDocument) => ProjectDocument | null) => {
+      const currentProject = historyBaseProjectRef.current;
+      const restoredProject = currentProject ? step(currentProject) : null;
+      if (!restoredProject) {
+        return;
+      }
+      historyBaseProjectRef.current = restoredProject;
+      pendingHistoryEditRef.current = false;
+      setProject(restoredProject);
+    },
+    [],
+  );
+
+  const undoProjectChange = useCallback(() => {
+    trackUiClick('project_undo');
+    applyProjectHistoryStep(projectHistory.undo);
+  }, [applyProjectHistoryStep, projectHistory]);
+
+  const redoProjectChange = useCallback(() => {
+    trackUiClick('project_redo');
+    applyProjectHistoryStep(projectHistory.redo);
+  }, [applyProjectHistoryStep, projectHistory]);
+
+  const travelProjectHistory = useCallback(
+    (entryId: number | null) => {
+      trackUiClick('project_history_jump');
+      applyProjectHistoryStep((currentProject) =>
+        projectHistory.travelTo(entryId, currentProject),
+      );
+    },
+    [applyProjectHistoryStep, projectHistory],
+  );
+
   useEffect(() => {
     if (!project || aiRouteHydratedSessionRef.current === project.sessionId) {
       return;
@@ -2927,7 +3275,7 @@ export function WorkspaceRoute() {
       try {
         const shaderApplyLink = parseShaderApplyLink(window.location.href);
         linkedProject = shaderApplyLink
-          ? loadProjectDocument(shaderApplyLink.sessionId)
+          ? await loadProjectDocument(shaderApplyLink.sessionId)
           : null;
       } catch {
         // The dedicated link handler below reports malformed shader links after
@@ -2945,7 +3293,7 @@ export function WorkspaceRoute() {
           ),
         );
         persistActiveSessionId(nextSessionId);
-        saveProjectDocument(starterProject);
+        void saveProjectDocument(starterProject);
         setProject(starterProject);
         return;
       }
@@ -2953,7 +3301,11 @@ export function WorkspaceRoute() {
       persistActiveSessionId(sessionId);
       const loadedProject =
         linkedProject ??
-        loadProjectDocument(sessionId) ??
+        (await loadProjectDocument(sessionId, (report) =>
+          setStatusMessage(
+            `${describeMigrationReport(report)} The original was backed up on this device.`,
+          ),
+        )) ??
         createDefaultProject(sessionId, { isMobile: initialIsMobileRef.current });
       const sliderCache = loadShaderSliderCache(sessionId);
       setProject(
@@ -2987,7 +3339,10 @@ export function WorkspaceRoute() {
         );
         persistActiveSessionId(normalizedImportedProject.sessionId);
         setStatusMessage(
-          `Imported shared project "${normalizedImportedProject.name}" as a new local project.`,
+          `Imported shared project "${normalizedImportedProject.name}" as a new local project.` +
+            (importedSharedProject.migration
+              ? ` ${describeMigrationReport(importedSharedProject.migration)}`
+              : ''),
         );
       } catch (error) {
         if (!cancelled) {
@@ -3027,121 +3382,123 @@ export function WorkspaceRoute() {
     }
     processedShaderApplyLinksRef.current.add(shaderApplyLink.requestId);
 
-    const persistedTargetProject =
-      project.sessionId === shaderApplyLink.sessionId
-        ? project
-        : loadProjectDocument(shaderApplyLink.sessionId);
-    if (!persistedTargetProject) {
-      setStatusMessage(
-        'The project for this shader link is not available in this browser.',
-      );
-      stripShaderApplyParamsFromUrl();
-      return;
-    }
+    void (async () => {
+      const persistedTargetProject =
+        project.sessionId === shaderApplyLink.sessionId
+          ? project
+          : await loadProjectDocument(shaderApplyLink.sessionId);
+      if (!persistedTargetProject) {
+        setStatusMessage(
+          'The project for this shader link is not available in this browser.',
+        );
+        stripShaderApplyParamsFromUrl();
+        return;
+      }
 
-    const normalizedTargetProject = normalizeProject(persistedTargetProject);
-    const targetShader = normalizedTargetProject.studio.savedShaders.find(
-      (shader) => shader.id === shaderApplyLink.targetShaderId,
-    );
-    if (!targetShader) {
-      setStatusMessage(
-        'The shader targeted by this link is no longer available in the project.',
+      const normalizedTargetProject = normalizeProject(persistedTargetProject);
+      const targetShader = normalizedTargetProject.studio.savedShaders.find(
+        (shader) => shader.id === shaderApplyLink.targetShaderId,
       );
-      stripShaderApplyParamsFromUrl();
-      return;
-    }
+      if (!targetShader) {
+        setStatusMessage(
+          'The shader targeted by this link is no longer available in the project.',
+        );
+        stripShaderApplyParamsFromUrl();
+        return;
+      }
 
-    try {
-      const nextCode = validateGeneratedShader(shaderApplyLink.code);
-      const validationError = validateShaderCodeCompilation(nextCode);
-      const pendingRequest = loadPendingShaderApplyRequest(shaderApplyLink.requestId);
-      const matchingPendingRequest =
-        pendingRequest?.sessionId === shaderApplyLink.sessionId &&
-        pendingRequest.targetShaderId === shaderApplyLink.targetShaderId
-          ? pendingRequest
-          : null;
-      const prompt =
-        matchingPendingRequest?.prompt ?? 'Apply the shader generated in my external AI chat.';
-      const historyPrompt =
-        matchingPendingRequest?.historyPrompt ?? 'Applied from AI chat link';
-      const currentCode = matchingPendingRequest?.currentCode ?? targetShader.code;
-      const versionId = crypto.randomUUID();
-      const destinationProject = isBundledProjectSessionId(normalizedTargetProject.sessionId)
-        ? {
-            ...normalizedTargetProject,
-            sessionId: crypto.randomUUID(),
-            name: `${normalizedTargetProject.name} AI Edit`,
-          }
-        : normalizedTargetProject;
-      const nextProject = applyExternalShaderCodeToProject(destinationProject, {
-        targetShaderId: shaderApplyLink.targetShaderId,
-        prompt,
-        historyPrompt,
-        currentCode,
-        nextCode,
-        validationError,
-        versionId,
-        activateTarget: true,
-      });
-      const nextName = parseShaderName(nextCode);
+      try {
+        const nextCode = validateGeneratedShader(shaderApplyLink.code);
+        const validationError = validateShaderCodeCompilation(nextCode);
+        const pendingRequest = loadPendingShaderApplyRequest(shaderApplyLink.requestId);
+        const matchingPendingRequest =
+          pendingRequest?.sessionId === shaderApplyLink.sessionId &&
+          pendingRequest.targetShaderId === shaderApplyLink.targetShaderId
+            ? pendingRequest
+            : null;
+        const prompt =
+          matchingPendingRequest?.prompt ?? 'Apply the shader generated in my external AI chat.';
+        const historyPrompt =
+          matchingPendingRequest?.historyPrompt ?? 'Applied from AI chat link';
+        const currentCode = matchingPendingRequest?.currentCode ?? targetShader.code;
+        const versionId = crypto.randomUUID();
+        const destinationProject = isBundledProjectSessionId(normalizedTargetProject.sessionId)
+          ? {
+              ...normalizedTargetProject,
+              sessionId: crypto.randomUUID(),
+              name: `${normalizedTargetProject.name} AI Edit`,
+            }
+          : normalizedTargetProject;
+        const nextProject = applyExternalShaderCodeToProject(destinationProject, {
+          targetShaderId: shaderApplyLink.targetShaderId,
+          prompt,
+          historyPrompt,
+          currentCode,
+          nextCode,
+          validationError,
+          versionId,
+          activateTarget: true,
+        });
+        const nextName = parseShaderName(nextCode);
 
-      generatedShaderRetryRef.current[shaderApplyLink.targetShaderId] = {
-        sourcePrompt: prompt,
-        code: nextCode,
-        autoRepairUsed: false,
-        versionId,
-        retryInFlight: false,
-      };
+        generatedShaderRetryRef.current[shaderApplyLink.targetShaderId] = {
+          sourcePrompt: prompt,
+          code: nextCode,
+          autoRepairUsed: false,
+          versionId,
+          retryInFlight: false,
+        };
 
-      persistActiveSessionId(nextProject.sessionId);
-      saveProjectDocument(nextProject);
-      setSavedProjects(saveProjectToLibrary(nextProject, nextProject.name));
-      setProject(nextProject);
-      setEditingTimelineStepId(
-        nextProject.timeline.stub.shaderSequence.steps.find(
-          (step) => step.shaderId === shaderApplyLink.targetShaderId,
-        )?.id ?? null,
-      );
-      setStudioPreviewOverride(true);
-      setIsApiSettingsOpen(false);
-      setExternalChatRequest(null);
-      setPreferLiveShaderCompilePreview(true);
-      setShaderCompileNonce((currentValue) => currentValue + 1);
-      removePendingShaderApplyRequest(shaderApplyLink.requestId);
+        persistActiveSessionId(nextProject.sessionId);
+        void saveProjectDocument(nextProject);
+        setSavedProjects(saveProjectToLibrary(nextProject, nextProject.name));
+        setProject(nextProject);
+        setEditingTimelineStepId(
+          nextProject.timeline.stub.shaderSequence.steps.find(
+            (step) => step.shaderId === shaderApplyLink.targetShaderId,
+          )?.id ?? null,
+        );
+        setStudioPreviewOverride(true);
+        setIsApiSettingsOpen(false);
+        setExternalChatRequest(null);
+        setPreferLiveShaderCompilePreview(true);
+        setShaderCompileNonce((currentValue) => currentValue + 1);
+        removePendingShaderApplyRequest(shaderApplyLink.requestId);
 
-      if (validationError) {
-        applyCompilerFeedback(validationError);
+        if (validationError) {
+          applyCompilerFeedback(validationError);
+          setAiFeedbackTone('error');
+          setAiFeedbackMessage(
+            `The linked shader was added as ${nextName}, but it contains GLSL errors.`,
+          );
+          setStatusMessage(
+            `The linked shader has GLSL errors. Showing the code while keeping the previous valid render for ${nextName}.`,
+          );
+        } else {
+          setCompilerError('');
+          setAiFeedbackTone('success');
+          setAiFeedbackMessage(`Shader applied from your AI chat: ${nextName}.`);
+          setStatusMessage(`Shader updated from AI chat: ${nextName}`);
+        }
+
+        trackLlmRequest({
+          provider: 'external_chat',
+          runtime: 'chat',
+          outcome: 'success',
+          trigger: matchingPendingRequest?.trigger ?? 'generate',
+        });
+      } catch (error) {
         setAiFeedbackTone('error');
         setAiFeedbackMessage(
-          `The linked shader was added as ${nextName}, but it contains GLSL errors.`,
+          error instanceof Error ? error.message : 'Unable to apply the shader link.',
         );
         setStatusMessage(
-          `The linked shader has GLSL errors. Showing the code while keeping the previous valid render for ${nextName}.`,
+          error instanceof Error ? error.message : 'Unable to apply the shader link.',
         );
-      } else {
-        setCompilerError('');
-        setAiFeedbackTone('success');
-        setAiFeedbackMessage(`Shader applied from your AI chat: ${nextName}.`);
-        setStatusMessage(`Shader updated from AI chat: ${nextName}`);
+      } finally {
+        stripShaderApplyParamsFromUrl();
       }
-
-      trackLlmRequest({
-        provider: 'external_chat',
-        runtime: 'chat',
-        outcome: 'success',
-        trigger: matchingPendingRequest?.trigger ?? 'generate',
-      });
-    } catch (error) {
-      setAiFeedbackTone('error');
-      setAiFeedbackMessage(
-        error instanceof Error ? error.message : 'Unable to apply the shader link.',
-      );
-      setStatusMessage(
-        error instanceof Error ? error.message : 'Unable to apply the shader link.',
-      );
-    } finally {
-      stripShaderApplyParamsFromUrl();
-    }
+    })();
   }, [
     applyCompilerFeedback,
     location.hash,
@@ -3176,6 +3533,13 @@ export function WorkspaceRoute() {
     };
   }, [activeSessionId]);
 
+  useEffect(() => {
+    sessionSyncRef.current?.publishTestPattern({
+      pattern: outputTestPattern,
+      structuredLight: structuredLightFrame,
+    });
+  }, [activeSessionId, structuredLightFrame, outputTestPattern]);
+
   useEffect(() => {
     if (!project) {
       return;
@@ -3184,9 +3548,26 @@ export function WorkspaceRoute() {
     persistActiveSessionId(project.sessionId);
 
     const timeoutId = window.setTimeout(() => {
-      saveProjectDocument(project);
+      void saveProjectDocument(project).then((saved) => {
+        if (!saved) {
+          setStatusMessage(
+            'Recent changes could not be saved in this browser. ' +
+              'Check File > Storage for free space.',
+          );
+        }
+      });
       saveShaderSliderCache(project.sessionId, createSliderCacheSnapshot(project));
       sessionSyncRef.current?.publish(project);
+      const projectFolder = projectFolderRef.current;
+      if (projectFolder?.sessionId === project.sessionId) {
+        void writeProjectFolder(projectFolder, project, getAssetBlob).catch((error: unknown) => {
+          console.warn('Unable to save the project folder.', error);
+          setStatusMessage(
+            `Unable to save to the folder "${projectFolder.handle.name}". ` +
+              'Changes are still saved in this browser.',
+          );
+        });
+      }
     }, 350);
 
     return () => window.clearTimeout(timeoutId);
@@ -3211,6 +3592,109 @@ export function WorkspaceRoute() {
     setSavedProjects(loadProjectLibrary());
   }, [isProjectDialogOpen]);
 
+  const snapshotSessionId = isProjectDialogOpen ? project?.sessionId ?? null : null;
+
+  useEffect(() => {
+    if (!snapshotSessionId) {
+      return;
+    }
+
+    let cancelled = false;
+    void loadProjectSnapshots(snapshotSessionId).then((snapshots) => {
+      if (!cancelled) {
+        setProjectSnapshots(snapshots);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [snapshotSessionId]);
+
+  const projectSnapshotSummaries = useMemo<ProjectSnapshotSummary[]>(() => {
+    if (!isProjectDialogOpen || !project) {
+      return [];
+    }
+
+    return projectSnapshots
+      .filter((snapshot) => snapshot.sessionId === project.sessionId)
+      .map((snapshot) => ({
+        id: snapshot.id,
+        name: snapshot.name,
+        createdAt: snapshot.createdAt,
+        changes: describeProjectDiff(diffProjects(normalizeProject(snapshot.project), project)),
+      }));
+  }, [isProjectDialogOpen, project, projectSnapshots]);
+
+  const handleTakeProjectSnapshot = useCallback(async (name: string) => {
+    if (!project) {
+      return;
+    }
+
+    const fallbackName = `Snapshot ${projectSnapshots.length + 1}`;
+    const snapshot = await saveProjectSnapshot(project, name.trim() || fallbackName);
+    if (!snapshot) {
+      setStatusMessage('Snapshots are unavailable because browser storage is disabled.');
+      return;
+    }
+
+    setProjectSnapshots((currentSnapshots) => [snapshot, ...currentSnapshots]);
+    setStatusMessage(`Took snapshot "${snapshot.name}".`);
+    trackUiClick('take_project_snapshot');
+  }, [project, projectSnapshots.length]);
+
+  const handleRestoreProjectSnapshot = useCallback((snapshotId: string) => {
+    const snapshot = projectSnapshots.find((entry) => entry.id === snapshotId);
+    if (!snapshot) {
+      return;
+    }
+
+    updateProject((currentProject) =>
+      normalizeProject(restoreProjectSnapshot(snapshot.project, currentProject)),
+    );
+    setEditingTimelineStepId(null);
+    setPreviewShaderId(null);
+    setStatusMessage(`Restored snapshot "${snapshot.name}". Undo brings back the previous state.`);
+    setIsProjectDialogOpen(false);
+    trackUiClick('restore_project_snapshot');
+  }, [projectSnapshots, updateProject]);
+
+  const handleForkProjectSnapshot = useCallback((snapshotId: string) => {
+    const snapshot = projectSnapshots.find((entry) => entry.id === snapshotId);
+    if (!project || !snapshot) {
+      return;
+    }
+
+    const trimmedName = `${snapshot.project.name || 'Untitled Project'} · ${snapshot.name}`;
+    const nextProject = normalizeProject({
+      ...restoreProjectSnapshot(snapshot.project, project),
+      sessionId: crypto.randomUUID(),
+      name: trimmedName,
+    });
+
+    setProject(nextProject);
+    void saveProjectDocument(nextProject);
+    setSavedProjects(saveProjectToLibrary(nextProject, trimmedName));
+    persistActiveSessionId(nextProject.sessionId);
+    setEditingTimelineStepId(null);
+    setPreviewShaderId(null);
+    setStatusMessage(`Forked snapshot "${snapshot.name}" into a new project.`);
+    setIsProjectDialogOpen(false);
+    trackUiClick('fork_project_snapshot');
+  }, [project, projectSnapshots]);
+
+  const handleDeleteProjectSnapshot = useCallback(async (snapshotId: string) => {
+    const deleted = await deleteProjectSnapshot(snapshotId);
+    if (!deleted) {
+      setStatusMessage('Unable to delete that snapshot.');
+      return;
+    }
+
+    setProjectSnapshots((currentSnapshots) =>
+      currentSnapshots.filter((snapshot) => snapshot.id !== snapshotId),
+    );
+    trackUiClick('delete_project_snapshot');
+  }, []);
+
   const handleSaveProject = useCallback((name: string) => {
     if (!project) {
       return;
@@ -3226,7 +3710,7 @@ export function WorkspaceRoute() {
       });
 
       setProject(nextProject);
-      saveProjectDocument(nextProject);
+      void saveProjectDocument(nextProject);
       setSavedProjects(saveProjectToLibrary(nextProject, trimmedName));
       persistActiveSessionId(nextProject.sessionId);
       setStatusMessage(`Saved "${trimmedName}" as a new project.`);
@@ -3241,7 +3725,7 @@ export function WorkspaceRoute() {
     };
 
     setProject(nextProject);
-    saveProjectDocument(nextProject);
+    void saveProjectDocument(nextProject);
     setSavedProjects(saveProjectToLibrary(nextProject, trimmedName));
     persistActiveSessionId(nextProject.sessionId);
     setStatusMessage(`Saved project "${trimmedName}".`);
@@ -3262,7 +3746,7 @@ export function WorkspaceRoute() {
     });
 
     setProject(nextProject);
-    saveProjectDocument(nextProject);
+    void saveProjectDocument(nextProject);
     setSavedProjects(saveProjectToLibrary(nextProject, trimmedName));
     persistActiveSessionId(nextProject.sessionId);
     setStatusMessage(`Saved "${trimmedName}" as a new project.`);
@@ -3316,8 +3800,11 @@ export function WorkspaceRoute() {
     trackUiClick('create_empty_project');
   }, [isMobile]);
 
-  const handleOpenSavedProject = useCallback((sessionId: string) => {
-    const loadedProject = loadProjectDocument(sessionId);
+  const handleOpenSavedProject = useCallback(async (sessionId: string) => {
+    let migration: MigrationReport | null = null;
+    const loadedProject = await loadProjectDocument(sessionId, (report) => {
+      migration = report;
+    });
     if (!loadedProject) {
       setStatusMessage('That saved project is no longer available on this device.');
       setSavedProjects(removeProjectFromLibrary(sessionId));
@@ -3332,30 +3819,468 @@ export function WorkspaceRoute() {
     setProject(normalizedProject);
     persistActiveSessionId(sessionId);
     setIsProjectDialogOpen(false);
-    setStatusMessage(`Opened project "${normalizedProject.name}".`);
+    setStatusMessage(
+      migration
+        ? `Opened project "${normalizedProject.name}". ${describeMigrationReport(migration)} ` +
+            'The original was backed up on this device.'
+        : `Opened project "${normalizedProject.name}".`,
+    );
     trackUiClick('open_saved_project');
   }, []);
 
-  const handleGenerateShareLink = useCallback(async () => {
+  const handleExportProjectArchive = useCallback(async () => {
     if (!project) {
       return;
     }
 
-    setIsGeneratingShareLink(true);
-    setShareLinkError('');
-
+    setIsProjectArchiveBusy(true);
     try {
-      const nextShareLink = await createProjectShareLink(project);
-      setShareLinkState(nextShareLink);
-      setStatusMessage(`Share link ready for "${project.name}".`);
-      track('share_project', { outcome: 'success' });
+      const assetBlobs = new Map<string, Blob>();
+      await Promise.all(
+        listProjectAssetFiles(project).map(async (asset) => {
+          const blob = await getAssetBlob(asset.id);
+          if (blob) {
+            assetBlobs.set(asset.id, blob);
+          }
+        }),
+      );
+      const archive = await createProjectArchive({
+        project,
+        assetBlobs,
+        audioReactive: loadAudioReactivePreferences(project.sessionId),
+        midiOutput: loadMidiOutputMixState(project.sessionId),
+        shaderSliders: loadShaderSliderCache(project.sessionId),
+      });
+      const fileName = createProjectArchiveFileName(project.name);
+      const downloadUrl = URL.createObjectURL(archive);
+      const link = document.createElement('a');
+      link.href = downloadUrl;
+      link.download = fileName;
+      link.click();
+      window.setTimeout(() => URL.revokeObjectURL(downloadUrl), 1_000);
+      setStatusMessage(`Downloaded ${fileName} with ${assetBlobs.size} asset files.`);
+      trackUiClick('export_project_archive', { assetCount: assetBlobs.size });
     } catch (error) {
-      const message =
-        error instanceof Error ? error.message : 'Unable to generate the project share link.';
-      setShareLinkError(message);
-      setStatusMessage(message);
-      track('share_project', { outcome: 'error' });
-    } finally {
+      setStatusMessage(
+        error instanceof Error ? error.message : 'Unable to export the project archive.',
+      );
+    } finally {
+      setIsProjectArchiveBusy(false);
+    }
+  }, [project]);
+
+  const handleImportProjectArchive = useCallback(async (file: File) => {
+    setIsProjectArchiveBusy(true);
+    const storedAssetIds: string[] = [];
+    try {
+      const archive = await readProjectArchive(file, APP_VERSION);
+      const archivedSessionId = archive.project.sessionId;
+      const existingProject =
+        project?.sessionId === archivedSessionId
+          ? project
+          : await loadProjectDocument(archivedSessionId);
+      const replaceExisting =
+        Boolean(existingProject) &&
+        !isBundledProjectSessionId(archivedSessionId) &&
+        window.confirm(
+          `"${existingProject?.name}" from this archive is already on this device. Replace it? ` +
+            'Choose Cancel to import the archive as a separate copy.',
+        );
+      const sessionId = replaceExisting ? archivedSessionId : crypto.randomUUID();
+      const imported = remapProjectArchive(archive, sessionId);
+
+      for (const [assetId, blob] of imported.assetBlobs) {
+        if (!(await putAssetBlob(assetId, blob))) {
+          throw new Error('The archive assets could not be saved in this browser.');
+        }
+        storedAssetIds.push(assetId);
+      }
+
+      // The replaced project's media stays for orphan cleanup, which knows
+      // whether a snapshot of this session still uses it.
+      if (replaceExisting) {
+        projectHistory.clear();
+      }
+      const importedProject = applyPersistedSliderCache(
+        normalizeProject(imported.project),
+        imported.shaderSliders,
+      );
+      saveShaderSliderCache(sessionId, imported.shaderSliders);
+      if (imported.audioReactive) {
+        saveAudioReactivePreferences(sessionId, imported.audioReactive);
+      }
+      if (imported.midiOutput) {
+        saveMidiOutputMixState(sessionId, imported.midiOutput);
+      }
+      void saveProjectDocument(importedProject);
+      setSavedProjects(saveProjectToLibrary(importedProject, importedProject.name));
+      persistActiveSessionId(sessionId);
+      setProject(importedProject);
+      setEditingTimelineStepId(null);
+      setPreviewShaderId(null);
+      setIsProjectDialogOpen(false);
+      setStatusMessage(
+        (archive.missingAssetNames.length
+          ? `Imported "${importedProject.name}" without ${archive.missingAssetNames.length} missing asset files.`
+          : `Imported "${importedProject.name}".`) +
+          (archive.migration ? ` ${describeMigrationReport(archive.migration)}` : ''),
+      );
+      trackUiClick('import_project_archive', {
+        mode: replaceExisting ? 'replace' : 'copy',
+        assetCount: storedAssetIds.length,
+      });
+    } catch (error) {
+      storedAssetIds.forEach((assetId) => void deleteAssetBlob(assetId));
+      setStatusMessage(
+        error instanceof Error ? error.message : 'Unable to import the project archive.',
+      );
+    } finally {
+      setIsProjectArchiveBusy(false);
+    }
+  }, [project, projectHistory]);
+
+  const attachProjectFolder = useCallback((connection: ProjectFolderConnection) => {
+    projectFolderRef.current = connection;
+    setProjectFolderState({
+      sessionId: connection.sessionId,
+      name: connection.handle.name,
+      pendingHandle: null,
+    });
+    void saveProjectFolderHandle(connection.sessionId, connection.handle);
+  }, []);
+
+  const reconnectProjectFolder = useCallback(
+    async (sessionId: string, handle: FileSystemDirectoryHandle) => {
+      const opened = await readProjectFolder(handle, APP_VERSION);
+      if (!opened || opened.connection.sessionId !== sessionId) {
+        void deleteProjectFolderHandle(sessionId);
+        setProjectFolderState(null);
+        setStatusMessage(
+          `The folder "${handle.name}" no longer holds this project, so it is not saved there.`,
+        );
+        return;
+      }
+
+      attachProjectFolder(opened.connection);
+      // Shader files edited while Mapshroom was closed win over the browser copy.
+      updateProject((currentProject) => {
+        const edits = findChangedShaderSources(
+          currentProject,
+          opened.connection.layout,
+          opened.connection.shaderSources,
+        );
+        return edits.size ? applyProjectFolderShaderEdits(currentProject, edits) : currentProject;
+      });
+      setStatusMessage(`Saving to the folder "${handle.name}".`);
+    },
+    [attachProjectFolder, updateProject],
+  );
+
+  const handleOpenProjectFolder = useCallback(async () => {
+    setIsProjectFolderBusy(true);
+    const storedAssetIds: string[] = [];
+    try {
+      const handle = await pickProjectFolder();
+      if (!handle) {
+        return;
+      }
+      const opened = await readProjectFolder(handle, APP_VERSION);
+      if (!opened) {
+        setStatusMessage(
+          `"${handle.name}" has no Mapshroom project yet. Use Save to Folder to put one there.`,
+        );
+        return;
+      }
+
+      for (const [assetId, blob] of opened.assetBlobs) {
+        if (!(await putAssetBlob(assetId, blob))) {
+          throw new Error('The project folder assets could not be saved in this browser.');
+        }
+        storedAssetIds.push(assetId);
+      }
+      const openedProject = normalizeProject(opened.project);
+      await saveProjectDocument(openedProject);
+      setSavedProjects(saveProjectToLibrary(openedProject, openedProject.name));
+      persistActiveSessionId(openedProject.sessionId);
+      attachProjectFolder(opened.connection);
+      setProject(openedProject);
+      setEditingTimelineStepId(null);
+      setPreviewShaderId(null);
+      setIsProjectDialogOpen(false);
+      setStatusMessage(
+        `Opened "${openedProject.name}" from the folder "${handle.name}".` +
+          (opened.migration ? ` ${describeMigrationReport(opened.migration)}` : ''),
+      );
+      trackUiClick('open_project_folder', { assetCount: opened.assetBlobs.size });
+    } catch (error) {
+      storedAssetIds.forEach((assetId) => void deleteAssetBlob(assetId));
+      setStatusMessage(
+        error instanceof Error ? error.message : 'Unable to open the project folder.',
+      );
+    } finally {
+      setIsProjectFolderBusy(false);
+    }
+  }, [attachProjectFolder]);
+
+  const handleSaveProjectToFolder = useCallback(async () => {
+    if (!project) {
+      return;
+    }
+
+    setIsProjectFolderBusy(true);
+    try {
+      const handle = await pickProjectFolder();
+      if (!handle) {
+        return;
+      }
+      const existingSessionId = await readProjectFolderSessionId(handle).catch(() => null);
+      if (
+        existingSessionId &&
+        existingSessionId !== project.sessionId &&
+        !window.confirm(
+          `"${handle.name}" already holds another Mapshroom project. Replace it with this one?`,
+        )
+      ) {
+        return;
+      }
+
+      const connection = createProjectFolderConnection(handle, project.sessionId);
+      await writeProjectFolder(connection, project, getAssetBlob);
+      attachProjectFolder(connection);
+      setIsProjectDialogOpen(false);
+      setStatusMessage(
+        `Saved "${project.name}" to the folder "${handle.name}". Changes autosave there.`,
+      );
+      trackUiClick('save_project_folder');
+    } catch (error) {
+      setStatusMessage(
+        error instanceof Error ? error.message : 'Unable to save the project folder.',
+      );
+    } finally {
+      setIsProjectFolderBusy(false);
+    }
+  }, [attachProjectFolder, project]);
+
+  const handleReconnectProjectFolder = useCallback(async () => {
+    const pendingHandle = projectFolderState?.pendingHandle;
+    if (!pendingHandle || projectFolderState.sessionId !== activeSessionId) {
+      return;
+    }
+
+    setIsProjectFolderBusy(true);
+    try {
+      if (!(await ensureProjectFolderPermission(pendingHandle, true))) {
+        setStatusMessage(`Mapshroom was not allowed to write to "${pendingHandle.name}".`);
+        return;
+      }
+      await reconnectProjectFolder(projectFolderState.sessionId, pendingHandle);
+      trackUiClick('reconnect_project_folder');
+    } catch (error) {
+      setStatusMessage(
+        error instanceof Error ? error.message : 'Unable to reconnect the project folder.',
+      );
+    } finally {
+      setIsProjectFolderBusy(false);
+    }
+  }, [activeSessionId, projectFolderState, reconnectProjectFolder]);
+
+  const handleDisconnectProjectFolder = useCallback(() => {
+    if (!projectFolderState) {
+      return;
+    }
+
+    projectFolderRef.current = null;
+    void deleteProjectFolderHandle(projectFolderState.sessionId);
+    setProjectFolderState(null);
+    setStatusMessage(`Stopped saving to the folder "${projectFolderState.name}".`);
+    trackUiClick('disconnect_project_folder');
+  }, [projectFolderState]);
+
+  useEffect(() => {
+    if (!activeSessionId || projectFolderRef.current?.sessionId === activeSessionId) {
+      return;
+    }
+
+    let cancelled = false;
+    projectFolderRef.current = null;
+    void loadProjectFolderHandle(activeSessionId).then(async (handle) => {
+      if (cancelled) {
+        return;
+      }
+      if (!handle) {
+        setProjectFolderState(null);
+        return;
+      }
+      if (await ensureProjectFolderPermission(handle, false)) {
+        await reconnectProjectFolder(activeSessionId, handle).catch((error: unknown) => {
+          console.warn('Unable to reconnect the project folder.', error);
+        });
+        return;
+      }
+      setProjectFolderState({
+        sessionId: activeSessionId,
+        name: handle.name,
+        pendingHandle: handle,
+      });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activeSessionId, reconnectProjectFolder]);
+
+  const connectedProjectFolderName =
+    projectFolderState?.sessionId === activeSessionId && !projectFolderState.pendingHandle
+      ? projectFolderState.name
+      : null;
+
+  useEffect(() => {
+    if (!connectedProjectFolderName) {
+      return;
+    }
+
+    // There is no file-change event to listen to, so shader files are polled.
+    const intervalId = window.setInterval(() => {
+      const projectFolder = projectFolderRef.current;
+      if (!projectFolder || document.visibilityState === 'hidden') {
+        return;
+      }
+      void readExternalShaderEdits(projectFolder)
+        .then((edits) => {
+          if (!edits.size || projectFolderRef.current !== projectFolder) {
+            return;
+          }
+          updateProject((currentProject) =>
+            currentProject.sessionId === projectFolder.sessionId
+              ? applyProjectFolderShaderEdits(currentProject, edits)
+              : currentProject,
+          );
+          setCompilerError('');
+          setPreferLiveShaderCompilePreview(true);
+          setShaderCompileNonce((currentValue) => currentValue + 1);
+          setStatusMessage(
+            edits.size === 1
+              ? 'Reloaded a shader edited in the project folder.'
+              : `Reloaded ${edits.size} shaders edited in the project folder.`,
+          );
+        })
+        .catch((error: unknown) => {
+          console.warn('Unable to read shader files from the project folder.', error);
+        });
+    }, PROJECT_FOLDER_POLL_INTERVAL_MS);
+
+    return () => window.clearInterval(intervalId);
+  }, [connectedProjectFolderName, updateProject]);
+
+  const refreshStorageReport = useCallback(async () => {
+    setIsStorageBusy(true);
+    try {
+      // Measure what is actually stored, including edits still waiting to autosave.
+      if (project) {
+        await saveProjectDocument(project);
+      }
+      setStorageReport(await loadStorageUsageReport(projectHistory.listProjects()));
+    } finally {
+      setIsStorageBusy(false);
+    }
+  }, [project, projectHistory]);
+
+  // Lets storage cleanup in any tab see that this one is still open.
+  useEffect(() => holdOpenWorkspaceLock(), []);
+
+  const handleOpenStorageDashboard = useCallback(() => {
+    trackUiClick('open_storage');
+    setStorageReport(null);
+    setIsStorageDashboardOpen(true);
+    void refreshStorageReport();
+  }, [refreshStorageReport]);
+
+  const handleRequestPersistentStorage = useCallback(async () => {
+    const granted = await requestPersistentStorage();
+    setStatusMessage(
+      granted
+        ? 'Storage is now persistent; the browser will not clear it on its own.'
+        : 'The browser declined persistent storage. Installing the app usually allows it.',
+    );
+    trackUiClick('request_persistent_storage', { granted });
+    await refreshStorageReport();
+  }, [refreshStorageReport]);
+
+  const handleCollectOrphanedAssets = useCallback(async () => {
+    const count = storageReport?.orphanedAssets.length ?? 0;
+    if (!count) {
+      return;
+    }
+    // Another tab's unsaved edits and undo history may point at media that
+    // looks unused from here, so cleanup only runs in the last open tab.
+    const openWorkspaces = await countOpenWorkspaces();
+    if (openWorkspaces !== null && openWorkspaces > 1) {
+      setStatusMessage('Close the other editor tabs first; they may still use these media files.');
+      return;
+    }
+    if (
+      !window.confirm(
+        `Delete ${count} media files that no saved project uses? This cannot be undone.`,
+      )
+    ) {
+      return;
+    }
+
+    setIsStorageBusy(true);
+    try {
+      if (project) {
+        await saveProjectDocument(project);
+      }
+      // Recheck right before deleting so nothing imported since the last refresh is lost.
+      const { orphanedAssets } = await loadStorageUsageReport(projectHistory.listProjects());
+      const deleted = await deleteAssetBlobs(orphanedAssets.map((asset) => asset.id));
+      setStatusMessage(
+        deleted
+          ? `Deleted ${orphanedAssets.length} unused media files.`
+          : 'Unable to delete the unused media files.',
+      );
+      trackUiClick('collect_orphaned_assets', { count: orphanedAssets.length });
+      setStorageReport(await loadStorageUsageReport(projectHistory.listProjects()));
+    } finally {
+      setIsStorageBusy(false);
+    }
+  }, [project, projectHistory, storageReport]);
+
+  const handleDeleteStoredProject = useCallback((sessionId: string) => {
+    const entry = storageReport?.projects.find((candidate) => candidate.sessionId === sessionId);
+    if (
+      !entry ||
+      !window.confirm(`Delete "${entry.name}" and its snapshots from this browser?`)
+    ) {
+      return;
+    }
+
+    setSavedProjects(deletePersistedProject(sessionId));
+    setStatusMessage(`Deleted "${entry.name}". Its media can now be cleared as unused.`);
+    trackUiClick('delete_stored_project');
+    void refreshStorageReport();
+  }, [refreshStorageReport, storageReport]);
+
+  const handleGenerateShareLink = useCallback(async () => {
+    if (!project) {
+      return;
+    }
+
+    setIsGeneratingShareLink(true);
+    setShareLinkError('');
+
+    try {
+      const nextShareLink = await createProjectShareLink(project);
+      setShareLinkState(nextShareLink);
+      setStatusMessage(`Share link ready for "${project.name}".`);
+      track('share_project', { outcome: 'success' });
+    } catch (error) {
+      const message =
+        error instanceof Error ? error.message : 'Unable to generate the project share link.';
+      setShareLinkError(message);
+      setStatusMessage(message);
+      track('share_project', { outcome: 'error' });
+    } finally {
       setIsGeneratingShareLink(false);
     }
   }, [project]);
@@ -3478,6 +4403,10 @@ export function WorkspaceRoute() {
     () => parseUniforms(project?.studio.activeShaderCode ?? ''),
     [project?.studio.activeShaderCode],
   );
+  const textureInputs = useMemo(
+    () => parseTextureInputs(project?.studio.activeShaderCode ?? ''),
+    [project?.studio.activeShaderCode],
+  );
   const activeAudioShaderId = project?.studio.activeShaderId ?? null;
   const activeAudioShaderCode = project?.studio.activeShaderCode ?? '';
   const activeAudioUniformValues = project?.studio.uniformValues ?? null;
@@ -3897,6 +4826,7 @@ export function WorkspaceRoute() {
             : currentProject.playback.transport,
         },
         mapping: {
+          ...currentProject.mapping,
           stageTransform: {
             ...currentProject.mapping.stageTransform,
           },
@@ -4049,6 +4979,11 @@ export function WorkspaceRoute() {
       lastModified: Date.now(),
       createdAt: new Date().toISOString(),
       sourceType: 'uploaded',
+      // Link to the original, so masks of a depth map still count as its companions.
+      derivedFrom: {
+        assetId: sourceAsset.derivedFrom?.assetId ?? sourceAsset.id,
+        kind: resultKind,
+      },
     };
     const saved = await putAssetBlob(maskedAsset.id, blob);
     if (!saved) {
@@ -4282,6 +5217,9 @@ export function WorkspaceRoute() {
                     patch.transitionDurationSeconds ?? step.transitionDurationSeconds,
                   ),
                   assetSettings,
+                  automationLanes: normalizeUniformAutomationLanes(
+                    patch.automationLanes ?? step.automationLanes,
+                  ),
                 };
               }),
             },
@@ -4299,6 +5237,198 @@ export function WorkspaceRoute() {
     }
   }, [editingTimelineStepId, selectTimelineStepForEditing, updateProject]);
 
+  const handleTimelineTracksChange = useCallback((tracks: TimelineTrack[]) => {
+    updateProject((currentProject) => ({
+      ...currentProject,
+      timeline: {
+        stub: {
+          ...currentProject.timeline.stub,
+          tracks,
+        },
+      },
+    }));
+  }, [updateProject]);
+
+  const handleTimelineSequenceMixChange = useCallback((patch: {
+    muted?: boolean;
+    solo?: boolean;
+  }) => {
+    updateProject((currentProject) => ({
+      ...currentProject,
+      timeline: {
+        stub: {
+          ...currentProject.timeline.stub,
+          shaderSequence: {
+            ...currentProject.timeline.stub.shaderSequence,
+            ...patch,
+          },
+        },
+      },
+    }));
+  }, [updateProject]);
+
+  const handleTimelineAudioImport = useCallback(async (file: File) => {
+    let audioBuffer: AudioBuffer;
+    try {
+      audioBuffer = await new OfflineAudioContext(1, 1, 44_100).decodeAudioData(
+        await file.arrayBuffer(),
+      );
+    } catch {
+      setStatusMessage(`“${file.name}” could not be read as an audio file.`);
+      return;
+    }
+
+    const assetId = crypto.randomUUID();
+    if (!(await putAssetBlob(assetId, file))) {
+      setStatusMessage('The music file could not be saved in this browser.');
+      return;
+    }
+
+    const audioTrack: TimelineAudioTrack = {
+      assetId,
+      name: file.name,
+      mimeType: file.type,
+      durationSeconds: audioBuffer.duration,
+      offsetSeconds: 0,
+      volume: 1,
+      muted: false,
+      peaks: createTimelineAudioPeaks(
+        Array.from({ length: audioBuffer.numberOfChannels }, (_, channel) =>
+          audioBuffer.getChannelData(channel),
+        ),
+      ),
+    };
+    const replacedAssetId = project?.timeline.stub.audioTrack?.assetId ?? null;
+    if (replacedAssetId) {
+      void deleteAssetBlob(replacedAssetId);
+    }
+    updateProject((currentProject) => ({
+      ...currentProject,
+      timeline: {
+        stub: {
+          ...currentProject.timeline.stub,
+          audioTrack,
+        },
+      },
+    }));
+    setStatusMessage(`“${file.name}” added to the timeline.`);
+    trackUiClick('import_timeline_audio');
+  }, [project, updateProject]);
+
+  const handleTimelineAudioChange = useCallback((patch: Partial<TimelineAudioTrack>) => {
+    updateProject((currentProject) => {
+      const { audioTrack } = currentProject.timeline.stub;
+      return audioTrack
+        ? {
+            ...currentProject,
+            timeline: {
+              stub: {
+                ...currentProject.timeline.stub,
+                audioTrack: { ...audioTrack, ...patch },
+              },
+            },
+          }
+        : currentProject;
+    });
+  }, [updateProject]);
+
+  const handleTimelineAudioRemove = useCallback(() => {
+    const removedAssetId = project?.timeline.stub.audioTrack?.assetId ?? null;
+    if (removedAssetId) {
+      void deleteAssetBlob(removedAssetId);
+    }
+    updateProject((currentProject) => ({
+      ...currentProject,
+      timeline: {
+        stub: {
+          ...currentProject.timeline.stub,
+          audioTrack: null,
+        },
+      },
+    }));
+  }, [project, updateProject]);
+
+  const handleTimelineCuesChange = useCallback((cues: TimelineCue[]) => {
+    updateProject((currentProject) => ({
+      ...currentProject,
+      timeline: {
+        stub: setTimelineCues(currentProject.timeline.stub, cues),
+      },
+    }));
+  }, [updateProject]);
+
+  // Cue fades are timed on the transport, so firing a cue also starts playback.
+  const handleTimelineCueGo = useCallback((cueId?: string) => {
+    const nowMs = performance.now();
+    updateProject((currentProject) => ({
+      ...currentProject,
+      playback: {
+        ...currentProject.playback,
+        transport: playTransport(currentProject.playback.transport, nowMs),
+      },
+      timeline: {
+        stub: goTimelineCue(
+          currentProject.timeline.stub,
+          getTransportTimeSeconds(currentProject.playback.transport, nowMs),
+          cueId,
+        ),
+      },
+    }));
+  }, [updateProject]);
+
+  const handleTimelineCueBack = useCallback(() => {
+    const nowMs = performance.now();
+    updateProject((currentProject) => ({
+      ...currentProject,
+      playback: {
+        ...currentProject.playback,
+        transport: playTransport(currentProject.playback.transport, nowMs),
+      },
+      timeline: {
+        stub: backTimelineCue(
+          currentProject.timeline.stub,
+          getTransportTimeSeconds(currentProject.playback.transport, nowMs),
+        ),
+      },
+    }));
+  }, [updateProject]);
+
+  const handleTimelineCueStandby = useCallback((offset: number) => {
+    updateProject((currentProject) => ({
+      ...currentProject,
+      timeline: {
+        stub: standbyTimelineCue(currentProject.timeline.stub, offset),
+      },
+    }));
+  }, [updateProject]);
+
+  const handleTimelineCueRelease = useCallback(() => {
+    updateProject((currentProject) => ({
+      ...currentProject,
+      timeline: {
+        stub: releaseTimelineCues(currentProject.timeline.stub),
+      },
+    }));
+  }, [updateProject]);
+
+  const timelineCueAutoFollowSeconds = project
+    ? getTimelineCueAutoFollowSeconds(project.timeline.stub.cueList)
+    : null;
+  const cuePlaybackTransport = project?.playback.transport ?? null;
+  useEffect(() => {
+    if (timelineCueAutoFollowSeconds === null || !cuePlaybackTransport?.isPlaying) {
+      return;
+    }
+
+    const remainingSeconds =
+      timelineCueAutoFollowSeconds - getTransportTimeSeconds(cuePlaybackTransport);
+    const timeoutId = window.setTimeout(
+      () => handleTimelineCueGo(),
+      Math.max(0, (remainingSeconds * 1000) / (cuePlaybackTransport.playbackRate || 1)),
+    );
+    return () => window.clearTimeout(timeoutId);
+  }, [cuePlaybackTransport, handleTimelineCueGo, timelineCueAutoFollowSeconds]);
+
   const handleRandomizeTimelineShaders = useCallback(() => {
     if (!project) {
       return;
@@ -4561,6 +5691,7 @@ export function WorkspaceRoute() {
             template: stepShader.template ?? 'stage',
             group: 'Timeline',
             inputAssetId: stepShader.inputAssetId ?? null,
+            textureBindings: stepShader.textureBindings,
             isTemporary: true,
             isDirty: stepShader.isDirty,
             sourceShaderId: stepShader.sourceShaderId ?? stepShader.id,
@@ -4768,9 +5899,11 @@ export function WorkspaceRoute() {
   const handleMappingAction = (action: MappingAction) => {
     updateProject((currentProject) => ({
       ...currentProject,
-      mapping: {
-        stageTransform: applyMappingTransform(currentProject.mapping.stageTransform, action),
-      },
+      mapping: updateMappingSurfaceTransform(currentProject.mapping, (transform) =>
+        transform.maskMode
+          ? applyOutputMaskAction(transform, action, outputMaskSelection)
+          : applyMappingTransform(transform, action),
+      ),
     }));
   };
 
@@ -4779,78 +5912,263 @@ export function WorkspaceRoute() {
       setShowMappingFirstStep(true);
     } else if (!enabled) {
       setShowMappingFirstStep(false);
+      setOutputTestPattern(null);
+    }
+
+    updateProject((currentProject) => {
+      const mapping = {
+        ...currentProject.mapping,
+        stageTransform: {
+          ...currentProject.mapping.stageTransform,
+          moveMode: enabled,
+        },
+      };
+
+      return {
+        ...currentProject,
+        mapping: enabled
+          ? mapping
+          : updateMappingSurfaceTransform(mapping, (transform) => ({
+              ...transform,
+              distortMode: false,
+              maskMode: false,
+            })),
+      };
+    });
+  };
+
+  const toggleMoveMode = () => {
+    if (project && getMappingSurfaceTransform(project.mapping).distortMode) {
+      setDistortMode(false);
+      return;
     }
+    if (project && getMappingSurfaceTransform(project.mapping).maskMode) {
+      setMaskMode(false);
+      return;
+    }
+    setMoveMode(!project?.mapping.stageTransform.moveMode);
+  };
 
+  const toggleAlignmentGrid = () => {
     updateProject((currentProject) => ({
       ...currentProject,
       mapping: {
+        ...currentProject.mapping,
         stageTransform: {
           ...currentProject.mapping.stageTransform,
-          moveMode: enabled,
-          distortMode: enabled
-            ? currentProject.mapping.stageTransform.distortMode
-            : false,
+          showGrid: !currentProject.mapping.stageTransform.showGrid,
         },
       },
     }));
   };
 
-  const toggleMoveMode = () => {
-    if (project?.mapping.stageTransform.distortMode) {
-      setDistortMode(false);
-      return;
-    }
-    setMoveMode(!project?.mapping.stageTransform.moveMode);
+  const setDistortMode = (enabled: boolean) => {
+    updateProject((currentProject) => ({
+      ...currentProject,
+      mapping: updateMappingSurfaceTransform(currentProject.mapping, (transform) => ({
+        ...transform,
+        distortMode: enabled,
+        maskMode: enabled ? false : transform.maskMode,
+      })),
+    }));
+  };
+
+  const setMaskMode = (enabled: boolean) => {
+    updateProject((currentProject) => ({
+      ...currentProject,
+      mapping: updateMappingSurfaceTransform(currentProject.mapping, (transform) => ({
+        ...transform,
+        maskMode: enabled,
+        distortMode: enabled ? false : transform.distortMode,
+      })),
+    }));
+  };
+
+  const updateOutputMasks = (
+    updater: (masks: OutputMaskShape[]) => OutputMaskShape[],
+  ) => {
+    updateProject((currentProject) => ({
+      ...currentProject,
+      mapping: updateMappingSurfaceTransform(currentProject.mapping, (transform) => ({
+        ...transform,
+        outputMasks: updater(transform.outputMasks ?? []),
+      })),
+    }));
+  };
+
+  const addOutputMaskShape = (kind: OutputMaskKind) => {
+    if (!project) {
+      return;
+    }
+
+    const masks = getMappingSurfaceTransform(project.mapping).outputMasks ?? [];
+    if (masks.length >= MAX_OUTPUT_MASKS) {
+      return;
+    }
+
+    const mask = createOutputMask(kind, masks);
+    updateOutputMasks((currentMasks) => [...currentMasks, mask]);
+    setOutputMaskSelection({ maskId: mask.id, pointIndex: 0 });
+  };
+
+  const removeOutputMaskShape = (maskId: string) => {
+    updateOutputMasks((masks) => masks.filter((mask) => mask.id !== maskId));
+    setOutputMaskSelection(null);
+  };
+
+  const updateOutputMaskShape = (
+    maskId: string,
+    updater: (mask: OutputMaskShape) => OutputMaskShape,
+  ) => {
+    updateOutputMasks((masks) => updateOutputMask(masks, maskId, updater));
+  };
+
+  const moveOutputMaskPoint = (maskId: string, pointIndex: number, point: DistortionPoint) => {
+    updateOutputMaskShape(maskId, (mask) => setOutputMaskPoint(mask, pointIndex, point));
+  };
+
+  const updateStageDistortion = (distortion: StageDistortion) => {
+    updateProject((currentProject) => ({
+      ...currentProject,
+      mapping: updateMappingSurfaceTransform(currentProject.mapping, (transform) => ({
+        ...transform,
+        distortion: normalizeStageDistortion(
+          distortion,
+          normalizeStageDistortion(transform.distortion),
+        ),
+      })),
+    }));
+  };
+
+  const setDistortEditor = (editor: StageDistortEditor) => {
+    updateProject((currentProject) => ({
+      ...currentProject,
+      mapping: updateMappingSurfaceTransform(currentProject.mapping, (transform) => ({
+        ...transform,
+        distortEditor: editor,
+        meshWarp:
+          editor === 'mesh' ? transform.meshWarp ?? createStageMeshWarp() : transform.meshWarp,
+      })),
+    }));
+  };
+
+  const updateStageMeshWarp = (meshWarp: StageMeshWarp | null) => {
+    updateProject((currentProject) => ({
+      ...currentProject,
+      mapping: updateMappingSurfaceTransform(currentProject.mapping, (transform) => ({
+        ...transform,
+        meshWarp: normalizeStageMeshWarp(meshWarp),
+        distortEditor: meshWarp ? transform.distortEditor : 'corners',
+      })),
+    }));
+  };
+
+  const applyCameraAlignment = (result: CameraAlignmentResult) => {
+    trackUiClick('camera_alignment_apply', { warp: result.kind });
+    // Captures measure the unwarped frame, so the solved warp replaces the
+    // other kind instead of stacking on top of it.
+    updateProject((currentProject) => ({
+      ...currentProject,
+      mapping: updateMappingSurfaceTransform(currentProject.mapping, (transform) =>
+        result.kind === 'mesh'
+          ? {
+              ...transform,
+              distortion: DEFAULT_STAGE_DISTORTION,
+              meshWarp: result.meshWarp,
+              distortEditor: 'mesh',
+            }
+          : {
+              ...transform,
+              distortion: result.distortion,
+              meshWarp: null,
+              distortEditor: 'corners',
+            },
+      ),
+    }));
+    setIsCameraAlignmentDialogOpen(false);
+  };
+
+  const handleReliefScanSave = async (assets: ReliefScanAssets) => {
+    const createdAt = new Date().toISOString();
+    const records = (
+      [
+        ['relief', assets.relief],
+        ['correspondence', assets.correspondence],
+      ] as const
+    ).map(([suffix, blob]) => ({
+      blob,
+      asset: {
+        id: crypto.randomUUID(),
+        name: `${assets.name}-${suffix}.png`,
+        kind: 'image',
+        mimeType: 'image/png',
+        size: blob.size,
+        lastModified: Date.now(),
+        createdAt,
+        sourceType: 'generated',
+      } satisfies AssetRecord,
+    }));
+
+    for (const { asset, blob } of records) {
+      if (!(await putAssetBlob(asset.id, blob))) {
+        await Promise.all(records.map((record) => deleteAssetBlob(record.asset.id)));
+        return false;
+      }
+    }
+
+    trackUiClick('relief_scan_save');
+    updateProject((currentProject) => ({
+      ...currentProject,
+      library: {
+        ...currentProject.library,
+        assets: [...currentProject.library.assets, ...records.map((record) => record.asset)],
+      },
+    }));
+    setStatusMessage(
+      `Relief map “${records[0].asset.name}” added. Pick it as a shader input to use the surface shape.`,
+    );
+    setIsReliefScanDialogOpen(false);
+    return true;
+  };
+
+  const updateStagePrecision = (nextPrecision: number) => {
+    updateProject((currentProject) => ({
+      ...currentProject,
+      mapping: updateMappingSurfaceTransform(currentProject.mapping, (transform) => ({
+        ...transform,
+        precision: nextPrecision,
+      })),
+    }));
   };
 
-  const toggleAlignmentGrid = () => {
+  const selectStageSurface = (surfaceId: string) => {
     updateProject((currentProject) => ({
       ...currentProject,
-      mapping: {
-        stageTransform: {
-          ...currentProject.mapping.stageTransform,
-          showGrid: !currentProject.mapping.stageTransform.showGrid,
-        },
-      },
+      mapping: selectMappingSurface(currentProject.mapping, surfaceId),
     }));
   };
 
-  const setDistortMode = (enabled: boolean) => {
+  const addStageSurface = () => {
     updateProject((currentProject) => ({
       ...currentProject,
-      mapping: {
-        stageTransform: {
-          ...currentProject.mapping.stageTransform,
-          distortMode: enabled,
-        },
-      },
+      mapping: addMappingSurface(currentProject.mapping, DEFAULT_STAGE_TRANSFORM),
     }));
   };
 
-  const updateStageDistortion = (distortion: StageDistortion) => {
+  const removeStageSurface = (surfaceId: string) => {
     updateProject((currentProject) => ({
       ...currentProject,
-      mapping: {
-        stageTransform: {
-          ...currentProject.mapping.stageTransform,
-          distortion: normalizeStageDistortion(
-            distortion,
-            normalizeStageDistortion(currentProject.mapping.stageTransform.distortion),
-          ),
-        },
-      },
+      mapping: removeMappingSurface(currentProject.mapping, surfaceId),
     }));
   };
 
-  const updateStagePrecision = (nextPrecision: number) => {
+  const updateStageSurface = (
+    surfaceId: string,
+    patch: Parameters<typeof updateMappingSurface>[2],
+  ) => {
     updateProject((currentProject) => ({
       ...currentProject,
-      mapping: {
-        stageTransform: {
-          ...currentProject.mapping.stageTransform,
-          precision: nextPrecision,
-        },
-      },
+      mapping: updateMappingSurface(currentProject.mapping, surfaceId, patch),
     }));
   };
 
@@ -4861,18 +6179,16 @@ export function WorkspaceRoute() {
 
     updateProject((currentProject) => ({
       ...currentProject,
-      mapping: {
-        stageTransform: {
-          ...currentProject.mapping.stageTransform,
-          rotationDegrees: Math.max(
-            MIN_MAPPING_ROTATION,
-            Math.min(
-              MAX_MAPPING_ROTATION,
-              Math.round(nextRotationDegrees * 10) / 10,
-            ),
+      mapping: updateMappingSurfaceTransform(currentProject.mapping, (transform) => ({
+        ...transform,
+        rotationDegrees: Math.max(
+          MIN_MAPPING_ROTATION,
+          Math.min(
+            MAX_MAPPING_ROTATION,
+            Math.round(nextRotationDegrees * 10) / 10,
           ),
-        },
-      },
+        ),
+      })),
     }));
   };
 
@@ -4887,7 +6203,7 @@ export function WorkspaceRoute() {
     }
 
     return `${JSON.stringify(
-      createMappingPositionFile(project.mapping.stageTransform),
+      createMappingPositionFile(getMappingSurfaceTransform(project.mapping)),
       null,
       2,
     )}\n`;
@@ -4922,12 +6238,10 @@ export function WorkspaceRoute() {
       const position = parseMappingPositionFile(source);
       updateProject((currentProject) => ({
         ...currentProject,
-        mapping: {
-          stageTransform: {
-            ...currentProject.mapping.stageTransform,
-            ...position,
-          },
-        },
+        mapping: updateMappingSurfaceTransform(currentProject.mapping, (transform) => ({
+          ...transform,
+          ...position,
+        })),
       }));
       setStatusMessage(`Imported mapping position from ${sourceLabel}.`);
       return null;
@@ -4970,6 +6284,36 @@ export function WorkspaceRoute() {
     );
   };
 
+  const handleTextureBindingChange = (name: string, binding: ShaderTextureBinding | null) => {
+    const activeShaderId = project?.studio.activeShaderId;
+    if (!project?.studio.savedShaders.some((shader) => shader.id === activeShaderId)) {
+      setStatusMessage('Save this shader before binding its texture inputs.');
+      return;
+    }
+
+    updateProject((currentProject) => ({
+      ...currentProject,
+      studio: {
+        ...currentProject.studio,
+        savedShaders: currentProject.studio.savedShaders.map((shader) => {
+          if (shader.id !== activeShaderId) {
+            return shader;
+          }
+
+          const textureBindings = Object.fromEntries(
+            Object.entries(shader.textureBindings ?? {}).filter(([inputName]) => inputName !== name),
+          );
+          if (binding) {
+            textureBindings[name] = binding;
+          }
+
+          return { ...shader, textureBindings, isDirty: shader.isTemporary || shader.isDirty };
+        }),
+      },
+    }));
+    trackUiClick('shader_texture_input_bind', { source: binding?.source ?? 'none' });
+  };
+
   const selectTimelineStepByIndex = useCallback((stepIndex: number) => {
     const step = project?.timeline.stub.shaderSequence.steps[stepIndex];
     if (!step) {
@@ -5315,6 +6659,14 @@ export function WorkspaceRoute() {
       case 'select-right':
         selectTimelineStepByIndex(getMidiTimelineStepIndex() + 1);
         return;
+      case 'cue-go':
+        handleTimelineCueGo();
+        setStatusMessage('MIDI fired the standby cue.');
+        return;
+      case 'cue-back':
+        handleTimelineCueBack();
+        setStatusMessage('MIDI went back to the previous cue.');
+        return;
       default:
         return;
     }
@@ -5323,6 +6675,8 @@ export function WorkspaceRoute() {
     armMidiManualMix,
     getMidiTimelineStepIndex,
     handleMidiCycleMixMode,
+    handleTimelineCueBack,
+    handleTimelineCueGo,
     handleTimelineStop,
     project,
     selectTimelineStepByIndex,
@@ -5330,6 +6684,18 @@ export function WorkspaceRoute() {
     updateProject,
   ]);
 
+  const handleMidiTimelineStripAction = useCallback((
+    stripIndex: number,
+    action: MidiTimelineStripAction,
+  ) => {
+    updateProject((currentProject) => ({
+      ...currentProject,
+      timeline: {
+        stub: applyTimelineStripAction(currentProject.timeline.stub, stripIndex, action),
+      },
+    }));
+  }, [updateProject]);
+
   const midiController = useMidiController({
     enabled: midiEnabled,
     mode: midiMode,
@@ -5339,6 +6705,7 @@ export function WorkspaceRoute() {
     onTimelineTransport: handleMidiTimelineTransport,
     onTimelineFaderChange: handleMidiTimelineFaderChange,
     onTimelineMixVelocityChange: updateMidiMixVelocity,
+    onTimelineStripAction: handleMidiTimelineStripAction,
   });
 
   const handleToggleMidi = () => {
@@ -5473,6 +6840,7 @@ export function WorkspaceRoute() {
         group: 'Timeline',
         audioReactiveBindings: preset.audioReactiveBindings,
         inputAssetId: replacedShader?.inputAssetId ?? preset.inputAssetId ?? null,
+        textureBindings: preset.textureBindings,
         isTemporary: true,
         isDirty: false,
         sourceShaderId: preset.sourceShaderId ?? preset.id,
@@ -5590,7 +6958,40 @@ export function WorkspaceRoute() {
       isProjectDialogOpen ||
       isShareDialogOpen ||
       isPresetBrowserOpen ||
-      isSliceStudioDialogOpen);
+      isShaderBundleImportOpen ||
+      isShaderSourceImportOpen ||
+      isTimelineTracksOpen ||
+      isTimelineCueListOpen ||
+      isShowScheduleOpen ||
+      isStorageDashboardOpen ||
+      isSliceStudioDialogOpen ||
+      isOutputLayoutDialogOpen ||
+      isColorCalibrationDialogOpen ||
+      isCameraAlignmentDialogOpen ||
+      isReliefScanDialogOpen);
+
+  useEffect(() => {
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+        return;
+      }
+      const key = event.key.toLowerCase();
+      const isRedo = (key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey);
+      if ((key !== 'z' && !isRedo) || hasDesktopDialogOpen || isTextEditingTarget(event.target)) {
+        return;
+      }
+
+      event.preventDefault();
+      if (isRedo) {
+        redoProjectChange();
+      } else {
+        undoProjectChange();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [hasDesktopDialogOpen, redoProjectChange, undoProjectChange]);
 
   const cyclePreviewShader = (direction: 1 | -1) => {
     if (!project) {
@@ -5783,6 +7184,7 @@ export function WorkspaceRoute() {
           template: activeShader?.template ?? 'stage',
           group: activeShader?.group ?? 'Saved',
           inputAssetId: activeShader?.inputAssetId ?? null,
+          textureBindings: activeShader?.textureBindings,
           versions: currentProject.studio.shaderVersions,
         },
       );
@@ -5805,6 +7207,150 @@ export function WorkspaceRoute() {
     );
   };
 
+  const handleShaderBundleImport = (
+    bundle: ShaderBundle,
+    { timelineMode, includeDuplicates }: ShaderBundleImportOptions,
+  ) => {
+    if (!project) {
+      return;
+    }
+
+    const libraryAssetIds = new Set(project.library.assets.map((asset) => asset.id));
+    const shaderIdMap = new Map<string, string>();
+    const importedShaders: SavedShader[] = [];
+
+    planShaderBundleImport(bundle, project.studio.savedShaders).forEach(
+      ({ shader, duplicateOf }) => {
+        if (duplicateOf && !includeDuplicates) {
+          shaderIdMap.set(shader.id, duplicateOf.id);
+          return;
+        }
+
+        const importedShader = createSavedShaderRecord(
+          shader.name,
+          shader.code,
+          shader.sliderValues,
+          {
+            description:
+              shader.description ?? `Imported from ${bundle.project.name || 'a shader bundle'}.`,
+            template: shader.template,
+            group: shader.group ?? 'Imported',
+            audioReactiveBindings: shader.audioReactiveBindings,
+            inputAssetId:
+              shader.inputAssetId && libraryAssetIds.has(shader.inputAssetId)
+                ? shader.inputAssetId
+                : null,
+            textureBindings: shader.textureBindings
+              ? Object.fromEntries(
+                  Object.entries(shader.textureBindings).filter(
+                    ([, binding]) =>
+                      binding.source === 'companion' || libraryAssetIds.has(binding.assetId),
+                  ),
+                )
+              : undefined,
+          },
+        );
+        shaderIdMap.set(shader.id, importedShader.id);
+        importedShaders.push(importedShader);
+      },
+    );
+    const importedSteps =
+      timelineMode === 'none' ? [] : createShaderBundleTimelineSteps(bundle, shaderIdMap);
+
+    updateProject((currentProject) => {
+      const sequence = currentProject.timeline.stub.shaderSequence;
+      const replaceTimeline = timelineMode === 'replace' && importedSteps.length > 0;
+
+      return pruneTemporaryTimelineShaders({
+        ...currentProject,
+        studio: {
+          ...currentProject.studio,
+          savedShaders: [...currentProject.studio.savedShaders, ...importedShaders],
+        },
+        timeline: {
+          stub: {
+            ...currentProject.timeline.stub,
+            shaderSequence: replaceTimeline
+              ? {
+                  ...sequence,
+                  focusedStepId: importedSteps[0].id,
+                  pinnedStepId: null,
+                  steps: importedSteps,
+                }
+              : {
+                  ...sequence,
+                  steps: [...sequence.steps, ...importedSteps],
+                },
+          },
+        },
+      });
+    });
+
+    importedShaders.forEach((shader) => {
+      if (shader.audioReactiveBindings) {
+        seedAudioShaderBindings(shader.id, shader.audioReactiveBindings);
+      }
+    });
+    if (timelineMode === 'replace' && importedSteps.length > 0) {
+      setEditingTimelineStepId(null);
+    }
+    setIsShaderBundleImportOpen(false);
+    setStatusMessage(
+      `Imported ${importedShaders.length} shaders and ${importedSteps.length} timeline steps` +
+        ` from "${bundle.project.name || 'shader bundle'}".`,
+    );
+    trackUiClick('import_shader_bundle', {
+      timelineMode,
+      shaderCount: importedShaders.length,
+      stepCount: importedSteps.length,
+    });
+  };
+
+  const handleShaderSourceImport = (conversion: ShaderSourceConversion) => {
+    const importedShader = createSavedShaderRecord(conversion.name, conversion.code, {}, {
+      description: conversion.description,
+      group: 'Imported',
+    });
+
+    updateProject((currentProject) => ({
+      ...currentProject,
+      studio: {
+        ...currentProject.studio,
+        savedShaders: [...currentProject.studio.savedShaders, importedShader],
+      },
+    }));
+    setIsShaderSourceImportOpen(false);
+    setStatusMessage(
+      `Imported ${SHADER_SOURCE_FORMAT_LABELS[conversion.format]} shader "${importedShader.name}"` +
+        ' into the library. Add it to the timeline from Presets.',
+    );
+    trackUiClick('import_shader_source', {
+      format: conversion.format,
+      warningCount: conversion.warnings.length,
+    });
+  };
+
+  const handleExportIsfShader = () => {
+    if (!project) {
+      return;
+    }
+
+    const { code, warnings } = exportIsfShader(project.studio.activeShaderCode);
+    const fileName = createIsfFileName(project.studio.activeShaderName);
+    const downloadUrl = URL.createObjectURL(new Blob([code], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = downloadUrl;
+    link.download = fileName;
+    link.click();
+    window.setTimeout(() => URL.revokeObjectURL(downloadUrl), 1_000);
+    setStatusMessage(
+      warnings.length
+        ? `Downloaded ${fileName}. ${warnings.join(' ')}`
+        : `Downloaded ${fileName}.`,
+    );
+    trackUiClick('export_isf_shader', { warningCount: warnings.length });
+  };
+
   const createNewShader = () => {
     const nextCode = blankShaderTemplate;
     const nextName = parseShaderName(nextCode);
@@ -5932,7 +7478,7 @@ export function WorkspaceRoute() {
         trigger: llmTrigger,
         createdAt: new Date().toISOString(),
       };
-      saveProjectDocument(project);
+      void saveProjectDocument(project);
       savePendingShaderApplyRequest(pendingRequest);
       const preparedPrompt = buildExternalChatShaderPrompt(
         trimmedPrompt,
@@ -6467,12 +8013,12 @@ ${compilerError}`;
   const handleFixError = () => {
     if (!project || !compilerError.trim()) return;
     const errorSnapshot = compilerError;
+    // The dialect rules come from the shader contract, which follows the current code.
     void handleShaderMutation(
       `Fix the following error in this shader and return a corrected version.
 The shader MUST start with // NAME: <name> on the first line.
 The shader MUST define: vec4 processColor(sampler2D tex, vec2 uv, float time, vec2 resolution)
 Do NOT declare void main() or write to gl_FragColor.
-Use WebGL 1.0 GLSL syntax with texture2D().
 
 Error:
 ${errorSnapshot}`,
@@ -6523,6 +8069,71 @@ ${errorSnapshot}`,
     setStatusMessage(result.message);
   };
 
+  const updateOutputLayout = (outputLayout: OutputLayout) => {
+    updateProject((currentProject) => ({
+      ...currentProject,
+      mapping: {
+        ...currentProject.mapping,
+        outputLayout,
+      },
+    }));
+  };
+
+  const updateColorCalibration = (
+    regionId: string | null,
+    colorCalibration: ColorCalibration | undefined,
+  ) => {
+    updateProject((currentProject) => {
+      if (!regionId) {
+        return {
+          ...currentProject,
+          mapping: {
+            ...currentProject.mapping,
+            colorCalibration: colorCalibration ?? DEFAULT_COLOR_CALIBRATION,
+          },
+        };
+      }
+
+      return {
+        ...currentProject,
+        mapping: {
+          ...currentProject.mapping,
+          outputLayout: updateOutputRegion(
+            currentProject.mapping.outputLayout ?? DEFAULT_OUTPUT_LAYOUT,
+            regionId,
+            ({ colorCalibration: _previousCalibration, ...region }) =>
+              colorCalibration ? { ...region, colorCalibration } : region,
+          ),
+        },
+      };
+    });
+  };
+
+  const handleOutputRegionWindowOpen = (region: OutputRegion) => {
+    if (!project) {
+      return;
+    }
+
+    const result = openOutputWindow({
+      sessionId: project.sessionId,
+      existingWindow: outputRegionWindowsRef.current.get(region.id) ?? null,
+      regionId: region.id,
+      screen: region.screen,
+    });
+
+    if (!result.popup) {
+      setStatusMessage(result.message);
+      return;
+    }
+
+    outputRegionWindowsRef.current.set(region.id, result.popup);
+    setOutputWindowOpen(true);
+    publishProjectToOutput();
+    window.setTimeout(publishProjectToOutput, 200);
+    window.setTimeout(publishProjectToOutput, 800);
+    setStatusMessage(`${region.name}: ${result.message}`);
+  };
+
   useEffect(() => {
     if (!outputWindowOpen) {
       return;
@@ -6531,6 +8142,13 @@ ${errorSnapshot}`,
     const intervalId = window.setInterval(() => {
       if (!outputWindowRef.current || outputWindowRef.current.closed) {
         outputWindowRef.current = null;
+      }
+      outputRegionWindowsRef.current.forEach((regionWindow, regionId) => {
+        if (regionWindow.closed) {
+          outputRegionWindowsRef.current.delete(regionId);
+        }
+      });
+      if (!outputWindowRef.current && outputRegionWindowsRef.current.size === 0) {
         setOutputWindowOpen(false);
       }
     }, 1_000);
@@ -6627,6 +8245,8 @@ ${errorSnapshot}`,
         outputWindowRef.current.close();
       }
       outputWindowRef.current = null;
+      outputRegionWindowsRef.current.forEach((regionWindow) => regionWindow.close());
+      outputRegionWindowsRef.current.clear();
       setOutputWindowOpen(false);
       sessionSyncRef.current?.destroy();
       midiOutputSyncRef.current?.destroy();
@@ -6810,6 +8430,7 @@ ${errorSnapshot}`,
               template: sourceShader.template ?? 'stage',
               group: 'Timeline',
               inputAssetId: sourceShader.inputAssetId ?? null,
+              textureBindings: sourceShader.textureBindings,
               isTemporary: true,
               isDirty: false,
               sourceShaderId: sourceShader.sourceShaderId ?? sourceShader.id,
@@ -7134,13 +8755,36 @@ ${errorSnapshot}`,
   }
 
   const stageTransform = project.mapping.stageTransform;
+  const activeSurfaceId = getActiveMappingSurfaceId(project.mapping);
+  const activeSurface = getMappingSurface(project.mapping, activeSurfaceId);
+  const outputViewport =
+    isCameraAlignmentDialogOpen || isReliefScanDialogOpen
+      ? loadOutputViewportSnapshot(project.sessionId)
+      : null;
+  const outputAspectRatio = outputViewport ? outputViewport.width / outputViewport.height : 16 / 9;
+  const activeSurfaceTransform = getMappingSurfaceTransform(project.mapping, activeSurfaceId);
   const workspacePreviewStageTransform = isMobile
-    ? stageTransform
+    ? activeSurfaceTransform
     : {
         ...DEFAULT_STAGE_TRANSFORM,
-        distortion: stageTransform.distortion,
-        distortMode: stageTransform.distortMode,
+        distortion: activeSurfaceTransform.distortion,
+        distortMode: activeSurfaceTransform.distortMode,
+        distortEditor: activeSurfaceTransform.distortEditor,
+        meshWarp: activeSurfaceTransform.meshWarp,
+        maskMode: activeSurfaceTransform.maskMode,
+        outputMasks: activeSurfaceTransform.outputMasks,
       };
+  const activeOutputMasks = activeSurfaceTransform.outputMasks ?? [];
+  const activeOutputMask =
+    activeOutputMasks.find((mask) => mask.id === outputMaskSelection?.maskId) ??
+    activeOutputMasks[0] ??
+    null;
+  const activeOutputMaskPointIndex = activeOutputMask
+    ? Math.min(
+        outputMaskSelection?.maskId === activeOutputMask.id ? outputMaskSelection.pointIndex : 0,
+        activeOutputMask.points.length - 1,
+      )
+    : null;
   const mobileUiMode = uiPreferences.mobileUiMode;
   const mobileChromeVisible = mobileUiMode !== 'hidden';
   const stageControlsVisible = isMobile
@@ -7226,6 +8870,16 @@ ${errorSnapshot}`,
           return shaderName;
         })
     : timelineStub.markers;
+  const timelineLayerTracks = [
+    ...timelineStub.tracks.map((track) => ({
+      id: track.id,
+      label: track.label,
+      type: 'layer',
+    })),
+    ...(timelineStub.audioTrack
+      ? [{ id: 'timeline-track-music', label: timelineStub.audioTrack.name, type: 'music' }]
+      : []),
+  ];
   const timelineTracks = timelineSequenceEnabled
     ? [
         {
@@ -7242,9 +8896,9 @@ ${errorSnapshot}`,
                 : 'Shader Flow',
           type: timelineStub.shaderSequence.mode,
         },
-        ...timelineStub.tracks,
+        ...timelineLayerTracks,
       ]
-    : timelineStub.tracks;
+    : timelineLayerTracks;
   const timelineDurationSeconds = timelineSequenceEnabled
     ? getShaderTimelineDuration(timelinePlaybackSteps)
       : activeAsset?.kind === 'video' && activeAssetDurationSeconds
@@ -7688,6 +9342,11 @@ ${errorSnapshot}`,
       uniformValues={project.studio.uniformValues}
       onUniformInteractionStart={handlePromptFocus}
       onUniformChange={handleUniformChange}
+      textureInputs={textureInputs}
+      textureBindings={activeShaderRecord?.textureBindings}
+      textureAssets={project.library.assets}
+      textureBaseAssetId={activeShaderRecord?.inputAssetId ?? activeAsset?.id ?? null}
+      onTextureBindingChange={handleTextureBindingChange}
       newUniformName={newUniformName}
       onNewUniformNameChange={setNewUniformName}
       onQuickAddUniform={() => {
@@ -7727,6 +9386,11 @@ ${errorSnapshot}`,
       uniformValues={project.studio.uniformValues}
       onInteractionStart={handlePromptFocus}
       onUniformChange={handleUniformChange}
+      textureInputs={textureInputs}
+      textureBindings={activeShaderRecord?.textureBindings}
+      textureAssets={project.library.assets}
+      textureBaseAssetId={activeShaderRecord?.inputAssetId ?? activeAsset?.id ?? null}
+      onTextureBindingChange={handleTextureBindingChange}
       newUniformName={newUniformName}
       onNewUniformNameChange={setNewUniformName}
       onQuickAddUniform={() => {
@@ -8010,6 +9674,13 @@ ${errorSnapshot}`,
         preferActiveShaderCompilePreview={preferLiveShaderCompilePreview}
         showGrid={Boolean(stageTransform.showGrid)}
         onDistortionChange={updateStageDistortion}
+        onMeshWarpChange={updateStageMeshWarp}
+        activeOutputMaskId={activeOutputMask?.id ?? null}
+        activeOutputMaskPointIndex={activeOutputMaskPointIndex}
+        onOutputMaskPointSelect={(maskId, pointIndex) =>
+          setOutputMaskSelection({ maskId, pointIndex })
+        }
+        onOutputMaskPointChange={moveOutputMaskPoint}
         onPinnedIndicatorClick={handlePinnedIndicatorClick}
         onNavigateToTimelineStep={handleStageNavigateToTimelineStep}
         onCompilerError={applyCompilerFeedback}
@@ -8043,12 +9714,12 @@ ${errorSnapshot}`,
             className={`stage-mapping-overlay ${
               isMobile ? 'stage-mapping-overlay-mobile' : ''
             } ${
-              stageTransform.distortMode
+              activeSurfaceTransform.distortMode
                 ? 'stage-mapping-overlay-distort-active'
                 : ''
             }`}
           >
-            {!isMobile && !stageTransform.distortMode ? (
+            {!isMobile && !activeSurfaceTransform.distortMode ? (
               <MappingOutputDisclaimer />
             ) : null}
             <MappingPad
@@ -8069,6 +9740,30 @@ ${errorSnapshot}`,
                 trackUiClick('distortion_reset');
                 updateStageDistortion(DEFAULT_STAGE_DISTORTION);
               }}
+              distortEditor={activeSurfaceTransform.distortEditor ?? 'corners'}
+              meshWarp={activeSurfaceTransform.meshWarp ?? null}
+              onDistortEditorChange={(editor) => {
+                trackUiClick(editor === 'mesh' ? 'mesh_warp_editor' : 'corner_distortion_editor');
+                setDistortEditor(editor);
+              }}
+              onMeshWarpChange={updateStageMeshWarp}
+              maskMode={Boolean(activeSurfaceTransform.maskMode)}
+              outputMasks={activeOutputMasks}
+              activeOutputMaskId={activeOutputMask?.id ?? null}
+              activeOutputMaskPointIndex={activeOutputMaskPointIndex}
+              onMaskModeChange={(enabled) => {
+                trackUiClick(enabled ? 'output_mask_editor_on' : 'output_mask_editor_off');
+                setMaskMode(enabled);
+              }}
+              onOutputMaskSelect={(maskId, pointIndex) =>
+                setOutputMaskSelection({ maskId, pointIndex })
+              }
+              onAddOutputMask={(kind) => {
+                trackUiClick('output_mask_add');
+                addOutputMaskShape(kind);
+              }}
+              onRemoveOutputMask={removeOutputMaskShape}
+              onOutputMaskChange={updateOutputMaskShape}
               onCloseMove={() => {
                 trackUiClick('move_mode_off');
                 setMoveMode(false);
@@ -8078,10 +9773,38 @@ ${errorSnapshot}`,
                 toggleAlignmentGrid();
               }}
               onFirstStepDismiss={dismissMappingFirstStep}
-              precision={stageTransform.precision}
-              rotationDegrees={stageTransform.rotationDegrees}
+              testPattern={outputTestPattern}
+              onOpenCameraAlignment={() => {
+                trackUiClick('open_camera_alignment');
+                setIsCameraAlignmentDialogOpen(true);
+              }}
+              onOpenReliefScan={() => {
+                trackUiClick('open_relief_scan');
+                setIsReliefScanDialogOpen(true);
+              }}
+              onTestPatternChange={(pattern) => {
+                trackUiClick(pattern ? 'test_pattern_on' : 'test_pattern_off', { pattern });
+                setOutputTestPattern(pattern);
+              }}
+              surfaces={listMappingSurfaceOptions(project.mapping)}
+              activeSurfaceId={activeSurfaceId}
+              activeSurface={activeSurface}
+              surfaceAssets={project.library.assets}
+              surfaceShaders={project.studio.savedShaders}
+              onActiveSurfaceChange={selectStageSurface}
+              onAddSurface={() => {
+                trackUiClick('mapping_surface_add');
+                addStageSurface();
+              }}
+              onRemoveSurface={(surfaceId) => {
+                trackUiClick('mapping_surface_remove');
+                removeStageSurface(surfaceId);
+              }}
+              onSurfaceChange={updateStageSurface}
+              precision={activeSurfaceTransform.precision}
+              rotationDegrees={activeSurfaceTransform.rotationDegrees}
               showGrid={Boolean(stageTransform.showGrid)}
-              distortMode={Boolean(stageTransform.distortMode)}
+              distortMode={Boolean(activeSurfaceTransform.distortMode)}
               showFirstStep={showMappingFirstStep}
               variant={isMobile ? 'overlay' : 'default'}
             />
@@ -8118,7 +9841,7 @@ ${errorSnapshot}`,
 
       {isMobile && stageControlsVisible ? (
         <MobilePrecisionOverlay
-          precision={stageTransform.precision}
+          precision={activeSurfaceTransform.precision}
           onPrecisionChange={updateStagePrecision}
         />
       ) : null}
@@ -8230,6 +9953,18 @@ ${errorSnapshot}`,
             trackUiClick('open_export');
             setIsExportDialogOpen(true);
           }}
+          onOpenTimelineTracks={() => {
+            trackUiClick('open_timeline_tracks');
+            setIsTimelineTracksOpen(true);
+          }}
+          onOpenTimelineCues={() => {
+            trackUiClick('open_timeline_cues');
+            setIsTimelineCueListOpen(true);
+          }}
+          onOpenShowSchedule={() => {
+            trackUiClick('open_show_schedule');
+            setIsShowScheduleOpen(true);
+          }}
           onOpenAssets={() => {
             trackUiClick('open_assets');
             setIsAssetLibraryOpen(true);
@@ -8249,6 +9984,16 @@ ${errorSnapshot}`,
             trackUiClick('open_presets');
             setIsPresetBrowserOpen(true);
           }}
+          onImportShaderBundle={() => {
+            trackUiClick('open_shader_bundle_import');
+            setIsShaderBundleImportOpen(true);
+          }}
+          onImportShaderSource={() => {
+            trackUiClick('open_shader_source_import');
+            setIsShaderSourceImportOpen(true);
+          }}
+          onExportIsfShader={handleExportIsfShader}
+          onOpenStorage={handleOpenStorageDashboard}
           onPlayToggle={() => {
             trackUiClick(project.playback.transport.isPlaying ? 'timeline_pause' : 'timeline_play');
             handlePlayToggle();
@@ -8309,6 +10054,18 @@ ${errorSnapshot}`,
             trackUiClick('open_slicer');
             setIsSliceStudioDialogOpen(true);
           }}
+          onOpenProjectors={() => {
+            trackUiClick('open_projectors');
+            setIsOutputLayoutDialogOpen(true);
+          }}
+          onOpenColorCalibration={() => {
+            trackUiClick('open_color_calibration');
+            setIsColorCalibrationDialogOpen(true);
+          }}
+          history={projectHistorySnapshot}
+          onUndo={undoProjectChange}
+          onRedo={redoProjectChange}
+          onHistoryTravel={travelProjectHistory}
           assetsFirstStepEligible={assetsFirstStepEligible}
           onboardingActive={showOnboardingGuide}
           onAssetsFirstStepAdvance={() => setShowAssetImportFirstStep(true)}
@@ -8597,12 +10354,32 @@ ${errorSnapshot}`,
         currentProjectName={project.name}
         activeSessionId={project.sessionId}
         savedProjects={savedProjects}
+        snapshots={projectSnapshotSummaries}
         onClose={() => setIsProjectDialogOpen(false)}
         onSaveProject={handleSaveProject}
         onSaveAsNewProject={handleSaveAsNewProject}
         onCreateNewProject={handleCreateNewProject}
         onCreateEmptyProject={handleCreateEmptyProject}
         onOpenProject={handleOpenSavedProject}
+        onTakeSnapshot={(name) => void handleTakeProjectSnapshot(name)}
+        onRestoreSnapshot={handleRestoreProjectSnapshot}
+        onForkSnapshot={handleForkProjectSnapshot}
+        onDeleteSnapshot={(snapshotId) => void handleDeleteProjectSnapshot(snapshotId)}
+        archiveBusy={isProjectArchiveBusy}
+        onExportArchive={() => void handleExportProjectArchive()}
+        onImportArchive={(file) => void handleImportProjectArchive(file)}
+        folderSupported={isProjectFolderSupported()}
+        folderName={connectedProjectFolderName}
+        pendingFolderName={
+          projectFolderState?.sessionId === project.sessionId && projectFolderState.pendingHandle
+            ? projectFolderState.name
+            : null
+        }
+        folderBusy={isProjectFolderBusy}
+        onOpenFolder={() => void handleOpenProjectFolder()}
+        onSaveToFolder={() => void handleSaveProjectToFolder()}
+        onReconnectFolder={() => void handleReconnectProjectFolder()}
+        onDisconnectFolder={handleDisconnectProjectFolder}
       />
 
       <ShareProjectDialog
@@ -8636,6 +10413,7 @@ ${errorSnapshot}`,
         activeShaderCode={project.studio.activeShaderCode}
         activeUniformValues={project.studio.uniformValues}
         savedShaders={project.studio.savedShaders}
+        audioReactiveBindingsByShaderId={audioReactivity.preferences.bindingsByShaderId}
         timeline={project.timeline.stub}
         pinnedStepId={pinnedTimelineStepId}
         stageTransform={project.mapping.stageTransform}
@@ -8662,6 +10440,51 @@ ${errorSnapshot}`,
         }}
       />
 
+      <OutputLayoutDialog
+        open={isOutputLayoutDialogOpen}
+        layout={project.mapping.outputLayout ?? DEFAULT_OUTPUT_LAYOUT}
+        onChange={updateOutputLayout}
+        onOpenRegion={(region) => {
+          trackUiClick('open_projector_output');
+          handleOutputRegionWindowOpen(region);
+        }}
+        onOpenAllRegions={() => {
+          trackUiClick('open_all_projector_outputs');
+          (project.mapping.outputLayout?.regions ?? []).forEach(handleOutputRegionWindowOpen);
+        }}
+        onClose={() => setIsOutputLayoutDialogOpen(false)}
+      />
+
+      <ColorCalibrationDialog
+        open={isColorCalibrationDialogOpen}
+        calibration={project.mapping.colorCalibration ?? DEFAULT_COLOR_CALIBRATION}
+        outputLayout={project.mapping.outputLayout ?? DEFAULT_OUTPUT_LAYOUT}
+        onChange={updateColorCalibration}
+        onClose={() => setIsColorCalibrationDialogOpen(false)}
+      />
+
+      <CameraAlignmentDialog
+        open={isCameraAlignmentDialogOpen}
+        surfaceName={activeSurface?.name ?? MAIN_MAPPING_SURFACE_NAME}
+        aspectRatio={outputAspectRatio}
+        onShowFrame={(frame: StructuredLightFrame | null) =>
+          setStructuredLightFrame(frame ? { surfaceId: activeSurfaceId, frame } : null)
+        }
+        onApply={applyCameraAlignment}
+        onClose={() => setIsCameraAlignmentDialogOpen(false)}
+      />
+
+      <ReliefScanDialog
+        open={isReliefScanDialogOpen}
+        surfaceName={activeSurface?.name ?? MAIN_MAPPING_SURFACE_NAME}
+        aspectRatio={outputAspectRatio}
+        onShowFrame={(frame: StructuredLightFrame | null) =>
+          setStructuredLightFrame(frame ? { surfaceId: activeSurfaceId, frame } : null)
+        }
+        onSave={handleReliefScanSave}
+        onClose={() => setIsReliefScanDialogOpen(false)}
+      />
+
       <PresetBrowserDialog
         open={isPresetBrowserOpen}
         presets={timelineSelectableShaders}
@@ -8682,6 +10505,68 @@ ${errorSnapshot}`,
         }}
       />
 
+      <ShaderBundleImportDialog
+        open={isShaderBundleImportOpen}
+        savedShaders={project.studio.savedShaders}
+        onImport={handleShaderBundleImport}
+        onClose={() => setIsShaderBundleImportOpen(false)}
+      />
+
+      <ShaderSourceImportDialog
+        open={isShaderSourceImportOpen}
+        onImport={handleShaderSourceImport}
+        onClose={() => setIsShaderSourceImportOpen(false)}
+      />
+
+      <TimelineTracksDialog
+        open={isTimelineTracksOpen}
+        tracks={project.timeline.stub.tracks}
+        sequenceMuted={Boolean(project.timeline.stub.shaderSequence.muted)}
+        sequenceSolo={Boolean(project.timeline.stub.shaderSequence.solo)}
+        shaders={timelineSelectableShaders.filter((shader) => !shader.isTemporary)}
+        onTracksChange={handleTimelineTracksChange}
+        onSequenceMixChange={handleTimelineSequenceMixChange}
+        audioTrack={project.timeline.stub.audioTrack}
+        timelineDurationSeconds={timelineDurationSeconds}
+        onAudioImport={handleTimelineAudioImport}
+        onAudioChange={handleTimelineAudioChange}
+        onAudioRemove={handleTimelineAudioRemove}
+        onClose={() => setIsTimelineTracksOpen(false)}
+      />
+
+      <TimelineCueListDialog
+        open={isTimelineCueListOpen}
+        cueList={project.timeline.stub.cueList}
+        markers={project.timeline.stub.markers}
+        steps={project.timeline.stub.shaderSequence.steps}
+        shaders={timelineSelectableShaders}
+        onCuesChange={handleTimelineCuesChange}
+        onGo={handleTimelineCueGo}
+        onBack={handleTimelineCueBack}
+        onStandby={handleTimelineCueStandby}
+        onRelease={handleTimelineCueRelease}
+        onClose={() => setIsTimelineCueListOpen(false)}
+      />
+
+      <ShowScheduleDialog
+        open={isShowScheduleOpen}
+        projects={savedProjects}
+        activeSessionId={activeSessionId}
+        onClose={() => setIsShowScheduleOpen(false)}
+      />
+
+      <StorageDashboardDialog
+        open={isStorageDashboardOpen}
+        report={storageReport}
+        busy={isStorageBusy}
+        activeSessionId={activeSessionId}
+        onRefresh={() => void refreshStorageReport()}
+        onRequestPersistence={() => void handleRequestPersistentStorage()}
+        onCollectOrphanedAssets={() => void handleCollectOrphanedAssets()}
+        onDeleteProject={handleDeleteStoredProject}
+        onClose={() => setIsStorageDashboardOpen(false)}
+      />
+
       {showOnboardingGuide ? (
         isMobile ? (
           <MobileOnboardingGuide
@@ -1,13 +1,13 @@
 import {
   buildFragmentShaderSource,
+  createShaderRenderingContext,
+  getShaderDialect,
+  getVertexShaderSource,
   parseUniforms,
-  VERTEX_SHADER_SOURCE,
+  setShaderUniform,
 } from './lib/shader';
 import { projectionAtelierCandidateList } from './shaders/presets/atelier';
-import type {
-  ShaderUniformDefinition,
-  ShaderUniformValue,
-} from './types';
+import type { ShaderUniformValue } from './types';
 
 const REVIEW_WIDTH = 960;
 const REVIEW_HEIGHT = 540;
@@ -206,26 +206,6 @@ function createPainting(): HTMLCanvasElement {
   return canvas;
 }
 
-function setUniform(
-  gl: WebGLRenderingContext,
-  location: WebGLUniformLocation | null,
-  definition: ShaderUniformDefinition,
-  value: ShaderUniformValue,
-) {
-  if (!location) {
-    return;
-  }
-  if (definition.type === 'vec3' && Array.isArray(value)) {
-    gl.uniform3f(location, value[0], value[1], value[2]);
-  } else if (definition.type === 'bool') {
-    gl.uniform1i(location, value ? 1 : 0);
-  } else if (definition.type === 'int' && typeof value === 'number') {
-    gl.uniform1i(location, Math.round(value));
-  } else if (typeof value === 'number') {
-    gl.uniform1f(location, value);
-  }
-}
-
 function renderShaderFrame(
   canvas: HTMLCanvasElement,
   source: HTMLCanvasElement,
@@ -235,7 +215,7 @@ function renderShaderFrame(
 ) {
   canvas.width = REVIEW_WIDTH;
   canvas.height = REVIEW_HEIGHT;
-  const gl = canvas.getContext('webgl', {
+  const gl = createShaderRenderingContext(canvas, {
     alpha: false,
     antialias: true,
     preserveDrawingBuffer: true,
@@ -244,7 +224,11 @@ function renderShaderFrame(
     throw new Error('WebGL is unavailable.');
   }
 
-  const vertexShader = compileShader(gl, gl.VERTEX_SHADER, VERTEX_SHADER_SOURCE);
+  const vertexShader = compileShader(
+    gl,
+    gl.VERTEX_SHADER,
+    getVertexShaderSource(getShaderDialect(code)),
+  );
   const fragmentShader = compileShader(
     gl,
     gl.FRAGMENT_SHADER,
@@ -298,12 +282,10 @@ function renderShaderFrame(
 
   const uniformDefinitions = parseUniforms(code);
   for (const [name, definition] of Object.entries(uniformDefinitions)) {
-    setUniform(
-      gl,
-      gl.getUniformLocation(program, name),
-      definition,
-      uniformValues[name] ?? definition.default,
-    );
+    const location = gl.getUniformLocation(program, name);
+    if (location) {
+      setShaderUniform(gl, location, definition, uniformValues[name] ?? definition.default);
+    }
   }
 
   gl.viewport(0, 0, canvas.width, canvas.height);
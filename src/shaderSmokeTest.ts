@@ -1,4 +1,9 @@
-import { buildFragmentShaderSource, VERTEX_SHADER_SOURCE } from './lib/shader';
+import {
+  buildFragmentShaderSource,
+  createShaderRenderingContext,
+  getShaderDialect,
+  getVertexShaderSource,
+} from './lib/shader';
 import { shaderPresetList } from './shaders/presets';
 
 function compileShader(gl: WebGLRenderingContext, type: number, source: string): WebGLShader {
@@ -26,7 +31,7 @@ function runShaderSmokeTest() {
   }
 
   const canvas = document.createElement('canvas');
-  const gl = canvas.getContext('webgl');
+  const gl = createShaderRenderingContext(canvas, {});
 
   if (!gl) {
     document.body.dataset.status = 'fail';
@@ -38,7 +43,11 @@ function runShaderSmokeTest() {
 
   for (const preset of shaderPresetList) {
     try {
-      const vertexShader = compileShader(gl, gl.VERTEX_SHADER, VERTEX_SHADER_SOURCE);
+      const vertexShader = compileShader(
+        gl,
+        gl.VERTEX_SHADER,
+        getVertexShaderSource(getShaderDialect(preset.code)),
+      );
       const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, buildFragmentShaderSource(preset.code));
       const program = gl.createProgram();
 
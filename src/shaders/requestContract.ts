@@ -1,15 +1,43 @@
+import { getShaderDialect, type ShaderDialect } from '../lib/shader';
 import { blankShaderTemplate } from './templates/blankShader';
+import { blankShaderTemplateGlsl300es } from './templates/blankShaderGlsl300es';
 
-export const SHADER_REQUEST_CONTRACT = `Return one complete replacement fragment shader.
+const SHADER_DIALECT_RULES: Record<ShaderDialect, string> = {
+  glsl100: `Use WebGL 1.0 GLSL syntax and texture2D()
+Do not add a #version line`,
+  glsl300es: `Keep the line #version 300 es directly below the // NAME: line
+Use GLSL ES 3.00 (WebGL2) syntax: texture(), texelFetch(), integer ops and non-constant loops are available
+Do not declare out variables; return the color from processColor() instead`,
+};
+
+const SHADER_DIALECT_LABELS: Record<ShaderDialect, string> = {
+  glsl100: 'GLSL WebGL 1.0',
+  glsl300es: 'GLSL ES 3.00 (WebGL2)',
+};
+
+export function buildShaderRequestContract(dialect: ShaderDialect): string {
+  return `Return one complete replacement fragment shader.
 The first non-empty line must be: // NAME: <Short Name>
 All visual logic must live inside: vec4 processColor(sampler2D tex, vec2 uv, float time, vec2 resolution)
-Use only supported custom uniforms: float, int, vec3, bool
-Use WebGL 1.0 GLSL syntax and texture2D()
+Use only supported custom uniforms: float, int, vec2, vec3 (RGB), vec4 (RGBA), bool
+Annotate uniforms with @min, @max, @step, @default, @label, @group, @options a|b|c (int) and @hidden
+Extra textures are sampler2D uniforms annotated with @asset, @asset depth or @asset mask
+Read the previous output through uniform sampler2D u_prev_frame; add buffer passes with uniform sampler2D name; // @buffer drawFunction
+${SHADER_DIALECT_RULES[dialect]}
 Do not declare void main()
 Do not write to gl_FragColor in the generated body
 Do not include explanations outside the GLSL response`;
+}
+
+export const SHADER_REQUEST_CONTRACT = buildShaderRequestContract('glsl100');
+
+function getRequiredShaderStructure(dialect: ShaderDialect): string {
+  return dialect === 'glsl300es' ? blankShaderTemplateGlsl300es : blankShaderTemplate;
+}
 
+// The dialect follows the current shader, so a WebGL2 port stays WebGL2.
 export function buildShaderMutationPrompt(prompt: string, currentCode: string): string {
+  const dialect = getShaderDialect(currentCode);
   return `User request:
 ${prompt.trim()}
 
@@ -20,11 +48,11 @@ ${currentCode.trim()}
 
 Required shader structure:
 \`\`\`glsl
-${blankShaderTemplate}
+${getRequiredShaderStructure(dialect)}
 \`\`\`
 
 Shader contract:
-${SHADER_REQUEST_CONTRACT}
+${buildShaderRequestContract(dialect)}
 
 Return a complete shader that follows the required structure exactly.`;
 }
@@ -33,7 +61,8 @@ export function buildExternalChatShaderPrompt(
   prompt: string,
   currentCode: string,
 ): string {
-  return `You are a strict GLSL WebGL 1.0 shader generator.
+  const dialect = getShaderDialect(currentCode);
+  return `You are a strict ${SHADER_DIALECT_LABELS[dialect]} shader generator.
 Generate a complete replacement shader that the user can copy and paste back into Mapshroom.
 Follow every shader rule and final-response rule below.
 
@@ -44,11 +73,11 @@ ${currentCode.trim()}
 
 REQUIRED SHADER STRUCTURE:
 \`\`\`glsl
-${blankShaderTemplate}
+${getRequiredShaderStructure(dialect)}
 \`\`\`
 
 SHADER CONTRACT:
-${SHADER_REQUEST_CONTRACT}
+${buildShaderRequestContract(dialect)}
 
 Return ONLY the complete replacement shader inside one fenced \`\`\`glsl code block.
 The code block must begin with // NAME: and contain the complete processColor() implementation.
@@ -0,0 +1,6 @@
+export const blankShaderTemplateGlsl300es = `// NAME: New Shader
+#version 300 es
+vec4 processColor(sampler2D tex, vec2 uv, float time, vec2 resolution) {
+    vec4 source = texture(tex, uv);
+    return source;
+}`;
@@ -1,7 +1,12 @@
 export type AssetKind = 'image' | 'video';
 export type AssetSourceType = 'uploaded' | 'generated' | 'bundled';
-export type ShaderUniformType = 'float' | 'int' | 'vec3' | 'bool';
-export type ShaderUniformValue = number | boolean | [number, number, number];
+export type ShaderUniformType = 'float' | 'int' | 'vec2' | 'vec3' | 'vec4' | 'bool';
+export type ShaderUniformValue =
+  | number
+  | boolean
+  | [number, number]
+  | [number, number, number]
+  | [number, number, number, number];
 export type WorkspaceMode = 'split' | 'immersive';
 export type ShaderProvider = 'openai' | 'anthropic' | 'google';
 export type ShaderRuntime = '' | 'local' | 'api' | 'chat';
@@ -21,6 +26,17 @@ export type TimelineAssetFitMode = 'cover' | 'contain' | 'stretch' | 'fitWidth'
 export type TimelineAssetQuality = 'draft' | 'balanced' | 'high';
 export type TimelinePinnedCompositeMode = 'blend' | 'stackOnTop';
 export type TimelinePinnedStackMaskMode = 'all' | 'nonBlack';
+export type UniformAutomationEasing = 'linear' | 'easeIn' | 'easeOut' | 'easeInOut' | 'hold';
+export type UniformAutomationLoopMode = 'once' | 'loop' | 'pingPong';
+/** What the segmentation dialog made from a source asset. */
+export type AssetDerivationKind = 'mask' | 'draw' | 'depth';
+/** Derived assets a sampler input can follow automatically. */
+export type AssetCompanionKind = 'depth' | 'mask';
+
+export interface AssetDerivation {
+  assetId: string;
+  kind: AssetDerivationKind;
+}
 
 export interface AssetRecord {
   id: string;
@@ -31,6 +47,8 @@ export interface AssetRecord {
   lastModified: number;
   createdAt: string;
   sourceType: AssetSourceType;
+  /** Set on depth maps, masks and painted copies made from another library asset. */
+  derivedFrom?: AssetDerivation;
 }
 
 export interface ShaderVersion {
@@ -61,6 +79,16 @@ export type ShaderAudioReactiveBindingMap = Record<
   ShaderAudioReactiveBinding
 >;
 
+/**
+ * Texture behind an `@asset` sampler: a library asset, or the depth map or mask
+ * made from whatever asset the shader runs on.
+ */
+export type ShaderTextureBinding =
+  | { source: 'asset'; assetId: string }
+  | { source: 'companion'; kind: AssetCompanionKind };
+
+export type ShaderTextureBindingMap = Record<string, ShaderTextureBinding>;
+
 export interface SavedShader {
   id: string;
   name: string;
@@ -74,6 +102,8 @@ export interface SavedShader {
   group?: string;
   uniformValues?: ShaderUniformValueMap;
   audioReactiveBindings?: ShaderAudioReactiveBindingMap;
+  /** Bindings of the shader's `@asset` sampler inputs, keyed by sampler name. */
+  textureBindings?: ShaderTextureBindingMap;
   lastValidUniformValues?: ShaderUniformValueMap;
   isTemporary?: boolean;
   isDirty?: boolean;
@@ -96,6 +126,43 @@ export interface StageTransform {
   showGrid?: boolean;
   distortMode?: boolean;
   distortion?: StageDistortion;
+  /** Which warp the distortion editor is adjusting. */
+  distortEditor?: StageDistortEditor;
+  meshWarp?: StageMeshWarp | null;
+  maskMode?: boolean;
+  /** Vector masks in output space, applied after every transform and warp. */
+  outputMasks?: OutputMaskShape[];
+}
+
+export type OutputMaskKind = 'polygon' | 'bezier';
+
+export interface OutputMaskShape {
+  id: string;
+  name: string;
+  kind: OutputMaskKind;
+  enabled: boolean;
+  /** Inverted shapes hide their inside instead of revealing it. */
+  inverted: boolean;
+  /** Soft edge width as a fraction of the output width. */
+  feather: number;
+  /** Closed outline in normalized output coordinates. */
+  points: DistortionPoint[];
+}
+
+export type StageDistortEditor = 'corners' | 'mesh';
+
+export type StageMeshInterpolation = 'bilinear' | 'bezier';
+
+/**
+ * Curved-surface warp applied after the corner pin. Control point offsets are
+ * stored row by row, relative to their place on a regular grid, in normalized
+ * output units.
+ */
+export interface StageMeshWarp {
+  columns: number;
+  rows: number;
+  interpolation: StageMeshInterpolation;
+  points: DistortionPoint[];
 }
 
 export interface DistortionPoint {
@@ -110,6 +177,87 @@ export interface StageDistortion {
   bottomLeft: DistortionPoint;
 }
 
+export type MappingSurfaceSource = 'timeline' | 'shader';
+
+/**
+ * An additional independently warped output region. The main surface keeps
+ * living in `mapping.stageTransform`; extra surfaces are composited on top of
+ * it in the same projector output.
+ */
+export interface MappingSurface {
+  id: string;
+  name: string;
+  enabled: boolean;
+  stageTransform: StageTransform;
+  /** Library asset shown on this surface, or null to follow the project asset. */
+  assetId: string | null;
+  source: MappingSurfaceSource;
+  /** Saved shader rendered when `source` is `shader`. */
+  shaderId: string | null;
+}
+
+export type ColorChannelTriplet = [number, number, number];
+
+/** 3D lookup table imported from a `.cube` file, red varying fastest. */
+export interface ColorLut {
+  name: string;
+  size: number;
+  /** Base64 of `size³` 8-bit RGB triplets. */
+  data: string;
+}
+
+/** Projector colour correction applied after every shader and transition. */
+export interface ColorCalibration {
+  enabled: boolean;
+  brightness: number;
+  contrast: number;
+  gain: ColorChannelTriplet;
+  offset: ColorChannelTriplet;
+  gamma: ColorChannelTriplet;
+  lut: ColorLut | null;
+}
+
+/** Display an output region should open on, captured from the Window Management API. */
+export interface OutputRegionScreen {
+  id: string;
+  label: string;
+  left: number;
+  top: number;
+  width: number;
+  height: number;
+}
+
+/**
+ * One projector's slice of the logical output canvas. The rectangle and blend
+ * widths are normalized: the rectangle to the canvas, blend widths to the
+ * region's own width or height.
+ */
+export interface OutputRegion {
+  id: string;
+  name: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  blendLeft: number;
+  blendRight: number;
+  blendTop: number;
+  blendBottom: number;
+  /** Projector gamma used to linearize the blend ramps. */
+  gamma: number;
+  /** Gray lift outside the overlaps so single-projector black matches the doubled black. */
+  blackLevel: number;
+  screen: OutputRegionScreen | null;
+  /** Overrides the session calibration for this projector. */
+  colorCalibration?: ColorCalibration;
+}
+
+/** Splits one logical canvas across several overlapping Output windows. */
+export interface OutputLayout {
+  enabled: boolean;
+  regions: OutputRegion[];
+}
+
 export interface PlaybackTransport {
   isPlaying: boolean;
   currentTimeSeconds: number;
@@ -156,18 +304,96 @@ export interface TimelineStepAssetSettings {
   pinnedStackMaskThreshold: number;
 }
 
+export interface UniformAutomationKeyframe {
+  /** Seconds from the start of the step. */
+  timeSeconds: number;
+  value: ShaderUniformValue;
+  /** Curve from this keyframe to the next one. */
+  easing: UniformAutomationEasing;
+}
+
+/** Keyframes driving one uniform of a timeline step's shader. */
+export interface UniformAutomationLane {
+  uniformName: string;
+  /** What happens after the last keyframe, before the step ends. */
+  loopMode: UniformAutomationLoopMode;
+  keyframes: UniformAutomationKeyframe[];
+}
+
+/**
+ * A layer of shader steps that plays alongside the main sequence and is
+ * blended over everything below it.
+ */
+export interface TimelineTrack {
+  id: string;
+  label: string;
+  blendMode: TimelineAssetBlendMode;
+  opacity: number;
+  muted: boolean;
+  solo: boolean;
+  /** Transport time at which the track's first step starts. */
+  offsetSeconds: number;
+  steps: TimelineStub['shaderSequence']['steps'];
+}
+
+/** An operator cue that holds the main sequence on one step. */
+export interface TimelineCue {
+  id: string;
+  label: string;
+  /** Main-sequence step shown by the cue, or null for a blackout. */
+  stepId: string | null;
+  fadeSeconds: number;
+  /** Seconds after the fade before the next cue goes by itself, or null to wait for GO. */
+  autoFollowSeconds: number | null;
+  notes: string;
+}
+
+export interface TimelineCueList {
+  cues: TimelineCue[];
+  /** Cue on stage, or null while the timeline plays on its own. */
+  activeCueId: string | null;
+  /** Cue the next GO fires, or null after the last cue. */
+  standbyCueId: string | null;
+  /** Fade into the active cue, timed on the transport. A null step is black. */
+  fade: {
+    fromStepId: string | null;
+    toStepId: string | null;
+    startSeconds: number;
+    durationSeconds: number;
+  } | null;
+}
+
+/** A music file that plays along with the transport. */
+export interface TimelineAudioTrack {
+  /** The file is kept in the asset blob store under this id. */
+  assetId: string;
+  name: string;
+  mimeType: string;
+  durationSeconds: number;
+  /** Transport time at which the file starts. */
+  offsetSeconds: number;
+  /** Monitor volume from 0 to 1. Audio reactivity always hears the file at full level. */
+  volume: number;
+  muted: boolean;
+  /** Peak levels from 0 to 1 spread evenly across the file, for the waveform. */
+  peaks: number[];
+}
+
 export interface TimelineStub {
   enabled: boolean;
   durationSeconds: number;
+  /** Evenly spaced section names; the cue list can be seeded from them. */
   markers: string[];
-  tracks: Array<{
-    id: string;
-    label: string;
-    type: string;
-  }>;
+  /** Layers composited in order over the main sequence. */
+  tracks: TimelineTrack[];
+  cueList: TimelineCueList;
+  audioTrack: TimelineAudioTrack | null;
   shaderSequence: {
     enabled: boolean;
     mode: TimelineSequenceMode;
+    /** Mixer state of the main sequence, which is the bottom layer. */
+    muted?: boolean;
+    solo?: boolean;
     editorView: TimelineEditorViewMode;
     stagePreviewMode: TimelineStagePreviewMode;
     focusedStepId: string | null;
@@ -187,6 +413,7 @@ export interface TimelineStub {
       transitionDurationSeconds: number;
       transitionEffect: TimelineTransitionEffect;
       assetSettings: TimelineStepAssetSettings;
+      automationLanes?: UniformAutomationLane[];
     }>;
   };
 }
@@ -210,12 +437,32 @@ export interface ShaderDefinition {
 
 export interface ShaderUniformDefinition {
   type: ShaderUniformType;
+  /** Range of a float or int, and of each vec2 component. */
   min: number;
   max: number;
   default: ShaderUniformValue;
+  /** Slider increment from `@step`; sliders otherwise move in hundredths of the range. */
+  step?: number;
+  /** Name shown in the panels from `@label`, instead of the GLSL name. */
+  label?: string;
+  /** Heading the control is listed under, from `@group`. */
+  group?: string;
+  /** Choices of an int from `@options a|b|c`; the value is the index of the choice. */
+  options?: string[];
+  /** `@hidden` keeps the uniform out of the panels, MIDI faders and audio bindings. */
+  hidden?: boolean;
 }
 
 export type ShaderUniformMap = Record<string, ShaderUniformDefinition>;
+
+/** A `uniform sampler2D` declared with an `// @asset` annotation. */
+export interface ShaderTextureInputDefinition {
+  /** Companion sampled until the input is bound, from `@asset depth` or `@asset mask`. */
+  companion: AssetCompanionKind | null;
+  label?: string;
+}
+
+export type ShaderTextureInputMap = Record<string, ShaderTextureInputDefinition>;
 export type ShaderUniformValueMap = Record<string, ShaderUniformValue>;
 
 export interface ShaderChatTurn {
@@ -231,6 +478,15 @@ export interface ProjectLibraryEntry {
   bundled?: boolean;
 }
 
+/** A named copy of a whole project, kept in IndexedDB next to the asset blobs. */
+export interface ProjectSnapshotRecord {
+  id: string;
+  sessionId: string;
+  name: string;
+  createdAt: string;
+  project: ProjectDocument;
+}
+
 export interface ProjectDocument {
   version: number;
   sessionId: string;
@@ -250,6 +506,10 @@ export interface ProjectDocument {
   };
   mapping: {
     stageTransform: StageTransform;
+    surfaces?: MappingSurface[];
+    activeSurfaceId?: string;
+    outputLayout?: OutputLayout;
+    colorCalibration?: ColorCalibration;
   };
   playback: {
     activeAssetId: string | null;
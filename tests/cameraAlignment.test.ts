@@ -0,0 +1,185 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  applyHomography,
+  computeHomography,
+  findProjectedAreaTarget,
+  solveCameraCorners,
+  solveCameraMesh,
+  type CameraAlignmentTarget,
+} from '../src/lib/cameraAlignment.ts';
+import { getStageDistortionPoint, STAGE_DISTORTION_CORNERS } from '../src/lib/distortion.ts';
+import { getStageMeshControlPoint } from '../src/lib/meshWarp.ts';
+import {
+  createGrayCodeSequence,
+  decodeGrayCodeCaptures,
+  fromGrayCode,
+  getStructuredLightValue,
+  toGrayCode,
+  type LuminanceFrame,
+} from '../src/lib/structuredLight.ts';
+import type { DistortionPoint } from '../src/types.ts';
+
+const CAMERA_WIDTH = 200;
+const CAMERA_HEIGHT = 150;
+
+// The projector lights a keystoned quad in the middle of the camera image.
+const PROJECTOR_TO_CAMERA = computeHomography(
+  [
+    { x: 0, y: 0 },
+    { x: 1, y: 0 },
+    { x: 1, y: 1 },
+    { x: 0, y: 1 },
+  ],
+  [
+    { x: 0.12, y: 0.1 },
+    { x: 0.86, y: 0.16 },
+    { x: 0.9, y: 0.88 },
+    { x: 0.08, y: 0.82 },
+  ],
+)!;
+const CAMERA_TO_PROJECTOR = computeHomography(
+  [
+    { x: 0.12, y: 0.1 },
+    { x: 0.86, y: 0.16 },
+    { x: 0.9, y: 0.88 },
+    { x: 0.08, y: 0.82 },
+  ],
+  [
+    { x: 0, y: 0 },
+    { x: 1, y: 0 },
+    { x: 1, y: 1 },
+    { x: 0, y: 1 },
+  ],
+)!;
+
+/** Renders what the camera sees for every frame of `bits` Gray-code sequence. */
+function captureSyntheticFrames(
+  bits: number,
+  cameraToProjector: (point: DistortionPoint) => DistortionPoint = (point) =>
+    applyHomography(CAMERA_TO_PROJECTOR, point),
+) {
+  const sequence = createGrayCodeSequence(bits);
+  const captures: LuminanceFrame[] = sequence.map((frame, frameIndex) => {
+    const data = new Uint8ClampedArray(CAMERA_WIDTH * CAMERA_HEIGHT);
+    for (let y = 0; y < CAMERA_HEIGHT; y += 1) {
+      for (let x = 0; x < CAMERA_WIDTH; x += 1) {
+        const projector = cameraToProjector({
+          x: (x + 0.5) / CAMERA_WIDTH,
+          y: (y + 0.5) / CAMERA_HEIGHT,
+        });
+        const inside =
+          projector.x >= 0 && projector.x < 1 && projector.y >= 0 && projector.y < 1;
+        const noise = ((x * 7 + y * 13 + frameIndex * 5) % 9) - 4;
+        const lit = inside && getStructuredLightValue(frame, projector.x, projector.y);
+        data[y * CAMERA_WIDTH + x] = (lit ? 210 : 30) + noise;
+      }
+    }
+    return { width: CAMERA_WIDTH, height: CAMERA_HEIGHT, data };
+  });
+  return { sequence, captures };
+}
+
+function toCamera(point: DistortionPoint): DistortionPoint {
+  return applyHomography(PROJECTOR_TO_CAMERA, point);
+}
+
+test('Gray codes round-trip and neighbours differ by one bit', () => {
+  for (let value = 0; value < 256; value += 1) {
+    assert.equal(fromGrayCode(toGrayCode(value)), value);
+    const changedBits = toGrayCode(value) ^ toGrayCode(value + 1);
+    assert.equal(changedBits & (changedBits - 1), 0);
+  }
+});
+
+test('decodes synthetic captures into output positions', () => {
+  const { sequence, captures } = captureSyntheticFrames(6);
+  const map = decodeGrayCodeCaptures(sequence, captures);
+  const stripe = 1 / 64;
+
+  assert.ok(map.validCount > CAMERA_WIDTH * CAMERA_HEIGHT * 0.4);
+  const sample = toCamera({ x: 0.3, y: 0.6 });
+  const index =
+    Math.floor(sample.y * CAMERA_HEIGHT) * CAMERA_WIDTH + Math.floor(sample.x * CAMERA_WIDTH);
+  assert.ok(Math.abs(map.projectorX[index] - 0.3) <= stripe * 1.5);
+  assert.ok(Math.abs(map.projectorY[index] - 0.6) <= stripe * 1.5);
+  assert.ok(Number.isNaN(map.projectorX[2 * CAMERA_WIDTH + 2]), 'unlit corner stays invalid');
+});
+
+test('rejects capture sets that do not match the sequence', () => {
+  const { sequence, captures } = captureSyntheticFrames(4);
+  assert.throws(() => decodeGrayCodeCaptures(sequence, captures.slice(1)), /Expected 18 captures/);
+});
+
+test('solves corner pins that land the output on a marked target', () => {
+  const { sequence, captures } = captureSyntheticFrames(7);
+  const map = decodeGrayCodeCaptures(sequence, captures);
+  const expected: DistortionPoint[] = [
+    { x: 0.1, y: 0.05 },
+    { x: 0.85, y: 0.12 },
+    { x: 0.95, y: 0.9 },
+    { x: 0.04, y: 0.8 },
+  ];
+  const target = expected.map(toCamera) as CameraAlignmentTarget;
+
+  const { distortion, clamped } = solveCameraCorners(map, target);
+
+  assert.equal(clamped, false);
+  STAGE_DISTORTION_CORNERS.forEach((corner, index) => {
+    const point = getStageDistortionPoint(distortion, corner);
+    assert.ok(Math.abs(point.x - expected[index].x) < 0.02, `${corner} x ${point.x}`);
+    assert.ok(Math.abs(point.y - expected[index].y) < 0.02, `${corner} y ${point.y}`);
+  });
+});
+
+test('the automatic target is an upright rectangle inside the lit area', () => {
+  const { sequence, captures } = captureSyntheticFrames(7);
+  const map = decodeGrayCodeCaptures(sequence, captures);
+  const target = findProjectedAreaTarget(map, 16 / 9)!;
+
+  assert.ok(target);
+  const [topLeft, topRight, bottomRight, bottomLeft] = target;
+  assert.equal(topLeft.y, topRight.y);
+  assert.equal(topLeft.x, bottomLeft.x);
+  const aspect =
+    ((bottomRight.x - bottomLeft.x) * CAMERA_WIDTH) / ((bottomLeft.y - topLeft.y) * CAMERA_HEIGHT);
+  assert.ok(Math.abs(aspect - 16 / 9) < 0.01);
+
+  const { distortion } = solveCameraCorners(map, target);
+  const cameraCorners = STAGE_DISTORTION_CORNERS.map((corner) =>
+    toCamera(getStageDistortionPoint(distortion, corner)),
+  );
+  cameraCorners.forEach((point, index) => {
+    assert.ok(Math.abs(point.x - target[index].x) < 0.02);
+    assert.ok(Math.abs(point.y - target[index].y) < 0.02);
+  });
+});
+
+test('mesh solutions follow a curved surface', () => {
+  // A cylinder-like bulge bends vertical lines as the camera sees them.
+  const curvedCameraToProjector = (point: DistortionPoint) => {
+    const projector = applyHomography(CAMERA_TO_PROJECTOR, point);
+    return { x: projector.x + 0.06 * Math.sin(Math.PI * projector.y), y: projector.y };
+  };
+  const { sequence, captures } = captureSyntheticFrames(7, curvedCameraToProjector);
+  const map = decodeGrayCodeCaptures(sequence, captures);
+  const target = [
+    { x: 0.3, y: 0.3 },
+    { x: 0.7, y: 0.3 },
+    { x: 0.7, y: 0.7 },
+    { x: 0.3, y: 0.7 },
+  ] as CameraAlignmentTarget;
+
+  const { meshWarp, missingPoints } = solveCameraMesh(map, target, 5, 5);
+
+  assert.equal(missingPoints, 0);
+  for (let row = 0; row < 5; row += 1) {
+    for (let column = 0; column < 5; column += 1) {
+      const cameraPoint = { x: 0.3 + 0.1 * column, y: 0.3 + 0.1 * row };
+      const expected = curvedCameraToProjector(cameraPoint);
+      const point = getStageMeshControlPoint(meshWarp, column, row);
+      assert.ok(Math.abs(point.x - expected.x) < 0.02, `point ${column},${row}`);
+      assert.ok(Math.abs(point.y - expected.y) < 0.02, `point ${column},${row}`);
+    }
+  }
+});
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  applyColorCalibration,
+  createColorLutTextureData,
+  decodeColorLut,
+  DEFAULT_COLOR_CALIBRATION,
+  isColorCalibrationIdentity,
+  MAX_COLOR_LUT_SIZE,
+  normalizeColorCalibration,
+  parseCubeLut,
+  sampleColorLut,
+} from '../src/lib/colorCalibration.ts';
+
+function createCubeText(size: number, transform: (rgb: number[]) => number[], header = '') {
+  const lines = [header, `LUT_3D_SIZE ${size}`];
+  for (let b = 0; b < size; b += 1) {
+    for (let g = 0; g < size; g += 1) {
+      for (let r = 0; r < size; r += 1) {
+        const rgb = [r, g, b].map((step) => step / (size - 1));
+        lines.push(transform(rgb).map((value) => value.toFixed(6)).join(' '));
+      }
+    }
+  }
+  return lines.join('\n');
+}
+
+function assertColorClose(actual: number[], expected: number[], tolerance = 1 / 255) {
+  actual.forEach((channel, index) => {
+    assert.ok(
+      Math.abs(channel - expected[index]) <= tolerance,
+      `expected ${expected.join(', ')}, got ${actual.join(', ')}`,
+    );
+  });
+}
+
+test('parses a .cube LUT with its title and red-fastest ordering', () => {
+  const lut = parseCubeLut(
+    createCubeText(3, ([r, g, b]) => [b, g, r], '# swap red and blue\nTITLE "Swap"'),
+  );
+
+  assert.equal(lut.name, 'Swap');
+  assert.equal(lut.size, 3);
+  assertColorClose(sampleColorLut(decodeColorLut(lut), [1, 0.5, 0]), [0, 0.5, 1]);
+  assertColorClose(sampleColorLut(decodeColorLut(lut), [0.25, 0, 0.75]), [0.75, 0, 0.25]);
+});
+
+test('large LUTs are resampled down without changing a smooth grade', () => {
+  const lut = parseCubeLut(createCubeText(40, (rgb) => rgb.map((value) => value * 0.8)), 'Dim');
+
+  assert.equal(lut.name, 'Dim');
+  assert.equal(lut.size, MAX_COLOR_LUT_SIZE);
+  assertColorClose(sampleColorLut(decodeColorLut(lut), [0.3, 0.6, 0.9]), [0.24, 0.48, 0.72]);
+});
+
+test('input domains are mapped onto 0–1', () => {
+  const lut = parseCubeLut(`DOMAIN_MIN 0 0 0\nDOMAIN_MAX 2 2 2\n${createCubeText(2, (rgb) => rgb)}`);
+  assertColorClose(sampleColorLut(decodeColorLut(lut), [1, 0.5, 0]), [0.5, 0.25, 0]);
+});
+
+test('rejects 1D and incomplete LUTs', () => {
+  assert.throws(() => parseCubeLut('LUT_1D_SIZE 2\n0 0 0\n1 1 1'), /1D/);
+  assert.throws(() => parseCubeLut('LUT_3D_SIZE 2\n0 0 0\n1 1 1'), /Expected 8/);
+  assert.throws(() => parseCubeLut('0 0 0'), /LUT_3D_SIZE/);
+});
+
+test('the LUT texture lays blue slices side by side', () => {
+  const lut = parseCubeLut(createCubeText(2, (rgb) => rgb));
+  const texture = createColorLutTextureData(lut);
+
+  assert.equal(texture.width, 4);
+  assert.equal(texture.height, 2);
+  // x = red + blue * size, y = green: the pixel at (3, 1) is white.
+  assert.deepEqual(Array.from(texture.pixels.slice((1 * 4 + 3) * 4, (1 * 4 + 3) * 4 + 4)), [
+    255, 255, 255, 255,
+  ]);
+  assert.deepEqual(Array.from(texture.pixels.slice(2 * 4, 2 * 4 + 4)), [0, 0, 255, 255]);
+});
+
+test('parametric calibration applies contrast, gain, offset and gamma per channel', () => {
+  const calibration = {
+    ...DEFAULT_COLOR_CALIBRATION,
+    enabled: true,
+    contrast: 2,
+    gain: [1, 0.5, 1] as [number, number, number],
+    offset: [0, 0, 0.1] as [number, number, number],
+    gamma: [1, 1, 2] as [number, number, number],
+  };
+
+  assertColorClose(applyColorCalibration([0.5, 0.75, 0.25], calibration), [0.5, 0.5, 0.1 ** 0.5], 1e-9);
+  assert.equal(isColorCalibrationIdentity(calibration), false);
+  assert.equal(isColorCalibrationIdentity({ ...calibration, enabled: false }), true);
+});
+
+test('normalizing clamps values and drops malformed LUTs', () => {
+  const calibration = normalizeColorCalibration({
+    enabled: true,
+    contrast: 9,
+    gain: [0.9, 'x'],
+    lut: { name: 'Broken', size: 2, data: 'AAAA' },
+  });
+
+  assert.equal(calibration.contrast, 2);
+  assert.deepEqual(calibration.gain, [0.9, 1, 1]);
+  assert.equal(calibration.lut, null);
+  assert.equal(isColorCalibrationIdentity(normalizeColorCalibration(null)), true);
+});
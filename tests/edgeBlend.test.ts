@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  createOutputRegions,
+  getEdgeBlendFactor,
+  getEdgeBlendWeight,
+  getOutputRegionCanvasRect,
+  normalizeOutputLayout,
+} from '../src/lib/edgeBlend.ts';
+
+test('opposite blend ramps add up to full light across the overlap', () => {
+  for (const position of [0, 0.1, 0.25, 0.5, 0.8, 1]) {
+    const sum = getEdgeBlendWeight(position) + getEdgeBlendWeight(1 - position);
+    assert.ok(Math.abs(sum - 1) < 1e-12, `sum at ${position} was ${sum}`);
+  }
+});
+
+test('blend factors are gamma encoded light weights', () => {
+  const weight = getEdgeBlendWeight(0.3);
+  assert.ok(Math.abs(getEdgeBlendFactor(0.3, 2.2) ** 2.2 - weight) < 1e-12);
+  assert.equal(getEdgeBlendFactor(0, 2.2), 0);
+  assert.equal(getEdgeBlendFactor(1, 2.2), 1);
+});
+
+test('regions tile the canvas and overlap their neighbours', () => {
+  const overlap = 0.2;
+  const regions = createOutputRegions(3, overlap);
+
+  assert.equal(regions.length, 3);
+  assert.equal(regions[0].x, 0);
+  assert.ok(Math.abs(regions[2].x + regions[2].width - 1) < 1e-12);
+  assert.equal(regions[0].blendLeft, 0);
+  assert.equal(regions[2].blendRight, 0);
+  for (let index = 1; index < regions.length; index += 1) {
+    const previous = regions[index - 1];
+    const sharedWidth = previous.x + previous.width - regions[index].x;
+    assert.ok(Math.abs(sharedWidth - overlap * previous.width) < 1e-12);
+    assert.equal(regions[index].blendLeft, overlap);
+  }
+});
+
+test('re-laying out regions keeps per-projector settings', () => {
+  const [first, second] = createOutputRegions(2, 0.1);
+  const regions = createOutputRegions(3, 0.25, 'vertical', [
+    { ...first, gamma: 1.8, blackLevel: 0.04 },
+    second,
+  ]);
+
+  assert.equal(regions[0].id, first.id);
+  assert.equal(regions[0].gamma, 1.8);
+  assert.equal(regions[0].blackLevel, 0.04);
+  assert.equal(regions[0].width, 1);
+  assert.equal(regions[0].blendBottom, 0.25);
+  assert.equal(regions[2].name, 'Projector 3');
+});
+
+test('a region window places the whole canvas around its slice', () => {
+  const rect = getOutputRegionCanvasRect(createOutputRegions(2, 0)[1]);
+  assert.deepEqual(rect, { left: '-100%', top: '0%', width: '200%', height: '100%' });
+});
+
+test('normalizing drops duplicate regions and needs two to enable blending', () => {
+  const [region] = createOutputRegions(2, 0.1);
+  const layout = normalizeOutputLayout({
+    enabled: true,
+    regions: [{ ...region, gamma: 9, blendLeft: -1 }, region],
+  });
+
+  assert.equal(layout.regions.length, 1);
+  assert.equal(layout.enabled, false);
+  assert.equal(layout.regions[0].gamma, 3);
+  assert.equal(layout.regions[0].blendLeft, 0);
+});
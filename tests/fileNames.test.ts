@@ -0,0 +1,17 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { sanitizeFileName } from '../src/lib/fileNames.ts';
+import { createProjectArchiveFileName } from '../src/lib/projectArchive.ts';
+import { createIsfFileName } from '../src/lib/shaderImport.ts';
+
+test('reserved and control characters never reach a download name', () => {
+  assert.equal(
+    sanitizeFileName('  Main: Stage / Left\tWall\u0000 ', 'fallback'),
+    'Main-Stage-Left-Wall',
+  );
+  assert.equal(sanitizeFileName('Night\u007Fshow?', 'fallback'), 'Night-show');
+  assert.equal(sanitizeFileName(' <>|* ', 'fallback'), 'fallback');
+
+  assert.equal(createProjectArchiveFileName('Club "Night"'), 'Club-Night.mapshroom');
+  assert.equal(createIsfFileName('\u0007'), 'mapshroom-shader.fs');
+});
@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { DEFAULT_STAGE_DISTORTION } from '../src/lib/distortion.ts';
+import {
+  addMappingSurface,
+  getActiveMappingSurfaceId,
+  getMappingSurfaceTransform,
+  listMappingSurfaceOptions,
+  MAIN_MAPPING_SURFACE_ID,
+  MAX_MAPPING_SURFACES,
+  normalizeMappingSurfaces,
+  pruneMappingSurfaceReferences,
+  removeMappingSurface,
+} from '../src/lib/mappingSurfaces.ts';
+import type { MappingSurface, ProjectDocument, StageTransform } from '../src/types.ts';
+
+type ProjectMapping = ProjectDocument['mapping'];
+
+const TRANSFORM: StageTransform = {
+  offsetX: 0,
+  offsetY: 0,
+  widthAdjust: 0,
+  heightAdjust: 0,
+  precision: 12,
+  rotationDegrees: 0,
+  moveMode: false,
+  rotationLocked: false,
+  showGrid: false,
+  distortMode: false,
+  distortion: DEFAULT_STAGE_DISTORTION,
+};
+
+function createSurface(id: string, patch: Partial<MappingSurface> = {}): MappingSurface {
+  return {
+    id,
+    name: id,
+    enabled: true,
+    stageTransform: TRANSFORM,
+    assetId: null,
+    source: 'timeline',
+    shaderId: null,
+    ...patch,
+  };
+}
+
+test('a single-stage project maps to the main surface alone', () => {
+  const mapping = {
+    stageTransform: { ...TRANSFORM, offsetX: 24 },
+  } as unknown as ProjectMapping;
+
+  assert.deepEqual(normalizeMappingSurfaces(undefined, TRANSFORM), []);
+  assert.deepEqual(listMappingSurfaceOptions(mapping), [
+    { id: MAIN_MAPPING_SURFACE_ID, name: 'Main', enabled: true },
+  ]);
+  assert.equal(getActiveMappingSurfaceId(mapping), MAIN_MAPPING_SURFACE_ID);
+  assert.equal(getMappingSurfaceTransform(mapping).offsetX, 24);
+});
+
+test('stored surfaces with duplicate, reserved or invalid IDs are dropped', () => {
+  const surfaces = normalizeMappingSurfaces(
+    [
+      { id: 'left', name: '  ', source: 'shader', shaderId: 'glow', enabled: false },
+      { id: 'left', name: 'Copy' },
+      { id: MAIN_MAPPING_SURFACE_ID, name: 'Shadow of main' },
+      { id: '  ', name: 'Blank' },
+      { id: 7, name: 'Numeric' },
+      'not a surface',
+      { id: 'right', name: 'Right', source: 'timeline', shaderId: 'glow', assetId: '' },
+    ],
+    { ...TRANSFORM, moveMode: true, showGrid: true },
+  );
+
+  assert.deepEqual(
+    surfaces.map(({ id, name, enabled, source, shaderId }) => ({
+      id,
+      name,
+      enabled,
+      source,
+      shaderId,
+    })),
+    [
+      { id: 'left', name: 'Surface 2', enabled: false, source: 'shader', shaderId: 'glow' },
+      { id: 'right', name: 'Right', enabled: true, source: 'timeline', shaderId: null },
+    ],
+  );
+  assert.equal(surfaces[1].assetId, null);
+  // New surfaces never inherit the main surface's editing toggles.
+  assert.equal(surfaces[0].stageTransform.moveMode, false);
+  assert.equal(surfaces[0].stageTransform.showGrid, false);
+
+  const tooMany = Array.from({ length: MAX_MAPPING_SURFACES + 2 }, (_, index) => ({
+    id: `surface-${index}`,
+  }));
+  assert.equal(normalizeMappingSurfaces(tooMany, TRANSFORM).length, MAX_MAPPING_SURFACES - 1);
+});
+
+test('added surfaces get a free name and become the edited surface', () => {
+  const mapping = {
+    stageTransform: { ...TRANSFORM, precision: 30, distortMode: true },
+    surfaces: [createSurface('left', { name: 'Surface 3' })],
+  } as unknown as ProjectMapping;
+
+  const next = addMappingSurface(mapping, TRANSFORM);
+  const added = next.surfaces?.[1];
+  assert.ok(added);
+  assert.equal(added.name, 'Surface 4');
+  assert.equal(next.activeSurfaceId, added.id);
+  assert.equal(added.stageTransform.precision, 30);
+  // The open warp editor follows the selection to the new surface.
+  assert.equal(added.stageTransform.distortMode, true);
+  assert.equal(next.stageTransform.distortMode, false);
+
+  const full = {
+    stageTransform: TRANSFORM,
+    surfaces: Array.from({ length: MAX_MAPPING_SURFACES - 1 }, (_, index) =>
+      createSurface(`surface-${index}`),
+    ),
+  } as unknown as ProjectMapping;
+  assert.equal(addMappingSurface(full, TRANSFORM), full);
+});
+
+test('removing the edited surface returns editing to the main surface', () => {
+  const mapping = {
+    stageTransform: TRANSFORM,
+    surfaces: [createSurface('left'), createSurface('right')],
+    activeSurfaceId: 'right',
+  } as unknown as ProjectMapping;
+
+  const removedActive = removeMappingSurface(mapping, 'right');
+  assert.deepEqual(removedActive.surfaces?.map((surface) => surface.id), ['left']);
+  assert.equal(removedActive.activeSurfaceId, MAIN_MAPPING_SURFACE_ID);
+
+  const removedOther = removeMappingSurface(mapping, 'left');
+  assert.equal(removedOther.activeSurfaceId, 'right');
+});
+
+test('surfaces forget assets and shaders the project no longer has', () => {
+  const surfaces = pruneMappingSurfaceReferences(
+    [
+      createSurface('left', { assetId: 'photo', source: 'shader', shaderId: 'glow' }),
+      createSurface('right', { assetId: 'deleted', source: 'shader', shaderId: 'removed' }),
+    ],
+    new Set(['photo']),
+    new Set(['glow']),
+  );
+
+  assert.deepEqual(
+    surfaces.map(({ assetId, shaderId }) => ({ assetId, shaderId })),
+    [
+      { assetId: 'photo', shaderId: 'glow' },
+      { assetId: null, shaderId: null },
+    ],
+  );
+});
@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  createStageMeshGeometry,
+  createStageMeshWarp,
+  evaluateStageMeshWarp,
+  getStageMeshControlPoint,
+  normalizeStageMeshWarp,
+  resampleStageMeshWarp,
+  resetStageMeshColumn,
+  resetStageMeshRow,
+  setStageMeshControlPoint,
+  subdivideStageMeshWarp,
+} from '../src/lib/meshWarp.ts';
+import {
+  createMappingPositionFile,
+  parseMappingPositionFile,
+} from '../src/lib/mappingPosition.ts';
+import { DEFAULT_STAGE_DISTORTION } from '../src/lib/distortion.ts';
+import type { DistortionPoint, StageMeshWarp } from '../src/types.ts';
+
+function assertPointClose(actual: DistortionPoint, expected: DistortionPoint) {
+  assert.ok(
+    Math.abs(actual.x - expected.x) < 1e-9 && Math.abs(actual.y - expected.y) < 1e-9,
+    `expected (${expected.x}, ${expected.y}), got (${actual.x}, ${actual.y})`,
+  );
+}
+
+function bentMesh(interpolation: StageMeshWarp['interpolation']): StageMeshWarp {
+  let mesh = createStageMeshWarp(3, 3, interpolation);
+  mesh = setStageMeshControlPoint(mesh, 1, 1, { x: 0.58, y: 0.44 });
+  return setStageMeshControlPoint(mesh, 2, 0, { x: 1.05, y: -0.03 });
+}
+
+test('an untouched mesh maps every point to itself', () => {
+  for (const interpolation of ['bilinear', 'bezier'] as const) {
+    const mesh = createStageMeshWarp(4, 3, interpolation);
+    for (const [u, v] of [[0, 0], [0.2, 0.7], [0.5, 0.5], [1, 1]]) {
+      assertPointClose(evaluateStageMeshWarp(mesh, u, v), { x: u, y: v });
+    }
+  }
+});
+
+test('both interpolations pass through their control points', () => {
+  for (const interpolation of ['bilinear', 'bezier'] as const) {
+    const mesh = bentMesh(interpolation);
+    assertPointClose(evaluateStageMeshWarp(mesh, 0.5, 0.5), { x: 0.58, y: 0.44 });
+    assertPointClose(evaluateStageMeshWarp(mesh, 1, 0), { x: 1.05, y: -0.03 });
+  }
+});
+
+test('bilinear interpolation is straight between control points', () => {
+  const mesh = bentMesh('bilinear');
+  assertPointClose(evaluateStageMeshWarp(mesh, 0.25, 0.5), { x: 0.29, y: 0.47 });
+});
+
+test('subdividing a bilinear mesh keeps its shape and original points', () => {
+  const mesh = bentMesh('bilinear');
+  const subdivided = subdivideStageMeshWarp(mesh);
+
+  assert.equal(subdivided.columns, 5);
+  assert.equal(subdivided.rows, 5);
+  assertPointClose(getStageMeshControlPoint(subdivided, 2, 2), { x: 0.58, y: 0.44 });
+  for (const [u, v] of [[0.1, 0.3], [0.6, 0.8], [0.9, 0.05]]) {
+    assertPointClose(evaluateStageMeshWarp(subdivided, u, v), evaluateStageMeshWarp(mesh, u, v));
+  }
+});
+
+test('resampling to a coarser grid keeps the warped corners', () => {
+  const resampled = resampleStageMeshWarp(bentMesh('bezier'), 2, 2);
+  assertPointClose(getStageMeshControlPoint(resampled, 1, 0), { x: 1.05, y: -0.03 });
+});
+
+test('row and column resets only clear their own points', () => {
+  const mesh = bentMesh('bezier');
+
+  const rowReset = resetStageMeshRow(mesh, 0);
+  assertPointClose(getStageMeshControlPoint(rowReset, 2, 0), { x: 1, y: 0 });
+  assertPointClose(getStageMeshControlPoint(rowReset, 1, 1), { x: 0.58, y: 0.44 });
+
+  const columnReset = resetStageMeshColumn(mesh, 1);
+  assertPointClose(getStageMeshControlPoint(columnReset, 1, 1), { x: 0.5, y: 0.5 });
+  assertPointClose(getStageMeshControlPoint(columnReset, 2, 0), { x: 1.05, y: -0.03 });
+});
+
+test('mesh geometry covers every rendered cell with two triangles', () => {
+  const geometry = createStageMeshGeometry(createStageMeshWarp(3, 2));
+  assert.equal(geometry.vertexCount, 24 * 12 * 6);
+  assert.equal(geometry.vertices.length, geometry.vertexCount * 4);
+  assert.deepEqual(Array.from(geometry.vertices.slice(0, 4)), [-1, 1, 0, 1]);
+});
+
+test('normalizing rejects malformed meshes and fills missing points', () => {
+  assert.equal(normalizeStageMeshWarp('grid'), null);
+
+  const mesh = normalizeStageMeshWarp({
+    columns: 40,
+    rows: 3.2,
+    interpolation: 'spline',
+    points: [{ x: 2, y: -0.1 }],
+  });
+  assert.ok(mesh);
+  assert.equal(mesh.columns, 17);
+  assert.equal(mesh.rows, 3);
+  assert.equal(mesh.interpolation, 'bezier');
+  assert.equal(mesh.points.length, 51);
+  assert.deepEqual(mesh.points[0], { x: 0.5, y: -0.1 });
+  assert.deepEqual(mesh.points[1], { x: 0, y: 0 });
+});
+
+test('position files round-trip the mesh warp', () => {
+  const meshWarp = bentMesh('bilinear');
+  const file = createMappingPositionFile({
+    offsetX: 4,
+    offsetY: -2,
+    widthAdjust: 10,
+    heightAdjust: 0,
+    precision: 8,
+    rotationDegrees: 1.5,
+    moveMode: false,
+    rotationLocked: false,
+    distortion: DEFAULT_STAGE_DISTORTION,
+    meshWarp,
+  });
+
+  const parsed = parseMappingPositionFile(JSON.stringify(file));
+  assert.deepEqual(parsed.meshWarp, meshWarp);
+  assert.equal(parsed.offsetX, 4);
+});
+
+test('older position files import without a mesh warp', () => {
+  const parsed = parseMappingPositionFile(
+    JSON.stringify({
+      format: 'mapshroom-position',
+      version: 2,
+      exportedAt: '2026-01-01T00:00:00.000Z',
+      position: {
+        offsetX: 0,
+        offsetY: 0,
+        widthAdjust: 0,
+        heightAdjust: 0,
+        precision: 12,
+        rotationDegrees: 0,
+        distortion: DEFAULT_STAGE_DISTORTION,
+      },
+    }),
+  );
+  assert.equal(parsed.meshWarp, null);
+});
@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  createOutputMaskPath,
+  insertOutputMaskPoint,
+  MAX_OUTPUT_MASK_FEATHER,
+  MAX_OUTPUT_MASK_POINTS,
+  MAX_OUTPUT_MASKS,
+  MIN_OUTPUT_MASK_POINTS,
+  normalizeOutputMasks,
+  removeOutputMaskPoint,
+} from '../src/lib/outputMasks.ts';
+import type { OutputMaskShape } from '../src/types.ts';
+
+const SQUARE: OutputMaskShape = {
+  id: 'square',
+  name: 'Square',
+  kind: 'polygon',
+  enabled: true,
+  inverted: false,
+  feather: 0,
+  points: [
+    { x: 0, y: 0 },
+    { x: 1, y: 0 },
+    { x: 1, y: 1 },
+    { x: 0, y: 1 },
+  ],
+};
+
+function createMask(pointCount: number): OutputMaskShape {
+  return {
+    ...SQUARE,
+    points: Array.from({ length: pointCount }, (_, index) => ({ x: index / pointCount, y: 0 })),
+  };
+}
+
+test('stored masks are validated and clamped', () => {
+  const masks = normalizeOutputMasks([
+    {
+      id: 'window',
+      name: ' ',
+      kind: 'spline',
+      inverted: 1,
+      feather: 4,
+      points: [{ x: -3, y: 0.5 }, { x: 1, y: 'top' }, { x: 1, y: 1 }, { x: 0, y: 1 }],
+    },
+    { id: 'window', points: SQUARE.points },
+    { id: 'triangle-less', points: SQUARE.points.slice(0, 2) },
+    { points: SQUARE.points },
+    null,
+  ]);
+
+  assert.deepEqual(masks, [
+    {
+      id: 'window',
+      name: 'Mask 1',
+      kind: 'polygon',
+      enabled: true,
+      inverted: true,
+      feather: MAX_OUTPUT_MASK_FEATHER,
+      points: [{ x: -0.25, y: 0.5 }, { x: 1, y: 1 }, { x: 0, y: 1 }],
+    },
+  ]);
+  assert.deepEqual(normalizeOutputMasks('masks'), []);
+
+  const many = Array.from({ length: MAX_OUTPUT_MASKS + 3 }, (_, index) => ({
+    ...createMask(MAX_OUTPUT_MASK_POINTS + 5),
+    id: `mask-${index}`,
+  }));
+  const kept = normalizeOutputMasks(many);
+  assert.equal(kept.length, MAX_OUTPUT_MASKS);
+  assert.equal(kept[0].points.length, MAX_OUTPUT_MASK_POINTS);
+});
+
+test('points are inserted mid-edge and removed within the point limits', () => {
+  const inserted = insertOutputMaskPoint(SQUARE, 3);
+  assert.deepEqual(inserted.points.at(-1), { x: 0, y: 0.5 });
+  assert.equal(inserted.points.length, 5);
+  assert.equal(insertOutputMaskPoint(SQUARE, 9), SQUARE);
+
+  const full = createMask(MAX_OUTPUT_MASK_POINTS);
+  assert.equal(insertOutputMaskPoint(full, 0), full);
+
+  const removed = removeOutputMaskPoint(SQUARE, 1);
+  assert.deepEqual(removed.points, [{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }]);
+  const triangle = createMask(MIN_OUTPUT_MASK_POINTS);
+  assert.equal(removeOutputMaskPoint(triangle, 0), triangle);
+  assert.equal(removeOutputMaskPoint(SQUARE, 7), SQUARE);
+});
+
+test('polygons draw straight edges and Bézier masks a closed Catmull-Rom curve', () => {
+  assert.equal(createOutputMaskPath(SQUARE, 6, 6), 'M 0 0 L 6 0 L 6 6 L 0 6 Z');
+
+  const curve = createOutputMaskPath({ ...SQUARE, kind: 'bezier' }, 6, 6);
+  assert.ok(curve.startsWith('M 0 0 C 1 -1 5 -1 6 0 C 7 1 7 5 6 6 '), curve);
+  assert.ok(curve.endsWith('C -1 5 -1 1 0 0 Z'), curve);
+  assert.equal(curve.match(/C /g)?.length, 4);
+
+  assert.equal(createOutputMaskPath({ ...SQUARE, points: SQUARE.points.slice(0, 2) }), '');
+});
@@ -0,0 +1,178 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  createProjectArchive,
+  readProjectArchive,
+  remapProjectArchive,
+} from '../src/lib/projectArchive.ts';
+import { createZipArchive, readZipArchive } from '../src/lib/zip.ts';
+import type { AssetRecord, ProjectDocument } from '../src/types.ts';
+
+function createAsset(id: string, sourceType: AssetRecord['sourceType']): AssetRecord {
+  return {
+    id,
+    name: `${id}.png`,
+    kind: 'image',
+    mimeType: 'image/png',
+    size: 3,
+    lastModified: 0,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    sourceType,
+  };
+}
+
+function createProject(): ProjectDocument {
+  return {
+    version: 3,
+    sessionId: 'source-session',
+    name: 'Warehouse show',
+    library: {
+      assets: [
+        createAsset('photo', 'uploaded'),
+        createAsset('photo-depth-map', 'uploaded'),
+        createAsset('lost', 'uploaded'),
+        createAsset('starter', 'bundled'),
+      ],
+      activeAssetId: 'photo',
+    },
+    studio: {
+      savedShaders: [{ id: 'relief', inputAssetId: 'photo-depth-map' }],
+      uniformValues: {},
+    },
+    mapping: {
+      stageTransform: {},
+      surfaces: [{ id: 'left', assetId: 'lost' }],
+    },
+    playback: {
+      activeAssetId: 'photo',
+      transport: { isPlaying: true, currentTimeSeconds: 12, anchorTimestampMs: 5 },
+    },
+    timeline: { stub: {} },
+  } as unknown as ProjectDocument;
+}
+
+test('zip entries round-trip and damaged data is rejected', async () => {
+  const archive = await createZipArchive([
+    { name: 'notes/ünïcode.txt', data: 'hello' },
+    { name: 'bytes.bin', data: new Blob([new Uint8Array([0, 1, 2, 255])]) },
+  ]);
+  const entries = await readZipArchive(archive);
+  assert.deepEqual(
+    entries.map((entry) => entry.name),
+    ['notes/ünïcode.txt', 'bytes.bin'],
+  );
+  assert.equal(await (await entries[0].read()).text(), 'hello');
+  assert.deepEqual([...new Uint8Array(await (await entries[1].read()).arrayBuffer())], [0, 1, 2, 255]);
+
+  const bytes = new Uint8Array(await archive.arrayBuffer());
+  bytes[bytes.indexOf('h'.charCodeAt(0), 30)] = 'j'.charCodeAt(0);
+  const [damaged] = await readZipArchive(new Blob([bytes]));
+  await assert.rejects(damaged.read(), /damaged/);
+});
+
+test('a project archive carries blobs and session state and imports with fresh IDs', async () => {
+  const blobs = new Map([
+    ['photo', new Blob([new Uint8Array([1, 2, 3])], { type: 'image/png' })],
+    ['photo-depth-map', new Blob([new Uint8Array([4, 5, 6])], { type: 'image/png' })],
+  ]);
+  const archive = await createProjectArchive({
+    project: createProject(),
+    assetBlobs: blobs,
+    shaderSliders: { relief: { depth: 0.4 } },
+    audioReactive: null,
+    midiOutput: null,
+  });
+
+  const imported = await readProjectArchive(archive, 3);
+  assert.deepEqual(imported.missingAssetNames, ['lost.png']);
+  assert.equal(imported.migration, null);
+  assert.equal(imported.project.playback.transport.isPlaying, false);
+  assert.deepEqual(imported.shaderSliders, { relief: { depth: 0.4 } });
+
+  let nextId = 0;
+  const remapped = remapProjectArchive(imported, 'new-session', () => `asset-${(nextId += 1)}`);
+  const { project } = remapped;
+  assert.equal(project.sessionId, 'new-session');
+  assert.deepEqual(
+    project.library.assets.map((asset) => asset.id),
+    ['asset-1', 'asset-2', 'starter'],
+  );
+  assert.equal(project.library.activeAssetId, 'asset-1');
+  assert.equal(project.playback.activeAssetId, 'asset-1');
+  assert.equal(project.studio.savedShaders[0].inputAssetId, 'asset-2');
+  assert.equal(project.mapping.surfaces?.[0].assetId, null);
+  assert.deepEqual(
+    [...new Uint8Array(await remapped.assetBlobs.get('asset-2')!.arrayBuffer())],
+    [4, 5, 6],
+  );
+});
+
+test('the timeline music travels with the archive under a fresh ID', async () => {
+  const audioTrack = {
+    assetId: 'song',
+    name: 'song.mp3',
+    mimeType: 'audio/mpeg',
+    durationSeconds: 30,
+    offsetSeconds: 2,
+    volume: 1,
+    muted: false,
+    peaks: [],
+  };
+  const project = { ...createProject(), timeline: { stub: { audioTrack } } } as ProjectDocument;
+  const archive = await createProjectArchive({
+    project,
+    assetBlobs: new Map([['song', new Blob([new Uint8Array([7, 8])], { type: 'audio/mpeg' })]]),
+    shaderSliders: {},
+    audioReactive: null,
+    midiOutput: null,
+  });
+
+  const imported = await readProjectArchive(archive, 3);
+  assert.deepEqual(imported.missingAssetNames, ['photo.png', 'photo-depth-map.png', 'lost.png']);
+  const remapped = remapProjectArchive(imported, 'new-session', () => 'new-song');
+  assert.deepEqual(remapped.project.timeline.stub.audioTrack, {
+    ...audioTrack,
+    assetId: 'new-song',
+  });
+  assert.deepEqual(
+    [...new Uint8Array(await remapped.assetBlobs.get('new-song')!.arrayBuffer())],
+    [7, 8],
+  );
+
+  const withoutFile = remapProjectArchive({ ...imported, assetBlobs: new Map() }, 'other');
+  assert.equal(withoutFile.project.timeline.stub.audioTrack, null);
+});
+
+test('archives from another app are refused with a readable error', async () => {
+  const other = await createZipArchive([{ name: 'manifest.json', data: '{"format":"other"}' }]);
+  await assert.rejects(readProjectArchive(other, 3), /not a Mapshroom project archive/);
+  await assert.rejects(readProjectArchive(new Blob(['plain text']), 3), /not a zip archive/);
+});
+
+test('archives exported by v3 builds are upgraded on import', async () => {
+  const project = createProject();
+  const archive = await createProjectArchive({
+    project: {
+      ...project,
+      mapping: { stageTransform: project.mapping.stageTransform },
+      timeline: {
+        stub: { tracks: [{ id: 'timeline-track-assets', label: 'Assets', type: 'media' }] },
+      },
+    } as unknown as ProjectDocument,
+    assetBlobs: new Map(),
+    shaderSliders: {},
+    audioReactive: null,
+    midiOutput: null,
+  });
+
+  const imported = await readProjectArchive(archive, 4);
+  assert.equal(imported.project.version, 4);
+  assert.deepEqual(imported.migration?.changes, [
+    'Added mapping surfaces, output masks, timeline layers, cues and music',
+  ]);
+  assert.deepEqual(imported.project.mapping.surfaces, []);
+  assert.deepEqual(imported.project.mapping.stageTransform.outputMasks, []);
+  assert.deepEqual(imported.project.timeline.stub.tracks, []);
+  assert.deepEqual(imported.project.timeline.stub.cueList.cues, []);
+  assert.equal(imported.project.timeline.stub.audioTrack, null);
+});
@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  createProjectFolderFiles,
+  findChangedShaderSources,
+  parseProjectFolderManifest,
+  restoreProjectFromFolder,
+} from '../src/lib/projectFolder.ts';
+import type { ProjectDocument } from '../src/types.ts';
+
+function createProject(): ProjectDocument {
+  return {
+    version: 3,
+    sessionId: 'session',
+    name: 'Gallery',
+    library: {
+      assets: [
+        { id: 'photo', name: 'Wall Photo.JPG', sourceType: 'uploaded' },
+        { id: 'starter', name: 'starter.png', sourceType: 'bundled' },
+      ],
+      activeAssetId: 'photo',
+    },
+    studio: {
+      activeShaderId: 'glow',
+      activeShaderCode: 'void main() { /* draft */ }',
+      savedShaders: [
+        { id: 'glow', name: 'Glow', code: 'void main() { /* saved */ }' },
+        { id: 'glow-copy', name: 'glow', code: 'void main() { /* copy */ }' },
+      ],
+    },
+    playback: {
+      transport: { isPlaying: true, anchorTimestampMs: 1200 },
+    },
+  } as unknown as ProjectDocument;
+}
+
+test('folder files get stable, unique names and the editor draft', () => {
+  const project = createProject();
+  const files = createProjectFolderFiles(project, null);
+
+  assert.deepEqual(files.layout.shaderFiles, { glow: 'glow.glsl', 'glow-copy': 'glow-2.glsl' });
+  assert.deepEqual(files.layout.assetFiles, { photo: 'wall-photo.jpg' });
+  assert.equal(files.shaderSources.get('glow.glsl'), 'void main() { /* draft */ }');
+
+  const renamed = createProjectFolderFiles(
+    {
+      ...project,
+      studio: {
+        ...project.studio,
+        savedShaders: project.studio.savedShaders.map((shader) =>
+          shader.id === 'glow' ? { ...shader, name: 'Bloom' } : shader,
+        ),
+      },
+    },
+    files.layout,
+  );
+  assert.equal(renamed.layout.shaderFiles.glow, 'glow.glsl');
+});
+
+test('a folder manifest restores the project with code from the shader files', () => {
+  const project = createProject();
+  const files = createProjectFolderFiles(project, null);
+  const manifest = parseProjectFolderManifest(files.manifestJson);
+
+  assert.equal(manifest.project.studio.savedShaders[0].code, '');
+  assert.equal(manifest.project.playback.transport.isPlaying, false);
+
+  const restored = restoreProjectFromFolder(manifest.project, manifest, files.shaderSources);
+  assert.equal(restored.studio.activeShaderCode, 'void main() { /* draft */ }');
+  assert.equal(restored.studio.savedShaders[1].code, 'void main() { /* copy */ }');
+
+  assert.throws(
+    () => restoreProjectFromFolder(manifest.project, manifest, new Map()),
+    /shaders\/glow\.glsl is missing/,
+  );
+  assert.throws(() => parseProjectFolderManifest('{"format":"other"}'), /not contain/);
+});
+
+test('only shader files that differ from the project count as edits', () => {
+  const project = createProject();
+  const { layout, shaderSources } = createProjectFolderFiles(project, null);
+  assert.equal(findChangedShaderSources(project, layout, shaderSources).size, 0);
+
+  const edited = new Map(shaderSources);
+  edited.set('glow-2.glsl', 'void main() { /* edited */ }');
+  assert.deepEqual(
+    [...findChangedShaderSources(project, layout, edited)],
+    [['glow-copy', 'void main() { /* edited */ }']],
+  );
+});
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createProjectHistory, getProjectChangeKey } from '../src/lib/projectHistory.ts';
+import type { ProjectDocument } from '../src/types.ts';
+
+function createProject(): ProjectDocument {
+  return {
+    version: 3,
+    sessionId: 'session',
+    name: 'Show',
+    library: { assets: [], activeAssetId: null },
+    studio: { uniformValues: { speed: 1, glow: 0.5 }, activeShaderCode: 'a' },
+    mapping: { stageTransform: { precision: 1 } },
+    playback: { activeAssetId: null, transport: { isPlaying: false, currentTimeSeconds: 0 } },
+    ai: { settings: { openaiApiKey: '' } },
+    timeline: { stub: { enabled: false } },
+    export: { stub: {} },
+  } as unknown as ProjectDocument;
+}
+
+function setUniform(project: ProjectDocument, name: string, value: number): ProjectDocument {
+  return {
+    ...project,
+    studio: { ...project.studio, uniformValues: { ...project.studio.uniformValues, [name]: value } },
+  };
+}
+
+function seek(project: ProjectDocument, seconds: number): ProjectDocument {
+  return {
+    ...project,
+    playback: {
+      ...project.playback,
+      transport: { ...project.playback.transport, currentTimeSeconds: seconds },
+    },
+  };
+}
+
+test('slider drags coalesce into one step while distinct edits stay separate', () => {
+  const history = createProjectHistory({ coalesceMs: 500 });
+  let project = createProject();
+  const edit = (next: ProjectDocument, at: number) => {
+    history.record(project, next, at);
+    project = next;
+  };
+
+  edit(setUniform(project, 'speed', 1.1), 1000);
+  edit(setUniform(project, 'speed', 1.2), 1100);
+  edit(setUniform(project, 'speed', 1.3), 1400);
+  edit(setUniform(project, 'glow', 0.7), 1500);
+  edit(setUniform(project, 'glow', 0.9), 2500);
+
+  assert.deepEqual(
+    history.getSnapshot().past.map((entry) => entry.label),
+    ['Adjust shader controls', 'Adjust shader controls', 'Adjust shader controls'],
+  );
+  project = history.undo(project)!;
+  project = history.undo(project)!;
+  assert.equal(project.studio.uniformValues.glow, 0.5);
+  project = history.undo(project)!;
+  assert.equal(project.studio.uniformValues.speed, 1);
+  assert.equal(history.undo(project), null);
+});
+
+test('undo and redo keep the transport and ignore playback-only changes', () => {
+  const history = createProjectHistory();
+  const original = createProject();
+  const edited = setUniform(original, 'speed', 2);
+  assert.equal(history.record(original, edited, 0), true);
+  assert.equal(getProjectChangeKey(edited, seek(edited, 12)), null);
+  assert.equal(history.record(edited, seek(edited, 12), 10), false);
+
+  const undone = history.undo(seek(edited, 12))!;
+  assert.equal(undone.studio.uniformValues.speed, 1);
+  assert.equal(undone.playback.transport.currentTimeSeconds, 12);
+
+  const redone = history.redo(seek(undone, 20))!;
+  assert.equal(redone.studio.uniformValues.speed, 2);
+  assert.equal(redone.playback.transport.currentTimeSeconds, 20);
+  assert.equal(history.getSnapshot().future.length, 0);
+});
+
+test('travelling through the list undoes and redoes several steps at once', () => {
+  const history = createProjectHistory({ coalesceMs: 0 });
+  let project = createProject();
+  [2, 3, 4].forEach((speed, index) => {
+    const next = setUniform(project, 'speed', speed);
+    history.record(project, next, index * 1000);
+    project = next;
+  });
+  const [first, , third] = history.getSnapshot().past;
+
+  project = history.travelTo(first.id, project)!;
+  assert.equal(project.studio.uniformValues.speed, 2);
+  assert.equal(history.getSnapshot().future.length, 2);
+
+  project = history.travelTo(third.id, project)!;
+  assert.equal(project.studio.uniformValues.speed, 4);
+
+  project = history.travelTo(null, project)!;
+  assert.equal(project.studio.uniformValues.speed, 1);
+  assert.equal(history.travelTo(null, project), null);
+});
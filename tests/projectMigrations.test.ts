@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  applyMigrations,
+  describeMigrationReport,
+  migrateProjectDocument,
+  migrateSharedProjectPayload,
+  type Migration,
+} from '../src/lib/projectMigrations.ts';
+import type { ProjectDocument } from '../src/types.ts';
+
+type Payload = Record<string, unknown>;
+
+const MIGRATIONS: Migration<Payload>[] = [
+  {
+    version: 2,
+    description: 'Renamed clips to assets',
+    migrate: ({ clips, ...rest }) => ({ ...rest, assets: clips }),
+  },
+  {
+    version: 3,
+    description: 'Added playback state',
+    migrate: (payload) => ({ ...payload, playback: { isPlaying: false } }),
+  },
+];
+
+test('old projects are upgraded one version at a time with a report', () => {
+  const { value, report } = migrateProjectDocument(
+    { version: 1, name: 'Old show', clips: ['a'], studio: {}, playback: {} },
+    3,
+    MIGRATIONS,
+  );
+
+  assert.equal(value.version, 3);
+  assert.deepEqual((value as unknown as Payload).assets, ['a']);
+  assert.equal('clips' in value, false);
+  assert.deepEqual(report.changes, ['Renamed clips to assets', 'Added playback state']);
+  assert.equal(
+    describeMigrationReport(report),
+    'Upgraded from v1 to v3: Renamed clips to assets; Added playback state.',
+  );
+
+  const current = migrateProjectDocument({ version: 3, studio: {}, playback: {} }, 3, MIGRATIONS);
+  assert.deepEqual(current.report.changes, []);
+});
+
+test('newer, unversioned or unbridgeable payloads are refused', () => {
+  assert.throws(() => applyMigrations({}, 4, 3, MIGRATIONS), /newer version of Mapshroom/);
+  assert.throws(() => applyMigrations({}, 0, 3, MIGRATIONS), /no readable version/);
+  assert.throws(
+    () => applyMigrations({}, 1, 3, MIGRATIONS.slice(1), 'shared project link'),
+    /no upgrade for this shared project link from v1 to v2/,
+  );
+  assert.throws(() => migrateProjectDocument('nope', 3), /not a readable Mapshroom project/);
+});
+
+// The shape v3 builds saved: one stage and label-only timeline tracks.
+function createV3Project(): Payload {
+  return {
+    version: 3,
+    name: 'Gallery',
+    studio: {},
+    playback: {},
+    mapping: { stageTransform: { offsetX: 0.2, showGrid: true } },
+    timeline: {
+      stub: {
+        enabled: true,
+        tracks: [
+          { id: 'timeline-track-assets', label: 'Assets', type: 'media' },
+          { id: 'timeline-track-effects', label: 'Effects', type: 'automation' },
+        ],
+        shaderSequence: { steps: [] },
+      },
+    },
+  };
+}
+
+test('v3 projects gain empty surfaces, masks, layers, cues and music', () => {
+  const { value, report } = migrateProjectDocument(createV3Project(), 4);
+
+  assert.equal(value.version, 4);
+  assert.deepEqual(report.changes, [
+    'Added mapping surfaces, output masks, timeline layers, cues and music',
+  ]);
+  assert.deepEqual(value.mapping.stageTransform, {
+    offsetX: 0.2,
+    showGrid: true,
+    maskMode: false,
+    outputMasks: [],
+  });
+  assert.deepEqual(value.mapping.surfaces, []);
+  assert.deepEqual(value.timeline.stub.tracks, []);
+  assert.deepEqual(value.timeline.stub.cueList, {
+    cues: [],
+    activeCueId: null,
+    standbyCueId: null,
+    fade: null,
+  });
+  assert.equal(value.timeline.stub.audioTrack, null);
+  assert.equal(value.timeline.stub.enabled, true);
+});
+
+test('v3 projects saved by a build that already had the new fields keep them', () => {
+  const project = createV3Project() as unknown as ProjectDocument;
+  const track = { id: 'layer', label: 'Layer', steps: [] };
+  const cueList = { cues: [{ id: 'cue' }], activeCueId: null, standbyCueId: 'cue', fade: null };
+  const { value } = migrateProjectDocument(
+    {
+      ...project,
+      mapping: {
+        stageTransform: { maskMode: true, outputMasks: [{ id: 'mask' }] },
+        surfaces: [{ id: 'left' }],
+      },
+      timeline: {
+        stub: {
+          ...project.timeline.stub,
+          tracks: [track],
+          cueList,
+          audioTrack: { assetId: 'song' },
+        },
+      },
+    },
+    4,
+  );
+
+  assert.deepEqual(value.mapping.stageTransform.outputMasks, [{ id: 'mask' }]);
+  assert.equal(value.mapping.stageTransform.maskMode, true);
+  assert.deepEqual(value.mapping.surfaces, [{ id: 'left' }]);
+  assert.deepEqual(value.timeline.stub.tracks, [track]);
+  assert.deepEqual(value.timeline.stub.cueList, cueList);
+  assert.deepEqual(value.timeline.stub.audioTrack, { assetId: 'song' });
+});
+
+test('v3 share links open in a v4 build', () => {
+  const payload = { v: 3, n: 'Shared', t: { s: [] }, h: [] };
+  const { value, report } = migrateSharedProjectPayload(payload, 4);
+
+  assert.deepEqual(value, { ...payload, v: 4 });
+  assert.equal(report.fromVersion, 3);
+  assert.equal(report.changes.length, 1);
+  assert.equal(migrateSharedProjectPayload({ v: 4 }, 4).report.changes.length, 0);
+  assert.throws(
+    () => migrateSharedProjectPayload({ v: 5 }, 4),
+    /shared project link was saved by a newer version/,
+  );
+});
@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  PROJECT_DOCUMENT_PART,
+  findOrphanedAssetBlobs,
+  joinProjectRecords,
+  planProjectRecordWrite,
+  splitProjectRecords,
+} from '../src/lib/projectRecords.ts';
+import { createProjectHistory } from '../src/lib/projectHistory.ts';
+import type { ProjectDocument } from '../src/types.ts';
+
+function createProject(): ProjectDocument {
+  return {
+    version: 3,
+    sessionId: 'session',
+    name: 'Gallery',
+    library: {
+      assets: [
+        { id: 'photo', sourceType: 'uploaded' },
+        { id: 'starter', sourceType: 'bundled' },
+      ],
+      activeAssetId: 'photo',
+    },
+    studio: {
+      activeShaderId: 'glow',
+      shaderVersions: [{ id: 'v1' }],
+      shaderChatHistory: [{ role: 'user', text: 'make it glow' }],
+      savedShaders: [
+        { id: 'glow', name: 'Glow', code: 'void main() {}', versions: [{ id: 'glow-v1' }] },
+        { id: 'plain', name: 'Plain', code: 'void main() {}' },
+      ],
+    },
+    playback: {},
+  } as unknown as ProjectDocument;
+}
+
+test('projects split into records and join back unchanged', () => {
+  const project = createProject();
+  const parts = splitProjectRecords(project);
+
+  assert.deepEqual(
+    [...parts.keys()].sort(),
+    ['chat', PROJECT_DOCUMENT_PART, 'shader-versions:glow', 'versions'].sort(),
+  );
+  assert.equal(parts.get(PROJECT_DOCUMENT_PART)!.includes('make it glow'), false);
+  assert.equal(parts.get(PROJECT_DOCUMENT_PART)!.includes('glow-v1'), false);
+  assert.deepEqual(joinProjectRecords(parts), project);
+  assert.equal(joinProjectRecords(new Map([['chat', '[]']])), null);
+});
+
+test('saves only rewrite the records that changed', () => {
+  const project = createProject();
+  const previous = splitProjectRecords(project);
+  const renamed = splitProjectRecords({ ...project, name: 'Gallery 2' });
+  const renameWrite = planProjectRecordWrite(previous, renamed);
+  assert.deepEqual([...renameWrite.put.keys()], [PROJECT_DOCUMENT_PART]);
+  assert.deepEqual(renameWrite.remove, []);
+
+  const withoutGlow = splitProjectRecords({
+    ...project,
+    studio: { ...project.studio, savedShaders: project.studio.savedShaders.slice(1) },
+  });
+  assert.deepEqual(planProjectRecordWrite(previous, withoutGlow).remove, [
+    'shader-versions:glow',
+  ]);
+  assert.equal(planProjectRecordWrite(previous, splitProjectRecords(project)).put.size, 0);
+});
+
+test('asset blobs no project or snapshot refers to are orphaned', () => {
+  const orphaned = findOrphanedAssetBlobs(
+    [
+      { id: 'photo', size: 10 },
+      { id: 'left-behind', size: 20 },
+      { id: 'in-snapshot', size: 30 },
+    ],
+    [
+      createProject(),
+      {
+        ...createProject(),
+        library: { assets: [{ id: 'in-snapshot', sourceType: 'uploaded' }], activeAssetId: null },
+      } as unknown as ProjectDocument,
+    ],
+  );
+  assert.deepEqual(orphaned, [{ id: 'left-behind', size: 20 }]);
+});
+
+test('asset blobs only the undo history refers to are not orphaned', () => {
+  const withUpload = {
+    ...createProject(),
+    library: {
+      assets: [...createProject().library.assets, { id: 'removed', sourceType: 'uploaded' }],
+      activeAssetId: 'photo',
+    },
+  } as unknown as ProjectDocument;
+  const history = createProjectHistory();
+  history.record(withUpload, createProject(), 0);
+  const blobs = [
+    { id: 'photo', size: 10 },
+    { id: 'removed', size: 20 },
+  ];
+
+  assert.deepEqual(findOrphanedAssetBlobs(blobs, [createProject()]), [{ id: 'removed', size: 20 }]);
+  assert.deepEqual(findOrphanedAssetBlobs(blobs, [createProject(), ...history.listProjects()]), []);
+
+  history.clear();
+  assert.deepEqual(
+    findOrphanedAssetBlobs(blobs, [createProject(), ...history.listProjects()]),
+    [{ id: 'removed', size: 20 }],
+  );
+});
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { describeProjectDiff, diffProjects } from '../src/lib/projectSnapshots.ts';
+import type { ProjectDocument } from '../src/types.ts';
+
+function createProject(overrides: {
+  shaders?: Array<{ id: string; code: string; isTemporary?: boolean }>;
+  steps?: Array<{ id: string; shaderId: string }>;
+}): ProjectDocument {
+  return {
+    name: 'Show',
+    library: { assets: [], activeAssetId: null },
+    studio: {
+      savedShaders: (overrides.shaders ?? []).map((shader) => ({ name: shader.id, ...shader })),
+    },
+    mapping: { stageTransform: { offsetX: 0 } },
+    timeline: { stub: { shaderSequence: { steps: overrides.steps ?? [] } } },
+  } as unknown as ProjectDocument;
+}
+
+test('summarizes shader and step changes between snapshots', () => {
+  const before = createProject({
+    shaders: [
+      { id: 'waves', code: 'a' },
+      { id: 'fire', code: 'b' },
+      { id: 'draft', code: 'c', isTemporary: true },
+    ],
+    steps: [{ id: 'one', shaderId: 'waves' }],
+  });
+  const after = createProject({
+    shaders: [
+      { id: 'waves', code: 'a2' },
+      { id: 'smoke', code: 'd' },
+    ],
+    steps: [
+      { id: 'one', shaderId: 'waves' },
+      { id: 'two', shaderId: 'smoke' },
+      { id: 'three', shaderId: 'smoke' },
+    ],
+  });
+
+  const summary = diffProjects(before, after);
+
+  assert.equal(summary.shadersChanged, 1);
+  assert.equal(summary.shadersAdded, 1);
+  assert.equal(summary.shadersRemoved, 1);
+  assert.deepEqual(describeProjectDiff(summary), [
+    '1 shader added',
+    '1 shader removed',
+    '1 shader changed',
+    '2 steps added',
+  ]);
+  assert.deepEqual(describeProjectDiff(diffProjects(after, after)), []);
+});
@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { applyHomography, computeHomography } from '../src/lib/cameraAlignment.ts';
+import { computeReliefScan, encodeReliefImage } from '../src/lib/reliefScan.ts';
+import {
+  createStructuredLightScanSequence,
+  decodeGrayCodeCaptures,
+  getStructuredLightIntensity,
+  type LuminanceFrame,
+} from '../src/lib/structuredLight.ts';
+import type { DistortionPoint } from '../src/types.ts';
+
+const CAMERA_WIDTH = 240;
+const CAMERA_HEIGHT = 180;
+
+const CAMERA_TO_PROJECTOR = computeHomography(
+  [
+    { x: 0.1, y: 0.08 },
+    { x: 0.9, y: 0.12 },
+    { x: 0.92, y: 0.9 },
+    { x: 0.06, y: 0.86 },
+  ],
+  [
+    { x: 0, y: 0 },
+    { x: 1, y: 0 },
+    { x: 1, y: 1 },
+    { x: 0, y: 1 },
+  ],
+)!;
+
+// A dome in the middle of the wall, seen shifted sideways by the camera.
+function domeHeight(point: DistortionPoint): number {
+  const distance = Math.hypot(point.x - 0.5, point.y - 0.5);
+  return Math.max(0, 1 - (distance / 0.25) ** 2);
+}
+
+function cameraToProjector(point: DistortionPoint): DistortionPoint {
+  const flat = applyHomography(CAMERA_TO_PROJECTOR, point);
+  return { x: flat.x - 0.04 * domeHeight(flat), y: flat.y };
+}
+
+function captureScan(bits: number) {
+  const sequence = createStructuredLightScanSequence(bits);
+  const captures: LuminanceFrame[] = sequence.map((frame, frameIndex) => {
+    const data = new Uint8ClampedArray(CAMERA_WIDTH * CAMERA_HEIGHT);
+    for (let y = 0; y < CAMERA_HEIGHT; y += 1) {
+      for (let x = 0; x < CAMERA_WIDTH; x += 1) {
+        const projector = cameraToProjector({
+          x: (x + 0.5) / CAMERA_WIDTH,
+          y: (y + 0.5) / CAMERA_HEIGHT,
+        });
+        const inside =
+          projector.x >= 0 && projector.x < 1 && projector.y >= 0 && projector.y < 1;
+        const noise = ((x * 7 + y * 13 + frameIndex * 5) % 5) - 2;
+        const intensity = inside ? getStructuredLightIntensity(frame, projector.x, projector.y) : 0;
+        data[y * CAMERA_WIDTH + x] = 30 + 180 * intensity + noise;
+      }
+    }
+    return { width: CAMERA_WIDTH, height: CAMERA_HEIGHT, data };
+  });
+  return { sequence, captures };
+}
+
+test('phase frames refine positions past stripe precision', () => {
+  const { sequence, captures } = captureScan(5);
+  const map = decodeGrayCodeCaptures(sequence, captures);
+  const stripe = 1 / 32;
+
+  let error = 0;
+  let count = 0;
+  for (let y = 20; y < CAMERA_HEIGHT - 20; y += 7) {
+    for (let x = 20; x < CAMERA_WIDTH - 20; x += 7) {
+      const index = y * CAMERA_WIDTH + x;
+      if (Number.isNaN(map.projectorX[index])) {
+        continue;
+      }
+      const expected = cameraToProjector({
+        x: (x + 0.5) / CAMERA_WIDTH,
+        y: (y + 0.5) / CAMERA_HEIGHT,
+      });
+      error += Math.abs(map.projectorX[index] - expected.x);
+      count += 1;
+    }
+  }
+
+  assert.ok(count > 100);
+  assert.ok(error / count < stripe / 8, `mean error ${error / count}`);
+});
+
+test('relief scans raise the dome above the flat wall', () => {
+  const { sequence, captures } = captureScan(6);
+  const map = decodeGrayCodeCaptures(sequence, captures);
+  const scan = computeReliefScan(map, { aspectRatio: 4 / 3, columns: 64 });
+  const { width, height } = scan.correspondence;
+  const at = (u: number, v: number) =>
+    scan.relief[Math.floor(v * height) * width + Math.floor(u * width)];
+
+  assert.ok(scan.coverage > 0.9);
+  assert.ok(at(0.5, 0.5) > 0.85, `centre ${at(0.5, 0.5)}`);
+  assert.ok(at(0.15, 0.2) < 0.15, `wall ${at(0.15, 0.2)}`);
+  assert.ok(at(0.62, 0.5) > at(0.7, 0.5));
+
+  const inverted = computeReliefScan(map, { aspectRatio: 4 / 3, columns: 64, invert: true });
+  const centre = Math.floor(0.5 * height) * width + Math.floor(0.5 * width);
+  assert.ok(Math.abs(inverted.relief[centre] + scan.relief[centre] - 1) < 1e-6);
+
+  const pixels = encodeReliefImage(scan, 32, 24);
+  assert.equal(pixels.length, 32 * 24 * 4);
+  assert.ok(pixels[(12 * 32 + 16) * 4] > 200);
+});
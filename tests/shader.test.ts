@@ -0,0 +1,204 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  buildFragmentShaderSource,
+  getShaderDialect,
+  getVertexShaderSource,
+  groupVisibleUniforms,
+  parseFeedbackSamplers,
+  parseTextureInputs,
+  parseUniforms,
+  setShaderUniform,
+  snapUniformValue,
+  syncUniformValues,
+  validateGeneratedShader,
+  VERTEX_SHADER_SOURCE,
+} from '../src/lib/shader.ts';
+import { getShaderPreviewSources } from '../src/lib/shaderPreview.ts';
+import { blankShaderTemplateGlsl300es } from '../src/shaders/templates/blankShaderGlsl300es.ts';
+import type { ShaderUniformValue } from '../src/types.ts';
+
+const GLSL300ES_SHADER = `// NAME: Texel Grid
+#version 300 es
+vec4 processColor(sampler2D tex, vec2 uv, float time, vec2 resolution) {
+    ivec2 texel = ivec2(uv * vec2(textureSize(tex, 0)));
+    return texelFetch(tex, texel, 0);
+}`;
+
+const GLSL100_SHADER = `// NAME: Passthrough
+vec4 processColor(sampler2D tex, vec2 uv, float time, vec2 resolution) {
+    return texture2D(tex, uv);
+}`;
+
+test('a #version 300 es line opts a shader into WebGL2', () => {
+  assert.equal(getShaderDialect(GLSL100_SHADER), 'glsl100');
+  assert.equal(getShaderDialect(GLSL300ES_SHADER), 'glsl300es');
+  assert.equal(getVertexShaderSource('glsl100'), VERTEX_SHADER_SOURCE);
+  assert.match(getVertexShaderSource('glsl300es'), /^#version 300 es\n/);
+});
+
+test('GLSL ES 3.00 sources put one #version directive on the first line', () => {
+  const source = buildFragmentShaderSource(GLSL300ES_SHADER);
+  assert.match(source, /^#version 300 es\n/);
+  assert.equal(source.match(/#version/g)?.length, 1);
+  assert.match(source, /mapshroom_fragColor = processColor/);
+
+  // Timeline steps compose several shaders into one program.
+  const composed = buildFragmentShaderSource(`${GLSL300ES_SHADER}\n${GLSL300ES_SHADER}`);
+  assert.equal(composed.match(/#version/g)?.length, 1);
+
+  const legacySource = buildFragmentShaderSource(GLSL100_SHADER);
+  assert.doesNotMatch(legacySource, /#version/);
+  assert.match(legacySource, /gl_FragColor = processColor/);
+});
+
+test('generated shaders keep to the dialect contract', () => {
+  assert.equal(validateGeneratedShader(GLSL300ES_SHADER), GLSL300ES_SHADER);
+  assert.throws(
+    () => validateGeneratedShader(GLSL300ES_SHADER.replace('300 es', '330')),
+    /unsupported #version/,
+  );
+  assert.throws(
+    () =>
+      validateGeneratedShader(
+        GLSL300ES_SHADER.replace('#version 300 es', '#version 300 es\nout vec4 color;'),
+      ),
+    /fragment output/,
+  );
+});
+
+test('uniform annotations describe vectors, choices and panel layout', () => {
+  const uniforms = parseUniforms(`// NAME: Annotated
+uniform vec2 center; // @min -1 @max 1 @step 0.25 @default 0.5,-0.5 @label Center Point
+uniform vec4 tint; // @default 1,0.5,0 @group Color Grade
+uniform int mode; // @options Soft|Hard Light|Invert @default Hard Light @group Color Grade
+uniform float seed; // @min 0 @max 10 @step 2 @hidden
+vec4 processColor(sampler2D tex, vec2 uv, float time, vec2 resolution) {
+    return texture2D(tex, uv);
+}`);
+
+  assert.deepEqual(uniforms.center, {
+    type: 'vec2',
+    min: -1,
+    max: 1,
+    step: 0.25,
+    default: [0.5, -0.5],
+    label: 'Center Point',
+  });
+  assert.deepEqual(uniforms.tint.default, [1, 0.5, 0, 1]);
+  assert.equal(uniforms.tint.group, 'Color Grade');
+  assert.deepEqual(uniforms.mode.options, ['Soft', 'Hard Light', 'Invert']);
+  assert.equal(uniforms.mode.max, 2);
+  assert.equal(uniforms.mode.default, 1);
+  assert.equal(uniforms.seed.hidden, true);
+  assert.equal(snapUniformValue(4.9, uniforms.seed), 4);
+
+  assert.deepEqual(
+    groupVisibleUniforms(uniforms).map(({ group, entries }) => [
+      group,
+      entries.map(([name]) => name),
+    ]),
+    [
+      [null, ['center']],
+      ['Color Grade', ['tint', 'mode']],
+    ],
+  );
+});
+
+test('stored values with the wrong shape fall back to the uniform default', () => {
+  const uniforms = parseUniforms(`uniform vec4 tint; // @default 0,0,0,0.5
+uniform vec2 offset;
+uniform bool enabled;`);
+
+  const current = { tint: [1, 1, 1, 0.25], offset: [0.1, 0.2], enabled: true } as const;
+  const values = { ...current } as Record<string, ShaderUniformValue>;
+  assert.equal(syncUniformValues(values, uniforms), values);
+  assert.deepEqual(
+    syncUniformValues({ tint: [1, 1, 1], offset: 3, enabled: true }, uniforms),
+    { tint: [0, 0, 0, 0.5], offset: [0.5, 0.5], enabled: true },
+  );
+});
+
+test('@asset samplers become texture inputs with an optional companion', () => {
+  const code = `uniform sampler2D depthMap; // @asset depth @label Depth
+uniform sampler2D overlay; // @asset
+uniform sampler2D matte; // @asset alpha
+uniform sampler2D plain;
+vec4 processColor(sampler2D tex, vec2 uv, float time, vec2 resolution) {
+    return texture2D(tex, uv);
+}`;
+
+  assert.deepEqual(parseTextureInputs(code), {
+    depthMap: { companion: 'depth', label: 'Depth' },
+    overlay: { companion: null },
+    matte: { companion: null },
+  });
+  assert.equal('depthMap' in parseUniforms(code), false);
+});
+
+test('u_prev_frame and @buffer samplers opt a shader into feedback passes', () => {
+  const code = `uniform sampler2D u_prev_frame;
+uniform sampler2D trail; // @buffer drawTrail
+uniform sampler2D depthMap; // @asset depth
+vec4 drawTrail(sampler2D tex, vec2 uv, float time, vec2 resolution) {
+    return mix(texture2D(trail, uv), texture2D(tex, uv), 0.1);
+}
+vec4 processColor(sampler2D tex, vec2 uv, float time, vec2 resolution) {
+    return max(texture2D(trail, uv), texture2D(u_prev_frame, uv) * 0.9);
+}`;
+
+  assert.deepEqual(parseFeedbackSamplers(code), {
+    previousFrame: ['u_prev_frame'],
+    buffers: [{ sampler: 'trail', entryPoint: 'drawTrail' }],
+  });
+  // Composed timeline programs namespace the samplers.
+  assert.deepEqual(
+    parseFeedbackSamplers('uniform sampler2D timeline_from_u_prev_frame;').previousFrame,
+    ['timeline_from_u_prev_frame'],
+  );
+  assert.match(
+    buildFragmentShaderSource(code, 'drawTrail'),
+    /gl_FragColor = drawTrail\(u_image/,
+  );
+  assert.doesNotMatch(getVertexShaderSource('glsl100', false), /1\.0 - v_uv\.y/);
+});
+
+test('GLSL ES 3.00 presets preview with their own vertex stage, or not on WebGL 1.0', () => {
+  const sources = getShaderPreviewSources(blankShaderTemplateGlsl300es, true);
+  assert.ok(sources);
+  assert.equal(sources.vertexSource, getVertexShaderSource('glsl300es'));
+  assert.match(sources.vertexSource, /^#version 300 es\n/);
+  assert.match(sources.fragmentSource, /^#version 300 es\n/);
+  assert.equal(getShaderPreviewSources(blankShaderTemplateGlsl300es, false), null);
+
+  assert.equal(getShaderPreviewSources(GLSL100_SHADER, false)?.vertexSource, VERTEX_SHADER_SOURCE);
+});
+
+test('int and @options uniforms are uploaded as integers', () => {
+  const calls: Array<[string, unknown]> = [];
+  const record = (setter: string) => (_location: unknown, value: unknown) => {
+    calls.push([setter, value]);
+  };
+  const gl = {
+    uniform1f: record('uniform1f'),
+    uniform1i: record('uniform1i'),
+    uniform2fv: record('uniform2fv'),
+    uniform3fv: record('uniform3fv'),
+    uniform4fv: record('uniform4fv'),
+  };
+  const uniforms = parseUniforms(`
+uniform int u_mode; // @options Soft | Hard | Glitch
+uniform int u_steps; // @min 1 @max 8 @default 3
+uniform float u_amount; // @default 0.5
+`);
+  const location = {} as WebGLUniformLocation;
+
+  setShaderUniform(gl, location, uniforms.u_mode, 2);
+  setShaderUniform(gl, location, uniforms.u_steps, 3.6);
+  setShaderUniform(gl, location, uniforms.u_amount, 0.5);
+  assert.deepEqual(calls, [
+    ['uniform1i', 2],
+    ['uniform1i', 4],
+    ['uniform1f', 0.5],
+  ]);
+});
@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  createShaderBundleTimelineSteps,
+  getShaderCodeHash,
+  parseShaderBundle,
+  planShaderBundleImport,
+} from '../src/lib/shaderBundle.ts';
+import type { SavedShader } from '../src/types.ts';
+
+const WAVES_CODE = '// NAME: Waves\nuniform float speed; // @default 1.0\nvec4 processColor() {}\n';
+
+function createBundleSource() {
+  return JSON.stringify({
+    format: 'mapshroom-shader-bundle',
+    version: 1,
+    project: { sessionId: 'other', name: 'Club night' },
+    timeline: {
+      steps: [
+        {
+          id: 'a',
+          shaderId: 'waves',
+          durationSeconds: 12,
+          transitionDurationSeconds: 30,
+          automationLanes: [
+            { uniformName: 'speed', loopMode: 'loop', keyframes: [{ timeSeconds: 2, value: 3 }] },
+          ],
+        },
+        { id: 'b', shaderId: 'sparks', durationSeconds: 4, transitionEffect: 'cut' },
+        { id: 'c', shaderId: 'deleted', durationSeconds: 4 },
+      ],
+    },
+    shaders: [
+      { id: 'waves', name: 'Waves', code: WAVES_CODE.replace(/\n/g, '  \r\n'), uniformValues: {} },
+      {
+        id: 'sparks',
+        name: 'Sparks',
+        code: 'vec4 processColor() { return vec4(1.0); }',
+        sliderValues: { glow: 0.8 },
+        audioReactiveBindings: { glow: { enabled: true, signal: 'beat', min: 0, max: 1 } },
+      },
+      { id: 'empty', name: 'Empty', code: '   ' },
+    ],
+  });
+}
+
+test('shader code hashes ignore line endings and trailing spaces', () => {
+  assert.equal(
+    getShaderCodeHash(WAVES_CODE),
+    getShaderCodeHash(WAVES_CODE.replace(/\n/g, ' \r\n')),
+  );
+  assert.notEqual(getShaderCodeHash(WAVES_CODE), getShaderCodeHash(`${WAVES_CODE}// edit`));
+});
+
+test('bundles import with duplicates reused and steps pointed at project shaders', () => {
+  const bundle = parseShaderBundle(createBundleSource());
+  assert.deepEqual(
+    bundle.shaders.map((shader) => shader.id),
+    ['waves', 'sparks'],
+  );
+  assert.deepEqual(bundle.shaders[1].sliderValues, { glow: 0.8 });
+  assert.equal(bundle.shaders[1].audioReactiveBindings?.glow.signal, 'beat');
+  assert.equal(bundle.timeline.steps.length, 2);
+
+  const existing = { id: 'saved-waves', name: 'My Waves', code: WAVES_CODE } as SavedShader;
+  const plan = planShaderBundleImport(bundle, [existing]);
+  assert.equal(plan[0].duplicateOf?.id, 'saved-waves');
+  assert.equal(plan[1].duplicateOf, null);
+
+  const steps = createShaderBundleTimelineSteps(
+    bundle,
+    new Map([
+      ['waves', 'saved-waves'],
+      ['sparks', 'saved-sparks'],
+    ]),
+  );
+  assert.deepEqual(
+    steps.map((step) => [step.shaderId, step.durationSeconds, step.transitionDurationSeconds]),
+    [
+      ['saved-waves', 12, 12],
+      ['saved-sparks', 4, 0],
+    ],
+  );
+  assert.equal(steps[1].transitionEffect, 'mix');
+  assert.deepEqual(steps[0].automationLanes, [
+    {
+      uniformName: 'speed',
+      loopMode: 'loop',
+      keyframes: [{ timeSeconds: 2, value: 3, easing: 'linear' }],
+    },
+  ]);
+  assert.deepEqual(steps[1].automationLanes, []);
+  assert.notEqual(steps[0].id, 'a');
+});
+
+test('files that are not shader bundles are refused', () => {
+  assert.throws(() => parseShaderBundle('{'), /not valid JSON/);
+  assert.throws(
+    () => parseShaderBundle('{"format":"mapshroom-project-archive"}'),
+    /not a Mapshroom/,
+  );
+  assert.throws(
+    () => parseShaderBundle('{"format":"mapshroom-shader-bundle","version":2,"shaders":[]}'),
+    /newer version/,
+  );
+});
+
+test('shaders whose code hashes collide are not treated as duplicates', () => {
+  // Two sources with the same 32-bit FNV-1a hash.
+  const code = '// variant pq8kww';
+  const collidingCode = '// variant 1k9mtfp';
+  assert.equal(getShaderCodeHash(code), getShaderCodeHash(collidingCode));
+
+  const bundle = parseShaderBundle(
+    JSON.stringify({
+      format: 'mapshroom-shader-bundle',
+      version: 1,
+      timeline: { steps: [] },
+      shaders: [{ id: 'bundled', name: 'Bundled', code }],
+    }),
+  );
+  const collider = { id: 'collider', name: 'Collider', code: collidingCode } as SavedShader;
+  const same = { id: 'same', name: 'Same', code: `${code}  \r\n` } as SavedShader;
+
+  assert.equal(planShaderBundleImport(bundle, [collider])[0].duplicateOf, null);
+  assert.equal(planShaderBundleImport(bundle, [collider, same])[0].duplicateOf?.id, 'same');
+});
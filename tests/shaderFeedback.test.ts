@@ -0,0 +1,31 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  beginFeedbackWrite,
+  EMPTY_FEEDBACK_HISTORY,
+  getFeedbackReadIndex,
+  isFeedbackHistoryAhead,
+} from '../src/lib/shaderFeedback.ts';
+
+test('feedback advances once per render time', () => {
+  const first = beginFeedbackWrite(EMPTY_FEEDBACK_HISTORY, 0);
+  assert.deepEqual([first.writeIndex, first.readIndex], [1, 0]);
+
+  const second = beginFeedbackWrite(first.history, 1 / 30);
+  assert.deepEqual([second.writeIndex, second.readIndex], [0, 1]);
+  assert.equal(getFeedbackReadIndex(second.history, 2 / 30), 0);
+
+  // Redrawing the same frame, as a paused stage or an export does, reads the
+  // same previous frame and overwrites the newest one.
+  const redraw = beginFeedbackWrite(second.history, 1 / 30);
+  assert.equal(redraw.history, second.history);
+  assert.deepEqual([redraw.writeIndex, redraw.readIndex], [0, 1]);
+  assert.equal(getFeedbackReadIndex(second.history, 1 / 30), 1);
+});
+
+test('a history from later frames is stale after seeking back', () => {
+  const { history } = beginFeedbackWrite(EMPTY_FEEDBACK_HISTORY, 2);
+  assert.equal(isFeedbackHistoryAhead(history, 1), true);
+  assert.equal(isFeedbackHistoryAhead(history, 2), false);
+  assert.equal(isFeedbackHistoryAhead(EMPTY_FEEDBACK_HISTORY, 0), false);
+});
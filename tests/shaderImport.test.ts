@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  getShaderDialect,
+  parseFeedbackSamplers,
+  parseTextureInputs,
+  parseUniforms,
+  validateGeneratedShader,
+} from '../src/lib/shader.ts';
+import {
+  convertShaderSource,
+  detectShaderSourceFormat,
+  exportIsfShader,
+} from '../src/lib/shaderImport.ts';
+
+const SHADERTOY_SHADER = `vec3 palette(float t) {
+    return 0.5 + 0.5 * cos(6.28318 * (t + vec3(0.0, 0.33, 0.67)) + iTime);
+}
+
+void mainImage( out vec4 fragColor, in vec2 fragCoord )
+{
+    vec2 uv = fragCoord / iResolution.xy;
+    vec4 image = texture(iChannel0, uv);
+    vec4 overlay = texture(iChannel1, uv + iMouse.xy / iResolution.xy);
+    fragColor = vec4(palette(uv.x + float(iFrame)) * image.rgb + overlay.rgb, 1.0);
+}`;
+
+const ISF_SHADER = `/*{
+  "DESCRIPTION": "Trails",
+  "CREDIT": "VJ Someone",
+  "ISFVSN": "2",
+  "INPUTS": [
+    { "NAME": "inputImage", "TYPE": "image" },
+    { "NAME": "decay", "TYPE": "float", "DEFAULT": 0.9, "MIN": 0.5, "MAX": 1.0,
+      "LABEL": "Decay" },
+    { "NAME": "mode", "TYPE": "long", "VALUES": [0, 1, 2], "LABELS": ["Add", "Max", "Mix"],
+      "DEFAULT": 2 },
+    { "NAME": "tint", "TYPE": "color", "DEFAULT": [1.0, 0.5, 0.0, 1.0] },
+    { "NAME": "flash", "TYPE": "event" }
+  ],
+  "PASSES": [{ "TARGET": "trails", "PERSISTENT": true }, {}]
+}*/
+void main() {
+    vec4 source = IMG_THIS_NORM_PIXEL(inputImage);
+    if (PASSINDEX == 0) {
+        gl_FragColor = max(source, IMG_NORM_PIXEL(trails, isf_FragNormCoord) * decay);
+    } else {
+        gl_FragColor = IMG_THIS_PIXEL(trails) * tint + (flash ? sin(TIME) : 0.0);
+    }
+}`;
+
+function countFunctionDefinitions(code: string): Map<string, number> {
+  const counts = new Map<string, number>();
+  for (const [, name] of code.matchAll(/\b(?:void|float|vec[234])\s+(\w+)\s*\([^;{]*\)\s*\{/g)) {
+    counts.set(name, (counts.get(name) ?? 0) + 1);
+  }
+  return counts;
+}
+
+test('Shadertoy mainImage shaders are wrapped in processColor', () => {
+  assert.equal(detectShaderSourceFormat(SHADERTOY_SHADER), 'shadertoy');
+  const { code, warnings } = convertShaderSource(SHADERTOY_SHADER, 'Palette');
+
+  assert.equal(validateGeneratedShader(code), code);
+  assert.equal(getShaderDialect(code), 'glsl300es');
+  assert.match(code, /^\/\/ NAME: Palette\n#version 300 es\n/);
+  // iChannel0 is the image the shader runs on, so transitions can swap it.
+  assert.match(
+    code,
+    /void mainImage\(out vec4 fragColor, in vec2 fragCoord, sampler2D iChannel0\)/,
+  );
+  assert.match(code, /mainImage\(color, vec2\(uv\.x, 1\.0 - uv\.y\) \* resolution, tex\)/);
+  assert.doesNotMatch(code, /\biTime\b|\biResolution\b|\biFrame\b|\biMouse\b/);
+  assert.deepEqual(parseTextureInputs(code), {
+    iChannel1: { companion: null, label: 'Channel 1' },
+  });
+  assert.deepEqual(parseUniforms(code).shadertoyMouse.default, [0.5, 0.5]);
+  assert.equal(warnings.length, 3);
+  assert.match(warnings.join('\n'), /iFrame/);
+});
+
+test('ISF inputs become annotated uniforms and target passes become buffers', () => {
+  assert.equal(detectShaderSourceFormat(ISF_SHADER), 'isf');
+  const { code, description, warnings } = convertShaderSource(ISF_SHADER, '');
+
+  assert.equal(validateGeneratedShader(code), code);
+  assert.match(code, /^\/\/ NAME: ISF Import\n/);
+  assert.equal(description, 'Trails By VJ Someone.');
+  assert.doesNotMatch(code, /gl_FragColor|IMG_|PASSINDEX|\bTIME\b|inputImage/);
+
+  const uniforms = parseUniforms(code);
+  assert.deepEqual(uniforms.decay, {
+    type: 'float',
+    min: 0.5,
+    max: 1,
+    default: 0.9,
+    label: 'Decay',
+  });
+  assert.deepEqual(uniforms.mode.options, ['Add', 'Max', 'Mix']);
+  assert.equal(uniforms.mode.default, 2);
+  assert.deepEqual(uniforms.tint.default, [1, 0.5, 0, 1]);
+  assert.equal(uniforms.flash.type, 'bool');
+  assert.deepEqual(warnings, ['Event "flash" became a switch.']);
+
+  assert.deepEqual(parseFeedbackSamplers(code).buffers, [
+    { sampler: 'trails', entryPoint: 'isfPass0' },
+  ]);
+  assert.match(code, /return isfRun\(tex, uv, 1\);\n\}$/);
+});
+
+test('ISF export round-trips through the importer', () => {
+  const shader = `// NAME: Echo
+uniform float amount; // @min 0 @max 2 @default 1.5 @label Amount
+uniform int blend; // @options Soft|Hard @default Hard
+uniform vec3 glow; // @default 1,0.5,0.25
+uniform sampler2D depthMap; // @asset depth @label Depth
+uniform sampler2D u_prev_frame;
+vec4 processColor(sampler2D tex, vec2 uv, float time, vec2 resolution) {
+    vec4 previous = texture2D(u_prev_frame, uv) * node_noise(uv * resolution);
+    return mix(texture2D(tex, uv), previous, 0.5) * amount + vec4(glow, 0.0) * sin(u_time);
+}`;
+  const exported = exportIsfShader(shader);
+
+  assert.match(exported.code, /^\/\*\{/);
+  assert.doesNotMatch(exported.code, /^uniform /m);
+  assert.match(exported.code, /#define glow \(glowColor\.rgb\)/);
+  assert.match(exported.code, /gl_FragColor = IMG_THIS_NORM_PIXEL\(u_prev_frame\);/);
+  // IMG_NORM_PIXEL is expanded by the input name, so reads never go through a sampler parameter.
+  assert.match(
+    exported.code,
+    /mix\(IMG_NORM_PIXEL\(inputImage, vec2\(uv\.x, 1\.0 - uv\.y\)\), previous, 0\.5\)/,
+  );
+  assert.match(
+    exported.code,
+    /vec4 previous = IMG_NORM_PIXEL\(u_prev_frame, vec2\(uv\.x, 1\.0 - uv\.y\)\) \*/,
+  );
+  assert.doesNotMatch(exported.code, /mapshroomTexture|\btexture(?:2D)?\(/);
+  assert.match(exported.code, /sin\(TIME\)/);
+  assert.deepEqual(exported.warnings, [
+    '"depthMap" is a plain image; ISF hosts have no depth maps.',
+  ]);
+  // Nested reads are expanded too, and compound coordinates are parenthesized once.
+  const nested = exportIsfShader(
+    'vec4 processColor(sampler2D tex, vec2 uv, float time, vec2 resolution) {\n' +
+      '    return texture2D(depthMap, uv * 0.5 + texture2D(tex, uv).xy);\n}',
+  ).code;
+  const coordinate = '(uv * 0.5 + IMG_NORM_PIXEL(inputImage, vec2(uv.x, 1.0 - uv.y)).xy)';
+  assert.ok(
+    nested.includes(`IMG_NORM_PIXEL(depthMap, vec2(${coordinate}.x, 1.0 - ${coordinate}.y))`),
+    nested,
+  );
+
+  const imported = convertShaderSource(exported.code, 'Echo');
+  assert.equal(validateGeneratedShader(imported.code), imported.code);
+  const uniforms = parseUniforms(imported.code);
+  assert.deepEqual(uniforms.amount, parseUniforms(shader).amount);
+  assert.deepEqual(uniforms.blend.options, ['Soft', 'Hard']);
+  assert.equal(uniforms.blend.default, 1);
+  assert.deepEqual(uniforms.glowColor.default, [1, 0.5, 0.25, 1]);
+  assert.deepEqual(Object.keys(parseTextureInputs(imported.code)), ['depthMap']);
+  // The exported frame buffer comes back as a plain buffer pass.
+  assert.deepEqual(parseFeedbackSamplers(imported.code), {
+    previousFrame: [],
+    buffers: [{ sampler: 'isfPrevFrame', entryPoint: 'isfPass0' }],
+  });
+
+  // Going around again nests the helpers of earlier passes instead of redefining them.
+  const reimported = convertShaderSource(exportIsfShader(imported.code).code, 'Echo');
+  for (const [name, count] of countFunctionDefinitions(reimported.code)) {
+    assert.equal(count, 1, `${name} is defined ${count} times`);
+  }
+  assert.doesNotMatch(reimported.code, /node_noise\(vec2 p\)/);
+});
+
+test('sources without mainImage or an ISF header are rejected', () => {
+  assert.equal(detectShaderSourceFormat('void main() { gl_FragColor = vec4(1.0); }'), null);
+  assert.throws(() => convertShaderSource('void main() {}', 'Plain'), /neither a Shadertoy/);
+  assert.throws(
+    () => convertShaderSource('/*{ "INPUTS": [] }*/\nvec4 color() { return vec4(1.0); }', 'X'),
+    /No void main\(\)/,
+  );
+});
@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { findAssetCompanion, resolveTextureInputAssetIds } from '../src/lib/shaderTextureInputs.ts';
+import type { AssetRecord, ShaderTextureInputMap } from '../src/types.ts';
+
+const ASSETS = [
+  { id: 'statue', name: 'statue.png', sourceType: 'uploaded' },
+  { id: 'depth-old', name: 'statue depth', derivedFrom: { assetId: 'statue', kind: 'depth' } },
+  { id: 'mask', name: 'statue mask', derivedFrom: { assetId: 'statue', kind: 'mask' } },
+  { id: 'depth-new', name: 'statue depth 2', derivedFrom: { assetId: 'statue', kind: 'depth' } },
+  { id: 'wall', name: 'wall.png', sourceType: 'uploaded' },
+] as unknown as AssetRecord[];
+
+const INPUTS: ShaderTextureInputMap = {
+  depthMap: { companion: 'depth' },
+  matte: { companion: 'mask' },
+  overlay: { companion: null },
+};
+
+test('companions resolve from the source asset or any asset derived from it', () => {
+  assert.equal(findAssetCompanion(ASSETS, 'statue', 'depth')?.id, 'depth-new');
+  assert.equal(findAssetCompanion(ASSETS, 'depth-old', 'mask')?.id, 'mask');
+  assert.equal(findAssetCompanion(ASSETS, 'wall', 'depth'), null);
+  assert.equal(findAssetCompanion(ASSETS, null, 'mask'), null);
+});
+
+test('stored bindings override annotated companions and missing assets stay black', () => {
+  assert.deepEqual(resolveTextureInputAssetIds(INPUTS, undefined, ASSETS, 'statue'), {
+    depthMap: 'depth-new',
+    matte: 'mask',
+    overlay: null,
+  });
+  assert.deepEqual(
+    resolveTextureInputAssetIds(
+      INPUTS,
+      {
+        depthMap: { source: 'asset', assetId: 'wall' },
+        overlay: { source: 'asset', assetId: 'deleted' },
+      },
+      ASSETS,
+      'wall',
+    ),
+    { depthMap: 'wall', matte: null, overlay: null },
+  );
+});
@@ -0,0 +1,179 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  appendShowScheduleLog,
+  applyShowScheduleEntry,
+  DEFAULT_SHOW_SCHEDULE,
+  getShowScheduleCalendarDay,
+  getShowScheduleClockMs,
+  getShowScheduleRealMs,
+  listShowScheduleTriggers,
+  normalizeShowSchedule,
+  parseShowScheduleTime,
+  resolveShowScheduleBlackout,
+  resolveShowScheduleEntry,
+  type ShowSchedule,
+  type ShowScheduleLogLine,
+} from '../src/lib/showSchedule.ts';
+import { createTimelineShaderStep } from '../src/lib/timeline.ts';
+import type { ProjectDocument } from '../src/types.ts';
+
+// 19 October 2026 is a Monday. Times are local, like the schedule's.
+const at = (day: number, hours: number, minutes = 0) =>
+  new Date(2026, 9, day, hours, minutes).getTime();
+
+const SCHEDULE: ShowSchedule = {
+  ...DEFAULT_SHOW_SCHEDULE,
+  enabled: true,
+  entries: [
+    {
+      id: 'morning',
+      label: 'Morning',
+      days: [1, 3],
+      startMinutes: 9 * 60,
+      sessionId: 'a',
+      stepNumber: null,
+    },
+    {
+      id: 'evening',
+      label: 'Evening',
+      days: [0, 1, 2, 3, 4, 5, 6],
+      startMinutes: 18 * 60,
+      sessionId: 'b',
+      stepNumber: 2,
+    },
+  ],
+  blackouts: [{ id: 'night', days: [1], startMinutes: 23 * 60, endMinutes: 8 * 60 }],
+};
+
+test('entries trigger on their days and the latest one keeps running', () => {
+  assert.deepEqual(
+    listShowScheduleTriggers(SCHEDULE, at(19, 0), at(20, 0)).map(({ entry, atMs }) => [
+      entry.id,
+      atMs,
+    ]),
+    [
+      ['morning', at(19, 9)],
+      ['evening', at(19, 18)],
+    ],
+  );
+  assert.equal(resolveShowScheduleEntry(SCHEDULE, at(19, 10))?.entry.id, 'morning');
+  assert.deepEqual(resolveShowScheduleEntry(SCHEDULE, at(19, 8)), {
+    entry: SCHEDULE.entries[1],
+    atMs: at(18, 18),
+  });
+  // Tuesday has no morning entry, so Monday evening runs on.
+  assert.equal(resolveShowScheduleEntry(SCHEDULE, at(20, 12))?.atMs, at(19, 18));
+  assert.equal(resolveShowScheduleEntry({ ...SCHEDULE, entries: [] }, at(20, 12)), null);
+});
+
+test('blackouts run past midnight and show on both days of the week view', () => {
+  assert.equal(resolveShowScheduleBlackout(SCHEDULE, at(19, 22, 59)), null);
+  assert.deepEqual(resolveShowScheduleBlackout(SCHEDULE, at(20, 7, 59)), {
+    startMs: at(19, 23),
+    endMs: at(20, 8),
+  });
+  assert.equal(resolveShowScheduleBlackout(SCHEDULE, at(20, 8)), null);
+  assert.equal(resolveShowScheduleBlackout(SCHEDULE, at(20, 23, 30)), null);
+
+  assert.deepEqual(getShowScheduleCalendarDay(SCHEDULE, 1).blackouts, [
+    { id: 'night:start', startMinutes: 23 * 60, endMinutes: 24 * 60 },
+  ]);
+  assert.deepEqual(getShowScheduleCalendarDay(SCHEDULE, 2).blackouts, [
+    { id: 'night:end', startMinutes: 0, endMinutes: 8 * 60 },
+  ]);
+  assert.deepEqual(
+    getShowScheduleCalendarDay(SCHEDULE, 1).entries.map((entry) => entry.id),
+    ['morning', 'evening'],
+  );
+});
+
+test('the simulated clock runs fast from its start time', () => {
+  const simulated = {
+    ...SCHEDULE,
+    simulation: { startedAtMs: 1_000, clockStartMs: at(19, 8), speed: 3600 },
+  };
+  // Two real seconds move the clock on two hours.
+  assert.equal(getShowScheduleClockMs(simulated, 3_000), at(19, 10));
+  assert.equal(getShowScheduleRealMs(simulated, at(19, 9)), 2_000);
+  assert.equal(getShowScheduleClockMs(SCHEDULE, 3_000), 3_000);
+});
+
+test('scheduled entries play the project and the log keeps one line per event', () => {
+  const steps = [
+    { ...createTimelineShaderStep('one'), id: 'step-1' },
+    { ...createTimelineShaderStep('two'), id: 'step-2' },
+  ];
+  const project = {
+    sessionId: 'b',
+    playback: { activeAssetId: null, transport: { isPlaying: false, currentTimeSeconds: 12 } },
+    timeline: {
+      stub: { shaderSequence: { stagePreviewMode: 'focused', focusedStepId: null, steps } },
+    },
+  } as unknown as ProjectDocument;
+  const evening = applyShowScheduleEntry(project, SCHEDULE.entries[1], 500);
+  assert.equal(evening.playback.transport.isPlaying, true);
+  assert.equal(evening.playback.transport.anchorTimestampMs, 500);
+  assert.equal(evening.playback.transport.currentTimeSeconds, 0);
+  assert.equal(evening.timeline.stub.shaderSequence.focusedStepId, 'step-2');
+  assert.equal(evening.timeline.stub.shaderSequence.singleStepLoopEnabled, true);
+  const morning = applyShowScheduleEntry(project, SCHEDULE.entries[0], 500);
+  assert.equal(morning.timeline.stub.shaderSequence.singleStepLoopEnabled, false);
+
+  const line = (id: string): ShowScheduleLogLine => ({
+    id,
+    atMs: 0,
+    kind: 'entry',
+    label: id,
+    simulated: false,
+  });
+  const log = appendShowScheduleLog([line('a')], [line('a'), line('b')]);
+  assert.deepEqual(
+    log.map((item) => item.id),
+    ['a', 'b'],
+  );
+  assert.equal(appendShowScheduleLog(log, [line('b')]), log);
+  const longLog = Array.from({ length: 250 }, (_, index) => line(String(index)));
+  assert.equal(appendShowScheduleLog([], longLog).length, 200);
+});
+
+test('stored schedules are validated', () => {
+  assert.deepEqual(
+    normalizeShowSchedule({
+      enabled: true,
+      startOnLoad: false,
+      entries: [
+        {
+          id: 'one',
+          label: ' ',
+          days: [1, 1, 9, 'x', 0],
+          startMinutes: 5000,
+          sessionId: 'a',
+          stepNumber: 0,
+        },
+        { id: 'no-project', sessionId: '' },
+      ],
+      blackouts: [{ id: 'night', days: [2], startMinutes: -10, endMinutes: 'late' }, {}],
+      simulation: { startedAtMs: 1, clockStartMs: 2, speed: 0 },
+    }),
+    {
+      enabled: true,
+      startOnLoad: false,
+      entries: [
+        {
+          id: 'one',
+          label: 'Entry 1',
+          days: [0, 1],
+          startMinutes: 1439,
+          sessionId: 'a',
+          stepNumber: null,
+        },
+      ],
+      blackouts: [{ id: 'night', days: [2], startMinutes: 0, endMinutes: 0 }],
+      simulation: null,
+    },
+  );
+  assert.equal(normalizeShowSchedule('nope'), DEFAULT_SHOW_SCHEDULE);
+  assert.equal(parseShowScheduleTime('07:45'), 465);
+  assert.equal(parseShowScheduleTime('25:00'), null);
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  createTestPatternMessage,
+  DEFAULT_OUTPUT_TEST_PATTERN_STATE,
+  isTestPatternMessage,
+  normalizeOutputTestPatternState,
+} from '../src/lib/testPatterns.ts';
+
+test('unknown patterns and incomplete alignment frames are dropped', () => {
+  assert.deepEqual(normalizeOutputTestPatternState({ pattern: 'grid' }), {
+    pattern: null,
+    structuredLight: null,
+  });
+  assert.deepEqual(normalizeOutputTestPatternState({ pattern: 'focus' }), {
+    pattern: 'focus',
+    structuredLight: null,
+  });
+  assert.equal(normalizeOutputTestPatternState(null), DEFAULT_OUTPUT_TEST_PATTERN_STATE);
+  assert.equal(normalizeOutputTestPatternState('crosshair'), DEFAULT_OUTPUT_TEST_PATTERN_STATE);
+
+  // A frame without its surface, or a surface without a valid frame, shows nothing.
+  assert.equal(
+    normalizeOutputTestPatternState({ structuredLight: { frame: { kind: 'white' } } })
+      .structuredLight,
+    null,
+  );
+  assert.equal(
+    normalizeOutputTestPatternState({
+      structuredLight: { surfaceId: 'main', frame: { kind: 'gray', axis: 'z' } },
+    }).structuredLight,
+    null,
+  );
+  assert.deepEqual(
+    normalizeOutputTestPatternState({
+      pattern: 'markers',
+      structuredLight: { surfaceId: 'left', frame: { kind: 'black' } },
+    }),
+    { pattern: 'markers', structuredLight: { surfaceId: 'left', frame: { kind: 'black' } } },
+  );
+});
+
+test('test pattern messages cross the session channel apart from projects', async () => {
+  const sender = new BroadcastChannel('test-patterns');
+  const receiver = new BroadcastChannel('test-patterns');
+  const received = new Promise<unknown>((resolve) => {
+    receiver.onmessage = (event: MessageEvent) => resolve(event.data);
+  });
+
+  sender.postMessage(createTestPatternMessage({ pattern: 'colorBars', structuredLight: null }));
+  const message = await received;
+  sender.close();
+  receiver.close();
+
+  assert.ok(isTestPatternMessage(message));
+  assert.deepEqual(normalizeOutputTestPatternState(message.testPattern), {
+    pattern: 'colorBars',
+    structuredLight: null,
+  });
+  assert.equal(isTestPatternMessage({ version: 4, sessionId: 'show', playback: {} }), false);
+  assert.equal(isTestPatternMessage(null), false);
+
+  // Fields a sender left out fall back to "no pattern".
+  const partial = { type: createTestPatternMessage(DEFAULT_OUTPUT_TEST_PATTERN_STATE).type };
+  assert.ok(isTestPatternMessage(partial));
+  assert.deepEqual(
+    normalizeOutputTestPatternState(partial.testPattern),
+    DEFAULT_OUTPUT_TEST_PATTERN_STATE,
+  );
+});
@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  createTimelineAudioPeaks,
+  getTimelineAudioTimeSeconds,
+  normalizeTimelineAudioTrack,
+  renderTimelineAudioSlice,
+  resolveTimelineAudioPlayback,
+  shouldResyncTimelineAudio,
+} from '../src/lib/timelineAudio.ts';
+import type { PlaybackTransport, TimelineAudioTrack } from '../src/types.ts';
+
+const TRACK: TimelineAudioTrack = {
+  assetId: 'song',
+  name: 'song.mp3',
+  mimeType: 'audio/mpeg',
+  durationSeconds: 20,
+  offsetSeconds: 4,
+  volume: 0.5,
+  muted: false,
+  peaks: [],
+};
+
+function createTransport(patch: Partial<PlaybackTransport>): PlaybackTransport {
+  return {
+    isPlaying: true,
+    currentTimeSeconds: 0,
+    anchorTimestampMs: 0,
+    playbackRate: 1,
+    loop: false,
+    externalClockEnabled: false,
+    ...patch,
+  };
+}
+
+test('peaks keep the loudest sample per slice, scaled to the loudest slice', () => {
+  assert.deepEqual(
+    createTimelineAudioPeaks(
+      [
+        [0.1, -0.2, 0, 0.05, 0.4, 0],
+        [0, 0, 0.1, 0, 0, -0.3],
+      ],
+      3,
+    ),
+    [0.5, 0.25, 1],
+  );
+  assert.deepEqual(createTimelineAudioPeaks([[0, 0]], 4), [0, 0]);
+  assert.deepEqual(createTimelineAudioPeaks([]), []);
+});
+
+test('stored music tracks are validated', () => {
+  assert.deepEqual(
+    normalizeTimelineAudioTrack({
+      assetId: 'song',
+      name: '',
+      durationSeconds: 12,
+      offsetSeconds: -3,
+      volume: 4,
+      muted: 'yes',
+      peaks: [0.5, 2, 'x'],
+    }),
+    {
+      assetId: 'song',
+      name: 'Music',
+      mimeType: '',
+      durationSeconds: 12,
+      offsetSeconds: 0,
+      volume: 1,
+      muted: false,
+      peaks: [0.5, 1, 0],
+    },
+  );
+  assert.equal(normalizeTimelineAudioTrack({ assetId: 'song', durationSeconds: 0 }), null);
+  assert.equal(normalizeTimelineAudioTrack(null), null);
+});
+
+test('the music follows the transport, its start time and the loop', () => {
+  assert.equal(getTimelineAudioTimeSeconds(TRACK, 3, null), null);
+  assert.equal(getTimelineAudioTimeSeconds(TRACK, 10, null), 6);
+  assert.equal(getTimelineAudioTimeSeconds(TRACK, 24, null), null);
+  // A 16 second loop restarts the music with the timeline.
+  assert.equal(getTimelineAudioTimeSeconds(TRACK, 26, 16), 6);
+
+  assert.deepEqual(
+    resolveTimelineAudioPlayback(TRACK, createTransport({ playbackRate: 2 }), 30, 4_000),
+    { timeSeconds: 4, playing: true, playbackRate: 2 },
+  );
+  assert.deepEqual(
+    resolveTimelineAudioPlayback(
+      TRACK,
+      createTransport({ loop: true, currentTimeSeconds: 35, anchorTimestampMs: null }),
+      30,
+      4_000,
+    ),
+    { timeSeconds: 1, playing: true, playbackRate: 1 },
+  );
+  assert.equal(
+    resolveTimelineAudioPlayback(TRACK, createTransport({ isPlaying: false }), 30, 0).playing,
+    false,
+  );
+  assert.equal(shouldResyncTimelineAudio(6, 6.1), false);
+  assert.equal(shouldResyncTimelineAudio(6, 6.2), true);
+});
+
+test('export slices apply the volume and pad the file with silence', () => {
+  const channel = Float32Array.from({ length: 8 }, (_, index) => index + 1);
+  const [slice] = renderTimelineAudioSlice(
+    { ...TRACK, offsetSeconds: 0.5, durationSeconds: 2 },
+    [channel],
+    4,
+    0,
+    3,
+  );
+  assert.deepEqual([...slice], [0, 0, 0.5, 1, 1.5, 2, 2.5, 3, 3.5, 4, 0, 0]);
+
+  const [muted] = renderTimelineAudioSlice({ ...TRACK, muted: true }, [channel], 4, 4, 1);
+  assert.deepEqual([...muted], [0, 0, 0, 0]);
+});
@@ -0,0 +1,176 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { resolveSmcMixerTransport } from '../src/lib/midi/smcMixerMapping.ts';
+import { createTimelineShaderStep } from '../src/lib/timeline.ts';
+import {
+  backTimelineCue,
+  createTimelineCue,
+  createTimelineCuesFromMarkers,
+  getTimelineCueAutoFollowSeconds,
+  goTimelineCue,
+  normalizeTimelineCueList,
+  releaseTimelineCues,
+  resolveTimelineCueFrame,
+  setTimelineCues,
+  standbyTimelineCue,
+} from '../src/lib/timelineCues.ts';
+import type { TimelineCue, TimelineStub } from '../src/types.ts';
+
+const STEPS = [
+  { ...createTimelineShaderStep('a'), id: 'step-a', durationSeconds: 4 },
+  { ...createTimelineShaderStep('b'), id: 'step-b', durationSeconds: 4 },
+  { ...createTimelineShaderStep('c'), id: 'step-c', durationSeconds: 8 },
+];
+
+function createCue(id: string, stepId: string | null, patch: Partial<TimelineCue> = {}) {
+  return { ...createTimelineCue(1, stepId), id, label: id, ...patch };
+}
+
+function createTimeline(cues: TimelineCue[]): TimelineStub {
+  return setTimelineCues(
+    {
+      enabled: true,
+      durationSeconds: 16,
+      markers: [],
+      tracks: [],
+      cueList: { cues: [], activeCueId: null, standbyCueId: null, fade: null },
+      shaderSequence: {
+        enabled: true,
+        mode: 'sequence',
+        editorView: 'simple',
+        stagePreviewMode: 'timeline',
+        focusedStepId: null,
+        pinnedStepId: null,
+        randomSeedToken: 'seed',
+        singleStepLoopEnabled: false,
+        randomChoiceEnabled: false,
+        sharedTransitionEnabled: false,
+        sharedTransitionEffect: 'mix',
+        sharedTransitionDurationSeconds: 0.75,
+        sharedSectionDurationSeconds: 8,
+        steps: STEPS,
+      },
+    },
+    cues,
+  );
+}
+
+test('GO holds the cue step and fades in from the previous cue', () => {
+  const timeline = createTimeline([
+    createCue('one', 'step-a'),
+    createCue('two', 'step-c', { fadeSeconds: 4 }),
+    createCue('out', null),
+  ]);
+  assert.equal(timeline.cueList.standbyCueId, 'one');
+
+  const first = goTimelineCue(timeline, 10);
+  assert.equal(first.cueList.activeCueId, 'one');
+  assert.equal(first.cueList.standbyCueId, 'two');
+  assert.equal(first.shaderSequence.focusedStepId, 'step-a');
+  assert.equal(first.shaderSequence.singleStepLoopEnabled, true);
+  assert.deepEqual(resolveTimelineCueFrame(first.cueList, 11), {
+    fromStepId: null,
+    toStepId: 'step-a',
+    progress: 0.5,
+    sequenceOpacity: 0.5,
+  });
+
+  const second = goTimelineCue(first, 20);
+  assert.deepEqual(resolveTimelineCueFrame(second.cueList, 21), {
+    fromStepId: 'step-a',
+    toStepId: 'step-c',
+    progress: 0.25,
+    sequenceOpacity: 1,
+  });
+
+  const blackout = goTimelineCue(second, 30);
+  assert.equal(blackout.shaderSequence.focusedStepId, 'step-c');
+  assert.equal(blackout.cueList.standbyCueId, null);
+  assert.equal(resolveTimelineCueFrame(blackout.cueList, 40)?.sequenceOpacity, 0);
+  assert.equal(goTimelineCue(blackout, 40), blackout);
+
+  const back = backTimelineCue(blackout, 40);
+  assert.equal(back.cueList.activeCueId, 'two');
+  assert.equal(back.cueList.standbyCueId, 'out');
+  assert.equal(resolveTimelineCueFrame(back.cueList, 40)?.fromStepId, null);
+});
+
+test('standby moves without firing and release hands back to the timeline', () => {
+  const timeline = goTimelineCue(
+    createTimeline([createCue('one', 'step-a'), createCue('two', 'step-b')]),
+    0,
+  );
+  assert.equal(standbyTimelineCue(timeline, -1).cueList.standbyCueId, 'one');
+  assert.equal(standbyTimelineCue(timeline, 5).cueList.standbyCueId, 'two');
+  assert.equal(standbyTimelineCue(timeline, 1).cueList.activeCueId, 'one');
+
+  const released = releaseTimelineCues(timeline);
+  assert.equal(released.cueList.activeCueId, null);
+  assert.equal(released.cueList.standbyCueId, 'one');
+  assert.equal(released.shaderSequence.singleStepLoopEnabled, false);
+  assert.equal(resolveTimelineCueFrame(released.cueList, 0), null);
+});
+
+test('auto-follow waits for the fade and the follow time', () => {
+  const timeline = createTimeline([
+    createCue('one', 'step-a', { fadeSeconds: 2, autoFollowSeconds: 3 }),
+    createCue('two', 'step-b', { autoFollowSeconds: 1 }),
+  ]);
+  assert.equal(getTimelineCueAutoFollowSeconds(timeline.cueList), null);
+
+  const first = goTimelineCue(timeline, 10);
+  assert.equal(getTimelineCueAutoFollowSeconds(first.cueList), 15);
+  // The last cue has nothing to hand over to.
+  assert.equal(getTimelineCueAutoFollowSeconds(goTimelineCue(first, 15).cueList), null);
+});
+
+test('cue lists are validated and can be seeded from markers', () => {
+  const cueList = normalizeTimelineCueList({
+    cues: [
+      { id: 'one', label: '', stepId: 'step-a', fadeSeconds: 90, autoFollowSeconds: -1 },
+      { id: 'one', label: 'Duplicate' },
+      { id: 'two', label: 'Out', stepId: '', fadeSeconds: 'slow', notes: 4 },
+      { label: 'No id' },
+    ],
+    activeCueId: 'one',
+    standbyCueId: 'missing',
+    fade: { fromStepId: null, toStepId: 'step-a', startSeconds: 2, durationSeconds: 1 },
+  });
+
+  assert.deepEqual(cueList, {
+    cues: [
+      {
+        id: 'one',
+        label: 'Cue 1',
+        stepId: 'step-a',
+        fadeSeconds: 60,
+        autoFollowSeconds: 0,
+        notes: '',
+      },
+      { id: 'two', label: 'Out', stepId: null, fadeSeconds: 0, autoFollowSeconds: null, notes: '' },
+    ],
+    activeCueId: null,
+    standbyCueId: 'one',
+    fade: null,
+  });
+  assert.deepEqual(normalizeTimelineCueList(undefined).cues, []);
+
+  const seeded = createTimelineCuesFromMarkers(['intro', 'verse', 'drop'], STEPS);
+  assert.deepEqual(
+    seeded.map((cue) => [cue.label, cue.stepId]),
+    [
+      ['intro', 'step-a'],
+      ['verse', 'step-c'],
+      ['drop', 'step-c'],
+    ],
+  );
+
+  assert.equal(
+    resolveSmcMixerTransport({ kind: 'note-on', channel: 1, note: 84, velocity: 127 }),
+    'cue-go',
+  );
+  assert.equal(
+    resolveSmcMixerTransport({ kind: 'note-on', channel: 1, note: 85, velocity: 127 }),
+    'cue-back',
+  );
+});
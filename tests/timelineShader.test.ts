@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  buildTimelineDoubleShaderCode,
+  buildTimelineTransitionShaderCode,
+  canComposeTimelineShaders,
+  TIMELINE_MIXED_DIALECT_MESSAGE,
+} from '../src/lib/timelineShader.ts';
+
+// `texture` is an ordinary identifier in GLSL ES 1.00 but a builtin in 3.00.
+const GLSL100_STEP = `// NAME: Sampled
+vec4 processColor(sampler2D tex, vec2 uv, float time, vec2 resolution) {
+    vec4 texture = texture2D(tex, uv);
+    return texture;
+}`;
+
+const GLSL300ES_STEP = `// NAME: Texel
+#version 300 es
+vec4 processColor(sampler2D tex, vec2 uv, float time, vec2 resolution) {
+    return texture(tex, uv);
+}`;
+
+test('steps of different GLSL dialects are not composed into one program', () => {
+  assert.equal(canComposeTimelineShaders(GLSL100_STEP, GLSL300ES_STEP), false);
+  assert.throws(
+    () => buildTimelineTransitionShaderCode({
+      fromCode: GLSL100_STEP,
+      toCode: GLSL300ES_STEP,
+      effect: 'mix',
+    }),
+    { message: TIMELINE_MIXED_DIALECT_MESSAGE },
+  );
+  assert.throws(
+    () => buildTimelineDoubleShaderCode({
+      primaryCode: GLSL300ES_STEP,
+      secondaryCode: GLSL100_STEP,
+    }),
+    { message: TIMELINE_MIXED_DIALECT_MESSAGE },
+  );
+});
+
+test('steps of the same GLSL dialect still compose', () => {
+  assert.equal(canComposeTimelineShaders(GLSL100_STEP, GLSL100_STEP), true);
+  assert.equal(canComposeTimelineShaders(GLSL300ES_STEP, GLSL300ES_STEP), true);
+  assert.match(
+    buildTimelineTransitionShaderCode({
+      fromCode: GLSL300ES_STEP,
+      toCode: GLSL300ES_STEP,
+      effect: 'mix',
+    }),
+    /vec4 processColor\(/,
+  );
+});
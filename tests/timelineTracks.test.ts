@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { resolveSmcMixerStripButton } from '../src/lib/midi/smcMixerMapping.ts';
+import { createTimelineShaderStep } from '../src/lib/timeline.ts';
+import {
+  applyTimelineStripAction,
+  createTimelineTrack,
+  getTimelineTrackTimeSeconds,
+  normalizeTimelineTracks,
+  resolveAudibleTimelineTracks,
+} from '../src/lib/timelineTracks.ts';
+import type { TimelineStub, TimelineTrack } from '../src/types.ts';
+
+function createTrack(patch: Partial<TimelineTrack> = {}): TimelineTrack {
+  return { ...createTimelineTrack(1), ...patch };
+}
+
+function createTimeline(tracks: TimelineTrack[]): TimelineStub {
+  return {
+    enabled: true,
+    durationSeconds: 8,
+    markers: [],
+    tracks,
+    shaderSequence: {
+      enabled: true,
+      mode: 'sequence',
+      editorView: 'simple',
+      stagePreviewMode: 'timeline',
+      focusedStepId: null,
+      pinnedStepId: null,
+      randomSeedToken: 'seed',
+      singleStepLoopEnabled: false,
+      randomChoiceEnabled: false,
+      sharedTransitionEnabled: false,
+      sharedTransitionEffect: 'mix',
+      sharedTransitionDurationSeconds: 0.75,
+      sharedSectionDurationSeconds: 8,
+      steps: [createTimelineShaderStep('base')],
+    },
+  };
+}
+
+test('stored tracks drop label-only placeholders and clamp their mix settings', () => {
+  const tracks = normalizeTimelineTracks([
+    { id: 'timeline-track-assets', label: 'Assets', type: 'media' },
+    {
+      id: 'layer',
+      label: ' ',
+      blendMode: 'overlay',
+      opacity: 3,
+      muted: 'yes',
+      solo: true,
+      offsetSeconds: -4,
+      steps: [{ id: 'step', shaderId: 'glow', durationSeconds: 0 }, { id: 'broken' }],
+    },
+    { id: 'layer', label: 'Duplicate', steps: [] },
+  ]);
+
+  assert.equal(tracks.length, 1);
+  assert.deepEqual(
+    { ...tracks[0], steps: tracks[0].steps.map((step) => step.id) },
+    {
+      id: 'layer',
+      label: 'Track 2',
+      blendMode: 'screen',
+      opacity: 1,
+      muted: false,
+      solo: true,
+      offsetSeconds: 0,
+      steps: ['step'],
+    },
+  );
+  assert.equal(tracks[0].steps[0].durationSeconds, 0.5);
+  assert.equal(tracks[0].steps[0].transitionEffect, 'mix');
+  assert.deepEqual(normalizeTimelineTracks(undefined), []);
+});
+
+test('solo narrows playback to soloed layers and mute always wins', () => {
+  const first = createTrack({ id: 'first' });
+  const second = createTrack({ id: 'second', solo: true });
+  const third = createTrack({ id: 'third', solo: true, muted: true });
+
+  const soloed = resolveAudibleTimelineTracks({}, [first, second, third]);
+  assert.equal(soloed.sequenceAudible, false);
+  assert.deepEqual(soloed.tracks.map((track) => track.id), ['second']);
+
+  const unsoloed = resolveAudibleTimelineTracks({ muted: true }, [
+    first,
+    { ...third, solo: false },
+  ]);
+  assert.equal(unsoloed.sequenceAudible, false);
+  assert.deepEqual(unsoloed.tracks.map((track) => track.id), ['first']);
+
+  assert.equal(resolveAudibleTimelineTracks({ solo: true }, [first]).sequenceAudible, true);
+});
+
+test('tracks start at their offset', () => {
+  const track = createTrack({ offsetSeconds: 4 });
+  assert.equal(getTimelineTrackTimeSeconds(track, 2), null);
+  assert.equal(getTimelineTrackTimeSeconds(track, 4), 0);
+  assert.equal(getTimelineTrackTimeSeconds(track, 10.5), 6.5);
+});
+
+test('mixer strip buttons toggle the main sequence and layer tracks', () => {
+  const timeline = createTimeline([createTrack({ id: 'first' })]);
+
+  assert.deepEqual(
+    resolveSmcMixerStripButton({ kind: 'note-on', channel: 1, note: 9, velocity: 127 }),
+    { stripIndex: 1, action: 'solo' },
+  );
+  assert.deepEqual(
+    resolveSmcMixerStripButton({ kind: 'note-on', channel: 1, note: 16, velocity: 127 }),
+    { stripIndex: 0, action: 'mute' },
+  );
+  assert.equal(
+    resolveSmcMixerStripButton({ kind: 'note-on', channel: 1, note: 94, velocity: 127 }),
+    null,
+  );
+
+  const mutedSequence = applyTimelineStripAction(timeline, 0, 'mute');
+  assert.equal(mutedSequence.shaderSequence.muted, true);
+  assert.equal(applyTimelineStripAction(mutedSequence, 0, 'mute').shaderSequence.muted, false);
+  assert.equal(applyTimelineStripAction(timeline, 1, 'solo').tracks[0].solo, true);
+  assert.equal(applyTimelineStripAction(timeline, 2, 'solo'), timeline);
+  assert.equal(applyTimelineStripAction(timeline, 1, 'select'), timeline);
+});
@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { parseUniforms } from '../src/lib/shader.ts';
+import {
+  applyUniformAutomation,
+  evaluateUniformAutomationLane,
+  normalizeUniformAutomationLanes,
+} from '../src/lib/uniformAutomation.ts';
+import type { ShaderUniformValueMap, UniformAutomationLane } from '../src/types.ts';
+
+const SHADER = `// NAME: Automated
+uniform float glow; // @min 0 @max 2 @default 1
+uniform int mode; // @options Soft|Hard|Invert
+uniform bool strobe;
+uniform vec3 tint; // @default 1,1,1
+vec4 processColor(sampler2D tex, vec2 uv, float time, vec2 resolution) {
+    return texture2D(tex, uv);
+}`;
+
+function createLane(
+  loopMode: UniformAutomationLane['loopMode'],
+  easing: UniformAutomationLane['keyframes'][number]['easing'] = 'linear',
+): UniformAutomationLane {
+  return {
+    uniformName: 'glow',
+    loopMode,
+    keyframes: [
+      { timeSeconds: 1, value: 0, easing },
+      { timeSeconds: 3, value: 2, easing: 'linear' },
+    ],
+  };
+}
+
+test('lanes hold their ends and ease between keyframes', () => {
+  const lane = createLane('once');
+  assert.equal(evaluateUniformAutomationLane(lane, 0), 0);
+  assert.equal(evaluateUniformAutomationLane(lane, 2), 1);
+  assert.equal(evaluateUniformAutomationLane(lane, 5), 2);
+
+  assert.equal(evaluateUniformAutomationLane(createLane('once', 'easeIn'), 2), 0.5);
+  assert.equal(evaluateUniformAutomationLane(createLane('once', 'easeOut'), 2), 1.5);
+  assert.equal(evaluateUniformAutomationLane(createLane('once', 'hold'), 2.99), 0);
+  assert.equal(evaluateUniformAutomationLane({ ...lane, keyframes: [] }, 2), null);
+});
+
+test('looping lanes repeat from the step start and ping-pong lanes reverse', () => {
+  assert.equal(evaluateUniformAutomationLane(createLane('loop'), 5), 1);
+  assert.equal(evaluateUniformAutomationLane(createLane('loop'), 3.5), 0);
+  assert.equal(evaluateUniformAutomationLane(createLane('pingPong'), 4), 1);
+  assert.equal(evaluateUniformAutomationLane(createLane('pingPong'), 4.5), 0.5);
+});
+
+test('automation overrides matching uniforms and leaves the rest alone', () => {
+  const definitions = parseUniforms(SHADER);
+  const uniformValues: ShaderUniformValueMap = { glow: 1, mode: 0, strobe: false, tint: [1, 1, 1] };
+  const lanes: UniformAutomationLane[] = [
+    createLane('once'),
+    {
+      uniformName: 'mode',
+      loopMode: 'once',
+      keyframes: [
+        { timeSeconds: 0, value: 0, easing: 'linear' },
+        { timeSeconds: 4, value: 2, easing: 'linear' },
+      ],
+    },
+    {
+      uniformName: 'strobe',
+      loopMode: 'once',
+      keyframes: [
+        { timeSeconds: 0, value: false, easing: 'linear' },
+        { timeSeconds: 2, value: true, easing: 'linear' },
+      ],
+    },
+    {
+      uniformName: 'tint',
+      loopMode: 'once',
+      keyframes: [
+        { timeSeconds: 0, value: [0, 0, 0], easing: 'linear' },
+        { timeSeconds: 4, value: [1, 0.5, 0], easing: 'linear' },
+      ],
+    },
+    {
+      uniformName: 'removed',
+      loopMode: 'once',
+      keyframes: [{ timeSeconds: 0, value: 3, easing: 'linear' }],
+    },
+  ];
+
+  assert.deepEqual(
+    applyUniformAutomation({ uniformValues, lanes, definitions, timeSeconds: 2.5 }),
+    { glow: 1.5, mode: 1, strobe: true, tint: [0.625, 0.3125, 0] },
+  );
+  assert.equal(
+    applyUniformAutomation({ uniformValues, lanes: [], definitions, timeSeconds: 2.5 }),
+    uniformValues,
+  );
+  // A float lane no longer fits once the uniform becomes a color.
+  assert.equal(
+    applyUniformAutomation({
+      uniformValues,
+      lanes: [{ ...createLane('once'), uniformName: 'tint' }],
+      definitions,
+      timeSeconds: 2,
+    }),
+    uniformValues,
+  );
+});
+
+test('stored lanes are validated, deduplicated and sorted', () => {
+  assert.deepEqual(
+    normalizeUniformAutomationLanes([
+      {
+        uniformName: 'glow',
+        loopMode: 'bounce',
+        keyframes: [
+          { timeSeconds: 4.004, value: 1, easing: 'easeInOut' },
+          { timeSeconds: -2, value: 0, easing: 'snap' },
+          { timeSeconds: 2, value: 'bright' },
+        ],
+      },
+      { uniformName: 'glow', loopMode: 'loop', keyframes: [{ timeSeconds: 0, value: 1 }] },
+      { uniformName: 'mode', keyframes: [] },
+      { keyframes: [{ timeSeconds: 0, value: 1 }] },
+    ]),
+    [
+      {
+        uniformName: 'glow',
+        loopMode: 'once',
+        keyframes: [
+          { timeSeconds: 0, value: 0, easing: 'linear' },
+          { timeSeconds: 4, value: 1, easing: 'easeInOut' },
+        ],
+      },
+    ],
+  );
+  assert.deepEqual(normalizeUniformAutomationLanes(undefined), []);
+});